@@ -0,0 +1,209 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+
+function emptyApplication() {
+  return {
+    exemption_category: 'elderly',
+    tax_year: new Date().getFullYear(),
+    filing_type: 'initial',
+    applicant_name: '',
+    applicant_date_of_birth: '',
+    receives_disability_benefits: false,
+    is_legally_blind: false,
+    marital_status: 'single',
+    spouse_name: '',
+    spouse_date_of_birth: '',
+    household_income: '',
+    total_assets: '',
+    documentation_provided: false,
+    notes: '',
+  };
+}
+
+/**
+ * Elderly, disabled and blind exemption applications for a property: take an
+ * application, preview its evaluation, and approve or deny it
+ */
+export default class AssessingExemptionApplicationsComponent extends Component {
+  @service api;
+  @service notifications;
+  @service municipality;
+
+  @tracked applications = [];
+  @tracked isLoading = false;
+  @tracked isFormOpen = false;
+  @tracked isSaving = false;
+  @tracked form = emptyApplication();
+  @tracked evaluation = null;
+
+  constructor() {
+    super(...arguments);
+    this.loadApplications();
+  }
+
+  get municipalityId() {
+    return this.municipality.currentMunicipality?.id;
+  }
+
+  get pendingApplications() {
+    return this.applications.filter((a) => a.status === 'pending');
+  }
+
+  get isMarried() {
+    return this.form.marital_status === 'married';
+  }
+
+  get requestBody() {
+    const form = this.form;
+    return {
+      exemption_category: form.exemption_category,
+      tax_year: form.tax_year,
+      card_number: this.args.cardNumber || 1,
+      filing_type: form.filing_type,
+      previous_exemption_id: form.previous_exemption_id,
+      applicant: {
+        name: form.applicant_name,
+        date_of_birth: form.applicant_date_of_birth || null,
+        receives_disability_benefits: form.receives_disability_benefits,
+        is_legally_blind: form.is_legally_blind,
+      },
+      marital_status: form.marital_status,
+      spouse: this.isMarried
+        ? {
+            name: form.spouse_name,
+            date_of_birth: form.spouse_date_of_birth || null,
+          }
+        : undefined,
+      household_income: form.household_income,
+      total_assets: form.total_assets,
+      documentation_provided: form.documentation_provided,
+      notes: form.notes,
+    };
+  }
+
+  @action
+  async loadApplications() {
+    if (!this.municipalityId || !this.args.propertyId) return;
+
+    this.isLoading = true;
+    try {
+      const response = await this.api.get(
+        `/municipalities/${this.municipalityId}/exemption-applications`,
+        { property_id: this.args.propertyId },
+      );
+      this.applications = response.applications || [];
+    } catch (error) {
+      console.error('Failed to load exemption applications:', error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  @action
+  openForm() {
+    this.form = {
+      ...emptyApplication(),
+      applicant_name: this.args.ownerName || '',
+    };
+    this.evaluation = null;
+    this.isFormOpen = true;
+  }
+
+  @action
+  closeForm() {
+    this.isFormOpen = false;
+    this.evaluation = null;
+  }
+
+  @action
+  updateForm(field, event) {
+    const value =
+      event.target.type === 'checkbox'
+        ? event.target.checked
+        : event.target.value;
+    this.form = { ...this.form, [field]: value };
+    this.evaluation = null;
+  }
+
+  @action
+  async evaluate() {
+    try {
+      const response = await this.api.post(
+        `/municipalities/${this.municipalityId}/exemption-applications/evaluate`,
+        this.requestBody,
+      );
+      this.evaluation = response.evaluation;
+    } catch (error) {
+      console.error('Failed to evaluate application:', error);
+      this.notifications.error(
+        error.message || 'Failed to evaluate application',
+      );
+    }
+  }
+
+  @action
+  async submitApplication(event) {
+    event.preventDefault();
+    this.isSaving = true;
+    try {
+      const response = await this.api.post(
+        `/municipalities/${this.municipalityId}/properties/${this.args.propertyId}/exemption-applications`,
+        this.requestBody,
+      );
+      this.applications = [response.application, ...this.applications];
+      this.notifications.success('Exemption application recorded');
+      this.closeForm();
+    } catch (error) {
+      console.error('Failed to save application:', error);
+      this.notifications.error(error.message || 'Failed to save application');
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  @action
+  async approveApplication(application) {
+    if (
+      !confirm(
+        `Approve ${application.evaluation.exemption_name} of $${application.evaluation.exemption_value} for ${application.tax_year}?`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await this.api.post(
+        `/municipalities/${this.municipalityId}/exemption-applications/${application._id}/approve`,
+      );
+      this.notifications.success('Exemption approved');
+      await this.loadApplications();
+      await this.args.onChange?.();
+    } catch (error) {
+      console.error('Failed to approve application:', error);
+      this.notifications.error(
+        error.message || 'Failed to approve application',
+      );
+    }
+  }
+
+  @action
+  async denyApplication(application) {
+    const notes = prompt('Reason for denial:');
+    if (!notes) return;
+
+    try {
+      await this.api.post(
+        `/municipalities/${this.municipalityId}/exemption-applications/${application._id}/deny`,
+        { notes },
+      );
+      this.notifications.success('Application denied');
+      await this.loadApplications();
+      await this.args.onChange?.();
+    } catch (error) {
+      console.error('Failed to deny application:', error);
+      this.notifications.error(error.message || 'Failed to deny application');
+    }
+  }
+}
@@ -2,115 +2,391 @@ import Component from '@glimmer/component';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
+import config from 'avitar-suite/config/environment';
+
+// Last-used filters survive closing the modal and reloading the page
+const FILTERS_STORAGE_KEY = 'avitar-property-query-filters';
+
+const EMPTY_FILTERS = {
+  bedrooms: '',
+  bathrooms: '',
+  zone: '',
+  neighborhood: '',
+  propertyClass: '',
+  buildingCode: '',
+  buildingSizeMin: '',
+  buildingSizeMax: '',
+  buildingHeightMin: '',
+  buildingHeightMax: '',
+  yearBuiltMin: '',
+  yearBuiltMax: '',
+  assessmentMin: '',
+  assessmentMax: '',
+  landAreaMin: '',
+  landAreaMax: '',
+  currentUse: '',
+  exemptionType: '',
+  saleDateFrom: '',
+  saleDateTo: '',
+  salePriceMin: '',
+  salePriceMax: '',
+  validSalesOnly: false,
+};
 
 export default class PropertyQueryModalComponent extends Component {
   @service assessing;
+  @service municipality;
   @service notifications;
+  @service('property-queue') propertyQueue;
 
   @tracked isLoading = false;
-  @tracked queryParams = {
-    bedrooms: '',
-    bathrooms: '',
-    zone: '',
-    buildingSizeMin: '',
-    buildingSizeMax: '',
-    buildingHeightMin: '',
-    buildingHeightMax: '',
-    yearBuiltMin: '',
-    yearBuiltMax: '',
-    assessmentMin: '',
-    assessmentMax: '',
-    landAreaMin: '',
-    landAreaMax: '',
-  };
+  @tracked isExporting = false;
+  @tracked queryParams = { ...EMPTY_FILTERS };
+  @tracked matchMode = 'all';
 
   @tracked availableZones = [];
+  @tracked availableNeighborhoods = [];
+  @tracked availablePropertyClasses = [];
+  @tracked availableBuildingCodes = [];
+  @tracked availableExemptionTypes = [];
+
+  @tracked savedQueries = [];
+  @tracked selectedSavedQueryId = '';
+  @tracked saveName = '';
+  @tracked saveShared = false;
+  @tracked isSaving = false;
 
   constructor() {
     super(...arguments);
-    this.loadZones();
+    this.restoreFilters();
+    this.loadFilterOptions();
+    this.loadSavedQueries();
+  }
+
+  get selectedSavedQuery() {
+    return (
+      this.savedQueries.find(
+        (query) => query._id === this.selectedSavedQueryId,
+      ) || null
+    );
+  }
+
+  get canDeleteSavedQuery() {
+    return !!this.selectedSavedQuery?.is_owner;
+  }
+
+  get mySavedQueries() {
+    return this.savedQueries.filter((query) => query.is_owner);
+  }
+
+  get sharedSavedQueries() {
+    return this.savedQueries.filter((query) => !query.is_owner);
+  }
+
+  restoreFilters() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(FILTERS_STORAGE_KEY));
+      if (stored) {
+        this.queryParams = { ...EMPTY_FILTERS, ...stored.filters };
+        this.matchMode = stored.matchMode || 'all';
+      }
+    } catch (error) {
+      console.warn('Could not restore property query filters:', error);
+    }
+  }
+
+  persistFilters() {
+    localStorage.setItem(
+      FILTERS_STORAGE_KEY,
+      JSON.stringify({ filters: this.queryParams, matchMode: this.matchMode }),
+    );
+  }
+
+  /**
+   * Filters with empty values removed, as sent to the server
+   */
+  get cleanParams() {
+    const cleanParams = {};
+    Object.keys(this.queryParams).forEach((key) => {
+      const value = this.queryParams[key];
+      if (value === true) {
+        cleanParams[key] = value;
+      } else if (value && value.toString().trim() !== '') {
+        cleanParams[key] = value;
+      }
+    });
+    return cleanParams;
   }
 
   @action
   updateParam(param, event) {
     this.queryParams = {
       ...this.queryParams,
-      [param]: event.target.value,
+      [param]:
+        event.target.type === 'checkbox'
+          ? event.target.checked
+          : event.target.value,
     };
+    this.persistFilters();
   }
 
   @action
-  clearFilters() {
-    this.queryParams = {
-      bedrooms: '',
-      bathrooms: '',
-      zone: '',
-      buildingSizeMin: '',
-      buildingSizeMax: '',
-      buildingHeightMin: '',
-      buildingHeightMax: '',
-      yearBuiltMin: '',
-      yearBuiltMax: '',
-      assessmentMin: '',
-      assessmentMax: '',
-      landAreaMin: '',
-      landAreaMax: '',
-    };
+  updateMatchMode(event) {
+    this.matchMode = event.target.value;
+    this.persistFilters();
   }
 
   @action
-  async executeQuery(event) {
-    if (event) {
-      event.preventDefault();
-    }
+  clearFilters() {
+    this.queryParams = { ...EMPTY_FILTERS };
+    this.matchMode = 'all';
+    this.selectedSavedQueryId = '';
+    this.saveName = '';
+    this.saveShared = false;
+    localStorage.removeItem(FILTERS_STORAGE_KEY);
+  }
 
-    // Filter out empty parameters
-    const cleanParams = {};
-    Object.keys(this.queryParams).forEach((key) => {
-      if (
-        this.queryParams[key] &&
-        this.queryParams[key].toString().trim() !== ''
-      ) {
-        cleanParams[key] = this.queryParams[key];
-      }
-    });
+  /**
+   * Run the current filters
+   * @returns {Promise<Array|null>} Matching properties, or null if nothing ran
+   */
+  async runQuery() {
+    const cleanParams = this.cleanParams;
 
     if (Object.keys(cleanParams).length === 0) {
       this.notifications.warning('Please specify at least one search criteria');
-      return;
+      return null;
     }
 
     this.isLoading = true;
     try {
-      const response = await this.assessing.queryProperties(cleanParams);
+      const response = await this.assessing.queryProperties({
+        ...cleanParams,
+        matchMode: this.matchMode,
+      });
 
       if (response.success && response.properties) {
-        this.args.onQueryResults?.(response.properties);
-        this.args.onClose?.();
-        this.notifications.success(
-          `Found ${response.properties.length} properties matching your criteria`,
-        );
-      } else {
-        this.notifications.error('No properties found matching your criteria');
+        return response.properties;
       }
+      this.notifications.error('No properties found matching your criteria');
+      return null;
     } catch (error) {
       console.error('Property query failed:', error);
       this.notifications.error(
         'Failed to search properties. Please try again.',
       );
+      return null;
     } finally {
       this.isLoading = false;
     }
   }
 
   @action
-  async loadZones() {
+  async executeQuery(event) {
+    if (event) {
+      event.preventDefault();
+    }
+
+    const properties = await this.runQuery();
+    if (!properties) return;
+
+    this.args.onQueryResults?.(properties);
+    this.args.onClose?.();
+    this.notifications.success(
+      `Found ${properties.length} properties matching your criteria`,
+    );
+  }
+
+  @action
+  async addResultsToQueue() {
+    const properties = await this.runQuery();
+    if (!properties) return;
+
+    if (properties.length === 0) {
+      this.notifications.warning('No properties found matching your criteria');
+      return;
+    }
+
+    const queuedBefore = this.propertyQueue.queueCount;
+    this.propertyQueue.addMultipleToQueue(properties);
+    const added = this.propertyQueue.queueCount - queuedBefore;
+
+    this.args.onQueueUpdated?.();
+    this.args.onClose?.();
+    this.notifications.success(
+      `Added ${added} of ${properties.length} properties to the review queue`,
+    );
+  }
+
+  @action
+  async exportCsv() {
+    const cleanParams = this.cleanParams;
+    if (Object.keys(cleanParams).length === 0) {
+      this.notifications.warning('Please specify at least one search criteria');
+      return;
+    }
+
+    this.isExporting = true;
     try {
-      const response = await this.assessing.getPropertyZones();
+      const municipalityId = this.municipality.currentMunicipality?.id;
+      const token = localStorage.getItem('authToken');
+      const name = this.selectedSavedQuery?.name || 'Property Query';
+
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${municipalityId}/properties/query/export`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({
+            filters: { ...cleanParams, matchMode: this.matchMode },
+            name,
+          }),
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to export query results');
+
+      const blob = await response.blob();
+
+      // Create download link
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${name}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export property query:', error);
+      this.notifications.error('Failed to export query results');
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  @action
+  async loadFilterOptions() {
+    try {
+      const response = await this.assessing.getPropertyQueryOptions();
       this.availableZones = response.zones || [];
+      this.availableNeighborhoods = response.neighborhoods || [];
+      this.availablePropertyClasses = response.propertyClasses || [];
+      this.availableBuildingCodes = response.buildingCodes || [];
+      this.availableExemptionTypes = response.exemptionTypes || [];
     } catch (error) {
-      console.error('Failed to load zones:', error);
+      console.error('Failed to load property query options:', error);
       this.availableZones = [];
+      this.availableNeighborhoods = [];
+      this.availablePropertyClasses = [];
+      this.availableBuildingCodes = [];
+      this.availableExemptionTypes = [];
+    }
+  }
+
+  // === Saved Queries ===
+
+  @action
+  async loadSavedQueries() {
+    try {
+      const response = await this.assessing.getSavedPropertyQueries();
+      this.savedQueries = response.savedQueries || [];
+    } catch (error) {
+      console.error('Failed to load saved property queries:', error);
+      this.savedQueries = [];
+    }
+  }
+
+  @action
+  selectSavedQuery(event) {
+    this.selectedSavedQueryId = event.target.value;
+
+    const savedQuery = this.selectedSavedQuery;
+    if (!savedQuery) {
+      this.saveName = '';
+      this.saveShared = false;
+      return;
+    }
+
+    const { matchMode, ...filters } = savedQuery.filters || {};
+    this.queryParams = { ...EMPTY_FILTERS, ...filters };
+    this.matchMode = matchMode || 'all';
+    this.saveName = savedQuery.is_owner ? savedQuery.name : '';
+    this.saveShared = savedQuery.is_owner ? savedQuery.is_shared : false;
+    this.persistFilters();
+  }
+
+  @action
+  updateSaveName(event) {
+    this.saveName = event.target.value;
+  }
+
+  @action
+  toggleSaveShared(event) {
+    this.saveShared = event.target.checked;
+  }
+
+  /**
+   * Save the current filters. Saving under the name of one of your own
+   * queries updates it; any other name creates a new saved query.
+   */
+  @action
+  async saveQuery() {
+    const name = this.saveName.trim();
+    if (!name) {
+      this.notifications.warning('Please enter a name for this query');
+      return;
+    }
+
+    const payload = {
+      name,
+      filters: { ...this.cleanParams, matchMode: this.matchMode },
+      is_shared: this.saveShared,
+    };
+    const existing = this.mySavedQueries.find((query) => query.name === name);
+
+    this.isSaving = true;
+    try {
+      const response = existing
+        ? await this.assessing.updateSavedPropertyQuery(existing._id, payload)
+        : await this.assessing.createSavedPropertyQuery(payload);
+
+      await this.loadSavedQueries();
+      this.selectedSavedQueryId = response.savedQuery._id;
+      this.notifications.success(
+        existing ? `Updated "${name}"` : `Saved "${name}"`,
+      );
+    } catch (error) {
+      console.error('Failed to save property query:', error);
+      this.notifications.error(error.message || 'Failed to save query');
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  @action
+  async deleteSavedQuery() {
+    const savedQuery = this.selectedSavedQuery;
+    if (!savedQuery || !savedQuery.is_owner) return;
+
+    if (!confirm(`Delete the saved query "${savedQuery.name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.assessing.deleteSavedPropertyQuery(savedQuery._id);
+      this.selectedSavedQueryId = '';
+      this.saveName = '';
+      this.saveShared = false;
+      await this.loadSavedQueries();
+      this.notifications.success(`Deleted "${savedQuery.name}"`);
+    } catch (error) {
+      console.error('Failed to delete saved property query:', error);
+      this.notifications.error('Failed to delete saved query');
     }
   }
 
@@ -125,8 +401,6 @@ export default class PropertyQueryModalComponent extends Component {
   }
 
   get hasFilters() {
-    return Object.values(this.queryParams).some(
-      (value) => value && value.toString().trim() !== '',
-    );
+    return Object.keys(this.cleanParams).length > 0;
   }
 }
@@ -2,6 +2,7 @@ import Component from '@glimmer/component';
 import { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
+import config from 'avitar-suite/config/environment';
 
 /**
  * MS-1 Summary Inventory of Valuation Report Component
@@ -63,7 +64,7 @@ export default class Ms1SummaryInventoryComponent extends Component {
   }
 
   /**
-   * Export report to PDF for printing
+   * Export the report as a server-rendered PDF, or as CSV/Excel line items
    */
   @action
   async exportReport(format = 'pdf') {
@@ -74,28 +75,36 @@ export default class Ms1SummaryInventoryComponent extends Component {
 
     try {
       const municipalityId = this.municipality.currentMunicipality?.id;
+      const token = localStorage.getItem('authToken');
 
-      const response = await this.api.post(
-        `/municipalities/${municipalityId}/reports/ms1-summary-inventory/export`,
-        {
-          data: this.reportData,
-          format: format,
-        },
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${municipalityId}/reports/ms1-summary-inventory/export`,
         {
-          responseType: 'blob',
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({
+            parameters: { assessment_year: this.reportData.assessmentYear },
+            format: format,
+          }),
         },
       );
 
-      // Create download link
-      const blob = new Blob([response], {
-        type: 'application/pdf',
-      });
+      if (!response.ok) throw new Error('Failed to export report');
+
+      const blob = await response.blob();
+      const extension = format === 'excel' ? 'xlsx' : format;
 
+      // Create download link
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `MS-1-${this.municipality.currentMunicipality.name}-${this.reportData.assessmentYear}.pdf`;
+      link.download = `MS-1-${this.municipality.currentMunicipality.name}-${this.reportData.assessmentYear}.${extension}`;
+      document.body.appendChild(link);
       link.click();
+      document.body.removeChild(link);
 
       window.URL.revokeObjectURL(url);
       this.notifications.success('MS-1 report exported successfully');
@@ -4,6 +4,7 @@ import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
 import { schedule, next } from '@ember/runloop';
 import * as d3 from 'd3';
+import { parseVectorInput, traceVector } from '../../utils/sketch-vector';
 
 export default class SketchCanvasComponent extends Component {
   @tracked svg = null;
@@ -35,6 +36,9 @@ export default class SketchCanvasComponent extends Component {
   @tracked editingBulgeValue = ''; // Current bulge value being edited (kept for internal use)
   @tracked editingSagittaValue = ''; // Current sagitta (arc depth) in feet being edited (for display)
 
+  // Keyboard vector entry
+  @tracked vectorStartPoint = null; // Start point for traced vectors (defaults to the grid origin)
+
   constructor() {
     super(...arguments);
 
@@ -120,6 +124,78 @@ export default class SketchCanvasComponent extends Component {
     if (event.key === 'Shift') {
       this.isShiftPressed = true;
     }
+
+    // Undo/redo shortcuts - only when the parent provides a history
+    if (
+      (event.ctrlKey || event.metaKey) &&
+      !event.altKey &&
+      !this.isTextEntryTarget(event.target)
+    ) {
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey && this.args.onUndo) {
+        event.preventDefault();
+        this.undo();
+      } else if (
+        ((key === 'z' && event.shiftKey) || key === 'y') &&
+        this.args.onRedo
+      ) {
+        event.preventDefault();
+        this.cancelCurrentDrawing();
+        this.args.onRedo();
+      }
+    }
+  }
+
+  isTextEntryTarget(target) {
+    if (!target) return false;
+    const tagName = target.tagName?.toLowerCase();
+    return (
+      tagName === 'input' ||
+      tagName === 'textarea' ||
+      tagName === 'select' ||
+      target.isContentEditable
+    );
+  }
+
+  /**
+   * Undo: steps back through an in-progress polygon first, otherwise asks
+   * the parent to undo the last recorded shape change
+   */
+  @action
+  undo() {
+    if (this.isDrawing) {
+      if (this.drawingShape?.points?.length > 1) {
+        this.drawingShape.points.pop();
+        this.contentGroup?.select('.drawing-preview').remove();
+      } else {
+        this.cancelCurrentDrawing();
+      }
+      return;
+    }
+
+    // Abandon a half-finished arc; the vertices it inserted are undone below
+    if (this.arcModeStep > 0) {
+      this.cancelCurrentDrawing();
+    }
+
+    this.args.onUndo?.();
+  }
+
+  /**
+   * Tell the parent a shape is about to be modified in place so it can
+   * snapshot the sketch for undo. Nested calls are ignored until the
+   * matching endShapeChange.
+   */
+  beginShapeChange(label) {
+    if (this._hasPendingChange) return;
+    this._hasPendingChange = true;
+    this.args.onShapeChangeStart?.(label);
+  }
+
+  endShapeChange() {
+    if (!this._hasPendingChange) return;
+    this._hasPendingChange = false;
+    this.args.onShapeChangeEnd?.();
   }
 
   handleKeyUp(event) {
@@ -626,6 +702,12 @@ export default class SketchCanvasComponent extends Component {
         // Always stop propagation to prevent pan behavior on shape clicks
         event.stopPropagation();
 
+        // Vectors often start at a corner of an existing shape
+        if (this.args.drawingMode === 'vector') {
+          this.handleCanvasClick(event);
+          return;
+        }
+
         // Only allow selection if not in drawing mode
         const isDrawingMode =
           this.args.drawingMode && this.args.drawingMode !== null;
@@ -1641,6 +1723,7 @@ export default class SketchCanvasComponent extends Component {
       .on('start', (event) => {
         event.sourceEvent.stopPropagation();
         handle.attr('fill', '#ff4444'); // Darker red during drag
+        this.beginShapeChange('Move vertex');
       })
       .on('drag', (event) => {
         // Get drag position relative to the content group (accounting for zoom/pan)
@@ -1675,6 +1758,8 @@ export default class SketchCanvasComponent extends Component {
         if (this.args.onShapeSelect) {
           this.args.onShapeSelect(shape);
         }
+
+        this.endShapeChange();
       });
 
     handle.call(drag);
@@ -1821,6 +1906,9 @@ export default class SketchCanvasComponent extends Component {
       case 'arc':
         this.startArc(x, y);
         break;
+      case 'vector':
+        this.setVectorStart(x, y);
+        break;
     }
   }
 
@@ -1842,6 +1930,9 @@ export default class SketchCanvasComponent extends Component {
         return;
       }
 
+      // Record the whole arc workflow (or arc edit) as one undo step
+      this.beginShapeChange('Add arc');
+
       // Convert rectangle to polygon if needed
       if (edge.shape.type === 'rectangle') {
         console.log('Converting rectangle to polygon before adding arc');
@@ -2080,6 +2171,11 @@ export default class SketchCanvasComponent extends Component {
     this.arcEndVertexIndex = null;
     this.arcShape = null;
     this.arcIndicesReversed = false;
+
+    // Bulge editor (opened from arc mode) finishes the change when it closes
+    if (!this.showBulgeEditor) {
+      this.endShapeChange();
+    }
   }
 
   /**
@@ -2097,6 +2193,8 @@ export default class SketchCanvasComponent extends Component {
       return;
     }
 
+    this.beginShapeChange('Edit arc depth');
+
     // Convert sagitta from feet to pixels
     const sagittaPixels = Math.abs(sagittaFeet) * this.gridSize;
     const sign = sagittaFeet >= 0 ? 1 : -1;
@@ -2203,6 +2301,11 @@ export default class SketchCanvasComponent extends Component {
     this.editingArcVertexIndex = null;
     this.editingBulgeValue = '';
     this.editingSagittaValue = '';
+
+    // Finish any change started by arc mode or saveBulgeEdit
+    if (this.arcModeStep === 0) {
+      this.endShapeChange();
+    }
   }
 
   /**
@@ -2238,6 +2341,108 @@ export default class SketchCanvasComponent extends Component {
     }
   }
 
+  /**
+   * Set where the next traced vector starts (click in vector mode)
+   */
+  @action
+  setVectorStart(x, y) {
+    this.vectorStartPoint = { x, y };
+    this.previewVector(this._vectorPreviewInput);
+  }
+
+  get vectorOrigin() {
+    return (
+      this.vectorStartPoint || { x: this.gridOriginX, y: this.gridOriginY }
+    );
+  }
+
+  /**
+   * Trace a polygon from keyboard vector entry, e.g. "U20 R35 D20 L35"
+   * (called from parent)
+   * @param {string} input - Moves in feet; see utils/sketch-vector
+   * @returns {string|null} Error message, or null when the shape was added
+   */
+  @action
+  addVectorShape(input) {
+    const { moves, errors } = parseVectorInput(input);
+    if (errors.length > 0) {
+      return errors[0];
+    }
+
+    const { points, closed, gap } = traceVector(
+      moves,
+      this.vectorOrigin,
+      this.gridSize,
+    );
+
+    if (!closed) {
+      return `The outline does not close - it ends ${gap.toFixed(2)} ft from the start point`;
+    }
+    if (points.length < 3) {
+      return 'A shape needs at least three sides';
+    }
+
+    const area =
+      this.calculatePolygonArea(points) / (this.gridSize * this.gridSize);
+    if (area <= 0) {
+      return 'The outline has no area';
+    }
+
+    this.args.onShapeAdd?.({
+      type: 'polygon',
+      coordinates: { points },
+      area: area,
+    });
+
+    this.clearVectorPreview();
+    return null;
+  }
+
+  /**
+   * Draw the vector being typed as an open path from the start point
+   * (called from parent on input)
+   */
+  @action
+  previewVector(input) {
+    this._vectorPreviewInput = input;
+    if (!this.contentGroup) return;
+
+    this.contentGroup.select('.vector-preview').remove();
+
+    const start = this.vectorOrigin;
+    const { moves } = parseVectorInput(input);
+    const { points } = traceVector(moves, start, this.gridSize);
+
+    const preview = this.contentGroup
+      .append('g')
+      .attr('class', 'vector-preview')
+      .style('pointer-events', 'none');
+
+    preview
+      .append('circle')
+      .attr('cx', start.x)
+      .attr('cy', start.y)
+      .attr('r', 4 / this.zoomScale)
+      .attr('fill', 'red');
+
+    if (points.length > 1) {
+      preview
+        .append('polyline')
+        .attr('points', points.map((p) => `${p.x},${p.y}`).join(' '))
+        .attr('fill', 'none')
+        .attr('stroke', '#007bff')
+        .attr('stroke-width', 2 / this.zoomScale)
+        .attr('stroke-dasharray', '5,5');
+    }
+  }
+
+  @action
+  clearVectorPreview() {
+    this._vectorPreviewInput = '';
+    this.vectorStartPoint = null;
+    this.contentGroup?.select('.vector-preview').remove();
+  }
+
   // Method to start a new shape (called from parent)
   @action
   startNewDrawing() {
@@ -2686,6 +2891,7 @@ export default class SketchCanvasComponent extends Component {
   @action
   insertVertexAtMidpoint(shape, edgeIndex, midX, midY) {
     console.log('Inserting vertex at midpoint:', { edgeIndex, midX, midY });
+    this.beginShapeChange('Add vertex');
 
     // Convert rectangle to polygon if needed
     if (shape.type === 'rectangle') {
@@ -2703,6 +2909,8 @@ export default class SketchCanvasComponent extends Component {
       y: midY,
     });
 
+    this.endShapeChange();
+
     if (newVertexIndex === -1) {
       console.error('Failed to insert vertex');
       return;
@@ -2744,6 +2952,9 @@ export default class SketchCanvasComponent extends Component {
       // Add drag behavior
       const drag = d3
         .drag()
+        .on('start', () => {
+          this.beginShapeChange('Move vertex');
+        })
         .on('drag', (event) => {
           const [rawX, rawY] = [event.x, event.y];
           const snapped = this.snapToGridPoint(rawX, rawY);
@@ -2774,6 +2985,7 @@ export default class SketchCanvasComponent extends Component {
             this.args.onShapeSelect(shape);
           }
 
+          this.endShapeChange();
           console.log('Vertex drag completed');
         });
 
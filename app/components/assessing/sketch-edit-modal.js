@@ -2,6 +2,7 @@ import Component from '@glimmer/component';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
+import SketchHistory, { snapshotCommand } from '../../utils/sketch-history';
 
 export default class SketchEditModalComponent extends Component {
   @service assessing;
@@ -14,7 +15,11 @@ export default class SketchEditModalComponent extends Component {
   @tracked sketchSubAreaFactors = [];
   @tracked factorsMap = new Map();
   @tracked factorsLoaded = false;
+  @tracked vectorInput = '';
+  @tracked vectorError = '';
   canvasUpdateCallback = null;
+  history = new SketchHistory();
+  pendingChange = null;
 
   constructor() {
     super(...arguments);
@@ -132,6 +137,10 @@ export default class SketchEditModalComponent extends Component {
   }
 
   initializeEditedSketch() {
+    // Undo history belongs to the sketch being edited
+    this.history.clear();
+    this.pendingChange = null;
+
     if (this.args.sketch) {
       // Edit existing sketch - make a deep copy but preserve the ID
       this.editedSketch = this.deepCopy(this.args.sketch);
@@ -209,6 +218,7 @@ export default class SketchEditModalComponent extends Component {
   setDrawingMode(mode) {
     this.drawingMode = this.drawingMode === mode ? null : mode;
     this.selectedShape = null;
+    this.resetVectorEntry();
   }
 
   @action
@@ -258,6 +268,8 @@ export default class SketchEditModalComponent extends Component {
     // Generate temporary client-side ID for new shapes until server assigns _id
     const tempId = `temp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+    this.beginShapeChange('Add shape');
+
     const newShape = {
       _id: tempId, // Temporary ID - server will replace with real MongoDB _id on save
       type: shapeData.type,
@@ -270,6 +282,7 @@ export default class SketchEditModalComponent extends Component {
 
     this.editedSketch.shapes = [...(this.editedSketch.shapes || []), newShape];
     this.calculateSketchTotals();
+    this.endShapeChange();
 
     // Auto-select the newly created shape for immediate editing
     this.selectedShape = newShape;
@@ -309,6 +322,8 @@ export default class SketchEditModalComponent extends Component {
       this.editedSketch.shapes = [...this.args.sketch.shapes];
     }
 
+    this.beginShapeChange('Delete shape');
+
     // Use _id only (removing legacy id support)
     this.editedSketch.shapes = this.editedSketch.shapes.filter(
       (s) => s._id !== shapeId,
@@ -318,6 +333,7 @@ export default class SketchEditModalComponent extends Component {
       this.selectedShape = null;
     }
     this.calculateSketchTotals();
+    this.endShapeChange();
 
     // Force reactivity by creating a new object reference
     this.editedSketch = { ...this.editedSketch };
@@ -348,6 +364,8 @@ export default class SketchEditModalComponent extends Component {
     const shape = this.editedSketch.shapes.find((s) => s._id === shapeId);
     if (!shape) return;
 
+    this.beginShapeChange('Add description');
+
     // Get factor from database and calculate effective area
     const factor = this.factorsMap.get(code.toUpperCase()) || 1.0;
     const effectiveArea = Math.round(shape.area * factor);
@@ -363,6 +381,7 @@ export default class SketchEditModalComponent extends Component {
       shape.descriptions,
     );
     this.calculateSketchTotals();
+    this.endShapeChange();
 
     // Update selectedShape reference if it matches this shape
     if (this.selectedShape && this.selectedShape._id === shapeId) {
@@ -393,6 +412,8 @@ export default class SketchEditModalComponent extends Component {
     const shape = this.editedSketch.shapes.find((s) => s._id === shapeId);
     if (!shape) return;
 
+    this.beginShapeChange('Remove description');
+
     // Remove by index to maintain order
     shape.descriptions = (shape.descriptions || []).filter(
       (_, i) => i !== index,
@@ -401,6 +422,7 @@ export default class SketchEditModalComponent extends Component {
       shape.descriptions,
     );
     this.calculateSketchTotals();
+    this.endShapeChange();
 
     // Update selectedShape reference if it matches this shape
     if (this.selectedShape && this.selectedShape._id === shapeId) {
@@ -431,9 +453,12 @@ export default class SketchEditModalComponent extends Component {
     const shape = this.editedSketch.shapes.find((s) => s._id === shapeId);
     if (!shape) return;
 
+    this.beginShapeChange('Clear descriptions');
+
     shape.descriptions = [];
     shape.total_effective_area = 0;
     this.calculateSketchTotals();
+    this.endShapeChange();
 
     // Update selectedShape reference if it matches this shape
     if (this.selectedShape && this.selectedShape._id === shapeId) {
@@ -464,6 +489,8 @@ export default class SketchEditModalComponent extends Component {
     const shape = this.editedSketch.shapes.find((s) => s._id === shapeId);
     if (!shape || !shape.descriptions || index === 0) return;
 
+    this.beginShapeChange('Reorder descriptions');
+
     // Swap with the item above (index - 1)
     const descriptions = [...shape.descriptions];
     [descriptions[index - 1], descriptions[index]] = [
@@ -480,6 +507,7 @@ export default class SketchEditModalComponent extends Component {
       shape.effective_areas,
     );
     this.calculateSketchTotals();
+    this.endShapeChange();
 
     // Update selectedShape reference if it matches this shape
     if (this.selectedShape && this.selectedShape._id === shapeId) {
@@ -511,6 +539,8 @@ export default class SketchEditModalComponent extends Component {
     if (!shape || !shape.descriptions || index >= shape.descriptions.length - 1)
       return;
 
+    this.beginShapeChange('Reorder descriptions');
+
     // Swap with the item below (index + 1)
     const descriptions = [...shape.descriptions];
     [descriptions[index], descriptions[index + 1]] = [
@@ -527,6 +557,7 @@ export default class SketchEditModalComponent extends Component {
       shape.effective_areas,
     );
     this.calculateSketchTotals();
+    this.endShapeChange();
 
     // Update selectedShape reference if it matches this shape
     if (this.selectedShape && this.selectedShape._id === shapeId) {
@@ -564,6 +595,112 @@ export default class SketchEditModalComponent extends Component {
     // Cancel any current drawing operation
     this.drawingMode = null;
     this.selectedShape = null;
+    this.resetVectorEntry();
+  }
+
+  // Undo/redo: snapshot the shapes when a change starts, record a command
+  // once it completes. The canvas calls these around in-place edits
+  // (vertex drags, arcs); the modal's own actions call them directly.
+  @action
+  beginShapeChange(label) {
+    if (this.pendingChange || !this.editedSketch) return;
+    this.pendingChange = {
+      label,
+      before: this.deepCopy(this.editedSketch.shapes || []),
+    };
+  }
+
+  @action
+  endShapeChange() {
+    const change = this.pendingChange;
+    this.pendingChange = null;
+    if (!change || !this.editedSketch) return;
+
+    const after = this.deepCopy(this.editedSketch.shapes || []);
+    if (JSON.stringify(after) === JSON.stringify(change.before)) return;
+
+    this.history.push(
+      snapshotCommand(change.label, change.before, after, (shapes) =>
+        this.restoreShapes(shapes),
+      ),
+    );
+  }
+
+  @action
+  undo() {
+    const command = this.history.undo();
+    if (command) {
+      console.log(`↩️ Undo: ${command.label}`);
+    }
+  }
+
+  @action
+  redo() {
+    const command = this.history.redo();
+    if (command) {
+      console.log(`↪️ Redo: ${command.label}`);
+    }
+  }
+
+  get undoTitle() {
+    return this.history.undoLabel
+      ? `Undo ${this.history.undoLabel} (Ctrl+Z)`
+      : 'Undo (Ctrl+Z)';
+  }
+
+  get redoTitle() {
+    return this.history.redoLabel
+      ? `Redo ${this.history.redoLabel} (Ctrl+Shift+Z)`
+      : 'Redo (Ctrl+Shift+Z)';
+  }
+
+  restoreShapes(shapes) {
+    const selectedId = this.selectedShape?._id;
+
+    this.editedSketch.shapes = this.deepCopy(shapes);
+    this.calculateSketchTotals();
+    this.selectedShape =
+      this.editedSketch.shapes.find((s) => s._id === selectedId) || null;
+
+    setTimeout(() => {
+      this.editedSketch = { ...this.editedSketch };
+
+      if (this.canvasUpdateCallback) {
+        this.canvasUpdateCallback();
+      }
+
+      if (this.args.onShapeChange) {
+        this.args.onShapeChange(this.editedSketch);
+      }
+    }, 0);
+  }
+
+  @action
+  updateVectorInput(event) {
+    this.vectorInput = event.target.value;
+    this.vectorError = '';
+    this.canvasComponent?.previewVector(this.vectorInput);
+  }
+
+  @action
+  submitVector(event) {
+    event.preventDefault();
+    if (!this.vectorInput.trim() || !this.canvasComponent) return;
+
+    const error = this.canvasComponent.addVectorShape(this.vectorInput);
+    if (error) {
+      this.vectorError = error;
+      return;
+    }
+
+    this.vectorInput = '';
+    this.vectorError = '';
+  }
+
+  resetVectorEntry() {
+    this.vectorInput = '';
+    this.vectorError = '';
+    this.canvasComponent?.clearVectorPreview();
   }
 
   @action
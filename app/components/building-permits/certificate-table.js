@@ -0,0 +1,112 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import config from 'avitar-suite/config/environment';
+
+const STATUS_BADGES = {
+  active: 'success',
+  expired: 'warning',
+  superseded: 'secondary',
+  revoked: 'danger',
+};
+
+export default class CertificateTableComponent extends Component {
+  @service api;
+  @service notifications;
+  @service('current-user') currentUser;
+
+  @tracked revoking = null;
+  @tracked revocationReason = '';
+  @tracked isRevoking = false;
+
+  get canRevoke() {
+    return this.currentUser.hasModulePermission('building_permit', 'update');
+  }
+
+  get rows() {
+    return (this.args.certificates || []).map((certificate) => {
+      const status = certificate.currentStatus || certificate.status;
+      return {
+        certificate,
+        status,
+        badge: STATUS_BADGES[status] || 'secondary',
+        canRevoke: this.canRevoke && certificate.status === 'active',
+        isRevoking: this.revoking?._id === certificate._id,
+      };
+    });
+  }
+
+  @action
+  async downloadPdf(certificate) {
+    try {
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${this.args.municipalityId}/certificates/${certificate._id}/pdf`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+          },
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to download certificate');
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${certificate.certificateNumber}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading certificate:', error);
+      this.notifications.error('Failed to download certificate');
+    }
+  }
+
+  @action
+  startRevoke(certificate) {
+    this.revoking = certificate;
+    this.revocationReason = '';
+  }
+
+  @action
+  cancelRevoke() {
+    this.revoking = null;
+    this.revocationReason = '';
+  }
+
+  @action
+  updateReason(event) {
+    this.revocationReason = event.target.value;
+  }
+
+  @action
+  async confirmRevoke(event) {
+    event.preventDefault();
+    if (!this.revocationReason.trim()) {
+      this.notifications.warning('Enter a reason for revoking the certificate');
+      return;
+    }
+
+    this.isRevoking = true;
+    try {
+      await this.api.post(
+        `/municipalities/${this.args.municipalityId}/certificates/${this.revoking._id}/revoke`,
+        { reason: this.revocationReason },
+      );
+      this.notifications.success(
+        `Certificate ${this.revoking.certificateNumber} revoked`,
+      );
+      this.cancelRevoke();
+      this.args.onChange?.();
+    } catch (error) {
+      this.notifications.error(error.message || 'Failed to revoke certificate');
+    } finally {
+      this.isRevoking = false;
+    }
+  }
+}
@@ -0,0 +1,137 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+
+const RATING_CATEGORIES = [
+  { key: 'workmanship', label: 'Workmanship' },
+  { key: 'inspection_pass_rate', label: 'Inspection Pass Rate' },
+  { key: 'timeliness', label: 'Timeliness' },
+];
+
+export default class ContractorReviewComponent extends Component {
+  @service api;
+  @service notifications;
+  @service('current-user') currentUser;
+
+  @tracked isLoading = true;
+  @tracked isSubmitting = false;
+  @tracked reviewState = null;
+  @tracked profile = null;
+  @tracked ratings = {};
+  @tracked comments = '';
+
+  ratingOptions = [1, 2, 3, 4, 5];
+
+  constructor() {
+    super(...arguments);
+    this.loadReview();
+  }
+
+  get contractorId() {
+    const contractor = this.args.permit?.contractor_id;
+    return contractor?._id || contractor;
+  }
+
+  get contractorName() {
+    return (
+      this.profile?.contractor?.company_name ||
+      this.args.permit?.contractor?.companyName ||
+      'Contractor'
+    );
+  }
+
+  get review() {
+    return this.reviewState?.review;
+  }
+
+  get canReview() {
+    return Boolean(this.reviewState?.canReview);
+  }
+
+  get metrics() {
+    return this.profile?.inspection_metrics;
+  }
+
+  get hasPassRate() {
+    return this.metrics && this.metrics.first_time_pass_rate !== null;
+  }
+
+  get categories() {
+    return RATING_CATEGORIES.map((category) => ({
+      ...category,
+      value: this.ratings[category.key],
+      reviewValue: this.review?.ratings?.[category.key],
+    }));
+  }
+
+  get isComplete() {
+    return RATING_CATEGORIES.every((category) => this.ratings[category.key]);
+  }
+
+  async loadReview() {
+    if (!this.contractorId) {
+      this.isLoading = false;
+      return;
+    }
+
+    const { municipalityId } = this.args;
+    const permitId = this.args.permit._id;
+
+    try {
+      this.reviewState = await this.api.get(
+        `/municipalities/${municipalityId}/permits/${permitId}/contractor-review`,
+      );
+
+      // Rating and inspection history are for staff comparing contractors
+      if (this.currentUser.isMunicipalStaff) {
+        this.profile = await this.api
+          .get(`/contractors/${this.contractorId}/profile`, {
+            municipalityId,
+            limit: 3,
+          })
+          .catch(() => null);
+      }
+    } catch (error) {
+      console.error('Error loading contractor review:', error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  @action
+  setRating(key, value) {
+    this.ratings = { ...this.ratings, [key]: value };
+  }
+
+  @action
+  updateComments(event) {
+    this.comments = event.target.value;
+  }
+
+  @action
+  async submitReview(event) {
+    event.preventDefault();
+    if (!this.isComplete) {
+      this.notifications.warning('Rate all three categories before submitting');
+      return;
+    }
+
+    this.isSubmitting = true;
+    try {
+      const { municipalityId } = this.args;
+      await this.api.post(
+        `/municipalities/${municipalityId}/permits/${this.args.permit._id}/contractor-review`,
+        { ratings: this.ratings, comments: this.comments },
+      );
+      this.notifications.success('Thank you, your review has been recorded');
+      this.ratings = {};
+      this.comments = '';
+      await this.loadReview();
+    } catch (error) {
+      this.notifications.error(error.message || 'Failed to submit review');
+    } finally {
+      this.isSubmitting = false;
+    }
+  }
+}
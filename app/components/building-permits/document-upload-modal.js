@@ -30,7 +30,10 @@ export default class BuildingPermitsDocumentUploadModalComponent extends Compone
   handleFileSelect(event) {
     const files = event.target.files;
     if (files && files.length > 0) {
-      this.selectedFiles = Array.from(files);
+      // A new version replaces a single file
+      this.selectedFiles = this.args.previousFile
+        ? [files[0]]
+        : Array.from(files);
     }
   }
 
@@ -76,7 +79,10 @@ export default class BuildingPermitsDocumentUploadModalComponent extends Compone
         formData.append('propertyId', propertyId);
 
         formData.append('department', 'building_permit');
-        formData.append('category', this.documentType);
+        formData.append(
+          'category',
+          this.args.previousFile?.category || this.documentType,
+        );
         formData.append('displayName', file.name);
         formData.append(
           'description',
@@ -85,6 +91,9 @@ export default class BuildingPermitsDocumentUploadModalComponent extends Compone
         formData.append('visibility', 'private');
         formData.append('permitId', this.args.permitId);
         formData.append('permitNumber', this.args.permitNumber || '');
+        if (this.args.previousFile) {
+          formData.append('previousFileId', this.args.previousFile._id);
+        }
 
         if (this.args.isProject) {
           formData.append('isProjectFile', 'true');
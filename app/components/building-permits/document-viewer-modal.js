@@ -2,10 +2,32 @@ import Component from '@glimmer/component';
 import { action } from '@ember/object';
 import { tracked } from '@glimmer/tracking';
 import { inject as service } from '@ember/service';
+import { modifier } from 'ember-modifier';
+import { htmlSafe } from '@ember/template';
 import config from 'avitar-suite/config/environment';
+import {
+  MARKUP_SHAPES,
+  coordinatesFromDrag,
+  markupDrawing,
+  relativePoint,
+} from 'avitar-suite/utils/markup-geometry';
 
+const SHAPE_ICONS = {
+  cloud: 'fa-cloud',
+  arrow: 'fa-long-arrow-alt-right',
+  text: 'fa-font',
+  measurement: 'fa-ruler',
+};
+
+/**
+ * Document viewer with plan review markup.
+ * Pass @permitId and @municipalityId to load the markups for the file;
+ * @canMarkup enables the drawing tools and @startMarkup opens with them shown.
+ */
 export default class BuildingPermitsDocumentViewerModalComponent extends Component {
   @service api;
+  @service notifications;
+  @service('current-user') currentUser;
 
   @tracked isLoading = false;
   @tracked error = null;
@@ -13,6 +35,22 @@ export default class BuildingPermitsDocumentViewerModalComponent extends Compone
   @tracked zoomLevel = 100; // Zoom level as percentage
   @tracked annotationPanelHovered = false;
 
+  // Markup state
+  @tracked annotations = [];
+  @tracked currentPage = 1;
+  @tracked activeTool = null;
+  @tracked dragStart = null;
+  @tracked dragEnd = null;
+  @tracked draft = null;
+  @tracked draftText = '';
+  @tracked draftMeasurementValue = '';
+  @tracked draftMeasurementUnit = 'ft';
+  @tracked draftShared = false;
+  @tracked isSavingMarkup = false;
+  @tracked selectedAnnotationId = null;
+  @tracked showResolved = false;
+  @tracked showMarkupTools = false;
+
   get shouldLoadFile() {
     return this.args.isOpen && this.args.file;
   }
@@ -27,6 +65,16 @@ export default class BuildingPermitsDocumentViewerModalComponent extends Compone
     return url;
   }
 
+  // PDFs open on the current page fitted to the frame, so the markup overlay
+  // covers the same area as the page
+  get pdfPageUrl() {
+    return `${this.computedFileUrl}#page=${this.currentPage}&view=Fit&toolbar=0`;
+  }
+
+  get pageZoomStyle() {
+    return htmlSafe(`transform: scale(${this.zoomLevel / 100});`);
+  }
+
   get downloadUrl() {
     if (!this.args.file) return null;
     const token = localStorage.getItem('authToken');
@@ -47,34 +95,300 @@ export default class BuildingPermitsDocumentViewerModalComponent extends Compone
     return this.isPDF || this.isImage;
   }
 
-  // Get annotations for this specific document
+  get hasMarkupContext() {
+    return Boolean(this.args.permitId && this.args.municipalityId);
+  }
+
+  get canMarkup() {
+    return this.hasMarkupContext && this.args.canMarkup && this.canPreview;
+  }
+
+  get markupTools() {
+    return MARKUP_SHAPES.map((shape) => ({
+      shape,
+      icon: SHAPE_ICONS[shape],
+      label: shape.charAt(0).toUpperCase() + shape.slice(1),
+    }));
+  }
+
+  // Markups on this document, numbered in page order
   get documentAnnotations() {
-    if (!this.args.comments || !this.args.file) return [];
-
-    const fileName =
-      this.args.file.displayName ||
-      this.args.file.fileName ||
-      this.args.file.originalName;
-
-    // Filter comments that are document annotations for this file
-    return this.args.comments.filter((comment) => {
-      const content = comment.content || '';
-      return (
-        content.startsWith('📄 Document Annotation') &&
-        content.includes(fileName)
-      );
-    });
+    return this.annotations
+      .filter((annotation) => this.showResolved || annotation.status === 'open')
+      .map((annotation, index) => ({
+        ...annotation,
+        number: index + 1,
+        icon: SHAPE_ICONS[annotation.shape],
+        isSelected: annotation._id === this.selectedAnnotationId,
+        isResolved: annotation.status === 'resolved',
+        isSuperseded: Boolean(annotation.supersededBy),
+        isAuthor: annotation.authorId === this.currentUser.user?._id,
+        drawing: markupDrawing(annotation),
+      }));
+  }
+
+  get pageAnnotations() {
+    return this.documentAnnotations.filter(
+      (annotation) => (annotation.page || 1) === this.currentPage,
+    );
   }
 
   get hasAnnotations() {
-    return this.documentAnnotations.length > 0;
+    return this.annotations.length > 0;
+  }
+
+  get openAnnotationCount() {
+    return this.annotations.filter((annotation) => annotation.status === 'open')
+      .length;
+  }
+
+  get showAnnotationPanel() {
+    return this.hasAnnotations || this.showMarkupTools || Boolean(this.draft);
+  }
+
+  // Preview of the markup being drawn or waiting to be saved
+  get draftDrawing() {
+    if (this.draft) {
+      return markupDrawing(this.draft);
+    }
+    if (this.dragStart && this.dragEnd && this.activeTool) {
+      const coordinates = coordinatesFromDrag(
+        this.activeTool,
+        this.dragStart,
+        this.dragEnd,
+      );
+      return coordinates
+        ? markupDrawing({ shape: this.activeTool, coordinates })
+        : null;
+    }
+    return null;
+  }
+
+  get annotationsPath() {
+    return `/municipalities/${this.args.municipalityId}/permits/${this.args.permitId}/annotations`;
+  }
+
+  // Reload the markups whenever the modal opens or shows a different file
+  loadMarkup = modifier((element, [file]) => {
+    this.loadAnnotations(file);
+  });
+
+  @action
+  async loadAnnotations(file) {
+    this.annotations = [];
+    this.currentPage = 1;
+    this.resetDraft();
+    this.showMarkupTools = Boolean(this.args.startMarkup && this.canMarkup);
+
+    if (!this.hasMarkupContext || !file) return;
+
+    try {
+      const response = await this.api.get(this.annotationsPath, {
+        fileId: file._id,
+      });
+      this.annotations = response.annotations || [];
+    } catch (error) {
+      console.error('Failed to load document markups:', error);
+    }
+  }
+
+  @action
+  toggleMarkupTools() {
+    this.showMarkupTools = !this.showMarkupTools;
+    if (!this.showMarkupTools) {
+      this.resetDraft();
+    }
+  }
+
+  @action
+  selectTool(shape) {
+    this.activeTool = this.activeTool === shape ? null : shape;
+    this.draft = null;
+  }
+
+  @action
+  toggleShowResolved() {
+    this.showResolved = !this.showResolved;
+  }
+
+  @action
+  previousPage() {
+    if (this.currentPage > 1) this.currentPage -= 1;
+  }
+
+  @action
+  nextPage() {
+    this.currentPage += 1;
+  }
+
+  @action
+  selectAnnotation(annotation) {
+    this.selectedAnnotationId = annotation._id;
+    this.currentPage = annotation.page || 1;
+  }
+
+  // Drawing: press, drag and release on the overlay while a tool is active
+  @action
+  startDrawing(event) {
+    if (!this.activeTool || this.draft) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    this.dragStart = relativePoint(event.clientX, event.clientY, rect);
+    this.dragEnd = this.dragStart;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  }
+
+  @action
+  continueDrawing(event) {
+    if (!this.dragStart) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    this.dragEnd = relativePoint(event.clientX, event.clientY, rect);
+  }
+
+  @action
+  finishDrawing(event) {
+    if (!this.dragStart) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const end = relativePoint(event.clientX, event.clientY, rect);
+    const coordinates = coordinatesFromDrag(
+      this.activeTool,
+      this.dragStart,
+      end,
+    );
+
+    this.dragStart = null;
+    this.dragEnd = null;
+
+    if (coordinates) {
+      this.draft = {
+        shape: this.activeTool,
+        page: this.currentPage,
+        coordinates,
+      };
+    }
+  }
+
+  @action
+  updateDraftText(event) {
+    this.draftText = event.target.value;
+  }
+
+  @action
+  updateDraftMeasurementValue(event) {
+    this.draftMeasurementValue = event.target.value;
+  }
+
+  @action
+  updateDraftMeasurementUnit(event) {
+    this.draftMeasurementUnit = event.target.value;
+  }
+
+  @action
+  toggleDraftShared(event) {
+    this.draftShared = event.target.checked;
+  }
+
+  @action
+  resetDraft() {
+    this.activeTool = null;
+    this.dragStart = null;
+    this.dragEnd = null;
+    this.draft = null;
+    this.draftText = '';
+    this.draftMeasurementValue = '';
+    this.draftShared = false;
+  }
+
+  @action
+  async saveMarkup() {
+    if (!this.draft) return;
+
+    if (this.draft.shape === 'text' && !this.draftText.trim()) {
+      this.notifications.warning('Enter the text for this callout');
+      return;
+    }
+    if (
+      this.draft.shape === 'measurement' &&
+      this.draftMeasurementValue === ''
+    ) {
+      this.notifications.warning('Enter the measured dimension');
+      return;
+    }
+
+    this.isSavingMarkup = true;
+    try {
+      const response = await this.api.post(this.annotationsPath, {
+        ...this.draft,
+        fileId: this.args.file._id,
+        text: this.draftText.trim(),
+        measurement:
+          this.draft.shape === 'measurement'
+            ? {
+                value: parseFloat(this.draftMeasurementValue),
+                unit: this.draftMeasurementUnit,
+              }
+            : undefined,
+        visibility: this.draftShared ? 'public' : 'internal',
+        department: this.args.department,
+      });
+
+      this.annotations = [...this.annotations, response.annotation].sort(
+        (a, b) => (a.page || 1) - (b.page || 1),
+      );
+      this.selectedAnnotationId = response.annotation._id;
+      this.resetDraft();
+      this.notifications.success('Markup saved');
+    } catch (error) {
+      console.error('Failed to save markup:', error);
+      this.notifications.error(error.message || 'Failed to save markup');
+    } finally {
+      this.isSavingMarkup = false;
+    }
+  }
+
+  replaceAnnotation(updated) {
+    this.annotations = this.annotations.map((annotation) =>
+      annotation._id === updated._id ? updated : annotation,
+    );
+  }
+
+  @action
+  async resolveAnnotation(annotation) {
+    try {
+      const response = await this.api.post(
+        `/municipalities/${this.args.municipalityId}/annotations/${annotation._id}/resolve`,
+      );
+      this.replaceAnnotation(response.annotation);
+    } catch (error) {
+      this.notifications.error(error.message || 'Failed to resolve markup');
+    }
   }
 
-  // Parse annotation content to remove the prefix
-  getAnnotationText(comment) {
-    const content = comment.content || '';
-    const match = content.match(/📄 Document Annotation \([^)]+\): (.+)/);
-    return match ? match[1] : content;
+  @action
+  async reopenAnnotation(annotation) {
+    try {
+      const response = await this.api.post(
+        `/municipalities/${this.args.municipalityId}/annotations/${annotation._id}/reopen`,
+      );
+      this.replaceAnnotation(response.annotation);
+    } catch (error) {
+      this.notifications.error(error.message || 'Failed to reopen markup');
+    }
+  }
+
+  @action
+  async deleteAnnotation(annotation) {
+    if (!confirm('Delete this markup?')) return;
+
+    try {
+      await this.api.delete(
+        `/municipalities/${this.args.municipalityId}/annotations/${annotation._id}`,
+      );
+      this.annotations = this.annotations.filter(
+        (a) => a._id !== annotation._id,
+      );
+    } catch (error) {
+      this.notifications.error(error.message || 'Failed to delete markup');
+    }
   }
 
   @action
@@ -103,9 +417,11 @@ export default class BuildingPermitsDocumentViewerModalComponent extends Compone
 
   @action
   close() {
-    // Reset zoom when closing
+    // Reset zoom and markup state when closing
     this.zoomLevel = 100;
     this.annotationPanelHovered = false;
+    this.resetDraft();
+    this.selectedAnnotationId = null;
     if (this.args.onClose) {
       this.args.onClose();
     }
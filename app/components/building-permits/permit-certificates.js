@@ -0,0 +1,161 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+
+// Default temporary certificate term
+const TEMPORARY_TERM_DAYS = 90;
+
+function dateInputValue(date) {
+  return date.toISOString().split('T')[0];
+}
+
+export default class PermitCertificatesComponent extends Component {
+  @service api;
+  @service notifications;
+  @service('current-user') currentUser;
+
+  @tracked isLoading = true;
+  @tracked isIssuing = false;
+  @tracked showForm = false;
+  @tracked certificates = [];
+  @tracked eligibility = null;
+
+  @tracked type = 'occupancy';
+  @tracked isTemporary = false;
+  @tracked conditionsText = '';
+  @tracked expiresAt = '';
+  @tracked occupancyClassification = '';
+  @tracked notes = '';
+
+  constructor() {
+    super(...arguments);
+    this.loadCertificates();
+  }
+
+  get canIssue() {
+    return this.currentUser.hasModulePermission('building_permit', 'update');
+  }
+
+  get requiredInspections() {
+    return this.eligibility?.requiredInspections || [];
+  }
+
+  get canSubmit() {
+    if (!this.eligibility) return false;
+    return this.isTemporary
+      ? this.eligibility.eligibleForTemporary
+      : this.eligibility.eligible;
+  }
+
+  get canOfferTemporary() {
+    return (
+      this.type === 'occupancy' &&
+      Boolean(this.eligibility?.eligibleForTemporary)
+    );
+  }
+
+  get conditions() {
+    return this.conditionsText
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  get minExpiry() {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return dateInputValue(tomorrow);
+  }
+
+  async loadCertificates() {
+    const { municipalityId, permit } = this.args;
+    try {
+      const response = await this.api.get(
+        `/municipalities/${municipalityId}/permits/${permit._id}/certificates`,
+      );
+      this.certificates = response.certificates || [];
+      this.eligibility = response.eligibility;
+      this.type = this.eligibility?.defaultType || 'occupancy';
+    } catch (error) {
+      console.error('Error loading certificates:', error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  @action
+  openForm() {
+    const expiry = new Date();
+    expiry.setDate(expiry.getDate() + TEMPORARY_TERM_DAYS);
+
+    this.isTemporary = !this.eligibility?.eligible;
+    this.conditionsText = '';
+    this.expiresAt = dateInputValue(expiry);
+    this.occupancyClassification = '';
+    this.notes = '';
+    this.showForm = true;
+  }
+
+  @action
+  closeForm() {
+    this.showForm = false;
+  }
+
+  @action
+  updateField(field, event) {
+    this[field] = event.target.value;
+  }
+
+  @action
+  setType(event) {
+    this.type = event.target.value;
+    if (this.type !== 'occupancy') this.isTemporary = false;
+  }
+
+  @action
+  toggleTemporary(event) {
+    this.isTemporary = event.target.checked;
+  }
+
+  @action
+  async issueCertificate(event) {
+    event.preventDefault();
+    if (this.isTemporary && !this.conditions.length) {
+      this.notifications.warning(
+        'List at least one condition for a temporary certificate',
+      );
+      return;
+    }
+
+    this.isIssuing = true;
+    try {
+      const { municipalityId, permit } = this.args;
+      const { certificate } = await this.api.post(
+        `/municipalities/${municipalityId}/permits/${permit._id}/certificates`,
+        {
+          type: this.type,
+          isTemporary: this.isTemporary,
+          conditions: this.isTemporary ? this.conditions : [],
+          expiresAt: this.isTemporary ? this.expiresAt : null,
+          occupancyClassification: this.occupancyClassification,
+          notes: this.notes,
+        },
+      );
+      this.notifications.success(
+        `Certificate ${certificate.certificateNumber} issued`,
+      );
+      this.showForm = false;
+      await this.loadCertificates();
+    } catch (error) {
+      this.notifications.error(error.message || 'Failed to issue certificate');
+    } finally {
+      this.isIssuing = false;
+    }
+  }
+
+  @action
+  refresh() {
+    this.loadCertificates();
+  }
+}
@@ -1,6 +1,10 @@
 import Component from '@glimmer/component';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
+import {
+  calculatePermitFee,
+  validateFormula,
+} from 'avitar-suite/utils/fee-formula';
 
 export default class BuildingPermitsPermitTypeModalComponent extends Component {
   @tracked currentSection = 1;
@@ -81,7 +85,7 @@ export default class BuildingPermitsPermitTypeModalComponent extends Component {
         perSqftRate: parseFloat(this.perSqftRate) || 0,
         percentageRate: parseFloat(this.percentageRate) || 0,
         formula: this.formula,
-        linkedScheduleId: this.linkedScheduleId,
+        linkedScheduleId: this.linkedScheduleId || null,
       },
       departmentReviews: this.departmentReviews,
       customFormFields: this.customFormFields,
@@ -146,7 +150,13 @@ export default class BuildingPermitsPermitTypeModalComponent extends Component {
       this.baseAmount = pt.feeSchedule?.baseAmount || 0;
       this.calculationType = pt.feeSchedule?.calculationType || 'flat';
       this.perSqftRate = pt.feeSchedule?.perSqftRate || 0.5;
-      this.percentageRate = pt.feeSchedule?.percentageRate || 2.5;
+      // Percentage types saved before percentageRate existed used perSqftRate
+      this.percentageRate =
+        pt.feeSchedule?.percentageRate ??
+        (this.calculationType === 'percentage'
+          ? pt.feeSchedule?.perSqftRate
+          : null) ??
+        2.5;
       this.formula = pt.feeSchedule?.formula || '';
       this.linkedScheduleId = pt.feeSchedule?.linkedScheduleId || null;
       this.departmentReviews = [...(pt.departmentReviews || [])];
@@ -230,51 +240,65 @@ export default class BuildingPermitsPermitTypeModalComponent extends Component {
     ];
   }
 
-  // Fee calculation examples
+  get feeSchedules() {
+    return this.args.feeSchedules || [];
+  }
+
+  get formulaCheck() {
+    if (this.calculationType !== 'custom' || !this.formula.trim()) {
+      return null;
+    }
+    return validateFormula(this.formula);
+  }
+
+  get hasFormulaError() {
+    return Boolean(this.formulaCheck && !this.formulaCheck.valid);
+  }
+
+  // Fee calculation examples, from the same evaluator used to charge fees
   get feeExamples() {
-    const base = parseFloat(this.baseAmount) || 0;
-    const examples = [];
-
-    switch (this.calculationType) {
-      case 'flat':
-        examples.push({
-          description: 'Any size home',
-          sqft: 'N/A',
-          fee: base.toFixed(2),
-        });
-        break;
-      case 'per_sqft':
-        const rate = parseFloat(this.perSqftRate) || 0;
-        [1500, 2500, 3500].forEach((sqft) => {
-          const fee = base + sqft * rate;
-          examples.push({
-            description: `${sqft} sq ft home`,
-            sqft,
-            fee: fee.toFixed(2),
-          });
-        });
-        break;
-      case 'percentage':
-        const percentageRate = parseFloat(this.percentageRate) || 0;
-        [150000, 300000, 500000].forEach((value) => {
-          const fee = value * (percentageRate / 100);
-          examples.push({
-            description: `$${value.toLocaleString()} value`,
-            sqft: 'N/A',
-            fee: fee.toFixed(2),
-          });
-        });
-        break;
-      case 'custom':
-        examples.push({
-          description: 'Based on formula',
-          sqft: 'Varies',
-          fee: 'Calculated',
-        });
-        break;
+    const feeSchedule = this.formData.feeSchedule;
+    const scenarios = {
+      flat: [{ description: 'Any size home', squareFootage: 0 }],
+      per_sqft: [1500, 2500, 3500].map((sqft) => ({
+        description: `${sqft} sq ft home`,
+        squareFootage: sqft,
+      })),
+      percentage: [150000, 300000, 500000].map((value) => ({
+        description: `$${value.toLocaleString()} value`,
+        estimatedValue: value,
+      })),
+      custom: [
+        [1500, 150000],
+        [2500, 300000],
+        [3500, 500000],
+      ].map(([sqft, value]) => ({
+        description: `${sqft} sq ft, $${value.toLocaleString()} value`,
+        squareFootage: sqft,
+        estimatedValue: value,
+      })),
+    };
+
+    if (this.hasFormulaError) {
+      return [];
     }
 
-    return examples;
+    return (scenarios[this.calculationType] || []).map((scenario) => {
+      let fee;
+      try {
+        fee = calculatePermitFee(feeSchedule, scenario, {
+          schedules: this.feeSchedules,
+        }).toFixed(2);
+      } catch (error) {
+        fee = error.message;
+      }
+      return {
+        description: scenario.description,
+        sqft: scenario.squareFootage || 'N/A',
+        fee,
+        isError: isNaN(fee),
+      };
+    });
   }
 
   @action
@@ -665,6 +689,12 @@ export default class BuildingPermitsPermitTypeModalComponent extends Component {
       return;
     }
 
+    if (this.hasFormulaError) {
+      alert(`Please fix the fee formula: ${this.formulaCheck.error}`);
+      this.currentSection = 2;
+      return;
+    }
+
     // Call parent save action
     await this.args.onSave(this.formData);
   }
@@ -0,0 +1,57 @@
+import Component from '@glimmer/component';
+
+const NUMERIC_TYPES = ['number', 'currency', 'percent'];
+
+const currency = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: 2,
+});
+
+function formatCell(value, type) {
+  if (value === null || value === undefined || value === '') return '';
+
+  switch (type) {
+    case 'currency':
+      return currency.format(value);
+    case 'number':
+      return Number(value).toLocaleString('en-US', {
+        maximumFractionDigits: 1,
+      });
+    case 'percent':
+      return `${(Number(value) * 100).toFixed(1)}%`;
+    case 'date':
+      return new Date(value).toLocaleDateString('en-US');
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * One section of a server report document ({ title, columns, rows, totals })
+ * rendered as a table, formatted the same way as the exports
+ */
+export default class ReportSectionComponent extends Component {
+  get columns() {
+    return (this.args.section?.columns || []).map((column) => ({
+      ...column,
+      isNumeric: NUMERIC_TYPES.includes(column.type),
+    }));
+  }
+
+  cells(row) {
+    return this.columns.map((column) => ({
+      value: formatCell(row[column.key], column.type),
+      isNumeric: column.isNumeric,
+    }));
+  }
+
+  get rows() {
+    return (this.args.section?.rows || []).map((row) => this.cells(row));
+  }
+
+  get totals() {
+    const { totals } = this.args.section || {};
+    return totals ? this.cells(totals) : null;
+  }
+}
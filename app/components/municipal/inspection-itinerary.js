@@ -0,0 +1,247 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { inject as service } from '@ember/service';
+import config from 'avitar-suite/config/environment';
+
+function today() {
+  const now = new Date();
+  return [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+function formatTime(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+}
+
+/**
+ * Inspection Itinerary Component
+ *
+ * An inspector's day in visiting order with travel legs and estimated
+ * arrivals. "Optimize my day" re-sequences the stops by travel distance within
+ * their time windows and notifies applicants of their new arrival windows.
+ * "Save day for offline" keeps the day's inspections on the device; without a
+ * connection the saved inspections are listed instead.
+ *
+ * @param {String} @municipalityId - Current municipality
+ * @param {Array} @inspectors - Inspector filter options ({ value, label }) for staff planning another inspector's day
+ */
+export default class MunicipalInspectionItineraryComponent extends Component {
+  @service api;
+  @service notifications;
+  @service fieldInspections;
+
+  @tracked date = today();
+  @tracked inspector = '';
+  @tracked itinerary = null;
+  @tracked savedInspections = null;
+  @tracked isLoading = false;
+  @tracked isOptimizing = false;
+  @tracked isSavingOffline = false;
+
+  constructor() {
+    super(...arguments);
+    this.loadItinerary();
+  }
+
+  get inspectorOptions() {
+    return [
+      { value: '', label: 'My Day' },
+      ...(this.args.inspectors || []).filter((option) => option.value),
+    ];
+  }
+
+  get query() {
+    const query = { date: this.date };
+    if (this.inspector) query.inspector = this.inspector;
+    return query;
+  }
+
+  get stops() {
+    return (this.itinerary?.stops || []).map((stop) => ({
+      ...stop,
+      arrivalLabel: formatTime(stop.estimatedArrival),
+      windowLabel: `${formatTime(stop.timeWindow.start)} - ${formatTime(stop.timeWindow.end)}`,
+      quotedLabel: stop.arrivalWindow
+        ? `${formatTime(stop.arrivalWindow.start)} - ${formatTime(stop.arrivalWindow.end)}`
+        : null,
+    }));
+  }
+
+  get isShowingSaved() {
+    return this.savedInspections !== null;
+  }
+
+  get savedStops() {
+    return (this.savedInspections || []).map((inspection) => ({
+      ...inspection,
+      typeLabel: (inspection.type || '')
+        .split('_')
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' '),
+      address:
+        inspection.propertyAddress || inspection.permitId?.propertyAddress,
+    }));
+  }
+
+  get finishLabel() {
+    return formatTime(this.itinerary?.totals?.estimatedFinish);
+  }
+
+  get canImprove() {
+    return (
+      this.itinerary?.stops?.length && !this.itinerary.optimized.isCurrentOrder
+    );
+  }
+
+  @action
+  async loadItinerary() {
+    if (!this.args.municipalityId) return;
+
+    this.isLoading = true;
+    this.savedInspections = null;
+    try {
+      if (!navigator.onLine) {
+        await this.loadSavedInspections();
+        return;
+      }
+
+      const response = await this.api.get(
+        `/municipalities/${this.args.municipalityId}/inspection-itinerary`,
+        this.query,
+      );
+      this.itinerary = response.itinerary;
+    } catch (error) {
+      console.error('Failed to load itinerary:', error);
+      this.itinerary = null;
+      if (error instanceof TypeError) {
+        // Never reached the server; show what is saved on this device
+        await this.loadSavedInspections();
+      } else {
+        this.notifications.error(error.message || 'Failed to load itinerary');
+      }
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  async loadSavedInspections() {
+    this.itinerary = null;
+    try {
+      this.savedInspections = await this.fieldInspections.getCachedDay(
+        this.args.municipalityId,
+        this.date,
+      );
+    } catch (error) {
+      console.error('Failed to load saved inspections:', error);
+      this.savedInspections = [];
+    }
+  }
+
+  @action
+  async saveForOffline() {
+    this.isSavingOffline = true;
+    try {
+      const count = await this.fieldInspections.downloadDay(
+        this.args.municipalityId,
+        { ...this.query, days: 1 },
+      );
+      this.notifications.success(
+        `${count} inspection(s) saved to this device for offline use`,
+      );
+    } catch (error) {
+      console.error('Failed to save day for offline use:', error);
+      this.notifications.error(
+        error.message || 'Failed to save inspections for offline use',
+      );
+    } finally {
+      this.isSavingOffline = false;
+    }
+  }
+
+  @action
+  setDate(event) {
+    this.date = event.target.value || today();
+    this.loadItinerary();
+  }
+
+  @action
+  setInspector(event) {
+    this.inspector = event.target.value;
+    this.loadItinerary();
+  }
+
+  @action
+  async optimizeDay() {
+    if (
+      !confirm(
+        'Re-sequence this day by travel distance and notify applicants whose arrival window changes?',
+      )
+    ) {
+      return;
+    }
+
+    this.isOptimizing = true;
+    try {
+      const response = await this.api.post(
+        `/municipalities/${this.args.municipalityId}/inspection-itinerary/optimize`,
+        this.query,
+      );
+      this.itinerary = response.itinerary;
+      this.notifications.success(
+        `Day optimized: ${response.changed} arrival window(s) changed, ${response.notified} applicant(s) notified`,
+      );
+    } catch (error) {
+      console.error('Failed to optimize itinerary:', error);
+      this.notifications.error(error.message || 'Failed to optimize itinerary');
+    } finally {
+      this.isOptimizing = false;
+    }
+  }
+
+  @action
+  async openRunSheet(format) {
+    try {
+      const params = new URLSearchParams({ ...this.query, format });
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${this.args.municipalityId}/inspection-itinerary/run-sheet?${params}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+          },
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to generate run sheet');
+
+      const blob = await response.blob();
+      const blobUrl = window.URL.createObjectURL(blob);
+
+      if (format === 'html') {
+        // Opened for the browser's print dialog; the URL is left for the new tab
+        window.open(blobUrl, '_blank');
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = `Run-Sheet-${this.date}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      console.error('Error generating run sheet:', error);
+      this.notifications.error('Failed to generate run sheet');
+    }
+  }
+}
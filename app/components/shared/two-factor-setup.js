@@ -0,0 +1,116 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { inject as service } from '@ember/service';
+
+/**
+ * Authenticator app enrollment: QR code, confirmation code, recovery codes.
+ *
+ * @arg {string} setupToken - Short-lived token from /auth/login when a
+ *   municipality requires 2FA; omitted when the user is already signed in
+ * @arg {Function} onComplete - Called with the enable response once the user
+ *   has saved their recovery codes
+ * @arg {Function} onCancel - Optional cancel handler
+ */
+export default class SharedTwoFactorSetupComponent extends Component {
+  @service api;
+
+  @tracked qrCode = null;
+  @tracked secret = null;
+  @tracked code = '';
+  @tracked recoveryCodes = null;
+  @tracked errorMessage = '';
+  @tracked isLoading = false;
+
+  enableResponse = null;
+
+  constructor() {
+    super(...arguments);
+    this.startSetup();
+  }
+
+  get requestOptions() {
+    if (!this.args.setupToken) {
+      return {};
+    }
+    return {
+      headers: { Authorization: `Bearer ${this.args.setupToken}` },
+    };
+  }
+
+  get recoveryCodesText() {
+    return (this.recoveryCodes || []).join('\n');
+  }
+
+  @action
+  async startSetup() {
+    this.isLoading = true;
+    this.errorMessage = '';
+
+    try {
+      const data = await this.api.post(
+        '/auth/2fa/setup',
+        {},
+        this.requestOptions,
+      );
+      this.qrCode = data.qr_code;
+      this.secret = data.secret;
+    } catch (error) {
+      this.errorMessage =
+        error.message || 'Failed to start two-factor setup. Please try again.';
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  @action
+  updateCode(event) {
+    this.code = event.target.value;
+  }
+
+  @action
+  async confirm(event) {
+    event.preventDefault();
+    this.errorMessage = '';
+
+    if (!/^\d{6}$/.test(this.code.replace(/\s/g, ''))) {
+      this.errorMessage = 'Enter the 6-digit code from your authenticator app';
+      return;
+    }
+
+    this.isLoading = true;
+    try {
+      const data = await this.api.post(
+        '/auth/2fa/enable',
+        { code: this.code.replace(/\s/g, '') },
+        this.requestOptions,
+      );
+      this.enableResponse = data;
+      this.recoveryCodes = data.recovery_codes;
+      this.code = '';
+    } catch (error) {
+      this.errorMessage = error.message || 'Invalid verification code';
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  @action
+  async copyRecoveryCodes() {
+    try {
+      await navigator.clipboard.writeText(this.recoveryCodesText);
+    } catch (error) {
+      console.warn('Clipboard unavailable:', error);
+    }
+  }
+
+  @action
+  finish() {
+    this.args.onComplete?.(this.enableResponse);
+  }
+
+  @action
+  cancel() {
+    this.args.onCancel?.();
+  }
+}
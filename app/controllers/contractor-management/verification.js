@@ -12,6 +12,7 @@ export default class ContractorManagementVerificationController extends Controll
   @tracked isLoading = false;
   @tracked isSaving = false;
   @tracked isCreatingProfile = false;
+  @tracked isRenewing = false; // Editing an approved application to upload renewals
 
   // Onboarding step tracking
   @tracked onboardingStep = 1; // 1 = plan selection, 2 = company info
@@ -181,7 +182,13 @@ export default class ContractorManagementVerificationController extends Controll
   }
 
   get canEdit() {
-    return !this.verification || this.isDraft || this.isRejected;
+    return (
+      !this.verification ||
+      this.isDraft ||
+      this.isRejected ||
+      this.isExpired ||
+      this.isRenewing
+    );
   }
 
   get statusBadgeClass() {
@@ -399,6 +406,7 @@ export default class ContractorManagementVerificationController extends Controll
       );
 
       this.model.verification = response.verification;
+      this.isRenewing = false;
       this.notifications.success(
         'Verification application submitted successfully! You will be notified once it has been reviewed.',
       );
@@ -416,6 +424,17 @@ export default class ContractorManagementVerificationController extends Controll
     this.notifications.info('Form reset to saved state');
   }
 
+  @action
+  startRenewal() {
+    this.isRenewing = true;
+  }
+
+  @action
+  cancelRenewal() {
+    this.isRenewing = false;
+    this.setupFormData();
+  }
+
   @action
   selectPlan(planCard) {
     // Store the original plan data for submission
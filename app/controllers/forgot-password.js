@@ -0,0 +1,50 @@
+import Controller from '@ember/controller';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+
+export default class ForgotPasswordController extends Controller {
+  @service api;
+  @tracked email = '';
+  @tracked isLoading = false;
+  @tracked errorMessage = '';
+  @tracked successMessage = '';
+
+  @action
+  updateEmail(event) {
+    this.email = event.target.value;
+  }
+
+  @action
+  async handleSubmit(event) {
+    event.preventDefault();
+    this.isLoading = true;
+    this.errorMessage = '';
+    this.successMessage = '';
+
+    try {
+      if (!this.email || !this.email.includes('@')) {
+        throw new Error('Please enter a valid email address');
+      }
+
+      const data = await this.api.postUnauth('/auth/forgot-password', {
+        email: this.email.toLowerCase(),
+      });
+
+      this.successMessage =
+        data.message ||
+        'If an account exists for that email, a password reset link has been sent.';
+    } catch (error) {
+      this.errorMessage =
+        error.message || 'Failed to send reset link. Please try again.';
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  reset() {
+    this.email = '';
+    this.errorMessage = '';
+    this.successMessage = '';
+  }
+}
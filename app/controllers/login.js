@@ -24,6 +24,14 @@ export default class LoginController extends Controller {
   @tracked signupBusinessName = '';
   @tracked signupBusinessType = '';
 
+  // Two-factor sign-in: 'verify' (enter a code) or 'setup' (enrollment
+  // required by the municipality before signing in)
+  @tracked twoFactorStep = null;
+  @tracked challengeToken = null;
+  @tracked setupToken = null;
+  @tracked twoFactorCode = '';
+  @tracked useRecoveryCode = false;
+
   @action
   toggleForm() {
     this.showLogin = !this.showLogin;
@@ -56,37 +64,126 @@ export default class LoginController extends Controller {
         throw new Error(data.message || 'Login failed');
       }
 
-      // Authenticate user via session service
-      this.session.authenticate({
-        ...data.user,
-        token: data.token,
-      });
+      if (data.two_factor_required) {
+        this.challengeToken = data.challenge_token;
+        this.twoFactorStep = 'verify';
+        return;
+      }
 
-      console.log('Login successful for:', data.user.fullName);
+      if (data.two_factor_setup_required) {
+        this.setupToken = data.setup_token;
+        this.twoFactorStep = 'setup';
+        return;
+      }
 
-      // Load current user data and permissions
-      await this.currentUser.load();
-      console.log('Current user loaded with permissions');
+      await this.completeLogin(data);
+    } catch (error) {
+      this.errorMessage = error.message || 'Login failed. Please try again.';
+    } finally {
+      this.isLoading = false;
+    }
+  }
 
-      // Reset form
-      this.loginEmail = '';
-      this.loginPassword = '';
+  @action
+  async handleTwoFactor(event) {
+    event.preventDefault();
+    this.isLoading = true;
+    this.errorMessage = '';
 
-      // Redirect based on user role
-      if (this.currentUser.isContractorOrCitizen) {
-        // Contractors and citizens go to their personal dashboard
-        this.router.transitionTo('my-permits');
-      } else {
-        // Municipal staff and Avitar staff go to municipality selection
-        this.router.transitionTo('municipality-select');
+    try {
+      const code = this.twoFactorCode.trim();
+      if (!code) {
+        throw new Error(
+          this.useRecoveryCode
+            ? 'Please enter a recovery code'
+            : 'Please enter the code from your authenticator app',
+        );
+      }
+
+      const data = await this.api.postUnauth('/auth/login/2fa', {
+        challenge_token: this.challengeToken,
+        [this.useRecoveryCode ? 'recovery_code' : 'code']: code,
+      });
+
+      if (!data.success) {
+        throw new Error(data.message || 'Verification failed');
       }
+
+      await this.completeLogin(data);
     } catch (error) {
-      this.errorMessage = error.message || 'Login failed. Please try again.';
+      this.errorMessage =
+        error.message || 'Verification failed. Please try again.';
+      this.twoFactorCode = '';
     } finally {
       this.isLoading = false;
     }
   }
 
+  @action
+  async finishTwoFactorSetup(data) {
+    this.errorMessage = '';
+    try {
+      await this.completeLogin(data);
+    } catch (error) {
+      this.errorMessage = error.message || 'Login failed. Please try again.';
+    }
+  }
+
+  @action
+  updateTwoFactorCode(event) {
+    this.twoFactorCode = event.target.value;
+  }
+
+  @action
+  toggleRecoveryCode() {
+    this.useRecoveryCode = !this.useRecoveryCode;
+    this.twoFactorCode = '';
+    this.errorMessage = '';
+  }
+
+  @action
+  cancelTwoFactor() {
+    this.twoFactorStep = null;
+    this.challengeToken = null;
+    this.setupToken = null;
+    this.twoFactorCode = '';
+    this.useRecoveryCode = false;
+    this.loginPassword = '';
+    this.errorMessage = '';
+  }
+
+  /**
+   * Start the session from a successful login response and redirect
+   * @param {Object} data - Response with token and user
+   */
+  async completeLogin(data) {
+    // Authenticate user via session service
+    this.session.authenticate({
+      ...data.user,
+      token: data.token,
+    });
+
+    console.log('Login successful for:', data.user.fullName);
+
+    // Load current user data and permissions
+    await this.currentUser.load();
+    console.log('Current user loaded with permissions');
+
+    // Reset form
+    this.loginEmail = '';
+    this.loginPassword = '';
+    this.cancelTwoFactor();
+
+    // Redirect based on user role
+    if (this.currentUser.isContractorOrCitizen) {
+      // Contractors and citizens go to their personal dashboard
+      this.router.transitionTo('my-permits');
+    } else {
+      // Municipal staff and Avitar staff go to municipality selection
+      this.router.transitionTo('municipality-select');
+    }
+  }
+
   @action
   async handleSignup(event) {
     event.preventDefault();
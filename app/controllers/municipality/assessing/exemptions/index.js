@@ -0,0 +1,117 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { inject as service } from '@ember/service';
+import config from 'avitar-suite/config/environment';
+
+const REASON_LABELS = {
+  lapsing: 'Approval period ends',
+  refile_required: 'Annual re-filing required',
+  age_tier_change: 'Moves to a new age tier',
+};
+
+export default class MunicipalityAssessingExemptionsIndexController extends Controller {
+  @service api;
+  @service notifications;
+
+  @tracked taxYear = new Date().getFullYear() + 1;
+  @tracked exemptions = [];
+  @tracked filingDeadline = '';
+  @tracked isLoading = false;
+  @tracked isGenerating = false;
+
+  get rows() {
+    return this.exemptions.map((exemption) => ({
+      ...exemption,
+      reasonLabels: (exemption.reasons || []).map(
+        (reason) => REASON_LABELS[reason] || reason,
+      ),
+    }));
+  }
+
+  get unnoticedCount() {
+    return this.exemptions.filter(
+      (e) => e.last_notice?.tax_year !== this.taxYear,
+    ).length;
+  }
+
+  @action
+  updateTaxYear(event) {
+    this.taxYear = parseInt(event.target.value) || this.taxYear;
+    this.loadRequalifications();
+  }
+
+  @action
+  updateFilingDeadline(event) {
+    this.filingDeadline = event.target.value;
+  }
+
+  @action
+  async loadRequalifications() {
+    this.isLoading = true;
+    try {
+      const response = await this.api.get(
+        `/municipalities/${this.model.municipalityId}/exemption-requalifications`,
+        { tax_year: this.taxYear },
+      );
+      this.exemptions = response.exemptions || [];
+    } catch (error) {
+      console.error('Failed to load re-qualification list:', error);
+      this.notifications.error(
+        error.message || 'Failed to load re-qualification list',
+      );
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  @action
+  async generateLetters(format) {
+    this.isGenerating = true;
+    try {
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${this.model.municipalityId}/exemption-requalifications/letters`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+          },
+          body: JSON.stringify({
+            tax_year: this.taxYear,
+            format,
+            filing_deadline: this.filingDeadline || undefined,
+          }),
+        },
+      );
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to generate letters');
+      }
+
+      const blob = await response.blob();
+      const count = response.headers.get('X-Letter-Count');
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Exemption-Requalification-${this.taxYear}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+
+      this.notifications.success(
+        `Generated ${count || 0} re-qualification letter(s)`,
+      );
+      await this.loadRequalifications();
+    } catch (error) {
+      console.error('Error generating re-qualification letters:', error);
+      this.notifications.error(error.message || 'Failed to generate letters');
+    } finally {
+      this.isGenerating = false;
+    }
+  }
+}
@@ -2,6 +2,7 @@ import Controller from '@ember/controller';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
+import config from 'avitar-suite/config/environment';
 
 export default class MunicipalityAssessingReportsController extends Controller {
   @service('router') router;
@@ -165,13 +166,13 @@ export default class MunicipalityAssessingReportsController extends Controller {
         executionId: response.execution_id,
         outputFormat: outputFormat,
         estimatedCompletion: response.estimated_completion,
-        status: 'generating',
+        status: response.status === 'completed' ? 'completed' : 'generating',
+        artifacts: [],
       };
 
       this.notifications.success('Report generation started successfully');
 
-      // Here you could implement polling to check report status
-      // For now, we'll just show the execution info
+      this.pollReportExecution(municipalityId, response.execution_id);
     } catch (error) {
       console.error('Failed to generate report:', error);
       this.notifications.error(
@@ -182,6 +183,72 @@ export default class MunicipalityAssessingReportsController extends Controller {
     }
   }
 
+  async pollReportExecution(municipalityId, executionId) {
+    const url = `/municipalities/${municipalityId}/assessing-reports/executions/${executionId}`;
+
+    while (this.reportOutput?.executionId === executionId) {
+      try {
+        const { execution } = await this.api.get(url, {}, { background: true });
+
+        if (this.reportOutput?.executionId !== executionId) return;
+
+        if (execution.status === 'completed' || execution.status === 'failed') {
+          this.reportOutput = {
+            ...this.reportOutput,
+            status: execution.status,
+            error: execution.error,
+            recordCount: execution.record_count,
+            artifacts: execution.artifacts,
+          };
+
+          if (execution.status === 'failed') {
+            this.notifications.error(
+              'Report generation failed: ' +
+                (execution.error || 'Unknown error'),
+            );
+          }
+          return;
+        }
+      } catch (error) {
+        console.error('Failed to check report status:', error);
+        return;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+  }
+
+  @action
+  async downloadArtifact(artifact) {
+    try {
+      const token = localStorage.getItem('authToken');
+      const url = `${config.APP.API_HOST}${artifact.url}?token=${token}`;
+
+      const response = await fetch(url);
+      if (!response.ok) throw new Error('Failed to download report');
+
+      const blob = await response.blob();
+      const blobUrl = window.URL.createObjectURL(blob);
+
+      if (artifact.format === 'html') {
+        window.open(blobUrl, '_blank');
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = artifact.filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      console.error('Error downloading report:', error);
+      this.notifications.error('Failed to download report. Please try again.');
+    }
+  }
+
   @action
   previewReport() {
     this.generateReport('html');
@@ -2,6 +2,7 @@ import Controller from '@ember/controller';
 import { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
+import config from 'avitar-suite/config/environment';
 
 export default class MunicipalityAssessingRevaluationIndexController extends Controller {
   @service api;
@@ -38,6 +39,15 @@ export default class MunicipalityAssessingRevaluationIndexController extends Con
   @tracked isCreatingSheet = false;
   @tracked isSavingSettings = false;
   @tracked isRecalculating = false;
+  @tracked isExportingRatioStudy = false;
+
+  // Ratio study export
+  @tracked ratioStudyFormat = 'pdf';
+
+  // What-if preview / commit
+  @tracked isGeneratingPreview = false;
+  @tracked isUpdatingStatus = false;
+  @tracked isCommitting = false;
 
   // Print state
   @tracked showPrintAll = false;
@@ -774,6 +784,180 @@ export default class MunicipalityAssessingRevaluationIndexController extends Con
     }
   }
 
+  // What-if preview computed properties
+  get shadowPreview() {
+    return this.model.shadowPreview;
+  }
+
+  get isRevaluationApproved() {
+    return this.model.revaluation?.status === 'approved';
+  }
+
+  get isRevaluationCommitted() {
+    return this.model.revaluation?.status === 'completed';
+  }
+
+  get revaluationStatusLabel() {
+    const labels = {
+      in_progress: 'In Progress',
+      approved: 'Approved',
+      completed: 'Committed',
+    };
+    return labels[this.model.revaluation?.status] || 'In Progress';
+  }
+
+  get canCommitRevaluation() {
+    const preview = this.shadowPreview?.shadow_preview;
+    return (
+      this.isRevaluationApproved &&
+      preview &&
+      !preview.is_stale &&
+      !this.isCommitting
+    );
+  }
+
+  @action
+  async generateShadowPreview() {
+    this.isGeneratingPreview = true;
+
+    try {
+      const revaluationId = this.model.revaluation._id;
+      const response = await this.api.post(
+        `/revaluations/${revaluationId}/shadow-preview`,
+      );
+
+      const skipped = response.skipped_sheets?.length || 0;
+      this.notifications.success(
+        `Preview generated for ${response.shadow_preview.parcel_count} parcels` +
+          (skipped ? ` (${skipped} approved sheets skipped)` : ''),
+      );
+      this.router.refresh();
+    } catch (error) {
+      console.error('Error generating revaluation preview:', error);
+      this.notifications.error(error.message || 'Failed to generate preview');
+    } finally {
+      this.isGeneratingPreview = false;
+    }
+  }
+
+  @action
+  async setRevaluationStatus(status) {
+    this.isUpdatingStatus = true;
+
+    try {
+      const municipalityId = this.municipality.currentMunicipality?.id;
+      const revaluationId = this.model.revaluation._id;
+      await this.api.put(
+        `/municipalities/${municipalityId}/revaluations/${revaluationId}/status`,
+        { status },
+      );
+
+      this.notifications.success(
+        status === 'approved'
+          ? 'Revaluation approved'
+          : 'Revaluation reopened for review',
+      );
+      this.router.refresh('municipality.assessing.revaluation');
+    } catch (error) {
+      console.error('Error updating revaluation status:', error);
+      this.notifications.error(
+        error.message || 'Failed to update revaluation status',
+      );
+    } finally {
+      this.isUpdatingStatus = false;
+    }
+  }
+
+  @action
+  async commitRevaluation() {
+    const preview = this.shadowPreview?.shadow_preview;
+    if (
+      !confirm(
+        `Commit the previewed values for ${preview.parcel_count} parcels to ${this.model.revaluation.effective_year}? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+
+    this.isCommitting = true;
+
+    try {
+      const municipalityId = this.municipality.currentMunicipality?.id;
+      const revaluationId = this.model.revaluation._id;
+      const result = await this.api.post(
+        `/municipalities/${municipalityId}/revaluations/${revaluationId}/commit`,
+      );
+
+      if (result.failed?.length) {
+        this.notifications.warning(
+          `Committed ${result.committed} parcels; ${result.failed.length} failed`,
+        );
+      } else {
+        this.notifications.success(
+          `Committed ${result.committed} parcels (batch ${result.session_id})`,
+        );
+      }
+      this.router.refresh('municipality.assessing.revaluation');
+    } catch (error) {
+      console.error('Error committing revaluation:', error);
+      this.notifications.error(error.message || 'Failed to commit revaluation');
+    } finally {
+      this.isCommitting = false;
+    }
+  }
+
+  @action
+  setRatioStudyFormat(event) {
+    this.ratioStudyFormat = event.target.value;
+  }
+
+  /**
+   * Download the sales ratio study (median, COD, PRD, PRB by neighborhood,
+   * class and quality) for the sales in the current date range
+   */
+  @action
+  async exportRatioStudy() {
+    this.isExportingRatioStudy = true;
+
+    try {
+      const revaluationId = this.model.revaluation._id;
+      const params = new URLSearchParams({ format: this.ratioStudyFormat });
+      if (this.dateFrom) params.set('sale_date_from', this.dateFrom);
+      if (this.dateTo) params.set('sale_date_to', this.dateTo);
+
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/revaluations/${revaluationId}/ratio-study/export?${params}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+          },
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to export ratio study');
+
+      const blob = await response.blob();
+      const extension =
+        this.ratioStudyFormat === 'excel' ? 'xlsx' : this.ratioStudyFormat;
+
+      // Create download link
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Ratio-Study-${this.model.revaluation.effective_year}.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting ratio study:', error);
+      this.notifications.error('Failed to export ratio study');
+    } finally {
+      this.isExportingRatioStudy = false;
+    }
+  }
+
   @action
   async deleteSheet(sheet) {
     if (
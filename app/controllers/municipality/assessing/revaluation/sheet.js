@@ -23,6 +23,30 @@ export default class MunicipalityAssessingRevaluationSheetController extends Con
   @tracked baseDate = '';
   @tracked annualTrend = 14.4;
 
+  // Rate approval form
+  @tracked approvedRate = '';
+  @tracked currentRate = '';
+  @tracked isSavingApproval = false;
+
+  get isApproved() {
+    return this.model.sheet.status === 'approved';
+  }
+
+  // Building sheets compare against the building code's rate; every other
+  // sheet needs the rate currently in use to project the change
+  get needsCurrentRate() {
+    return this.model.sheet.sheet_type !== 'building_rate';
+  }
+
+  resetRateApproval() {
+    const results = this.model.sheet.results || {};
+    const settings = this.model.sheet.sheet_settings || {};
+    this.approvedRate =
+      results.approved_rate ??
+      (results.median_rate ? Math.round(results.median_rate) : '');
+    this.currentRate = settings.current_rate ?? '';
+  }
+
   @action
   printSheet() {
     this.showPrintModal = true;
@@ -163,6 +187,71 @@ export default class MunicipalityAssessingRevaluationSheetController extends Con
     }
   }
 
+  @action
+  updateApprovedRate(event) {
+    this.approvedRate = event.target.value;
+  }
+
+  @action
+  updateCurrentRate(event) {
+    this.currentRate = event.target.value;
+  }
+
+  @action
+  async approveRate() {
+    const approvedRate = parseFloat(this.approvedRate);
+    const currentRate = parseFloat(this.currentRate);
+
+    if (isNaN(approvedRate) || approvedRate <= 0) {
+      this.notifications.warning('Please enter the approved rate');
+      return;
+    }
+    if (this.needsCurrentRate && (isNaN(currentRate) || currentRate <= 0)) {
+      this.notifications.warning(
+        'Please enter the rate currently in use so the change can be previewed',
+      );
+      return;
+    }
+
+    const updateData = {
+      status: 'approved',
+      results: { approved_rate: approvedRate },
+    };
+    if (this.needsCurrentRate) {
+      updateData.sheet_settings = { current_rate: currentRate };
+    }
+
+    await this.saveRateApproval(updateData, 'Rate approved');
+  }
+
+  @action
+  async reopenRate() {
+    await this.saveRateApproval(
+      { status: 'calculated' },
+      'Sheet returned for review',
+    );
+  }
+
+  async saveRateApproval(updateData, successMessage) {
+    this.isSavingApproval = true;
+    try {
+      await this.api.put(
+        `/revaluations/${this.model.revaluation._id}/sheets/${this.model.sheet._id}`,
+        updateData,
+      );
+
+      this.notifications.success(successMessage);
+
+      await this.router.refresh('municipality.assessing.revaluation');
+      await this.router.refresh();
+    } catch (error) {
+      console.error('Error saving rate approval:', error);
+      this.notifications.error(error.message || 'Failed to save approval');
+    } finally {
+      this.isSavingApproval = false;
+    }
+  }
+
   @action
   async deleteSheet() {
     if (
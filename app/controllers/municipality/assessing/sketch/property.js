@@ -2,6 +2,7 @@ import Controller from '@ember/controller';
 import { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
+import config from 'avitar-suite/config/environment';
 
 export default class MunicipalityAssessingSketchPropertyController extends Controller {
   @service api;
@@ -733,6 +734,50 @@ export default class MunicipalityAssessingSketchPropertyController extends Contr
     );
   }
 
+  /**
+   * Download the current sketch as SVG (record cards), DXF (CAD) or VDF
+   * (desktop CAMA)
+   */
+  @action
+  async exportSketch(format) {
+    const sketch = this.currentSketch;
+    if (!sketch?._id) {
+      this.notifications.error('Save the sketch before exporting it');
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('authToken');
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/properties/${this.model.property.id}/sketches/${sketch._id}/export?format=${format}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to export sketch');
+
+      const blob = await response.blob();
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename =
+        disposition.match(/filename="([^"]+)"/)?.[1] ||
+        `sketch-card-${sketch.card_number || 1}.${format}`;
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export sketch:', error);
+      this.notifications.error('Failed to export sketch');
+    }
+  }
+
   @action
   async deleteSketch(sketch) {
     const sketchId = sketch._id; // Use MongoDB _id only
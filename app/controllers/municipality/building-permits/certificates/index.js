@@ -0,0 +1,69 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+
+export default class MunicipalityBuildingPermitsCertificatesIndexController extends Controller {
+  @service router;
+
+  queryParams = ['search', 'type', 'status'];
+  @tracked search = '';
+  @tracked type = '';
+  @tracked status = '';
+
+  // Search box text; applied to the search query param on submit
+  @tracked searchText = '';
+
+  typeOptions = [
+    { value: '', label: 'All Certificates' },
+    { value: 'occupancy', label: 'Certificate of Occupancy' },
+    { value: 'temporary', label: 'Temporary Certificate of Occupancy' },
+    { value: 'completion', label: 'Certificate of Completion' },
+  ];
+
+  statusOptions = [
+    { value: '', label: 'All Statuses' },
+    { value: 'active', label: 'Active' },
+    { value: 'expired', label: 'Expired' },
+    { value: 'superseded', label: 'Superseded' },
+    { value: 'revoked', label: 'Revoked' },
+  ];
+
+  get hasFilters() {
+    return Boolean(this.search || this.type || this.status);
+  }
+
+  @action
+  setType(event) {
+    this.type = event.target.value;
+  }
+
+  @action
+  setStatus(event) {
+    this.status = event.target.value;
+  }
+
+  @action
+  updateSearch(event) {
+    this.searchText = event.target.value;
+  }
+
+  @action
+  performSearch(event) {
+    event.preventDefault();
+    this.search = this.searchText.trim();
+  }
+
+  @action
+  clearFilters() {
+    this.searchText = '';
+    this.search = '';
+    this.type = '';
+    this.status = '';
+  }
+
+  @action
+  refreshCertificates() {
+    this.router.refresh('municipality.building-permits.certificates.index');
+  }
+}
@@ -0,0 +1,12 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class MunicipalityBuildingPermitsCertificatesPropertyController extends Controller {
+  @service router;
+
+  @action
+  refreshCertificates() {
+    this.router.refresh('municipality.building-permits.certificates.property');
+  }
+}
@@ -2,6 +2,7 @@ import Controller from '@ember/controller';
 import { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
+import { calculatePermitFee } from 'avitar-suite/utils/fee-formula';
 
 export default class MunicipalityBuildingPermitsCreateController extends Controller {
   @service notifications;
@@ -39,6 +40,9 @@ export default class MunicipalityBuildingPermitsCreateController extends Control
   @tracked permitTypes = [];
   @tracked isLoadingPermitTypes = false;
 
+  // Tiered fee schedules referenced by custom fee formulas
+  @tracked feeSchedules = [];
+
   relationshipOptions = [
     { value: 'owner', label: 'Property Owner' },
     { value: 'tenant', label: 'Tenant' },
@@ -105,32 +109,36 @@ export default class MunicipalityBuildingPermitsCreateController extends Control
     );
   }
 
-  get calculatedFee() {
+  get feeQuote() {
     if (!this.selectedPermitType || !this.selectedPermitType.feeSchedule) {
-      return 0;
+      return { fee: 0, error: null };
     }
 
-    const schedule = this.selectedPermitType.feeSchedule;
-    const base = parseFloat(schedule.baseAmount) || 0;
-
-    switch (schedule.calculationType) {
-      case 'flat':
-        return base;
-      case 'per_sqft':
-        const sqft = parseFloat(this.permit.squareFootage) || 0;
-        const rate = parseFloat(schedule.perSqftRate) || 0;
-        return base + sqft * rate;
-      case 'percentage':
-        const value = parseFloat(this.permit.estimatedValue) || 0;
-        return value * (base / 100);
-      case 'custom':
-        // Would need to evaluate formula
-        return base;
-      default:
-        return base;
+    // Same evaluator the server charges with
+    try {
+      return {
+        fee: calculatePermitFee(
+          this.selectedPermitType.feeSchedule,
+          this.permit,
+          {
+            schedules: this.feeSchedules,
+          },
+        ),
+        error: null,
+      };
+    } catch (error) {
+      return { fee: 0, error: error.message };
     }
   }
 
+  get calculatedFee() {
+    return this.feeQuote.fee;
+  }
+
+  get feeError() {
+    return this.feeQuote.error;
+  }
+
   @action
   async loadPermitTypes() {
     this.isLoadingPermitTypes = true;
@@ -145,6 +153,20 @@ export default class MunicipalityBuildingPermitsCreateController extends Control
     } finally {
       this.isLoadingPermitTypes = false;
     }
+
+    await this.loadFeeSchedules();
+  }
+
+  async loadFeeSchedules() {
+    try {
+      const response = await this.api.get(
+        `/municipalities/${this.municipalityId}/fee-schedules?status=active`,
+      );
+      this.feeSchedules = response.feeSchedules || [];
+    } catch (error) {
+      console.error('Error loading fee schedules:', error);
+      this.feeSchedules = [];
+    }
   }
 
   @action
@@ -352,6 +374,13 @@ export default class MunicipalityBuildingPermitsCreateController extends Control
     this.permit = { ...this.permit };
   }
 
+  @action
+  updateHousingUnits(event) {
+    this.permit.housingUnits = event.target.value;
+    // Trigger reactivity by reassigning
+    this.permit = { ...this.permit };
+  }
+
   @action
   updateApplicantField(field, event) {
     if (!this.permit.applicant) {
@@ -660,6 +689,7 @@ export default class MunicipalityBuildingPermitsCreateController extends Control
       scopeOfWork: this.permit.scopeOfWork,
       estimatedValue: parseFloat(this.permit.estimatedValue) || 0,
       squareFootage: parseFloat(this.permit.squareFootage) || 0,
+      housingUnits: parseInt(this.permit.housingUnits, 10) || 0,
       applicant: this.permit.applicant,
       contractor: this.permit.contractor,
       customFields: this.permit.customFields || {},
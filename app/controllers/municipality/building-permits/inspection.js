@@ -3,8 +3,28 @@ import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
 
+const CHECKLIST_OPTIONS = {
+  pass_fail: [
+    { value: 'pass', label: 'Pass' },
+    { value: 'fail', label: 'Fail' },
+    { value: 'n/a', label: 'N/A' },
+  ],
+  yes_no: [
+    { value: 'yes', label: 'Yes' },
+    { value: 'no', label: 'No' },
+    { value: 'n/a', label: 'N/A' },
+  ],
+};
+
+const QUEUE_LABELS = {
+  status: 'Status result',
+  note: 'Note',
+  photo: 'Photo',
+};
+
 export default class MunicipalityBuildingPermitsInspectionController extends Controller {
-  @service api;
+  @service fieldInspections;
+  @service syncManager;
   @service notifications;
   @service router;
 
@@ -16,11 +36,57 @@ export default class MunicipalityBuildingPermitsInspectionController extends Con
   @tracked selectedStatus = '';
   @tracked selectedResult = '';
   @tracked statusComments = '';
+  @tracked checklistResponses = {};
+  @tracked newViolations = [];
+  @tracked newConditions = [];
+  @tracked isSavingOffline = false;
 
   get inspection() {
     return this.model.inspection;
   }
 
+  get isOfflineCopy() {
+    return this.model.source === 'cache';
+  }
+
+  get queuedChanges() {
+    return (this.model.queue || []).map((entry) => ({
+      ...entry,
+      label: QUEUE_LABELS[entry.kind],
+      recordedAt:
+        entry.payload.recordedAt || entry.payload.takenAt || entry.queuedAt,
+    }));
+  }
+
+  get checklistRows() {
+    const recorded = this.inspection.checklistResults || [];
+
+    return (this.model.checklist || []).map((item) => {
+      const previous = recorded.find((result) => result.itemId === item.id);
+      const response =
+        this.checklistResponses[item.id] ?? previous?.response ?? '';
+
+      return {
+        ...item,
+        response,
+        options: CHECKLIST_OPTIONS[item.responseType] || null,
+        isFailed: response === 'fail' || response === 'no',
+      };
+    });
+  }
+
+  get missingRequiredItems() {
+    return this.checklistRows.filter(
+      (row) => row.isRequired && !String(row.response).trim(),
+    );
+  }
+
+  resetFindings() {
+    this.checklistResponses = {};
+    this.newViolations = [];
+    this.newConditions = [];
+  }
+
   get statusOptions() {
     return [
       { value: 'scheduled', label: 'Scheduled' },
@@ -110,19 +176,15 @@ export default class MunicipalityBuildingPermitsInspectionController extends Con
     this.isUploadingPhoto = true;
 
     try {
-      await this.api.post(
-        `/municipalities/${this.model.municipalityId}/inspections/${this.inspection._id}/photos`,
-        {
-          base64Data,
-          caption: this.photoCaption.trim(),
-        },
+      await this.fieldInspections.recordPhoto(
+        this.model.municipalityId,
+        this.inspection,
+        base64Data,
+        this.photoCaption.trim(),
       );
-
-      this.notifications.success('Photo uploaded successfully');
       this.photoCaption = '';
 
-      // Refresh model
-      this.router.refresh();
+      await this.syncRecorded('Photo uploaded successfully');
     } catch (error) {
       this.notifications.error(error.message || 'Failed to upload photo');
     } finally {
@@ -147,18 +209,14 @@ export default class MunicipalityBuildingPermitsInspectionController extends Con
     this.isAddingNote = true;
 
     try {
-      await this.api.post(
-        `/municipalities/${this.model.municipalityId}/inspections/${this.inspection._id}/notes`,
-        {
-          content: this.noteContent.trim(),
-        },
+      await this.fieldInspections.recordNote(
+        this.model.municipalityId,
+        this.inspection,
+        this.noteContent.trim(),
       );
-
-      this.notifications.success('Note added successfully');
       this.noteContent = '';
 
-      // Refresh model
-      this.router.refresh();
+      await this.syncRecorded('Note added successfully');
     } catch (error) {
       this.notifications.error(error.message || 'Failed to add note');
     } finally {
@@ -181,29 +239,127 @@ export default class MunicipalityBuildingPermitsInspectionController extends Con
     this.statusComments = event.target.value;
   }
 
+  @action
+  setChecklistResponse(itemId, event) {
+    this.checklistResponses = {
+      ...this.checklistResponses,
+      [itemId]: event.target.value,
+    };
+  }
+
+  @action
+  citeChecklistItem(item) {
+    this.newViolations = [
+      ...this.newViolations,
+      {
+        code: item.codeReference,
+        description: item.question,
+        location: '',
+        severity: 'major',
+      },
+    ];
+  }
+
+  @action
+  addViolation() {
+    this.newViolations = [
+      ...this.newViolations,
+      { code: '', description: '', location: '', severity: 'major' },
+    ];
+  }
+
+  @action
+  updateViolation(index, field, event) {
+    this.newViolations = this.newViolations.map((violation, i) =>
+      i === index ? { ...violation, [field]: event.target.value } : violation,
+    );
+  }
+
+  @action
+  removeViolation(index) {
+    this.newViolations = this.newViolations.filter((_, i) => i !== index);
+  }
+
+  @action
+  addCondition() {
+    this.newConditions = [
+      ...this.newConditions,
+      { description: '', dueDate: '' },
+    ];
+  }
+
+  @action
+  updateCondition(index, field, event) {
+    this.newConditions = this.newConditions.map((condition, i) =>
+      i === index ? { ...condition, [field]: event.target.value } : condition,
+    );
+  }
+
+  @action
+  removeCondition(index) {
+    this.newConditions = this.newConditions.filter((_, i) => i !== index);
+  }
+
   @action
   async updateInspectionStatus() {
     if (!this.selectedStatus || this.isUpdatingStatus) return;
 
+    if (
+      this.selectedStatus === 'completed' &&
+      this.missingRequiredItems.length > 0
+    ) {
+      this.notifications.error(
+        `Answer all required checklist items before completing (${this.missingRequiredItems.length} remaining)`,
+      );
+      return;
+    }
+
+    if (
+      [...this.newViolations, ...this.newConditions].some(
+        (finding) => !finding.description.trim(),
+      )
+    ) {
+      this.notifications.error(
+        'Each violation and condition needs a description',
+      );
+      return;
+    }
+
     this.isUpdatingStatus = true;
 
     try {
-      await this.api.patch(
-        `/municipalities/${this.model.municipalityId}/inspections/${this.inspection._id}/status`,
+      await this.fieldInspections.recordStatus(
+        this.model.municipalityId,
+        this.inspection,
         {
           status: this.selectedStatus,
-          result: this.selectedResult || undefined,
-          comments: this.statusComments.trim() || undefined,
+          result: this.selectedResult,
+          comments: this.statusComments.trim(),
+          violations: this.newViolations.map((violation) => ({
+            ...violation,
+            description: violation.description.trim(),
+          })),
+          conditions: this.newConditions.map((condition) => ({
+            description: condition.description.trim(),
+            dueDate: condition.dueDate || undefined,
+          })),
+          checklistResults: Object.entries(this.checklistResponses).map(
+            ([itemId, response]) => ({
+              itemId,
+              question: this.model.checklist.find((item) => item.id === itemId)
+                ?.question,
+              response,
+            }),
+          ),
         },
       );
 
-      this.notifications.success('Inspection status updated successfully');
       this.selectedStatus = '';
       this.selectedResult = '';
       this.statusComments = '';
+      this.resetFindings();
 
-      // Refresh model
-      this.router.refresh();
+      await this.syncRecorded('Inspection status updated successfully');
     } catch (error) {
       this.notifications.error(
         error.message || 'Failed to update inspection status',
@@ -213,6 +369,73 @@ export default class MunicipalityBuildingPermitsInspectionController extends Con
     }
   }
 
+  /**
+   * Send what was just recorded if we're online, then reload. Offline, it
+   * stays queued on the device until the sync manager pushes it.
+   */
+  async syncRecorded(successMessage) {
+    if (!this.syncManager.isOnline) {
+      this.notifications.info(
+        'Saved on this device; it will sync when you are back online',
+      );
+      this.router.refresh();
+      return;
+    }
+
+    const summary = await this.syncManager.pushFieldInspections();
+
+    if (summary.conflicts > 0) {
+      this.notifications.warning(
+        'This inspection was changed by someone else; choose which version to keep',
+      );
+    } else if (summary.failed > 0) {
+      this.notifications.error(
+        'The server rejected a change; see Waiting to Sync below',
+      );
+    } else if (this.fieldInspections.pendingCount > 0) {
+      this.notifications.info(
+        'Saved on this device; it will sync when the connection recovers',
+      );
+    } else {
+      this.notifications.success(successMessage);
+    }
+
+    this.router.refresh();
+  }
+
+  @action
+  async syncNow() {
+    await this.syncRecorded('All changes synced');
+  }
+
+  @action
+  async discardChange(seq) {
+    if (!confirm('Discard this change? It has not been saved to the server.')) {
+      return;
+    }
+    await this.fieldInspections.discardChange(seq);
+    this.router.refresh();
+  }
+
+  @action
+  async saveForOffline() {
+    this.isSavingOffline = true;
+    try {
+      await this.fieldInspections.saveInspection(
+        this.model.municipalityId,
+        this.inspection._id,
+      );
+      this.notifications.success('Inspection saved to this device');
+      this.router.refresh();
+    } catch (error) {
+      this.notifications.error(
+        error.message || 'Failed to save inspection for offline use',
+      );
+    } finally {
+      this.isSavingOffline = false;
+    }
+  }
+
   @action
   goBack() {
     this.router.transitionTo('municipality.building-permits.inspections');
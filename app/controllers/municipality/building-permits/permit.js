@@ -3,6 +3,7 @@ import { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import config from 'avitar-suite/config/environment';
+import { isReviewLocked, reviewStage } from 'avitar-suite/utils/review-routing';
 
 export default class MunicipalityBuildingPermitsPermitController extends Controller {
   @service api;
@@ -17,9 +18,30 @@ export default class MunicipalityBuildingPermitsPermitController extends Control
   @tracked showViewerModal = false;
   @tracked showPrintModal = false;
   @tracked selectedFile = null;
+  @tracked versionedFile = null; // File a new version is being uploaded for
   @tracked files = [];
   @tracked comments = [];
 
+  // Fee ledger
+  @tracked feeLedger = null;
+  @tracked isLoadingFees = false;
+  @tracked isSavingFees = false;
+  @tracked paymentAmount = '';
+  @tracked paymentMethod = 'cash';
+  @tracked paymentReference = '';
+  @tracked paymentPayer = '';
+  @tracked adjustmentFeeId = '';
+  @tracked adjustmentAmount = '';
+  @tracked adjustmentReason = '';
+  @tracked newFeeType = 'reinspection';
+  @tracked newFeeDescription = '';
+  @tracked newFeeAmount = '';
+  @tracked refundPayment = null;
+  @tracked refundAmount = '';
+  @tracked refundReason = '';
+  @tracked refundMethod = 'check';
+  @tracked refundReference = '';
+
   get breadcrumbItems() {
     if (!this.model.fromContractorDashboard) {
       return [];
@@ -103,6 +125,8 @@ export default class MunicipalityBuildingPermitsPermitController extends Control
       approved: review.status === 'approved',
       reviewedAt: review.reviewedAt,
       reviewedBy: review.reviewedBy,
+      stage: reviewStage(review),
+      locked: isReviewLocked(reviews, review),
     }));
   }
 
@@ -146,10 +170,12 @@ export default class MunicipalityBuildingPermitsPermitController extends Control
     }
 
     // Find reviews for this user's department that are pending or in_review
+    // in a stage that has opened
     return permit.departmentReviews.filter(
       (review) =>
         review.department === userDepartment &&
-        ['pending', 'in_review'].includes(review.status),
+        ['pending', 'in_review'].includes(review.status) &&
+        !isReviewLocked(permit.departmentReviews, review),
     );
   }
 
@@ -157,9 +183,43 @@ export default class MunicipalityBuildingPermitsPermitController extends Control
     return this.userReviewableDepartments.length > 0;
   }
 
+  get canManageFees() {
+    return this.currentUser.hasModulePermission('building_permit', 'update');
+  }
+
+  get canRefundPayments() {
+    return this.currentUser.hasModulePermission('building_permit', 'approve');
+  }
+
+  get feeBalanceDue() {
+    return this.feeLedger?.totals?.balance ?? 0;
+  }
+
+  // Payments that still have an amount left to refund
+  get refundablePayments() {
+    return (this.feeLedger?.transactions || []).filter(
+      (transaction) =>
+        transaction.type === 'payment' && transaction.refundableAmount > 0,
+    );
+  }
+
+  get receiptTransactions() {
+    return (this.feeLedger?.transactions || []).filter(
+      (transaction) => transaction.receiptNumber,
+    );
+  }
+
+  get feesPath() {
+    return `/municipalities/${this.model.municipalityId}/permits/${this.model.permitId}/fees`;
+  }
+
   @action
   setActiveTab(tab) {
     this.activeTab = tab;
+
+    if (tab === 'fees' && !this.feeLedger) {
+      this.loadFeeLedger();
+    }
   }
 
   @action
@@ -214,6 +274,13 @@ export default class MunicipalityBuildingPermitsPermitController extends Control
   @action
   closeUploadModal() {
     this.showUploadModal = false;
+    this.versionedFile = null;
+  }
+
+  @action
+  uploadNewVersion(file) {
+    this.versionedFile = file;
+    this.showUploadModal = true;
   }
 
   @action
@@ -250,7 +317,15 @@ export default class MunicipalityBuildingPermitsPermitController extends Control
 
   @action
   handleFileUploaded(uploadedFile) {
-    this.files = [...this.files, uploadedFile];
+    const previousId = uploadedFile.previousVersionId;
+    this.files = [
+      ...this.files.map((file) =>
+        previousId && file._id === previousId
+          ? { ...file, isLatestVersion: false }
+          : file,
+      ),
+      uploadedFile,
+    ];
   }
 
   @action
@@ -338,4 +413,179 @@ export default class MunicipalityBuildingPermitsPermitController extends Control
       departmentName,
     );
   }
+
+  @action
+  updateFeeField(field, event) {
+    this[field] = event.target.value;
+  }
+
+  @action
+  async loadFeeLedger() {
+    this.isLoadingFees = true;
+
+    try {
+      this.feeLedger = await this.api.get(this.feesPath);
+    } catch (error) {
+      console.error('Error loading fee ledger:', error);
+      this.notifications.error('Failed to load fees');
+    } finally {
+      this.isLoadingFees = false;
+    }
+  }
+
+  // Post a fee change and show the ledger the server returns
+  async saveFeeChange(path, data, successMessage) {
+    this.isSavingFees = true;
+
+    try {
+      const result = await this.api.post(path, data);
+      this.feeLedger = result.ledger;
+      this.notifications.success(successMessage);
+      if (result.warning) {
+        this.notifications.warning(result.warning);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error updating fees:', error);
+      this.notifications.error(error.message || 'Failed to update fees');
+      return false;
+    } finally {
+      this.isSavingFees = false;
+    }
+  }
+
+  @action
+  async recordPayment(event) {
+    event?.preventDefault();
+
+    const saved = await this.saveFeeChange(
+      `${this.feesPath}/payments`,
+      {
+        amount: parseFloat(this.paymentAmount),
+        paymentMethod: this.paymentMethod,
+        referenceNumber: this.paymentReference || undefined,
+        payerName: this.paymentPayer || undefined,
+      },
+      'Payment recorded',
+    );
+
+    if (saved) {
+      this.paymentAmount = '';
+      this.paymentReference = '';
+      this.paymentPayer = '';
+    }
+  }
+
+  @action
+  async recordAdjustment(event) {
+    event?.preventDefault();
+
+    const saved = await this.saveFeeChange(
+      `${this.feesPath}/adjustments`,
+      {
+        feeId: this.adjustmentFeeId,
+        amount: parseFloat(this.adjustmentAmount),
+        reason: this.adjustmentReason,
+      },
+      'Fee adjusted',
+    );
+
+    if (saved) {
+      this.adjustmentAmount = '';
+      this.adjustmentReason = '';
+    }
+  }
+
+  @action
+  async addFee(event) {
+    event?.preventDefault();
+
+    const saved = await this.saveFeeChange(
+      this.feesPath,
+      {
+        type: this.newFeeType,
+        description: this.newFeeDescription,
+        amount: parseFloat(this.newFeeAmount),
+      },
+      'Fee added',
+    );
+
+    if (saved) {
+      this.newFeeDescription = '';
+      this.newFeeAmount = '';
+    }
+  }
+
+  @action
+  startRefund(payment) {
+    this.refundPayment = payment;
+    this.refundAmount = String(payment.refundableAmount);
+    this.refundReason = '';
+    this.refundMethod = 'check';
+    this.refundReference = '';
+  }
+
+  @action
+  cancelRefund() {
+    this.refundPayment = null;
+  }
+
+  @action
+  async submitRefund(event) {
+    event?.preventDefault();
+
+    const payment = this.refundPayment;
+    if (
+      !confirm(
+        `Refund $${this.refundAmount} of receipt ${payment.receiptNumber}?${payment.paymentMethod === 'card' ? ' The card will be refunded through Stripe.' : ''}`,
+      )
+    ) {
+      return;
+    }
+
+    const saved = await this.saveFeeChange(
+      `/municipalities/${this.model.municipalityId}/permit-fees/transactions/${payment._id}/refund`,
+      {
+        amount: parseFloat(this.refundAmount),
+        reason: this.refundReason,
+        refundMethod: this.refundMethod,
+        referenceNumber: this.refundReference || undefined,
+      },
+      'Refund issued',
+    );
+
+    if (saved) {
+      this.refundPayment = null;
+    }
+  }
+
+  @action
+  async downloadReceipt(transaction) {
+    try {
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${this.model.municipalityId}/permit-fees/transactions/${transaction._id}/receipt`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+          },
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to download receipt');
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `receipt-${transaction.receiptNumber}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading receipt:', error);
+      this.notifications.error('Failed to download receipt');
+    }
+  }
 }
@@ -2,6 +2,7 @@ import Controller from '@ember/controller';
 import { inject as service } from '@ember/service';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
+import { isReviewLocked } from 'avitar-suite/utils/review-routing';
 
 export default class MunicipalityBuildingPermitsQueueController extends Controller {
   @service notifications;
@@ -310,10 +311,12 @@ export default class MunicipalityBuildingPermitsQueueController extends Controll
     }
 
     // Check if any review for this user's department is pending or in_review
+    // and its stage has opened
     return permit.departmentReviews.some(
       (review) =>
         review.department === userDepartment &&
-        ['pending', 'in_review'].includes(review.status),
+        ['pending', 'in_review'].includes(review.status) &&
+        !isReviewLocked(permit.departmentReviews, review),
     );
   };
 
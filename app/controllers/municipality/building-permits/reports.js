@@ -0,0 +1,179 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import config from 'avitar-suite/config/environment';
+
+function today() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+function startOfYear() {
+  return `${new Date().getFullYear()}-01-01`;
+}
+
+export default class MunicipalityBuildingPermitsReportsController extends Controller {
+  @service api;
+  @service notifications;
+
+  // Permit reports (issued, construction value, fees, review times, ...)
+  @tracked reportKey = 'permits-issued';
+  @tracked startDate = startOfYear();
+  @tracked endDate = today();
+  @tracked report = null;
+  @tracked isLoadingReport = false;
+  @tracked isExportingReport = false;
+
+  // Cash drawer reconciliation
+  @tracked drawerDate = today();
+  @tracked countedCash = '';
+  @tracked countedChecks = '';
+  @tracked cashDrawer = null;
+  @tracked isLoadingDrawer = false;
+  @tracked isExportingDrawer = false;
+
+  get reportParams() {
+    return { startDate: this.startDate, endDate: this.endDate };
+  }
+
+  get selectedReport() {
+    return this.model.reports.find((report) => report.key === this.reportKey);
+  }
+
+  @action
+  selectReport(event) {
+    this.reportKey = event.target.value;
+    this.report = null;
+    this.loadReport();
+  }
+
+  @action
+  updateReportField(field, event) {
+    this[field] = event.target.value;
+  }
+
+  @action
+  async loadReport(event) {
+    event?.preventDefault();
+    if (!this.startDate || !this.endDate) return;
+
+    this.isLoadingReport = true;
+    try {
+      const response = await this.api.get(
+        `/municipalities/${this.model.municipalityId}/permit-reports/${this.reportKey}`,
+        this.reportParams,
+      );
+      this.report = response.report;
+    } catch (error) {
+      console.error('Error loading permit report:', error);
+      this.report = null;
+      this.notifications.error(error.message || 'Failed to load report');
+    } finally {
+      this.isLoadingReport = false;
+    }
+  }
+
+  @action
+  async exportReport(format) {
+    this.isExportingReport = true;
+    try {
+      const params = new URLSearchParams({ ...this.reportParams, format });
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${this.model.municipalityId}/permit-reports/${this.reportKey}?${params}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+          },
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to export report');
+
+      const extension = format === 'excel' ? 'xlsx' : format;
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${this.reportKey}-${this.startDate}-${this.endDate}.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting permit report:', error);
+      this.notifications.error('Failed to export report');
+    } finally {
+      this.isExportingReport = false;
+    }
+  }
+
+  get drawerParams() {
+    const params = { date: this.drawerDate };
+    if (this.countedCash !== '') params.countedCash = this.countedCash;
+    if (this.countedChecks !== '') params.countedChecks = this.countedChecks;
+    return params;
+  }
+
+  @action
+  updateDrawerField(field, event) {
+    this[field] = event.target.value;
+  }
+
+  @action
+  async loadCashDrawer(event) {
+    event?.preventDefault();
+    if (!this.drawerDate) return;
+
+    this.isLoadingDrawer = true;
+    try {
+      this.cashDrawer = await this.api.get(
+        `/municipalities/${this.model.municipalityId}/permit-fees/cash-drawer`,
+        this.drawerParams,
+      );
+    } catch (error) {
+      console.error('Error loading cash drawer:', error);
+      this.notifications.error(error.message || 'Failed to load cash drawer');
+    } finally {
+      this.isLoadingDrawer = false;
+    }
+  }
+
+  @action
+  async exportCashDrawer(format) {
+    this.isExportingDrawer = true;
+    try {
+      const params = new URLSearchParams({ ...this.drawerParams, format });
+      const response = await fetch(
+        `${config.APP.API_HOST}/api/municipalities/${this.model.municipalityId}/permit-fees/cash-drawer?${params}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+          },
+        },
+      );
+
+      if (!response.ok) throw new Error('Failed to export cash drawer');
+
+      const extension = format === 'excel' ? 'xlsx' : format;
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `cash-drawer-${this.drawerDate}.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting cash drawer:', error);
+      this.notifications.error('Failed to export cash drawer');
+    } finally {
+      this.isExportingDrawer = false;
+    }
+  }
+}
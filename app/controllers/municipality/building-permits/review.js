@@ -2,6 +2,11 @@ import Controller from '@ember/controller';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
+import {
+  currentReviewStage,
+  isReviewLocked,
+  reviewStage,
+} from 'avitar-suite/utils/review-routing';
 
 export default class MunicipalityBuildingPermitsReviewController extends Controller {
   @service api;
@@ -27,15 +32,10 @@ export default class MunicipalityBuildingPermitsReviewController extends Control
   @tracked newComment = '';
   @tracked showCommentModal = false;
 
-  // Document annotation state
-  @tracked selectedDocument = null;
-  @tracked showAnnotationModal = false;
-  @tracked annotationText = '';
-  @tracked documentAnnotations = {};
-
   // Document viewer state
   @tracked showDocumentViewer = false;
   @tracked selectedDocumentForViewing = null;
+  @tracked startDocumentMarkup = false;
 
   // Initialize checklist from permit type
   get permit() {
@@ -46,6 +46,22 @@ export default class MunicipalityBuildingPermitsReviewController extends Control
     return this.model.departmentReview;
   }
 
+  get reviewStage() {
+    return reviewStage(this.departmentReview);
+  }
+
+  // Stage that has to be approved before this department can review
+  get blockingStage() {
+    return currentReviewStage(this.permit.departmentReviews);
+  }
+
+  get isReviewLocked() {
+    return isReviewLocked(
+      this.permit.departmentReviews || [],
+      this.departmentReview,
+    );
+  }
+
   get documents() {
     return this.model.documents || [];
   }
@@ -56,6 +72,7 @@ export default class MunicipalityBuildingPermitsReviewController extends Control
 
   get canSubmitReview() {
     return (
+      !this.isReviewLocked &&
       this.reviewStatus !== 'pending' &&
       (this.reviewStatus === 'approved' || this.reviewNotes.trim().length > 0)
     );
@@ -144,6 +161,8 @@ export default class MunicipalityBuildingPermitsReviewController extends Control
       approved: review.status === 'approved',
       reviewedAt: review.reviewedAt,
       reviewedBy: review.reviewedBy,
+      stage: reviewStage(review),
+      locked: isReviewLocked(reviews, review),
     }));
   }
 
@@ -313,58 +332,6 @@ export default class MunicipalityBuildingPermitsReviewController extends Control
     }
   }
 
-  // Document annotation actions
-  @action
-  openAnnotationModal(document) {
-    this.selectedDocument = document;
-    this.annotationText = '';
-    this.showAnnotationModal = true;
-  }
-
-  @action
-  closeAnnotationModal() {
-    this.showAnnotationModal = false;
-    this.selectedDocument = null;
-    this.annotationText = '';
-  }
-
-  @action
-  updateAnnotationText(event) {
-    this.annotationText = event.target.value;
-  }
-
-  @action
-  async saveAnnotation() {
-    if (!this.annotationText.trim()) {
-      this.notifications.warning('Please enter an annotation');
-      return;
-    }
-
-    this.isAddingComment = true;
-    try {
-      // Save as a comment linked to the document
-      await this.api.post(
-        `/municipalities/${this.model.municipalityId}/permits/${this.permit._id}/comments`,
-        {
-          content: `📄 Document Annotation (${this.selectedDocument.displayName || this.selectedDocument.fileName || this.selectedDocument.originalName}): ${this.annotationText.trim()}`,
-          visibility: 'internal',
-          department: this.model.departmentName,
-        },
-      );
-
-      this.notifications.success('Annotation saved successfully');
-      this.closeAnnotationModal();
-
-      // Refresh to show new comment
-      await this.router.refresh('municipality.building-permits.review');
-    } catch (error) {
-      console.error('Failed to save annotation:', error);
-      this.notifications.error(error.message || 'Failed to save annotation');
-    } finally {
-      this.isAddingComment = false;
-    }
-  }
-
   // Review submission
   @action
   async submitReview() {
@@ -415,6 +382,15 @@ export default class MunicipalityBuildingPermitsReviewController extends Control
   @action
   viewDocument(document) {
     this.selectedDocumentForViewing = document;
+    this.startDocumentMarkup = false;
+    this.showDocumentViewer = true;
+  }
+
+  // Open the viewer with the plan review markup tools showing
+  @action
+  annotateDocument(document) {
+    this.selectedDocumentForViewing = document;
+    this.startDocumentMarkup = true;
     this.showDocumentViewer = true;
   }
 
@@ -422,5 +398,6 @@ export default class MunicipalityBuildingPermitsReviewController extends Control
   closeDocumentViewer() {
     this.showDocumentViewer = false;
     this.selectedDocumentForViewing = null;
+    this.startDocumentMarkup = false;
   }
 }
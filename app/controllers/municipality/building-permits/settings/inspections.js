@@ -21,6 +21,14 @@ export default class MunicipalityBuildingPermitsSettingsInspectionsController ex
   @tracked newSlotEndTime = '17:00';
   @tracked newSlotDuration = 60;
 
+  // Itinerary routing form data
+  @tracked routingStartLabel = '';
+  @tracked routingStartAddress = '';
+  @tracked routingStartLatitude = '';
+  @tracked routingStartLongitude = '';
+  @tracked routingAverageSpeedMph = 25;
+  @tracked routingArrivalWindowMinutes = 60;
+
   // Days of week for dropdown
   get daysOfWeek() {
     return [
@@ -238,6 +246,44 @@ export default class MunicipalityBuildingPermitsSettingsInspectionsController ex
     }
   }
 
+  // Itinerary routing
+  @action
+  async saveRouting() {
+    if (
+      (this.routingStartLatitude === '') !==
+      (this.routingStartLongitude === '')
+    ) {
+      this.notifications.warning(
+        'Enter both latitude and longitude for the start point',
+      );
+      return;
+    }
+
+    this.isLoading = true;
+    try {
+      await this.api.put(
+        `/municipalities/${this.model.municipalityId}/inspection-settings/routing`,
+        {
+          startLabel: this.routingStartLabel,
+          startAddress: this.routingStartAddress,
+          startLatitude: this.routingStartLatitude,
+          startLongitude: this.routingStartLongitude,
+          averageSpeedMph: this.routingAverageSpeedMph,
+          arrivalWindowMinutes: this.routingArrivalWindowMinutes,
+        },
+      );
+
+      this.notifications.success('Routing settings updated successfully');
+      await this.router.refresh();
+    } catch (error) {
+      this.notifications.error(
+        error.message || 'Failed to update routing settings',
+      );
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
   @action
   updateField(field, event) {
     this[field] = event.target.value;
@@ -9,6 +9,7 @@ export default class MunicipalityBuildingPermitsSettingsPermitTypesController ex
   @service router;
 
   @tracked permitTypes = [];
+  @tracked feeSchedules = [];
   @tracked municipalityId = null;
   @tracked isModalOpen = false;
   @tracked selectedPermitType = null;
@@ -0,0 +1,108 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { inject as service } from '@ember/service';
+
+export default class MunicipalityProfileController extends Controller {
+  @service api;
+  @service notifications;
+  @service router;
+
+  // Which security form is open: 'setup' | 'disable' | 'regenerate' | null
+  @tracked activeForm = null;
+  @tracked password = '';
+  @tracked code = '';
+  @tracked isSaving = false;
+  @tracked newRecoveryCodes = null;
+
+  get twoFactor() {
+    return this.model?.twoFactor || {};
+  }
+
+  get canDisableTwoFactor() {
+    return this.twoFactor.enabled && !this.twoFactor.required;
+  }
+
+  resetSecurityForms() {
+    this.activeForm = null;
+    this.password = '';
+    this.code = '';
+    this.newRecoveryCodes = null;
+  }
+
+  @action
+  openForm(form) {
+    this.resetSecurityForms();
+    this.activeForm = form;
+  }
+
+  @action
+  closeForm() {
+    const codesChanged = !!this.newRecoveryCodes;
+    this.resetSecurityForms();
+    if (codesChanged) {
+      this.router.refresh('municipality.profile');
+    }
+  }
+
+  @action
+  updateField(field, event) {
+    if (field === 'password') {
+      this.password = event.target.value;
+    } else if (field === 'code') {
+      this.code = event.target.value;
+    }
+  }
+
+  @action
+  finishSetup() {
+    this.notifications.success('Two-factor authentication enabled');
+    this.resetSecurityForms();
+    this.router.refresh('municipality.profile');
+  }
+
+  @action
+  async disableTwoFactor(event) {
+    event.preventDefault();
+    this.isSaving = true;
+
+    try {
+      await this.api.post('/auth/2fa/disable', {
+        password: this.password,
+        code: this.code.replace(/\s/g, ''),
+      });
+
+      this.notifications.success('Two-factor authentication disabled');
+      this.resetSecurityForms();
+      this.router.refresh('municipality.profile');
+    } catch (error) {
+      this.notifications.error(
+        error.message || 'Failed to disable two-factor authentication',
+      );
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  @action
+  async regenerateRecoveryCodes(event) {
+    event.preventDefault();
+    this.isSaving = true;
+
+    try {
+      const data = await this.api.post('/auth/2fa/recovery-codes', {
+        code: this.code.replace(/\s/g, ''),
+      });
+
+      this.code = '';
+      this.newRecoveryCodes = data.recovery_codes;
+      this.notifications.success('New recovery codes generated');
+    } catch (error) {
+      this.notifications.error(
+        error.message || 'Failed to generate recovery codes',
+      );
+    } finally {
+      this.isSaving = false;
+    }
+  }
+}
@@ -22,6 +22,10 @@ export default class MunicipalitySettingsSystemController extends Controller {
   @tracked showPreview = false;
   @tracked isClearing = false;
 
+  // Sign-in security policy
+  @tracked requireTwoFactorForAssessingAdmins = false;
+  @tracked isSavingSecurity = false;
+
   // Available digit options
   digitOptions = [2, 3, 4, 6];
 
@@ -58,6 +62,13 @@ export default class MunicipalitySettingsSystemController extends Controller {
     }
   }
 
+  @action
+  loadSecuritySettings() {
+    this.requireTwoFactorForAssessingAdmins =
+      this.municipality.currentMunicipality?.settings
+        ?.requireTwoFactorForAssessingAdmins || false;
+  }
+
   // Computed: Current format configuration object
   get currentFormat() {
     return {
@@ -268,6 +279,40 @@ export default class MunicipalitySettingsSystemController extends Controller {
     this.notifications.info('Reset to default format settings');
   }
 
+  @action
+  async toggleRequireTwoFactor(event) {
+    const required = event.target.checked;
+    this.isSavingSecurity = true;
+
+    try {
+      const municipalityId = this.municipality.currentMunicipality?.id;
+
+      const response = await this.api.put(
+        `/municipalities/${municipalityId}/security-settings`,
+        { requireTwoFactorForAssessingAdmins: required },
+      );
+
+      this.requireTwoFactorForAssessingAdmins = required;
+      if (this.municipality.currentMunicipality) {
+        this.municipality.currentMunicipality.settings = response.settings;
+      }
+
+      this.notifications.success(
+        required
+          ? 'Two-factor authentication is now required for assessing administrators'
+          : 'Two-factor authentication is no longer required',
+      );
+    } catch (error) {
+      console.error('Error saving security settings:', error);
+      event.target.checked = this.requireTwoFactorForAssessingAdmins;
+      this.notifications.error(
+        error.message || 'Failed to save security settings',
+      );
+    } finally {
+      this.isSavingSecurity = false;
+    }
+  }
+
   @action
   async clearLocalData() {
     // Show confirmation dialog
@@ -64,13 +64,47 @@ export default class MyPermitsCreateController extends Controller {
     ];
   }
 
+  // Why the contractor cannot file in the selected municipality (expired
+  // license or insurance, or an approval suspended because of one)
+  get filingBlock() {
+    const contractor = this.model?.contractor;
+    if (!contractor) return null;
+
+    const now = new Date();
+    const credentials = [
+      { name: 'license', expiresOn: contractor.license_expiration },
+      {
+        name: 'certificate of insurance',
+        expiresOn: contractor.insurance_info?.expiration,
+      },
+    ];
+
+    for (const { name, expiresOn } of credentials) {
+      if (expiresOn && new Date(expiresOn) <= now) {
+        const date = new Date(expiresOn).toLocaleDateString('en-US', {
+          timeZone: 'UTC',
+        });
+        return `Your ${name} expired on ${date}. Upload your renewal for verification to resume filing permits.`;
+      }
+    }
+
+    const approval = (contractor.municipality_approvals || []).find(
+      (a) => a.municipality_id === this.selectedMunicipality?.id,
+    );
+    if (approval?.status === 'suspended' && approval.suspension_reason) {
+      return 'Your approval in this municipality is suspended until your renewed credentials are verified.';
+    }
+
+    return null;
+  }
+
   get canGoNext() {
     // Reference formVersion to trigger re-computation when form changes
     void this.formVersion;
 
     switch (this.currentStep) {
       case 1:
-        return !!this.selectedMunicipality;
+        return !!this.selectedMunicipality && !this.filingBlock;
       case 2:
         // Property must be selected
         if (!this.selectedProperty) return false;
@@ -522,6 +556,11 @@ export default class MyPermitsCreateController extends Controller {
 
   @action
   async submitPermit() {
+    if (this.filingBlock) {
+      this.notifications.error(this.filingBlock);
+      return;
+    }
+
     // Handle different permit modes
     if (this.permitMode === 'create-project') {
       return this.submitProjectWithPermits();
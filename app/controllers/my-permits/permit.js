@@ -2,6 +2,7 @@ import Controller from '@ember/controller';
 import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
+import { isReviewLocked, reviewStage } from 'avitar-suite/utils/review-routing';
 
 export default class MyPermitsPermitController extends Controller {
   @service router;
@@ -12,8 +13,11 @@ export default class MyPermitsPermitController extends Controller {
   @tracked activeTab = 'overview';
   @tracked showScheduleInspectionModal = false;
   @tracked showUploadDocumentModal = false;
+  @tracked versionedFile = null; // File a revised version is being uploaded for
   @tracked showAddCommentModal = false;
   @tracked isLoading = false;
+  @tracked isResubmitting = false;
+  @tracked resubmitNotes = '';
 
   // Document viewer state
   @tracked showDocumentViewer = false;
@@ -27,6 +31,11 @@ export default class MyPermitsPermitController extends Controller {
     return this.model.permit;
   }
 
+  // municipalityId may be populated
+  get municipalityId() {
+    return this.permit.municipalityId?._id || this.permit.municipalityId;
+  }
+
   get permitStatusSteps() {
     const steps = [
       { label: 'Draft', icon: 'file-alt', status: 'draft' },
@@ -45,6 +54,7 @@ export default class MyPermitsPermitController extends Controller {
       draft: 0,
       submitted: 1,
       under_review: 2,
+      on_hold: 2,
       approved: 3,
       active: 4,
       completed: 4,
@@ -57,7 +67,19 @@ export default class MyPermitsPermitController extends Controller {
   get departmentReviews() {
     // Get department reviews from permit data
     // This will come from the backend - format: [{ department, approved, reviewedAt, reviewedBy }]
-    return this.permit.departmentReviews || [];
+    const reviews = this.permit.departmentReviews || [];
+    return reviews.map((review) => ({
+      ...review,
+      stage: reviewStage(review),
+      locked: isReviewLocked(reviews, review),
+    }));
+  }
+
+  // Department reviews waiting on the applicant to revise and resubmit
+  get revisionReviews() {
+    return (this.permit.departmentReviews || []).filter(
+      (review) => review.status === 'revisions_requested',
+    );
   }
 
   get canScheduleInspection() {
@@ -93,12 +115,40 @@ export default class MyPermitsPermitController extends Controller {
       active: 'avitar-badge--success',
       completed: 'avitar-badge--info',
       denied: 'avitar-badge--danger',
+      on_hold: 'avitar-badge--warning',
       closed: 'avitar-badge--secondary',
     };
 
     return `avitar-badge ${badges[status] || 'avitar-badge--secondary'}`;
   }
 
+  @action
+  updateResubmitNotes(event) {
+    this.resubmitNotes = event.target.value;
+  }
+
+  @action
+  async resubmitRevisions() {
+    this.isResubmitting = true;
+    try {
+      // Extract municipalityId - handle both string and ObjectId
+      const municipalityId =
+        this.permit.municipalityId?._id || this.permit.municipalityId;
+
+      await this.hybridApi.post(
+        `/municipalities/${municipalityId}/permits/${this.permit._id}/reviews/resubmit`,
+        { notes: this.resubmitNotes.trim() },
+      );
+      this.notifications.success('Revisions resubmitted for review');
+      this.resubmitNotes = '';
+      await this.refreshData();
+    } catch (error) {
+      this.notifications.error(error.message || 'Failed to resubmit revisions');
+    } finally {
+      this.isResubmitting = false;
+    }
+  }
+
   @action
   setActiveTab(tab) {
     this.activeTab = tab;
@@ -180,14 +230,27 @@ export default class MyPermitsPermitController extends Controller {
     this.showUploadDocumentModal = true;
   }
 
+  @action
+  openUploadVersionModal(file, event) {
+    // The document card itself opens the file
+    event?.stopPropagation();
+    this.versionedFile = file;
+    this.openUploadDocumentModal();
+  }
+
   @action
   closeUploadDocumentModal() {
     this.showUploadDocumentModal = false;
+    this.versionedFile = null;
   }
 
   @action
   async handleFileUpload(event) {
-    const files = Array.from(event.target.files);
+    // A revised version replaces a single file
+    const files = Array.from(event.target.files).slice(
+      0,
+      this.versionedFile ? 1 : undefined,
+    );
 
     if (files.length === 0) return;
 
@@ -199,6 +262,9 @@ export default class MyPermitsPermitController extends Controller {
         formData.append('file', file);
         formData.append('department', 'building_permit');
         formData.append('permitId', this.permit._id);
+        if (this.versionedFile) {
+          formData.append('previousFileId', this.versionedFile._id);
+        }
 
         await this.hybridApi.upload(`/permits/${this.permit._id}/files`, formData);
       }
@@ -207,6 +273,7 @@ export default class MyPermitsPermitController extends Controller {
         `${files.length} file(s) uploaded successfully`,
       );
       this.showUploadDocumentModal = false;
+      this.versionedFile = null;
       await this.refreshData();
 
       // Clear file input
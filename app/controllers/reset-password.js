@@ -0,0 +1,93 @@
+import Controller from '@ember/controller';
+import { action } from '@ember/object';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+
+export default class ResetPasswordController extends Controller {
+  @service api;
+  @service router;
+
+  queryParams = ['token'];
+
+  @tracked token = null;
+  @tracked password = '';
+  @tracked confirmPassword = '';
+  @tracked isLoading = false;
+  @tracked errorMessage = '';
+  @tracked isComplete = false;
+
+  @action
+  updateField(field, event) {
+    if (field === 'password') {
+      this.password = event.target.value;
+    } else if (field === 'confirmPassword') {
+      this.confirmPassword = event.target.value;
+    }
+  }
+
+  /**
+   * Client-side checks before calling the API
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validate() {
+    if (!this.token) {
+      return 'This password reset link is missing its token. Please request a new one.';
+    }
+    if (!this.password || !this.confirmPassword) {
+      return 'Please fill in all fields';
+    }
+    if (this.password.length < 8) {
+      return 'Password must be at least 8 characters long';
+    }
+    if (this.password !== this.confirmPassword) {
+      return 'Passwords do not match';
+    }
+    return null;
+  }
+
+  @action
+  async handleSubmit(event) {
+    event.preventDefault();
+    this.errorMessage = '';
+
+    const validationError = this.validate();
+    if (validationError) {
+      this.errorMessage = validationError;
+      return;
+    }
+
+    this.isLoading = true;
+    try {
+      const data = await this.api.postUnauth('/auth/reset-password', {
+        token: this.token,
+        password: this.password,
+      });
+
+      if (!data.success) {
+        throw new Error(data.message || 'Password reset failed');
+      }
+
+      this.isComplete = true;
+      this.password = '';
+      this.confirmPassword = '';
+    } catch (error) {
+      this.errorMessage =
+        error.message || 'Password reset failed. Please try again.';
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  @action
+  goToLogin() {
+    this.router.transitionTo('login');
+  }
+
+  reset() {
+    this.token = null;
+    this.password = '';
+    this.confirmPassword = '';
+    this.errorMessage = '';
+    this.isComplete = false;
+  }
+}
@@ -0,0 +1,23 @@
+import Controller from '@ember/controller';
+import { action } from '@ember/object';
+import { inject as service } from '@ember/service';
+
+export default class VerifyEmailController extends Controller {
+  @service router;
+  @service session;
+  @service('current-user') currentUser;
+
+  queryParams = ['token'];
+  token = null;
+
+  @action
+  continue() {
+    if (!this.session.isAuthenticated) {
+      this.router.transitionTo('login');
+    } else if (this.currentUser.isContractorOrCitizen) {
+      this.router.transitionTo('my-permits');
+    } else {
+      this.router.transitionTo('municipality-select');
+    }
+  }
+}
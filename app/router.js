@@ -11,6 +11,9 @@ Router.map(function () {
   this.route('login');
   this.route('register');
   this.route('logout');
+  this.route('forgot-password');
+  this.route('reset-password');
+  this.route('verify-email');
 
   // Municipality selection
   this.route('municipality-select');
@@ -1,12 +1,17 @@
 import Route from '@ember/routing/route';
 import { service } from '@ember/service';
 
+// Routes reachable without signing in (linked from account emails)
+const PUBLIC_ROUTES = ['forgot-password', 'reset-password', 'verify-email'];
+
 export default class ApplicationRoute extends Route {
   @service router;
   @service session;
   @service('current-user') currentUser;
 
-  async beforeModel() {
+  async beforeModel(transition) {
+    const isPublicRoute = PUBLIC_ROUTES.includes(transition?.to?.name);
+
     // First, try to restore session from localStorage
     this.session.restore();
 
@@ -27,9 +32,11 @@ export default class ApplicationRoute extends Route {
           error.message,
         );
         this.session.invalidate();
-        this.router.transitionTo('login');
+        if (!isPublicRoute) {
+          this.router.transitionTo('login');
+        }
       }
-    } else {
+    } else if (!isPublicRoute) {
       console.log('No valid session found, redirecting to login');
       // Not authenticated, redirect to login
       this.router.transitionTo('login');
@@ -0,0 +1,9 @@
+import Route from '@ember/routing/route';
+
+export default class ForgotPasswordRoute extends Route {
+  resetController(controller, isExiting) {
+    if (isExiting) {
+      controller.reset();
+    }
+  }
+}
@@ -0,0 +1,32 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class MunicipalityAssessingExemptionsIndexRoute extends Route {
+  @service api;
+  @service municipality;
+
+  async model() {
+    const municipalityId = this.municipality.currentMunicipality?.id;
+    // Re-qualification runs are prepared ahead of the coming tax year
+    const taxYear = new Date().getFullYear() + 1;
+
+    let exemptions = [];
+    try {
+      const response = await this.api.get(
+        `/municipalities/${municipalityId}/exemption-requalifications`,
+        { tax_year: taxYear },
+      );
+      exemptions = response.exemptions || [];
+    } catch (error) {
+      console.warn('Could not load re-qualification list:', error);
+    }
+
+    return { municipalityId, taxYear, exemptions };
+  }
+
+  setupController(controller, model) {
+    super.setupController(controller, model);
+    controller.taxYear = model.taxYear;
+    controller.exemptions = model.exemptions;
+  }
+}
@@ -1,8 +1,28 @@
 import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
 
 export default class MunicipalityAssessingRevaluationIndexRoute extends Route {
-  model() {
+  @service api;
+
+  async model() {
     // Inherit model from parent revaluation route
-    return this.modelFor('municipality.assessing.revaluation');
+    const parentModel = this.modelFor('municipality.assessing.revaluation');
+
+    // Latest what-if preview, if one has been generated
+    let shadowPreview = null;
+    try {
+      const response = await this.api.get(
+        `/revaluations/${parentModel.revaluation._id}/shadow-preview`,
+        { limit: 25 },
+      );
+      shadowPreview = response.shadow_preview ? response : null;
+    } catch (error) {
+      console.warn('Could not load revaluation preview:', error);
+    }
+
+    return {
+      ...parentModel,
+      shadowPreview,
+    };
   }
 }
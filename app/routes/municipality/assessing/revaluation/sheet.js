@@ -41,6 +41,7 @@ export default class MunicipalityAssessingRevaluationSheetRoute extends Route {
       'municipality.assessing.revaluation',
     );
     parentController.currentSheetId = model.sheet._id;
+    controller.resetRateApproval();
   }
 
   resetController(controller, isExiting) {
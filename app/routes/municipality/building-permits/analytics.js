@@ -0,0 +1,11 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class MunicipalityBuildingPermitsAnalyticsRoute extends Route {
+  @service router;
+
+  beforeModel() {
+    // Analytics live on the reports dashboard
+    this.router.transitionTo('municipality.building-permits.reports');
+  }
+}
@@ -8,7 +8,6 @@ export default class MunicipalityBuildingPermitsCertificatesRoute extends Route
     const municipalityId = this.municipality.currentMunicipality?.id;
 
     return {
-      certificates: [],
       municipalityId,
     };
   }
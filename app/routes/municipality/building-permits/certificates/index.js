@@ -0,0 +1,49 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class MunicipalityBuildingPermitsCertificatesIndexRoute extends Route {
+  @service('current-user') currentUser;
+  @service router;
+  @service api;
+
+  queryParams = {
+    search: { refreshModel: true },
+    type: { refreshModel: true },
+    status: { refreshModel: true },
+  };
+
+  beforeModel() {
+    if (!this.currentUser.hasModulePermission('building_permit', 'read')) {
+      this.router.transitionTo('municipality.dashboard');
+      throw new Error('You do not have permission to view building permits');
+    }
+  }
+
+  async model(params) {
+    const { municipalityId } = this.modelFor(
+      'municipality.building-permits.certificates',
+    );
+
+    // Build query params, excluding empty filters
+    const queryParams = {};
+    ['search', 'type', 'status'].forEach((key) => {
+      if (params[key]) queryParams[key] = params[key];
+    });
+
+    const response = await this.api.get(
+      `/municipalities/${municipalityId}/certificates`,
+      queryParams,
+    );
+
+    return {
+      certificates: response.certificates || [],
+      total: response.total || 0,
+      municipalityId,
+    };
+  }
+
+  setupController(controller, model) {
+    super.setupController(controller, model);
+    controller.searchText = controller.search;
+  }
+}
@@ -28,6 +28,7 @@ export default class MunicipalityBuildingPermitsCertificatesPropertyRoute extend
 
       return {
         property,
+        municipalityId,
         certificates: certificatesData.certificates || [],
       };
     } catch (error) {
@@ -3,19 +3,26 @@ import { inject as service } from '@ember/service';
 
 export default class MunicipalityBuildingPermitsInspectionRoute extends Route {
   @service municipality;
-  @service api;
+  @service fieldInspections;
 
   async model(params) {
     const municipalityId = this.municipality.currentMunicipality?.id;
     const { inspection_id } = params;
 
-    const response = await this.api.get(
-      `/municipalities/${municipalityId}/inspections/${inspection_id}`,
+    // Falls back to the copy saved on this device when offline
+    const loaded = await this.fieldInspections.loadInspection(
+      municipalityId,
+      inspection_id,
     );
 
     return {
-      inspection: response.inspection,
+      ...loaded,
       municipalityId,
     };
   }
+
+  setupController(controller, model) {
+    super.setupController(controller, model);
+    controller.resetFindings();
+  }
 }
@@ -33,10 +33,19 @@ export default class MunicipalityBuildingPermitsInspectionsRoute extends Route {
     if (params.type) queryParams.type = params.type;
     if (params.search) queryParams.search = params.search;
 
-    const response = await this.api.get(
-      `/municipalities/${municipalityId}/inspections`,
-      queryParams,
-    );
+    let response;
+    try {
+      response = await this.api.get(
+        `/municipalities/${municipalityId}/inspections`,
+        queryParams,
+      );
+    } catch (error) {
+      // Offline, the itinerary tab can still list inspections saved on the device
+      if (params.tab !== 'itinerary' || !(error instanceof TypeError)) {
+        throw error;
+      }
+      response = { inspections: [] };
+    }
 
     return {
       inspections: response.inspections,
@@ -3,13 +3,29 @@ import { inject as service } from '@ember/service';
 
 export default class MunicipalityBuildingPermitsReportsRoute extends Route {
   @service municipality;
+  @service api;
 
   async model() {
     const municipalityId = this.municipality.currentMunicipality?.id;
 
+    let reports = [];
+    try {
+      const response = await this.api.get(
+        `/municipalities/${municipalityId}/permit-reports`,
+      );
+      reports = response.reports || [];
+    } catch (error) {
+      console.error('Error loading permit reports:', error);
+    }
+
     return {
-      reports: [],
+      reports,
       municipalityId,
     };
   }
+
+  setupController(controller, model) {
+    super.setupController(controller, model);
+    controller.loadReport();
+  }
 }
@@ -27,5 +27,14 @@ export default class MunicipalityBuildingPermitsSettingsInspectionsRoute extends
       ...(model.inspectionSettings?.availableTimeSlots || []),
     ];
     controller.inspectors = [...(model.inspectors || [])];
+
+    const routing = model.inspectionSettings?.routing || {};
+    const [longitude, latitude] = routing.startLocation?.coordinates || [];
+    controller.routingStartLabel = routing.startLabel || '';
+    controller.routingStartAddress = routing.startAddress || '';
+    controller.routingStartLatitude = latitude ?? '';
+    controller.routingStartLongitude = longitude ?? '';
+    controller.routingAverageSpeedMph = routing.averageSpeedMph || 25;
+    controller.routingArrivalWindowMinutes = routing.arrivalWindowMinutes || 60;
   }
 }
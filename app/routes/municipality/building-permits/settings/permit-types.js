@@ -15,13 +15,19 @@ export default class MunicipalityBuildingPermitsSettingsPermitTypesRoute extends
         throw new Error('No municipality selected');
       }
 
-      // Fetch permit types
-      const data = await this.api.get(
-        `/municipalities/${municipalityId}/permit-types?status=all`,
-      );
+      // Fetch permit types and the fee schedules their formulas can use
+      const [data, feeScheduleData] = await Promise.all([
+        this.api.get(
+          `/municipalities/${municipalityId}/permit-types?status=all`,
+        ),
+        this.api
+          .get(`/municipalities/${municipalityId}/fee-schedules?status=active`)
+          .catch(() => ({ feeSchedules: [] })),
+      ]);
 
       return {
         permitTypes: data.permitTypes || [],
+        feeSchedules: feeScheduleData.feeSchedules || [],
         municipalityId,
       };
     } catch (error) {
@@ -29,6 +35,7 @@ export default class MunicipalityBuildingPermitsSettingsPermitTypesRoute extends
       this.notifications.error('Failed to load permit types');
       return {
         permitTypes: [],
+        feeSchedules: [],
         municipalityId: this.municipality.currentMunicipality?.id,
       };
     }
@@ -37,6 +44,7 @@ export default class MunicipalityBuildingPermitsSettingsPermitTypesRoute extends
   setupController(controller, model) {
     super.setupController(controller, model);
     controller.permitTypes = model.permitTypes;
+    controller.feeSchedules = model.feeSchedules;
     controller.municipalityId = model.municipalityId;
   }
 }
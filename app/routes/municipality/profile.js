@@ -0,0 +1,27 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class MunicipalityProfileRoute extends Route {
+  @service api;
+  @service('current-user') currentUser;
+
+  async model() {
+    let twoFactor = { enabled: false, required: false };
+
+    try {
+      twoFactor = await this.api.get('/auth/2fa/status');
+    } catch (error) {
+      console.error('Error loading two-factor status:', error);
+    }
+
+    return {
+      user: this.currentUser.user,
+      twoFactor,
+    };
+  }
+
+  setupController(controller, model) {
+    super.setupController(controller, model);
+    controller.resetSecurityForms();
+  }
+}
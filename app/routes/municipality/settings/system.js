@@ -41,5 +41,6 @@ export default class MunicipalitySettingsSystemRoute extends Route {
     super.setupController(controller, model);
     // Load the format settings into controller's tracked properties
     controller.loadFormatSettings();
+    controller.loadSecuritySettings();
   }
 }
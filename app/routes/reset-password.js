@@ -0,0 +1,13 @@
+import Route from '@ember/routing/route';
+
+export default class ResetPasswordRoute extends Route {
+  queryParams = {
+    token: { refreshModel: false },
+  };
+
+  resetController(controller, isExiting) {
+    if (isExiting) {
+      controller.reset();
+    }
+  }
+}
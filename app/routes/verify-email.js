@@ -0,0 +1,28 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class VerifyEmailRoute extends Route {
+  @service api;
+
+  queryParams = {
+    token: { refreshModel: true },
+  };
+
+  async model({ token }) {
+    if (!token) {
+      return {
+        success: false,
+        message: 'This verification link is missing its token.',
+      };
+    }
+
+    try {
+      return await this.api.postUnauth('/auth/verify-email', { token });
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Verification link is invalid or has expired',
+      };
+    }
+  }
+}
@@ -929,6 +929,44 @@ export default class AssessingService extends Service {
     );
   }
 
+  async getPropertyQueryOptions() {
+    const municipalityId = this.municipality.currentMunicipality.id;
+    return this.api.get(
+      `/municipalities/${municipalityId}/properties/query-options`,
+    );
+  }
+
+  // Saved queries bypass the local cache so shared queries stay current
+  async getSavedPropertyQueries() {
+    const municipalityId = this.municipality.currentMunicipality.id;
+    return this.api.get(
+      `/municipalities/${municipalityId}/saved-property-queries`,
+    );
+  }
+
+  async createSavedPropertyQuery(savedQuery) {
+    const municipalityId = this.municipality.currentMunicipality.id;
+    return this.api.post(
+      `/municipalities/${municipalityId}/saved-property-queries`,
+      savedQuery,
+    );
+  }
+
+  async updateSavedPropertyQuery(queryId, changes) {
+    const municipalityId = this.municipality.currentMunicipality.id;
+    return this.api.put(
+      `/municipalities/${municipalityId}/saved-property-queries/${queryId}`,
+      changes,
+    );
+  }
+
+  async deleteSavedPropertyQuery(queryId) {
+    const municipalityId = this.municipality.currentMunicipality.id;
+    return this.api.delete(
+      `/municipalities/${municipalityId}/saved-property-queries/${queryId}`,
+    );
+  }
+
   // === View Attributes ===
 
   async getViewAttributes(municipalityId = null) {
@@ -105,7 +105,15 @@ export default class ChangeStreamService extends Service {
 
     console.log('🔗 Connecting to change stream:', this.changeStreamUrl);
 
-    this.eventSource = new EventSource(this.changeStreamUrl);
+    // EventSource cannot send an Authorization header, so the token goes in
+    // the query string (kept out of changeStreamUrl so it is never logged)
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Not authenticated');
+    }
+    params.append('token', token);
+
+    this.eventSource = new EventSource(`${baseUrl}?${params.toString()}`);
 
     this.eventSource.onopen = this.handleOpen.bind(this);
     this.eventSource.onmessage = this.handleMessage.bind(this);
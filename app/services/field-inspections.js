@@ -0,0 +1,554 @@
+import Service from '@ember/service';
+import { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import config from 'avitar-suite/config/environment';
+
+const QUEUE_PATHS = {
+  status: { method: 'PATCH', path: 'status' },
+  note: { method: 'POST', path: 'notes' },
+  photo: { method: 'POST', path: 'photos' },
+};
+
+function localDay(value) {
+  const date = new Date(value);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+function generateClientId() {
+  return `field_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// fetch rejects with a TypeError when the request never reached the server
+function isNetworkError(error) {
+  return !navigator.onLine || error instanceof TypeError;
+}
+
+function mergeChecklistResults(existing = [], updates = []) {
+  const merged = existing.filter(
+    (result) => !updates.some((update) => update.itemId === result.itemId),
+  );
+  return [...merged, ...updates];
+}
+
+/**
+ * Field Inspections Service
+ *
+ * Lets inspectors work their inspections without connectivity. A day's
+ * inspections and their permit type checklists are saved to IndexedDB; status
+ * results (with violations, conditions and checklist responses), notes and
+ * photos are queued locally and replayed to the server in the order they were
+ * recorded. The sync manager pushes the queue when the tablet reconnects and
+ * raises results that conflict with office changes in the conflict resolver.
+ */
+export default class FieldInspectionsService extends Service {
+  @service api;
+  @service indexedDb;
+
+  @tracked pendingCount = 0;
+  @tracked conflictCount = 0;
+  @tracked failedCount = 0;
+  @tracked isPushing = false;
+
+  // === OFFLINE CACHE ===
+
+  /**
+   * Save an inspector's open inspections for a day (or several) to the device
+   * @param {String} municipalityId
+   * @param {Object} options - { date, days, inspector }
+   * @returns {Promise<Number>} - Inspections saved
+   */
+  async downloadDay(municipalityId, { date, days = 1, inspector } = {}) {
+    const params = { date, days };
+    if (inspector) params.inspector = inspector;
+
+    const packet = await this.api.get(
+      `/municipalities/${municipalityId}/inspection-itinerary/field-packet`,
+      params,
+    );
+
+    await this.indexedDb.cacheFieldInspections(
+      packet.inspections.map(({ checklist, ...inspection }) =>
+        this.toCacheRecord(municipalityId, inspection, checklist),
+      ),
+    );
+
+    return packet.inspections.length;
+  }
+
+  toCacheRecord(municipalityId, inspection, checklist = []) {
+    return {
+      id: inspection._id,
+      municipalityId,
+      inspectorId: inspection.inspector?._id || inspection.inspector || null,
+      scheduledDay: inspection.scheduledDate
+        ? localDay(inspection.scheduledDate)
+        : null,
+      inspection,
+      checklist,
+    };
+  }
+
+  /**
+   * Save a single inspection to the device
+   * @param {String} municipalityId
+   * @param {String} inspectionId
+   */
+  async saveInspection(municipalityId, inspectionId) {
+    const response = await this.api.get(
+      `/municipalities/${municipalityId}/inspections/${inspectionId}`,
+      {},
+      { background: true },
+    );
+
+    await this.indexedDb.cacheFieldInspections([
+      this.toCacheRecord(
+        municipalityId,
+        response.inspection,
+        response.checklist || [],
+      ),
+    ]);
+  }
+
+  /**
+   * Inspections saved to this device for a day, with their queued changes
+   * @param {String} municipalityId
+   * @param {String} date - YYYY-MM-DD
+   * @returns {Promise<Array>}
+   */
+  async getCachedDay(municipalityId, date) {
+    const records =
+      await this.indexedDb.getFieldInspectionsByMunicipality(municipalityId);
+    const queue = await this.indexedDb.getFieldInspectionQueue();
+
+    return records
+      .filter((record) => record.scheduledDay === date)
+      .map((record) => ({
+        ...this.withQueuedChanges(
+          record.inspection,
+          queue.filter((entry) => entry.inspectionId === record.id),
+        ),
+        cachedAt: record._cachedAt,
+        queuedCount: queue.filter((entry) => entry.inspectionId === record.id)
+          .length,
+      }))
+      .sort(
+        (a, b) =>
+          (a.routeSequence || 0) - (b.routeSequence || 0) ||
+          new Date(a.scheduledDate) - new Date(b.scheduledDate),
+      );
+  }
+
+  /**
+   * Load an inspection from the server, falling back to the copy saved on
+   * this device when offline. Changes still waiting to sync are applied on
+   * top so the inspector sees what they recorded.
+   * @param {String} municipalityId
+   * @param {String} inspectionId
+   * @returns {Promise<Object>} - { inspection, checklist, source, cachedAt, queue }
+   */
+  async loadInspection(municipalityId, inspectionId) {
+    const cached = this.indexedDb.isReady
+      ? await this.indexedDb.getFieldInspection(inspectionId)
+      : null;
+    let base;
+
+    try {
+      if (!navigator.onLine) {
+        throw new TypeError('Offline');
+      }
+
+      const response = await this.api.get(
+        `/municipalities/${municipalityId}/inspections/${inspectionId}`,
+      );
+      base = {
+        inspection: response.inspection,
+        checklist: response.checklist || [],
+        source: 'server',
+      };
+
+      // Keep a saved copy current while we have the latest
+      if (cached) {
+        await this.indexedDb.cacheFieldInspections([
+          this.toCacheRecord(municipalityId, base.inspection, base.checklist),
+        ]);
+      }
+    } catch (error) {
+      if (!cached || !isNetworkError(error)) {
+        throw error;
+      }
+      base = {
+        inspection: cached.inspection,
+        checklist: cached.checklist || [],
+        source: 'cache',
+        cachedAt: cached._cachedAt,
+      };
+    }
+
+    const queue = this.indexedDb.isReady
+      ? await this.indexedDb.getFieldInspectionQueue(inspectionId)
+      : [];
+
+    return {
+      ...base,
+      isSaved: Boolean(cached),
+      inspection: this.withQueuedChanges(base.inspection, queue),
+      queue,
+    };
+  }
+
+  /**
+   * Apply queued changes to an inspection for display; queued items are
+   * flagged _pending
+   * @private
+   */
+  withQueuedChanges(inspection, queue) {
+    const merged = {
+      ...inspection,
+      notes: [...(inspection.notes || [])],
+      photos: [...(inspection.photos || [])],
+      violations: [...(inspection.violations || [])],
+      conditions: [...(inspection.conditions || [])],
+      checklistResults: [...(inspection.checklistResults || [])],
+    };
+
+    for (const entry of queue) {
+      if (entry.state === 'failed') continue;
+      const { payload } = entry;
+
+      if (entry.kind === 'status') {
+        merged.status = payload.status;
+        if (payload.result) merged.result = payload.result;
+        if (payload.comments) merged.comments = payload.comments;
+        merged.violations.push(
+          ...(payload.violations || []).map((violation) => ({
+            ...violation,
+            _pending: true,
+          })),
+        );
+        merged.conditions.push(
+          ...(payload.conditions || []).map((condition) => ({
+            ...condition,
+            _pending: true,
+          })),
+        );
+        merged.checklistResults = mergeChecklistResults(
+          merged.checklistResults,
+          payload.checklistResults,
+        );
+      } else if (entry.kind === 'note') {
+        merged.notes.push({
+          content: payload.content,
+          createdAt: payload.recordedAt,
+          _pending: true,
+        });
+      } else if (entry.kind === 'photo') {
+        merged.photos.push({
+          url: payload.base64Data,
+          caption: payload.caption,
+          uploadedAt: payload.takenAt,
+          _pending: true,
+        });
+      }
+    }
+
+    return merged;
+  }
+
+  // === RECORDING ===
+
+  /**
+   * Queue a status result. A result recorded while an earlier one is still
+   * waiting replaces it, keeping its findings, so only one outcome is sent.
+   * @param {String} municipalityId
+   * @param {Object} inspection - The inspection as last loaded
+   * @param {Object} outcome - { status, result, comments, violations, conditions, checklistResults }
+   */
+  async recordStatus(municipalityId, inspection, outcome) {
+    const queue = await this.indexedDb.getFieldInspectionQueue(inspection._id);
+    const waiting = queue.find(
+      (entry) => entry.kind === 'status' && entry.state === 'pending',
+    );
+    const payload = {
+      status: outcome.status,
+      result: outcome.result || undefined,
+      comments: outcome.comments || undefined,
+      violations: outcome.violations || [],
+      conditions: outcome.conditions || [],
+      checklistResults: outcome.checklistResults || [],
+      recordedAt: new Date().toISOString(),
+    };
+
+    if (waiting) {
+      await this.indexedDb.updateFieldInspectionQueueItem(waiting.seq, {
+        payload: {
+          ...payload,
+          result: payload.result || waiting.payload.result,
+          comments: payload.comments || waiting.payload.comments,
+          violations: [...waiting.payload.violations, ...payload.violations],
+          conditions: [...waiting.payload.conditions, ...payload.conditions],
+          checklistResults: mergeChecklistResults(
+            waiting.payload.checklistResults,
+            payload.checklistResults,
+          ),
+        },
+      });
+    } else {
+      await this.indexedDb.queueFieldInspectionChange({
+        inspectionId: inspection._id,
+        municipalityId,
+        kind: 'status',
+        clientId: generateClientId(),
+        baseUpdatedAt: inspection.updatedAt,
+        payload,
+      });
+    }
+
+    await this.refreshCounts();
+  }
+
+  async recordNote(municipalityId, inspection, content) {
+    await this.indexedDb.queueFieldInspectionChange({
+      inspectionId: inspection._id,
+      municipalityId,
+      kind: 'note',
+      clientId: generateClientId(),
+      payload: { content, recordedAt: new Date().toISOString() },
+    });
+    await this.refreshCounts();
+  }
+
+  async recordPhoto(municipalityId, inspection, base64Data, caption) {
+    await this.indexedDb.queueFieldInspectionChange({
+      inspectionId: inspection._id,
+      municipalityId,
+      kind: 'photo',
+      clientId: generateClientId(),
+      payload: { base64Data, caption, takenAt: new Date().toISOString() },
+    });
+    await this.refreshCounts();
+  }
+
+  async discardChange(seq) {
+    await this.indexedDb.removeFieldInspectionQueueItem(seq);
+    await this.refreshCounts();
+  }
+
+  // === SYNC ===
+
+  /**
+   * Replay queued changes in the order they were recorded. Stops at the first
+   * network failure; a conflicting status result holds back later results for
+   * the same inspection until it is resolved.
+   * @returns {Promise<Object>} - { pushed, conflicts, failed }
+   */
+  async pushQueue() {
+    const summary = { pushed: 0, conflicts: 0, failed: 0 };
+    if (this.isPushing || !this.indexedDb.isReady) return summary;
+
+    this.isPushing = true;
+    const touched = new Map();
+
+    try {
+      const queue = await this.indexedDb.getFieldInspectionQueue();
+      const heldBack = new Set(
+        queue
+          .filter(
+            (entry) => entry.kind === 'status' && entry.state === 'conflict',
+          )
+          .map((entry) => entry.inspectionId),
+      );
+
+      for (const entry of queue) {
+        if (entry.state !== 'pending') continue;
+        if (entry.kind === 'status' && heldBack.has(entry.inspectionId)) {
+          continue;
+        }
+
+        let response;
+        try {
+          response = await this.send(entry);
+        } catch (error) {
+          console.warn('Field inspection sync interrupted:', error);
+          break;
+        }
+
+        const message = response.data.message || response.data.error;
+
+        if (response.ok) {
+          await this.indexedDb.removeFieldInspectionQueueItem(entry.seq);
+          touched.set(entry.inspectionId, entry.municipalityId);
+          summary.pushed++;
+        } else if (response.status === 409) {
+          await this.indexedDb.updateFieldInspectionQueueItem(entry.seq, {
+            state: 'conflict',
+            serverInspection: response.data.inspection,
+            error: message,
+          });
+          heldBack.add(entry.inspectionId);
+          summary.conflicts++;
+        } else if (response.status >= 400 && response.status < 500) {
+          // The server will never accept this change as recorded
+          await this.indexedDb.updateFieldInspectionQueueItem(entry.seq, {
+            state: 'failed',
+            error: message || `Rejected (${response.status})`,
+          });
+          summary.failed++;
+        } else {
+          // Server trouble; leave it queued for the next sync
+          await this.indexedDb.updateFieldInspectionQueueItem(entry.seq, {
+            attempts: (entry.attempts || 0) + 1,
+            error: message,
+          });
+        }
+      }
+
+      for (const [inspectionId, municipalityId] of touched) {
+        await this.refreshSavedInspection(municipalityId, inspectionId);
+      }
+    } finally {
+      this.isPushing = false;
+      await this.refreshCounts();
+    }
+
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  async send(entry) {
+    const { method, path } = QUEUE_PATHS[entry.kind];
+    const body = { ...entry.payload, clientId: entry.clientId };
+
+    if (entry.kind === 'status') {
+      body.baseUpdatedAt = entry.baseUpdatedAt;
+      body.force = entry.force || undefined;
+    }
+
+    const response = await fetch(
+      `${config.APP.API_HOST}/api/municipalities/${entry.municipalityId}/inspections/${entry.inspectionId}/${path}`,
+      {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+        },
+        body: JSON.stringify(body),
+      },
+    );
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      data: await response.json().catch(() => ({})),
+    };
+  }
+
+  /**
+   * Replace the saved copy of an inspection with the server's after sync
+   * @private
+   */
+  async refreshSavedInspection(municipalityId, inspectionId) {
+    const cached = await this.indexedDb.getFieldInspection(inspectionId);
+    if (!cached) return;
+
+    try {
+      await this.saveInspection(municipalityId, inspectionId);
+    } catch (error) {
+      console.warn(
+        `Could not refresh saved inspection ${inspectionId}:`,
+        error,
+      );
+    }
+  }
+
+  // === CONFLICTS ===
+
+  /**
+   * Conflicting status results in the shape the sync manager's conflict
+   * resolver shows
+   * @returns {Promise<Array>}
+   */
+  async getConflicts() {
+    if (!this.indexedDb.isReady) return [];
+
+    const queue = await this.indexedDb.getFieldInspectionQueue();
+    return queue
+      .filter((entry) => entry.state === 'conflict')
+      .map((entry) => ({
+        conflictId: `permit_inspections_${entry.seq}`,
+        collection: 'permit_inspections',
+        id: entry.inspectionId,
+        queueSeq: entry.seq,
+        local: this.describeOutcome(
+          entry.payload,
+          entry.payload.recordedAt,
+          'new',
+        ),
+        server: this.describeOutcome(
+          entry.serverInspection || {},
+          entry.serverInspection?.updatedAt,
+          'on record',
+        ),
+        timestamp: new Date(entry.queuedAt).getTime(),
+      }));
+  }
+
+  /**
+   * @private
+   */
+  describeOutcome(source, updatedAt, findingsLabel) {
+    return {
+      status: source.status,
+      result: source.result || '',
+      comments: source.comments || '',
+      violations: `${(source.violations || []).length} ${findingsLabel}`,
+      conditions: `${(source.conditions || []).length} ${findingsLabel}`,
+      updated_at: updatedAt,
+    };
+  }
+
+  /**
+   * Keep the inspector's result (sent again, overriding the office change)
+   * or the server's (the queued result is dropped)
+   * @param {Number} seq - Queue entry
+   * @param {String} resolution - 'local' or 'server'
+   */
+  async resolveConflict(seq, resolution) {
+    if (resolution === 'local') {
+      await this.indexedDb.updateFieldInspectionQueueItem(seq, {
+        state: 'pending',
+        force: true,
+        error: null,
+      });
+    } else {
+      const queue = await this.indexedDb.getFieldInspectionQueue();
+      const entry = queue.find((item) => item.seq === seq);
+      await this.indexedDb.removeFieldInspectionQueueItem(seq);
+      if (entry && navigator.onLine) {
+        await this.refreshSavedInspection(
+          entry.municipalityId,
+          entry.inspectionId,
+        );
+      }
+    }
+    await this.refreshCounts();
+  }
+
+  async refreshCounts() {
+    if (!this.indexedDb.isReady) return;
+
+    const queue = await this.indexedDb.getFieldInspectionQueue();
+    this.pendingCount = queue.filter(
+      (entry) => entry.state === 'pending',
+    ).length;
+    this.conflictCount = queue.filter(
+      (entry) => entry.state === 'conflict',
+    ).length;
+    this.failedCount = queue.filter((entry) => entry.state === 'failed').length;
+  }
+}
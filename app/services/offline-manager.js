@@ -211,7 +211,10 @@ export default class OfflineManagerService extends Service {
         const stats = await this.indexedDb.getStorageStats();
 
         this.offlineCapabilities = {
-          read: stats.properties > 0 || stats.assessments > 0,
+          read:
+            stats.properties > 0 ||
+            stats.assessments > 0 ||
+            stats.field_inspections > 0,
           create: true, // Always possible with optimistic updates
           update: stats.properties > 0 || stats.assessments > 0,
           delete: stats.properties > 0 || stats.assessments > 0,
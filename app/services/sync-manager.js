@@ -8,6 +8,7 @@ export default class SyncManagerService extends Service {
   @service localStorage;
   @service notifications;
   @service municipality;
+  @service fieldInspections;
 
   @tracked isOnline = navigator.onLine;
   @tracked isSyncing = false;
@@ -94,6 +95,14 @@ export default class SyncManagerService extends Service {
     this.isSyncing = true;
 
     try {
+      // Inspection results recorded in the field are queued in IndexedDB
+      const fieldSummary = await this.pushFieldInspections();
+      if (fieldSummary.pushed > 0) {
+        this.notifications.success(
+          `${fieldSummary.pushed} inspection change(s) recorded offline have synced`,
+        );
+      }
+
       // Get all dirty (local changes) data
       const dirtyItems = this.localStorage.getDirtyItems();
 
@@ -179,6 +188,34 @@ export default class SyncManagerService extends Service {
     }
   }
 
+  /**
+   * Push queued field inspection results, notes and photos, and add any that
+   * conflict with office changes to the conflict queue
+   * @returns {Promise<Object>} - { pushed, conflicts, failed }
+   */
+  @action
+  async pushFieldInspections() {
+    try {
+      const summary = await this.fieldInspections.pushQueue();
+      const conflicts = await this.fieldInspections.getConflicts();
+
+      for (const conflict of conflicts) {
+        const known = this.conflictItems.some(
+          (item) => item.conflictId === conflict.conflictId,
+        );
+        if (!known) {
+          this.conflictItems.push(conflict);
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      // Don't hold up the rest of the sync
+      console.error('Failed to push field inspections:', error);
+      return { pushed: 0, conflicts: 0, failed: 0 };
+    }
+  }
+
   /**
    * Pull latest updates from server
    * @private
@@ -423,6 +460,19 @@ export default class SyncManagerService extends Service {
     const conflict = this.conflictItems[conflictIndex];
     const { collection, id, local, server } = conflict;
 
+    // Field inspection results live in their own queue
+    if (collection === 'permit_inspections') {
+      this.conflictItems.splice(conflictIndex, 1);
+      this.fieldInspections
+        .resolveConflict(conflict.queueSeq, resolution)
+        .then(() => this.syncPendingChanges())
+        .catch((error) =>
+          console.error('Failed to resolve inspection conflict:', error),
+        );
+      console.log(`Conflict resolved for ${collection}/${id}:`, resolution);
+      return;
+    }
+
     const chosenData = resolution === 'server' ? server : local;
     delete chosenData._hasConflict;
 
@@ -0,0 +1,702 @@
+/**
+ * Permit Fee Formulas
+ * Sandboxed expression language for custom permit type fees, plus tiered
+ * fee schedule and permit fee calculations. Shared by the permit create
+ * form (quotes) and the server (charges) so both always agree; the server
+ * loads it with requireAppModule, so keep it free of imports.
+ *
+ * Formulas are parsed into a syntax tree and walked; nothing is passed to
+ * eval or Function, and only the variables and functions listed below can
+ * be referenced.
+ *
+ *   Variables:  estimatedValue, squareFootage, baseAmount,
+ *               customFields.fieldId or customFields["field-id"]
+ *   Operators:  + - * / %  < <= > >= == !=  && || !  cond ? a : b
+ *   Functions:  min, max, round(x, places), ceil, floor, abs,
+ *               if(cond, a, b), tiered(value[, "SCHEDULE_CODE"])
+ *
+ * Example: max(75, tiered(estimatedValue) + squareFootage * 0.1)
+ */
+
+const MAX_FORMULA_LENGTH = 1000;
+const MAX_DEPTH = 32;
+
+const VARIABLES = ['estimatedValue', 'squareFootage', 'baseAmount'];
+
+const FUNCTIONS = {
+  min: { minArgs: 1, maxArgs: 20 },
+  max: { minArgs: 1, maxArgs: 20 },
+  round: { minArgs: 1, maxArgs: 2 },
+  ceil: { minArgs: 1, maxArgs: 1 },
+  floor: { minArgs: 1, maxArgs: 1 },
+  abs: { minArgs: 1, maxArgs: 1 },
+  if: { minArgs: 3, maxArgs: 3 },
+  tiered: { minArgs: 1, maxArgs: 2 },
+};
+
+// Longest operators first so "<=" is not read as "<"
+const OPERATORS = [
+  '&&',
+  '||',
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '+',
+  '-',
+  '*',
+  '/',
+  '%',
+  '<',
+  '>',
+  '!',
+  '?',
+  ':',
+  '(',
+  ')',
+  '[',
+  ']',
+  ',',
+  '.',
+];
+
+export class FeeFormulaError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position})`);
+    this.name = 'FeeFormulaError';
+    this.position = position;
+  }
+}
+
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const char = formula[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(formula[i + 1]))) {
+      const match = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(
+        formula.slice(i),
+      );
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(formula.slice(i));
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = formula.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new FeeFormulaError('Unterminated string', i);
+      }
+      tokens.push({
+        type: 'string',
+        value: formula.slice(i + 1, end),
+        position: i,
+      });
+      i = end + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => formula.startsWith(op, i));
+    if (!operator) {
+      throw new FeeFormulaError(`Unexpected character "${char}"`, i);
+    }
+    tokens.push({ type: 'operator', value: operator, position: i });
+    i += operator.length;
+  }
+
+  tokens.push({ type: 'end', position: formula.length });
+  return tokens;
+}
+
+// Binary operators by precedence, loosest first
+const PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  isOperator(...values) {
+    return (
+      this.current.type === 'operator' && values.includes(this.current.value)
+    );
+  }
+
+  expect(value) {
+    if (!this.isOperator(value)) {
+      throw new FeeFormulaError(`Expected "${value}"`, this.current.position);
+    }
+    return this.tokens[this.index++];
+  }
+
+  parse() {
+    const node = this.parseExpression();
+    if (this.current.type !== 'end') {
+      throw new FeeFormulaError('Unexpected input', this.current.position);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    if (++this.depth > MAX_DEPTH) {
+      throw new FeeFormulaError('Formula is nested too deeply');
+    }
+    const node = this.parseTernary();
+    this.depth--;
+    return node;
+  }
+
+  parseTernary() {
+    const test = this.parseBinary(0);
+    if (!this.isOperator('?')) return test;
+
+    this.index++;
+    const consequent = this.parseExpression();
+    this.expect(':');
+    const alternate = this.parseExpression();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  parseBinary(level) {
+    if (level === PRECEDENCE.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    while (this.isOperator(...PRECEDENCE[level])) {
+      const { value: operator, position } = this.tokens[this.index++];
+      const right = this.parseBinary(level + 1);
+      left = { type: 'binary', operator, left, right, position };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-', '+', '!')) {
+      const { value: operator, position } = this.tokens[this.index++];
+      if (++this.depth > MAX_DEPTH) {
+        throw new FeeFormulaError('Formula is nested too deeply');
+      }
+      const argument = this.parseUnary();
+      this.depth--;
+      return { type: 'unary', operator, argument, position };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.current;
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.index++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (this.isOperator('(')) {
+      this.index++;
+      const node = this.parseExpression();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.type === 'identifier') {
+      this.index++;
+      if (this.isOperator('(')) return this.parseCall(token);
+      if (token.value === 'customFields') return this.parseCustomField(token);
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (!VARIABLES.includes(token.value)) {
+        throw new FeeFormulaError(
+          `Unknown variable "${token.value}"`,
+          token.position,
+        );
+      }
+      return { type: 'variable', name: token.value };
+    }
+
+    throw new FeeFormulaError(
+      token.type === 'end' ? 'Unexpected end of formula' : 'Unexpected input',
+      token.position,
+    );
+  }
+
+  parseCall(token) {
+    const definition = Object.prototype.hasOwnProperty.call(
+      FUNCTIONS,
+      token.value,
+    )
+      ? FUNCTIONS[token.value]
+      : null;
+    if (!definition) {
+      throw new FeeFormulaError(
+        `Unknown function "${token.value}"`,
+        token.position,
+      );
+    }
+
+    this.expect('(');
+    const args = [];
+    if (!this.isOperator(')')) {
+      args.push(this.parseExpression());
+      while (this.isOperator(',')) {
+        this.index++;
+        args.push(this.parseExpression());
+      }
+    }
+    this.expect(')');
+
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      throw new FeeFormulaError(
+        `${token.value}() takes ${
+          definition.minArgs === definition.maxArgs
+            ? definition.minArgs
+            : `${definition.minArgs} to ${definition.maxArgs}`
+        } argument(s)`,
+        token.position,
+      );
+    }
+
+    if (
+      token.value === 'tiered' &&
+      args[1] &&
+      (args[1].type !== 'literal' || typeof args[1].value !== 'string')
+    ) {
+      throw new FeeFormulaError(
+        'tiered() schedule code must be a quoted string',
+        token.position,
+      );
+    }
+
+    return { type: 'call', name: token.value, args, position: token.position };
+  }
+
+  parseCustomField(token) {
+    let key;
+    if (this.isOperator('.')) {
+      this.index++;
+      if (this.current.type !== 'identifier') {
+        throw new FeeFormulaError(
+          'Expected a custom field id',
+          this.current.position,
+        );
+      }
+      key = this.tokens[this.index++].value;
+    } else if (this.isOperator('[')) {
+      this.index++;
+      if (this.current.type !== 'string') {
+        throw new FeeFormulaError(
+          'Expected a quoted custom field id',
+          this.current.position,
+        );
+      }
+      key = this.tokens[this.index++].value;
+      this.expect(']');
+    } else {
+      throw new FeeFormulaError(
+        'customFields must be followed by a field id',
+        token.position,
+      );
+    }
+    return { type: 'field', key };
+  }
+}
+
+/**
+ * Parse a formula into a syntax tree
+ * @param {string} formula
+ * @returns {Object} - Syntax tree
+ * @throws {FeeFormulaError} - On any syntax error
+ */
+export function parseFormula(formula) {
+  if (typeof formula !== 'string' || !formula.trim()) {
+    throw new FeeFormulaError('Formula is empty');
+  }
+  if (formula.length > MAX_FORMULA_LENGTH) {
+    throw new FeeFormulaError(
+      `Formula is longer than ${MAX_FORMULA_LENGTH} characters`,
+    );
+  }
+  return new Parser(tokenize(formula)).parse();
+}
+
+/**
+ * Check a formula's syntax without evaluating it
+ * @param {string} formula
+ * @returns {{ valid: boolean, error: string|null, scheduleCodes: string[], usesLinkedSchedule: boolean }}
+ *   scheduleCodes are the codes passed to tiered(); usesLinkedSchedule is
+ *   true when tiered() is called without one
+ */
+export function validateFormula(formula) {
+  try {
+    const references = { scheduleCodes: [], usesLinkedSchedule: false };
+    collectScheduleReferences(parseFormula(formula), references);
+    return { valid: true, error: null, ...references };
+  } catch (error) {
+    if (!(error instanceof FeeFormulaError)) throw error;
+    return {
+      valid: false,
+      error: error.message,
+      scheduleCodes: [],
+      usesLinkedSchedule: false,
+    };
+  }
+}
+
+function collectScheduleReferences(node, references) {
+  if (node.type === 'call' && node.name === 'tiered') {
+    if (node.args[1]) {
+      references.scheduleCodes.push(node.args[1].value);
+    } else {
+      references.usesLinkedSchedule = true;
+    }
+  }
+  for (const child of [
+    node.left,
+    node.right,
+    node.argument,
+    node.test,
+    node.consequent,
+    node.alternate,
+    ...(node.args || []),
+  ]) {
+    if (child) collectScheduleReferences(child, references);
+  }
+}
+
+// Custom field values arrive as strings from form inputs
+function fieldValue(customFields, key) {
+  let value;
+  if (customFields instanceof Map) {
+    value = customFields.get(key);
+  } else if (
+    customFields &&
+    Object.prototype.hasOwnProperty.call(customFields, key)
+  ) {
+    value = customFields[key];
+  }
+
+  if (value === undefined || value === null || value === '') return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return value;
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === 'string' && /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value)) {
+    return Number(value);
+  }
+  return String(value);
+}
+
+function toNumber(value) {
+  return parseFloat(value) || 0;
+}
+
+function requireNumber(value, position) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value !== 'number') {
+    throw new FeeFormulaError(`Expected a number but got "${value}"`, position);
+  }
+  return value;
+}
+
+function truthy(value) {
+  return typeof value === 'string' ? value !== '' : Boolean(value);
+}
+
+function findSchedule(schedules, code) {
+  const wanted = code.toUpperCase();
+  return (schedules || []).find(
+    (schedule) => (schedule.code || '').toUpperCase() === wanted,
+  );
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'variable':
+      return scope.variables[node.name];
+
+    case 'field':
+      return fieldValue(scope.customFields, node.key);
+
+    case 'conditional':
+      return truthy(evaluateNode(node.test, scope))
+        ? evaluateNode(node.consequent, scope)
+        : evaluateNode(node.alternate, scope);
+
+    case 'unary': {
+      const value = evaluateNode(node.argument, scope);
+      if (node.operator === '!') return !truthy(value);
+      const number = requireNumber(value, node.position);
+      return node.operator === '-' ? -number : number;
+    }
+
+    case 'binary':
+      return evaluateBinary(node, scope);
+
+    case 'call':
+      return evaluateCall(node, scope);
+
+    default:
+      throw new FeeFormulaError(`Unsupported expression "${node.type}"`);
+  }
+}
+
+function evaluateBinary(node, scope) {
+  const { operator, position } = node;
+
+  // Short-circuit so if-style guards can skip a division
+  if (operator === '&&') {
+    return (
+      truthy(evaluateNode(node.left, scope)) &&
+      truthy(evaluateNode(node.right, scope))
+    );
+  }
+  if (operator === '||') {
+    return (
+      truthy(evaluateNode(node.left, scope)) ||
+      truthy(evaluateNode(node.right, scope))
+    );
+  }
+
+  const left = evaluateNode(node.left, scope);
+  const right = evaluateNode(node.right, scope);
+
+  if (operator === '==') return left === right;
+  if (operator === '!=') return left !== right;
+
+  const a = requireNumber(left, position);
+  const b = requireNumber(right, position);
+
+  switch (operator) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+    case '%':
+      if (b === 0) throw new FeeFormulaError('Division by zero', position);
+      return operator === '/' ? a / b : a % b;
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    case '>=':
+      return a >= b;
+    default:
+      throw new FeeFormulaError(`Unsupported operator "${operator}"`, position);
+  }
+}
+
+function evaluateCall(node, scope) {
+  const { name, position } = node;
+
+  if (name === 'if') {
+    return truthy(evaluateNode(node.args[0], scope))
+      ? evaluateNode(node.args[1], scope)
+      : evaluateNode(node.args[2], scope);
+  }
+
+  if (name === 'tiered') {
+    const value = requireNumber(evaluateNode(node.args[0], scope), position);
+    const schedule = node.args[1]
+      ? findSchedule(scope.schedules, node.args[1].value)
+      : scope.linkedSchedule;
+    if (!schedule) {
+      throw new FeeFormulaError(
+        node.args[1]
+          ? `Fee schedule "${node.args[1].value}" not found`
+          : 'No fee schedule is linked to this permit type',
+        position,
+      );
+    }
+    return calculateTieredFee(schedule, value);
+  }
+
+  const args = node.args.map((arg) =>
+    requireNumber(evaluateNode(arg, scope), position),
+  );
+
+  switch (name) {
+    case 'min':
+      return Math.min(...args);
+    case 'max':
+      return Math.max(...args);
+    case 'round': {
+      const factor = 10 ** Math.max(0, Math.min(6, Math.trunc(args[1] || 0)));
+      return Math.round(args[0] * factor) / factor;
+    }
+    case 'ceil':
+      return Math.ceil(args[0]);
+    case 'floor':
+      return Math.floor(args[0]);
+    case 'abs':
+      return Math.abs(args[0]);
+    default:
+      throw new FeeFormulaError(`Unknown function "${name}"`, position);
+  }
+}
+
+/**
+ * Evaluate a formula
+ * @param {string|Object} formula - Formula text or a tree from parseFormula
+ * @param {Object} context
+ * @param {Object} context.variables - { estimatedValue, squareFootage, baseAmount }
+ * @param {Object|Map} context.customFields - Permit custom field values by field id
+ * @param {Array} context.schedules - Fee schedules available to tiered()
+ * @param {Object} context.linkedSchedule - Default schedule for tiered(value)
+ * @returns {number}
+ * @throws {FeeFormulaError}
+ */
+export function evaluateFormula(formula, context = {}) {
+  const tree = typeof formula === 'string' ? parseFormula(formula) : formula;
+
+  const variables = {};
+  for (const name of VARIABLES) {
+    variables[name] = toNumber(context.variables?.[name]);
+  }
+
+  const result = requireNumber(
+    evaluateNode(tree, {
+      variables,
+      customFields: context.customFields || {},
+      schedules: context.schedules || [],
+      linkedSchedule: context.linkedSchedule || null,
+    }),
+    null,
+  );
+
+  if (!Number.isFinite(result)) {
+    throw new FeeFormulaError('Formula did not produce a finite number');
+  }
+  return result;
+}
+
+/**
+ * Fee from a tiered schedule
+ *
+ * Each tier covers values up to `upTo` (null for no ceiling) and charges
+ * `flatFee` plus `rate` for every `per` units. 'bracket' charges the whole
+ * value at the tier it falls in; 'marginal' charges each slice of the value
+ * at its own tier, like income tax brackets.
+ * @param {Object} schedule - { method, tiers: [{ upTo, rate, per, flatFee }], minimumFee, maximumFee }
+ * @param {number} value - e.g. estimated project value
+ * @returns {number}
+ */
+export function calculateTieredFee(schedule, value) {
+  const amount = Math.max(0, toNumber(value));
+  const tiers = [...(schedule.tiers || [])].sort(
+    (a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity),
+  );
+
+  const charge = (tier, units) =>
+    toNumber(tier.flatFee) +
+    (units / (toNumber(tier.per) || 1)) * toNumber(tier.rate);
+
+  let fee = 0;
+  if (schedule.method === 'marginal') {
+    let floor = 0;
+    for (const tier of tiers) {
+      const ceiling = tier.upTo ?? Infinity;
+      if (amount <= floor && floor > 0) break;
+      fee += charge(tier, Math.max(0, Math.min(amount, ceiling) - floor));
+      floor = ceiling;
+    }
+  } else {
+    const tier = tiers.find((t) => amount <= (t.upTo ?? Infinity));
+    fee = tier ? charge(tier, amount) : 0;
+  }
+
+  if (schedule.minimumFee) fee = Math.max(fee, toNumber(schedule.minimumFee));
+  if (schedule.maximumFee) fee = Math.min(fee, toNumber(schedule.maximumFee));
+
+  return fee;
+}
+
+function sameId(a, b) {
+  const id = (value) => (value && value._id ? value._id : value);
+  return Boolean(a && b) && String(id(a)) === String(id(b));
+}
+
+/**
+ * Base permit fee for a permit type's fee schedule
+ * @param {Object} feeSchedule - PermitType.feeSchedule
+ * @param {Object} permitData - { estimatedValue, squareFootage, customFields }
+ * @param {Object} options
+ * @param {Array} options.schedules - Active FeeSchedules for the municipality
+ * @returns {number} - Fee rounded to cents, never negative
+ * @throws {FeeFormulaError} - When a custom formula cannot be evaluated
+ */
+export function calculatePermitFee(feeSchedule, permitData = {}, options = {}) {
+  if (!feeSchedule) return 0;
+
+  const base = toNumber(feeSchedule.baseAmount);
+  const estimatedValue = toNumber(permitData.estimatedValue);
+  const squareFootage = toNumber(permitData.squareFootage);
+  let fee;
+
+  switch (feeSchedule.calculationType) {
+    case 'per_sqft':
+      fee = base + squareFootage * toNumber(feeSchedule.perSqftRate);
+      break;
+
+    case 'percentage': {
+      // Older permit types stored the percentage in perSqftRate
+      const rate = feeSchedule.percentageRate ?? feeSchedule.perSqftRate ?? 0;
+      fee = base + estimatedValue * (toNumber(rate) / 100);
+      break;
+    }
+
+    case 'custom': {
+      if (!feeSchedule.formula || !feeSchedule.formula.trim()) {
+        fee = base;
+        break;
+      }
+      const schedules = options.schedules || [];
+      fee = evaluateFormula(feeSchedule.formula, {
+        variables: { estimatedValue, squareFootage, baseAmount: base },
+        customFields: permitData.customFields,
+        schedules,
+        linkedSchedule: feeSchedule.linkedScheduleId
+          ? schedules.find((s) => sameId(s, feeSchedule.linkedScheduleId))
+          : null,
+      });
+      break;
+    }
+
+    default:
+      fee = base;
+  }
+
+  return Math.max(0, Math.round(fee * 100) / 100);
+}
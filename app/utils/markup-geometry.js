@@ -0,0 +1,179 @@
+/**
+ * Document Markup Geometry
+ * Plan review markups are stored as fractions of the page (0-1) so they line
+ * up with the document at any zoom level. These helpers turn pointer drags
+ * into markup coordinates and markup coordinates into SVG drawing data for
+ * the document viewer overlay.
+ */
+
+export const MARKUP_SHAPES = ['cloud', 'arrow', 'text', 'measurement'];
+
+// Drags shorter than this (fraction of the page) are treated as clicks
+const MIN_DRAG = 0.005;
+
+// Width of one cloud scallop, as a fraction of the page
+const CLOUD_SCALLOP = 0.015;
+
+// Cloud paths are drawn in thousandths of the page
+const CLOUD_SCALE = 1000;
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Position of a pointer within an element, as page fractions
+ * @param {number} clientX
+ * @param {number} clientY
+ * @param {{left: number, top: number, width: number, height: number}} rect
+ * @returns {{x: number, y: number}}
+ */
+export function relativePoint(clientX, clientY, rect) {
+  if (!rect.width || !rect.height) return { x: 0, y: 0 };
+  return {
+    x: round(clamp((clientX - rect.left) / rect.width)),
+    y: round(clamp((clientY - rect.top) / rect.height)),
+  };
+}
+
+/**
+ * Markup coordinates for a drag from start to end, or null when the drag is
+ * too small to draw the shape (a text callout only needs a click)
+ * @param {string} shape - cloud, arrow, text or measurement
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @returns {Object|null}
+ */
+export function coordinatesFromDrag(shape, start, end) {
+  const width = Math.abs(end.x - start.x);
+  const height = Math.abs(end.y - start.y);
+
+  if (shape === 'arrow' || shape === 'measurement') {
+    if (Math.hypot(width, height) < MIN_DRAG) return null;
+    return {
+      points: [
+        { x: start.x, y: start.y },
+        { x: end.x, y: end.y },
+      ],
+    };
+  }
+
+  if (shape === 'text') {
+    return { x: start.x, y: start.y };
+  }
+
+  if (shape === 'cloud') {
+    if (width < MIN_DRAG || height < MIN_DRAG) return null;
+    return {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: round(width),
+      height: round(height),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Scalloped outline for a revision cloud, drawn clockwise so each scallop
+ * bulges outward
+ * @param {number} width - Page fraction
+ * @param {number} height - Page fraction
+ * @returns {string} SVG path in thousandths of the page
+ */
+export function cloudPath(width, height) {
+  const w = width * CLOUD_SCALE;
+  const h = height * CLOUD_SCALE;
+  const corners = [
+    [0, 0],
+    [w, 0],
+    [w, h],
+    [0, h],
+    [0, 0],
+  ];
+
+  let path = 'M0,0';
+  for (let i = 0; i < 4; i++) {
+    const [x1, y1] = corners[i];
+    const [x2, y2] = corners[i + 1];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const count = Math.max(
+      1,
+      Math.round(length / (CLOUD_SCALLOP * CLOUD_SCALE)),
+    );
+    const radius = round(length / count / 2);
+
+    for (let step = 1; step <= count; step++) {
+      const x = round(x1 + ((x2 - x1) * step) / count);
+      const y = round(y1 + ((y2 - y1) * step) / count);
+      path += ` A${radius},${radius} 0 0 1 ${x},${y}`;
+    }
+  }
+
+  return `${path} Z`;
+}
+
+/**
+ * Label shown beside a measurement markup
+ * @param {Object} annotation
+ * @returns {string}
+ */
+export function measurementLabel(annotation) {
+  const value = annotation.measurement?.value;
+  if (value === undefined || value === null || value === '') return '';
+  return `${value} ${annotation.measurement.unit || ''}`.trim();
+}
+
+function percent(value) {
+  return `${round(value * 100)}%`;
+}
+
+/**
+ * SVG drawing data for a markup. Line and text positions are percentages of
+ * the overlay so text isn't stretched; clouds are drawn in a nested SVG.
+ * @param {Object} annotation - { shape, coordinates, ... }
+ * @returns {Object}
+ */
+export function markupDrawing(annotation) {
+  const coords = annotation.coordinates || {};
+  const drawing = { shape: annotation.shape };
+
+  if (annotation.shape === 'arrow' || annotation.shape === 'measurement') {
+    const [start, end] = coords.points || [];
+    if (!start || !end) return drawing;
+    Object.assign(drawing, {
+      x1: percent(start.x),
+      y1: percent(start.y),
+      x2: percent(end.x),
+      y2: percent(end.y),
+      // Numbered pin sits on the tail / start point
+      pinX: percent(start.x),
+      pinY: percent(start.y),
+      labelX: percent((start.x + end.x) / 2),
+      labelY: percent((start.y + end.y) / 2),
+      label: measurementLabel(annotation),
+    });
+  } else {
+    Object.assign(drawing, {
+      x: percent(coords.x || 0),
+      y: percent(coords.y || 0),
+      pinX: percent(coords.x || 0),
+      pinY: percent(coords.y || 0),
+    });
+    if (annotation.shape === 'cloud') {
+      Object.assign(drawing, {
+        width: percent(coords.width || 0),
+        height: percent(coords.height || 0),
+        viewBox: `0 0 ${round((coords.width || 0) * CLOUD_SCALE)} ${round((coords.height || 0) * CLOUD_SCALE)}`,
+        path: cloudPath(coords.width || 0, coords.height || 0),
+      });
+    }
+  }
+
+  return drawing;
+}
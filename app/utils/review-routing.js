@@ -0,0 +1,62 @@
+/**
+ * Department Review Routing
+ * Permit type department reviews carry a reviewOrder. Reviews that share an
+ * order form a stage and run in parallel; a stage opens only once every
+ * required review in the earlier stages has been approved (or conditionally
+ * approved). Optional reviews never hold up later stages. Shared by the
+ * review screens and the server so both agree on which reviews are open;
+ * the server loads it with requireAppModule, so keep it free of imports.
+ */
+
+export const CLEARED_REVIEW_STATUSES = ['approved', 'conditionally_approved'];
+
+export const REVIEW_DECISIONS = [
+  'approved',
+  'conditionally_approved',
+  'revisions_requested',
+  'rejected',
+];
+
+/**
+ * Stage number of a review (reviews created before routing are stage 1)
+ * @param {Object} review
+ * @returns {number}
+ */
+export function reviewStage(review) {
+  const order = Number(review?.reviewOrder);
+  return Number.isFinite(order) && order >= 1 ? order : 1;
+}
+
+/**
+ * Whether a review no longer holds up later stages
+ * @param {Object} review
+ * @returns {boolean}
+ */
+export function isReviewCleared(review) {
+  return !review.required || CLEARED_REVIEW_STATUSES.includes(review.status);
+}
+
+/**
+ * The lowest stage that still has a required review outstanding, or null
+ * once every required review is cleared
+ * @param {Object[]} reviews
+ * @returns {number|null}
+ */
+export function currentReviewStage(reviews = []) {
+  const outstanding = reviews
+    .filter((review) => !isReviewCleared(review))
+    .map(reviewStage);
+
+  return outstanding.length > 0 ? Math.min(...outstanding) : null;
+}
+
+/**
+ * Whether a review is waiting on an earlier stage
+ * @param {Object[]} reviews - All department reviews on the permit
+ * @param {Object} review
+ * @returns {boolean}
+ */
+export function isReviewLocked(reviews, review) {
+  const stage = currentReviewStage(reviews);
+  return stage !== null && reviewStage(review) > stage;
+}
@@ -0,0 +1,102 @@
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * Sketch Undo/Redo History
+ * Command-style history for the sketch editor. Each command knows how to
+ * undo and redo itself: { label, undo(), redo() }
+ */
+export default class SketchHistory {
+  @tracked undoStack = [];
+  @tracked redoStack = [];
+
+  /**
+   * @param {number} limit - Maximum number of undo steps to keep
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  get undoLabel() {
+    return this.undoStack[this.undoStack.length - 1]?.label || null;
+  }
+
+  get redoLabel() {
+    return this.redoStack[this.redoStack.length - 1]?.label || null;
+  }
+
+  /**
+   * Apply a command and record it
+   * @param {Object} command - { label, undo(), redo() }
+   */
+  execute(command) {
+    command.redo();
+    this.push(command);
+  }
+
+  /**
+   * Record a command that has already been applied.
+   * Recording a new change discards anything that could be redone.
+   * @param {Object} command - { label, undo(), redo() }
+   */
+  push(command) {
+    this.undoStack = [...this.undoStack, command].slice(-this.limit);
+    this.redoStack = [];
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Object|null} The command that was undone
+   */
+  undo() {
+    const command = this.undoStack[this.undoStack.length - 1];
+    if (!command) return null;
+
+    this.undoStack = this.undoStack.slice(0, -1);
+    command.undo();
+    this.redoStack = [...this.redoStack, command];
+    return command;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Object|null} The command that was redone
+   */
+  redo() {
+    const command = this.redoStack[this.redoStack.length - 1];
+    if (!command) return null;
+
+    this.redoStack = this.redoStack.slice(0, -1);
+    command.redo();
+    this.undoStack = [...this.undoStack, command];
+    return command;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+/**
+ * Build a command that swaps between two snapshots of sketch state
+ * @param {string} label - Description shown in the undo/redo tooltips
+ * @param {*} before - State before the change
+ * @param {*} after - State after the change
+ * @param {Function} restore - Applies a snapshot
+ * @returns {Object} Command for SketchHistory
+ */
+export function snapshotCommand(label, before, after, restore) {
+  return {
+    label,
+    undo: () => restore(before),
+    redo: () => restore(after),
+  };
+}
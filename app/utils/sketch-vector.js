@@ -0,0 +1,107 @@
+/**
+ * Sketch Vector Entry
+ * Parses keyboard vector strings such as "U20 R35 D20 L35" and traces them
+ * into polygon points. Distances are in feet; the canvas converts them to
+ * pixels with its grid size.
+ */
+
+const DIRECTIONS = {
+  U: { dx: 0, dy: -1 },
+  D: { dx: 0, dy: 1 },
+  L: { dx: -1, dy: 0 },
+  R: { dx: 1, dy: 0 },
+};
+
+// One or two legs per token: "R35" or a diagonal like "U10R5" / "U10/R5"
+const TOKEN_PATTERN =
+  /^([UDLR])(\d+(?:\.\d+)?|\.\d+)(?:\/?([UDLR])(\d+(?:\.\d+)?|\.\d+))?$/;
+
+// Closure tolerance in feet
+const CLOSE_TOLERANCE = 0.01;
+
+function isVertical(direction) {
+  return direction === 'U' || direction === 'D';
+}
+
+/**
+ * Parse vector input into moves measured in feet
+ * @param {string} input - e.g. "U20 R35 D20 L35" (commas also separate moves)
+ * @returns {{ moves: Array<{token: string, dx: number, dy: number}>, errors: string[] }}
+ */
+export function parseVectorInput(input) {
+  const moves = [];
+  const errors = [];
+
+  const tokens = String(input || '')
+    .toUpperCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  tokens.forEach((token) => {
+    const match = token.match(TOKEN_PATTERN);
+    if (!match) {
+      errors.push(
+        `"${token}" is not a valid move (use U, D, L or R and a distance)`,
+      );
+      return;
+    }
+
+    const [, firstDirection, firstDistance, secondDirection, secondDistance] =
+      match;
+
+    if (
+      secondDirection &&
+      isVertical(firstDirection) === isVertical(secondDirection)
+    ) {
+      errors.push(
+        `"${token}" combines two moves on the same axis; a diagonal needs one vertical and one horizontal move`,
+      );
+      return;
+    }
+
+    let dx = DIRECTIONS[firstDirection].dx * parseFloat(firstDistance);
+    let dy = DIRECTIONS[firstDirection].dy * parseFloat(firstDistance);
+    if (secondDirection) {
+      dx += DIRECTIONS[secondDirection].dx * parseFloat(secondDistance);
+      dy += DIRECTIONS[secondDirection].dy * parseFloat(secondDistance);
+    }
+
+    if (dx === 0 && dy === 0) {
+      errors.push(`"${token}" has no length`);
+      return;
+    }
+
+    moves.push({ token, dx, dy });
+  });
+
+  return { moves, errors };
+}
+
+/**
+ * Trace moves from a start point
+ * @param {Array} moves - Output of parseVectorInput
+ * @param {Object} start - { x, y } in pixels
+ * @param {number} scale - Pixels per foot
+ * @returns {{ points: Array<{x, y}>, closed: boolean, gap: number }}
+ *   points excludes the repeated start point when the outline closes;
+ *   gap is the distance in feet between the last point and the start
+ */
+export function traceVector(moves, start, scale) {
+  const points = [{ x: start.x, y: start.y }];
+  let feetX = 0;
+  let feetY = 0;
+
+  moves.forEach((move) => {
+    feetX += move.dx;
+    feetY += move.dy;
+    points.push({ x: start.x + feetX * scale, y: start.y + feetY * scale });
+  });
+
+  const gap = Math.sqrt(feetX * feetX + feetY * feetY);
+  const closed = moves.length > 0 && gap < CLOSE_TOLERANCE;
+  if (closed) {
+    points.pop();
+  }
+
+  return { points, closed, gap };
+}
@@ -19,6 +19,8 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const connectDB = require('./config/database');
+const permitSlaService = require('./services/permitSlaService');
+const contractorCredentialService = require('./services/contractorCredentialService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -27,8 +29,10 @@ const municipalityRoutes = require('./routes/municipalities');
 const municipalitySubscriptionRoutes = require('./routes/municipalitySubscriptions');
 const municipalityConnectedAccountsRoutes = require('./routes/municipalityConnectedAccounts');
 const webhookRoutes = require('./routes/webhooks');
+const cronRoutes = require('./routes/cron');
 const moduleRoutes = require('./routes/modules');
 const propertyRoutes = require('./routes/properties');
+const savedPropertyQueryRoutes = require('./routes/savedPropertyQueries');
 const pidFormatRoutes = require('./routes/pid-formats');
 const zoneRoutes = require('./routes/zones');
 const neighborhoodCodeRoutes = require('./routes/neighborhoodCodes');
@@ -47,6 +51,7 @@ const waterBodyRoutes = require('./routes/waterBodies');
 const waterfrontAttributeRoutes = require('./routes/waterfrontAttributes');
 const propertyWaterfrontRoutes = require('./routes/propertyWaterfront');
 const exemptionsCreditsSettingsRoutes = require('./routes/exemptionsCreditsSettings');
+const exemptionApplicationRoutes = require('./routes/exemptionApplications');
 const exemptionTypesRoutes = require('./routes/exemptionTypes');
 const assessingReportsRoutes = require('./routes/assessingReports');
 const landTaxationCategoryRoutes = require('./routes/landTaxationCategories');
@@ -54,11 +59,18 @@ const landAssessmentCalculationRoutes = require('./routes/landAssessmentCalculat
 const listingHistoryRoutes = require('./routes/listingHistory');
 const salesHistoryRoutes = require('./routes/salesHistory');
 const revaluationRoutes = require('./routes/revaluation');
+const taxCollectionRoutes = require('./routes/taxCollection');
 const ownerRoutes = require('./routes/owners');
 const importRoutes = require('./routes/import');
 const permitRoutes = require('./routes/permits');
+const permitFeeRoutes = require('./routes/permitFees');
+const certificateRoutes = require('./routes/certificates');
+const permitReportRoutes = require('./routes/permitReports');
+const documentAnnotationRoutes = require('./routes/documentAnnotations');
+const inspectionItineraryRoutes = require('./routes/inspectionItinerary');
 const permitTypeRoutes = require('./routes/permitTypes');
 const projectTypeRoutes = require('./routes/projectTypes');
+const feeScheduleRoutes = require('./routes/feeSchedules');
 const contractorRoutes = require('./routes/contractors');
 const contractorVerificationRoutes = require('./routes/contractorVerification');
 const subscriptionRoutes = require('./routes/subscriptions');
@@ -118,7 +130,10 @@ app.use(
       // Allow requests with no origin (like mobile apps or curl requests)
       if (!origin) return callback(null, true);
 
-      if (allowedOrigins.indexOf(origin) !== -1 || process.env.CLIENT_URL === origin) {
+      if (
+        allowedOrigins.indexOf(origin) !== -1 ||
+        process.env.CLIENT_URL === origin
+      ) {
         callback(null, true);
       } else {
         callback(new Error(`Origin ${origin} not allowed by CORS`));
@@ -127,6 +142,7 @@ app.use(
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['X-Letter-Count'],
   }),
 );
 
@@ -165,6 +181,7 @@ app.use('/api/municipalities', municipalitySubscriptionRoutes); // Module subscr
 app.use('/api/municipalities', municipalityConnectedAccountsRoutes); // Stripe Connect account management
 app.use('/api/modules', moduleRoutes);
 app.use('/api', propertyRoutes);
+app.use('/api', savedPropertyQueryRoutes);
 app.use('/api', pidFormatRoutes);
 app.use('/api', zoneRoutes);
 app.use('/api', neighborhoodCodeRoutes);
@@ -181,6 +198,7 @@ app.use('/api', landUseDetailRoutes);
 app.use('/api', currentUseRoutes);
 app.use('/api', acreageDiscountSettingsRoutes);
 app.use('/api', exemptionsCreditsSettingsRoutes);
+app.use('/api', exemptionApplicationRoutes);
 app.use('/api', exemptionTypesRoutes);
 app.use('/api', assessingReportsRoutes);
 app.use('/api', landTaxationCategoryRoutes);
@@ -188,11 +206,18 @@ app.use('/api', landAssessmentCalculationRoutes);
 app.use('/api', listingHistoryRoutes);
 app.use('/api', salesHistoryRoutes);
 app.use('/api', revaluationRoutes);
+app.use('/api', taxCollectionRoutes);
 app.use('/api', ownerRoutes);
 app.use('/api', importRoutes);
 app.use('/api', permitRoutes);
+app.use('/api', permitFeeRoutes);
+app.use('/api', certificateRoutes);
+app.use('/api', permitReportRoutes);
+app.use('/api', documentAnnotationRoutes);
+app.use('/api', inspectionItineraryRoutes);
 app.use('/api', permitTypeRoutes);
 app.use('/api', projectTypeRoutes);
+app.use('/api', feeScheduleRoutes);
 app.use('/api/contractors', contractorRoutes);
 app.use('/api/contractor-verification', contractorVerificationRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
@@ -200,6 +225,7 @@ app.use('/api', fileRoutes);
 app.use('/api', emailTemplateRoutes);
 app.use('/api', notificationPreferencesRoutes);
 app.use('/api', changeStreamRoutes);
+app.use('/api/cron', cronRoutes); // Scheduled jobs in serverless mode (vercel.json crons)
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -277,10 +303,17 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
     } catch (error) {
       console.error('❌ Failed to initialize change streams:', error);
     }
+
+    // Scheduled permit review deadline (SLA) checks
+    permitSlaService.start();
+
+    // Scheduled contractor license/insurance expiration checks
+    contractorCredentialService.start();
   });
 } else {
   console.log('🔄 Running in serverless mode (Vercel)');
   console.log('⚠️  Change streams disabled in serverless environment');
+  console.log('⏱️  Scheduled jobs run through Vercel Cron (/api/cron)');
 }
 
 // Graceful shutdown
@@ -294,6 +327,9 @@ const gracefulShutdown = async (signal) => {
     console.error('❌ Error during change stream shutdown:', error);
   }
 
+  permitSlaService.stop();
+  contractorCredentialService.stop();
+
   process.exit(0);
 };
 
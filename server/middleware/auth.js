@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-// Middleware to verify JWT tokens
-const authenticateToken = async (req, res, next) => {
+// Verifies the request's JWT. Tokens issued for a single purpose (e.g.
+// two-factor enrollment during login) carry a `purpose` claim and are only
+// accepted where that purpose is explicitly allowed.
+const verifyRequestToken = async (req, res, next, allowedPurposes = []) => {
   const authHeader = req.headers['authorization'];
   let token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -20,6 +22,14 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose && !allowedPurposes.includes(decoded.purpose)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid for this request',
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
@@ -29,7 +39,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please log in again.',
+      });
+    }
+
     req.user = user;
+    req.tokenPurpose = decoded.purpose || null;
     next();
   } catch (error) {
     return res.status(403).json({
@@ -39,6 +57,15 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware to verify JWT tokens
+const authenticateToken = (req, res, next) =>
+  verifyRequestToken(req, res, next);
+
+// Middleware for two-factor enrollment: accepts a full session token or the
+// short-lived setup token issued at login when a municipality requires 2FA
+const authenticateTwoFactorSetup = (req, res, next) =>
+  verifyRequestToken(req, res, next, ['2fa_setup']);
+
 // Middleware to check user type (residential/commercial)
 const requireUserType = (allowedTypes) => {
   return (req, res, next) => {
@@ -66,5 +93,6 @@ const requireUserType = (allowedTypes) => {
 
 module.exports = {
   authenticateToken,
+  authenticateTwoFactorSetup,
   requireUserType,
 };
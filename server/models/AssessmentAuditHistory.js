@@ -192,7 +192,10 @@ assessmentAuditHistorySchema.statics.getAssessmentType = function (
     return 'land';
   } else if (assessmentData.constructor.modelName === 'BuildingAssessment') {
     return 'building';
-  } else if (assessmentData.constructor.modelName === 'TotalAssessment') {
+  } else if (
+    assessmentData.constructor.modelName === 'TotalAssessment' ||
+    assessmentData.constructor.modelName === 'ParcelAssessment'
+  ) {
     return 'total';
   }
   return 'unknown';
@@ -214,6 +217,10 @@ assessmentAuditHistorySchema.statics.calculateValueChanges = function (
     'calculated_totals.totalMarketValue',
     'calculated_totals.totalAssessedValue',
     'calculated_totals.totalCurrentUseCredit',
+    'parcel_totals.total_land_value',
+    'parcel_totals.total_building_value',
+    'parcel_totals.total_improvements_value',
+    'parcel_totals.total_assessed_value',
   ];
 
   fieldsToTrack.forEach((fieldPath) => {
@@ -283,6 +290,8 @@ assessmentAuditHistorySchema.statics.getAssessmentTotal = function (
     assessmentData.calculated_totals?.totalAssessedValue !== undefined
   ) {
     return assessmentData.calculated_totals.totalAssessedValue;
+  } else if (assessmentData.parcel_totals?.total_assessed_value !== undefined) {
+    return assessmentData.parcel_totals.total_assessed_value;
   }
   return 0;
 };
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+// Number prefixes: CO-2026-000001, TCO-2026-000001, CC-2026-000001
+const NUMBER_PREFIXES = {
+  occupancy: 'CO',
+  temporary_occupancy: 'TCO',
+  completion: 'CC',
+};
+
+const certificateSchema = new mongoose.Schema(
+  {
+    municipalityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    permitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Permit',
+      required: true,
+      index: true,
+    },
+    propertyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PropertyTreeNode',
+      required: true,
+      index: true,
+    },
+
+    certificateNumber: {
+      type: String,
+      required: true,
+    },
+
+    // occupancy = Certificate of Occupancy (CO)
+    // completion = Certificate of Completion (CC)
+    type: {
+      type: String,
+      enum: ['occupancy', 'completion'],
+      required: true,
+    },
+
+    // Temporary certificates of occupancy carry conditions and an expiry date
+    isTemporary: {
+      type: Boolean,
+      default: false,
+    },
+    conditions: [
+      {
+        description: { type: String, required: true, trim: true },
+        dueDate: Date,
+      },
+    ],
+    expiresAt: Date,
+
+    // Expiry of temporary certificates is derived from expiresAt
+    status: {
+      type: String,
+      enum: ['active', 'superseded', 'revoked'],
+      default: 'active',
+      index: true,
+    },
+
+    // Denormalized permit and property details as certified
+    permitNumber: String,
+    permitType: String,
+    propertyAddress: String,
+    pidFormatted: String,
+    ownerName: String,
+    contractorName: String,
+    scopeOfWork: String,
+    occupancyClassification: String, // e.g. "R-3 Single-family dwelling"
+    notes: String,
+
+    // Inspections the certificate was issued on
+    inspections: [
+      {
+        inspectionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'PermitInspection',
+        },
+        type: String,
+        result: String,
+        completedDate: Date,
+        inspectorName: String,
+      },
+    ],
+
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    issuedByName: String,
+
+    // Archived PDF in the permit's documents
+    fileId: { type: mongoose.Schema.Types.ObjectId, ref: 'File' },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'PermitDocument' },
+
+    supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Certificate' },
+    supersededAt: Date,
+
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedByName: String,
+    revocationReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    collection: 'certificates',
+    timestamps: true,
+  },
+);
+
+certificateSchema.index(
+  { municipalityId: 1, certificateNumber: 1 },
+  { unique: true },
+);
+certificateSchema.index({ municipalityId: 1, issuedAt: -1 });
+
+// Status as of now: active temporary certificates past their expiry date
+// read as expired
+certificateSchema.virtual('currentStatus').get(function () {
+  if (
+    this.status === 'active' &&
+    this.isTemporary &&
+    this.expiresAt &&
+    this.expiresAt < new Date()
+  ) {
+    return 'expired';
+  }
+  return this.status;
+});
+
+certificateSchema.virtual('title').get(function () {
+  if (this.type === 'completion') return 'Certificate of Completion';
+  return this.isTemporary
+    ? 'Temporary Certificate of Occupancy'
+    : 'Certificate of Occupancy';
+});
+
+certificateSchema.set('toJSON', { virtuals: true });
+certificateSchema.set('toObject', { virtuals: true });
+
+// Static method to generate the next certificate number for a municipality
+certificateSchema.statics.generateCertificateNumber = async function (
+  municipalityId,
+  type,
+  isTemporary,
+  year,
+) {
+  const prefix =
+    type === 'occupancy' && isTemporary
+      ? NUMBER_PREFIXES.temporary_occupancy
+      : NUMBER_PREFIXES[type];
+  const currentYear = year || new Date().getFullYear();
+
+  const count = await this.countDocuments({
+    municipalityId,
+    certificateNumber: { $regex: `^${prefix}-${currentYear}-` },
+  });
+
+  return `${prefix}-${currentYear}-${String(count + 1).padStart(6, '0')}`;
+};
+
+// Query for certificates by current status (see currentStatus)
+certificateSchema.statics.statusQuery = function (status, now = new Date()) {
+  switch (status) {
+    case 'active':
+      return {
+        status: 'active',
+        $or: [{ isTemporary: false }, { expiresAt: { $gte: now } }],
+      };
+    case 'expired':
+      return { status: 'active', isTemporary: true, expiresAt: { $lt: now } };
+    case 'superseded':
+    case 'revoked':
+      return { status };
+    default:
+      return {};
+  }
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
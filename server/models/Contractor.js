@@ -213,6 +213,35 @@ const contractorSchema = new mongoose.Schema(
         notes: String,
         registration_number: String, // Municipality-specific registration
         restrictions: [String], // e.g., "residential_only", "max_value_50000"
+        // Set when suspended automatically; cleared on reinstatement
+        suspension_reason: {
+          type: String,
+          enum: ['license_expired', 'insurance_expired'],
+        },
+        suspended_at: Date,
+      },
+    ],
+
+    // Expiration warnings already sent (60/30/7 days), per expiration date
+    credential_notices: [
+      {
+        credential: {
+          type: String,
+          enum: ['license', 'insurance'],
+          required: true,
+        },
+        days_before: {
+          type: Number,
+          required: true,
+        },
+        expires_on: {
+          type: Date,
+          required: true,
+        },
+        sent_at: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
 
@@ -350,7 +379,7 @@ const contractorSchema = new mongoose.Schema(
       },
     ],
 
-    // Ratings and Reviews (future feature)
+    // Ratings and Reviews (maintained from ContractorReview)
     average_rating: {
       type: Number,
       min: 0,
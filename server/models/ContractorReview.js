@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const ratingField = {
+  type: Number,
+  required: true,
+  min: 1,
+  max: 5,
+};
+
+const contractorReviewSchema = new mongoose.Schema(
+  {
+    contractor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contractor',
+      required: true,
+      index: true,
+    },
+
+    // One review per permit, left once it reaches 'closed'
+    permit_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Permit',
+      required: true,
+      unique: true,
+    },
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+
+    // Reviewer
+    reviewer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reviewer_name: String,
+    reviewer_role: {
+      type: String,
+      enum: ['municipal_staff', 'property_owner'],
+      required: true,
+    },
+
+    // Structured ratings (1-5)
+    ratings: {
+      workmanship: ratingField,
+      inspection_pass_rate: ratingField,
+      timeliness: ratingField,
+    },
+    overall_rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+    comments: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+
+    // Inspection results on the permit when the review was left
+    inspection_snapshot: {
+      total_inspections: { type: Number, default: 0 },
+      first_time_passes: { type: Number, default: 0 },
+      reinspections: { type: Number, default: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'contractor_reviews',
+  },
+);
+
+contractorReviewSchema.index({ contractor_id: 1, createdAt: -1 });
+
+// Overall rating is the mean of the three categories
+contractorReviewSchema.pre('save', function (next) {
+  const { workmanship, inspection_pass_rate, timeliness } = this.ratings || {};
+  this.overall_rating =
+    Math.round(((workmanship + inspection_pass_rate + timeliness) / 3) * 10) /
+    10;
+  next();
+});
+
+module.exports = mongoose.model('ContractorReview', contractorReviewSchema);
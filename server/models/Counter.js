@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Model
+ *
+ * Purpose: Atomic sequences for human-readable document numbers
+ * - Tax bill numbers per municipality and year
+ * - Permit fee receipt numbers per municipality and year
+ *
+ * Numbers are handed out with $inc, so concurrent requests never read the
+ * same "last number" and collide on a unique index.
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    // e.g. "tax_bill:<municipalityId>:2025"
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    collection: 'counters',
+    timestamps: true,
+  },
+);
+
+/**
+ * Reserve the next `count` numbers of a sequence
+ * @param {string} key - Sequence key
+ * @param {Object} options
+ * @param {Function} options.seed - Async function returning the highest number
+ *   already issued, used the first time the sequence is seen so it continues
+ *   past numbers issued before the counter existed
+ * @param {number} options.count - How many numbers to reserve (default 1)
+ * @returns {Promise<number>} - The first reserved number; the block runs to first + count - 1
+ */
+counterSchema.statics.reserve = async function (
+  key,
+  { seed = null, count = 1 } = {},
+) {
+  if (seed && !(await this.exists({ _id: key }))) {
+    const highest = (await seed()) || 0;
+    // $max makes concurrent first uses agree on the starting point
+    try {
+      await this.updateOne(
+        { _id: key },
+        { $max: { seq: highest } },
+        { upsert: true },
+      );
+    } catch (error) {
+      // Another request created the counter first; its $max still applies
+      if (error.code !== 11000) throw error;
+      await this.updateOne({ _id: key }, { $max: { seq: highest } });
+    }
+  }
+
+  let counter;
+  try {
+    counter = await this.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: count } },
+      { upsert: true, new: true },
+    );
+  } catch (error) {
+    // Two upserts of a new counter race on _id; the retry finds it
+    if (error.code !== 11000) throw error;
+    counter = await this.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: count } },
+      { new: true },
+    );
+  }
+
+  return counter.seq - count + 1;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
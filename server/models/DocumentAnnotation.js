@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+// Box shapes are drawn from a corner and size, line shapes from two points
+const BOX_SHAPES = ['cloud', 'text'];
+const LINE_SHAPES = ['arrow', 'measurement'];
+
+// Page-relative position (0-1), so markups line up at any zoom level
+const fraction = { type: Number, min: 0, max: 1 };
+
+const documentAnnotationSchema = new mongoose.Schema(
+  {
+    municipalityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    permitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Permit',
+      required: true,
+      index: true,
+    },
+
+    // The document version this markup was drawn on
+    permitDocumentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PermitDocument',
+      required: true,
+      index: true,
+    },
+    documentVersion: {
+      type: Number,
+      default: 1,
+    },
+    // Denormalized from the PermitDocument for the document viewer
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      index: true,
+    },
+
+    page: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    shape: {
+      type: String,
+      enum: [...BOX_SHAPES, ...LINE_SHAPES],
+      required: true,
+    },
+    coordinates: {
+      // cloud / text: top-left corner and size
+      x: fraction,
+      y: fraction,
+      width: fraction,
+      height: fraction,
+      // arrow (tail -> head) / measurement (start -> end)
+      points: {
+        type: [{ _id: false, x: fraction, y: fraction }],
+        default: undefined,
+      },
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Measurement markups record the dimension the reviewer measured
+    measurement: {
+      value: { type: Number, min: 0 },
+      unit: { type: String, enum: ['in', 'ft', 'mm', 'm'] },
+    },
+    color: {
+      type: String,
+      match: /^#[0-9a-fA-F]{6}$/,
+      default: '#dc2626',
+    },
+
+    // internal = municipal reviewers only, public = shared with the applicant
+    visibility: {
+      type: String,
+      enum: ['internal', 'public'],
+      default: 'internal',
+    },
+
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    authorName: {
+      type: String,
+      required: true,
+    },
+    department: {
+      type: String,
+      enum: [
+        'Building Inspector',
+        'Fire Marshal',
+        'Health Department',
+        'Planning & Zoning',
+        'Engineering',
+        'Conservation',
+        'Public Works',
+        'Code Enforcement',
+        'Electrical',
+        'Plumbing',
+        null,
+      ],
+      default: null,
+    },
+
+    // Resolution tracking
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+      default: 'open',
+      index: true,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedByName: String,
+    resolvedAt: Date,
+    resolutionNote: String,
+
+    // Version carry-forward: the markup this one was copied from, and the
+    // copy made when the document was superseded
+    carriedForwardFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentAnnotation',
+    },
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentAnnotation',
+    },
+
+    // Soft delete
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'document_annotations',
+  },
+);
+
+documentAnnotationSchema.index({ permitDocumentId: 1, page: 1, createdAt: 1 });
+documentAnnotationSchema.index({ permitId: 1, status: 1 });
+
+// Each shape needs the geometry it is drawn with
+documentAnnotationSchema.pre('validate', function (next) {
+  const coords = this.coordinates || {};
+
+  if (BOX_SHAPES.includes(this.shape)) {
+    if (coords.x == null || coords.y == null) {
+      this.invalidate('coordinates', `A ${this.shape} markup needs a position`);
+    }
+    if (this.shape === 'cloud' && !(coords.width > 0 && coords.height > 0)) {
+      this.invalidate('coordinates', 'A cloud markup needs a width and height');
+    }
+  }
+
+  if (LINE_SHAPES.includes(this.shape)) {
+    const points = coords.points || [];
+    if (points.length !== 2 || points.some((p) => p.x == null || p.y == null)) {
+      this.invalidate(
+        'coordinates.points',
+        `A ${this.shape} markup needs a start and end point`,
+      );
+    }
+  }
+
+  if (this.shape === 'text' && !this.text) {
+    this.invalidate('text', 'A text markup needs text');
+  }
+  if (this.shape === 'measurement' && this.measurement?.value == null) {
+    this.invalidate('measurement.value', 'A measurement markup needs a value');
+  }
+
+  next();
+});
+
+/**
+ * Copy the open markups on a document to the version that supersedes it.
+ * Resolved markups stay with the old version; each original records the
+ * copy in supersededBy so it is only carried forward once.
+ * @param {Object} previousDocument - PermitDocument being superseded
+ * @param {Object} newDocument - The new PermitDocument version
+ * @returns {Promise<Object[]>} The carried-forward markups
+ */
+documentAnnotationSchema.statics.carryForward = async function (
+  previousDocument,
+  newDocument,
+) {
+  const openAnnotations = await this.find({
+    permitDocumentId: previousDocument._id,
+    status: 'open',
+    isActive: true,
+    supersededBy: null,
+  }).lean();
+
+  if (openAnnotations.length === 0) return [];
+
+  const copies = await this.insertMany(
+    openAnnotations.map((annotation) => ({
+      ...annotation,
+      _id: new mongoose.Types.ObjectId(),
+      permitDocumentId: newDocument._id,
+      documentVersion: newDocument.version,
+      fileId: newDocument.fileId,
+      carriedForwardFrom: annotation._id,
+    })),
+  );
+
+  await this.bulkWrite(
+    copies.map((copy) => ({
+      updateOne: {
+        filter: { _id: copy.carriedForwardFrom },
+        update: { $set: { supersededBy: copy._id } },
+      },
+    })),
+  );
+
+  return copies;
+};
+
+module.exports = mongoose.model('DocumentAnnotation', documentAnnotationSchema);
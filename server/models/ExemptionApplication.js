@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExemptionApplication Model
+ *
+ * An owner's application (or annual re-filing) for an elderly, disabled or
+ * blind exemption. Captures the facts the exemption is granted on - age,
+ * household income and assets - and the evaluation of those facts against
+ * the municipality's configured exemption tiers and limits. Approving an
+ * application creates the PropertyExemption.
+ */
+const exemptionApplicationSchema = new mongoose.Schema(
+  {
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    property_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PropertyTreeNode',
+      required: true,
+      index: true,
+    },
+    card_number: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    exemption_category: {
+      type: String,
+      enum: ['elderly', 'disabled', 'blind'],
+      required: true,
+    },
+    tax_year: {
+      type: Number,
+      required: true,
+      min: 1900,
+      max: 2100,
+    },
+    filing_type: {
+      type: String,
+      enum: ['initial', 'requalification'],
+      default: 'initial',
+    },
+    // Exemption being re-qualified, for re-filings
+    previous_exemption_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PropertyExemption',
+    },
+
+    applicant: {
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      date_of_birth: Date,
+      receives_disability_benefits: {
+        type: Boolean,
+        default: false, // Social Security disability (Title II or XVI)
+      },
+      is_legally_blind: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    marital_status: {
+      type: String,
+      enum: ['single', 'married'],
+      default: 'single',
+    },
+    spouse: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      date_of_birth: Date,
+    },
+
+    // Combined net income of the applicant and spouse from all sources
+    household_income: {
+      type: Number,
+      min: 0,
+    },
+    // Net assets of the applicant and spouse, excluding the residence
+    total_assets: {
+      type: Number,
+      min: 0,
+    },
+
+    // Result of evaluating the application against the exemption types
+    evaluation: {
+      evaluated_at: Date,
+      eligible: Boolean,
+      exemption_type_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExemptionType',
+      },
+      exemption_name: String,
+      qualifying_age: Number,
+      age_as_of: Date,
+      exemption_value: Number,
+      income_limit: Number,
+      asset_limit: Number,
+      reasons: [String], // Why the application does not qualify
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'denied', 'withdrawn'],
+      default: 'pending',
+      index: true,
+    },
+    decision_notes: {
+      type: String,
+      trim: true,
+    },
+    decided_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decided_at: Date,
+    property_exemption_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PropertyExemption',
+    },
+
+    documentation_provided: {
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    collection: 'exemption_applications',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  },
+);
+
+exemptionApplicationSchema.index({
+  municipality_id: 1,
+  tax_year: 1,
+  status: 1,
+});
+exemptionApplicationSchema.index({
+  property_id: 1,
+  exemption_category: 1,
+  tax_year: 1,
+});
+
+module.exports = mongoose.model(
+  'ExemptionApplication',
+  exemptionApplicationSchema,
+);
@@ -151,6 +151,12 @@ const exemptionTypeSchema = new mongoose.Schema(
         min: 0,
       },
     },
+    // Years an approval runs before the owner must re-file (0 = no re-filing)
+    requalification_interval_years: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     sort_order: {
       type: Number,
       default: 0,
@@ -310,7 +316,7 @@ exemptionTypeSchema.statics.findAvailableForSelection = function (
   return this.find(query)
     .sort({ exemption_type: 1, category: 1, sort_order: 1, display_name: 1 })
     .select(
-      '_id name display_name description category subcategory exemption_type calculation_method qualification_criteria requires_documentation required_documents age_requirements income_requirements asset_requirements default_exemption_value default_credit_value default_percentage min_exemption_amount max_exemption_amount min_percentage max_percentage',
+      '_id name display_name description category subcategory exemption_type calculation_method qualification_criteria requires_documentation required_documents age_requirements income_requirements asset_requirements requalification_interval_years default_exemption_value default_credit_value default_percentage min_exemption_amount max_exemption_amount min_percentage max_percentage',
     );
 };
 
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// A bracket of a tiered schedule: flatFee plus rate for every `per` units,
+// for values up to `upTo` (null means no ceiling)
+const feeTierSchema = new mongoose.Schema(
+  {
+    upTo: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    rate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    per: {
+      type: Number,
+      default: 1,
+      min: 0.01,
+    },
+    flatFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+const feeScheduleSchema = new mongoose.Schema(
+  {
+    municipalityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Municipality',
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Referenced from formulas as tiered(value, "CODE")
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 30,
+      match: [
+        /^[A-Z0-9_-]+$/,
+        'Code may only contain letters, numbers, dashes and underscores',
+      ],
+    },
+
+    description: {
+      type: String,
+      maxlength: 1000,
+    },
+
+    // bracket: the whole value is charged at the tier it falls in
+    // marginal: each slice of the value is charged at its own tier
+    method: {
+      type: String,
+      enum: ['bracket', 'marginal'],
+      default: 'bracket',
+    },
+
+    tiers: {
+      type: [feeTierSchema],
+      validate: {
+        validator: function (tiers) {
+          const ceilings = tiers.map((tier) => tier.upTo);
+          const open = ceilings.filter((upTo) => upTo === null);
+          const bounded = ceilings.filter((upTo) => upTo !== null);
+          return (
+            tiers.length > 0 &&
+            open.length <= 1 &&
+            new Set(bounded).size === bounded.length
+          );
+        },
+        message:
+          'A fee schedule needs at least one tier, distinct tier limits and at most one tier without a limit',
+      },
+    },
+
+    minimumFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maximumFee: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+feeScheduleSchema.index({ municipalityId: 1, code: 1 }, { unique: true });
+feeScheduleSchema.index({ municipalityId: 1, isActive: 1 });
+
+// Keep tiers in ascending order, open-ended tier last
+feeScheduleSchema.pre('save', function (next) {
+  if (this.isModified('tiers')) {
+    this.tiers.sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  }
+  next();
+});
+
+// Active schedules a municipality's fee formulas can reference
+feeScheduleSchema.statics.getActiveSchedules = function (municipalityId) {
+  return this.find({ municipalityId, isActive: true }).lean();
+};
+
+const FeeSchedule = mongoose.model('FeeSchedule', feeScheduleSchema);
+
+module.exports = FeeSchedule;
@@ -309,6 +309,11 @@ const municipalitySchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // Require TOTP two-factor auth for users with assessing admin permissions
+      requireTwoFactorForAssessingAdmins: {
+        type: Boolean,
+        default: false,
+      },
       // Building Permits Settings
       buildingPermits: {
         allowUnverifiedContractors: {
@@ -329,7 +334,30 @@ const municipalitySchema = new mongoose.Schema(
           description:
             'Automatically approve permit applications from platform-verified contractors',
         },
+        // Review deadline (SLA) warnings
+        slaApproachingDeadlineDays: {
+          type: Number,
+          default: 3,
+          min: 0,
+          description:
+            'Warn reviewers when this many business days remain before a permit review deadline',
+        },
+        slaSeverelyOverdueDays: {
+          type: Number,
+          default: 10,
+          min: 1,
+          description:
+            'Business days past the review deadline before a permit is severely overdue',
+        },
       },
+      // Municipal holidays (skipped when counting business days)
+      holidays: [
+        {
+          date: { type: Date, required: true },
+          name: { type: String, trim: true },
+          _id: false,
+        },
+      ],
     },
 
     // PID Format Configuration
@@ -479,6 +507,35 @@ const municipalitySchema = new mongoose.Schema(
           },
         },
       ],
+      // Daily itinerary planning: where inspectors start their day, the
+      // average travel speed between stops and the arrival window quoted
+      // to applicants when a day is re-sequenced
+      routing: {
+        startLabel: String,
+        startAddress: String,
+        startLocation: {
+          type: {
+            type: String,
+            enum: ['Point'],
+          },
+          coordinates: {
+            type: [Number], // [longitude, latitude]
+            default: undefined,
+          },
+        },
+        averageSpeedMph: {
+          type: Number,
+          default: 25,
+          min: 5,
+          max: 70,
+        },
+        arrivalWindowMinutes: {
+          type: Number,
+          default: 60,
+          min: 15,
+          max: 240,
+        },
+      },
     },
 
     // Cache invalidation tracking
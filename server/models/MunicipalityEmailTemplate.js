@@ -19,6 +19,7 @@ const municipalityEmailTemplateSchema = new mongoose.Schema(
         'permit_revision_requested',
         'permit_pending_payment',
         'permit_issued',
+        'permit_sla_warning',
 
         // Inspection templates
         'inspection_scheduled',
@@ -31,6 +32,10 @@ const municipalityEmailTemplateSchema = new mongoose.Schema(
         // Team member templates (municipality staff notifications)
         'team_member_added',
         'team_member_removed',
+
+        // Account templates
+        'password_reset',
+        'email_verification',
       ],
       index: true,
     },
@@ -267,6 +272,23 @@ municipalityEmailTemplateSchema.statics.getAvailableVariables = function (
       { name: 'companyName', description: 'Company name' },
       { name: 'removedBy', description: 'Who removed the team member' },
     ],
+
+    // Account variables
+    password_reset: [
+      { name: 'firstName', description: 'First name of the user' },
+      { name: 'email', description: 'Email address of the user' },
+      { name: 'resetUrl', description: 'Link to set a new password' },
+      {
+        name: 'expiresInMinutes',
+        description: 'Minutes until the link expires',
+      },
+    ],
+    email_verification: [
+      { name: 'firstName', description: 'First name of the user' },
+      { name: 'email', description: 'Email address of the user' },
+      { name: 'verificationUrl', description: 'Link to verify the email' },
+      { name: 'expiresInHours', description: 'Hours until the link expires' },
+    ],
   };
 
   return variablesByType[templateType] || [];
@@ -88,6 +88,7 @@ const parcelAssessmentSchema = new mongoose.Schema(
         'card_added',
         'card_removed',
         'import',
+        'revaluation',
       ],
     },
 
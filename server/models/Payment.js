@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Model
+ *
+ * Purpose: Ledger of money received against a TaxBill
+ * - Records how each payment was allocated across the bill's installments
+ * - Tracks refunds against the original payment
+ *
+ * A bill's ledger is its original charge followed by these payments and refunds.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    tax_bill_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxBill',
+      required: true,
+      index: true,
+    },
+    property_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PropertyTreeNode',
+      index: true,
+    },
+    tax_year: {
+      type: Number,
+      index: true,
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    payment_date: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+    payment_method: {
+      type: String,
+      enum: ['cash', 'check', 'credit_card', 'ach', 'online', 'other'],
+      required: true,
+    },
+    reference_number: {
+      type: String,
+      trim: true,
+    }, // Check number, transaction ID, etc.
+    payer_name: {
+      type: String,
+      trim: true,
+    },
+
+    // How the payment was applied to the bill's installments
+    allocations: [
+      {
+        installment_number: { type: Number, required: true },
+        amount: { type: Number, required: true },
+        _id: false,
+      },
+    ],
+
+    refunded_amount: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [
+      {
+        amount: { type: Number, required: true },
+        reason: { type: String, trim: true },
+        refunded_at: { type: Date, default: Date.now },
+        refunded_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['posted', 'partially_refunded', 'refunded'],
+      default: 'posted',
+      index: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+    },
+
+    received_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    collection: 'tax_payments',
+    timestamps: true,
+  },
+);
+
+paymentSchema.index({ municipality_id: 1, payment_date: -1 });
+paymentSchema.index({ tax_bill_id: 1, payment_date: 1 });
+
+// Amount still eligible for refund
+paymentSchema.virtual('refundable_amount').get(function () {
+  return Math.round((this.amount - (this.refunded_amount || 0)) * 100) / 100;
+});
+
+paymentSchema.set('toJSON', { virtuals: true });
+paymentSchema.set('toObject', { virtuals: true });
+
+/**
+ * Get the allocations to reverse for a refund, most recent installment first
+ * @param {number} amount - Refund amount
+ * @returns {Array} - [{ installment_number, amount }]
+ */
+paymentSchema.methods.getRefundAllocations = function (amount) {
+  let remaining = amount;
+  const reversals = [];
+
+  const allocations = [...this.allocations].sort(
+    (a, b) => b.installment_number - a.installment_number,
+  );
+
+  for (const allocation of allocations) {
+    if (remaining <= 0) break;
+    const reversed = Math.min(allocation.amount, remaining);
+    reversals.push({
+      installment_number: allocation.installment_number,
+      amount: reversed,
+    });
+    remaining = Math.round((remaining - reversed) * 100) / 100;
+  }
+
+  return reversals;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -139,6 +139,11 @@ const permitSchema = new mongoose.Schema(
       default: 0,
     },
     squareFootage: Number,
+    // New dwelling units created (reported on the Census Bureau C-40 survey)
+    housingUnits: {
+      type: Number,
+      min: 0,
+    },
 
     // Important dates
     applicationDate: {
@@ -182,6 +187,9 @@ const permitSchema = new mongoose.Schema(
         refunded: { type: Boolean, default: false },
         refundDate: Date,
         refundAmount: Number,
+        // Set for fees added after the application (e.g. reinspection)
+        addedDate: Date,
+        addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       },
     ],
 
@@ -259,6 +267,16 @@ const permitSchema = new mongoose.Schema(
           type: Boolean,
           default: true,
         },
+        // Routing stage copied from the permit type; reviews with the same
+        // order run in parallel, later stages open once earlier required
+        // reviews are approved
+        reviewOrder: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        // When this review's stage opened and the department was notified
+        openedAt: Date,
         // Review status: pending, in_review, revisions_requested, approved, conditionally_approved, rejected
         status: {
           type: String,
@@ -300,6 +318,8 @@ const permitSchema = new mongoose.Schema(
         ],
         // Conditions/stipulations attached to approval (e.g., "Must install fire sprinklers")
         conditions: [String],
+        // Items the applicant must address when revisions are requested
+        requestedRevisions: [String],
         // Re-review tracking
         requiresReReview: {
           type: Boolean,
@@ -347,6 +367,10 @@ const permitSchema = new mongoose.Schema(
         type: Number,
         default: 30,
       },
+      // Submission the expected completion date was counted from
+      submittedAt: Date,
+      // Last time revisions were resubmitted on a permit that was on hold
+      resubmittedAt: Date,
       // Expected completion date based on submission + target days
       expectedCompletionDate: Date,
       // Actual completion date (when fully approved/denied)
@@ -623,12 +647,15 @@ permitSchema.virtual('unpaidFees').get(function () {
   return this.fees.filter((fee) => !fee.paid);
 });
 
-// Virtual for total paid amount
+// Virtual for total paid amount (net of refunds; includes partial payments)
 permitSchema.virtual('totalPaid').get(function () {
   if (!this.fees || !Array.isArray(this.fees)) return 0;
-  return this.fees
-    .filter((fee) => fee.paid)
-    .reduce((sum, fee) => sum + (fee.paidAmount || fee.amount), 0);
+  return this.fees.reduce((sum, fee) => {
+    if (fee.paidAmount !== undefined && fee.paidAmount !== null) {
+      return sum + fee.paidAmount;
+    }
+    return fee.paid ? sum + fee.amount : sum;
+  }, 0);
 });
 
 // Virtual for days until expiration
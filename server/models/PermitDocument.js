@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const DocumentAnnotation = require('./DocumentAnnotation');
 
 const permitDocumentSchema = new mongoose.Schema(
   {
@@ -240,6 +241,7 @@ permitDocumentSchema.methods.markReviewed = function (
 };
 
 // Instance method to create new version
+// Open plan review markups carry forward to the new version
 permitDocumentSchema.methods.createNewVersion = async function (newDocData) {
   const newDoc = new this.constructor({
     ...newDocData,
@@ -251,9 +253,35 @@ permitDocumentSchema.methods.createNewVersion = async function (newDocData) {
   });
 
   await newDoc.save();
+  await DocumentAnnotation.carryForward(this, newDoc);
   return newDoc;
 };
 
+/**
+ * Record a file uploaded to a permit. When it replaces an earlier file, the
+ * document for that file gets a new version so open markups carry forward.
+ * @param {Object} data - PermitDocument fields for the uploaded file
+ * @param {Object} previousFile - File the upload replaces (optional)
+ * @returns {Promise<Object>} - The saved PermitDocument
+ */
+permitDocumentSchema.statics.createForFile = async function (
+  data,
+  previousFile = null,
+) {
+  const previousDocument =
+    previousFile &&
+    (await this.findOne({
+      permitId: data.permitId,
+      fileId: previousFile._id,
+      isActive: true,
+    }));
+
+  if (previousDocument) {
+    return previousDocument.createNewVersion(data);
+  }
+  return new this(data).save();
+};
+
 // Static method to find documents by permit
 permitDocumentSchema.statics.findByPermit = function (
   permitId,
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Refunds are written as pending before Stripe is called and marked failed if
+// Stripe rejects them; neither is part of the ledger
+const UNPOSTED_STATUSES = ['pending', 'failed'];
+
+/**
+ * PermitFeeTransaction Model
+ *
+ * Purpose: Ledger of money movements against a permit's fees
+ * - Payments (online card payments and counter cash/check receipts), including partial payments
+ * - Refunds of a payment, through Stripe for card payments
+ * - Adjustments (waivers, credits or added charges) made by staff
+ *
+ * A permit's ledger is its fees (the charges) followed by these transactions.
+ * The paid/refunded fields on Permit.fees are kept in sync from this ledger.
+ */
+const permitFeeTransactionSchema = new mongoose.Schema(
+  {
+    municipalityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    permitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Permit',
+      required: true,
+      index: true,
+    },
+    permitNumber: String, // Denormalized for receipts and drawer reports
+
+    type: {
+      type: String,
+      enum: ['payment', 'refund', 'adjustment'],
+      required: true,
+    },
+
+    // Payments and refunds are positive; adjustments are signed
+    // (negative = credit/waiver, positive = additional charge)
+    amount: {
+      type: Number,
+      required: true,
+    },
+    transactionDate: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+
+    paymentMethod: {
+      type: String,
+      enum: ['card', 'cash', 'check', 'money_order', 'other'],
+    },
+    referenceNumber: {
+      type: String,
+      trim: true,
+    }, // Check number, money order number, etc.
+    payerName: {
+      type: String,
+      trim: true,
+    },
+
+    // How a payment or refund was applied to the permit's fees
+    allocations: [
+      {
+        feeId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        amount: { type: Number, required: true },
+        _id: false,
+      },
+    ],
+
+    // Adjustments may target a single fee
+    feeId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
+    // Stripe references for card payments and their refunds
+    stripePaymentIntentId: String,
+    stripeRefundId: String,
+    stripeTransferReversalId: String,
+    processingFees: {
+      type: Number,
+      default: 0,
+    }, // Convenience fees charged on top of the permit fee (not refundable)
+
+    // Refunds point at the payment they reverse
+    paymentTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PermitFeeTransaction',
+    },
+
+    // Payment refund tracking
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['posted', 'partially_refunded', 'refunded', ...UNPOSTED_STATUSES],
+      default: 'posted',
+    },
+    failureReason: String, // Why Stripe rejected a refund, or what still needs attention
+
+    receiptNumber: String,
+    reason: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedByName: String,
+  },
+  {
+    collection: 'permit_fee_transactions',
+    timestamps: true,
+  },
+);
+
+permitFeeTransactionSchema.index({ municipalityId: 1, transactionDate: -1 });
+permitFeeTransactionSchema.index({ permitId: 1, transactionDate: 1 });
+permitFeeTransactionSchema.index(
+  { municipalityId: 1, receiptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { receiptNumber: { $type: 'string' } },
+  },
+);
+// One payment per Stripe payment intent, so confirmations are idempotent
+permitFeeTransactionSchema.index(
+  { stripePaymentIntentId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      type: 'payment',
+      stripePaymentIntentId: { $type: 'string' },
+    },
+  },
+);
+
+// Amount still eligible for refund
+permitFeeTransactionSchema.virtual('refundableAmount').get(function () {
+  if (this.type !== 'payment') return 0;
+  return Math.round((this.amount - (this.refundedAmount || 0)) * 100) / 100;
+});
+
+permitFeeTransactionSchema.set('toJSON', { virtuals: true });
+permitFeeTransactionSchema.set('toObject', { virtuals: true });
+
+/**
+ * Limit a query to transactions on the ledger (not pending or failed refunds)
+ * @param {Object} query - Mongo filter
+ * @returns {Object} - The filter with the status condition added
+ */
+permitFeeTransactionSchema.statics.ledgerFilter = function (query = {}) {
+  return { ...query, status: { $nin: UNPOSTED_STATUSES } };
+};
+
+/**
+ * Get the last receipt sequence used in a year (receipts look like "R2025-000123")
+ * @param {ObjectId} municipalityId - Municipality ID
+ * @param {number} year - Calendar year
+ * @returns {number} - Highest sequence already used for the year
+ */
+permitFeeTransactionSchema.statics.getLastReceiptSequence = async function (
+  municipalityId,
+  year,
+) {
+  const last = await this.findOne({
+    municipalityId,
+    receiptNumber: { $regex: `^R${year}-` },
+  })
+    .sort({ receiptNumber: -1 })
+    .select('receiptNumber')
+    .lean();
+
+  if (!last) return 0;
+
+  return parseInt(last.receiptNumber.split('-')[1], 10) || 0;
+};
+
+/**
+ * Generate the next receipt number for a municipality from the atomic
+ * counter, so concurrent payments and refunds never share a number
+ * @param {ObjectId} municipalityId - Municipality ID
+ * @param {Date} date - Transaction date (receipts are numbered per year)
+ * @returns {Promise<string>} - e.g. "R2025-000123"
+ */
+permitFeeTransactionSchema.statics.generateReceiptNumber = async function (
+  municipalityId,
+  date = new Date(),
+) {
+  const year = date.getFullYear();
+  const sequence = await Counter.reserve(
+    `permit_receipt:${municipalityId}:${year}`,
+    { seed: () => this.getLastReceiptSequence(municipalityId, year) },
+  );
+
+  return `R${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+/**
+ * Get the allocations to reverse for a refund of this payment, most recently
+ * allocated fee first
+ * @param {number} amount - Refund amount
+ * @param {Array} previousRefunds - Earlier refunds of this payment
+ * @returns {Array} - [{ feeId, amount }]
+ */
+permitFeeTransactionSchema.methods.getRefundAllocations = function (
+  amount,
+  previousRefunds = [],
+) {
+  const alreadyRefunded = new Map();
+  for (const refund of previousRefunds) {
+    for (const allocation of refund.allocations) {
+      const key = allocation.feeId.toString();
+      alreadyRefunded.set(
+        key,
+        (alreadyRefunded.get(key) || 0) + allocation.amount,
+      );
+    }
+  }
+
+  let remaining = amount;
+  const reversals = [];
+
+  for (const allocation of [...this.allocations].reverse()) {
+    if (remaining <= 0) break;
+    const available =
+      allocation.amount -
+      (alreadyRefunded.get(allocation.feeId.toString()) || 0);
+    if (available <= 0) continue;
+    const reversed = Math.round(Math.min(available, remaining) * 100) / 100;
+    reversals.push({ feeId: allocation.feeId, amount: reversed });
+    remaining = Math.round((remaining - reversed) * 100) / 100;
+  }
+
+  return reversals;
+};
+
+module.exports = mongoose.model(
+  'PermitFeeTransaction',
+  permitFeeTransactionSchema,
+);
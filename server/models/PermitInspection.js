@@ -67,6 +67,13 @@ const permitInspectionSchema = new mongoose.Schema(
     },
     inspectorName: String, // Denormalized
 
+    // Daily itinerary (set when the inspector's day is optimized)
+    routeSequence: Number, // 1-based stop order for the day
+    estimatedArrival: Date,
+    arrivalWindowStart: Date, // Window quoted to the applicant
+    arrivalWindowEnd: Date,
+    arrivalWindowNotifiedAt: Date,
+
     // Inspection status
     status: {
       type: String,
@@ -134,12 +141,24 @@ const permitInspectionSchema = new mongoose.Schema(
       },
     ],
 
+    // Responses to the permit type's inspection checklist
+    checklistResults: [
+      {
+        itemId: { type: String, required: true },
+        question: String, // Denormalized in case the checklist changes
+        response: String, // 'pass', 'fail', 'yes', 'no', 'n/a' or free text/number
+        notes: String,
+        recordedAt: Date,
+      },
+    ],
+
     // Documentation
     photos: [
       {
         url: { type: String, required: true }, // Google Cloud Storage URL
         filename: String,
         caption: String,
+        clientId: String, // Set by the field app so replays are not duplicated
         uploadedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User',
@@ -209,6 +228,7 @@ const permitInspectionSchema = new mongoose.Schema(
         },
         createdAt: { type: Date, default: Date.now },
         attachments: [String], // URLs to attachments
+        clientId: String, // Set by the field app so replays are not duplicated
       },
     ],
 
@@ -227,6 +247,7 @@ const permitInspectionSchema = new mongoose.Schema(
             'photo_added',
             'completed',
             'cancelled',
+            'route_optimized',
           ],
         },
         performedBy: {
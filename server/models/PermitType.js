@@ -94,7 +94,11 @@ const permitTypeSchema = new mongoose.Schema(
         default: 0.5,
         min: 0,
       },
-      formula: String, // For custom calculations
+      percentageRate: {
+        type: Number,
+        min: 0,
+      },
+      formula: String, // For custom calculations (see app/utils/fee-formula.js)
       linkedScheduleId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'FeeSchedule',
@@ -356,6 +360,32 @@ const permitTypeSchema = new mongoose.Schema(
             default: true,
           },
           description: String,
+          // Items the inspector works through on site (available offline)
+          checklist: [
+            {
+              id: String,
+              question: {
+                type: String,
+                required: true,
+              },
+              category: String, // e.g., "Structural", "Egress", "Fire Safety"
+              responseType: {
+                type: String,
+                enum: ['pass_fail', 'yes_no', 'text', 'number'],
+                default: 'pass_fail',
+              },
+              isRequired: {
+                type: Boolean,
+                default: false,
+              },
+              order: {
+                type: Number,
+                default: 0,
+              },
+              codeReference: String, // Cited when the item fails
+              helpText: String,
+            },
+          ],
         },
       ],
       requiresMultipleInspections: {
@@ -117,6 +117,15 @@ const propertyExemptionSchema = new mongoose.Schema(
       default: true,
       index: true,
     },
+    // Most recent re-qualification letter sent for this exemption
+    last_requalification_notice: {
+      tax_year: Number,
+      sent_at: Date,
+      sent_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
     created_by: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
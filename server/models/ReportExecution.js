@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReportExecution Model
+ *
+ * Purpose: Tracks a single run of an AssessingReport
+ * - Stores the validated parameters and requested output formats
+ * - Records status so clients can poll a run by execution_id
+ * - Keeps the rendered artifacts (one per output format) in storage
+ */
+const reportExecutionSchema = new mongoose.Schema(
+  {
+    execution_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    report_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssessingReport',
+      required: true,
+      index: true,
+    },
+    report_name: {
+      type: String,
+      trim: true,
+    },
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    parameters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Stable key of the parameters, used to reuse cached runs
+    parameters_hash: {
+      type: String,
+      index: true,
+    },
+    output_formats: [
+      {
+        type: String,
+        enum: ['pdf', 'excel', 'csv', 'html', 'json'],
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+      index: true,
+    },
+    artifacts: [
+      {
+        format: { type: String, required: true },
+        filename: { type: String, required: true },
+        mime_type: { type: String, required: true },
+        size: { type: Number, default: 0 },
+        storage_path: { type: String, required: true },
+        _id: false,
+      },
+    ],
+    record_count: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    started_at: { type: Date },
+    completed_at: { type: Date },
+    execution_time_ms: { type: Number },
+    executed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    collection: 'report_executions',
+    timestamps: true,
+  },
+);
+
+reportExecutionSchema.index({ municipality_id: 1, createdAt: -1 });
+reportExecutionSchema.index({
+  report_id: 1,
+  municipality_id: 1,
+  parameters_hash: 1,
+  status: 1,
+  completed_at: -1,
+});
+
+/**
+ * Generate a new execution ID
+ * @returns {string} - e.g. exec_lx3k2a_9f8e7d6c5b
+ */
+reportExecutionSchema.statics.generateExecutionId = function () {
+  return `exec_${Date.now().toString(36)}_${new mongoose.Types.ObjectId().toString().slice(-10)}`;
+};
+
+/**
+ * Find a completed execution with the same parameters inside the cache window
+ * @param {ObjectId} reportId - Report ID
+ * @param {ObjectId} municipalityId - Municipality ID
+ * @param {string} parametersHash - Parameters hash
+ * @param {number} cacheMinutes - Cache duration in minutes
+ * @returns {Object} - ReportExecution or null
+ */
+reportExecutionSchema.statics.findCached = function (
+  reportId,
+  municipalityId,
+  parametersHash,
+  cacheMinutes,
+) {
+  if (!cacheMinutes) return null;
+
+  return this.findOne({
+    report_id: reportId,
+    municipality_id: municipalityId,
+    parameters_hash: parametersHash,
+    status: 'completed',
+    completed_at: { $gte: new Date(Date.now() - cacheMinutes * 60 * 1000) },
+  }).sort({ completed_at: -1 });
+};
+
+reportExecutionSchema.methods.getArtifact = function (format) {
+  return this.artifacts.find((artifact) => artifact.format === format);
+};
+
+module.exports = mongoose.model('ReportExecution', reportExecutionSchema);
@@ -100,6 +100,29 @@ const revaluationSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Latest what-if preview of the approved sheet rates applied to every
+    // parcel (per-parcel rows live in RevaluationShadowAssessment)
+    shadow_preview: {
+      session_id: { type: String },
+      generated_at: { type: Date },
+      generated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      parcel_count: { type: Number, default: 0 },
+      current_total: { type: Number, default: 0 },
+      projected_total: { type: Number, default: 0 },
+    },
+
+    // Set when the preview is committed to ParcelAssessment
+    committed_session_id: {
+      type: String,
+    },
+    committed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    committed_at: {
+      type: Date,
+    },
+
     notes: {
       type: String,
       trim: true,
@@ -127,11 +150,19 @@ revaluationSchema.index(
 // Index for finding active revaluations
 revaluationSchema.index({ municipality_id: 1, status: 1 });
 
-// Static method to get active revaluation for a municipality
+// Static method to get active revaluation for a municipality. Approved
+// revaluations stay active until they are committed; a committed revaluation
+// stays visible (read-only) through its effective year.
 revaluationSchema.statics.getActive = async function (municipalityId) {
   return await this.findOne({
     municipality_id: municipalityId,
-    status: 'in_progress',
+    $or: [
+      { status: { $in: ['in_progress', 'approved'] } },
+      {
+        status: 'completed',
+        effective_year: { $gte: new Date().getFullYear() },
+      },
+    ],
   })
     .sort({ effective_year: -1 })
     .lean();
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const valuesSchema = new mongoose.Schema(
+  {
+    land_value: { type: Number, default: 0 },
+    building_value: { type: Number, default: 0 },
+    improvements_value: { type: Number, default: 0 },
+    total_value: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+const cardValuesSchema = new mongoose.Schema(
+  {
+    card_number: { type: Number, required: true },
+    land_value: { type: Number, default: 0 },
+    building_value: { type: Number, default: 0 },
+    improvements_value: { type: Number, default: 0 },
+    card_total: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+// Shadow (what-if) assessment of one parcel under a revaluation's approved
+// sheet rates. Rows are replaced each time the preview is regenerated and are
+// only written to ParcelAssessment when the approved revaluation is committed.
+const revaluationShadowAssessmentSchema = new mongoose.Schema(
+  {
+    revaluation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Revaluation',
+      required: true,
+      index: true,
+    },
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+    },
+    property_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PropertyTreeNode',
+      required: true,
+    },
+    // Revaluation effective year the projected values apply to
+    effective_year: {
+      type: Number,
+      required: true,
+    },
+    // Preview run that produced this row
+    session_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    // Grouping fields for the per-neighborhood summary
+    pid: { type: String },
+    location: { type: String },
+    neighborhood: { type: String, index: true },
+    property_class: { type: String },
+
+    // Current values (latest ParcelAssessment on or before effective_year)
+    current_parcel_assessment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParcelAssessment',
+    },
+    current_effective_year: { type: Number },
+    current: { type: valuesSchema, default: () => ({}) },
+
+    projected: { type: valuesSchema, default: () => ({}) },
+    projected_cards: { type: [cardValuesSchema], default: [] },
+
+    change_amount: { type: Number, default: 0 },
+    change_percentage: { type: Number, default: 0 },
+
+    // Sheets whose approved rate changed this parcel
+    applied_sheets: [
+      {
+        _id: false,
+        sheet_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'RevaluationAnalysisSheet',
+        },
+        sheet_name: String,
+        component: String, // land, view, waterfront, building, improvements
+        factor: Number,
+      },
+    ],
+
+    // Notes such as "current use land not revalued"
+    notes: [{ type: String }],
+
+    committed_at: {
+      type: Date,
+    },
+  },
+  {
+    collection: 'revaluation_shadow_assessments',
+    timestamps: true,
+  },
+);
+
+revaluationShadowAssessmentSchema.index(
+  { revaluation_id: 1, property_id: 1 },
+  { unique: true },
+);
+revaluationShadowAssessmentSchema.index({
+  revaluation_id: 1,
+  change_percentage: -1,
+});
+
+module.exports = mongoose.model(
+  'RevaluationShadowAssessment',
+  revaluationShadowAssessmentSchema,
+);
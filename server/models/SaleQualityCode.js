@@ -29,6 +29,13 @@ const saleQualityCodeSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Sales with a qualified code are arm's-length market sales usable in
+  // ratio studies; unqualified codes (family transfers, foreclosures, etc.)
+  // are excluded
+  isQualified: {
+    type: Boolean,
+    default: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const savedPropertyQuerySchema = new mongoose.Schema(
+  {
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: 500,
+    },
+
+    // Filter values as sent by the property query modal
+    // (see FILTER_DEFINITIONS in services/propertyQueryService.js)
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Shared queries are visible to everyone in the municipality;
+    // only the creator can change or delete them
+    is_shared: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    last_run_at: {
+      type: Date,
+    },
+    last_result_count: {
+      type: Number,
+    },
+
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Query names are unique per user within a municipality
+savedPropertyQuerySchema.index(
+  { municipality_id: 1, created_by: 1, name: 1 },
+  { unique: true },
+);
+
+// Queries the user can see: their own plus everything shared in the municipality
+savedPropertyQuerySchema.statics.findVisibleTo = function (
+  municipalityId,
+  userId,
+) {
+  return this.find({
+    municipality_id: new mongoose.Types.ObjectId(municipalityId),
+    $or: [{ created_by: userId }, { is_shared: true }],
+  })
+    .populate('created_by', 'first_name last_name')
+    .sort({ name: 1 });
+};
+
+savedPropertyQuerySchema.methods.isOwnedBy = function (userId) {
+  const ownerId = this.created_by?._id || this.created_by;
+  return ownerId?.toString() === userId.toString();
+};
+
+module.exports = mongoose.model('SavedPropertyQuery', savedPropertyQuerySchema);
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+/**
+ * TaxBill Model
+ *
+ * Purpose: Property tax bill for a single parcel, tax year and warrant
+ * - Snapshots the ParcelAssessment totals, exemptions and credits used to compute the tax
+ * - Splits the net tax into installments with their own due dates and balances
+ * - Tracks amounts paid (applied from Payment records) and the outstanding balance
+ *
+ * Bills are unique per municipality/property/tax_year/warrant_number, which makes
+ * bill generation idempotent for a given warrant.
+ */
+const installmentSchema = new mongoose.Schema(
+  {
+    installment_number: { type: Number, required: true, min: 1 },
+    due_date: { type: Date, required: true },
+    amount: { type: Number, required: true, default: 0 },
+    amount_paid: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['open', 'partial', 'paid'],
+      default: 'open',
+    },
+  },
+  { _id: false },
+);
+
+const taxBillSchema = new mongoose.Schema(
+  {
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    property_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PropertyTreeNode',
+      required: true,
+      index: true,
+    },
+    tax_year: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    warrant_number: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    bill_number: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Denormalized property/owner info as of bill generation
+    pid: { type: String, trim: true },
+    account_number: { type: String, trim: true },
+    property_address: { type: String, trim: true },
+    owner_name: { type: String, trim: true, index: true },
+    mailing_address: { type: String, trim: true },
+
+    // Assessment snapshot (from ParcelAssessment)
+    assessment: {
+      effective_year: { type: Number },
+      land_value: { type: Number, default: 0 },
+      building_value: { type: Number, default: 0 },
+      improvements_value: { type: Number, default: 0 },
+      total_assessed_value: { type: Number, default: 0 },
+    },
+
+    // Exemptions reduce taxable value, credits reduce tax (from PropertyExemption)
+    exemption_total: { type: Number, default: 0 },
+    credit_total: { type: Number, default: 0 },
+    taxable_value: { type: Number, default: 0 },
+
+    tax_rate: { type: Number, required: true }, // Rate per $1,000
+    gross_tax: { type: Number, default: 0 },
+    net_tax: { type: Number, default: 0 },
+
+    installments: [installmentSchema],
+
+    amount_paid: { type: Number, default: 0 },
+    balance_due: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ['open', 'partial', 'paid', 'void'],
+      default: 'open',
+      index: true,
+    },
+    void_reason: { type: String, trim: true },
+
+    notes: { type: String, trim: true },
+
+    generated_at: { type: Date, default: Date.now },
+    generated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    collection: 'tax_bills',
+    timestamps: true,
+  },
+);
+
+// One bill per parcel per warrant
+taxBillSchema.index(
+  { municipality_id: 1, property_id: 1, tax_year: 1, warrant_number: 1 },
+  { unique: true },
+);
+taxBillSchema.index({ municipality_id: 1, bill_number: 1 }, { unique: true });
+taxBillSchema.index({ municipality_id: 1, tax_year: 1, status: 1 });
+
+/**
+ * Round a currency amount to cents
+ * @param {number} value - Amount
+ * @returns {number} - Amount rounded to 2 decimals
+ */
+function roundCurrency(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Apply a payment amount to the open installments, oldest first
+ * @param {number} amount - Amount to apply
+ * @returns {Object} - { allocations: [{ installment_number, amount }], unapplied }
+ */
+taxBillSchema.methods.applyPayment = function (amount) {
+  let remaining = roundCurrency(amount);
+  const allocations = [];
+
+  const installments = [...this.installments].sort(
+    (a, b) => a.installment_number - b.installment_number,
+  );
+
+  for (const installment of installments) {
+    if (remaining <= 0) break;
+
+    const open = roundCurrency(installment.amount - installment.amount_paid);
+    if (open <= 0) continue;
+
+    const applied = Math.min(open, remaining);
+    installment.amount_paid = roundCurrency(installment.amount_paid + applied);
+    remaining = roundCurrency(remaining - applied);
+
+    allocations.push({
+      installment_number: installment.installment_number,
+      amount: applied,
+    });
+  }
+
+  this.recalculateBalance();
+
+  return { allocations, unapplied: remaining };
+};
+
+/**
+ * Reverse previously applied allocations (used for refunds and voided payments)
+ * @param {Array} allocations - [{ installment_number, amount }]
+ */
+taxBillSchema.methods.reverseAllocations = function (allocations) {
+  for (const allocation of allocations) {
+    const installment = this.installments.find(
+      (i) => i.installment_number === allocation.installment_number,
+    );
+    if (installment) {
+      installment.amount_paid = Math.max(
+        0,
+        roundCurrency(installment.amount_paid - allocation.amount),
+      );
+    }
+  }
+
+  this.recalculateBalance();
+};
+
+/**
+ * Recompute installment statuses, amount_paid, balance_due and bill status
+ */
+taxBillSchema.methods.recalculateBalance = function () {
+  let totalPaid = 0;
+
+  for (const installment of this.installments) {
+    if (installment.amount_paid >= installment.amount) {
+      installment.status = 'paid';
+    } else if (installment.amount_paid > 0) {
+      installment.status = 'partial';
+    } else {
+      installment.status = 'open';
+    }
+    totalPaid += installment.amount_paid;
+  }
+
+  this.amount_paid = roundCurrency(totalPaid);
+  this.balance_due = roundCurrency(this.net_tax - this.amount_paid);
+
+  if (this.status === 'void') return;
+
+  if (this.balance_due <= 0) {
+    this.status = 'paid';
+  } else if (this.amount_paid > 0) {
+    this.status = 'partial';
+  } else {
+    this.status = 'open';
+  }
+};
+
+/**
+ * Get the last bill sequence used for a tax year (bill numbers look like "2025-000123")
+ * @param {ObjectId} municipalityId - Municipality ID
+ * @param {number} year - Tax year
+ * @returns {number} - Highest sequence already used for the year
+ */
+taxBillSchema.statics.getLastBillSequence = async function (
+  municipalityId,
+  year,
+) {
+  const lastBill = await this.findOne({
+    municipality_id: municipalityId,
+    bill_number: { $regex: `^${year}-` },
+  })
+    .sort({ bill_number: -1 })
+    .select('bill_number')
+    .lean();
+
+  if (!lastBill) return 0;
+
+  return parseInt(lastBill.bill_number.split('-')[1], 10) || 0;
+};
+
+/**
+ * Reserve a block of bill sequences for a tax year from the atomic counter,
+ * so concurrent generation runs never hand out the same bill number
+ * @param {ObjectId} municipalityId - Municipality ID
+ * @param {number} year - Tax year
+ * @param {number} count - Number of bills to number
+ * @returns {Promise<number>} - First reserved sequence
+ */
+taxBillSchema.statics.reserveBillSequences = function (
+  municipalityId,
+  year,
+  count,
+) {
+  return Counter.reserve(`tax_bill:${municipalityId}:${year}`, {
+    count,
+    seed: () => this.getLastBillSequence(municipalityId, year),
+  });
+};
+
+taxBillSchema.statics.formatBillNumber = function (year, sequence) {
+  return `${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+taxBillSchema.statics.roundCurrency = roundCurrency;
+
+module.exports = mongoose.model('TaxBill', taxBillSchema);
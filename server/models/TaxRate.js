@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+/**
+ * TaxRate Model
+ *
+ * Purpose: Municipal tax rate and warrant settings for a single tax year
+ * - Stores the certified rate per $1,000 of taxable value (with component breakdown)
+ * - Defines how each year's bills are split into installments
+ * - Tracks the warrant used to commit bills to the tax collector
+ *
+ * TaxBill generation reads this record; bills are keyed by warrant_number so that
+ * re-running generation for the same warrant never creates duplicate bills.
+ */
+const taxRateSchema = new mongoose.Schema(
+  {
+    municipality_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Municipality',
+      required: true,
+      index: true,
+    },
+    tax_year: {
+      type: Number,
+      required: true,
+      min: 1900,
+      max: 2100,
+    },
+
+    // Rate per $1,000 of taxable value
+    rate_per_thousand: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Optional breakdown of the total rate (as certified by the state)
+    rate_components: {
+      municipal: { type: Number, default: 0, min: 0 },
+      county: { type: Number, default: 0, min: 0 },
+      local_education: { type: Number, default: 0, min: 0 },
+      state_education: { type: Number, default: 0, min: 0 },
+    },
+
+    // Installment schedule - percentages must total 100
+    installments: {
+      type: [
+        {
+          installment_number: { type: Number, required: true, min: 1 },
+          due_date: { type: Date, required: true },
+          percentage: { type: Number, required: true, min: 0, max: 100 },
+        },
+      ],
+      validate: {
+        validator: function (installments) {
+          if (!installments || installments.length === 0) return true;
+          const total = installments.reduce(
+            (sum, installment) => sum + installment.percentage,
+            0,
+          );
+          return Math.abs(total - 100) < 0.001;
+        },
+        message: 'Installment percentages must total 100',
+      },
+    },
+
+    // Warrant tracking
+    warrant_number: {
+      type: String,
+      trim: true,
+    },
+    warrant_issued_date: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'set', 'committed'],
+      default: 'draft',
+      index: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+    },
+
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    collection: 'tax_rates',
+    timestamps: true,
+  },
+);
+
+taxRateSchema.index({ municipality_id: 1, tax_year: 1 }, { unique: true });
+
+/**
+ * Get the tax rate record for a municipality and year
+ * @param {ObjectId} municipalityId - Municipality ID
+ * @param {number} year - Tax year
+ * @returns {Object} - TaxRate document or null
+ */
+taxRateSchema.statics.getForYear = function (municipalityId, year) {
+  return this.findOne({
+    municipality_id: municipalityId,
+    tax_year: year,
+  });
+};
+
+/**
+ * Get the installment schedule, falling back to a single installment due
+ * 30 days after the warrant date when none is configured
+ * @returns {Array} - Installments sorted by installment_number
+ */
+taxRateSchema.methods.getInstallmentSchedule = function () {
+  if (this.installments && this.installments.length > 0) {
+    return [...this.installments]
+      .map((installment) => ({
+        installment_number: installment.installment_number,
+        due_date: installment.due_date,
+        percentage: installment.percentage,
+      }))
+      .sort((a, b) => a.installment_number - b.installment_number);
+  }
+
+  const dueDate = new Date(this.warrant_issued_date || Date.now());
+  dueDate.setDate(dueDate.getDate() + 30);
+
+  return [{ installment_number: 1, due_date: dueDate, percentage: 100 }];
+};
+
+// Default warrant number to "<year>-1" so generation is always keyed by a warrant
+taxRateSchema.pre('save', function (next) {
+  if (!this.warrant_number) {
+    this.warrant_number = `${this.tax_year}-1`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
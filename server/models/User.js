@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new mongoose.Schema(
   {
@@ -162,6 +166,10 @@ const userSchema = new mongoose.Schema(
           email: { type: Boolean, default: true },
           sms: { type: Boolean, default: false },
         },
+        permit_sla_warnings: {
+          email: { type: Boolean, default: true },
+          sms: { type: Boolean, default: false },
+        },
         team_member_changes: {
           email: { type: Boolean, default: true },
           sms: { type: Boolean, default: false },
@@ -197,9 +205,11 @@ const userSchema = new mongoose.Schema(
     email_verification_token: String,
     email_verification_expires: Date,
 
-    // Password reset
+    // Password reset (token is stored as a SHA-256 hash)
     password_reset_token: String,
     password_reset_expires: Date,
+    // Tokens issued before this time are rejected
+    password_changed_at: Date,
 
     // Security
     login_attempts: {
@@ -217,6 +227,28 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false,
     },
+    // Secret awaiting confirmation during enrollment
+    two_factor_pending_secret: {
+      type: String,
+      select: false,
+    },
+    two_factor_enabled_at: Date,
+    // Last accepted TOTP time step (a code cannot be used twice)
+    two_factor_last_step: {
+      type: Number,
+      select: false,
+    },
+    // Single-use recovery codes (stored as SHA-256 hashes)
+    two_factor_recovery_codes: {
+      type: [
+        {
+          code_hash: { type: String, required: true },
+          used_at: Date,
+          _id: false,
+        },
+      ],
+      select: false,
+    },
 
     // Login session tracking
     loginSessions: [
@@ -315,6 +347,9 @@ const userSchema = new mongoose.Schema(
         delete ret.email_verification_token;
         delete ret.email_verification_expires;
         delete ret.two_factor_secret;
+        delete ret.two_factor_pending_secret;
+        delete ret.two_factor_last_step;
+        delete ret.two_factor_recovery_codes;
         return ret;
       },
     },
@@ -335,6 +370,10 @@ userSchema.pre('save', async function (next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Back-date by a second so a token issued right after the change is valid
+      this.password_changed_at = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -346,6 +385,81 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.password_changed_at || !tokenIssuedAt) return false;
+  return Math.floor(this.password_changed_at.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Static method to hash a password reset / email verification token
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Method to create a password reset token (returns the raw token; only its hash is stored)
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.password_reset_token = this.constructor.hashToken(token);
+  this.password_reset_expires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.email_verification_token = this.constructor.hashToken(token);
+  this.email_verification_expires = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_MS,
+  );
+  return token;
+};
+
+// Method to create new two-factor recovery codes (returns the raw codes; only hashes are stored)
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  this.two_factor_recovery_codes = codes.map((code) => ({
+    code_hash: this.constructor.hashToken(code),
+  }));
+  return codes;
+};
+
+// Method to consume a recovery code (requires two_factor_recovery_codes to be selected)
+userSchema.methods.useRecoveryCode = function (code) {
+  const normalized = String(code || '')
+    .trim()
+    .toLowerCase();
+  const hash = this.constructor.hashToken(normalized);
+  const entry = (this.two_factor_recovery_codes || []).find(
+    (recoveryCode) => recoveryCode.code_hash === hash && !recoveryCode.used_at,
+  );
+  if (!entry) return false;
+  entry.used_at = new Date();
+  return true;
+};
+
+// Method to check whether any municipality requires this user to use two-factor auth.
+// Municipalities can require it for everyone holding assessing admin permissions.
+userSchema.methods.isTwoFactorRequired = async function () {
+  const assessingAdminMunicipalities = (this.municipal_permissions || [])
+    .filter((permission) => {
+      const assessing = permission.module_permissions?.get('assessing');
+      return assessing?.enabled && assessing.role === 'admin';
+    })
+    .map((permission) => permission.municipality_id);
+
+  if (assessingAdminMunicipalities.length === 0) return false;
+
+  const requiring = await mongoose.model('Municipality').exists({
+    _id: { $in: assessingAdminMunicipalities },
+    'settings.requireTwoFactorForAssessingAdmins': true,
+  });
+  return !!requiring;
+};
+
 // Method to get full name
 userSchema.virtual('fullName').get(function () {
   return `${this.first_name} ${this.last_name}`;
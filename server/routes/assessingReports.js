@@ -2,6 +2,74 @@ const express = require('express');
 const router = express.Router();
 const AssessingReport = require('../models/AssessingReport');
 const { authenticateToken } = require('../middleware/auth');
+const ReportExecution = require('../models/ReportExecution');
+const reportRunnerService = require('../services/reportRunnerService');
+const ms1ReportService = require('../services/ms1ReportService');
+
+/**
+ * Middleware to check if user has access to municipality
+ */
+const checkMunicipalityAccess = (req, res, next) => {
+  const { municipalityId } = req.params;
+
+  // Avitar staff have access to all municipalities
+  if (
+    req.user.global_role === 'avitar_staff' ||
+    req.user.global_role === 'avitar_admin'
+  ) {
+    return next();
+  }
+
+  if (!req.user.hasAccessToMunicipality(municipalityId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this municipality',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to load a report execution and check the user can access the
+ * report it ran. Cached runs are shared between users, so access follows the
+ * report rather than whoever started the run.
+ */
+const loadExecution = async (req, res, next) => {
+  try {
+    const { municipalityId, executionId } = req.params;
+
+    const execution = await ReportExecution.findOne({
+      execution_id: executionId,
+      municipality_id: municipalityId,
+    });
+
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report execution not found',
+      });
+    }
+
+    const report = await AssessingReport.findById(execution.report_id);
+    if (!report || !report.canUserAccess(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this report',
+      });
+    }
+
+    req.execution = execution;
+    next();
+  } catch (error) {
+    console.error('Error loading report execution:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load report execution',
+      error: error.message,
+    });
+  }
+};
 
 // @route   GET /api/municipalities/:municipalityId/assessing-reports
 // @desc    Get all assessing reports for a municipality
@@ -365,10 +433,11 @@ router.delete(
 router.post(
   '/municipalities/:municipalityId/assessing-reports/:reportId/execute',
   authenticateToken,
+  checkMunicipalityAccess,
   async (req, res) => {
     try {
       const { municipalityId, reportId } = req.params;
-      const { parameters = {}, output_format = 'pdf' } = req.body;
+      const { parameters = {}, output_format } = req.body;
 
       // Get municipality and check if report is available to it
       const Municipality = require('../models/Municipality');
@@ -413,29 +482,52 @@ router.post(
       }
 
       // Validate output format
-      if (!report.output_formats.includes(output_format)) {
+      if (output_format && !report.output_formats.includes(output_format)) {
         return res.status(400).json({
           success: false,
           message: `Output format '${output_format}' not supported for this report`,
         });
       }
 
-      // Record execution start time
-      const executionStart = Date.now();
+      if (!reportRunnerService.getRunner(report)) {
+        return res.status(501).json({
+          success: false,
+          message: `No report runner is registered for '${report.name}'`,
+        });
+      }
 
-      // Here you would implement the actual report execution logic
-      // For now, we'll just return a success response with metadata
-      const executionTime = Date.now() - executionStart;
+      // Validate parameters against the report's declared schema
+      const { values, errors } = reportRunnerService.validateParameters(
+        report,
+        parameters,
+        municipalityId,
+      );
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid report parameters',
+          errors,
+        });
+      }
 
-      // Record the execution
-      await report.recordExecution(req.user.id, executionTime);
+      const { execution, cached } = await reportRunnerService.startExecution({
+        report,
+        municipality,
+        parameters: values,
+        user: req.user,
+      });
 
-      res.json({
+      res.status(cached ? 200 : 202).json({
         success: true,
-        message: 'Report execution initiated',
-        execution_id: `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        parameters: parameters,
-        output_format: output_format,
+        message: cached
+          ? 'Returning cached report execution'
+          : 'Report execution initiated',
+        cached,
+        execution_id: execution.execution_id,
+        status: execution.status,
+        parameters: values,
+        output_formats: execution.output_formats,
         estimated_completion: new Date(
           Date.now() + report.execution_settings.timeout_minutes * 60 * 1000,
         ),
@@ -451,6 +543,100 @@ router.post(
   },
 );
 
+// @route   GET /api/municipalities/:municipalityId/assessing-reports/executions/:executionId
+// @desc    Get the status and artifacts of a report execution
+// @access  Private (municipality users who can access the report)
+router.get(
+  '/municipalities/:municipalityId/assessing-reports/executions/:executionId',
+  authenticateToken,
+  checkMunicipalityAccess,
+  loadExecution,
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { execution } = req;
+
+      res.json({
+        success: true,
+        execution: {
+          execution_id: execution.execution_id,
+          report_id: execution.report_id,
+          report_name: execution.report_name,
+          status: execution.status,
+          parameters: execution.parameters,
+          output_formats: execution.output_formats,
+          record_count: execution.record_count,
+          error: execution.error,
+          started_at: execution.started_at,
+          completed_at: execution.completed_at,
+          execution_time_ms: execution.execution_time_ms,
+          artifacts: execution.artifacts.map((artifact) => ({
+            format: artifact.format,
+            filename: artifact.filename,
+            mime_type: artifact.mime_type,
+            size: artifact.size,
+            url: `/api/municipalities/${municipalityId}/assessing-reports/executions/${execution.execution_id}/artifacts/${artifact.format}`,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching report execution:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch report execution',
+        error: error.message,
+      });
+    }
+  },
+);
+
+// @route   GET /api/municipalities/:municipalityId/assessing-reports/executions/:executionId/artifacts/:format
+// @desc    Download a rendered report artifact
+// @access  Private (municipality users who can access the report)
+router.get(
+  '/municipalities/:municipalityId/assessing-reports/executions/:executionId/artifacts/:format',
+  authenticateToken,
+  checkMunicipalityAccess,
+  loadExecution,
+  async (req, res) => {
+    try {
+      const { format } = req.params;
+      const { execution } = req;
+
+      if (execution.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: `Report execution is ${execution.status}`,
+        });
+      }
+
+      const artifact = execution.getArtifact(format);
+      if (!artifact) {
+        return res.status(404).json({
+          success: false,
+          message: `No ${format} output for this execution`,
+        });
+      }
+
+      const buffer = await reportRunnerService.downloadArtifact(artifact);
+
+      res.setHeader('Content-Type', artifact.mime_type);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${artifact.filename}"`,
+      );
+      res.send(buffer);
+    } catch (error) {
+      console.error('Error downloading report artifact:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download report artifact',
+        error: error.message,
+      });
+    }
+  },
+);
+
 // @route   GET /api/system/assessing-reports
 // @desc    Get all system reports (for seeding municipalities)
 // @access  Private (Admin only)
@@ -484,19 +670,13 @@ router.post(
       const { municipalityId } = req.params;
       const { parameters } = req.body;
 
-      const PropertyTreeNode = require('../models/PropertyTreeNode');
-      const BuildingAssessment = require('../models/BuildingAssessment');
-      const LandAssessment = require('../models/LandAssessment');
-      const ParcelAssessment = require('../models/ParcelAssessment');
       const Municipality = require('../models/Municipality');
-      const mongoose = require('mongoose');
 
-      const municipalityObjectId = new mongoose.Types.ObjectId(municipalityId);
       const assessmentYear =
-        parameters.assessment_year || new Date().getFullYear();
+        Number(parameters?.assessment_year) || new Date().getFullYear();
 
       // Get municipality information
-      const municipality = await Municipality.findById(municipalityObjectId);
+      const municipality = await Municipality.findById(municipalityId);
       if (!municipality) {
         return res.status(404).json({
           success: false,
@@ -508,504 +688,12 @@ router.post(
         `📋 Generating MS-1 report for ${municipality.name}, year ${assessmentYear}...`,
       );
 
-      // ===== LAND VALUATION AGGREGATION =====
-      // Join LandAssessment with PropertyTreeNode to get property_class
-      const landAggregation = await LandAssessment.aggregate([
-        {
-          $match: {
-            municipality_id: municipalityObjectId,
-            effective_year: assessmentYear,
-          },
-        },
-        {
-          $lookup: {
-            from: 'propertytreenodes',
-            localField: 'property_id',
-            foreignField: '_id',
-            as: 'property',
-          },
-        },
-        {
-          $unwind: {
-            path: '$property',
-            preserveNullAndEmptyArrays: true,
-          },
-        },
-        {
-          $group: {
-            _id: {
-              propertyClass: '$property.property_class',
-              isExempt: '$property.is_exempt',
-            },
-            totalAcres: { $sum: '$calculated_totals.totalAcreage' },
-            totalMarketValue: { $sum: '$market_value' },
-            totalTaxableValue: { $sum: '$taxable_value' },
-            totalCurrentUseCredit: { $sum: '$current_use_credit' },
-          },
-        },
-      ]);
-
-      console.log(
-        'Land aggregation results:',
-        JSON.stringify(landAggregation, null, 2),
-      );
-
-      // Map land types to MS-1 categories
-      const landData = {
-        currentUse: { acres: 0, value: 0 },
-        conservationRestriction: { acres: 0, value: 0 },
-        discretionaryEasements: { acres: 0, value: 0 },
-        discretionaryPreservation: { acres: 0, value: 0 },
-        farmStructures: { acres: 0, value: 0 },
-        residential: { acres: 0, value: 0 },
-        commercialIndustrial: { acres: 0, value: 0 },
-        taxableTotal: { acres: 0, value: 0 },
-        exempt: { acres: 0, value: 0 },
-        total: { acres: 0, value: 0 },
-      };
-
-      landAggregation.forEach((item) => {
-        const propertyClass =
-          item._id?.propertyClass?.toUpperCase() || 'UNKNOWN';
-        const isExempt = item._id?.isExempt || false;
-        const acres = item.totalAcres || 0;
-        const marketValue = item.totalMarketValue || 0;
-        const taxableValue = item.totalTaxableValue || 0;
-        const currentUseCredit = item.totalCurrentUseCredit || 0;
-
-        console.log(
-          `Processing: Class=${propertyClass}, Exempt=${isExempt}, Acres=${acres}, Value=${taxableValue}`,
-        );
-
-        // Current Use (RSA 79-A) - properties with current use credit
-        if (currentUseCredit > 0) {
-          landData.currentUse.acres += acres;
-          landData.currentUse.value += taxableValue;
-        }
-
-        // Exempt properties (1I)
-        if (isExempt) {
-          landData.exempt.acres += acres;
-          landData.exempt.value += marketValue;
-        } else {
-          // Taxable properties by class
-          if (propertyClass === 'R' || propertyClass === 'RESIDENTIAL') {
-            landData.residential.acres += acres;
-            landData.residential.value += taxableValue;
-            landData.taxableTotal.acres += acres;
-            landData.taxableTotal.value += taxableValue;
-          } else if (
-            propertyClass === 'C' ||
-            propertyClass === 'COMMERCIAL' ||
-            propertyClass === 'I' ||
-            propertyClass === 'INDUSTRIAL'
-          ) {
-            landData.commercialIndustrial.acres += acres;
-            landData.commercialIndustrial.value += taxableValue;
-            landData.taxableTotal.acres += acres;
-            landData.taxableTotal.value += taxableValue;
-          } else if (propertyClass !== 'U') {
-            // Other taxable classes (not utilities)
-            landData.taxableTotal.acres += acres;
-            landData.taxableTotal.value += taxableValue;
-          }
-        }
-
-        landData.total.acres += acres;
-        landData.total.value += marketValue;
-      });
-
-      console.log('Final land data:', JSON.stringify(landData, null, 2));
-
-      // ===== BUILDING VALUATION AGGREGATION =====
-      const buildingAggregation = await BuildingAssessment.aggregate([
-        {
-          $match: {
-            municipality_id: municipalityObjectId,
-            effective_year: assessmentYear,
-          },
-        },
-        {
-          $lookup: {
-            from: 'propertytreenodes',
-            localField: 'property_id',
-            foreignField: '_id',
-            as: 'property',
-          },
-        },
-        {
-          $unwind: {
-            path: '$property',
-            preserveNullAndEmptyArrays: true,
-          },
-        },
-        {
-          $group: {
-            _id: {
-              propertyClass: '$property.property_class',
-              isExempt: '$property.is_exempt',
-            },
-            totalValue: { $sum: '$assessed_value' },
-            count: { $sum: 1 },
-          },
-        },
-      ]);
-
-      console.log(
-        'Building aggregation results:',
-        JSON.stringify(buildingAggregation, null, 2),
+      const reportData = await ms1ReportService.generateReportData(
+        municipality,
+        assessmentYear,
+        { preparedBy: req.user.name || req.user.email },
       );
 
-      const buildingData = {
-        residential: 0,
-        manufacturedHousing: 0,
-        commercialIndustrial: 0,
-        taxableTotal: 0,
-        exempt: 0,
-        total: 0,
-      };
-
-      buildingAggregation.forEach((item) => {
-        const propertyClass =
-          item._id?.propertyClass?.toUpperCase() || 'UNKNOWN';
-        const isExempt = item._id?.isExempt || false;
-        const value = item.totalValue || 0;
-
-        console.log(
-          `Building: Class=${propertyClass}, Exempt=${isExempt}, Value=${value}`,
-        );
-
-        if (isExempt) {
-          buildingData.exempt += value;
-        } else {
-          if (propertyClass === 'R' || propertyClass === 'RESIDENTIAL') {
-            buildingData.residential += value;
-            buildingData.taxableTotal += value;
-          } else if (
-            propertyClass === 'C' ||
-            propertyClass === 'COMMERCIAL' ||
-            propertyClass === 'I' ||
-            propertyClass === 'INDUSTRIAL'
-          ) {
-            buildingData.commercialIndustrial += value;
-            buildingData.taxableTotal += value;
-          } else if (
-            propertyClass === 'M' ||
-            propertyClass === 'MANUFACTURED'
-          ) {
-            buildingData.manufacturedHousing += value;
-            buildingData.taxableTotal += value;
-          } else if (propertyClass !== 'U') {
-            // Other taxable classes (not utilities)
-            buildingData.taxableTotal += value;
-          }
-        }
-
-        buildingData.total += value;
-      });
-
-      console.log(
-        'Final building data:',
-        JSON.stringify(buildingData, null, 2),
-      );
-
-      // ===== UTILITIES VALUATION =====
-      // Get utilities (property_class = 'U')
-      const utilitiesAggregation = await ParcelAssessment.aggregate([
-        {
-          $match: {
-            municipality_id: municipalityObjectId,
-            assessment_year: assessmentYear,
-          },
-        },
-        {
-          $lookup: {
-            from: 'propertytreenodes',
-            localField: 'property_id',
-            foreignField: '_id',
-            as: 'property',
-          },
-        },
-        {
-          $unwind: {
-            path: '$property',
-            preserveNullAndEmptyArrays: true,
-          },
-        },
-        {
-          $match: {
-            'property.property_class': 'U',
-          },
-        },
-        {
-          $group: {
-            _id: '$property.owner_name',
-            totalValue: { $sum: '$total_assessed_value' },
-          },
-        },
-      ]);
-
-      console.log(
-        'Utilities aggregation results:',
-        JSON.stringify(utilitiesAggregation, null, 2),
-      );
-
-      const utilitiesData = {
-        electricCompanies: utilitiesAggregation.map((item) => ({
-          name: item._id || 'Unknown Utility',
-          value: item.totalValue || 0,
-        })),
-        total: utilitiesAggregation.reduce(
-          (sum, item) => sum + (item.totalValue || 0),
-          0,
-        ),
-      };
-
-      console.log(
-        'Final utilities data:',
-        JSON.stringify(utilitiesData, null, 2),
-      );
-
-      // ===== EXEMPTIONS AGGREGATION =====
-      const PropertyExemption = require('../models/PropertyExemption');
-      const ExemptionType = require('../models/ExemptionType');
-
-      const exemptionsAggregation = await PropertyExemption.aggregate([
-        {
-          $match: {
-            municipality_id: municipalityObjectId,
-            start_year: { $lte: assessmentYear },
-            $or: [
-              { end_year: { $exists: false } },
-              { end_year: null },
-              { end_year: { $gte: assessmentYear } },
-            ],
-          },
-        },
-        {
-          $lookup: {
-            from: 'exemptiontypes',
-            localField: 'exemption_type_id',
-            foreignField: '_id',
-            as: 'exemption_type',
-          },
-        },
-        {
-          $unwind: {
-            path: '$exemption_type',
-            preserveNullAndEmptyArrays: true,
-          },
-        },
-        {
-          $group: {
-            _id: '$exemption_type.category',
-            count: { $sum: 1 },
-            totalValue: { $sum: '$exemption_value' },
-          },
-        },
-      ]);
-
-      console.log(
-        'Exemptions aggregation results:',
-        JSON.stringify(exemptionsAggregation, null, 2),
-      );
-
-      const exemptionsData = {
-        blind: { count: 0, value: 0 },
-        elderly: { count: 0, value: 0 },
-        disabled: { count: 0, value: 0 },
-        woodHeating: { count: 0, value: 0 },
-        solarWind: { count: 0, value: 0 },
-        waterPollution: { count: 0, value: 0 },
-        airPollution: { count: 0, value: 0 },
-        total: 0,
-      };
-
-      exemptionsAggregation.forEach((item) => {
-        const category = item._id?.toLowerCase() || 'other';
-        const count = item.count || 0;
-        const value = item.totalValue || 0;
-
-        if (category === 'blind') {
-          exemptionsData.blind = { count, value };
-        } else if (category === 'elderly') {
-          exemptionsData.elderly = { count, value };
-        } else if (category === 'disabled') {
-          exemptionsData.disabled = { count, value };
-        } else if (category === 'solar') {
-          exemptionsData.solarWind.count += count;
-          exemptionsData.solarWind.value += value;
-        }
-
-        exemptionsData.total += value;
-      });
-
-      console.log(
-        'Final exemptions data:',
-        JSON.stringify(exemptionsData, null, 2),
-      );
-
-      // ===== VETERAN'S CREDITS =====
-      const veteransCreditsAggregation = await PropertyExemption.aggregate([
-        {
-          $match: {
-            municipality_id: municipalityObjectId,
-            start_year: { $lte: assessmentYear },
-            $or: [
-              { end_year: { $exists: false } },
-              { end_year: null },
-              { end_year: { $gte: assessmentYear } },
-            ],
-          },
-        },
-        {
-          $lookup: {
-            from: 'exemptiontypes',
-            localField: 'exemption_type_id',
-            foreignField: '_id',
-            as: 'exemption_type',
-          },
-        },
-        {
-          $unwind: {
-            path: '$exemption_type',
-            preserveNullAndEmptyArrays: true,
-          },
-        },
-        {
-          $match: {
-            'exemption_type.category': 'veteran',
-          },
-        },
-        {
-          $group: {
-            _id: '$exemption_type.subcategory',
-            count: { $sum: 1 },
-            totalAmount: { $sum: '$credit_value' },
-          },
-        },
-      ]);
-
-      console.log(
-        'Veterans credits aggregation results:',
-        JSON.stringify(veteransCreditsAggregation, null, 2),
-      );
-
-      const veteransCreditsData = {
-        standard: { count: 0, amount: 0 },
-        serviceConnectedDisability: { count: 0, amount: 0 },
-        allVeterans: { count: 0, amount: 0 },
-        total: { count: 0, amount: 0 },
-      };
-
-      veteransCreditsAggregation.forEach((item) => {
-        const subcategory = item._id?.toLowerCase() || 'standard';
-        const count = item.count || 0;
-        const amount = item.totalAmount || 0;
-
-        if (
-          subcategory.includes('service') ||
-          subcategory.includes('disability')
-        ) {
-          veteransCreditsData.serviceConnectedDisability.count += count;
-          veteransCreditsData.serviceConnectedDisability.amount += amount;
-        } else if (subcategory.includes('all')) {
-          veteransCreditsData.allVeterans.count += count;
-          veteransCreditsData.allVeterans.amount += amount;
-        } else {
-          veteransCreditsData.standard.count += count;
-          veteransCreditsData.standard.amount += amount;
-        }
-
-        veteransCreditsData.total.count += count;
-        veteransCreditsData.total.amount += amount;
-      });
-
-      console.log(
-        'Final veterans credits data:',
-        JSON.stringify(veteransCreditsData, null, 2),
-      );
-
-      // ===== CURRENT USE DETAILS =====
-      const currentUseProperties = await PropertyTreeNode.find({
-        municipality_id: municipalityObjectId,
-        'current_use.enrolled': true,
-      }).countDocuments();
-
-      const totalAcres = landData.total.acres;
-
-      const currentUseData = {
-        parcels: currentUseProperties,
-        acres: landData.currentUse.acres,
-        totalAcres: totalAcres,
-        removedAcres: 0, // Would need to track removals in change log
-        landUseChangeTax: 0, // Would need to track from tax collection
-      };
-
-      // ===== CONSERVATION RESTRICTION DETAILS =====
-      const conservationProperties = await PropertyTreeNode.find({
-        municipality_id: municipalityObjectId,
-        'conservation_restriction.exists': true,
-      }).countDocuments();
-
-      const conservationData = {
-        parcels: conservationProperties,
-        acres: landData.conservationRestriction.acres,
-        assessedValue: landData.conservationRestriction.value,
-      };
-
-      // ===== MUNICIPAL ADOPTION QUESTIONS =====
-      const municipalAdoptions = {
-        deafDisabledExemption:
-          municipality.adopted_exemptions?.includes('deaf_disabled') || false,
-        elderlyExemption:
-          municipality.adopted_exemptions?.includes('elderly') || false,
-        commercialConstructionExemption:
-          municipality.adopted_exemptions?.includes(
-            'commercial_construction',
-          ) || false,
-        communityRevitalizationIncentive:
-          municipality.adopted_incentives?.includes(
-            'community_revitalization',
-          ) || false,
-      };
-
-      // ===== DISCRETIONARY EASEMENTS & FARM STRUCTURES =====
-      const discretionaryEasements = {
-        adopted:
-          municipality.adopted_easements?.includes(
-            'discretionary_preservation',
-          ) || false,
-        count: 0,
-      };
-
-      const farmStructures = {
-        adopted:
-          municipality.adopted_exemptions?.includes('farm_structures') || false,
-      };
-
-      // ===== PILOT PAYMENTS =====
-      const pilotPayments = 0; // Would need to aggregate from tax collection
-
-      // ===== COMPILE REPORT DATA =====
-      const reportData = {
-        assessmentYear: assessmentYear,
-        assessor: municipality.assessor_name || 'Not Specified',
-        preparedBy: req.user.name || req.user.email,
-        preparedDate: new Date().toISOString().split('T')[0],
-        land: landData,
-        buildings: buildingData,
-        utilities: utilitiesData,
-        exemptions: exemptionsData,
-        veteransCredits: veteransCreditsData,
-        currentUse: currentUseData,
-        conservationRestriction: conservationData,
-        municipalAdoptions: municipalAdoptions,
-        discretionaryEasements: discretionaryEasements,
-        farmStructures: farmStructures,
-        pilotPayments: pilotPayments,
-      };
-
       console.log(
         `✓ MS-1 report generated successfully for ${municipality.name}`,
       );
@@ -1026,29 +714,52 @@ router.post(
 );
 
 // @route   POST /api/municipalities/:municipalityId/reports/ms1-summary-inventory/export
-// @desc    Export MS-1 report as PDF
+// @desc    Export MS-1 report as PDF, CSV or Excel
 // @access  Private
 router.post(
   '/municipalities/:municipalityId/reports/ms1-summary-inventory/export',
   authenticateToken,
   async (req, res) => {
     try {
-      const { data, format } = req.body;
+      const { municipalityId } = req.params;
+      const { parameters, data, format = 'pdf' } = req.body;
 
-      if (format !== 'pdf') {
+      if (!ms1ReportService.exportFormats.includes(format)) {
         return res.status(400).json({
           success: false,
-          message: 'Only PDF format is currently supported for MS-1 reports',
+          message: `Unsupported format '${format}'. Use one of: ${ms1ReportService.exportFormats.join(', ')}`,
         });
       }
 
-      // TODO: Implement PDF generation using a library like puppeteer or PDFKit
-      // For now, return a placeholder response
-      res.status(501).json({
-        success: false,
-        message:
-          'PDF export not yet implemented. Please use browser print function.',
-      });
+      const Municipality = require('../models/Municipality');
+      const municipality = await Municipality.findById(municipalityId);
+      if (!municipality) {
+        return res.status(404).json({
+          success: false,
+          message: 'Municipality not found',
+        });
+      }
+
+      // Figures are always re-aggregated server-side so the filed form
+      // matches the database, never client-supplied totals
+      const assessmentYear =
+        Number(parameters?.assessment_year || data?.assessmentYear) ||
+        new Date().getFullYear();
+
+      const { buffer, mimeType, filename } =
+        await ms1ReportService.exportReport(
+          municipality,
+          assessmentYear,
+          format,
+          { preparedBy: req.user.name || req.user.email },
+        );
+
+      res.setHeader('Content-Type', mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}"`,
+      );
+      res.send(buffer);
     } catch (error) {
       console.error('Error exporting MS-1 report:', error);
       res.status(500).json({
@@ -1,9 +1,16 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const User = require('../models/User');
 const Municipality = require('../models/Municipality');
 const Contractor = require('../models/Contractor');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  authenticateTwoFactorSetup,
+} = require('../middleware/auth');
+const emailService = require('../services/emailService');
+const templateService = require('../services/templateService');
+const totp = require('../utils/totp');
 
 const router = express.Router();
 
@@ -14,6 +21,75 @@ const generateToken = (userId) => {
   });
 };
 
+// Short-lived token for one step of the two-factor login flow.
+// authenticateToken rejects these, so they can't be used as a session.
+const generatePurposeToken = (userId, purpose, expiresIn) => {
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Check a TOTP code or recovery code. Needs the user loaded with
+// +two_factor_secret +two_factor_last_step +two_factor_recovery_codes.
+// Marks the code as used on the document; the caller saves.
+const verifySecondFactor = (user, { code, recovery_code }) => {
+  if (code) {
+    const step = totp.verifyToken(user.two_factor_secret, code);
+    // Reject a code that was already accepted (replay within its window)
+    if (step === null || step <= (user.two_factor_last_step ?? -1)) {
+      return false;
+    }
+    user.two_factor_last_step = step;
+    return true;
+  }
+
+  if (recovery_code) {
+    return user.useRecoveryCode(recovery_code);
+  }
+
+  return false;
+};
+
+// Link into the Ember app
+const clientUrl = (path, token) => {
+  const baseUrl = process.env.CLIENT_URL || 'http://localhost:4200';
+  return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+};
+
+// Send an account email (password reset, email verification) to a user.
+// Uses the user's default municipality template when one is customized.
+const sendAccountEmail = async (user, templateType, data, subject) => {
+  let municipalityId = null;
+  const defaultSlug = user.preferences?.default_municipality;
+  if (defaultSlug) {
+    const municipality = await Municipality.findOne({ slug: defaultSlug });
+    municipalityId = municipality?._id || null;
+  }
+
+  const emailContent = await templateService.renderEmailTemplate({
+    municipalityId,
+    templateType,
+    data: { firstName: user.first_name, email: user.email, ...data },
+    subject,
+  });
+
+  return emailService.sendEmail({
+    to: user.email,
+    subject: emailContent.subject,
+    html: emailContent.html,
+    text: emailContent.text,
+  });
+};
+
+const sendVerificationEmail = (user, token) =>
+  sendAccountEmail(
+    user,
+    'email_verification',
+    {
+      verificationUrl: clientUrl('/verify-email', token),
+      expiresInHours: 24,
+    },
+    'Verify Your Email Address',
+  );
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -71,11 +147,17 @@ router.post('/register', async (req, res) => {
     if (phone) userData.phone = phone;
 
     const user = new User(userData);
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
     // Update last login
     await user.updateLastLogin();
 
+    // Verification email failures should not block registration
+    sendVerificationEmail(user, verificationToken).catch((error) => {
+      console.error('Failed to send verification email:', error);
+    });
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -142,6 +224,64 @@ const getClientIp = (req) => {
   );
 };
 
+// Record the login session and respond with a session token
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Capture device information
+  const userAgent = req.headers['user-agent'] || '';
+  const { browser, operatingSystem } = parseUserAgent(userAgent);
+  const ipAddress = getClientIp(req);
+  const deviceName =
+    req.headers['x-device-name'] || req.headers['host'] || 'Unknown Device';
+
+  // Create new login session
+  user.loginSessions.push({
+    loginDate: new Date(),
+    ipAddress,
+    deviceName,
+    browser,
+    operatingSystem,
+    sessionActive: true,
+  });
+
+  // Update last login
+  await user.updateLastLogin();
+  await user.save();
+
+  // Generate token
+  const token = generateToken(user._id);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    user: {
+      id: user._id,
+      _id: user._id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      phone: user.phone,
+      global_role: user.global_role,
+      contractor_id: user.contractor_id,
+      municipal_permissions: user.municipal_permissions,
+      preferences: user.preferences,
+      last_login: user.last_login,
+      is_active: user.is_active,
+      two_factor_enabled: user.two_factor_enabled,
+      // Legacy compatibility
+      name: user.fullName,
+      fullName: user.fullName,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      userType: user.userType,
+      permissionLevel: user.permissionLevel,
+      isActive: user.is_active,
+      lastLogin: user.last_login,
+    },
+    ...extra,
+  });
+};
+
 // @route   POST /api/auth/login
 // @desc    Authenticate user and get token
 // @access  Public
@@ -183,60 +323,102 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Capture device information
-    const userAgent = req.headers['user-agent'] || '';
-    const { browser, operatingSystem } = parseUserAgent(userAgent);
-    const ipAddress = getClientIp(req);
-    const deviceName =
-      req.headers['x-device-name'] || req.headers['host'] || 'Unknown Device';
+    // Second step: enrolled users must enter a code from their authenticator
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: generatePurposeToken(user._id, '2fa_login', '5m'),
+        message: 'Enter the code from your authenticator app',
+      });
+    }
+
+    // Municipality policy: enrollment is required before signing in
+    if (await user.isTwoFactorRequired()) {
+      return res.json({
+        success: true,
+        two_factor_setup_required: true,
+        setup_token: generatePurposeToken(user._id, '2fa_setup', '15m'),
+        message:
+          'Your municipality requires two-factor authentication. Set it up to continue.',
+      });
+    }
 
-    // Create new login session
-    user.loginSessions.push({
-      loginDate: new Date(),
-      ipAddress,
-      deviceName,
-      browser,
-      operatingSystem,
-      sessionActive: true,
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
     });
+  }
+});
 
-    // Update last login
-    await user.updateLastLogin();
-    await user.save();
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with an authenticator code or recovery code
+// @access  Public (requires the challenge token from /login)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required',
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        _id: user._id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        phone: user.phone,
-        global_role: user.global_role,
-        contractor_id: user.contractor_id,
-        municipal_permissions: user.municipal_permissions,
-        preferences: user.preferences,
-        last_login: user.last_login,
-        is_active: user.is_active,
-        // Legacy compatibility
-        name: user.fullName,
-        fullName: user.fullName,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        userType: user.userType,
-        permissionLevel: user.permissionLevel,
-        isActive: user.is_active,
-        lastLogin: user.last_login,
-      },
-    });
+    let decoded = null;
+    try {
+      decoded = jwt.verify(challenge_token, process.env.JWT_SECRET);
+    } catch {
+      // Expired or tampered challenge - handled below
+    }
+
+    if (!decoded || decoded.purpose !== '2fa_login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Verification expired. Please sign in again.',
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      '+two_factor_secret +two_factor_last_step +two_factor_recovery_codes',
+    );
+    if (
+      !user ||
+      !user.is_active ||
+      !user.two_factor_enabled ||
+      user.changedPasswordAfter(decoded.iat)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Verification expired. Please sign in again.',
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message:
+          'Account is temporarily locked due to too many failed attempts. Reset your password or try again later.',
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recovery_code })) {
+      await user.incLoginAttempts();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    user.login_attempts = 0;
+    user.account_locked_until = undefined;
+
+    await completeLogin(req, res, user);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Login failed',
@@ -276,6 +458,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         preferences: user.preferences,
         last_login: user.last_login,
         is_active: user.is_active,
+        two_factor_enabled: user.two_factor_enabled,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
         // Legacy compatibility
@@ -413,6 +596,428 @@ router.get('/verify-token', authenticateToken, (req, res) => {
   });
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  // Same response whether or not the account exists
+  const genericResponse = {
+    success: true,
+    message:
+      'If an account exists for that email, a password reset link has been sent.',
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    const user = await User.findOne({
+      email: String(email).toLowerCase().trim(),
+    });
+    if (!user || !user.is_active) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendAccountEmail(
+        user,
+        'password_reset',
+        {
+          resetUrl: clientUrl('/reset-password', resetToken),
+          expiresInMinutes: 60,
+        },
+        'Reset Your Password',
+      );
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+      user.password_reset_token = undefined;
+      user.password_reset_expires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token (single use)
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required',
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long',
+      });
+    }
+
+    const user = await User.findOne({
+      password_reset_token: User.hashToken(token),
+      password_reset_expires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired',
+      });
+    }
+
+    user.password = password;
+    user.password_reset_token = undefined;
+    user.password_reset_expires = undefined;
+    // A reset also clears any lockout and ends existing sessions
+    user.login_attempts = 0;
+    user.account_locked_until = undefined;
+    user.loginSessions.forEach((session) => {
+      if (session.sessionActive) {
+        session.sessionActive = false;
+        session.logoutDate = new Date();
+      }
+    });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. You can now sign in.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required',
+      });
+    }
+
+    const user = await User.findOne({
+      email_verification_token: User.hashToken(token),
+      email_verification_expires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired',
+      });
+    }
+
+    user.is_email_verified = true;
+    user.email_verification_token = undefined;
+    user.email_verification_expires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email address',
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.is_email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified',
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Two-factor status for the current user
+// @access  Private (also accepts a 2FA setup token)
+router.get('/2fa/status', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      '+two_factor_recovery_codes',
+    );
+
+    res.json({
+      success: true,
+      enabled: !!user.two_factor_enabled,
+      enabled_at: user.two_factor_enabled_at,
+      required: await user.isTwoFactorRequired(),
+      recovery_codes_remaining: (user.two_factor_recovery_codes || []).filter(
+        (recoveryCode) => !recoveryCode.used_at,
+      ).length,
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve two-factor status',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: create a secret and its provisioning QR code
+// @access  Private (also accepts a 2FA setup token)
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    // Not active until confirmed with a code from the app
+    const secret = totp.generateSecret();
+    user.two_factor_pending_secret = secret;
+    await user.save();
+
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TOTP_ISSUER || 'Avitar',
+    });
+
+    res.json({
+      success: true,
+      secret,
+      otpauth_uri: otpauthUri,
+      qr_code: await QRCode.toDataURL(otpauthUri),
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private (also accepts a 2FA setup token)
+router.post('/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      '+two_factor_pending_secret',
+    );
+
+    if (!user.two_factor_pending_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const step = totp.verifyToken(user.two_factor_pending_secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    user.two_factor_secret = user.two_factor_pending_secret;
+    user.two_factor_pending_secret = undefined;
+    user.two_factor_enabled = true;
+    user.two_factor_enabled_at = new Date();
+    user.two_factor_last_step = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+
+    console.log(`🔐 Two-factor authentication enabled for ${user.email}`);
+
+    // Enrolling from the login screen finishes signing the user in
+    if (req.tokenPurpose === '2fa_setup') {
+      return await completeLogin(req, res, user, {
+        recovery_codes: recoveryCodes,
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      '+password +two_factor_secret +two_factor_last_step +two_factor_recovery_codes',
+    );
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (await user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message:
+          'Your municipality requires two-factor authentication for your account',
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recovery_code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    user.two_factor_enabled = false;
+    user.two_factor_enabled_at = undefined;
+    user.two_factor_secret = undefined;
+    user.two_factor_pending_secret = undefined;
+    user.two_factor_last_step = undefined;
+    user.two_factor_recovery_codes = [];
+    await user.save();
+
+    console.log(`🔓 Two-factor authentication disabled for ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      '+two_factor_secret +two_factor_last_step',
+    );
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes',
+    });
+  }
+});
+
 // @route   GET /api/auth/modules
 // @desc    Get user's available modules and navigation
 // @access  Private
@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Permit = require('../models/Permit');
+const Certificate = require('../models/Certificate');
+const { authenticateToken } = require('../middleware/auth');
+const certificateService = require('../services/certificateService');
+
+function isAvitarStaff(user) {
+  return (
+    user.global_role === 'avitar_staff' || user.global_role === 'avitar_admin'
+  );
+}
+
+function canManageCertificates(user, municipalityId, action) {
+  return (
+    isAvitarStaff(user) ||
+    (user.hasAccessToMunicipality(municipalityId) &&
+      user.hasModulePermission(municipalityId, 'building_permit', action))
+  );
+}
+
+function isPermitOwner(user, permit) {
+  const userId = user._id.toString();
+  return (
+    permit.submitted_by?.toString() === userId ||
+    permit.createdBy?.toString() === userId ||
+    (!!user.contractor_id &&
+      permit.contractor_id?.toString() === user.contractor_id.toString())
+  );
+}
+
+/**
+ * Middleware to check building permit module permission for certificates
+ */
+const checkCertificatePermission = (action) => {
+  return (req, res, next) => {
+    if (!canManageCertificates(req.user, req.params.municipalityId, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Insufficient permissions to ${action} certificates`,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Load the permit named in the route and make sure it belongs to the municipality
+ */
+const loadPermit = async (req, res, next) => {
+  const { municipalityId, permitId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(permitId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid permit ID',
+    });
+  }
+
+  const permit = await Permit.findById(permitId);
+  if (!permit || permit.municipalityId.toString() !== municipalityId) {
+    return res.status(404).json({
+      success: false,
+      message: 'Permit not found',
+    });
+  }
+
+  req.permit = permit;
+  next();
+};
+
+/**
+ * Load the certificate named in the route and make sure it belongs to the municipality
+ */
+const loadCertificate = async (req, res, next) => {
+  const { municipalityId, certificateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(certificateId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid certificate ID',
+    });
+  }
+
+  const certificate = await Certificate.findOne({
+    _id: certificateId,
+    municipalityId,
+  });
+  if (!certificate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Certificate not found',
+    });
+  }
+
+  req.certificate = certificate;
+  next();
+};
+
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+}
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/certificates
+ * @desc    Certificate registry (?search=&type=occupancy|temporary|completion&status=active|expired|superseded|revoked&limit=)
+ * @access  Private (municipal staff with permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/certificates',
+  authenticateToken,
+  checkCertificatePermission('read'),
+  async (req, res) => {
+    try {
+      const { search, type, status, limit } = req.query;
+      const certificates = await certificateService.search(
+        req.params.municipalityId,
+        { search, type, status, limit },
+      );
+
+      res.json({ success: true, certificates, total: certificates.length });
+    } catch (error) {
+      console.error('❌ Error searching certificates:', error);
+      sendServiceError(res, error, 'Failed to load certificates');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/properties/:propertyId/certificates
+ * @desc    All certificates issued for a property
+ * @access  Private (municipal staff with permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/properties/:propertyId/certificates',
+  authenticateToken,
+  checkCertificatePermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId, propertyId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid property ID',
+        });
+      }
+
+      const certificates = await certificateService.search(municipalityId, {
+        propertyId,
+        status: req.query.status,
+        limit: 500,
+      });
+
+      res.json({ success: true, propertyId, certificates });
+    } catch (error) {
+      console.error('❌ Error loading property certificates:', error);
+      sendServiceError(res, error, 'Failed to load certificates');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/permits/:permitId/certificates
+ * @desc    Certificates for a permit and whether a new one can be issued
+ * @access  Private (municipal staff or the permit applicant)
+ */
+router.get(
+  '/municipalities/:municipalityId/permits/:permitId/certificates',
+  authenticateToken,
+  loadPermit,
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const isStaff = canManageCertificates(req.user, municipalityId, 'read');
+
+      if (!isStaff && !isPermitOwner(req.user, req.permit)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this permit',
+        });
+      }
+
+      const [certificates, eligibility] = await Promise.all([
+        certificateService.search(municipalityId, {
+          permitId: req.permit._id,
+          limit: 500,
+        }),
+        certificateService.getEligibility(req.permit),
+      ]);
+
+      res.json({ success: true, certificates, eligibility });
+    } catch (error) {
+      console.error('❌ Error loading permit certificates:', error);
+      sendServiceError(res, error, 'Failed to load certificates');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/permits/:permitId/certificates
+ * @desc    Issue a certificate of occupancy or completion for a permit
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/permits/:permitId/certificates',
+  authenticateToken,
+  checkCertificatePermission('update'),
+  loadPermit,
+  async (req, res) => {
+    try {
+      const {
+        type,
+        isTemporary,
+        conditions,
+        expiresAt,
+        occupancyClassification,
+        notes,
+      } = req.body;
+
+      const certificate = await certificateService.issueCertificate(
+        req.permit,
+        req.user,
+        {
+          type,
+          isTemporary,
+          conditions,
+          expiresAt,
+          occupancyClassification,
+          notes,
+        },
+      );
+
+      res.status(201).json({ success: true, certificate });
+    } catch (error) {
+      console.error('❌ Error issuing certificate:', error);
+      sendServiceError(res, error, 'Failed to issue certificate');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/certificates/:certificateId/revoke
+ * @desc    Revoke an active certificate (requires a reason)
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/certificates/:certificateId/revoke',
+  authenticateToken,
+  checkCertificatePermission('update'),
+  loadCertificate,
+  async (req, res) => {
+    try {
+      const certificate = await certificateService.revokeCertificate(
+        req.certificate,
+        req.user,
+        req.body.reason,
+      );
+
+      res.json({ success: true, certificate });
+    } catch (error) {
+      console.error('❌ Error revoking certificate:', error);
+      sendServiceError(res, error, 'Failed to revoke certificate');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/certificates/:certificateId/pdf
+ * @desc    Download a certificate as PDF
+ * @access  Private (municipal staff or the permit applicant)
+ */
+router.get(
+  '/municipalities/:municipalityId/certificates/:certificateId/pdf',
+  authenticateToken,
+  loadCertificate,
+  async (req, res) => {
+    try {
+      if (!canManageCertificates(req.user, req.params.municipalityId, 'read')) {
+        const permit = await Permit.findById(req.certificate.permitId).select(
+          'submitted_by createdBy contractor_id',
+        );
+        if (!permit || !isPermitOwner(req.user, permit)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to view this certificate',
+          });
+        }
+      }
+
+      const pdf = await certificateService.renderPdf(req.certificate);
+
+      res.setHeader('Content-Type', pdf.mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${pdf.filename}"`,
+      );
+      res.send(pdf.buffer);
+    } catch (error) {
+      console.error('❌ Error generating certificate PDF:', error);
+      sendServiceError(res, error, 'Failed to generate certificate');
+    }
+  },
+);
+
+module.exports = router;
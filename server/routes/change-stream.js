@@ -1,5 +1,14 @@
 const express = require('express');
 const { MongoClient } = require('mongodb');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  isAvitarStaff,
+  resolveCollections,
+  buildScope,
+  buildScopeMatch,
+  isChangeInScope,
+  redactChange,
+} = require('../utils/changeStreamScope');
 const router = express.Router();
 
 /**
@@ -43,14 +52,51 @@ async function initializeChangeStreams(mongoUrl, dbName) {
   }
 }
 
+/**
+ * Restrict a route to Avitar staff
+ */
+function requireAvitarStaff(req, res, next) {
+  if (!isAvitarStaff(req.user)) {
+    res.status(403).json({ error: 'Avitar staff access required' });
+    return;
+  }
+  next();
+}
+
 /**
  * SSE Change Stream endpoint
+ * EventSource cannot send headers, so clients pass their JWT as ?token=.
+ * Events are limited to municipalities and modules the user can read, and
+ * optionally to a single municipality via ?municipalityId=.
  */
-router.get('/change-stream', async (req, res) => {
-  const connectionId = ++connectionCounter;
-  const userId = req.headers['x-user-id'] || 'anonymous';
+router.get('/change-stream', authenticateToken, async (req, res) => {
+  const userId = req.user._id.toString();
   const resumeToken = req.query.resumeToken;
-  const collections = (req.query.collections || '').split(',').filter(Boolean);
+  const municipalityId = req.query.municipalityId || null;
+  const { collections, unknown } = resolveCollections(
+    (req.query.collections || '').split(',').filter(Boolean),
+  );
+
+  if (unknown.length > 0) {
+    res
+      .status(400)
+      .json({ error: `Unknown collections: ${unknown.join(', ')}` });
+    return;
+  }
+
+  if (municipalityId && !/^[a-f\d]{24}$/i.test(municipalityId)) {
+    res.status(400).json({ error: 'Invalid municipalityId' });
+    return;
+  }
+
+  const scope = buildScope(req.user, collections, municipalityId);
+
+  if (Object.keys(scope).length === 0) {
+    res.status(403).json({ error: 'No access to the requested collections' });
+    return;
+  }
+
+  const connectionId = ++connectionCounter;
 
   console.log(
     `📡 New change stream connection ${connectionId} for user ${userId}`,
@@ -79,13 +125,12 @@ router.get('/change-stream', async (req, res) => {
   const connectionInfo = {
     id: connectionId,
     userId,
+    user: req.user,
     response: res,
     startTime: new Date(),
     lastActivity: new Date(),
-    collections:
-      collections.length > 0
-        ? collections
-        : ['properties', 'assessments', 'views', 'sketches'],
+    collections: Object.keys(scope),
+    scope,
   };
 
   activeConnections.set(connectionId, connectionInfo);
@@ -135,7 +180,7 @@ router.get('/change-stream', async (req, res) => {
 
       activeConnections.delete(connectionId);
 
-      if (!res.headersSent) {
+      if (!res.writableEnded) {
         res.end();
       }
 
@@ -150,6 +195,7 @@ router.get('/change-stream', async (req, res) => {
     sendEvent(connectionInfo, 'connected', {
       connectionId,
       collections: connectionInfo.collections,
+      municipalityId,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -167,18 +213,10 @@ router.get('/change-stream', async (req, res) => {
  * Create MongoDB change stream with appropriate filters
  */
 async function createChangeStream(connectionInfo, resumeToken) {
-  const { collections } = connectionInfo;
-
-  // Create pipeline to filter for specific collections
-  const pipeline = [
-    {
-      $match: {
-        'ns.db': db.databaseName,
-        'ns.coll': { $in: collections },
-        operationType: { $in: ['insert', 'update', 'delete', 'replace'] },
-      },
-    },
-  ];
+  const { collections, scope } = connectionInfo;
+
+  // Filter to the connection's collections and municipalities server-side
+  const pipeline = [buildScopeMatch(db.databaseName, scope)];
 
   // Change stream options
   const options = {
@@ -216,9 +254,14 @@ async function createChangeStream(connectionInfo, resumeToken) {
 
 /**
  * Handle change stream events
+ * @returns {boolean} - Whether the event was sent to the connection
  */
 function handleChangeEvent(connectionInfo, change) {
   try {
+    if (!isChangeInScope(connectionInfo.scope, change)) {
+      return false;
+    }
+
     connectionInfo.lastActivity = new Date();
 
     // Create a clean change event for the client
@@ -234,19 +277,25 @@ function handleChangeEvent(connectionInfo, change) {
       resumeToken: Buffer.from(JSON.stringify(change._id)).toString('base64'),
     };
 
-    // Send to client
-    sendEvent(connectionInfo, 'change', clientChange);
+    // Send to client, without fields this user may not see
+    sendEvent(
+      connectionInfo,
+      'change',
+      redactChange(connectionInfo.user, clientChange),
+    );
 
     console.log(`📨 Sent change event to connection ${connectionInfo.id}:`, {
       type: change.operationType,
       collection: change.ns?.coll,
       documentId: change.documentKey?._id,
     });
+    return true;
   } catch (error) {
     console.error(
       `Error handling change event for connection ${connectionInfo.id}:`,
       error,
     );
+    return false;
   }
 }
 
@@ -294,7 +343,7 @@ function sendError(connectionInfo, error) {
 function sendEvent(connectionInfo, eventType, data) {
   try {
     if (
-      connectionInfo.response.headersSent ||
+      connectionInfo.response.writableEnded ||
       connectionInfo.response.destroyed
     ) {
       return;
@@ -313,66 +362,76 @@ function sendEvent(connectionInfo, eventType, data) {
 /**
  * Get connection statistics
  */
-router.get('/change-stream/stats', (req, res) => {
-  const stats = {
-    activeConnections: activeConnections.size,
-    connectionsByUser: {},
-    totalConnectionTime: 0,
-    oldestConnection: null,
-  };
-
-  for (const [id, conn] of activeConnections.entries()) {
-    // Group by user
-    if (!stats.connectionsByUser[conn.userId]) {
-      stats.connectionsByUser[conn.userId] = 0;
-    }
-    stats.connectionsByUser[conn.userId]++;
-
-    // Calculate connection time
-    const connectionTime = Date.now() - conn.startTime.getTime();
-    stats.totalConnectionTime += connectionTime;
+router.get(
+  '/change-stream/stats',
+  authenticateToken,
+  requireAvitarStaff,
+  (req, res) => {
+    const stats = {
+      activeConnections: activeConnections.size,
+      connectionsByUser: {},
+      totalConnectionTime: 0,
+      oldestConnection: null,
+    };
 
-    // Find oldest connection
-    if (
-      !stats.oldestConnection ||
-      conn.startTime < stats.oldestConnection.startTime
-    ) {
-      stats.oldestConnection = {
-        id: conn.id,
-        userId: conn.userId,
-        startTime: conn.startTime,
-        connectionTime,
-      };
+    for (const [id, conn] of activeConnections.entries()) {
+      // Group by user
+      if (!stats.connectionsByUser[conn.userId]) {
+        stats.connectionsByUser[conn.userId] = 0;
+      }
+      stats.connectionsByUser[conn.userId]++;
+
+      // Calculate connection time
+      const connectionTime = Date.now() - conn.startTime.getTime();
+      stats.totalConnectionTime += connectionTime;
+
+      // Find oldest connection
+      if (
+        !stats.oldestConnection ||
+        conn.startTime < stats.oldestConnection.startTime
+      ) {
+        stats.oldestConnection = {
+          id: conn.id,
+          userId: conn.userId,
+          startTime: conn.startTime,
+          connectionTime,
+        };
+      }
     }
-  }
 
-  res.json(stats);
-});
+    res.json(stats);
+  },
+);
 
 /**
  * Terminate specific connection
  */
-router.delete('/change-stream/connections/:connectionId', (req, res) => {
-  const connectionId = parseInt(req.params.connectionId);
-  const connection = activeConnections.get(connectionId);
-
-  if (!connection) {
-    res.status(404).json({ error: 'Connection not found' });
-    return;
-  }
+router.delete(
+  '/change-stream/connections/:connectionId',
+  authenticateToken,
+  requireAvitarStaff,
+  (req, res) => {
+    const connectionId = parseInt(req.params.connectionId);
+    const connection = activeConnections.get(connectionId);
+
+    if (!connection) {
+      res.status(404).json({ error: 'Connection not found' });
+      return;
+    }
 
-  // Send termination event
-  sendEvent(connection, 'terminated', {
-    reason: 'Admin termination',
-    timestamp: new Date().toISOString(),
-  });
+    // Send termination event
+    sendEvent(connection, 'terminated', {
+      reason: 'Admin termination',
+      timestamp: new Date().toISOString(),
+    });
 
-  // Close connection
-  connection.response.end();
-  activeConnections.delete(connectionId);
+    // Close connection
+    connection.response.end();
+    activeConnections.delete(connectionId);
 
-  res.json({ message: 'Connection terminated', connectionId });
-});
+    res.json({ message: 'Connection terminated', connectionId });
+  },
+);
 
 /**
  * Health check endpoint
@@ -405,39 +464,46 @@ router.get('/change-stream/health', async (req, res) => {
 
 /**
  * Manual change injection (for testing)
+ * Injected events go through the same per-connection scope and redaction.
  */
-router.post('/change-stream/inject', async (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    res.status(403).json({ error: 'Not available in production' });
-    return;
-  }
+router.post(
+  '/change-stream/inject',
+  authenticateToken,
+  requireAvitarStaff,
+  async (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+      res.status(403).json({ error: 'Not available in production' });
+      return;
+    }
 
-  const { collection, operationType, documentKey, fullDocument } = req.body;
-
-  const fakeChange = {
-    _id: { _data: Buffer.from(Date.now().toString()).toString('base64') },
-    operationType,
-    clusterTime: new Date(),
-    ns: { db: db.databaseName, coll: collection },
-    documentKey,
-    fullDocument,
-    resumeToken: Buffer.from(
-      JSON.stringify({ _data: Date.now().toString() }),
-    ).toString('base64'),
-  };
+    const { collection, operationType, documentKey, fullDocument } = req.body;
+
+    const fakeChange = {
+      _id: { _data: Buffer.from(Date.now().toString()).toString('base64') },
+      operationType,
+      clusterTime: new Date(),
+      ns: { db: db.databaseName, coll: collection },
+      documentKey,
+      fullDocument,
+      resumeToken: Buffer.from(
+        JSON.stringify({ _data: Date.now().toString() }),
+      ).toString('base64'),
+    };
 
-  // Send to all active connections watching this collection
-  for (const [id, conn] of activeConnections.entries()) {
-    if (conn.collections.includes(collection)) {
-      handleChangeEvent(conn, fakeChange);
+    // Send to every connection whose scope covers this change
+    let affectedConnections = 0;
+    for (const conn of activeConnections.values()) {
+      if (handleChangeEvent(conn, fakeChange)) {
+        affectedConnections++;
+      }
     }
-  }
 
-  res.json({
-    message: 'Change injected',
-    affectedConnections: activeConnections.size,
-  });
-});
+    res.json({
+      message: 'Change injected',
+      affectedConnections,
+    });
+  },
+);
 
 /**
  * Graceful shutdown
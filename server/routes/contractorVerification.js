@@ -4,6 +4,7 @@ const ContractorVerification = require('../models/ContractorVerification');
 const Contractor = require('../models/Contractor');
 const File = require('../models/File');
 const { authenticateToken } = require('../middleware/auth');
+const contractorCredentialService = require('../services/contractorCredentialService');
 
 // Get contractor's verification status
 router.get('/my-verification', authenticateToken, async (req, res) => {
@@ -75,13 +76,23 @@ router.post('/my-verification', authenticateToken, async (req, res) => {
     });
 
     if (verification) {
-      // Can only update if in draft or rejected status
-      if (!['draft', 'rejected'].includes(verification.status)) {
+      // Can only update if in draft or rejected status, or when uploading a
+      // renewed license or insurance certificate after approval
+      if (
+        !['draft', 'rejected', 'approved', 'expired'].includes(
+          verification.status,
+        )
+      ) {
         return res.status(400).json({
           error: `Cannot update verification in ${verification.status} status`,
         });
       }
 
+      // Renewals go back through review before they count
+      if (['approved', 'expired'].includes(verification.status)) {
+        verification.status = 'draft';
+      }
+
       // Update fields
       if (licenses) verification.licenses = licenses;
       if (drivers_license) verification.drivers_license = drivers_license;
@@ -285,13 +296,25 @@ router.post(
 
       await verification.approve(user._id, notes);
 
+      // Verified renewals update the contractor and lift credential suspensions
+      const { reinstated } =
+        await contractorCredentialService.applyVerifiedCredentials(
+          verification,
+        );
+
       await verification.populate([
         { path: 'contractor_id', select: 'company_name business_type' },
         { path: 'user_id', select: 'first_name last_name email' },
         { path: 'reviewed_by', select: 'first_name last_name' },
       ]);
 
-      res.json({ verification, message: 'Verification approved successfully' });
+      res.json({
+        verification,
+        reinstated,
+        message: reinstated
+          ? `Verification approved; ${reinstated} municipality approval(s) reinstated`
+          : 'Verification approved successfully',
+      });
     } catch (error) {
       console.error('Error approving verification:', error);
       res.status(500).json({ error: 'Failed to approve verification' });
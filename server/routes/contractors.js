@@ -4,6 +4,7 @@ const Contractor = require('../models/Contractor');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
 const stripeService = require('../services/stripeService');
+const contractorReviewService = require('../services/contractorReviewService');
 
 /**
  * Middleware to check if user is contractor owner or has manage_team permission
@@ -109,7 +110,7 @@ router.get('/search', authenticateToken, async (req, res) => {
     let contractors = await Contractor.find(query)
       .populate('owner_user_id', 'first_name last_name email phone')
       .select(
-        'company_name license_number license_state license_expiration specialties business_info is_verified municipality_approvals',
+        'company_name license_number license_state license_expiration specialties business_info is_verified municipality_approvals average_rating total_reviews',
       )
       .sort({ company_name: 1 })
       .limit(100);
@@ -135,6 +136,15 @@ router.get('/search', authenticateToken, async (req, res) => {
       );
     }
 
+    // Inspection history in this municipality for comparing contractors
+    const metrics = await contractorReviewService.getInspectionMetrics(
+      contractors.map((c) => c._id),
+      municipalityId,
+    );
+    contractors.forEach((c) => {
+      c.inspection_metrics = metrics.get(c._id.toString());
+    });
+
     res.json({ contractors });
   } catch (error) {
     console.error('Error searching contractors:', error);
@@ -547,6 +557,75 @@ router.get(
   },
 );
 
+/**
+ * GET /contractors/:contractorId/profile
+ * Rating, inspection metrics and recent reviews. Municipal staff can view
+ * contractors approved in their municipality (pass municipalityId).
+ */
+router.get('/:contractorId/profile', authenticateToken, async (req, res) => {
+  try {
+    const { contractorId } = req.params;
+    const { municipalityId } = req.query;
+
+    const contractor = await Contractor.findById(contractorId).select(
+      'company_name license_number license_state license_expiration license_type specialties is_verified municipality_approvals average_rating total_reviews owner_user_id members',
+    );
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+
+    const isAvitarStaff =
+      req.user.global_role === 'avitar_staff' ||
+      req.user.global_role === 'avitar_admin';
+    const isTeam =
+      contractor.isMember(req.user._id) || contractor.isOwner(req.user._id);
+    const isMunicipalStaff =
+      Boolean(municipalityId) &&
+      req.user.global_role === 'municipal_user' &&
+      req.user.hasAccessToMunicipality(municipalityId) &&
+      contractor.municipality_approvals.some(
+        (a) => a.municipality_id.toString() === municipalityId,
+      );
+
+    if (!isAvitarStaff && !isTeam && !isMunicipalStaff) {
+      return res
+        .status(403)
+        .json({ error: 'You do not have access to this contractor' });
+    }
+
+    const [metrics, reviews] = await Promise.all([
+      contractorReviewService.getInspectionMetrics(
+        [contractor._id],
+        municipalityId,
+      ),
+      contractorReviewService.listReviews(contractor._id, {
+        municipalityId,
+        limit: req.query.limit,
+      }),
+    ]);
+
+    res.json({
+      contractor: {
+        _id: contractor._id,
+        company_name: contractor.company_name,
+        license_number: contractor.license_number,
+        license_state: contractor.license_state,
+        license_expiration: contractor.license_expiration,
+        license_type: contractor.license_type,
+        specialties: contractor.specialties,
+        is_verified: contractor.is_verified,
+        average_rating: contractor.average_rating,
+        total_reviews: contractor.total_reviews,
+      },
+      inspection_metrics: metrics.get(contractor._id.toString()),
+      reviews,
+    });
+  } catch (error) {
+    console.error('Error fetching contractor profile:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /**
  * PUT /contractors/:contractorId
  * Update contractor information
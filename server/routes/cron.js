@@ -0,0 +1,81 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const permitSlaService = require('../services/permitSlaService');
+const contractorCredentialService = require('../services/contractorCredentialService');
+
+/**
+ * Scheduled Job Endpoints
+ *
+ * On a long-running server the jobs are scheduled in-process by node-cron
+ * (see app.js). Serverless deployments have no process to schedule them in,
+ * so Vercel Cron calls these endpoints instead (crons in vercel.json).
+ *
+ * Vercel sends `Authorization: Bearer <CRON_SECRET>`; any other scheduler
+ * can call them the same way.
+ */
+
+/**
+ * Middleware to check the cron secret
+ */
+const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: 'CRON_SECRET is not configured',
+    });
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid cron secret',
+    });
+  }
+
+  next();
+};
+
+/**
+ * @route   GET /api/cron/permit-sla
+ * @desc    Recalculate permit review deadlines and send SLA warnings
+ * @access  Cron (CRON_SECRET)
+ */
+router.get('/permit-sla', verifyCronSecret, async (req, res) => {
+  try {
+    const summary = await permitSlaService.run();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('❌ Permit SLA monitor failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Permit SLA monitor failed',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cron/contractor-credentials
+ * @desc    Warn about and suspend expiring contractor licenses and insurance
+ * @access  Cron (CRON_SECRET)
+ */
+router.get('/contractor-credentials', verifyCronSecret, async (req, res) => {
+  try {
+    const summary = await contractorCredentialService.run();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('❌ Contractor credential monitor failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Contractor credential monitor failed',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Permit = require('../models/Permit');
+const DocumentAnnotation = require('../models/DocumentAnnotation');
+const { authenticateToken } = require('../middleware/auth');
+const documentAnnotationService = require('../services/documentAnnotationService');
+
+function canReviewDocuments(user, municipalityId, action) {
+  return (
+    user.global_role === 'avitar_staff' ||
+    user.global_role === 'avitar_admin' ||
+    (user.hasAccessToMunicipality(municipalityId) &&
+      user.hasModulePermission(municipalityId, 'building_permit', action))
+  );
+}
+
+function isPermitOwner(user, permit) {
+  const userId = user._id.toString();
+  return (
+    permit.submitted_by?.toString() === userId ||
+    permit.createdBy?.toString() === userId ||
+    (!!user.contractor_id &&
+      permit.contractor_id?.toString() === user.contractor_id.toString())
+  );
+}
+
+/**
+ * Middleware to check building permit module permission for markup changes
+ */
+const checkMarkupPermission = (req, res, next) => {
+  if (!canReviewDocuments(req.user, req.params.municipalityId, 'update')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions to mark up permit documents',
+    });
+  }
+  next();
+};
+
+/**
+ * Load the permit named in the route and make sure it belongs to the municipality
+ */
+const loadPermit = async (req, res, next) => {
+  const { municipalityId, permitId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(permitId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid permit ID',
+    });
+  }
+
+  const permit = await Permit.findById(permitId);
+  if (!permit || permit.municipalityId.toString() !== municipalityId) {
+    return res.status(404).json({
+      success: false,
+      message: 'Permit not found',
+    });
+  }
+
+  req.permit = permit;
+  next();
+};
+
+/**
+ * Load the markup named in the route and make sure it belongs to the municipality
+ */
+const loadAnnotation = async (req, res, next) => {
+  const { municipalityId, annotationId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(annotationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid markup ID',
+    });
+  }
+
+  const annotation = await DocumentAnnotation.findOne({
+    _id: annotationId,
+    municipalityId,
+    isActive: true,
+  });
+  if (!annotation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Markup not found',
+    });
+  }
+
+  req.annotation = annotation;
+  next();
+};
+
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+}
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/permits/:permitId/annotations
+ * @desc    Document markups on a permit (?documentId=|fileId=&status=open|resolved)
+ * @access  Private (municipal staff, or the permit applicant for shared markups)
+ */
+router.get(
+  '/municipalities/:municipalityId/permits/:permitId/annotations',
+  authenticateToken,
+  loadPermit,
+  async (req, res) => {
+    try {
+      const isStaff = canReviewDocuments(
+        req.user,
+        req.params.municipalityId,
+        'read',
+      );
+
+      if (!isStaff && !isPermitOwner(req.user, req.permit)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this permit',
+        });
+      }
+
+      const { documentId, fileId, status } = req.query;
+      const { document, annotations } = await documentAnnotationService.list(
+        req.permit,
+        { documentId, fileId, status, includeInternal: isStaff },
+      );
+
+      res.json({ success: true, document, annotations });
+    } catch (error) {
+      console.error('❌ Error loading document markups:', error);
+      sendServiceError(res, error, 'Failed to load markups');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/permits/:permitId/annotations
+ * @desc    Place a cloud, arrow, text or measurement markup on a document page
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/permits/:permitId/annotations',
+  authenticateToken,
+  checkMarkupPermission,
+  loadPermit,
+  async (req, res) => {
+    try {
+      const annotation = await documentAnnotationService.create(
+        req.permit,
+        req.user,
+        req.body,
+      );
+
+      res.status(201).json({ success: true, annotation });
+    } catch (error) {
+      console.error('❌ Error creating document markup:', error);
+      sendServiceError(res, error, 'Failed to save markup');
+    }
+  },
+);
+
+/**
+ * @route   PUT /api/municipalities/:municipalityId/annotations/:annotationId
+ * @desc    Move or reword an open markup
+ * @access  Private (the markup's author)
+ */
+router.put(
+  '/municipalities/:municipalityId/annotations/:annotationId',
+  authenticateToken,
+  checkMarkupPermission,
+  loadAnnotation,
+  async (req, res) => {
+    try {
+      const annotation = await documentAnnotationService.update(
+        req.annotation,
+        req.user,
+        req.body,
+      );
+
+      res.json({ success: true, annotation });
+    } catch (error) {
+      console.error('❌ Error updating document markup:', error);
+      sendServiceError(res, error, 'Failed to update markup');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/annotations/:annotationId/resolve
+ * @desc    Mark a markup as addressed (optional note)
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/annotations/:annotationId/resolve',
+  authenticateToken,
+  checkMarkupPermission,
+  loadAnnotation,
+  async (req, res) => {
+    try {
+      const annotation = await documentAnnotationService.resolve(
+        req.annotation,
+        req.user,
+        req.body.note,
+      );
+
+      res.json({ success: true, annotation });
+    } catch (error) {
+      console.error('❌ Error resolving document markup:', error);
+      sendServiceError(res, error, 'Failed to resolve markup');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/annotations/:annotationId/reopen
+ * @desc    Reopen a resolved markup
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/annotations/:annotationId/reopen',
+  authenticateToken,
+  checkMarkupPermission,
+  loadAnnotation,
+  async (req, res) => {
+    try {
+      const annotation = await documentAnnotationService.reopen(req.annotation);
+
+      res.json({ success: true, annotation });
+    } catch (error) {
+      console.error('❌ Error reopening document markup:', error);
+      sendServiceError(res, error, 'Failed to reopen markup');
+    }
+  },
+);
+
+/**
+ * @route   DELETE /api/municipalities/:municipalityId/annotations/:annotationId
+ * @desc    Delete a markup
+ * @access  Private (the markup's author)
+ */
+router.delete(
+  '/municipalities/:municipalityId/annotations/:annotationId',
+  authenticateToken,
+  checkMarkupPermission,
+  loadAnnotation,
+  async (req, res) => {
+    try {
+      await documentAnnotationService.remove(req.annotation, req.user);
+
+      res.json({ success: true, message: 'Markup deleted' });
+    } catch (error) {
+      console.error('❌ Error deleting document markup:', error);
+      sendServiceError(res, error, 'Failed to delete markup');
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ExemptionApplication = require('../models/ExemptionApplication');
+const { authenticateToken } = require('../middleware/auth');
+const { requireModuleAccess } = require('../middleware/moduleAuth');
+const exemptionEligibilityService = require('../services/exemptionEligibilityService');
+
+/**
+ * Check an assessing module permission. Taking applications needs update;
+ * granting or denying an exemption changes a tax bill, so it needs approve.
+ */
+function requireAssessingPermission(action) {
+  return (req, res, next) => {
+    if (
+      !req.user.hasModulePermission(
+        req.params.municipalityId,
+        'assessing',
+        action,
+      )
+    ) {
+      return res.status(403).json({
+        error: `Insufficient permissions to ${action} exemption applications`,
+      });
+    }
+    next();
+  };
+}
+
+async function loadApplication(req, res, next) {
+  const { municipalityId, applicationId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+    return res.status(400).json({ error: 'Invalid application ID' });
+  }
+
+  const application = await ExemptionApplication.findOne({
+    _id: applicationId,
+    municipality_id: municipalityId,
+  });
+  if (!application) {
+    return res.status(404).json({ error: 'Exemption application not found' });
+  }
+
+  req.application = application;
+  next();
+}
+
+function sendError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: message });
+}
+
+// GET /api/municipalities/:municipalityId/exemption-applications - List applications (?tax_year=&status=&property_id=&exemption_category=)
+router.get(
+  '/municipalities/:municipalityId/exemption-applications',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { tax_year, status, property_id, exemption_category } = req.query;
+
+      const query = { municipality_id: municipalityId };
+      if (tax_year) query.tax_year = parseInt(tax_year);
+      if (status) query.status = status;
+      if (property_id) query.property_id = property_id;
+      if (exemption_category) query.exemption_category = exemption_category;
+
+      const applications = await ExemptionApplication.find(query)
+        .populate('decided_by', 'first_name last_name')
+        .sort({ tax_year: -1, created_at: -1 })
+        .limit(500);
+
+      res.json({ applications });
+    } catch (error) {
+      console.error('Error fetching exemption applications:', error);
+      sendError(res, error, 'Failed to fetch exemption applications');
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/exemption-applications/evaluate - Evaluate application data without saving it
+router.post(
+  '/municipalities/:municipalityId/exemption-applications/evaluate',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  async (req, res) => {
+    try {
+      const evaluation = await exemptionEligibilityService.preview(
+        req.params.municipalityId,
+        req.body,
+      );
+
+      res.json({ evaluation });
+    } catch (error) {
+      console.error('Error evaluating exemption application:', error);
+      sendError(res, error, 'Failed to evaluate exemption application');
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/properties/:propertyId/exemption-applications - Record and evaluate an application
+router.post(
+  '/municipalities/:municipalityId/properties/:propertyId/exemption-applications',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  requireAssessingPermission('update'),
+  async (req, res) => {
+    try {
+      const { municipalityId, propertyId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({ error: 'Invalid property ID' });
+      }
+
+      const application = await exemptionEligibilityService.createApplication(
+        municipalityId,
+        propertyId,
+        req.body,
+        req.user,
+      );
+
+      res.status(201).json({ success: true, application });
+    } catch (error) {
+      console.error('Error creating exemption application:', error);
+      sendError(res, error, 'Failed to create exemption application');
+    }
+  },
+);
+
+// PUT /api/municipalities/:municipalityId/exemption-applications/:applicationId - Update and re-evaluate a pending application
+router.put(
+  '/municipalities/:municipalityId/exemption-applications/:applicationId',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  requireAssessingPermission('update'),
+  loadApplication,
+  async (req, res) => {
+    try {
+      const application = await exemptionEligibilityService.updateApplication(
+        req.application,
+        req.body,
+      );
+
+      res.json({ success: true, application });
+    } catch (error) {
+      console.error('Error updating exemption application:', error);
+      sendError(res, error, 'Failed to update exemption application');
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/exemption-applications/:applicationId/approve - Approve and create the property exemption
+router.post(
+  '/municipalities/:municipalityId/exemption-applications/:applicationId/approve',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  requireAssessingPermission('approve'),
+  loadApplication,
+  async (req, res) => {
+    try {
+      const { application, exemption } =
+        await exemptionEligibilityService.approveApplication(
+          req.application,
+          req.user,
+          { notes: req.body.notes },
+        );
+
+      res.json({ success: true, application, exemption });
+    } catch (error) {
+      console.error('Error approving exemption application:', error);
+      sendError(res, error, 'Failed to approve exemption application');
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/exemption-applications/:applicationId/deny - Deny an application
+router.post(
+  '/municipalities/:municipalityId/exemption-applications/:applicationId/deny',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  requireAssessingPermission('approve'),
+  loadApplication,
+  async (req, res) => {
+    try {
+      const application = await exemptionEligibilityService.denyApplication(
+        req.application,
+        req.user,
+        { notes: req.body.notes },
+      );
+
+      res.json({ success: true, application });
+    } catch (error) {
+      console.error('Error denying exemption application:', error);
+      sendError(res, error, 'Failed to deny exemption application');
+    }
+  },
+);
+
+// GET /api/municipalities/:municipalityId/exemption-requalifications?tax_year= - Exemptions that lapse or must be re-filed for a tax year
+router.get(
+  '/municipalities/:municipalityId/exemption-requalifications',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  async (req, res) => {
+    try {
+      const taxYear = parseInt(req.query.tax_year);
+      if (!taxYear) {
+        return res.status(400).json({ error: 'tax_year is required' });
+      }
+
+      const exemptions =
+        await exemptionEligibilityService.getRequalificationList(
+          req.params.municipalityId,
+          taxYear,
+        );
+
+      res.json({ tax_year: taxYear, exemptions });
+    } catch (error) {
+      console.error('Error building re-qualification list:', error);
+      sendError(res, error, 'Failed to build re-qualification list');
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/exemption-requalifications/letters - Batch re-qualification letter run (PDF letters or CSV mailing list)
+router.post(
+  '/municipalities/:municipalityId/exemption-requalifications/letters',
+  authenticateToken,
+  requireModuleAccess('assessing'),
+  requireAssessingPermission('update'),
+  async (req, res) => {
+    try {
+      const taxYear = parseInt(req.body.tax_year);
+      if (!taxYear) {
+        return res.status(400).json({ error: 'tax_year is required' });
+      }
+
+      const file =
+        await exemptionEligibilityService.generateRequalificationLetters(
+          req.params.municipalityId,
+          taxYear,
+          {
+            format: req.body.format,
+            exemptionIds: req.body.exemption_ids,
+            includeFiled: Boolean(req.body.include_filed),
+            filingDeadline: req.body.filing_deadline,
+          },
+          req.user,
+        );
+
+      res.setHeader('Content-Type', file.mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${file.filename}"`,
+      );
+      res.setHeader('X-Letter-Count', String(file.count));
+      res.send(file.buffer);
+    } catch (error) {
+      console.error('Error generating re-qualification letters:', error);
+      sendError(res, error, 'Failed to generate re-qualification letters');
+    }
+  },
+);
+
+module.exports = router;
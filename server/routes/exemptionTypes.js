@@ -301,6 +301,8 @@ router.post(
           exemption_type: 'exemption',
           calculation_method: 'fixed_amount',
           default_exemption_value: 0,
+          age_requirements: { min_age: 65, max_age: 74 },
+          requalification_interval_years: 1,
           sort_order: 1,
         },
         {
@@ -313,6 +315,8 @@ router.post(
           exemption_type: 'exemption',
           calculation_method: 'fixed_amount',
           default_exemption_value: 0,
+          age_requirements: { min_age: 75, max_age: 79 },
+          requalification_interval_years: 1,
           sort_order: 2,
         },
         {
@@ -325,6 +329,8 @@ router.post(
           exemption_type: 'exemption',
           calculation_method: 'fixed_amount',
           default_exemption_value: 0,
+          age_requirements: { min_age: 80 },
+          requalification_interval_years: 1,
           sort_order: 3,
         },
         {
@@ -348,6 +354,7 @@ router.post(
           exemption_type: 'exemption',
           calculation_method: 'fixed_amount',
           default_exemption_value: 0,
+          requalification_interval_years: 1,
           sort_order: 1,
         },
         {
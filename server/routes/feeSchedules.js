@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const FeeSchedule = require('../models/FeeSchedule');
+const feeScheduleService = require('../services/feeScheduleService');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * Middleware to check if user has access to municipality
+ */
+const checkMunicipalityAccess = async (req, res, next) => {
+  const { municipalityId } = req.params;
+
+  // Avitar staff have access to all municipalities
+  if (
+    req.user.global_role === 'avitar_staff' ||
+    req.user.global_role === 'avitar_admin'
+  ) {
+    return next();
+  }
+
+  if (!req.user.hasAccessToMunicipality(municipalityId)) {
+    return res
+      .status(403)
+      .json({ error: 'Access denied to this municipality' });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to check module permission for building permits
+ */
+const checkFeeSchedulePermission = (action) => {
+  return (req, res, next) => {
+    const { municipalityId } = req.params;
+
+    // Avitar staff have all permissions
+    if (
+      req.user.global_role === 'avitar_staff' ||
+      req.user.global_role === 'avitar_admin'
+    ) {
+      return next();
+    }
+
+    if (
+      !req.user.hasModulePermission(municipalityId, 'building_permit', action)
+    ) {
+      return res
+        .status(403)
+        .json({ error: `Insufficient permissions to ${action} fee schedules` });
+    }
+
+    next();
+  };
+};
+
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'description',
+  'method',
+  'tiers',
+  'minimumFee',
+  'maximumFee',
+  'isActive',
+];
+
+function handleSaveError(res, error, action) {
+  console.error(`Error saving fee schedule (${action}):`, error);
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Duplicate fee schedule',
+      message: 'A fee schedule with this code already exists',
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.message,
+      details: error.errors,
+    });
+  }
+
+  res.status(500).json({
+    error: `Failed to ${action} fee schedule`,
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/municipalities/:municipalityId/fee-schedules
+ * List fee schedules for a municipality
+ * NOTE: Readable by anyone signed in so fee quotes match what is charged
+ */
+router.get(
+  '/municipalities/:municipalityId/fee-schedules',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { status = 'all' } = req.query;
+
+      const query = { municipalityId };
+      if (status === 'active') {
+        query.isActive = true;
+      } else if (status === 'inactive') {
+        query.isActive = false;
+      }
+
+      const feeSchedules = await FeeSchedule.find(query)
+        .sort({ name: 1 })
+        .lean();
+
+      res.json({
+        feeSchedules,
+        total: feeSchedules.length,
+      });
+    } catch (error) {
+      console.error('Error fetching fee schedules:', error);
+      res.status(500).json({
+        error: 'Failed to fetch fee schedules',
+        message: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/municipalities/:municipalityId/fee-schedules
+ * Create a fee schedule
+ */
+router.post(
+  '/municipalities/:municipalityId/fee-schedules',
+  authenticateToken,
+  checkMunicipalityAccess,
+  checkFeeSchedulePermission('create'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+
+      const feeSchedule = new FeeSchedule({
+        municipalityId,
+        createdBy: req.user._id,
+        updatedBy: req.user._id,
+      });
+      EDITABLE_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) feeSchedule[key] = req.body[key];
+      });
+
+      await feeSchedule.save();
+
+      res.status(201).json(feeSchedule);
+    } catch (error) {
+      handleSaveError(res, error, 'create');
+    }
+  },
+);
+
+/**
+ * PUT /api/municipalities/:municipalityId/fee-schedules/:feeScheduleId
+ * Update a fee schedule
+ */
+router.put(
+  '/municipalities/:municipalityId/fee-schedules/:feeScheduleId',
+  authenticateToken,
+  checkMunicipalityAccess,
+  checkFeeSchedulePermission('update'),
+  async (req, res) => {
+    try {
+      const { municipalityId, feeScheduleId } = req.params;
+
+      const feeSchedule = await FeeSchedule.findOne({
+        _id: feeScheduleId,
+        municipalityId,
+      });
+
+      if (!feeSchedule) {
+        return res.status(404).json({ error: 'Fee schedule not found' });
+      }
+
+      const previousCode = feeSchedule.code;
+      const wasActive = feeSchedule.isActive;
+      EDITABLE_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) feeSchedule[key] = req.body[key];
+      });
+
+      // Renaming or deactivating would break formulas that use the schedule
+      if (
+        feeSchedule.code !== previousCode ||
+        (wasActive && !feeSchedule.isActive)
+      ) {
+        const dependents = await feeScheduleService.getDependentPermitTypes({
+          _id: feeSchedule._id,
+          municipalityId,
+          code: previousCode,
+        });
+        if (dependents.length) {
+          return res.status(409).json({
+            error: 'Fee schedule in use',
+            message: `Used by ${dependents.map((p) => p.name).join(', ')}. Update those permit types first.`,
+          });
+        }
+      }
+
+      feeSchedule.updatedBy = req.user._id;
+      await feeSchedule.save();
+
+      res.json(feeSchedule);
+    } catch (error) {
+      handleSaveError(res, error, 'update');
+    }
+  },
+);
+
+/**
+ * DELETE /api/municipalities/:municipalityId/fee-schedules/:feeScheduleId
+ * Soft delete a fee schedule (set isActive to false)
+ */
+router.delete(
+  '/municipalities/:municipalityId/fee-schedules/:feeScheduleId',
+  authenticateToken,
+  checkMunicipalityAccess,
+  checkFeeSchedulePermission('delete'),
+  async (req, res) => {
+    try {
+      const { municipalityId, feeScheduleId } = req.params;
+
+      const feeSchedule = await FeeSchedule.findOne({
+        _id: feeScheduleId,
+        municipalityId,
+      });
+
+      if (!feeSchedule) {
+        return res.status(404).json({ error: 'Fee schedule not found' });
+      }
+
+      const dependents =
+        await feeScheduleService.getDependentPermitTypes(feeSchedule);
+      if (dependents.length) {
+        return res.status(409).json({
+          error: 'Fee schedule in use',
+          message: `Used by ${dependents.map((p) => p.name).join(', ')}. Update those permit types first.`,
+        });
+      }
+
+      feeSchedule.isActive = false;
+      feeSchedule.updatedBy = req.user._id;
+      await feeSchedule.save();
+
+      res.json({
+        message: 'Fee schedule deactivated successfully',
+        feeSchedule,
+      });
+    } catch (error) {
+      console.error('Error deleting fee schedule:', error);
+      res.status(500).json({
+        error: 'Failed to delete fee schedule',
+        message: error.message,
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const mongoose = require('mongoose');
 const File = require('../models/File');
 const Municipality = require('../models/Municipality');
 const PermitDocument = require('../models/PermitDocument');
@@ -185,7 +186,8 @@ router.post(
 
 /**
  * POST /api/municipalities/:municipalityId/files/upload
- * Upload a file
+ * Upload a file. Pass previousFileId to upload a new version of a file; on a
+ * permit the open plan review markups carry forward to the new version.
  */
 router.post(
   '/municipalities/:municipalityId/files/upload',
@@ -211,6 +213,7 @@ router.post(
         projectId,
         projectName,
         isProjectFile,
+        previousFileId,
       } = req.body;
 
       if (!req.file) {
@@ -278,6 +281,29 @@ router.post(
         });
       }
 
+      // Check the file being replaced before anything is stored
+      let previousFile = null;
+      if (previousFileId) {
+        if (!mongoose.Types.ObjectId.isValid(previousFileId)) {
+          return res.status(400).json({ error: 'Invalid previous file ID' });
+        }
+        previousFile = await File.findOne({
+          _id: previousFileId,
+          municipalityId,
+          isActive: true,
+        });
+        if (!previousFile) {
+          return res
+            .status(404)
+            .json({ error: 'Previous file version not found' });
+        }
+        if (!previousFile.isLatestVersion) {
+          return res.status(409).json({
+            error: 'A newer version of this file has already been uploaded',
+          });
+        }
+      }
+
       // Fetch municipality data for organized path
       const municipality = await Municipality.findById(municipalityId);
       if (!municipality) {
@@ -314,7 +340,7 @@ router.post(
       );
 
       // Create file record
-      const file = new File({
+      const fileData = {
         municipalityId,
         municipalityName: municipality.name,
         state: municipality.state,
@@ -346,9 +372,11 @@ router.post(
         uploadedByName: req.user.fullName,
         md5Hash: uploadResult.md5Hash,
         sha256Hash: uploadResult.sha256Hash,
-      });
+      };
 
-      await file.save();
+      const file = previousFile
+        ? await previousFile.createNewVersion(fileData, req.user._id)
+        : await new File(fileData).save();
 
       // Create PermitDocument record if permitId is provided
       if (permitId && permitId !== 'undefined' && permitId !== 'null') {
@@ -370,7 +398,7 @@ router.post(
             receipt: 'receipt',
           };
 
-          const permitDocument = new PermitDocument({
+          const documentData = {
             permitId: permitId,
             fileId: file._id,
             municipalityId: municipalityId,
@@ -385,10 +413,14 @@ router.post(
             title: displayName || file.displayName,
             description: description,
             isActive: true,
-          });
-          await permitDocument.save();
+          };
+
+          const permitDocument = await PermitDocument.createForFile(
+            documentData,
+            previousFile,
+          );
           console.log(
-            `Created PermitDocument linking permit ${permitId} to file ${file._id}`,
+            `Created PermitDocument v${permitDocument.version} linking permit ${permitId} to file ${file._id}`,
           );
         } catch (pdError) {
           console.error('Failed to create PermitDocument:', pdError);
@@ -13,6 +13,7 @@ const BuildingCode = require('../models/BuildingCode');
 const Zone = require('../models/Zone');
 const NeighborhoodCode = require('../models/NeighborhoodCode');
 const BuildingFeatureCode = require('../models/BuildingFeatureCode');
+const FeatureCode = require('../models/FeatureCode');
 const SaleQualityCode = require('../models/SaleQualityCode');
 const Municipality = require('../models/Municipality');
 const PropertyTreeNode = require('../models/PropertyTreeNode');
@@ -139,6 +140,7 @@ router.post(
         zones: [],
         neighborhoods: [],
         featureCodes: [],
+        buildingFeatureCodes: [],
         qualityCodes: [],
         storyHeights: [],
         saleQualityCodes: [],
@@ -253,6 +255,23 @@ router.post(
             `💰 Extracted ${extractedData.saleQualityCodes.length} sale quality codes`,
           );
         }
+      } else if (parsedData.sheets) {
+        // Multi-sheet templates (e.g. Harris Govern): one sheet per reference table
+        const structure = camaImportService.validateSheetStructure(
+          parsedData,
+          template,
+          'phase1',
+        );
+        errors.push(...structure.errors);
+        warnings.push(...structure.warnings);
+
+        Object.assign(
+          extractedData,
+          camaImportService.extractReferenceData(parsedData, template),
+        );
+        console.log(
+          `📦 Extracted ${extractedData.buildingCodes.length} building codes, ${extractedData.zones.length} zones, ${extractedData.neighborhoods.length} neighborhoods, ${extractedData.featureCodes.length} feature codes, ${extractedData.buildingFeatureCodes.length} construction codes, ${extractedData.saleQualityCodes.length} sale quality codes`,
+        );
       } else {
         console.log(`❌ No data found or systemKey mismatch`);
         console.log(`   - systemKey: ${systemKey}`);
@@ -280,6 +299,7 @@ router.post(
           extractedData.featureCodes.length > 0
             ? extractedData.featureCodes
             : parsedData.featureCodes,
+        buildingFeatureCodes: extractedData.buildingFeatureCodes,
         qualityCodes:
           extractedData.qualityCodes.length > 0
             ? extractedData.qualityCodes
@@ -300,15 +320,22 @@ router.post(
           if (!row.code) {
             errors.push({
               sheet: 'Building Codes',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'code',
               message: 'Building code is required',
             });
+          } else if (row.code.toString().length > 4) {
+            errors.push({
+              sheet: 'Building Codes',
+              row: row._row || index + 2,
+              field: 'code',
+              message: `Building code '${row.code}' exceeds 4 characters`,
+            });
           }
           if (!row.rate || row.rate <= 0) {
             warnings.push({
               sheet: 'Building Codes',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'rate',
               message: 'Rate value may be missing or invalid',
             });
@@ -322,7 +349,7 @@ router.post(
           if (!row.code && !row.name) {
             errors.push({
               sheet: 'Zones',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'code',
               message: 'Zone code or name is required',
             });
@@ -336,10 +363,98 @@ router.post(
           if (!row.code) {
             errors.push({
               sheet: 'Neighborhoods',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'code',
               message: 'Neighborhood code is required',
             });
+          } else if (row.code.toString().length > 10) {
+            errors.push({
+              sheet: 'Neighborhoods',
+              row: row._row || index + 2,
+              field: 'code',
+              message: `Neighborhood code '${row.code}' exceeds 10 characters`,
+            });
+          }
+          if (row.rate !== undefined && (row.rate < 0 || row.rate > 1000)) {
+            errors.push({
+              sheet: 'Neighborhoods',
+              row: row._row || index + 2,
+              field: 'rate',
+              message: `Neighborhood rate ${row.rate} must be between 0 and 1000`,
+            });
+          }
+        });
+      }
+
+      // Validate feature codes
+      if (dataToValidate.featureCodes) {
+        dataToValidate.featureCodes.forEach((row, index) => {
+          if (!row.code) {
+            errors.push({
+              sheet: 'Feature Codes',
+              row: row._row || index + 2,
+              field: 'code',
+              message: 'Feature code is required',
+            });
+          } else if (row.code.toString().length > 10) {
+            errors.push({
+              sheet: 'Feature Codes',
+              row: row._row || index + 2,
+              field: 'code',
+              message: `Feature code '${row.code}' exceeds 10 characters`,
+            });
+          }
+          if (
+            row.measurementType &&
+            !['length_width', 'units'].includes(row.measurementType)
+          ) {
+            errors.push({
+              sheet: 'Feature Codes',
+              row: row._row || index + 2,
+              field: 'measurementType',
+              message: `Unknown measurement type '${row.measurementType}'`,
+            });
+          }
+          if (row.rate !== undefined && !(row.rate > 0)) {
+            warnings.push({
+              sheet: 'Feature Codes',
+              row: row._row || index + 2,
+              field: 'rate',
+              message: 'Feature rate may be missing or invalid',
+            });
+          }
+        });
+      }
+
+      // Validate construction (building feature) codes
+      if (dataToValidate.buildingFeatureCodes) {
+        const featureTypes =
+          BuildingFeatureCode.schema.path('featureType').enumValues;
+
+        dataToValidate.buildingFeatureCodes.forEach((row, index) => {
+          if (!featureTypes.includes(row.featureType)) {
+            errors.push({
+              sheet: 'Construction Codes',
+              row: row._row || index + 2,
+              field: 'featureType',
+              message: `Unknown construction category '${row.featureType}'`,
+            });
+          }
+          if (!row.code) {
+            errors.push({
+              sheet: 'Construction Codes',
+              row: row._row || index + 2,
+              field: 'code',
+              message: 'Construction code is required',
+            });
+          }
+          if (row.points < -1000 || row.points > 1000) {
+            errors.push({
+              sheet: 'Construction Codes',
+              row: row._row || index + 2,
+              field: 'points',
+              message: 'Points must be between -1000 and 1000',
+            });
           }
         });
       }
@@ -394,7 +509,7 @@ router.post(
           if (!row.code) {
             errors.push({
               sheet: 'Sale Quality Codes',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'code',
               message: 'Sale quality code is required',
             });
@@ -410,6 +525,7 @@ router.post(
         zones: dataToValidate.zones?.length || 0,
         neighborhoods: dataToValidate.neighborhoods?.length || 0,
         featureCodes: dataToValidate.featureCodes?.length || 0,
+        buildingFeatureCodes: dataToValidate.buildingFeatureCodes?.length || 0,
         qualityCodes: dataToValidate.qualityCodes?.length || 0,
         storyHeights: dataToValidate.storyHeights?.length || 0,
         saleQualityCodes: dataToValidate.saleQualityCodes?.length || 0,
@@ -459,14 +575,17 @@ router.post(
         zones: 0,
         neighborhoods: 0,
         featureCodes: 0,
+        buildingFeatureCodes: 0,
         saleQualityCodes: 0,
       };
 
-      // Extract reference data from parsed sheets for Avitar Desktop
+      // Extract reference data from parsed sheets
       const extractedData = {
         buildingCodes: [],
         zones: [],
         neighborhoods: [],
+        featureCodes: [],
+        buildingFeatureCodes: [],
         saleQualityCodes: [],
       };
 
@@ -555,6 +674,19 @@ router.post(
         console.log(
           `📦 Extracted for import: ${extractedData.buildingCodes.length} building codes, ${extractedData.zones.length} zones, ${extractedData.neighborhoods.length} neighborhoods, ${extractedData.saleQualityCodes.length} sale quality codes`,
         );
+      } else if (parsedData.sheets) {
+        // Multi-sheet templates (e.g. Harris Govern)
+        Object.assign(
+          extractedData,
+          camaImportService.extractReferenceData(
+            parsedData,
+            camaImportService.getTemplate(systemKey),
+          ),
+        );
+
+        console.log(
+          `📦 Extracted for import: ${extractedData.buildingCodes.length} building codes, ${extractedData.zones.length} zones, ${extractedData.neighborhoods.length} neighborhoods, ${extractedData.featureCodes.length} feature codes, ${extractedData.buildingFeatureCodes.length} construction codes, ${extractedData.saleQualityCodes.length} sale quality codes`,
+        );
       }
 
       // Import building codes
@@ -654,6 +786,59 @@ router.post(
         }
       }
 
+      // Import property feature codes from template sheets (skip if already exists)
+      for (const featureData of extractedData.featureCodes) {
+        const existing = await FeatureCode.findOne({
+          municipalityId: municipalityObjectId,
+          code: featureData.code,
+        });
+
+        if (!existing) {
+          await FeatureCode.create(
+            [
+              {
+                municipalityId: municipalityObjectId,
+                code: featureData.code,
+                description: featureData.description,
+                rate: featureData.rate,
+                sizeAdjustment: featureData.sizeAdjustment,
+                measurementType: featureData.measurementType,
+                isActive: true,
+              },
+            ],
+            { session },
+          );
+          results.featureCodes++;
+        }
+      }
+
+      // Import construction (building feature) codes from template sheets
+      for (const codeData of extractedData.buildingFeatureCodes) {
+        const existing = await BuildingFeatureCode.findOne({
+          municipalityId: municipalityObjectId,
+          featureType: codeData.featureType,
+          code: codeData.code,
+        });
+
+        if (!existing) {
+          await BuildingFeatureCode.create(
+            [
+              {
+                municipalityId: municipalityObjectId,
+                featureType: codeData.featureType,
+                code: codeData.code,
+                description: codeData.description,
+                displayText: codeData.displayText,
+                points: codeData.points,
+                isActive: true,
+              },
+            ],
+            { session },
+          );
+          results.buildingFeatureCodes++;
+        }
+      }
+
       // Import sale quality codes (state-specific, skip if already exists)
       let saleQualityCodesSkipped = 0;
       if (
@@ -701,6 +886,7 @@ router.post(
         results.zones +
         results.neighborhoods +
         results.featureCodes +
+        results.buildingFeatureCodes +
         results.saleQualityCodes;
 
       console.log(`Reference data import completed:`, results);
@@ -714,6 +900,7 @@ router.post(
           zones: results.zones,
           neighborhoods: results.neighborhoods,
           featureCodes: results.featureCodes,
+          buildingFeatureCodes: results.buildingFeatureCodes,
           saleQualityCodes: results.saleQualityCodes,
         },
       });
@@ -761,12 +948,32 @@ router.post(
         }
       }
 
+      // Multi-sheet templates (e.g. Harris Govern): map each property sheet
+      let mappedData = parsedData;
+      if (systemKey !== 'avitar-desktop' && parsedData.sheets) {
+        const template = camaImportService.getTemplate(systemKey);
+        const structure = camaImportService.validateSheetStructure(
+          parsedData,
+          template,
+          'phase2',
+        );
+        errors.push(...structure.errors);
+        warnings.push(...structure.warnings);
+
+        mappedData = camaImportService.extractPropertyData(
+          parsedData,
+          template,
+        );
+      }
+
       // Load reference data for validation
-      const [buildingCodes, zones, neighborhoods] = await Promise.all([
-        BuildingCode.find({ municipalityId: municipalityObjectId }),
-        Zone.find({ municipalityId: municipalityObjectId }),
-        NeighborhoodCode.find({ municipalityId: municipalityObjectId }),
-      ]);
+      const [buildingCodes, zones, neighborhoods, featureCodes] =
+        await Promise.all([
+          BuildingCode.find({ municipalityId: municipalityObjectId }),
+          Zone.find({ municipalityId: municipalityObjectId }),
+          NeighborhoodCode.find({ municipalityId: municipalityObjectId }),
+          FeatureCode.find({ municipalityId: municipalityObjectId }),
+        ]);
 
       const buildingCodeMap = new Map(
         buildingCodes.map((bc) => [bc.code, bc._id]),
@@ -775,18 +982,19 @@ router.post(
       const neighborhoodMap = new Map(
         neighborhoods.map((n) => [n.code, n._id]),
       );
+      const featureCodeMap = new Map(featureCodes.map((f) => [f.code, f._id]));
 
       // Track PIDs to detect duplicates
       const pidSet = new Set();
 
       // Validate properties
-      if (parsedData.properties) {
-        parsedData.properties.forEach((row, index) => {
+      if (mappedData.properties) {
+        mappedData.properties.forEach((row, index) => {
           // Validate PID
           if (!row.pid_raw) {
             errors.push({
               sheet: 'Properties',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'pid_raw',
               message: 'PID is required',
             });
@@ -795,7 +1003,7 @@ router.post(
             if (pidSet.has(row.pid_raw)) {
               errors.push({
                 sheet: 'Properties',
-                row: index + 2,
+                row: row._row || index + 2,
                 field: 'pid_raw',
                 message: `Duplicate PID: ${row.pid_raw}`,
               });
@@ -810,7 +1018,7 @@ router.post(
           ) {
             errors.push({
               sheet: 'Properties',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'property_class',
               message: 'Property class must be R, C, I, or U',
             });
@@ -818,14 +1026,28 @@ router.post(
         });
       }
 
+      // Rows on child sheets must belong to a property in the import
+      const warnIfOrphan = (sheet, row, index) => {
+        if (pidSet.size > 0 && row.pid_raw && !pidSet.has(row.pid_raw)) {
+          warnings.push({
+            sheet,
+            row: row._row || index + 2,
+            field: 'pid_raw',
+            message: `PID '${row.pid_raw}' has no matching property and will be skipped`,
+          });
+        }
+      };
+
       // Validate buildings
-      if (parsedData.buildings) {
-        parsedData.buildings.forEach((row, index) => {
+      if (mappedData.buildings) {
+        mappedData.buildings.forEach((row, index) => {
+          warnIfOrphan('Buildings', row, index);
+
           // Validate base type exists
           if (row.base_type && !buildingCodeMap.has(row.base_type)) {
             errors.push({
               sheet: 'Buildings',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'base_type',
               message: `Building code '${row.base_type}' not found in reference data`,
             });
@@ -835,7 +1057,7 @@ router.post(
           if (!row.effective_area || row.effective_area <= 0) {
             warnings.push({
               sheet: 'Buildings',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'effective_area',
               message: 'Effective area should be greater than 0',
             });
@@ -844,13 +1066,15 @@ router.post(
       }
 
       // Validate land
-      if (parsedData.land) {
-        parsedData.land.forEach((row, index) => {
+      if (mappedData.land) {
+        mappedData.land.forEach((row, index) => {
+          warnIfOrphan('Land', row, index);
+
           // Validate zone exists
           if (row.zone && !zoneMap.has(row.zone)) {
             warnings.push({
               sheet: 'Land',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'zone',
               message: `Zone '${row.zone}' not found in reference data`,
             });
@@ -860,7 +1084,7 @@ router.post(
           if (row.neighborhood && !neighborhoodMap.has(row.neighborhood)) {
             warnings.push({
               sheet: 'Land',
-              row: index + 2,
+              row: row._row || index + 2,
               field: 'neighborhood',
               message: `Neighborhood '${row.neighborhood}' not found in reference data`,
             });
@@ -868,6 +1092,22 @@ router.post(
         });
       }
 
+      // Validate features
+      if (mappedData.features) {
+        mappedData.features.forEach((row, index) => {
+          warnIfOrphan('Features', row, index);
+
+          if (row.feature_type && !featureCodeMap.has(row.feature_type)) {
+            warnings.push({
+              sheet: 'Features',
+              row: row._row || index + 2,
+              field: 'feature_type',
+              message: `Feature code '${row.feature_type}' not found in reference data and will be skipped`,
+            });
+          }
+        });
+      }
+
       // Calculate counts based on system type
       let propertyCount = 0;
       let buildingCount = 0;
@@ -895,10 +1135,10 @@ router.post(
         featureCount = 0; // Features not in Avitar Desktop export
       } else {
         // For other systems: use separate sheets
-        propertyCount = parsedData.properties?.length || 0;
-        buildingCount = parsedData.buildings?.length || 0;
-        landCount = parsedData.land?.length || 0;
-        featureCount = parsedData.features?.length || 0;
+        propertyCount = mappedData.properties?.length || 0;
+        buildingCount = mappedData.buildings?.length || 0;
+        landCount = mappedData.land?.length || 0;
+        featureCount = mappedData.features?.length || 0;
       }
 
       res.json({
@@ -1095,6 +1335,7 @@ router.post(
         drivewayAttributes,
         topologyAttributes,
         saleQualityCodes,
+        propertyFeatureCodes,
       ] = await Promise.all([
         BuildingCode.find({ municipalityId: municipalityObjectId }),
         Zone.find({ municipalityId: municipalityObjectId }),
@@ -1106,6 +1347,7 @@ router.post(
         DrivewayAttribute.find({ municipalityId: municipalityObjectId }),
         TopologyAttribute.find({ municipalityId: municipalityObjectId }),
         SaleQualityCode.find({ stateId: stateId }),
+        FeatureCode.find({ municipalityId: municipalityObjectId }),
       ]);
 
       // Create matching maps with normalized keys (trimmed and uppercase for case-insensitive matching)
@@ -1175,6 +1417,13 @@ router.post(
       const saleQualityCodeMap = new Map(
         saleQualityCodes.map((sqc) => [sqc.code?.toString().trim(), sqc]),
       );
+      // Property feature (amenity) codes, matched by code
+      const featureCodeMap = new Map(
+        propertyFeatureCodes.map((fc) => [
+          fc.code?.toString().trim().toUpperCase(),
+          fc,
+        ]),
+      );
 
       // Debug logging to help diagnose code matching issues
       if (DEBUG_IMPORT) {
@@ -1437,23 +1686,43 @@ router.post(
         }
       }
 
+      // Multi-sheet templates (e.g. Harris Govern): map each property sheet
+      let mappedData = parsedData;
+      if (systemKey !== 'avitar-desktop' && parsedData.sheets) {
+        mappedData = camaImportService.extractPropertyData(
+          parsedData,
+          camaImportService.getTemplate(systemKey),
+        );
+        console.log(
+          `📦 Mapped ${mappedData.properties.length} properties, ${mappedData.buildings.length} buildings, ${mappedData.land.length} land lines, ${mappedData.features.length} features, ${mappedData.sales.length} sales`,
+        );
+      }
+
       // Group properties
-      if (parsedData.properties) {
-        parsedData.properties.forEach((prop) => {
-          if (!propertiesByPID.has(prop.pid_raw)) {
+      if (mappedData.properties) {
+        mappedData.properties.forEach((prop) => {
+          if (prop.pid_raw && !propertiesByPID.has(prop.pid_raw)) {
             propertiesByPID.set(prop.pid_raw, {
               property: prop,
               buildings: [],
               land: [],
               features: [],
             });
+
+            if (prop.notes && prop.notes.toString().trim()) {
+              notesByPIDAndCard.set(`${prop.pid_raw}:1`, {
+                pid_raw: prop.pid_raw,
+                card_number: 1,
+                notes: prop.notes.toString().trim(),
+              });
+            }
           }
         });
       }
 
       // Group buildings by PID
-      if (parsedData.buildings) {
-        parsedData.buildings.forEach((building) => {
+      if (mappedData.buildings) {
+        mappedData.buildings.forEach((building) => {
           const propertyData = propertiesByPID.get(building.pid_raw);
           if (propertyData) {
             propertyData.buildings.push(building);
@@ -1462,8 +1731,8 @@ router.post(
       }
 
       // Group land by PID
-      if (parsedData.land) {
-        parsedData.land.forEach((land) => {
+      if (mappedData.land) {
+        mappedData.land.forEach((land) => {
           const propertyData = propertiesByPID.get(land.pid_raw);
           if (propertyData) {
             propertyData.land.push(land);
@@ -1472,8 +1741,8 @@ router.post(
       }
 
       // Group features by PID
-      if (parsedData.features) {
-        parsedData.features.forEach((feature) => {
+      if (mappedData.features) {
+        mappedData.features.forEach((feature) => {
           const propertyData = propertiesByPID.get(feature.pid_raw);
           if (propertyData) {
             propertyData.features.push(feature);
@@ -2230,7 +2499,9 @@ router.post(
           if (data.features.length > 0) {
             const featureDocs = [];
             for (const feature of data.features) {
-              const featureCode = featureCodeMap.get(feature.feature_type);
+              const featureCode = featureCodeMap.get(
+                feature.feature_type?.toString().trim().toUpperCase(),
+              );
 
               if (featureCode) {
                 featureDocs.push({
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const inspectionRouteService = require('../services/inspectionRouteService');
+const fieldInspectionService = require('../services/fieldInspectionService');
+
+function isAvitarStaff(user) {
+  return (
+    user.global_role === 'avitar_staff' || user.global_role === 'avitar_admin'
+  );
+}
+
+/**
+ * Inspectors can always work with their own day; anyone else needs the
+ * building permit permission for the action
+ */
+function canPlanDay(user, municipalityId, inspectorId, action) {
+  if (isAvitarStaff(user)) return true;
+  if (!user.hasAccessToMunicipality(municipalityId)) return false;
+  return (
+    user._id.toString() === inspectorId.toString() ||
+    user.hasModulePermission(municipalityId, 'building_permit', action)
+  );
+}
+
+/**
+ * Resolve the inspector and day from the query (GET) or body (POST),
+ * defaulting to the signed-in user and today
+ */
+const resolveDay = (action) => {
+  return (req, res, next) => {
+    const source = req.method === 'GET' ? req.query : req.body;
+    const inspectorId = source.inspector || req.user._id.toString();
+
+    if (!canPlanDay(req.user, req.params.municipalityId, inspectorId, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Insufficient permissions to ${action} this inspector's itinerary`,
+      });
+    }
+
+    const today = new Date();
+    req.inspectorId = inspectorId;
+    req.day =
+      source.date ||
+      [
+        today.getFullYear(),
+        String(today.getMonth() + 1).padStart(2, '0'),
+        String(today.getDate()).padStart(2, '0'),
+      ].join('-');
+
+    const lng = parseFloat(source.startLng);
+    const lat = parseFloat(source.startLat);
+    req.routeOptions =
+      Number.isFinite(lng) && Number.isFinite(lat)
+        ? { startCoordinates: [lng, lat] }
+        : {};
+
+    next();
+  };
+};
+
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+}
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/inspection-itinerary
+ * @desc    An inspector's stops for a day with travel legs, estimated arrivals and the optimized order's totals
+ * @query   inspector (default: current user), date (YYYY-MM-DD, default: today), startLng/startLat to override the start point
+ * @access  Private (the inspector, or staff with building permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/inspection-itinerary',
+  authenticateToken,
+  resolveDay('read'),
+  async (req, res) => {
+    try {
+      const itinerary = await inspectionRouteService.getItinerary(
+        req.params.municipalityId,
+        req.inspectorId,
+        req.day,
+        req.routeOptions,
+      );
+
+      res.json({ success: true, itinerary });
+    } catch (error) {
+      console.error('❌ Error building inspection itinerary:', error);
+      sendServiceError(res, error, 'Failed to build inspection itinerary');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/inspection-itinerary/run-sheet
+ * @desc    Printable run sheet for an inspector's day (format=pdf|html)
+ * @access  Private (the inspector, or staff with building permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/inspection-itinerary/run-sheet',
+  authenticateToken,
+  resolveDay('read'),
+  async (req, res) => {
+    try {
+      const file = await inspectionRouteService.renderRunSheet(
+        req.params.municipalityId,
+        req.inspectorId,
+        req.day,
+        req.query.format || 'pdf',
+        req.routeOptions,
+      );
+
+      res.setHeader('Content-Type', file.mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `${file.extension === 'html' ? 'inline' : 'attachment'}; filename="${file.filename}"`,
+      );
+      res.send(file.buffer);
+    } catch (error) {
+      console.error('❌ Error rendering run sheet:', error);
+      sendServiceError(res, error, 'Failed to render run sheet');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/inspection-itinerary/field-packet
+ * @desc    Open inspections with permit type checklists for the field app to cache for offline work
+ * @query   inspector (default: current user), date (YYYY-MM-DD, default: today), days (1-7, default 1)
+ * @access  Private (the inspector, or staff with building permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/inspection-itinerary/field-packet',
+  authenticateToken,
+  resolveDay('read'),
+  async (req, res) => {
+    try {
+      const packet = await fieldInspectionService.getFieldPacket(
+        req.params.municipalityId,
+        req.inspectorId,
+        req.day,
+        req.query.days,
+      );
+
+      res.json({ success: true, ...packet });
+    } catch (error) {
+      console.error('❌ Error building field packet:', error);
+      sendServiceError(res, error, 'Failed to build field packet');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/inspection-itinerary/optimize
+ * @desc    Re-sequence an inspector's day by travel distance within time windows and notify applicants of new arrival windows
+ * @body    inspector, date, notify (default true), startLng/startLat
+ * @access  Private (the inspector, or staff with building permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/inspection-itinerary/optimize',
+  authenticateToken,
+  resolveDay('update'),
+  async (req, res) => {
+    try {
+      const result = await inspectionRouteService.optimizeDay(
+        req.params.municipalityId,
+        req.inspectorId,
+        req.day,
+        req.user,
+        { ...req.routeOptions, notify: req.body.notify !== false },
+      );
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Error optimizing inspection itinerary:', error);
+      sendServiceError(res, error, 'Failed to optimize inspection itinerary');
+    }
+  },
+);
+
+module.exports = router;
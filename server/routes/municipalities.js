@@ -1898,6 +1898,98 @@ router.put(
   },
 );
 
+/**
+ * PUT /municipalities/:municipalityId/inspection-settings/routing
+ * Update itinerary planning settings: start point, travel speed and the
+ * arrival window quoted to applicants
+ * @access Municipal admin/staff
+ */
+router.put(
+  '/:municipalityId/inspection-settings/routing',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const {
+        startLabel,
+        startAddress,
+        startLongitude,
+        startLatitude,
+        averageSpeedMph,
+        arrivalWindowMinutes,
+      } = req.body;
+
+      // Verify user has admin or staff access
+      const hasAccess = req.user.municipal_permissions?.some(
+        (perm) =>
+          perm.municipality_id.toString() === municipalityId &&
+          ['admin', 'department_head', 'staff'].includes(perm.role),
+      );
+
+      if (
+        !hasAccess &&
+        !['avitar_staff', 'avitar_admin'].includes(req.user.global_role)
+      ) {
+        return res.status(403).json({
+          error: 'You do not have permission to update inspection routing',
+        });
+      }
+
+      const hasStart =
+        startLongitude !== undefined &&
+        startLongitude !== null &&
+        startLongitude !== '';
+      const longitude = parseFloat(startLongitude);
+      const latitude = parseFloat(startLatitude);
+
+      if (
+        hasStart &&
+        (!Number.isFinite(longitude) ||
+          !Number.isFinite(latitude) ||
+          Math.abs(longitude) > 180 ||
+          Math.abs(latitude) > 90)
+      ) {
+        return res.status(400).json({
+          error: 'Start point needs a valid longitude and latitude',
+        });
+      }
+
+      const routing = {
+        startLabel,
+        startAddress,
+        startLocation: hasStart
+          ? { type: 'Point', coordinates: [longitude, latitude] }
+          : undefined,
+        averageSpeedMph: averageSpeedMph
+          ? parseFloat(averageSpeedMph)
+          : undefined,
+        arrivalWindowMinutes: arrivalWindowMinutes
+          ? parseInt(arrivalWindowMinutes)
+          : undefined,
+      };
+
+      const municipality = await Municipality.findByIdAndUpdate(
+        municipalityId,
+        {
+          'inspectionSettings.routing': routing,
+          lastModified: new Date(),
+        },
+        { new: true, runValidators: true },
+      ).select('inspectionSettings');
+
+      res.json({
+        success: true,
+        inspectionSettings: municipality.inspectionSettings,
+      });
+    } catch (error) {
+      console.error('Error updating inspection routing:', error);
+      res.status(500).json({
+        error: error.message || 'Failed to update inspection routing',
+      });
+    }
+  },
+);
+
 /**
  * GET /municipalities/:municipalityId/inspections/today-count
  * Get count of today's inspections for badge display
@@ -1954,4 +2046,64 @@ router.get(
   },
 );
 
+/**
+ * PUT /municipalities/:municipalityId/security-settings
+ * Update sign-in security policy (two-factor requirements)
+ * @access Municipal admin
+ */
+router.put(
+  '/:municipalityId/security-settings',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { requireTwoFactorForAssessingAdmins } = req.body;
+
+      const isMunicipalAdmin = req.user.municipal_permissions?.some(
+        (perm) =>
+          perm.municipality_id.toString() === municipalityId &&
+          perm.role === 'admin',
+      );
+
+      if (
+        !isMunicipalAdmin &&
+        !['avitar_staff', 'avitar_admin'].includes(req.user.global_role)
+      ) {
+        return res.status(403).json({
+          error: 'You do not have permission to update security settings',
+        });
+      }
+
+      if (typeof requireTwoFactorForAssessingAdmins !== 'boolean') {
+        return res.status(400).json({
+          error: 'requireTwoFactorForAssessingAdmins must be a boolean',
+        });
+      }
+
+      const municipality = await Municipality.findByIdAndUpdate(
+        municipalityId,
+        {
+          'settings.requireTwoFactorForAssessingAdmins':
+            requireTwoFactorForAssessingAdmins,
+        },
+        { new: true, runValidators: true },
+      ).select('settings');
+
+      if (!municipality) {
+        return res.status(404).json({ error: 'Municipality not found' });
+      }
+
+      res.json({
+        success: true,
+        settings: municipality.settings,
+      });
+    } catch (error) {
+      console.error('Error updating security settings:', error);
+      res.status(500).json({
+        error: error.message || 'Failed to update security settings',
+      });
+    }
+  },
+);
+
 module.exports = router;
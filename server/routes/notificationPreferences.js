@@ -30,6 +30,7 @@ router.get(
           browser: true,
           permit_status_changes: { email: true, sms: false },
           inspection_notifications: { email: true, sms: false },
+          permit_sla_warnings: { email: true, sms: false },
           team_member_changes: { email: true, sms: false },
           license_expiration: { email: true, sms: false },
           payment_confirmations: { email: true, sms: false },
@@ -0,0 +1,391 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Permit = require('../models/Permit');
+const PermitFeeTransaction = require('../models/PermitFeeTransaction');
+const { authenticateToken } = require('../middleware/auth');
+const permitFeeService = require('../services/permitFeeService');
+
+function isAvitarStaff(user) {
+  return (
+    user.global_role === 'avitar_staff' || user.global_role === 'avitar_admin'
+  );
+}
+
+function canManageFees(user, municipalityId, action) {
+  return (
+    isAvitarStaff(user) ||
+    (user.hasAccessToMunicipality(municipalityId) &&
+      user.hasModulePermission(municipalityId, 'building_permit', action))
+  );
+}
+
+function isPermitOwner(user, permit) {
+  const userId = user._id.toString();
+  return (
+    permit.submitted_by?.toString() === userId ||
+    permit.createdBy?.toString() === userId ||
+    (!!user.contractor_id &&
+      permit.contractor_id?.toString() === user.contractor_id.toString())
+  );
+}
+
+/**
+ * Middleware to check building permit module permission for fee management
+ */
+const checkFeePermission = (action) => {
+  return (req, res, next) => {
+    if (!canManageFees(req.user, req.params.municipalityId, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Insufficient permissions to ${action} permit fees`,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Load the permit named in the route and make sure it belongs to the municipality
+ */
+const loadPermit = async (req, res, next) => {
+  const { municipalityId, permitId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(permitId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid permit ID',
+    });
+  }
+
+  const permit = await Permit.findById(permitId);
+  if (!permit || permit.municipalityId.toString() !== municipalityId) {
+    return res.status(404).json({
+      success: false,
+      message: 'Permit not found',
+    });
+  }
+
+  req.permit = permit;
+  next();
+};
+
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+}
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/permits/:permitId/fees
+ * @desc    Get a permit's fee ledger: fees, payments, refunds and adjustments with a running balance
+ * @access  Private (municipal staff or the permit applicant)
+ */
+router.get(
+  '/municipalities/:municipalityId/permits/:permitId/fees',
+  authenticateToken,
+  loadPermit,
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const isStaff = canManageFees(req.user, municipalityId, 'read');
+
+      if (!isStaff && !isPermitOwner(req.user, req.permit)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this permit',
+        });
+      }
+
+      const ledger = await permitFeeService.getLedger(req.permit);
+
+      res.json({
+        success: true,
+        permitId: req.permit._id,
+        permitNumber: req.permit.permitNumber,
+        ...ledger,
+      });
+    } catch (error) {
+      console.error('❌ Error loading permit fee ledger:', error);
+      sendServiceError(res, error, 'Failed to load fee ledger');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/permits/:permitId/fees
+ * @desc    Add a fee to a permit (e.g. reinspection or late fee)
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/permits/:permitId/fees',
+  authenticateToken,
+  checkFeePermission('update'),
+  loadPermit,
+  async (req, res) => {
+    try {
+      const { type, description, amount } = req.body;
+      const result = await permitFeeService.addCharge(
+        req.permit,
+        { type, description, amount },
+        req.user,
+      );
+
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Error adding permit fee:', error);
+      sendServiceError(res, error, 'Failed to add fee');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/permits/:permitId/fees/payments
+ * @desc    Record a counter payment (cash, check, money order); may be partial
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/permits/:permitId/fees/payments',
+  authenticateToken,
+  checkFeePermission('update'),
+  loadPermit,
+  async (req, res) => {
+    try {
+      const {
+        amount,
+        paymentMethod,
+        referenceNumber,
+        payerName,
+        notes,
+        transactionDate,
+      } = req.body;
+
+      const result = await permitFeeService.recordPayment(
+        req.permit,
+        {
+          amount,
+          paymentMethod,
+          referenceNumber,
+          payerName,
+          notes,
+          transactionDate,
+        },
+        req.user,
+      );
+
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Error recording permit payment:', error);
+      sendServiceError(res, error, 'Failed to record payment');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/permits/:permitId/fees/adjustments
+ * @desc    Adjust a fee (negative amount = credit/waiver, positive = increase)
+ * @access  Private (municipal staff with permit update permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/permits/:permitId/fees/adjustments',
+  authenticateToken,
+  checkFeePermission('update'),
+  loadPermit,
+  async (req, res) => {
+    try {
+      const { feeId, amount, reason, notes } = req.body;
+      const result = await permitFeeService.recordAdjustment(
+        req.permit,
+        { feeId, amount, reason, notes },
+        req.user,
+      );
+
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Error adjusting permit fee:', error);
+      sendServiceError(res, error, 'Failed to adjust fee');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/municipalities/:municipalityId/permit-fees/transactions/:transactionId/refund
+ * @desc    Refund all or part of a payment (card payments are refunded through Stripe)
+ * @access  Private (municipal staff with permit approve permission)
+ */
+router.post(
+  '/municipalities/:municipalityId/permit-fees/transactions/:transactionId/refund',
+  authenticateToken,
+  checkFeePermission('approve'),
+  async (req, res) => {
+    try {
+      const { municipalityId, transactionId } = req.params;
+      const { amount, reason, refundMethod, referenceNumber } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transaction ID',
+        });
+      }
+
+      const payment = await PermitFeeTransaction.findOne({
+        _id: transactionId,
+        municipalityId,
+      });
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found',
+        });
+      }
+
+      const permit = await Permit.findById(payment.permitId);
+      if (!permit) {
+        return res.status(404).json({
+          success: false,
+          message: 'Permit not found',
+        });
+      }
+
+      const result = await permitFeeService.refundPayment(
+        permit,
+        payment,
+        { amount, reason, refundMethod, referenceNumber },
+        req.user,
+      );
+
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Error refunding permit payment:', error);
+      sendServiceError(res, error, 'Failed to refund payment');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/permit-fees/transactions/:transactionId/receipt
+ * @desc    Download a payment or refund receipt (PDF)
+ * @access  Private (municipal staff or the permit applicant)
+ */
+router.get(
+  '/municipalities/:municipalityId/permit-fees/transactions/:transactionId/receipt',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { municipalityId, transactionId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transaction ID',
+        });
+      }
+
+      const transaction = await PermitFeeTransaction.findOne(
+        PermitFeeTransaction.ledgerFilter({
+          _id: transactionId,
+          municipalityId,
+        }),
+      );
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found',
+        });
+      }
+
+      if (!canManageFees(req.user, municipalityId, 'read')) {
+        const permit = await Permit.findById(transaction.permitId).select(
+          'submitted_by createdBy contractor_id',
+        );
+        if (!permit || !isPermitOwner(req.user, permit)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to view this receipt',
+          });
+        }
+      }
+
+      const receipt = await permitFeeService.renderReceipt(transaction);
+
+      res.setHeader('Content-Type', receipt.mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${receipt.filename}"`,
+      );
+      res.send(receipt.buffer);
+    } catch (error) {
+      console.error('❌ Error generating receipt:', error);
+      sendServiceError(res, error, 'Failed to generate receipt');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/permit-fees/cash-drawer
+ * @desc    Daily cash drawer reconciliation (?date=YYYY-MM-DD&recordedBy=&countedCash=&countedChecks=&format=pdf|excel|csv)
+ * @access  Private (municipal staff with permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/permit-fees/cash-drawer',
+  authenticateToken,
+  checkFeePermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { date, recordedBy, countedCash, countedChecks, format } =
+        req.query;
+      const options = { recordedBy, countedCash, countedChecks };
+
+      if (recordedBy && !mongoose.Types.ObjectId.isValid(recordedBy)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recordedBy user ID',
+        });
+      }
+
+      if (format) {
+        const file = await permitFeeService.exportCashDrawer(
+          municipalityId,
+          date,
+          format,
+          options,
+        );
+        res.setHeader('Content-Type', file.mimeType);
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="${file.filename}"`,
+        );
+        return res.send(file.buffer);
+      }
+
+      const drawer = await permitFeeService.getCashDrawer(
+        municipalityId,
+        date,
+        options,
+      );
+
+      res.json({ success: true, ...drawer });
+    } catch (error) {
+      console.error('❌ Error building cash drawer report:', error);
+      sendServiceError(res, error, 'Failed to build cash drawer report');
+    }
+  },
+);
+
+module.exports = router;
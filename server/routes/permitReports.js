@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const permitReportService = require('../services/permitReportService');
+
+function canViewReports(user, municipalityId) {
+  return (
+    user.global_role === 'avitar_staff' ||
+    user.global_role === 'avitar_admin' ||
+    (user.hasAccessToMunicipality(municipalityId) &&
+      user.hasModulePermission(municipalityId, 'building_permit', 'read'))
+  );
+}
+
+/**
+ * Middleware to check building permit read permission for reports
+ */
+const checkReportPermission = (req, res, next) => {
+  if (!canViewReports(req.user, req.params.municipalityId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions to view permit reports',
+    });
+  }
+  next();
+};
+
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+}
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/permit-reports
+ * @desc    List the available building permit reports
+ * @access  Private (municipal staff with permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/permit-reports',
+  authenticateToken,
+  checkReportPermission,
+  (req, res) => {
+    res.json({ success: true, reports: permitReportService.listReports() });
+  },
+);
+
+/**
+ * @route   GET /api/municipalities/:municipalityId/permit-reports/:reportKey
+ * @desc    Build a report (?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&format=pdf|excel|csv)
+ * @access  Private (municipal staff with permit read permission)
+ */
+router.get(
+  '/municipalities/:municipalityId/permit-reports/:reportKey',
+  authenticateToken,
+  checkReportPermission,
+  async (req, res) => {
+    try {
+      const { municipalityId, reportKey } = req.params;
+      const { startDate, endDate, format } = req.query;
+
+      if (format) {
+        const file = await permitReportService.exportReport(
+          municipalityId,
+          reportKey,
+          format,
+          { startDate, endDate },
+        );
+        res.setHeader('Content-Type', file.mimeType);
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="${file.filename}"`,
+        );
+        return res.send(file.buffer);
+      }
+
+      const report = await permitReportService.getReport(
+        municipalityId,
+        reportKey,
+        { startDate, endDate },
+      );
+
+      res.json({ success: true, report });
+    } catch (error) {
+      console.error('❌ Error building permit report:', error);
+      sendServiceError(res, error, 'Failed to build report');
+    }
+  },
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const PermitType = require('../models/PermitType');
+const feeScheduleService = require('../services/feeScheduleService');
 const { authenticateToken } = require('../middleware/auth');
 
 /**
@@ -154,6 +155,10 @@ router.post(
         updatedBy: req.user._id,
       });
 
+      await feeScheduleService.validatePermitTypeFees(
+        municipalityId,
+        permitType.feeSchedule,
+      );
       await permitType.save();
 
       // Populate before returning
@@ -166,6 +171,13 @@ router.post(
     } catch (error) {
       console.error('Error creating permit type:', error);
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: 'Invalid fee schedule',
+          message: error.message,
+        });
+      }
+
       // Handle duplicate name error
       if (error.code === 11000) {
         return res.status(409).json({
@@ -231,6 +243,10 @@ router.put(
       });
 
       permitType.updatedBy = req.user._id;
+      await feeScheduleService.validatePermitTypeFees(
+        municipalityId,
+        permitType.feeSchedule,
+      );
       await permitType.save();
 
       await permitType.populate([
@@ -242,6 +258,13 @@ router.put(
     } catch (error) {
       console.error('Error updating permit type:', error);
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: 'Invalid fee schedule',
+          message: error.message,
+        });
+      }
+
       // Handle duplicate name error
       if (error.code === 11000) {
         return res.status(409).json({
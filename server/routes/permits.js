@@ -12,8 +12,14 @@ const Municipality = require('../models/Municipality');
 const { authenticateToken } = require('../middleware/auth');
 const mongoose = require('mongoose');
 const stripeService = require('../services/stripeService');
+const permitFeeService = require('../services/permitFeeService');
 const storageService = require('../services/storageService');
 const notificationService = require('../services/notificationService');
+const fieldInspectionService = require('../services/fieldInspectionService');
+const contractorReviewService = require('../services/contractorReviewService');
+const contractorCredentialService = require('../services/contractorCredentialService');
+const feeScheduleService = require('../services/feeScheduleService');
+const departmentReviewRoutingService = require('../services/departmentReviewRoutingService');
 
 // Configure multer for file uploads (store in memory)
 const upload = multer({
@@ -103,6 +109,45 @@ const checkPermitPermission = (action) => {
   };
 };
 
+/**
+ * Reasons a contractor user cannot file permits in a municipality: an expired
+ * license or insurance, or an approval suspended because of one
+ */
+const getContractorFilingBlocks = async (user, municipalityId) => {
+  if (user.global_role !== 'contractor' || !user.contractor_id) return [];
+
+  const contractor = await Contractor.findById(user.contractor_id);
+  return contractor
+    ? contractorCredentialService.getFilingBlocks(contractor, municipalityId)
+    : [];
+};
+
+/**
+ * Middleware to stop contractors filing permits while their credentials are
+ * expired
+ */
+const checkContractorCredentials = async (req, res, next) => {
+  try {
+    const blocks = await getContractorFilingBlocks(
+      req.user,
+      req.params.municipalityId,
+    );
+
+    if (blocks.length > 0) {
+      return res.status(403).json({
+        error: blocks[0],
+        message: blocks[0],
+        code: 'CONTRACTOR_CREDENTIALS_EXPIRED',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking contractor credentials:', error);
+    res.status(500).json({ error: 'Failed to check contractor credentials' });
+  }
+};
+
 /**
  * Middleware to check if user can comment on a permit
  * Allows:
@@ -323,6 +368,20 @@ router.put('/permits/:permitId', authenticateToken, async (req, res) => {
     // Track if status is changing from draft to submitted
     const statusChanged = updates.status && updates.status !== permit.status;
 
+    if (statusChanged && updates.status === 'submitted') {
+      const blocks = await getContractorFilingBlocks(
+        req.user,
+        permit.municipalityId,
+      );
+      if (blocks.length > 0) {
+        return res.status(403).json({
+          error: blocks[0],
+          message: blocks[0],
+          code: 'CONTRACTOR_CREDENTIALS_EXPIRED',
+        });
+      }
+    }
+
     // Apply updates
     Object.keys(updates).forEach((key) => {
       if (key !== '_id' && key !== 'municipalityId' && key !== 'permitNumber') {
@@ -332,7 +391,9 @@ router.put('/permits/:permitId', authenticateToken, async (req, res) => {
 
     permit.updatedBy = req.user._id;
 
-    // If status changed to submitted, use the updateStatus method
+    // If status changed to submitted, use the updateStatus method and open
+    // the first review stage
+    let openedReviews = [];
     if (statusChanged && updates.status === 'submitted') {
       permit.updateStatus(
         'submitted',
@@ -340,6 +401,10 @@ router.put('/permits/:permitId', authenticateToken, async (req, res) => {
         req.user.fullName || req.user.email,
         'Permit submitted by applicant',
       );
+      openedReviews = departmentReviewRoutingService.openStages(
+        permit,
+        req.user,
+      );
     }
 
     await permit.save();
@@ -423,40 +488,14 @@ router.put('/permits/:permitId', authenticateToken, async (req, res) => {
       }
     }
 
-    // If status just changed to submitted, notify all department reviewers
-    if (statusChanged && updates.status === 'submitted') {
+    // If status just changed to submitted, notify the first-stage departments
+    if (openedReviews.length > 0) {
       try {
-        const notificationService = require('../services/notificationService');
-
-        // Populate permit type to get details
-        await permit.populate('permitTypeId');
-        await permit.populate('propertyId');
-
-        const permitType = permit.permitTypeId?.name || permit.type;
-        const propertyAddress = permit.propertyId?.location?.address || 'N/A';
-        const applicantName =
-          permit.applicant?.name || req.user.fullName || req.user.email;
-
-        // Notify each department assigned to review this permit
-        for (const review of permit.departmentReviews) {
-          await notificationService.notifyDepartmentReviewers({
-            municipalityId: permit.municipalityId,
-            department: review.department,
-            notificationType: 'assignment',
-            notificationData: {
-              permitNumber: permit.permitNumber,
-              permitType: permitType,
-              department: review.department,
-              propertyAddress: propertyAddress,
-              applicantName: applicantName,
-              permitId: permit._id.toString(),
-            },
-          });
-
-          console.log(
-            `📧 Department assignment notifications sent for ${review.department} on permit ${permit.permitNumber}`,
-          );
-        }
+        await departmentReviewRoutingService.notifyOpened(
+          permit,
+          openedReviews,
+          permit.applicant?.name || req.user.fullName || req.user.email,
+        );
       } catch (notificationError) {
         console.error(
           'Failed to send department assignment notifications:',
@@ -674,7 +713,8 @@ router.get('/permits/:permitId/files', authenticateToken, async (req, res) => {
 /**
  * POST /api/permits/:permitId/files
  * Upload a file to an existing permit
- * For contractors/citizens adding documents to their permits
+ * For contractors/citizens adding documents to their permits. Pass
+ * previousFileId to upload a revised version of one of the permit's files.
  */
 router.post(
   '/permits/:permitId/files',
@@ -711,8 +751,36 @@ router.post(
         description,
         category = 'supporting_document',
         visibility = 'public',
+        previousFileId,
       } = req.body;
 
+      // Check the file being replaced before anything is stored
+      let previousFile = null;
+      if (previousFileId) {
+        if (!mongoose.Types.ObjectId.isValid(previousFileId)) {
+          return res.status(400).json({ error: 'Invalid previous file ID' });
+        }
+        // Applicants can only replace files on their own permit
+        const onPermit = await PermitDocument.exists({
+          permitId: permit._id,
+          fileId: previousFileId,
+          isActive: true,
+        });
+        previousFile =
+          onPermit &&
+          (await File.findOne({ _id: previousFileId, isActive: true }));
+        if (!previousFile) {
+          return res
+            .status(404)
+            .json({ error: 'Previous file version not found' });
+        }
+        if (!previousFile.isLatestVersion) {
+          return res.status(409).json({
+            error: 'A newer version of this file has already been uploaded',
+          });
+        }
+      }
+
       // Generate storage path
       const fileExtension = req.file.originalname.split('.').pop();
       const timestamp = Date.now();
@@ -734,7 +802,7 @@ router.post(
       );
 
       // Create file record
-      const file = new File({
+      const fileData = {
         municipalityId: municipality._id,
         municipalityName: municipality.name,
         state: municipality.state,
@@ -761,9 +829,11 @@ router.post(
         uploadedByName: req.user.fullName || req.user.email,
         md5Hash: uploadResult.md5Hash,
         sha256Hash: uploadResult.sha256Hash,
-      });
+      };
 
-      await file.save();
+      const file = previousFile
+        ? await previousFile.createNewVersion(fileData, req.user._id)
+        : await new File(fileData).save();
 
       // Create PermitDocument record
       // Map category to valid PermitDocument type enum
@@ -783,23 +853,25 @@ router.post(
         receipt: 'receipt',
       };
 
-      const permitDocument = new PermitDocument({
-        permitId: permit._id,
-        fileId: file._id,
-        municipalityId: municipality._id,
-        type: typeMap[category] || 'other',
-        filename: file.fileName,
-        originalFilename: file.originalName,
-        url: file.gcsUrl || file.localPath,
-        size: file.fileSize,
-        mimeType: file.fileType,
-        uploadedBy: req.user._id,
-        uploadedByName: req.user.fullName || req.user.email,
-        title: displayName || file.displayName,
-        description: description,
-        isActive: true,
-      });
-      await permitDocument.save();
+      await PermitDocument.createForFile(
+        {
+          permitId: permit._id,
+          fileId: file._id,
+          municipalityId: municipality._id,
+          type: typeMap[category] || 'other',
+          filename: file.fileName,
+          originalFilename: file.originalName,
+          url: file.gcsUrl || file.localPath,
+          size: file.fileSize,
+          mimeType: file.fileType,
+          uploadedBy: req.user._id,
+          uploadedByName: req.user.fullName || req.user.email,
+          title: displayName || file.displayName,
+          description: description,
+          isActive: true,
+        },
+        previousFile,
+      );
 
       console.log(
         `📄 File uploaded to permit ${permit.permitNumber}: ${file.fileName}`,
@@ -1360,6 +1432,88 @@ router.get(
   },
 );
 
+/**
+ * GET /api/municipalities/:municipalityId/permits/:permitId/contractor-review
+ * Review of the permit's contractor, and whether the current user can leave one
+ */
+router.get(
+  '/municipalities/:municipalityId/permits/:permitId/contractor-review',
+  authenticateToken,
+  checkMunicipalityAccess,
+  checkPermitPermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId, permitId } = req.params;
+
+      const permit = await Permit.findOne({ _id: permitId, municipalityId });
+      if (!permit) {
+        return res.status(404).json({ error: 'Permit not found' });
+      }
+
+      const reviewState = await contractorReviewService.getPermitReview(
+        permit,
+        req.user,
+      );
+
+      res.json(reviewState);
+    } catch (error) {
+      console.error('Error fetching contractor review:', error);
+      res.status(500).json({
+        error: 'Failed to fetch contractor review',
+        message: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/municipalities/:municipalityId/permits/:permitId/contractor-review
+ * Review the permit's contractor once the permit is closed (one per permit)
+ */
+router.post(
+  '/municipalities/:municipalityId/permits/:permitId/contractor-review',
+  authenticateToken,
+  checkMunicipalityAccess,
+  checkPermitPermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId, permitId } = req.params;
+
+      const permit = await Permit.findOne({ _id: permitId, municipalityId });
+      if (!permit) {
+        return res.status(404).json({ error: 'Permit not found' });
+      }
+
+      const review = await contractorReviewService.createReview(
+        permit,
+        req.user,
+        req.body,
+      );
+
+      console.log(
+        `⭐ Contractor review recorded for permit ${permit.permitNumber}`,
+      );
+
+      res.status(201).json({
+        message: 'Review submitted',
+        review,
+      });
+    } catch (error) {
+      console.error('Error creating contractor review:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          message: error.message,
+        });
+      }
+      res.status(500).json({
+        error: 'Failed to submit review',
+        message: error.message,
+      });
+    }
+  },
+);
+
 /**
  * POST /api/municipalities/:municipalityId/projects
  * Create a new project (permit container with child permits)
@@ -1369,6 +1523,7 @@ router.post(
   authenticateToken,
   checkMunicipalityAccess,
   checkPermitPermission('create'),
+  checkContractorCredentials,
   async (req, res) => {
     try {
       const { municipalityId } = req.params;
@@ -1450,12 +1605,9 @@ router.post(
         fees: [],
       });
 
-      await project.save();
-
-      // Create child permits if permit types are provided
-      const createdChildPermits = [];
-      let totalProjectFee = 0;
-
+      // Price child permits before saving anything, so a fee formula error
+      // doesn't leave an empty project behind
+      const childTypes = [];
       if (childPermitTypes && Array.isArray(childPermitTypes)) {
         const PermitType = require('../models/PermitType');
 
@@ -1463,6 +1615,24 @@ router.post(
           const permitType = await PermitType.findById(permitTypeId);
           if (!permitType) continue;
 
+          const baseFeeAmount = permitType.feeSchedule
+            ? await feeScheduleService.calculatePermitFee(
+                permitType,
+                projectData,
+              )
+            : 0;
+          childTypes.push({ permitTypeId, permitType, baseFeeAmount });
+        }
+      }
+
+      await project.save();
+
+      // Create child permits if permit types are provided
+      const createdChildPermits = [];
+      let totalProjectFee = 0;
+
+      if (childPermitTypes && Array.isArray(childPermitTypes)) {
+        for (const { permitTypeId, permitType, baseFeeAmount } of childTypes) {
           // Generate child permit number
           const childPermitNumber = await Permit.generatePermitNumber(
             municipalityId,
@@ -1471,17 +1641,14 @@ router.post(
 
           // Calculate fees for this child permit
           const fees = [];
-          if (permitType.feeSchedule) {
-            const baseFeeAmount = permitType.feeSchedule.baseAmount || 0;
-            if (baseFeeAmount > 0) {
-              fees.push({
-                name: `${permitType.name} Fee`,
-                amount: baseFeeAmount,
-                type: 'base',
-                status: 'pending',
-              });
-              totalProjectFee += baseFeeAmount;
-            }
+          if (baseFeeAmount > 0) {
+            fees.push({
+              name: `${permitType.name} Fee`,
+              amount: baseFeeAmount,
+              type: 'base',
+              status: 'pending',
+            });
+            totalProjectFee += baseFeeAmount;
           }
 
           // Create child permit
@@ -1539,7 +1706,7 @@ router.post(
       });
     } catch (error) {
       console.error('Error creating project:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: 'Failed to create project',
         message: error.message,
       });
@@ -1556,6 +1723,7 @@ router.post(
   authenticateToken,
   checkMunicipalityAccess,
   checkPermitPermission('create'),
+  checkContractorCredentials,
   async (req, res) => {
     try {
       const { municipalityId } = req.params;
@@ -1633,48 +1801,20 @@ router.post(
         };
       }
 
-      // Calculate fees from permit type
+      // Calculate fees from permit type (same evaluator the create form quotes with)
       const fees = [];
       if (permitType && permitType.feeSchedule) {
-        const feeSchedule = permitType.feeSchedule;
-        let baseFeeAmount = 0;
-
-        switch (feeSchedule.calculationType) {
-          case 'flat':
-            baseFeeAmount = feeSchedule.baseAmount || 0;
-            break;
-
-          case 'per_sqft':
-            const sqft = permitData.squareFootage || 0;
-            baseFeeAmount =
-              (feeSchedule.baseAmount || 0) +
-              sqft * (feeSchedule.perSqftRate || 0);
-            break;
-
-          case 'percentage':
-            const estimatedValue = permitData.estimatedValue || 0;
-            const percentageRate = feeSchedule.perSqftRate || 0; // Reusing this field for percentage
-            baseFeeAmount =
-              (feeSchedule.baseAmount || 0) +
-              estimatedValue * (percentageRate / 100);
-            break;
-
-          case 'custom':
-            // For custom formulas, use base amount as default
-            // TODO: Implement custom formula evaluation if needed
-            baseFeeAmount = feeSchedule.baseAmount || 0;
-            break;
-
-          default:
-            baseFeeAmount = feeSchedule.baseAmount || 0;
-        }
+        const baseFeeAmount = await feeScheduleService.calculatePermitFee(
+          permitType,
+          permitData,
+        );
 
         // Add base permit fee
         if (baseFeeAmount > 0) {
           fees.push({
             type: 'base',
             description: `${permitType.name} - Base Fee`,
-            amount: Math.round(baseFeeAmount * 100) / 100, // Round to 2 decimals
+            amount: baseFeeAmount,
             paid: false,
           });
         }
@@ -1682,23 +1822,9 @@ router.post(
 
       permitData.fees = fees;
 
-      // Initialize department reviews from permit type
-      const departmentReviews = [];
-      if (permitType && permitType.departmentReviews) {
-        for (const dept of permitType.departmentReviews) {
-          departmentReviews.push({
-            department: dept.departmentName,
-            required: dept.isRequired,
-            approved: false,
-            reviewedBy: null,
-            reviewedAt: null,
-            comments: [], // Array of PermitComment IDs
-            conditions: [],
-          });
-        }
-      }
-
-      permitData.departmentReviews = departmentReviews;
+      // Initialize department reviews from permit type, in routing order
+      permitData.departmentReviews =
+        departmentReviewRoutingService.buildReviews(permitType);
 
       // Create permit
       const permit = new Permit({
@@ -1822,7 +1948,7 @@ router.post(
       res.status(201).json({ permit });
     } catch (error) {
       console.error('Error creating permit:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: 'Failed to create permit',
         message: error.message,
       });
@@ -2147,6 +2273,31 @@ router.post(
 // Payment Endpoints
 // ============================================================================
 
+/**
+ * Validate an optional partial payment amount against the balance due.
+ * Draft permits must be paid in full because payment submits the application.
+ * @returns {Object} - { permitFee } or { error }
+ */
+function checkPaymentAmount(permit, balanceDue, body = {}) {
+  if (body.amount === undefined || body.amount === null || body.amount === '') {
+    return { permitFee: Math.max(0, balanceDue) };
+  }
+
+  const amount = Math.round(Number(body.amount) * 100) / 100;
+  if (!(amount > 0) || amount > balanceDue) {
+    return {
+      error: `Payment amount must be between $0.01 and the balance due of $${balanceDue.toFixed(2)}`,
+    };
+  }
+  if (permit.status === 'draft' && amount < balanceDue) {
+    return {
+      error: 'The full balance is required to submit a permit application',
+    };
+  }
+
+  return { permitFee: amount };
+}
+
 /**
  * @route   POST /api/municipalities/:municipalityId/permits/:permitId/calculate-payment
  * @desc    Calculate payment breakdown for permit (permit fee + processing fees)
@@ -2207,9 +2358,18 @@ router.post(
         });
       }
 
-      // Calculate payment breakdown using totalFees virtual
-      const permitFee = permit.totalFees || 0;
-      const paymentBreakdown = stripeService.calculatePermitPayment(permitFee);
+      // Calculate payment breakdown for the balance due (or a partial amount)
+      const { totals } = await permitFeeService.getLedger(permit);
+      const amountCheck = checkPaymentAmount(permit, totals.balance, req.body);
+      if (amountCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: amountCheck.error,
+        });
+      }
+      const paymentBreakdown = stripeService.calculatePermitPayment(
+        amountCheck.permitFee,
+      );
 
       console.log('🔵 Calculated payment for permit:', permitId);
       console.log('🔵 Payment breakdown:', paymentBreakdown);
@@ -2219,6 +2379,7 @@ router.post(
         permitId: permit._id,
         municipalityName: municipality.name,
         permitNumber: permit.permitNumber,
+        balanceDue: totals.balance,
         breakdown: {
           permitFee: paymentBreakdown.permitFee,
           processingFees: paymentBreakdown.processingFees,
@@ -2247,6 +2408,7 @@ router.post(
   '/municipalities/:municipalityId/permits/:permitId/create-payment-intent',
   authenticateToken,
   checkMunicipalityAccess,
+  checkContractorCredentials,
   async (req, res) => {
     try {
       const { municipalityId, permitId } = req.params;
@@ -2280,14 +2442,21 @@ router.post(
         });
       }
 
-      // Check if permit is already paid (all fees are paid)
-      const unpaidFees = permit.fees.filter((fee) => !fee.paid);
-      if (unpaidFees.length === 0 && permit.fees.length > 0) {
+      // Check the balance due on the fee ledger (partial payments allowed)
+      const { totals } = await permitFeeService.getLedger(permit);
+      if (totals.balance <= 0 && permit.fees.length > 0) {
         return res.status(400).json({
           success: false,
           message: 'This permit has already been paid',
         });
       }
+      const amountCheck = checkPaymentAmount(permit, totals.balance, req.body);
+      if (amountCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: amountCheck.error,
+        });
+      }
 
       // Get municipality
       const municipality = await Municipality.findById(municipalityId);
@@ -2306,9 +2475,9 @@ router.post(
         });
       }
 
-      // Calculate payment breakdown using totalFees virtual
-      const permitFee = permit.totalFees || 0;
-      const paymentBreakdown = stripeService.calculatePermitPayment(permitFee);
+      const paymentBreakdown = stripeService.calculatePermitPayment(
+        amountCheck.permitFee,
+      );
 
       console.log('🔵 Creating payment intent for permit:', permitId);
       console.log('🔵 Payment breakdown:');
@@ -2453,27 +2622,28 @@ router.post(
         });
       }
 
-      // Mark all fees as paid
-      const paymentDate = new Date();
+      // Record the payment on the fee ledger (no-op if the webhook already did)
       const totalAmountPaid = paymentIntent.amount / 100; // Convert cents to dollars
-
-      permit.fees.forEach((fee) => {
-        fee.paid = true;
-        fee.paidDate = paymentDate;
-        fee.paidAmount = fee.amount;
-        fee.paymentMethod = 'stripe';
-        fee.receiptNumber = paymentIntent.id;
-      });
+      const { transaction: payment, created } =
+        await permitFeeService.recordStripePayment(
+          permit,
+          paymentIntent,
+          req.user,
+        );
+      const paymentDate = payment.transactionDate;
 
       // Add internal note about payment
-      permit.addInternalNote(
-        req.user._id,
-        req.user.fullName || req.user.email,
-        `Payment confirmed via Stripe. Payment Intent: ${paymentIntentId}. Total: $${totalAmountPaid}`,
-      );
+      if (created) {
+        permit.addInternalNote(
+          req.user._id,
+          req.user.fullName || req.user.email,
+          `Payment confirmed via Stripe. Payment Intent: ${paymentIntentId}. Total: $${totalAmountPaid}. Receipt: ${payment.receiptNumber}`,
+        );
+      }
 
       // Update permit status to submitted if it's currently a draft
       const wasSubmitted = permit.status === 'draft';
+      let openedReviews = [];
       if (wasSubmitted) {
         permit.updateStatus(
           'submitted',
@@ -2481,46 +2651,24 @@ router.post(
           req.user.fullName || req.user.email,
           'Permit submitted with payment',
         );
+        openedReviews = departmentReviewRoutingService.openStages(
+          permit,
+          req.user,
+        );
       }
 
       await permit.save();
 
       console.log('🟢 Permit payment confirmed and submitted:', permitId);
 
-      // If permit was just submitted, notify department reviewers
-      if (wasSubmitted) {
+      // If permit was just submitted, notify the first-stage departments
+      if (openedReviews.length > 0) {
         try {
-          const notificationService = require('../services/notificationService');
-
-          // Populate permit type and property to get details
-          await permit.populate('permitTypeId');
-          await permit.populate('propertyId');
-
-          const permitType = permit.permitTypeId?.name || permit.type;
-          const propertyAddress = permit.propertyId?.location?.address || 'N/A';
-          const applicantName =
-            permit.applicant?.name || req.user.fullName || req.user.email;
-
-          // Notify each department assigned to review this permit
-          for (const review of permit.departmentReviews) {
-            await notificationService.notifyDepartmentReviewers({
-              municipalityId: permit.municipalityId,
-              department: review.department,
-              notificationType: 'assignment',
-              notificationData: {
-                permitNumber: permit.permitNumber,
-                permitType: permitType,
-                department: review.department,
-                propertyAddress: propertyAddress,
-                applicantName: applicantName,
-                permitId: permit._id.toString(),
-              },
-            });
-
-            console.log(
-              `📧 Department assignment notifications sent for ${review.department} on permit ${permit.permitNumber}`,
-            );
-          }
+          await departmentReviewRoutingService.notifyOpened(
+            permit,
+            openedReviews,
+            permit.applicant?.name || req.user.fullName || req.user.email,
+          );
         } catch (notificationError) {
           console.error(
             'Failed to send department assignment notifications:',
@@ -2530,8 +2678,9 @@ router.post(
         }
       }
 
-      // Calculate payment status from fees
-      const allFeesPaid = permit.fees.every((fee) => fee.paid);
+      // Calculate payment status from the fee ledger
+      const { totals } = await permitFeeService.getLedger(permit);
+      const allFeesPaid = totals.balance <= 0;
 
       res.json({
         success: true,
@@ -2543,12 +2692,15 @@ router.post(
           paymentStatus: allFeesPaid ? 'paid' : 'partial',
           totalFees: permit.totalFees,
           totalPaid: permit.totalPaid,
+          balanceDue: totals.balance,
           paymentDate: paymentDate,
+          receiptNumber: payment.receiptNumber,
+          paymentTransactionId: payment._id,
         },
       });
     } catch (error) {
       console.error('❌ Error confirming payment:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to confirm payment',
         error: error.message,
@@ -2563,7 +2715,9 @@ router.post(
 
 /**
  * PUT /municipalities/:municipalityId/permits/:permitId/reviews/:departmentName
- * Submit or update a department review for a permit
+ * Submit or update a department review for a permit. Reviews in a later
+ * stage are locked until the earlier required reviews are approved;
+ * approving the last open review of a stage opens the next one.
  */
 router.put(
   '/municipalities/:municipalityId/permits/:permitId/reviews/:departmentName',
@@ -2583,33 +2737,14 @@ router.put(
         return res.status(404).json({ error: 'Permit not found' });
       }
 
-      // Find the department review
-      const reviewIndex = permit.departmentReviews.findIndex(
-        (review) => review.department === departmentName,
+      // Update the department review (rejects reviews in a locked stage)
+      const { stageBefore } = departmentReviewRoutingService.recordDecision(
+        permit,
+        departmentName,
+        req.user,
+        { status, conditions, requestedRevisions, notes: comments },
       );
 
-      if (reviewIndex === -1) {
-        return res.status(404).json({
-          error: `No review found for department: ${departmentName}`,
-        });
-      }
-
-      // Update review status
-      permit.departmentReviews[reviewIndex].status = status;
-      permit.departmentReviews[reviewIndex].reviewedBy = req.user._id;
-      permit.departmentReviews[reviewIndex].reviewedAt = new Date();
-
-      // Add conditions if provided
-      if (conditions && conditions.length > 0) {
-        permit.departmentReviews[reviewIndex].conditions = conditions;
-      }
-
-      // Add requested revisions if provided
-      if (requestedRevisions && requestedRevisions.length > 0) {
-        permit.departmentReviews[reviewIndex].requestedRevisions =
-          requestedRevisions;
-      }
-
       // If reviewer provided comments, create a PermitComment
       if (comments && comments.trim()) {
         const PermitComment = require('../models/PermitComment');
@@ -2658,6 +2793,16 @@ router.put(
         }
       }
 
+      // Open the next stage once this one is cleared
+      const openedReviews =
+        permit.status === 'denied' || stageBefore === null
+          ? []
+          : departmentReviewRoutingService.openStages(
+              permit,
+              req.user,
+              stageBefore,
+            );
+
       await permit.save();
 
       // Populate reviewer details
@@ -2699,12 +2844,32 @@ router.put(
         // Don't fail the request if notification fails
       }
 
+      if (openedReviews.length > 0) {
+        try {
+          await departmentReviewRoutingService.notifyOpened(
+            permit,
+            openedReviews,
+          );
+        } catch (notificationError) {
+          console.error(
+            'Failed to send department assignment notifications:',
+            notificationError,
+          );
+        }
+      }
+
       res.json({
         permit,
         message: 'Review submitted successfully',
       });
     } catch (error) {
       console.error('❌ Error submitting department review:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          message: error.message,
+        });
+      }
       res.status(500).json({
         error: 'Failed to submit review',
         message: error.message,
@@ -2713,6 +2878,91 @@ router.put(
   },
 );
 
+/**
+ * POST /municipalities/:municipalityId/permits/:permitId/reviews/resubmit
+ * Send a permit back to the departments that requested revisions. Approved
+ * reviews are kept; only those departments restart their review.
+ */
+router.post(
+  '/municipalities/:municipalityId/permits/:permitId/reviews/resubmit',
+  authenticateToken,
+  checkMunicipalityAccess,
+  async (req, res) => {
+    try {
+      const { municipalityId, permitId } = req.params;
+
+      const permit = await Permit.findOne({
+        _id: permitId,
+        municipalityId,
+      });
+
+      if (!permit) {
+        return res.status(404).json({ error: 'Permit not found' });
+      }
+
+      const userId = req.user._id.toString();
+      const isOwner =
+        permit.submitted_by?.toString() === userId ||
+        permit.createdBy?.toString() === userId ||
+        (!!req.user.contractor_id &&
+          permit.contractor_id?.toString() ===
+            req.user.contractor_id.toString());
+      const isStaff =
+        req.user.global_role === 'avitar_staff' ||
+        req.user.global_role === 'avitar_admin' ||
+        req.user.hasModulePermission(
+          municipalityId,
+          'building_permit',
+          'update',
+        );
+
+      if (!isOwner && !isStaff) {
+        return res.status(403).json({
+          error: 'Only the permit applicant can resubmit revisions',
+        });
+      }
+
+      const restarted = departmentReviewRoutingService.resubmitRevisions(
+        permit,
+        req.user,
+        req.body.notes,
+      );
+
+      await permit.save();
+
+      console.log(
+        `🔁 Permit ${permit.permitNumber} resubmitted to ${restarted.map((r) => r.department).join(', ')}`,
+      );
+
+      try {
+        await departmentReviewRoutingService.notifyOpened(permit, restarted);
+      } catch (notificationError) {
+        console.error(
+          'Failed to send department assignment notifications:',
+          notificationError,
+        );
+      }
+
+      res.json({
+        permit,
+        message: 'Revisions resubmitted for review',
+      });
+    } catch (error) {
+      console.error('❌ Error resubmitting revisions:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          message: error.message,
+        });
+      }
+      res.status(500).json({
+        error: 'Failed to resubmit revisions',
+        message: error.message,
+      });
+    }
+  },
+);
+
 // ===================================================================
 // INSPECTION ENDPOINTS
 // ===================================================================
@@ -3146,17 +3396,30 @@ router.get(
         _id: inspectionId,
         municipalityId,
       })
-        .populate('permitId', 'permitNumber type propertyAddress')
+        .populate({
+          path: 'permitId',
+          select: 'permitNumber type propertyAddress permitTypeId',
+          populate: {
+            path: 'permitTypeId',
+            select: 'name category inspectionSettings.requiredInspections',
+          },
+        })
         .populate('inspector', 'first_name last_name email phone')
         .populate('propertyId', 'location pid pid_formatted')
-        .populate('permitId.permitTypeId', 'name category')
+        .populate('notes.createdBy', 'first_name last_name')
         .populate('history.performedBy', 'first_name last_name');
 
       if (!inspection) {
         return res.status(404).json({ error: 'Inspection not found' });
       }
 
-      res.json({ inspection });
+      res.json({
+        inspection,
+        checklist: fieldInspectionService.getChecklist(
+          inspection.permitId?.permitTypeId,
+          inspection.type,
+        ),
+      });
     } catch (error) {
       console.error('Error fetching inspection:', error);
       res.status(500).json({
@@ -3264,7 +3527,7 @@ router.post(
   async (req, res) => {
     try {
       const { municipalityId, inspectionId } = req.params;
-      const { photoUrl, caption, base64Data } = req.body;
+      const { photoUrl, caption, base64Data, clientId, takenAt } = req.body;
 
       if (!photoUrl && !base64Data) {
         return res
@@ -3281,17 +3544,26 @@ router.post(
         return res.status(404).json({ error: 'Inspection not found' });
       }
 
+      // Replayed from the field app after a lost response
+      if (fieldInspectionService.wasApplied(inspection, 'photo', clientId)) {
+        return res.json({
+          message: 'Photo already uploaded',
+          photo: inspection.photos.find((photo) => photo.clientId === clientId),
+        });
+      }
+
       // Initialize photos array if it doesn't exist
       if (!inspection.photos) {
         inspection.photos = [];
       }
 
-      // Add photo
+      // Add photo (taken offline photos keep the time they were taken)
       const photo = {
         url: photoUrl || base64Data, // In production, handle file upload properly
         caption: caption || '',
+        clientId,
         uploadedBy: req.user._id,
-        uploadedAt: new Date(),
+        uploadedAt: takenAt ? new Date(takenAt) : new Date(),
       };
 
       inspection.photos.push(photo);
@@ -3324,7 +3596,7 @@ router.post(
   async (req, res) => {
     try {
       const { municipalityId, inspectionId } = req.params;
-      const { content, attachments } = req.body;
+      const { content, attachments, clientId, recordedAt } = req.body;
 
       if (!content?.trim()) {
         return res.status(400).json({ error: 'content is required' });
@@ -3339,17 +3611,27 @@ router.post(
         return res.status(404).json({ error: 'Inspection not found' });
       }
 
+      // Replayed from the field app after a lost response
+      if (fieldInspectionService.wasApplied(inspection, 'note', clientId)) {
+        await inspection.populate('notes.createdBy', 'first_name last_name');
+        return res.json({
+          message: 'Note already added',
+          note: inspection.notes.find((note) => note.clientId === clientId),
+        });
+      }
+
       // Initialize notes array if it doesn't exist
       if (!inspection.notes) {
         inspection.notes = [];
       }
 
-      // Add note
+      // Add note (notes written offline keep the time they were written)
       const note = {
         content: content.trim(),
         attachments: attachments || [],
+        clientId,
         createdBy: req.user._id,
-        createdAt: new Date(),
+        createdAt: recordedAt ? new Date(recordedAt) : new Date(),
       };
 
       inspection.notes.push(note);
@@ -3389,7 +3671,11 @@ router.post(
 
 /**
  * PATCH /municipalities/:municipalityId/inspections/:inspectionId/status
- * Update inspection status and result
+ * Update inspection status and result, with any violations, conditions and
+ * checklist responses found on site.
+ * Results recorded offline send clientId (replays are ignored), recordedAt and
+ * baseUpdatedAt; if the outcome was changed by someone else after
+ * baseUpdatedAt the update is refused with 409 unless force is set.
  */
 router.patch(
   '/municipalities/:municipalityId/inspections/:inspectionId/status',
@@ -3398,7 +3684,18 @@ router.patch(
   async (req, res) => {
     try {
       const { municipalityId, inspectionId } = req.params;
-      const { status, result, comments } = req.body;
+      const {
+        status,
+        result,
+        comments,
+        violations,
+        conditions,
+        checklistResults,
+        clientId,
+        recordedAt,
+        baseUpdatedAt,
+        force,
+      } = req.body;
 
       if (!status) {
         return res.status(400).json({ error: 'status is required' });
@@ -3413,6 +3710,30 @@ router.patch(
         return res.status(404).json({ error: 'Inspection not found' });
       }
 
+      // Replayed from the field app after a lost response
+      if (fieldInspectionService.wasApplied(inspection, 'status', clientId)) {
+        return res.json({
+          message: 'Inspection status already recorded',
+          inspection,
+        });
+      }
+
+      if (!force) {
+        const conflict = fieldInspectionService.findOutcomeConflict(
+          inspection,
+          baseUpdatedAt,
+        );
+        if (conflict) {
+          return res.status(409).json({
+            error: 'Inspection was updated by someone else',
+            message:
+              'This inspection was updated by someone else after you started working on it',
+            conflict,
+            inspection,
+          });
+        }
+      }
+
       const oldStatus = inspection.status;
       const oldResult = inspection.result;
 
@@ -3420,11 +3741,18 @@ router.patch(
       inspection.status = status;
       if (result) inspection.result = result;
       if (comments) inspection.comments = comments;
+      fieldInspectionService.applyFindings(inspection, {
+        violations,
+        conditions,
+        checklistResults,
+        recordedAt,
+      });
       inspection.updatedAt = new Date();
 
-      // Set completion date if status is completed
+      // Set completion date if status is completed, using the time it was
+      // recorded on site for results synced after the fact
       if (status === 'completed' && !inspection.completedAt) {
-        inspection.completedAt = new Date();
+        inspection.completedAt = recordedAt ? new Date(recordedAt) : new Date();
       }
 
       // Add to history
@@ -3441,11 +3769,16 @@ router.patch(
           oldResult,
           newResult: result,
           comments,
+          violationCount: violations?.length || 0,
+          clientId,
+          recordedAt,
         },
       });
 
       await inspection.save();
 
+      const permit = await Permit.findById(inspection.permitId);
+
       // Send notifications if completed with passed or failed result
       if (
         permit &&
@@ -3505,6 +3838,12 @@ router.patch(
       });
     } catch (error) {
       console.error('Error updating inspection status:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          message: error.message,
+        });
+      }
       res.status(500).json({
         error: 'Failed to update inspection status',
         message: error.message,
@@ -7,6 +7,7 @@ const LandAssessment = require('../models/LandAssessment');
 const BuildingCalculationConfig = require('../models/BuildingCalculationConfig');
 const BuildingAssessmentCalculationService = require('../services/buildingAssessmentCalculationService');
 const LandAssessmentCalculationService = require('../services/landAssessmentCalculationService');
+const propertyQueryService = require('../services/propertyQueryService');
 const SalesHistory = require('../models/SalesHistory');
 const PropertyView = require('../models/PropertyView');
 const Municipality = require('../models/Municipality');
@@ -36,12 +37,48 @@ const {
   roundToNearestHundred,
 } = require('../utils/assessment');
 const BillingPeriodValidator = require('../utils/billingPeriodValidator');
+const {
+  exportSketch,
+  FORMATS: SKETCH_EXPORT_FORMATS,
+} = require('../utils/sketchExport');
+const { formatVDFFilename } = require('../utils/vdfParser');
 const {
   addCardNumbersToFeatures,
 } = require('../migrations/add-card-numbers-to-features');
 
 const router = express.Router();
 
+/**
+ * Middleware to check municipality access
+ */
+const checkMunicipalityAccess = (req, res, next) => {
+  const { municipalityId } = req.params;
+
+  if (!require('mongoose').Types.ObjectId.isValid(municipalityId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid municipality ID',
+    });
+  }
+
+  // Avitar staff have access to all municipalities
+  if (
+    req.user.global_role === 'avitar_staff' ||
+    req.user.global_role === 'avitar_admin'
+  ) {
+    return next();
+  }
+
+  if (!req.user.hasAccessToMunicipality(municipalityId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this municipality',
+    });
+  }
+
+  next();
+};
+
 // Helper function to build owner information for property responses
 async function buildOwnerInfo(propertyId) {
   try {
@@ -3047,6 +3084,78 @@ router.put(
   },
 );
 
+// @route   GET /api/properties/:id/sketches/:sketchId/export
+// @desc    Export a sketch as SVG (record cards), DXF (engineers) or VDF (desktop CAMA)
+// @access  Private
+router.get(
+  '/properties/:id/sketches/:sketchId/export',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { id, sketchId } = req.params;
+      const format = String(req.query.format || 'svg').toLowerCase();
+      const mongoose = require('mongoose');
+
+      if (!SKETCH_EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported export format "${format}". Use svg, dxf or vdf.`,
+        });
+      }
+
+      if (
+        !mongoose.Types.ObjectId.isValid(id) ||
+        !mongoose.Types.ObjectId.isValid(sketchId)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid property or sketch ID',
+        });
+      }
+
+      const sketch = await PropertySketch.findOne({
+        _id: sketchId,
+        property_id: id,
+      }).lean();
+
+      if (!sketch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sketch not found',
+        });
+      }
+
+      const property = await PropertyTreeNode.findById(id)
+        .select('pid_raw pid_formatted')
+        .lean();
+
+      const pid = property?.pid_formatted || property?.pid_raw || id;
+      const { buffer, extension, mimeType } = exportSketch(sketch, format, {
+        title: `${pid} Card ${sketch.card_number} - ${sketch.name}`,
+      });
+
+      // VDF files keep the desktop name so they import back onto the card
+      const filename =
+        (format === 'vdf' &&
+          formatVDFFilename(property?.pid_raw, sketch.card_number)) ||
+        `sketch-${String(pid).replace(/[^\w-]+/g, '_')}-card-${sketch.card_number}.${extension}`;
+
+      res.setHeader('Content-Type', mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}"`,
+      );
+      res.send(buffer);
+    } catch (error) {
+      console.error('Export sketch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export sketch',
+      });
+    }
+  },
+);
+
 // @route   DELETE /api/properties/:id/sketches/:sketchId
 // @desc    Delete a sketch
 // @access  Private
@@ -3797,396 +3906,109 @@ router.post(
 );
 
 // @route   POST /api/municipalities/:municipalityId/properties/query
-// @desc    Enhanced property query with proper field mapping and AND/OR logic
+// @desc    Property query using the filter grammar in propertyQueryService
 // @access  Private
 router.post(
   '/municipalities/:municipalityId/properties/query',
   authenticateToken,
+  checkMunicipalityAccess,
   async (req, res) => {
     try {
       const { municipalityId } = req.params;
-      const queryParams = req.body; // Keep simple structure for now
+      const queryParams = req.body;
 
       console.log('Property query request:', { municipalityId, queryParams });
 
-      // Field mapping: frontend field -> {collection, field, type}
-      const fieldMapping = {
-        // Building data (needs join with BuildingAssessment)
-        bedrooms: {
-          collection: 'building_assessments',
-          field: 'bedrooms',
-          type: 'number',
-        },
-        bathrooms: {
-          collection: 'building_assessments',
-          field: 'full_baths',
-          type: 'number',
-        },
-        buildingSizeMin: {
-          collection: 'building_assessments',
-          field: 'effective_area',
-          type: 'range',
-        },
-        buildingSizeMax: {
-          collection: 'building_assessments',
-          field: 'effective_area',
-          type: 'range',
-        },
-        buildingHeightMin: {
-          collection: 'building_assessments',
-          field: 'story_height',
-          type: 'range',
-        },
-        buildingHeightMax: {
-          collection: 'building_assessments',
-          field: 'story_height',
-          type: 'range',
-        },
-        yearBuiltMin: {
-          collection: 'building_assessments',
-          field: 'year_built',
-          type: 'range',
-        },
-        yearBuiltMax: {
-          collection: 'building_assessments',
-          field: 'year_built',
-          type: 'range',
-        },
-
-        // Assessment data (needs join with PropertyAssessment)
-        assessmentMin: {
-          collection: 'property_assessments',
-          field: 'total_value',
-          type: 'range',
-        },
-        assessmentMax: {
-          collection: 'property_assessments',
-          field: 'total_value',
-          type: 'range',
-        },
-
-        // Land data (needs join with LandAssessment)
-        landAreaMin: {
-          collection: 'land_assessments',
-          field: 'acreage',
-          type: 'range',
-          convert: 'sqft_to_acres',
-        },
-        landAreaMax: {
-          collection: 'land_assessments',
-          field: 'acreage',
-          type: 'range',
-          convert: 'sqft_to_acres',
-        },
-
-        // Property tree data (direct access)
-        zone: {
-          collection: 'property_tree_nodes',
-          field: 'location.zone',
-          type: 'string',
-        },
-      };
-
-      // Range field pairs for automatic range detection
-      const rangeFields = [
-        {
-          min: 'buildingSizeMin',
-          max: 'buildingSizeMax',
-          field: 'effective_area',
-          collection: 'building_assessments',
-        },
-        {
-          min: 'buildingHeightMin',
-          max: 'buildingHeightMax',
-          field: 'story_height',
-          collection: 'building_assessments',
-        },
-        {
-          min: 'yearBuiltMin',
-          max: 'yearBuiltMax',
-          field: 'year_built',
-          collection: 'building_assessments',
-        },
-        {
-          min: 'assessmentMin',
-          max: 'assessmentMax',
-          field: 'total_value',
-          collection: 'property_assessments',
-        },
-        {
-          min: 'landAreaMin',
-          max: 'landAreaMax',
-          field: 'acreage',
-          collection: 'land_assessments',
-        },
-      ];
-
-      // For now, let's start with a simpler approach
-      // Build aggregation pipeline for PropertyTreeNode with joins
-      const currentYear = new Date().getFullYear();
-      const mongoose = require('mongoose');
-      const { ObjectId } = mongoose.Types;
+      const formattedProperties = await propertyQueryService.run(
+        municipalityId,
+        queryParams,
+      );
 
-      const pipeline = [
-        // Start with PropertyTreeNode for this municipality
-        { $match: { municipality_id: new ObjectId(municipalityId) } },
-      ];
+      res.json({
+        success: true,
+        properties: formattedProperties,
+        query: queryParams,
+        count: formattedProperties.length,
+      });
+    } catch (error) {
+      console.error('Property query error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Failed to query properties',
+        details: error.message,
+      });
+    }
+  },
+);
 
-      // Add lookup stages for each collection we might need
-      const needsBuildingData = Object.keys(queryParams).some(
-        (key) => fieldMapping[key]?.collection === 'building_assessments',
-      );
+// @route   POST /api/municipalities/:municipalityId/properties/query/export
+// @desc    Run a property query and download the results as CSV
+// @access  Private
+router.post(
+  '/municipalities/:municipalityId/properties/query/export',
+  authenticateToken,
+  checkMunicipalityAccess,
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { filters = {}, name } = req.body;
 
-      const needsAssessmentData = Object.keys(queryParams).some(
-        (key) => fieldMapping[key]?.collection === 'property_assessments',
+      const properties = await propertyQueryService.run(
+        municipalityId,
+        filters,
       );
-
-      const needsLandData = Object.keys(queryParams).some(
-        (key) => fieldMapping[key]?.collection === 'land_assessments',
+      const { buffer, extension, mimeType } = await propertyQueryService.toCsv(
+        properties,
+        name || 'Property Query',
       );
 
-      if (needsBuildingData) {
-        pipeline.push({
-          $lookup: {
-            from: 'building_assessments',
-            let: { propertyId: '$_id' },
-            pipeline: [
-              {
-                $match: {
-                  $expr: {
-                    $and: [
-                      { $eq: ['$property_id', '$$propertyId'] },
-                      { $eq: ['$effective_year', currentYear] },
-                    ],
-                  },
-                },
-              },
-            ],
-            as: 'building_assessments',
-          },
-        });
-      }
-
-      if (needsAssessmentData) {
-        pipeline.push({
-          $lookup: {
-            from: 'property_assessments',
-            let: { propertyId: '$_id' },
-            pipeline: [
-              {
-                $match: {
-                  $expr: {
-                    $and: [
-                      { $eq: ['$property_id', '$$propertyId'] },
-                      { $eq: ['$effective_year', currentYear] },
-                    ],
-                  },
-                },
-              },
-            ],
-            as: 'property_assessments',
-          },
-        });
-      }
-
-      if (needsLandData) {
-        pipeline.push({
-          $lookup: {
-            from: 'land_assessments',
-            let: { propertyId: '$_id' },
-            pipeline: [
-              {
-                $match: {
-                  $expr: {
-                    $and: [
-                      { $eq: ['$property_id', '$$propertyId'] },
-                      { $eq: ['$effective_year', currentYear] },
-                    ],
-                  },
-                },
-              },
-            ],
-            as: 'land_assessments',
-          },
-        });
-      }
+      const filename = `${(name || 'property-query')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')}.${extension}`;
 
-      // Build filter conditions
-      const mongoQuery = {};
-
-      // Process each query parameter
-      Object.keys(queryParams).forEach((key) => {
-        const value = queryParams[key];
-        if (!value || value.toString().trim() === '') return;
-
-        const mapping = fieldMapping[key];
-        if (!mapping) return;
-
-        // Handle different field types
-        if (key === 'bedrooms') {
-          if (value === '6+') {
-            mongoQuery['building_assessments.0.bedrooms'] = { $gte: 6 };
-          } else {
-            mongoQuery['building_assessments.0.bedrooms'] = parseInt(value);
-          }
-        } else if (key === 'bathrooms') {
-          if (value === '4+') {
-            mongoQuery['building_assessments.0.full_baths'] = { $gte: 4 };
-          } else {
-            mongoQuery['building_assessments.0.full_baths'] = parseFloat(value);
-          }
-        } else if (key === 'zone') {
-          mongoQuery['location.zone'] = value;
-        }
+      res.set({
+        'Content-Type': mimeType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': buffer.length,
       });
-
-      // Handle range fields
-      rangeFields.forEach((rangeField) => {
-        const minValue = queryParams[rangeField.min];
-        const maxValue = queryParams[rangeField.max];
-
-        if (minValue || maxValue) {
-          const dbPath = `${rangeField.collection}.0.${rangeField.field}`;
-          const rangeCondition = {};
-
-          if (minValue) {
-            let convertedMin = parseFloat(minValue);
-            if (rangeField.field === 'acreage') {
-              convertedMin = convertedMin / 43560; // Convert sq ft to acres
-            }
-            rangeCondition.$gte = convertedMin;
-          }
-
-          if (maxValue) {
-            let convertedMax = parseFloat(maxValue);
-            if (rangeField.field === 'acreage') {
-              convertedMax = convertedMax / 43560; // Convert sq ft to acres
-            }
-            rangeCondition.$lte = convertedMax;
-          }
-
-          mongoQuery[dbPath] = rangeCondition;
-        }
+      res.send(buffer);
+    } catch (error) {
+      console.error('Property query export error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : 'Failed to export property query',
       });
+    }
+  },
+);
 
-      // Add the filter stage if we have conditions
-      if (Object.keys(mongoQuery).length > 0) {
-        pipeline.push({ $match: mongoQuery });
-      }
-
-      // Limit results and project needed fields
-      pipeline.push(
-        { $limit: 1000 },
-        {
-          $project: {
-            id: { $toString: '$_id' }, // Map MongoDB _id to string id (required for frontend routing)
-            property_id: '$_id', // Map MongoDB _id to property_id for frontend
-            pid_raw: 1,
-            pid_formatted: 1,
-            account_number: 1,
-            location: 1,
-            owner: 1,
-            property_class: 1,
-            property_type: 1,
-            assessed_value: 1,
-            tax_status: 1,
-            last_updated: 1,
-          },
-        },
+// @route   GET /api/municipalities/:municipalityId/properties/query-options
+// @desc    Values for the property query's zone, neighborhood, class,
+//          building code and exemption type filters
+// @access  Private
+router.get(
+  '/municipalities/:municipalityId/properties/query-options',
+  authenticateToken,
+  checkMunicipalityAccess,
+  async (req, res) => {
+    try {
+      const options = await propertyQueryService.getFilterOptions(
+        req.params.municipalityId,
       );
 
-      console.log('Aggregation pipeline:', JSON.stringify(pipeline, null, 2));
-
-      // Execute the aggregation
-      const PropertyTreeNode = require('../models/PropertyTreeNode');
-      const properties = await PropertyTreeNode.aggregate(pipeline);
-
-      console.log(`Found ${properties.length} properties matching query`);
-
-      // Post-process query results to match regular properties format
-      const PIDFormat = require('../models/PIDFormat');
-      const pidFormat = await PIDFormat.findOne({
-        municipality_id: new ObjectId(municipalityId),
-      });
-
-      const formattedProperties = properties.map((property) => {
-        // Format PID
-        let pid_formatted = property.pid_formatted;
-        let mapNumber = 'Unknown';
-        let lotSubDisplay = 'Unknown';
-
-        if (property.pid_raw) {
-          try {
-            if (pidFormat) {
-              pid_formatted = pidFormat.formatPID(property.pid_raw);
-              const segments = pidFormat.getSegments(property.pid_raw);
-              mapNumber = segments.map || 'Unknown';
-
-              if (segments.sublot && parseInt(segments.sublot) > 0) {
-                lotSubDisplay = `${segments.lot}-${segments.sublot}`;
-              } else {
-                lotSubDisplay = segments.lot || 'Unknown';
-              }
-            } else {
-              // Default format: 6-6-6 with hyphens
-              const map = property.pid_raw.substr(0, 6);
-              const lot = property.pid_raw.substr(6, 6);
-              const sublot = property.pid_raw.substr(12, 6);
-
-              mapNumber = map;
-
-              if (parseInt(sublot) > 0) {
-                pid_formatted = `${map}-${lot}-${sublot}`;
-                lotSubDisplay = `${lot}-${sublot}`;
-              } else {
-                pid_formatted = `${map}-${lot}`;
-                lotSubDisplay = lot;
-              }
-            }
-          } catch (error) {
-            console.warn('Error formatting PID:', error.message);
-            pid_formatted = property.pid_raw;
-            mapNumber = 'Unknown';
-            lotSubDisplay = 'Unknown';
-          }
-        }
-
-        return {
-          ...property,
-          // Update PID formatting
-          pid_formatted: pid_formatted,
-          pid: pid_formatted, // Legacy field
-          mapNumber: mapNumber,
-          lotSubDisplay: lotSubDisplay,
-
-          // Add legacy fields for backward compatibility
-          streetNumber: property.location?.street_number,
-          streetName: property.location?.street,
-          streetAddress: property.location?.address,
-          neighborhood: property.location?.neighborhood,
-          zone: property.location?.zone,
-          ownerName: property.owner?.primary_name,
-          ownerMailingAddress: property.owner?.mailing_address,
-          propertyClass: property.property_class,
-          propertyType: property.property_type,
-          taxStatus: property.tax_status,
-          totalValue: property.assessed_value || 0,
-          taxYear: new Date().getFullYear(),
-        };
-      });
-
       res.json({
         success: true,
-        properties: formattedProperties,
-        query: queryParams,
-        count: formattedProperties.length,
+        ...options,
       });
     } catch (error) {
-      console.error('Property query error:', error);
+      console.error('Failed to fetch property query options:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to query properties',
-        details: error.message,
+        message: 'Failed to fetch property query options',
+        error: error.message,
       });
     }
   },
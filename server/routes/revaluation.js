@@ -7,10 +7,28 @@ const SalesHistory = require('../models/SalesHistory');
 const BuildingAssessment = require('../models/BuildingAssessment');
 const PIDFormat = require('../models/PIDFormat');
 const BuildingAssessmentCalculator = require('../utils/building-assessment-calculator');
+const revaluationCalculationService = require('../services/revaluationCalculationService');
+const ratioStudyService = require('../services/ratioStudyService');
+const revaluationShadowService = require('../services/revaluationShadowService');
 const mongoose = require('mongoose');
 const { authenticateToken } = require('../middleware/auth');
 const { formatPid } = require('../utils/pidFormatter');
 
+/**
+ * Approving and committing a revaluation changes every parcel's values,
+ * so it takes municipal admin rights (same rule as mass operations)
+ */
+function hasRevaluationAdminAccess(user, municipalityId) {
+  return (
+    ['avitar_staff', 'avitar_admin'].includes(user.global_role) ||
+    user.municipal_permissions?.some(
+      (perm) =>
+        perm.municipality_id.toString() === municipalityId.toString() &&
+        perm.role === 'admin',
+    )
+  );
+}
+
 // =============================================================================
 // REVALUATION ENDPOINTS
 // =============================================================================
@@ -121,6 +139,102 @@ router.put(
   },
 );
 
+// PUT /api/municipalities/:municipalityId/revaluations/:revId/status - Approve or reopen a revaluation
+router.put(
+  '/municipalities/:municipalityId/revaluations/:revId/status',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { municipalityId, revId } = req.params;
+      const { status } = req.body;
+
+      if (!['in_progress', 'approved'].includes(status)) {
+        return res
+          .status(400)
+          .json({ error: 'Status must be in_progress or approved' });
+      }
+
+      if (!hasRevaluationAdminAccess(req.user, municipalityId)) {
+        return res
+          .status(403)
+          .json({ error: 'Admin access required to approve a revaluation' });
+      }
+
+      const revaluation = await Revaluation.findOne({
+        _id: revId,
+        municipality_id: municipalityId,
+      });
+      if (!revaluation) {
+        return res.status(404).json({ error: 'Revaluation not found' });
+      }
+
+      if (revaluation.status === 'completed') {
+        return res
+          .status(409)
+          .json({ error: 'A committed revaluation cannot be changed' });
+      }
+
+      revaluation.status = status;
+      if (status === 'approved') {
+        revaluation.approved_by = req.user._id;
+        revaluation.approved_at = new Date();
+      } else {
+        revaluation.approved_by = undefined;
+        revaluation.approved_at = undefined;
+      }
+      revaluation.updated_by = req.user._id;
+      await revaluation.save();
+
+      res.json({ revaluation });
+    } catch (error) {
+      console.error('Error updating revaluation status:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/revaluations/:revId/commit - Commit the previewed values
+router.post(
+  '/municipalities/:municipalityId/revaluations/:revId/commit',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { municipalityId, revId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(revId)) {
+        return res.status(400).json({ error: 'Invalid revaluation ID' });
+      }
+
+      if (!hasRevaluationAdminAccess(req.user, municipalityId)) {
+        return res
+          .status(403)
+          .json({ error: 'Admin access required to commit a revaluation' });
+      }
+
+      const exists = await Revaluation.exists({
+        _id: revId,
+        municipality_id: municipalityId,
+      });
+      if (!exists) {
+        return res.status(404).json({ error: 'Revaluation not found' });
+      }
+
+      const result = await revaluationShadowService.commit(revId, req.user, {
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+      });
+
+      res.json(result);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Error committing revaluation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
 // =============================================================================
 // ANALYSIS SHEET ENDPOINTS
 // =============================================================================
@@ -510,7 +624,7 @@ router.get(
 );
 
 // =============================================================================
-// RECALCULATION ENDPOINT (Placeholder - will implement calculation service)
+// RECALCULATION ENDPOINT
 // =============================================================================
 
 // POST /api/revaluations/:revId/recalculate-all - Recalculate all sheets
@@ -520,35 +634,154 @@ router.post(
   async (req, res) => {
     try {
       const { revId } = req.params;
-      const revObjectId = new mongoose.Types.ObjectId(revId);
 
-      // Load revaluation with global settings
-      const revaluation = await Revaluation.findById(revObjectId).lean();
-      if (!revaluation) {
+      if (!mongoose.Types.ObjectId.isValid(revId)) {
+        return res.status(400).json({ error: 'Invalid revaluation ID' });
+      }
+
+      const result = await revaluationCalculationService.recalculateAll(
+        revId,
+        req.user._id,
+      );
+      if (!result) {
         return res.status(404).json({ error: 'Revaluation not found' });
       }
 
-      // Load all sheets
-      const sheets = await RevaluationAnalysisSheet.find({
-        revaluation_id: revObjectId,
-      });
+      res.json(result);
+    } catch (error) {
+      console.error('Error recalculating sheets:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
 
-      // TODO: Implement calculation service to recalculate each sheet
-      // For now, just return the sheets and revaluation
-      // The calculation service will:
-      // 1. Apply time trend adjustments
-      // 2. Calculate age from base_year
-      // 3. Apply depreciation
-      // 4. Calculate average/median rates
+// =============================================================================
+// WHAT-IF PREVIEW ENDPOINTS
+// =============================================================================
 
-      res.json({
-        revaluation,
-        sheets,
-        message:
-          'Calculation service not yet implemented. Sheets will be recalculated once service is ready.',
-      });
+// POST /api/revaluations/:revId/shadow-preview - Apply approved sheet rates to all parcels as a shadow year
+router.post(
+  '/revaluations/:revId/shadow-preview',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { revId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(revId)) {
+        return res.status(400).json({ error: 'Invalid revaluation ID' });
+      }
+
+      const result = await revaluationShadowService.generatePreview(
+        revId,
+        req.user,
+      );
+      if (!result) {
+        return res.status(404).json({ error: 'Revaluation not found' });
+      }
+
+      res.json(result);
     } catch (error) {
-      console.error('Error recalculating sheets:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Error generating revaluation preview:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// GET /api/revaluations/:revId/shadow-preview - Per-parcel and per-neighborhood deltas with tax rate impact
+router.get(
+  '/revaluations/:revId/shadow-preview',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { revId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(revId)) {
+        return res.status(400).json({ error: 'Invalid revaluation ID' });
+      }
+
+      const preview = await revaluationShadowService.getPreview(
+        revId,
+        req.query,
+      );
+      if (!preview) {
+        return res.status(404).json({ error: 'Revaluation not found' });
+      }
+
+      res.json(preview);
+    } catch (error) {
+      console.error('Error fetching revaluation preview:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// =============================================================================
+// RATIO STUDY ENDPOINTS
+// =============================================================================
+
+// GET /api/revaluations/:revId/ratio-study - Sales ratio study (median, COD, PRD, PRB by stratum)
+router.get(
+  '/revaluations/:revId/ratio-study',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { revId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(revId)) {
+        return res.status(400).json({ error: 'Invalid revaluation ID' });
+      }
+
+      const study = await ratioStudyService.run(
+        revId,
+        ratioStudyService.parseOptions(req.query),
+      );
+      if (!study) {
+        return res.status(404).json({ error: 'Revaluation not found' });
+      }
+
+      res.json(study);
+    } catch (error) {
+      console.error('Error running ratio study:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// GET /api/revaluations/:revId/ratio-study/export - Download ratio study (pdf, excel, csv)
+router.get(
+  '/revaluations/:revId/ratio-study/export',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { revId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(revId)) {
+        return res.status(400).json({ error: 'Invalid revaluation ID' });
+      }
+
+      const exported = await ratioStudyService.exportStudy(
+        revId,
+        req.query.format || 'pdf',
+        ratioStudyService.parseOptions(req.query),
+      );
+      if (!exported) {
+        return res.status(404).json({ error: 'Revaluation not found' });
+      }
+
+      res.setHeader('Content-Type', exported.mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${exported.filename}"`,
+      );
+      res.send(exported.buffer);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Error exporting ratio study:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   },
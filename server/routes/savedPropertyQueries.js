@@ -0,0 +1,304 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SavedPropertyQuery = require('../models/SavedPropertyQuery');
+const propertyQueryService = require('../services/propertyQueryService');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Middleware to check municipality access
+ */
+const checkMunicipalityAccess = (req, res, next) => {
+  const { municipalityId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(municipalityId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid municipality ID',
+    });
+  }
+
+  // Avitar staff have access to all municipalities
+  if (
+    req.user.global_role === 'avitar_staff' ||
+    req.user.global_role === 'avitar_admin'
+  ) {
+    return next();
+  }
+
+  if (!req.user.hasAccessToMunicipality(municipalityId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this municipality',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Load a saved query the current user can see into req.savedQuery
+ */
+const loadSavedQuery = async (req, res, next) => {
+  const { municipalityId, queryId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(queryId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid saved query ID',
+    });
+  }
+
+  try {
+    const savedQuery = await SavedPropertyQuery.findOne({
+      _id: queryId,
+      municipality_id: municipalityId,
+    });
+
+    if (
+      !savedQuery ||
+      (!savedQuery.is_shared && !savedQuery.isOwnedBy(req.user._id))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved query not found',
+      });
+    }
+
+    req.savedQuery = savedQuery;
+    next();
+  } catch (error) {
+    console.error('Load saved property query error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load saved query',
+    });
+  }
+};
+
+/**
+ * Only the creator can change or delete a saved query
+ */
+const requireOwner = (req, res, next) => {
+  if (!req.savedQuery.isOwnedBy(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the creator can change this saved query',
+    });
+  }
+  next();
+};
+
+function serialize(savedQuery, userId) {
+  const json = savedQuery.toJSON();
+  return {
+    ...json,
+    is_owner: savedQuery.isOwnedBy(userId),
+  };
+}
+
+function saveErrorResponse(res, error, fallbackMessage) {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'You already have a saved query with this name',
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  });
+}
+
+// @route   GET /api/municipalities/:municipalityId/saved-property-queries
+// @desc    List the user's saved queries and those shared in the municipality
+// @access  Private
+router.get(
+  '/municipalities/:municipalityId/saved-property-queries',
+  authenticateToken,
+  checkMunicipalityAccess,
+  async (req, res) => {
+    try {
+      const savedQueries = await SavedPropertyQuery.findVisibleTo(
+        req.params.municipalityId,
+        req.user._id,
+      );
+
+      res.json({
+        success: true,
+        savedQueries: savedQueries.map((query) =>
+          serialize(query, req.user._id),
+        ),
+      });
+    } catch (error) {
+      console.error('Get saved property queries error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve saved queries',
+      });
+    }
+  },
+);
+
+// @route   POST /api/municipalities/:municipalityId/saved-property-queries
+// @desc    Save a named property query
+// @access  Private
+router.post(
+  '/municipalities/:municipalityId/saved-property-queries',
+  authenticateToken,
+  checkMunicipalityAccess,
+  async (req, res) => {
+    try {
+      const { name, description, filters, is_shared } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Query name is required',
+        });
+      }
+
+      // Reject filters the query service can't run
+      propertyQueryService.buildPipeline(req.params.municipalityId, filters);
+
+      const savedQuery = await SavedPropertyQuery.create({
+        municipality_id: req.params.municipalityId,
+        name,
+        description,
+        filters: filters || {},
+        is_shared: !!is_shared,
+        created_by: req.user._id,
+        updated_by: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        savedQuery: serialize(savedQuery, req.user._id),
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      saveErrorResponse(res, error, 'Failed to save query');
+    }
+  },
+);
+
+// @route   PUT /api/municipalities/:municipalityId/saved-property-queries/:queryId
+// @desc    Rename, re-share or replace the filters of a saved query
+// @access  Private (creator only)
+router.put(
+  '/municipalities/:municipalityId/saved-property-queries/:queryId',
+  authenticateToken,
+  checkMunicipalityAccess,
+  loadSavedQuery,
+  requireOwner,
+  async (req, res) => {
+    try {
+      const { name, description, filters, is_shared } = req.body;
+      const { savedQuery } = req;
+
+      if (filters !== undefined) {
+        propertyQueryService.buildPipeline(req.params.municipalityId, filters);
+        savedQuery.filters = filters || {};
+        savedQuery.markModified('filters');
+      }
+      if (name !== undefined) savedQuery.name = name;
+      if (description !== undefined) savedQuery.description = description;
+      if (is_shared !== undefined) savedQuery.is_shared = !!is_shared;
+      savedQuery.updated_by = req.user._id;
+
+      await savedQuery.save();
+
+      res.json({
+        success: true,
+        savedQuery: serialize(savedQuery, req.user._id),
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      saveErrorResponse(res, error, 'Failed to update saved query');
+    }
+  },
+);
+
+// @route   DELETE /api/municipalities/:municipalityId/saved-property-queries/:queryId
+// @desc    Delete a saved query
+// @access  Private (creator only)
+router.delete(
+  '/municipalities/:municipalityId/saved-property-queries/:queryId',
+  authenticateToken,
+  checkMunicipalityAccess,
+  loadSavedQuery,
+  requireOwner,
+  async (req, res) => {
+    try {
+      await req.savedQuery.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Saved query deleted',
+      });
+    } catch (error) {
+      console.error('Delete saved property query error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete saved query',
+      });
+    }
+  },
+);
+
+// @route   POST /api/municipalities/:municipalityId/saved-property-queries/:queryId/run
+// @desc    Run a saved query
+// @access  Private
+router.post(
+  '/municipalities/:municipalityId/saved-property-queries/:queryId/run',
+  authenticateToken,
+  checkMunicipalityAccess,
+  loadSavedQuery,
+  async (req, res) => {
+    try {
+      const { savedQuery } = req;
+      const properties = await propertyQueryService.run(
+        req.params.municipalityId,
+        savedQuery.filters,
+      );
+
+      await SavedPropertyQuery.updateOne(
+        { _id: savedQuery._id },
+        { last_run_at: new Date(), last_result_count: properties.length },
+      );
+
+      res.json({
+        success: true,
+        properties,
+        query: savedQuery.filters,
+        count: properties.length,
+      });
+    } catch (error) {
+      console.error('Run saved property query error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to run saved query',
+      });
+    }
+  },
+);
+
+module.exports = router;
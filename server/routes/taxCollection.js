@@ -0,0 +1,517 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const TaxBill = require('../models/TaxBill');
+const TaxRate = require('../models/TaxRate');
+const Payment = require('../models/Payment');
+const { authenticateToken } = require('../middleware/auth');
+const taxBillingService = require('../services/taxBillingService');
+
+/**
+ * Middleware to check tax collection module permission for municipal staff
+ */
+const checkTaxPermission = (action) => {
+  return (req, res, next) => {
+    const { municipalityId } = req.params;
+
+    // Avitar staff have all permissions
+    if (
+      req.user.global_role === 'avitar_staff' ||
+      req.user.global_role === 'avitar_admin'
+    ) {
+      return next();
+    }
+
+    if (!req.user.hasAccessToMunicipality(municipalityId)) {
+      return res
+        .status(403)
+        .json({ error: 'Access denied to this municipality' });
+    }
+
+    if (
+      !req.user.hasModulePermission(municipalityId, 'taxCollection', action)
+    ) {
+      return res
+        .status(403)
+        .json({ error: `Insufficient permissions to ${action} tax records` });
+    }
+
+    next();
+  };
+};
+
+// =============================================================================
+// TAX RATE ENDPOINTS
+// =============================================================================
+
+// GET /api/municipalities/:municipalityId/tax-rates - List tax rates by year
+router.get(
+  '/municipalities/:municipalityId/tax-rates',
+  authenticateToken,
+  checkTaxPermission('read'),
+  async (req, res) => {
+    try {
+      const taxRates = await TaxRate.find({
+        municipality_id: req.params.municipalityId,
+      }).sort({ tax_year: -1 });
+
+      res.json({ taxRates });
+    } catch (error) {
+      console.error('Error fetching tax rates:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// PUT /api/municipalities/:municipalityId/tax-rates/:year - Create or update the rate for a year
+router.put(
+  '/municipalities/:municipalityId/tax-rates/:year',
+  authenticateToken,
+  checkTaxPermission('update'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const year = parseInt(req.params.year, 10);
+      const {
+        rate_per_thousand,
+        rate_components,
+        installments,
+        warrant_number,
+        warrant_issued_date,
+        notes,
+      } = req.body;
+
+      let taxRate = await TaxRate.getForYear(municipalityId, year);
+
+      if (taxRate?.status === 'committed') {
+        return res.status(400).json({
+          error: `The ${year} tax rate has been committed and can no longer be changed`,
+        });
+      }
+
+      if (!taxRate) {
+        taxRate = new TaxRate({
+          municipality_id: municipalityId,
+          tax_year: year,
+          created_by: req.user._id,
+        });
+      }
+
+      if (rate_components !== undefined) {
+        taxRate.rate_components = rate_components;
+      }
+      if (rate_per_thousand !== undefined) {
+        taxRate.rate_per_thousand = rate_per_thousand;
+      } else if (rate_components) {
+        taxRate.rate_per_thousand = Object.values(rate_components).reduce(
+          (sum, value) => sum + (Number(value) || 0),
+          0,
+        );
+      }
+      if (installments !== undefined) taxRate.installments = installments;
+      if (warrant_number !== undefined) taxRate.warrant_number = warrant_number;
+      if (warrant_issued_date !== undefined) {
+        taxRate.warrant_issued_date = warrant_issued_date;
+      }
+      if (notes !== undefined) taxRate.notes = notes;
+
+      taxRate.updated_by = req.user._id;
+      await taxRate.save();
+
+      res.json({ taxRate });
+    } catch (error) {
+      console.error('Error saving tax rate:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// =============================================================================
+// TAX BILL ENDPOINTS
+// =============================================================================
+
+// GET /api/municipalities/:municipalityId/tax-bills - List tax bills
+router.get(
+  '/municipalities/:municipalityId/tax-bills',
+  authenticateToken,
+  checkTaxPermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const {
+        year,
+        status,
+        warrant_number,
+        property_id,
+        search,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      const query = { municipality_id: municipalityId };
+      if (year) query.tax_year = parseInt(year, 10);
+      if (status) query.status = status;
+      if (warrant_number) query.warrant_number = warrant_number;
+      if (property_id) query.property_id = property_id;
+      if (search) {
+        const pattern = new RegExp(
+          search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+          'i',
+        );
+        query.$or = [
+          { bill_number: pattern },
+          { pid: pattern },
+          { owner_name: pattern },
+          { property_address: pattern },
+        ];
+      }
+
+      const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+      const pageSize = Math.min(500, parseInt(limit, 10) || 50);
+
+      const [bills, total] = await Promise.all([
+        TaxBill.find(query)
+          .sort({ tax_year: -1, bill_number: 1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        TaxBill.countDocuments(query),
+      ]);
+
+      res.json({
+        bills,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize),
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching tax bills:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/tax-bills/generate - Generate bills for a tax year
+router.post(
+  '/municipalities/:municipalityId/tax-bills/generate',
+  authenticateToken,
+  checkTaxPermission('create'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { year, warrant_number, property_ids, recalculate } = req.body;
+      const taxYear = parseInt(year, 10);
+
+      if (!taxYear) {
+        return res.status(400).json({ error: 'Tax year is required' });
+      }
+
+      const taxRate = await TaxRate.getForYear(municipalityId, taxYear);
+      if (!taxRate) {
+        return res.status(400).json({
+          error: `No tax rate has been set for ${taxYear}`,
+        });
+      }
+
+      const summary = await taxBillingService.generateBills(
+        municipalityId,
+        taxYear,
+        {
+          warrantNumber: warrant_number,
+          propertyIds: property_ids,
+          recalculate: !!recalculate,
+          userId: req.user._id,
+        },
+      );
+
+      res.json({ success: true, summary });
+    } catch (error) {
+      console.error('Error generating tax bills:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// GET /api/municipalities/:municipalityId/tax-bills/:billId - Get a bill with its ledger
+router.get(
+  '/municipalities/:municipalityId/tax-bills/:billId',
+  authenticateToken,
+  checkTaxPermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId, billId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(billId)) {
+        return res.status(400).json({ error: 'Invalid bill ID' });
+      }
+
+      const bill = await TaxBill.findOne({
+        _id: billId,
+        municipality_id: municipalityId,
+      });
+      if (!bill) {
+        return res.status(404).json({ error: 'Tax bill not found' });
+      }
+
+      const ledger = await taxBillingService.getBillLedger(bill);
+
+      res.json({ bill, ledger });
+    } catch (error) {
+      console.error('Error fetching tax bill:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// PATCH /api/municipalities/:municipalityId/tax-bills/:billId - Update notes/mailing info or void a bill
+router.patch(
+  '/municipalities/:municipalityId/tax-bills/:billId',
+  authenticateToken,
+  checkTaxPermission('update'),
+  async (req, res) => {
+    try {
+      const { municipalityId, billId } = req.params;
+      const { notes, mailing_address, owner_name, status, void_reason } =
+        req.body;
+
+      const bill = await TaxBill.findOne({
+        _id: billId,
+        municipality_id: municipalityId,
+      });
+      if (!bill) {
+        return res.status(404).json({ error: 'Tax bill not found' });
+      }
+
+      if (notes !== undefined) bill.notes = notes;
+      if (mailing_address !== undefined) bill.mailing_address = mailing_address;
+      if (owner_name !== undefined) bill.owner_name = owner_name;
+
+      if (status === 'void') {
+        if (bill.amount_paid > 0) {
+          return res.status(400).json({
+            error: 'Bills with posted payments must be refunded before voiding',
+          });
+        }
+        bill.status = 'void';
+        bill.void_reason = void_reason;
+      } else if (status !== undefined) {
+        return res
+          .status(400)
+          .json({ error: 'Bill status can only be changed to void' });
+      }
+
+      bill.updated_by = req.user._id;
+      await bill.save();
+
+      res.json({ bill });
+    } catch (error) {
+      console.error('Error updating tax bill:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// =============================================================================
+// PAYMENT ENDPOINTS
+// =============================================================================
+
+// GET /api/municipalities/:municipalityId/payments - List payments
+router.get(
+  '/municipalities/:municipalityId/payments',
+  authenticateToken,
+  checkTaxPermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const {
+        bill_id,
+        year,
+        payment_method,
+        start_date,
+        end_date,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      const query = { municipality_id: municipalityId };
+      if (bill_id) query.tax_bill_id = bill_id;
+      if (year) query.tax_year = parseInt(year, 10);
+      if (payment_method) query.payment_method = payment_method;
+      if (start_date || end_date) {
+        query.payment_date = {};
+        if (start_date) query.payment_date.$gte = new Date(start_date);
+        if (end_date) query.payment_date.$lte = new Date(end_date);
+      }
+
+      const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+      const pageSize = Math.min(500, parseInt(limit, 10) || 50);
+
+      const [payments, total] = await Promise.all([
+        Payment.find(query)
+          .populate('tax_bill_id', 'bill_number pid owner_name tax_year')
+          .sort({ payment_date: -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        Payment.countDocuments(query),
+      ]);
+
+      res.json({
+        payments,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize),
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// GET /api/municipalities/:municipalityId/payments/:paymentId - Get a payment
+router.get(
+  '/municipalities/:municipalityId/payments/:paymentId',
+  authenticateToken,
+  checkTaxPermission('read'),
+  async (req, res) => {
+    try {
+      const { municipalityId, paymentId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+        return res.status(400).json({ error: 'Invalid payment ID' });
+      }
+
+      const payment = await Payment.findOne({
+        _id: paymentId,
+        municipality_id: municipalityId,
+      }).populate('tax_bill_id');
+
+      if (!payment) {
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+
+      res.json({ payment });
+    } catch (error) {
+      console.error('Error fetching payment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/payments - Post a payment to a bill
+router.post(
+  '/municipalities/:municipalityId/payments',
+  authenticateToken,
+  checkTaxPermission('create'),
+  async (req, res) => {
+    try {
+      const { municipalityId } = req.params;
+      const { bill_id, amount, payment_method } = req.body;
+
+      if (!bill_id || !amount || !payment_method) {
+        return res.status(400).json({
+          error: 'bill_id, amount and payment_method are required',
+        });
+      }
+
+      const paymentAmount = Number(amount);
+      if (!(paymentAmount > 0)) {
+        return res
+          .status(400)
+          .json({ error: 'Payment amount must be greater than zero' });
+      }
+
+      const bill = await TaxBill.findOne({
+        _id: bill_id,
+        municipality_id: municipalityId,
+      });
+      if (!bill) {
+        return res.status(404).json({ error: 'Tax bill not found' });
+      }
+      if (bill.status === 'void') {
+        return res
+          .status(400)
+          .json({ error: 'Payments cannot be posted to a void bill' });
+      }
+      if (TaxBill.roundCurrency(paymentAmount) > bill.balance_due) {
+        return res.status(400).json({
+          error: `Payment exceeds the balance due of $${bill.balance_due.toFixed(2)}`,
+        });
+      }
+
+      const result = await taxBillingService.postPayment(
+        bill,
+        { ...req.body, amount: paymentAmount },
+        req.user._id,
+      );
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error posting payment:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+// POST /api/municipalities/:municipalityId/payments/:paymentId/refund - Refund a payment
+router.post(
+  '/municipalities/:municipalityId/payments/:paymentId/refund',
+  authenticateToken,
+  checkTaxPermission('update'),
+  async (req, res) => {
+    try {
+      const { municipalityId, paymentId } = req.params;
+      const { reason } = req.body;
+
+      const payment = await Payment.findOne({
+        _id: paymentId,
+        municipality_id: municipalityId,
+      });
+      if (!payment) {
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+
+      const amount =
+        req.body.amount !== undefined
+          ? Number(req.body.amount)
+          : payment.refundable_amount;
+
+      if (!(amount > 0) || amount > payment.refundable_amount) {
+        return res.status(400).json({
+          error: `Refund amount must be between $0.01 and $${payment.refundable_amount.toFixed(2)}`,
+        });
+      }
+
+      const result = await taxBillingService.refundPayment(
+        payment,
+        amount,
+        reason,
+        req.user._id,
+      );
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error refunding payment:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+);
+
+module.exports = router;
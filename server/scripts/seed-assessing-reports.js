@@ -334,7 +334,7 @@ const sampleReports = [
         default_value: new Date().getFullYear(),
       },
     ],
-    output_formats: ['pdf'],
+    output_formats: ['pdf', 'csv', 'excel'],
     permissions: {
       required_roles: ['admin', 'assessor'],
       required_permissions: ['view_assessments'],
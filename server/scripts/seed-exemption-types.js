@@ -123,6 +123,7 @@ const defaultExemptionTypes = [
     asset_requirements: {
       has_asset_limit: true,
     },
+    requalification_interval_years: 1,
     sort_order: 1,
   },
   {
@@ -153,6 +154,7 @@ const defaultExemptionTypes = [
     asset_requirements: {
       has_asset_limit: true,
     },
+    requalification_interval_years: 1,
     sort_order: 2,
   },
   {
@@ -183,6 +185,7 @@ const defaultExemptionTypes = [
     asset_requirements: {
       has_asset_limit: true,
     },
+    requalification_interval_years: 1,
     sort_order: 3,
   },
 
@@ -221,6 +224,7 @@ const defaultExemptionTypes = [
       'Must have qualifying disability with medical documentation',
     requires_documentation: true,
     required_documents: ['Medical Documentation', 'Disability Certification'],
+    requalification_interval_years: 1,
     sort_order: 1,
   },
   {
@@ -239,6 +243,7 @@ const defaultExemptionTypes = [
       'Medical Documentation',
       'Permanent Disability Certification',
     ],
+    requalification_interval_years: 1,
     sort_order: 2,
   },
 
@@ -0,0 +1,549 @@
+const mongoose = require('mongoose');
+const ParcelAssessment = require('../models/ParcelAssessment');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+const PropertyExemption = require('../models/PropertyExemption');
+const SalesHistory = require('../models/SalesHistory');
+const Municipality = require('../models/Municipality');
+const ms1ReportService = require('./ms1ReportService');
+
+/**
+ * Built-in assessing report runners
+ *
+ * Each runner receives { municipalityId, parameters, maxRecords } and returns
+ * { subtitle, sections, record_count } - the section layout consumed by
+ * utils/reportRenderers. Runners are keyed by AssessingReport.name.
+ */
+
+// Map report property_class options to PropertyTreeNode.property_class codes
+const PROPERTY_CLASS_CODES = {
+  residential: ['R', 'RESIDENTIAL'],
+  commercial: ['C', 'COMMERCIAL'],
+  industrial: ['I', 'INDUSTRIAL'],
+  public_utility: ['U', 'UTILITY'],
+};
+
+const VALUE_COLUMNS = [
+  { key: 'land_value', label: 'Land', type: 'currency' },
+  { key: 'building_value', label: 'Building', type: 'currency' },
+  { key: 'improvements_value', label: 'Features', type: 'currency' },
+  { key: 'total_value', label: 'Total Assessed', type: 'currency' },
+];
+
+function toObjectId(id) {
+  return new mongoose.Types.ObjectId(id);
+}
+
+function propertyClassMatch(propertyClass) {
+  const codes = PROPERTY_CLASS_CODES[propertyClass];
+  return codes ? { 'property.property_class': { $in: codes } } : {};
+}
+
+function sumColumns(rows, keys) {
+  return keys.reduce((totals, key) => {
+    totals[key] = rows.reduce((sum, row) => sum + (row[key] || 0), 0);
+    return totals;
+  }, {});
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Latest ParcelAssessment per property on or before the year, joined with the property
+ */
+function parcelsWithPropertyPipeline(municipalityId, year) {
+  return [
+    {
+      $match: {
+        municipality_id: toObjectId(municipalityId),
+        effective_year: { $lte: year },
+      },
+    },
+    { $sort: { effective_year: -1 } },
+    { $group: { _id: '$property_id', parcel: { $first: '$$ROOT' } } },
+    {
+      $lookup: {
+        from: 'property_tree_nodes',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'property',
+      },
+    },
+    { $unwind: '$property' },
+  ];
+}
+
+async function propertyAssessmentSummary({ municipalityId, parameters }) {
+  const year = parameters.assessment_year;
+
+  const grouped = await ParcelAssessment.aggregate([
+    ...parcelsWithPropertyPipeline(municipalityId, year),
+    { $match: propertyClassMatch(parameters.property_class) },
+    {
+      $group: {
+        _id: { $ifNull: ['$property.property_class', 'Unclassified'] },
+        parcel_count: { $sum: 1 },
+        land_value: { $sum: '$parcel.parcel_totals.total_land_value' },
+        building_value: { $sum: '$parcel.parcel_totals.total_building_value' },
+        improvements_value: {
+          $sum: '$parcel.parcel_totals.total_improvements_value',
+        },
+        total_value: { $sum: '$parcel.parcel_totals.total_assessed_value' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const rows = grouped.map((group) => ({
+    property_class: group._id,
+    ...group,
+  }));
+  const sections = [
+    {
+      title: 'Assessed Value by Property Class',
+      columns: [
+        { key: 'property_class', label: 'Class' },
+        { key: 'parcel_count', label: 'Parcels', type: 'number' },
+        ...VALUE_COLUMNS,
+      ],
+      rows,
+      totals: sumColumns(rows, [
+        'parcel_count',
+        'land_value',
+        'building_value',
+        'improvements_value',
+        'total_value',
+      ]),
+    },
+  ];
+
+  if (parameters.include_exemptions) {
+    const exemptions = await exemptionTotalsByType(municipalityId, year);
+    sections.push({
+      title: 'Exemptions and Credits',
+      columns: [
+        { key: 'name', label: 'Exemption' },
+        { key: 'count', label: 'Count', type: 'number' },
+        { key: 'exemption_value', label: 'Exemption Value', type: 'currency' },
+        { key: 'credit_value', label: 'Credit Value', type: 'currency' },
+      ],
+      rows: exemptions,
+      totals: sumColumns(exemptions, [
+        'count',
+        'exemption_value',
+        'credit_value',
+      ]),
+    });
+  }
+
+  return {
+    subtitle: `Assessment Year ${year}`,
+    sections,
+    record_count: rows.reduce((sum, row) => sum + row.parcel_count, 0),
+  };
+}
+
+async function assessmentRoll({ municipalityId, parameters, maxRecords }) {
+  const year = parameters.assessment_year;
+  const sortFields = {
+    property_id: { 'property.pid_raw': 1 },
+    owner_name: { 'property.owner.primary_name': 1 },
+    location: {
+      'property.location.street': 1,
+      'property.location.street_number': 1,
+    },
+    assessed_value: { 'parcel.parcel_totals.total_assessed_value': -1 },
+  };
+
+  const parcels = await ParcelAssessment.aggregate([
+    ...parcelsWithPropertyPipeline(municipalityId, year),
+    { $sort: sortFields[parameters.sort_by] || sortFields.property_id },
+    { $limit: maxRecords },
+  ]);
+
+  const rows = parcels.map(({ parcel, property }) => ({
+    pid: property.pid_formatted || property.pid_raw,
+    location: property.location?.address || '',
+    owner:
+      property.owners?.primary?.primary_name || property.owner?.primary_name,
+    property_class: property.property_class,
+    land_value: parcel.parcel_totals?.total_land_value || 0,
+    building_value: parcel.parcel_totals?.total_building_value || 0,
+    improvements_value: parcel.parcel_totals?.total_improvements_value || 0,
+    total_value: parcel.parcel_totals?.total_assessed_value || 0,
+  }));
+
+  const columns = [
+    { key: 'pid', label: 'PID', width: 1.2 },
+    { key: 'location', label: 'Location', width: 1.8 },
+    ...(parameters.include_owner_info
+      ? [{ key: 'owner', label: 'Owner', width: 1.8 }]
+      : []),
+    { key: 'property_class', label: 'Class', width: 0.6 },
+    ...VALUE_COLUMNS,
+  ];
+
+  return {
+    subtitle: `Assessment Year ${year}`,
+    sections: [
+      {
+        title: 'Assessment Roll',
+        columns,
+        rows,
+        totals: sumColumns(rows, [
+          'land_value',
+          'building_value',
+          'improvements_value',
+          'total_value',
+        ]),
+      },
+    ],
+    record_count: rows.length,
+  };
+}
+
+async function parcelCount({ municipalityId, parameters }) {
+  const match = { municipality_id: toObjectId(municipalityId) };
+  if (!parameters.include_exempt_properties) {
+    match.tax_status = { $ne: 'exempt' };
+  }
+
+  const grouped = await PropertyTreeNode.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          property_class: { $ifNull: ['$property_class', 'Unclassified'] },
+          tax_status: { $ifNull: ['$tax_status', 'taxable'] },
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.property_class': 1, '_id.tax_status': 1 } },
+  ]);
+
+  const rows = grouped.map((group) => ({
+    property_class: group._id.property_class,
+    tax_status: group._id.tax_status,
+    count: group.count,
+  }));
+
+  const subtitle = parameters.dra_certification_year
+    ? `Assessment Year ${parameters.assessment_year} - DRA Certification ${parameters.dra_certification_year}`
+    : `Assessment Year ${parameters.assessment_year}`;
+
+  return {
+    subtitle,
+    sections: [
+      {
+        title: 'Parcel Count',
+        columns: [
+          { key: 'property_class', label: 'Class' },
+          { key: 'tax_status', label: 'Tax Status' },
+          { key: 'count', label: 'Parcels', type: 'number' },
+        ],
+        rows,
+        totals: sumColumns(rows, ['count']),
+      },
+    ],
+    record_count: rows.reduce((sum, row) => sum + row.count, 0),
+  };
+}
+
+async function exemptionTotalsByType(municipalityId, year, exemptionTypeIds) {
+  const match = {
+    municipality_id: toObjectId(municipalityId),
+    is_active: true,
+    start_year: { $lte: year },
+    $or: [{ end_year: { $gte: year } }, { end_year: null }],
+  };
+  if (exemptionTypeIds?.length) {
+    match.exemption_type_id = { $in: exemptionTypeIds.map(toObjectId) };
+  }
+
+  const grouped = await PropertyExemption.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'exemptiontypes',
+        localField: 'exemption_type_id',
+        foreignField: '_id',
+        as: 'exemption_type',
+      },
+    },
+    { $unwind: { path: '$exemption_type', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: {
+          $ifNull: ['$exemption_type.display_name', 'Unknown Exemption'],
+        },
+        category: { $first: '$exemption_type.category' },
+        count: { $sum: 1 },
+        exemption_value: { $sum: '$exemption_value' },
+        credit_value: { $sum: '$credit_value' },
+      },
+    },
+    { $sort: { category: 1, _id: 1 } },
+  ]);
+
+  return grouped.map((group) => ({
+    name: group._id,
+    category: group.category,
+    count: group.count,
+    exemption_value: group.exemption_value,
+    credit_value: group.credit_value,
+  }));
+}
+
+async function exemptionAnalysis({ municipalityId, parameters }) {
+  const year = parameters.assessment_year;
+  const rows = await exemptionTotalsByType(
+    municipalityId,
+    year,
+    parameters.exemption_types,
+  );
+
+  const sections = [
+    {
+      title: `Exemptions and Credits - ${year}`,
+      columns: [
+        { key: 'name', label: 'Exemption', width: 2 },
+        { key: 'category', label: 'Category' },
+        { key: 'count', label: 'Count', type: 'number' },
+        { key: 'exemption_value', label: 'Exemption Value', type: 'currency' },
+        { key: 'credit_value', label: 'Credit Value', type: 'currency' },
+      ],
+      rows,
+      totals: sumColumns(rows, ['count', 'exemption_value', 'credit_value']),
+    },
+  ];
+
+  if (parameters.include_historical) {
+    const years = parameters.comparison_years || 3;
+    const historyRows = [];
+    for (let offset = 1; offset <= years; offset++) {
+      const historyYear = year - offset;
+      const yearRows = await exemptionTotalsByType(
+        municipalityId,
+        historyYear,
+        parameters.exemption_types,
+      );
+      historyRows.push({
+        year: historyYear,
+        ...sumColumns(yearRows, ['count', 'exemption_value', 'credit_value']),
+      });
+    }
+    sections.push({
+      title: 'Historical Comparison',
+      columns: [
+        { key: 'year', label: 'Year' },
+        { key: 'count', label: 'Count', type: 'number' },
+        { key: 'exemption_value', label: 'Exemption Value', type: 'currency' },
+        { key: 'credit_value', label: 'Credit Value', type: 'currency' },
+      ],
+      rows: historyRows,
+    });
+  }
+
+  return {
+    subtitle: `Assessment Year ${year}`,
+    sections,
+    record_count: rows.reduce((sum, row) => sum + row.count, 0),
+  };
+}
+
+async function propertySalesAnalysis({
+  municipalityId,
+  parameters,
+  maxRecords,
+}) {
+  const match = {
+    municipality_id: toObjectId(municipalityId),
+    is_valid_sale: true,
+  };
+  if (parameters.sale_date_from || parameters.sale_date_to) {
+    match.sale_date = {};
+    if (parameters.sale_date_from) {
+      match.sale_date.$gte = new Date(parameters.sale_date_from);
+    }
+    if (parameters.sale_date_to) {
+      match.sale_date.$lte = new Date(parameters.sale_date_to);
+    }
+  }
+  if (parameters.minimum_sale_price) {
+    match.sale_price = { $gte: parameters.minimum_sale_price };
+  }
+
+  const sales = await SalesHistory.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'property_tree_nodes',
+        localField: 'property_id',
+        foreignField: '_id',
+        as: 'property',
+      },
+    },
+    { $unwind: '$property' },
+    { $match: propertyClassMatch(parameters.property_class) },
+    { $sort: { sale_date: -1 } },
+    { $limit: maxRecords },
+  ]);
+
+  const rows = sales.map((sale) => {
+    const assessed = sale.property.assessment_summary?.total_value || 0;
+    return {
+      pid: sale.property.pid_formatted || sale.property.pid_raw,
+      location: sale.property.location?.address || '',
+      sale_date: sale.sale_date,
+      sale_price: sale.sale_price,
+      assessed_value: assessed,
+      ratio: sale.sale_price > 0 ? assessed / sale.sale_price : null,
+    };
+  });
+
+  const ratios = rows.map((row) => row.ratio).filter((r) => r !== null);
+
+  return {
+    subtitle: `${rows.length} qualified sales`,
+    sections: [
+      {
+        title: 'Sales',
+        columns: [
+          { key: 'pid', label: 'PID' },
+          { key: 'location', label: 'Location', width: 2 },
+          { key: 'sale_date', label: 'Sale Date', type: 'date' },
+          { key: 'sale_price', label: 'Sale Price', type: 'currency' },
+          { key: 'assessed_value', label: 'Assessed', type: 'currency' },
+          { key: 'ratio', label: 'A/S Ratio', type: 'percent' },
+        ],
+        rows,
+      },
+      {
+        title: 'Summary',
+        columns: [
+          { key: 'measure', label: 'Measure', width: 2 },
+          { key: 'value', label: 'Value', type: 'number' },
+        ],
+        rows: [
+          { measure: 'Sale count', value: rows.length },
+          {
+            measure: 'Median sale price',
+            value: median(rows.map((row) => row.sale_price)),
+          },
+          {
+            measure: 'Median assessment/sale ratio',
+            value: median(ratios),
+          },
+        ],
+      },
+    ],
+    record_count: rows.length,
+  };
+}
+
+async function taxImpactAnalysis({ municipalityId, parameters }) {
+  const { base_year, comparison_year, tax_rate } = parameters;
+
+  const totalsForYear = async (year) => {
+    const grouped = await ParcelAssessment.aggregate([
+      ...parcelsWithPropertyPipeline(municipalityId, year),
+      {
+        $group: {
+          _id: { $ifNull: ['$property.property_class', 'Unclassified'] },
+          total_value: { $sum: '$parcel.parcel_totals.total_assessed_value' },
+        },
+      },
+    ]);
+    return new Map(grouped.map((group) => [group._id, group.total_value]));
+  };
+
+  const [baseTotals, comparisonTotals] = await Promise.all([
+    totalsForYear(base_year),
+    totalsForYear(comparison_year),
+  ]);
+
+  const classes = [
+    ...new Set([...baseTotals.keys(), ...comparisonTotals.keys()]),
+  ].sort();
+
+  const rows = classes.map((propertyClass) => {
+    const baseValue = baseTotals.get(propertyClass) || 0;
+    const comparisonValue = comparisonTotals.get(propertyClass) || 0;
+    return {
+      property_class: propertyClass,
+      base_value: baseValue,
+      comparison_value: comparisonValue,
+      value_change: comparisonValue - baseValue,
+      base_tax: (baseValue * tax_rate) / 1000,
+      comparison_tax: (comparisonValue * tax_rate) / 1000,
+      tax_change: ((comparisonValue - baseValue) * tax_rate) / 1000,
+    };
+  });
+
+  return {
+    subtitle: `${base_year} vs ${comparison_year} at $${tax_rate} per $1,000`,
+    sections: [
+      {
+        title: 'Tax Impact by Property Class',
+        columns: [
+          { key: 'property_class', label: 'Class' },
+          { key: 'base_value', label: `${base_year} Value`, type: 'currency' },
+          {
+            key: 'comparison_value',
+            label: `${comparison_year} Value`,
+            type: 'currency',
+          },
+          { key: 'value_change', label: 'Value Change', type: 'currency' },
+          { key: 'base_tax', label: `${base_year} Tax`, type: 'currency' },
+          {
+            key: 'comparison_tax',
+            label: `${comparison_year} Tax`,
+            type: 'currency',
+          },
+          { key: 'tax_change', label: 'Tax Change', type: 'currency' },
+        ],
+        rows,
+        totals: sumColumns(rows, [
+          'base_value',
+          'comparison_value',
+          'value_change',
+          'base_tax',
+          'comparison_tax',
+          'tax_change',
+        ]),
+      },
+    ],
+    record_count: rows.length,
+  };
+}
+
+async function ms1SummaryInventory({ municipalityId, parameters, user }) {
+  const municipality = await Municipality.findById(municipalityId);
+  const data = await ms1ReportService.generateReportData(
+    municipality,
+    parameters.assessment_year,
+    { preparedBy: user?.name || user?.email },
+  );
+  const sections = ms1ReportService.buildSections(data);
+
+  return {
+    subtitle: `Assessment Year ${parameters.assessment_year}`,
+    sections,
+    record_count: sections.reduce((sum, s) => sum + s.rows.length, 0),
+  };
+}
+
+module.exports = {
+  property_assessment_summary: propertyAssessmentSummary,
+  assessment_roll: assessmentRoll,
+  parcel_count: parcelCount,
+  exemption_analysis: exemptionAnalysis,
+  property_sales_analysis: propertySalesAnalysis,
+  tax_impact_analysis: taxImpactAnalysis,
+  ms1_summary_inventory: ms1SummaryInventory,
+};
@@ -1,6 +1,16 @@
 const XLSX = require('xlsx');
 const mongoose = require('mongoose');
 
+// BuildingCode.buildingType enum
+const BUILDING_TYPES = [
+  'residential',
+  'commercial',
+  'exempt',
+  'manufactured',
+  'industrial',
+  'utility',
+];
+
 /**
  * CAMA Import Service
  * Handles two-phase import of CAMA data from Excel:
@@ -297,6 +307,8 @@ class CAMAImportService {
 
   /**
    * Get Harris Govern mapping template
+   * Note: Govern exports one sheet per table. Reference tables are imported in
+   * Phase 1; property tables are joined on 'Property ID' in Phase 2.
    */
   getHarrisGovernTemplate() {
     return {
@@ -304,6 +316,7 @@ class CAMAImportService {
       phase1: {
         buildingCodes: {
           sheetName: 'Structure Types',
+          requiredColumns: ['Type Code', 'Cost/SF'],
           fieldMappings: {
             'Type Code': 'code',
             'Type Name': 'description',
@@ -314,6 +327,7 @@ class CAMAImportService {
         },
         zones: {
           sheetName: 'Zones',
+          requiredColumns: ['Zone'],
           fieldMappings: {
             Zone: 'name',
             'Zone Desc': 'description',
@@ -323,46 +337,79 @@ class CAMAImportService {
         },
         neighborhoods: {
           sheetName: 'Nbhds',
+          requiredColumns: ['Nbhd'],
           fieldMappings: {
             Nbhd: 'code',
             'Nbhd Desc': 'name',
+            'Nbhd Factor': 'factor',
             Notes: 'description',
           },
         },
         featureCodes: {
-          sheetName: 'Amenities',
+          sheetName: 'Amenity Codes',
+          optional: true,
+          requiredColumns: ['Amenity Code'],
           fieldMappings: {
-            'Amenity Type': 'featureType',
-            'Amenity Desc': 'displayText',
+            'Amenity Code': 'code',
+            'Amenity Desc': 'description',
+            'Unit Rate': 'rate',
+            Measure: 'measurementType',
+            'Size Adj': 'sizeAdjustment',
+          },
+        },
+        buildingFeatureCodes: {
+          sheetName: 'Construction Codes',
+          optional: true,
+          requiredColumns: ['Category', 'Code'],
+          fieldMappings: {
+            Category: 'featureType',
+            Code: 'code',
+            Description: 'description',
+            'Short Desc': 'displayText',
             Points: 'points',
-            Multiplier: 'factor',
+          },
+        },
+        saleQualityCodes: {
+          sheetName: 'Sale Codes',
+          optional: true,
+          requiredColumns: ['Sale Code'],
+          fieldMappings: {
+            'Sale Code': 'code',
+            'Sale Desc': 'description',
           },
         },
       },
       phase2: {
         properties: {
           sheetName: 'Properties',
+          requiredColumns: ['Property ID'],
           fieldMappings: {
             'Property ID': 'pid_raw',
+            Account: 'account_number',
             'Prop Class': 'property_class',
             'House #': 'location.street_number',
             Street: 'location.street',
             'Owner Name': 'owner.primary_name',
+            'Co-Owner': 'owner.secondary_name',
             'Owner Addr': 'owner.mailing_address',
+            'Owner Addr 2': 'owner.mailing_address_2',
             'Owner City': 'owner.mailing_city',
             'Owner State': 'owner.mailing_state',
             'Owner ZIP': 'owner.mailing_zipcode',
             Zone: 'location.zone',
             Nbhd: 'location.neighborhood',
+            Remarks: 'notes',
           },
         },
         buildings: {
           sheetName: 'Structures',
+          requiredColumns: ['Property ID'],
           fieldMappings: {
             'Property ID': 'pid_raw',
             Card: 'card_number',
             'Structure Type': 'base_type',
             'Yr Built': 'year_built',
+            'Gross Area': 'gross_area',
             'Liv Area': 'gross_living_area',
             'Eff Area': 'effective_area',
             Grade: 'quality_grade',
@@ -372,8 +419,11 @@ class CAMAImportService {
             Roof: 'roof_style',
             'Roof Matl': 'roof_cover',
             'Ext Wall': 'exterior_wall_1',
+            'Ext Wall 2': 'exterior_wall_2',
             'Int Wall': 'interior_wall_1',
+            'Int Wall 2': 'interior_wall_2',
             Floor: 'flooring_1',
+            'Floor 2': 'flooring_2',
             Heat: 'heating_fuel',
             'Heat Sys': 'heating_type',
             AC: 'air_conditioning',
@@ -381,11 +431,15 @@ class CAMAImportService {
             'No FB': 'full_baths',
             'No HB': 'half_baths',
             'Extra Kitchen': 'extra_kitchen',
+            'No FP': 'fireplaces',
             Gen: 'generator',
+            Cond: 'condition',
+            Model: 'building_model',
           },
         },
         land: {
           sheetName: 'Land',
+          requiredColumns: ['Property ID'],
           fieldMappings: {
             'Property ID': 'pid_raw',
             'Use Type': 'land_use_type',
@@ -396,14 +450,19 @@ class CAMAImportService {
             Cond: 'condition',
             Zone: 'zone',
             Nbhd: 'neighborhood',
+            Site: 'site',
+            Road: 'road',
+            Driveway: 'driveway',
           },
         },
         features: {
           sheetName: 'Amenities',
+          optional: true,
+          requiredColumns: ['Property ID', 'Amenity Code'],
           fieldMappings: {
             'Property ID': 'pid_raw',
             Card: 'card_number',
-            'Amenity Type': 'feature_type',
+            'Amenity Code': 'feature_type',
             Desc: 'description',
             Len: 'length',
             Wid: 'width',
@@ -412,6 +471,75 @@ class CAMAImportService {
             Qual: 'condition',
           },
         },
+        sales: {
+          sheetName: 'Sales',
+          optional: true,
+          requiredColumns: ['Property ID', 'Sale Date'],
+          fieldMappings: {
+            'Property ID': 'pid_raw',
+            'Sale Date': 'sale_date',
+            'Sale Price': 'sale_price',
+            Book: 'sale_book',
+            Page: 'sale_page',
+            'Sale Code': 'sale_quality_code',
+            Qualified: 'sale_quality',
+            Improved: 'sale_improvements',
+            Grantor: 'seller_name',
+          },
+        },
+      },
+      // Govern code values translated to Avitar equivalents
+      valueMaps: {
+        property_class: {
+          RES: 'R',
+          RESIDENTIAL: 'R',
+          COM: 'C',
+          COMMERCIAL: 'C',
+          IND: 'I',
+          INDUSTRIAL: 'I',
+          UTL: 'U',
+          UTIL: 'U',
+          UTILITY: 'U',
+        },
+        buildingType: {
+          R: 'residential',
+          RES: 'residential',
+          C: 'commercial',
+          COM: 'commercial',
+          I: 'industrial',
+          IND: 'industrial',
+          M: 'manufactured',
+          MH: 'manufactured',
+          MFG: 'manufactured',
+          E: 'exempt',
+          EX: 'exempt',
+          EXM: 'exempt',
+          U: 'utility',
+          UTL: 'utility',
+        },
+        featureType: {
+          'EXT WALL': 'exterior_wall',
+          'INT WALL': 'interior_wall',
+          'ROOF STRUCT': 'roof_style',
+          'ROOF COVER': 'roofing',
+          FLOOR: 'flooring',
+          'HEAT FUEL': 'heating_fuel',
+          'HEAT TYPE': 'heating_type',
+          FRAME: 'frame',
+          GRADE: 'quality',
+          STORIES: 'story_height',
+          'CEIL HT': 'ceiling_height',
+        },
+        measurementType: {
+          LXW: 'length_width',
+          'L X W': 'length_width',
+          SF: 'length_width',
+          UNITS: 'units',
+          EA: 'units',
+        },
+        // Qualified Y/N -> Q/U, Improved Y/N -> I/V
+        sale_quality: { Y: 'Q', YES: 'Q', N: 'U', NO: 'U' },
+        sale_improvements: { Y: 'I', YES: 'I', N: 'V', NO: 'V' },
       },
     };
   }
@@ -463,6 +591,347 @@ class CAMAImportService {
     return mapped;
   }
 
+  /**
+   * Find a parsed sheet by name (case-insensitive, ignoring surrounding whitespace)
+   * @param {Object} parsedData - Output of parseExcelFile
+   * @param {String} sheetName - Sheet name from the template
+   * @returns {Object|null} Sheet data
+   */
+  findSheet(parsedData, sheetName) {
+    if (!parsedData?.sheets || !sheetName) return null;
+
+    const wanted = sheetName.trim().toUpperCase();
+    const match = Object.keys(parsedData.sheets).find(
+      (name) => name.trim().toUpperCase() === wanted,
+    );
+    return match ? parsedData.sheets[match] : null;
+  }
+
+  /**
+   * Map every row of a template sheet to its target fields.
+   * Keys stay flat (e.g. 'location.street') to match the grouped property
+   * format used by the import routes.
+   * @param {Object} parsedData - Output of parseExcelFile
+   * @param {Object} sheetConfig - Template sheet configuration
+   * @returns {Array} Mapped rows, each with its spreadsheet row number in _row
+   */
+  mapSheetRows(parsedData, sheetConfig) {
+    const sheet = this.findSheet(parsedData, sheetConfig.sheetName);
+    if (!sheet?.data) return [];
+
+    return sheet.data.map((row, index) => {
+      const mapped = { _row: index + 2 };
+
+      Object.entries(sheetConfig.fieldMappings).forEach(
+        ([excelColumn, targetField]) => {
+          let value = row[excelColumn];
+          if (typeof value === 'string') value = value.trim();
+          if (value !== undefined && value !== null && value !== '') {
+            mapped[targetField] = value;
+          }
+        },
+      );
+
+      return mapped;
+    });
+  }
+
+  /**
+   * Check that every sheet and required column a template needs is present
+   * @param {Object} parsedData - Output of parseExcelFile
+   * @param {Object} template - CAMA template
+   * @param {String} phase - 'phase1' or 'phase2'
+   * @returns {Object} { errors, warnings }
+   */
+  validateSheetStructure(parsedData, template, phase) {
+    const errors = [];
+    const warnings = [];
+
+    Object.values(template[phase] || {}).forEach((sheetConfig) => {
+      const sheet = this.findSheet(parsedData, sheetConfig.sheetName);
+
+      if (!sheet) {
+        (sheetConfig.optional ? warnings : errors).push({
+          sheet: sheetConfig.sheetName,
+          row: 0,
+          field: 'sheet',
+          message: `Sheet '${sheetConfig.sheetName}' not found in workbook`,
+        });
+        return;
+      }
+
+      const headers = (sheet.headers || []).map((h) => String(h).trim());
+      (sheetConfig.requiredColumns || []).forEach((column) => {
+        if (!headers.includes(column)) {
+          errors.push({
+            sheet: sheetConfig.sheetName,
+            row: 1,
+            field: column,
+            message: `Required column '${column}' is missing`,
+          });
+        }
+      });
+    });
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Translate a source code value using the template's value maps
+   * @param {Object} template - CAMA template
+   * @param {String} mapName - Value map key (e.g. 'property_class')
+   * @param {*} value - Source value
+   * @returns {*} Mapped value, or the original value if unmapped
+   */
+  mapValue(template, mapName, value) {
+    if (value === undefined || value === null || value === '') return value;
+    const map = template.valueMaps?.[mapName] || {};
+    const key = value.toString().trim().toUpperCase();
+    return map[key] !== undefined ? map[key] : value;
+  }
+
+  /**
+   * Convert an Excel date cell (serial number or text) to YYYY-MM-DD
+   * @param {*} value - Cell value
+   * @returns {String|undefined} ISO date string
+   */
+  parseExcelDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    if (typeof value === 'number') {
+      const parts = XLSX.SSF.parse_date_code(value);
+      if (!parts) return undefined;
+      return [
+        parts.y,
+        String(parts.m).padStart(2, '0'),
+        String(parts.d).padStart(2, '0'),
+      ].join('-');
+    }
+
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Extract Phase 1 reference data from a multi-sheet template.
+   * Rows are de-duplicated by code; the last occurrence wins.
+   * @param {Object} parsedData - Output of parseExcelFile
+   * @param {Object} template - CAMA template
+   * @returns {Object} Reference data arrays keyed by type
+   */
+  extractReferenceData(parsedData, template) {
+    const phase1 = template.phase1 || {};
+    const rowsFor = (type) =>
+      phase1[type] ? this.mapSheetRows(parsedData, phase1[type]) : [];
+    const upper = (value) => value?.toString().trim().toUpperCase() || '';
+    const numberOr = (value, fallback) => {
+      const number = parseFloat(value);
+      return isNaN(number) ? fallback : number;
+    };
+    const dedupe = (rows, keyFn) => {
+      const map = new Map();
+      rows.forEach((row) => map.set(keyFn(row), row));
+      return Array.from(map.values());
+    };
+
+    const buildingCodes = dedupe(
+      rowsFor('buildingCodes').map((row) => {
+        const mappedType = String(
+          this.mapValue(template, 'buildingType', row.buildingType) || '',
+        ).toLowerCase();
+        const buildingType = BUILDING_TYPES.includes(mappedType)
+          ? mappedType
+          : 'residential';
+        return {
+          _row: row._row,
+          code: upper(row.code),
+          description: row.description || `Building Type ${upper(row.code)}`,
+          rate: numberOr(row.rate, 0),
+          depreciation: numberOr(row.depreciation, 0),
+          buildingType,
+          sizeAdjustmentCategory: buildingType,
+        };
+      }),
+      (row) => row.code,
+    );
+
+    const zones = dedupe(
+      rowsFor('zones').map((row) => ({
+        _row: row._row,
+        code: row.name?.toString(),
+        name: row.name?.toString(),
+        description: row.description || `Zone ${row.name}`,
+        minimumAcreage: numberOr(row.minimumAcreage, 0),
+        minimumFrontage: numberOr(row.minimumFrontage, 0),
+      })),
+      (row) => upper(row.name),
+    );
+
+    const neighborhoods = dedupe(
+      rowsFor('neighborhoods').map((row) => {
+        const code = upper(row.code);
+        // Govern stores neighborhood adjustments as factors (1.10 = 110%)
+        const rate =
+          row.rate !== undefined
+            ? numberOr(row.rate, 100)
+            : Math.round(numberOr(row.factor, 1) * 100);
+        return {
+          _row: row._row,
+          code,
+          name: row.name || code,
+          description: row.description || row.name || `Neighborhood ${code}`,
+          rate,
+        };
+      }),
+      (row) => row.code,
+    );
+
+    const featureCodes = dedupe(
+      rowsFor('featureCodes').map((row) => ({
+        _row: row._row,
+        code: upper(row.code),
+        description: row.description || upper(row.code),
+        rate: numberOr(row.rate, 0),
+        measurementType: String(
+          this.mapValue(template, 'measurementType', row.measurementType) ||
+            'units',
+        ).toLowerCase(),
+        sizeAdjustment:
+          upper(row.sizeAdjustment) === 'ZERO' ||
+          upper(row.sizeAdjustment) === 'N'
+            ? 'zero'
+            : 'normal',
+      })),
+      (row) => row.code,
+    );
+
+    const buildingFeatureCodes = dedupe(
+      rowsFor('buildingFeatureCodes').map((row) => {
+        const description = row.description || upper(row.code);
+        return {
+          _row: row._row,
+          featureType: String(
+            this.mapValue(template, 'featureType', row.featureType) || '',
+          ).toLowerCase(),
+          code: upper(row.code),
+          description,
+          displayText: String(row.displayText || description).substring(0, 20),
+          points: numberOr(row.points, 0),
+        };
+      }),
+      (row) => `${row.featureType}::${row.code}`,
+    );
+
+    const saleQualityCodes = dedupe(
+      rowsFor('saleQualityCodes').map((row) => {
+        const code = parseInt(row.code);
+        return {
+          _row: row._row,
+          code,
+          description: row.description || `Sale Quality ${row.code}`,
+          displayText: `Quality ${row.code}`,
+        };
+      }),
+      (row) => row.code,
+    );
+
+    return {
+      buildingCodes,
+      zones,
+      neighborhoods,
+      featureCodes,
+      buildingFeatureCodes,
+      saleQualityCodes,
+    };
+  }
+
+  /**
+   * Extract Phase 2 property data from a multi-sheet template.
+   * Returns the same row shapes the import routes accept as parsedData.properties,
+   * .buildings, .land and .features. The most recent sale for each property is
+   * folded into its 'sales.*' fields.
+   * @param {Object} parsedData - Output of parseExcelFile
+   * @param {Object} template - CAMA template
+   * @returns {Object} { properties, buildings, land, features, sales }
+   */
+  extractPropertyData(parsedData, template) {
+    const phase2 = template.phase2 || {};
+    const rowsFor = (type) =>
+      phase2[type] ? this.mapSheetRows(parsedData, phase2[type]) : [];
+    const withPid = (row) => ({
+      ...row,
+      pid_raw:
+        row.pid_raw !== undefined ? row.pid_raw.toString().trim() : undefined,
+    });
+
+    const properties = rowsFor('properties').map((row) => {
+      const property = withPid(row);
+      if (property.property_class !== undefined) {
+        property.property_class = String(
+          this.mapValue(template, 'property_class', property.property_class),
+        )
+          .trim()
+          .toUpperCase();
+      }
+      return property;
+    });
+
+    const buildings = rowsFor('buildings').map((row) => ({
+      ...withPid(row),
+      card_number: parseInt(row.card_number) || 1,
+    }));
+
+    const land = rowsFor('land').map(withPid);
+
+    const features = rowsFor('features').map((row) => ({
+      ...withPid(row),
+      card_number: parseInt(row.card_number) || 1,
+      feature_type: row.feature_type?.toString().trim().toUpperCase(),
+    }));
+
+    const sales = rowsFor('sales').map((row) => ({
+      ...withPid(row),
+      sale_date: this.parseExcelDate(row.sale_date),
+      sale_quality: this.mapValue(template, 'sale_quality', row.sale_quality),
+      sale_improvements: this.mapValue(
+        template,
+        'sale_improvements',
+        row.sale_improvements,
+      ),
+    }));
+
+    // Keep the latest sale per property
+    const latestSales = new Map();
+    sales.forEach((sale) => {
+      if (!sale.pid_raw || !sale.sale_date) return;
+      const current = latestSales.get(sale.pid_raw);
+      if (!current || new Date(sale.sale_date) > new Date(current.sale_date)) {
+        latestSales.set(sale.pid_raw, sale);
+      }
+    });
+
+    properties.forEach((property) => {
+      const sale = latestSales.get(property.pid_raw);
+      if (!sale) return;
+      [
+        'sale_date',
+        'sale_price',
+        'sale_book',
+        'sale_page',
+        'sale_quality',
+        'sale_improvements',
+        'sale_quality_code',
+        'seller_name',
+      ].forEach((field) => {
+        if (sale[field] !== undefined) {
+          property[`sales.${field}`] = sale[field];
+        }
+      });
+    });
+
+    return { properties, buildings, land, features, sales };
+  }
+
   /**
    * Find or create an Owner record based on name and address
    * Deduplicates owners by matching name and mailing address
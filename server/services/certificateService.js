@@ -0,0 +1,555 @@
+const Certificate = require('../models/Certificate');
+const PermitType = require('../models/PermitType');
+const PermitInspection = require('../models/PermitInspection');
+const PermitDocument = require('../models/PermitDocument');
+const File = require('../models/File');
+const Municipality = require('../models/Municipality');
+const storageService = require('./storageService');
+const {
+  renderCertificate,
+  municipalityHeader,
+  formatValue,
+} = require('../utils/reportRenderers');
+
+// Permit statuses a certificate can be issued in
+const ISSUABLE_STATUSES = ['approved', 'closed'];
+
+// Results that allow a temporary certificate while items are outstanding
+const TEMPORARY_RESULTS = ['passed', 'conditional'];
+
+const MAX_TEMPORARY_DAYS = 365;
+
+const CERTIFICATE_TYPES = ['occupancy', 'completion'];
+
+const STATEMENTS = {
+  occupancy:
+    'This certifies that the building or portion of the building at the location below has been inspected and found to comply with the applicable codes for the occupancy classification and use described, and may be occupied for that use.',
+  temporary_occupancy:
+    'This certifies that the building or portion of the building at the location below may be occupied for the use described until the expiration date shown, subject to the conditions listed. Occupancy after expiration requires a permanent Certificate of Occupancy.',
+  completion:
+    'This certifies that the work described below has been completed and has passed all inspections required for the permit.',
+};
+
+const WATERMARKS = {
+  revoked: 'REVOKED',
+  superseded: 'SUPERSEDED',
+  expired: 'EXPIRED',
+};
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function inspectionLabel(type) {
+  return type
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Certificate Service
+ *
+ * Certificates of Occupancy (CO), temporary COs and Certificates of
+ * Completion (CC). A certificate can be issued once every inspection the
+ * permit type requires has passed; the PDF is rendered on the
+ * municipality's letterhead and a copy is filed with the permit documents.
+ */
+class CertificateService {
+  /**
+   * Required inspections for a permit and where each one stands
+   * @param {Object} permit - Permit document
+   * @returns {Promise<Object>} - { eligible, eligibleForTemporary, reason, defaultType, requiredInspections }
+   */
+  async getEligibility(permit) {
+    const permitType = permit.permitTypeId
+      ? await PermitType.findById(permit.permitTypeId).select(
+          'name categories inspectionSettings',
+        )
+      : null;
+
+    const requiredTypes = [
+      ...new Set(
+        (permitType?.inspectionSettings?.requiredInspections || [])
+          .filter((inspection) => inspection.required !== false)
+          .map((inspection) => inspection.type),
+      ),
+    ];
+
+    // Latest completed result per inspection type, so a passed
+    // reinspection clears an earlier failure
+    const inspections = await PermitInspection.find({
+      permitId: permit._id,
+      status: 'completed',
+      isActive: true,
+    })
+      .sort({ completedDate: -1 })
+      .select('type result completedDate inspectorName');
+
+    const latest = new Map();
+    for (const inspection of inspections) {
+      if (!latest.has(inspection.type)) latest.set(inspection.type, inspection);
+    }
+
+    const requiredInspections = requiredTypes.map((type) => {
+      const inspection = latest.get(type);
+      return {
+        type,
+        label: inspectionLabel(type),
+        inspectionId: inspection?._id || null,
+        result: inspection?.result || null,
+        completedDate: inspection?.completedDate || null,
+        inspectorName: inspection?.inspectorName || null,
+        passed: inspection?.result === 'passed',
+      };
+    });
+
+    const statusOk = ISSUABLE_STATUSES.includes(permit.status);
+    const outstanding = requiredInspections.filter((i) => !i.passed);
+
+    let reason = null;
+    if (!statusOk) {
+      reason = 'Certificates can be issued once the permit is approved';
+    } else if (outstanding.length) {
+      reason = `Waiting on passed inspections: ${outstanding
+        .map((i) => i.label)
+        .join(', ')}`;
+    }
+
+    const categories = permitType?.categories || [];
+
+    return {
+      eligible: !reason,
+      eligibleForTemporary:
+        statusOk &&
+        requiredInspections.every((i) => TEMPORARY_RESULTS.includes(i.result)),
+      reason,
+      defaultType:
+        categories.includes('building') || categories.includes('occupancy')
+          ? 'occupancy'
+          : 'completion',
+      requiredInspections,
+    };
+  }
+
+  /**
+   * Issue a certificate for a permit
+   * @param {Object} permit - Permit document
+   * @param {Object} user - Issuing User document
+   * @param {Object} data - { type, isTemporary, conditions: [{ description, dueDate }], expiresAt, occupancyClassification, notes }
+   * @returns {Promise<Object>} - Saved Certificate
+   */
+  async issueCertificate(permit, user, data = {}) {
+    const type = data.type || 'occupancy';
+    if (!CERTIFICATE_TYPES.includes(type)) {
+      throw httpError(400, 'Certificate type must be occupancy or completion');
+    }
+
+    const isTemporary = Boolean(data.isTemporary);
+    if (isTemporary && type !== 'occupancy') {
+      throw httpError(
+        400,
+        'Only certificates of occupancy can be issued as temporary',
+      );
+    }
+
+    const eligibility = await this.getEligibility(permit);
+    if (
+      isTemporary ? !eligibility.eligibleForTemporary : !eligibility.eligible
+    ) {
+      throw httpError(
+        400,
+        eligibility.reason ||
+          'Required inspections must be passed or conditionally passed',
+      );
+    }
+
+    const now = new Date();
+    let conditions = [];
+    let expiresAt = null;
+
+    if (isTemporary) {
+      conditions = (data.conditions || [])
+        .map((condition) =>
+          typeof condition === 'string'
+            ? { description: condition }
+            : condition,
+        )
+        .filter((condition) => condition?.description?.trim());
+      if (!conditions.length) {
+        throw httpError(
+          400,
+          'Temporary certificates need at least one condition',
+        );
+      }
+
+      expiresAt = new Date(data.expiresAt);
+      const latest = new Date(now);
+      latest.setDate(latest.getDate() + MAX_TEMPORARY_DAYS);
+      if (isNaN(expiresAt) || expiresAt <= now || expiresAt > latest) {
+        throw httpError(
+          400,
+          `Temporary certificates must expire within ${MAX_TEMPORARY_DAYS} days`,
+        );
+      }
+    }
+
+    // A permanent certificate can't be issued twice; a temporary one can be
+    // reissued (e.g. extended) and is replaced by the permanent certificate
+    const current = await Certificate.find({
+      permitId: permit._id,
+      type,
+      status: 'active',
+    });
+    if (current.some((certificate) => !certificate.isTemporary)) {
+      throw httpError(
+        409,
+        'This permit already has an active certificate. Revoke it before issuing another.',
+      );
+    }
+
+    const certificate = new Certificate({
+      municipalityId: permit.municipalityId,
+      permitId: permit._id,
+      propertyId: permit.propertyId,
+      type,
+      isTemporary,
+      conditions,
+      expiresAt,
+      permitNumber: permit.permitNumber,
+      permitType: permit.subtype || permit.type,
+      propertyAddress: permit.propertyAddress,
+      pidFormatted: permit.pidFormatted,
+      ownerName: permit.applicant?.name,
+      contractorName: permit.contractor?.companyName,
+      scopeOfWork: permit.scopeOfWork || permit.description,
+      occupancyClassification: data.occupancyClassification,
+      notes: data.notes,
+      inspections: eligibility.requiredInspections
+        .filter((inspection) => inspection.inspectionId)
+        .map((inspection) => ({
+          inspectionId: inspection.inspectionId,
+          type: inspection.type,
+          result: inspection.result,
+          completedDate: inspection.completedDate,
+          inspectorName: inspection.inspectorName,
+        })),
+      issuedAt: now,
+      issuedBy: user._id,
+      issuedByName: user.fullName,
+    });
+
+    // Numbers are sequential per year; retry if another issue took ours
+    for (let attempt = 0; ; attempt++) {
+      certificate.certificateNumber =
+        await Certificate.generateCertificateNumber(
+          permit.municipalityId,
+          type,
+          isTemporary,
+        );
+      try {
+        await certificate.save();
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 2) throw error;
+      }
+    }
+
+    if (current.length) {
+      await Certificate.updateMany(
+        { _id: { $in: current.map((c) => c._id) } },
+        {
+          $set: {
+            status: 'superseded',
+            supersededBy: certificate._id,
+            supersededAt: now,
+          },
+        },
+      );
+      await this.withdrawDocuments(current, user);
+    }
+
+    try {
+      await this.fileDocument(certificate, permit, user);
+    } catch (error) {
+      // The registry renders the PDF on demand, so issuing still succeeds
+      console.warn(
+        `⚠️ Could not file ${certificate.certificateNumber} with permit documents:`,
+        error.message,
+      );
+    }
+
+    console.log(
+      `🏠 Issued ${certificate.certificateNumber} for permit ${permit.permitNumber}`,
+    );
+
+    return certificate;
+  }
+
+  /**
+   * Revoke an active certificate
+   * @param {Object} certificate - Certificate document
+   * @param {Object} user - Revoking User document
+   * @param {string} reason
+   * @returns {Promise<Object>} - Saved Certificate
+   */
+  async revokeCertificate(certificate, user, reason) {
+    if (certificate.status !== 'active') {
+      throw httpError(400, `This certificate is already ${certificate.status}`);
+    }
+    if (!reason || !reason.trim()) {
+      throw httpError(400, 'A reason is required to revoke a certificate');
+    }
+
+    certificate.status = 'revoked';
+    certificate.revokedAt = new Date();
+    certificate.revokedBy = user._id;
+    certificate.revokedByName = user.fullName;
+    certificate.revocationReason = reason.trim();
+    await certificate.save();
+
+    await this.withdrawDocuments([certificate], user);
+
+    console.log(`🚫 Revoked ${certificate.certificateNumber}: ${reason}`);
+
+    return certificate;
+  }
+
+  /**
+   * Certificates matching registry filters, newest first
+   * @param {string} municipalityId
+   * @param {Object} filters - { search, type, status, propertyId, permitId, limit }
+   * @returns {Promise<Array>}
+   */
+  async search(municipalityId, filters = {}) {
+    const query = {
+      municipalityId,
+      ...Certificate.statusQuery(filters.status),
+    };
+
+    if (filters.type === 'temporary') {
+      query.type = 'occupancy';
+      query.isTemporary = true;
+    } else if (CERTIFICATE_TYPES.includes(filters.type)) {
+      query.type = filters.type;
+      if (filters.type === 'occupancy') query.isTemporary = false;
+    }
+    if (filters.propertyId) query.propertyId = filters.propertyId;
+    if (filters.permitId) query.permitId = filters.permitId;
+
+    if (filters.search?.trim()) {
+      const pattern = new RegExp(
+        filters.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+        'i',
+      );
+      const searchFields = [
+        'certificateNumber',
+        'permitNumber',
+        'propertyAddress',
+        'pidFormatted',
+        'ownerName',
+      ].map((field) => ({ [field]: pattern }));
+
+      // statusQuery may already use $or
+      query.$and = [{ $or: searchFields }];
+    }
+
+    return Certificate.find(query)
+      .sort({ issuedAt: -1 })
+      .limit(Math.min(parseInt(filters.limit, 10) || 100, 500));
+  }
+
+  /**
+   * Render a certificate PDF on the municipality's letterhead. Certificates
+   * that are no longer in force are stamped with their status.
+   * @param {Object} certificate - Certificate document
+   * @returns {Promise<Object>} - { buffer, extension, mimeType, filename }
+   */
+  async renderPdf(certificate) {
+    const municipality = await Municipality.findById(
+      certificate.municipalityId,
+    ).lean();
+    const branding = municipality?.branding_config || {};
+
+    const rendered = await renderCertificate({
+      title: certificate.title,
+      number: certificate.certificateNumber,
+      issued_at: certificate.issuedAt,
+      expires_at: certificate.isTemporary ? certificate.expiresAt : null,
+      municipality: {
+        ...(municipality ? municipalityHeader(municipality) : {}),
+        header_text: branding.header_text,
+        primary_color: branding.primary_color,
+        logo: await this.fetchLogo(branding.logo_url),
+      },
+      statement:
+        STATEMENTS[
+          certificate.isTemporary ? 'temporary_occupancy' : certificate.type
+        ],
+      fields: [
+        { label: 'Property Address', value: certificate.propertyAddress },
+        { label: 'Map/Lot', value: certificate.pidFormatted },
+        { label: 'Owner / Applicant', value: certificate.ownerName },
+        { label: 'Permit Number', value: certificate.permitNumber },
+        { label: 'Permit Type', value: certificate.permitType },
+        { label: 'Scope of Work', value: certificate.scopeOfWork },
+        {
+          label: 'Occupancy Classification',
+          value: certificate.occupancyClassification,
+        },
+        { label: 'Contractor', value: certificate.contractorName },
+        {
+          label: 'Inspections',
+          value: certificate.inspections
+            .map(
+              (inspection) =>
+                `${inspectionLabel(inspection.type)} (${inspection.result}, ${formatValue(inspection.completedDate, 'date')})`,
+            )
+            .join('; '),
+        },
+      ],
+      conditions: certificate.conditions.map((condition) =>
+        condition.dueDate
+          ? `${condition.description} (due ${formatValue(condition.dueDate, 'date')})`
+          : condition.description,
+      ),
+      notes: certificate.notes,
+      signature: { name: certificate.issuedByName, title: 'Building Official' },
+      watermark: WATERMARKS[certificate.currentStatus] || null,
+    });
+
+    return {
+      ...rendered,
+      filename: `${certificate.certificateNumber}.pdf`,
+    };
+  }
+
+  /**
+   * Download the municipality logo for the letterhead
+   * @param {string} url
+   * @returns {Promise<Buffer|null>} - PNG/JPEG data, or null to go without
+   */
+  async fetchLogo(url) {
+    if (!url || !/^https?:\/\//i.test(url)) return null;
+
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok || !/image\/(png|jpe?g)/i.test(contentType)) {
+        return null;
+      }
+      return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      console.warn('⚠️ Could not load municipality logo:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * File the certificate PDF with the permit's documents
+   * @param {Object} certificate - Saved Certificate
+   * @param {Object} permit - Permit document
+   * @param {Object} user - Issuing User document
+   */
+  async fileDocument(certificate, permit, user) {
+    const municipality = await Municipality.findById(permit.municipalityId);
+    const pdf = await this.renderPdf(certificate);
+
+    const storagePath = `${municipality.state}/${municipality.name}/building_permits/certificates/${pdf.filename}`;
+    const uploadResult = await storageService.uploadFile(
+      pdf.buffer,
+      storagePath,
+      {
+        contentType: pdf.mimeType,
+        visibility: 'private',
+        originalName: pdf.filename,
+        state: municipality.state,
+        municipality: municipality.name,
+        department: 'building_permit',
+      },
+    );
+
+    const file = new File({
+      municipalityId: municipality._id,
+      municipalityName: municipality.name,
+      state: municipality.state,
+      propertyId: permit.propertyId,
+      department: 'building_permit',
+      fileName: pdf.filename,
+      displayName: `${certificate.title} ${certificate.certificateNumber}`,
+      originalName: pdf.filename,
+      fileType: pdf.mimeType,
+      fileExtension: pdf.extension,
+      fileSize: pdf.buffer.length,
+      storageType: uploadResult.storageType,
+      storagePath: uploadResult.storagePath,
+      gcsUrl: uploadResult.gcsUrl,
+      localPath: uploadResult.localPath,
+      folder: 'permits',
+      tags: ['permit', 'certificate', permit.permitNumber],
+      visibility: 'private',
+      category: 'certificate_of_occupancy',
+      permitId: permit._id,
+      permitNumber: permit.permitNumber,
+      uploadedBy: user._id,
+      uploadedByName: user.fullName || user.email,
+      md5Hash: uploadResult.md5Hash,
+      sha256Hash: uploadResult.sha256Hash,
+    });
+    await file.save();
+
+    const document = new PermitDocument({
+      permitId: permit._id,
+      fileId: file._id,
+      municipalityId: municipality._id,
+      type: 'certificate_of_occupancy',
+      filename: file.fileName,
+      originalFilename: file.originalName,
+      url: file.gcsUrl || file.localPath,
+      size: file.fileSize,
+      mimeType: file.fileType,
+      uploadedBy: user._id,
+      uploadedByName: user.fullName || user.email,
+      uploadSource: 'system_generated',
+      title: file.displayName,
+      documentDate: certificate.issuedAt,
+      expirationDate: certificate.expiresAt || undefined,
+      isActive: true,
+    });
+    await document.save();
+
+    certificate.fileId = file._id;
+    certificate.documentId = document._id;
+    await certificate.save();
+  }
+
+  /**
+   * Take filed copies of certificates that are no longer in force out of
+   * the permit documents; the registry keeps the record
+   * @param {Array} certificates - Certificate documents
+   * @param {Object} user
+   */
+  async withdrawDocuments(certificates, user) {
+    const documentIds = certificates.map((c) => c.documentId).filter(Boolean);
+    const fileIds = certificates.map((c) => c.fileId).filter(Boolean);
+
+    if (documentIds.length) {
+      await PermitDocument.updateMany(
+        { _id: { $in: documentIds } },
+        { $set: { isActive: false } },
+      );
+    }
+    if (fileIds.length) {
+      await File.updateMany(
+        { _id: { $in: fileIds } },
+        {
+          $set: { isActive: false, deletedAt: new Date(), deletedBy: user._id },
+        },
+      );
+    }
+  }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,456 @@
+const cron = require('node-cron');
+const Contractor = require('../models/Contractor');
+const notificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Warnings go out once per threshold, tightest first when a run is missed
+const WARNING_DAYS = [60, 30, 7];
+
+const CREDENTIALS = {
+  license: {
+    name: 'license',
+    title: 'License',
+    reason: 'license_expired',
+    getExpiration: (contractor) => contractor.license_expiration,
+  },
+  insurance: {
+    name: 'certificate of insurance',
+    title: 'Insurance',
+    reason: 'insurance_expired',
+    getExpiration: (contractor) => contractor.insurance_info?.expiration,
+  },
+};
+
+const SUSPENSION_REASONS = Object.values(CREDENTIALS).map((c) => c.reason);
+
+/**
+ * Contractor Credential Monitor
+ *
+ * Scheduled job that enforces contractor license and insurance expiration:
+ * - 60, 30 and 7 day warnings to the contractor's owner and admins, sent once
+ *   per expiration date through credential_notices
+ * - approved municipality_approvals are suspended when either expires
+ * - approvals suspended here are reinstated once renewed credentials are
+ *   verified (see applyVerifiedCredentials)
+ */
+class ContractorCredentialService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+    this.schedule = process.env.CONTRACTOR_CREDENTIALS_CRON || '0 6 * * *';
+  }
+
+  /**
+   * Start the scheduled job (no-op if already started)
+   */
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.schedule)) {
+      console.error(
+        `❌ Invalid CONTRACTOR_CREDENTIALS_CRON schedule: ${this.schedule}`,
+      );
+      return;
+    }
+
+    this.task = cron.schedule(
+      this.schedule,
+      () =>
+        this.run().catch((error) => {
+          console.error('❌ Contractor credential monitor failed:', error);
+        }),
+      { name: 'contractor-credential-monitor', noOverlap: true },
+    );
+    console.log(
+      `🪪 Contractor credential monitor scheduled (${this.schedule})`,
+    );
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Check every active contractor whose license or insurance expires within
+   * the warning window (or already has)
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Promise<Object>} - Run summary
+   */
+  async run(now = new Date()) {
+    const summary = { contractorsChecked: 0, warningsSent: 0, suspended: 0 };
+    if (this.running) return { ...summary, skipped: true };
+
+    this.running = true;
+    try {
+      const horizon = new Date(now.getTime() + WARNING_DAYS[0] * DAY_MS);
+      const contractors = await Contractor.find({
+        is_active: true,
+        $or: [
+          { license_expiration: { $lte: horizon } },
+          { 'insurance_info.expiration': { $lte: horizon } },
+        ],
+      });
+
+      for (const contractor of contractors) {
+        try {
+          const result = await this.checkContractor(contractor, now);
+          summary.contractorsChecked++;
+          summary.warningsSent += result.warningsSent;
+          if (result.suspended) summary.suspended++;
+        } catch (error) {
+          console.error(
+            `❌ Credential check failed for ${contractor.company_name}:`,
+            error,
+          );
+        }
+      }
+
+      if (summary.warningsSent > 0 || summary.suspended > 0) {
+        console.log(
+          `🪪 Contractor credential monitor: ${summary.contractorsChecked} checked, ${summary.warningsSent} warnings sent, ${summary.suspended} suspended`,
+        );
+      }
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send any warning that is due and suspend approvals if a credential has
+   * expired
+   * @param {Object} contractor - Contractor document
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - { warningsSent, suspended }
+   */
+  async checkContractor(contractor, now) {
+    const result = { warningsSent: 0, suspended: false };
+
+    for (const [key, credential] of Object.entries(CREDENTIALS)) {
+      const expiresOn = credential.getExpiration(contractor);
+      if (!expiresOn) continue;
+
+      const daysLeft = Math.ceil((new Date(expiresOn) - now) / DAY_MS);
+
+      if (daysLeft <= 0) {
+        if (await this.suspendApprovals(contractor, key, now)) {
+          result.suspended = true;
+        }
+        continue;
+      }
+
+      const threshold = this.getWarningThreshold(daysLeft);
+      if (!threshold) continue;
+
+      if (
+        await this.sendWarning(contractor, key, {
+          threshold,
+          daysLeft,
+          expiresOn,
+          now,
+        })
+      ) {
+        result.warningsSent++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Tightest warning threshold a number of days falls within
+   * @param {number} daysLeft
+   * @returns {number|null} - 60, 30, 7 or null
+   */
+  getWarningThreshold(daysLeft) {
+    const thresholds = WARNING_DAYS.filter((days) => daysLeft <= days);
+    return thresholds.length ? Math.min(...thresholds) : null;
+  }
+
+  /**
+   * Suspend every approved municipality approval because a credential expired
+   * @param {Object} contractor - Contractor document
+   * @param {string} key - 'license' or 'insurance'
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} - Whether any approval was suspended
+   */
+  async suspendApprovals(contractor, key, now) {
+    const credential = CREDENTIALS[key];
+    const approved = contractor.municipality_approvals.filter(
+      (approval) => approval.status === 'approved',
+    );
+    if (approved.length === 0) return false;
+
+    const update = await Contractor.updateOne(
+      { _id: contractor._id },
+      {
+        $set: {
+          'municipality_approvals.$[approval].status': 'suspended',
+          'municipality_approvals.$[approval].suspension_reason':
+            credential.reason,
+          'municipality_approvals.$[approval].suspended_at': now,
+        },
+      },
+      { arrayFilters: [{ 'approval.status': 'approved' }] },
+    );
+    if (update.modifiedCount === 0) return false;
+
+    console.log(
+      `⛔ Suspended ${approved.length} municipality approval(s) for ${contractor.company_name}: ${credential.name} expired`,
+    );
+
+    await this.notify(contractor, {
+      daysUntilExpiration: 0,
+      licenseData: {
+        ...this.getCredentialDetails(contractor, key),
+        isExpired: true,
+        municipalityNames: approved
+          .map((approval) => approval.municipality_name)
+          .filter(Boolean)
+          .join(', '),
+      },
+    });
+
+    return true;
+  }
+
+  /**
+   * Record and deliver an expiration warning.
+   * The notice is claimed in credential_notices before sending so concurrent
+   * runs cannot send it twice; the claim is released if nobody was notified.
+   * @returns {Promise<boolean>} - Whether the warning was delivered
+   */
+  async sendWarning(contractor, key, { threshold, daysLeft, expiresOn, now }) {
+    const notice = {
+      credential: key,
+      days_before: threshold,
+      expires_on: expiresOn,
+      sent_at: now,
+    };
+
+    const claim = await Contractor.updateOne(
+      {
+        _id: contractor._id,
+        credential_notices: {
+          $not: {
+            $elemMatch: {
+              credential: key,
+              days_before: threshold,
+              expires_on: expiresOn,
+            },
+          },
+        },
+      },
+      { $push: { credential_notices: notice } },
+    );
+    if (claim.modifiedCount === 0) return false;
+
+    const delivered = await this.notify(contractor, {
+      daysUntilExpiration: daysLeft,
+      licenseData: this.getCredentialDetails(contractor, key),
+    });
+
+    if (!delivered) {
+      await Contractor.updateOne(
+        { _id: contractor._id },
+        {
+          $pull: {
+            credential_notices: {
+              credential: key,
+              days_before: threshold,
+              expires_on: expiresOn,
+            },
+          },
+        },
+      );
+      console.error(
+        `❌ Failed to send ${threshold}-day ${key} warning to ${contractor.company_name}`,
+      );
+    }
+    return delivered;
+  }
+
+  /**
+   * Template data describing a credential
+   * @param {Object} contractor - Contractor document
+   * @param {string} key - 'license' or 'insurance'
+   * @returns {Object}
+   */
+  getCredentialDetails(contractor, key) {
+    const credential = CREDENTIALS[key];
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:4202';
+    const details = {
+      credentialName: credential.name,
+      credentialTitle: credential.title,
+      isInsurance: key === 'insurance',
+      expirationDate: credential.getExpiration(contractor),
+      renewalUrl: `${clientUrl}/contractor-management/verification`,
+    };
+
+    if (key === 'insurance') {
+      details.licenseType = contractor.insurance_info?.provider;
+      details.licenseNumber = contractor.insurance_info?.policy_number;
+    } else {
+      details.licenseType = contractor.license_type?.replace(/_/g, ' ');
+      details.licenseNumber = contractor.license_number;
+    }
+
+    return details;
+  }
+
+  /**
+   * Notify the contractor's owner and team admins
+   * @returns {Promise<boolean>} - Whether anyone was notified
+   */
+  async notify(contractor, { daysUntilExpiration, licenseData }) {
+    const userIds = new Set([contractor.owner_user_id.toString()]);
+    contractor.members
+      .filter((member) => member.is_active && member.role === 'admin')
+      .forEach((member) => userIds.add(member.user_id.toString()));
+
+    const results = await Promise.allSettled(
+      Array.from(userIds).map((userId) =>
+        notificationService.sendLicenseExpirationWarning({
+          userId,
+          daysUntilExpiration,
+          licenseData,
+        }),
+      ),
+    );
+
+    return results.some((result) => result.status === 'fulfilled');
+  }
+
+  /**
+   * Reasons the contractor cannot file permits in a municipality right now
+   * @param {Object} contractor - Contractor document
+   * @param {string} municipalityId
+   * @param {Date} now - Reference time
+   * @returns {Array<string>} - Messages, empty when in good standing
+   */
+  getFilingBlocks(contractor, municipalityId, now = new Date()) {
+    const blocks = [];
+
+    for (const credential of Object.values(CREDENTIALS)) {
+      const expiresOn = credential.getExpiration(contractor);
+      if (expiresOn && new Date(expiresOn) <= now) {
+        blocks.push(
+          `Your ${credential.name} expired on ${new Date(expiresOn).toLocaleDateString('en-US', { timeZone: 'UTC' })}. Upload your renewal for verification to resume filing permits.`,
+        );
+      }
+    }
+
+    const approval = contractor.municipality_approvals.find(
+      (a) => a.municipality_id.toString() === municipalityId.toString(),
+    );
+    if (
+      blocks.length === 0 &&
+      approval?.status === 'suspended' &&
+      SUSPENSION_REASONS.includes(approval.suspension_reason)
+    ) {
+      blocks.push(
+        'Your approval in this municipality is suspended until your renewed credentials are verified.',
+      );
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Copy renewed license and insurance dates from an approved verification
+   * onto the contractor, then reinstate approvals if nothing has expired
+   * @param {Object} verification - Approved ContractorVerification document
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - { reinstated }
+   */
+  async applyVerifiedCredentials(verification, now = new Date()) {
+    const contractor = await Contractor.findById(verification.contractor_id);
+    if (!contractor) return { reinstated: 0 };
+
+    const licenseDates = (verification.licenses || [])
+      .map((license) => license.expiration_date)
+      .filter(Boolean)
+      .map((date) => new Date(date));
+    if (licenseDates.length > 0) {
+      const latest = new Date(Math.max(...licenseDates));
+      if (
+        !contractor.license_expiration ||
+        latest > contractor.license_expiration
+      ) {
+        contractor.license_expiration = latest;
+      }
+    }
+
+    const insurance = verification.insurance;
+    if (insurance?.has_insurance && insurance.expiration_date) {
+      contractor.insurance_info = {
+        ...(contractor.insurance_info?.toObject?.() ||
+          contractor.insurance_info ||
+          {}),
+        provider: insurance.provider || contractor.insurance_info?.provider,
+        policy_number:
+          insurance.policy_number || contractor.insurance_info?.policy_number,
+        expiration: insurance.expiration_date,
+      };
+    }
+
+    await contractor.save();
+
+    const reinstated = await this.reinstateApprovals(contractor, now);
+    return { reinstated };
+  }
+
+  /**
+   * Reinstate approvals this job suspended, once no credential is expired
+   * @param {Object} contractor - Contractor document
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} - Approvals reinstated
+   */
+  async reinstateApprovals(contractor, now = new Date()) {
+    const stillExpired = Object.values(CREDENTIALS).some((credential) => {
+      const expiresOn = credential.getExpiration(contractor);
+      return expiresOn && new Date(expiresOn) <= now;
+    });
+    if (stillExpired) return 0;
+
+    const suspended = contractor.municipality_approvals.filter(
+      (approval) =>
+        approval.status === 'suspended' &&
+        SUSPENSION_REASONS.includes(approval.suspension_reason),
+    );
+    if (suspended.length === 0) return 0;
+
+    await Contractor.updateOne(
+      { _id: contractor._id },
+      {
+        $set: { 'municipality_approvals.$[approval].status': 'approved' },
+        $unset: {
+          'municipality_approvals.$[approval].suspension_reason': '',
+          'municipality_approvals.$[approval].suspended_at': '',
+        },
+      },
+      {
+        arrayFilters: [
+          {
+            'approval.status': 'suspended',
+            'approval.suspension_reason': { $in: SUSPENSION_REASONS },
+          },
+        ],
+      },
+    );
+
+    console.log(
+      `✅ Reinstated ${suspended.length} municipality approval(s) for ${contractor.company_name}`,
+    );
+    return suspended.length;
+  }
+}
+
+module.exports = new ContractorCredentialService();
@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const Contractor = require('../models/Contractor');
+const ContractorReview = require('../models/ContractorReview');
+const Permit = require('../models/Permit');
+const PermitInspection = require('../models/PermitInspection');
+
+const RATING_CATEGORIES = ['workmanship', 'inspection_pass_rate', 'timeliness'];
+
+// Results that count as passing on the first visit
+const PASSING_RESULTS = ['passed', 'conditional'];
+
+// Results of inspections that were actually carried out
+const DECIDED_RESULTS = ['passed', 'failed', 'partial', 'conditional'];
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sameId(a, b) {
+  return Boolean(a && b) && a.toString() === b.toString();
+}
+
+/**
+ * Contractor Review Service
+ *
+ * Structured reviews left by municipal staff or the property owner once a
+ * permit is closed, the rating aggregates they feed on Contractor, and
+ * inspection metrics computed from PermitInspection results.
+ */
+class ContractorReviewService {
+  /**
+   * Role the user would review a permit's contractor in, if any
+   * @param {Object} permit - Permit document
+   * @param {Object} user - Authenticated User document
+   * @returns {string|null} - 'municipal_staff', 'property_owner' or null
+   */
+  getReviewerRole(permit, user) {
+    if (
+      user.global_role === 'avitar_staff' ||
+      user.global_role === 'avitar_admin'
+    ) {
+      return 'municipal_staff';
+    }
+
+    if (user.global_role === 'municipal_user') {
+      return user.hasModulePermission(
+        permit.municipalityId,
+        'building_permit',
+        'update',
+      )
+        ? 'municipal_staff'
+        : null;
+    }
+
+    // The owner who applied, not someone working for the contractor
+    const isApplicant =
+      sameId(permit.submitted_by, user._id) ||
+      sameId(permit.createdBy, user._id);
+    const relationship = permit.applicant?.relationshipToProperty;
+
+    if (
+      user.global_role === 'citizen' &&
+      isApplicant &&
+      !sameId(user.contractor_id, permit.contractor_id) &&
+      (!relationship || relationship === 'owner')
+    ) {
+      return 'property_owner';
+    }
+
+    return null;
+  }
+
+  /**
+   * Review state for a permit: the existing review and whether the user may
+   * leave one
+   * @param {Object} permit - Permit document
+   * @param {Object} user - Authenticated User document
+   * @returns {Promise<Object>} - { review, canReview, reviewerRole, reason }
+   */
+  async getPermitReview(permit, user) {
+    const review = await ContractorReview.findOne({
+      permit_id: permit._id,
+    }).populate('reviewer_id', 'first_name last_name');
+
+    const reviewerRole = this.getReviewerRole(permit, user);
+    let reason = null;
+
+    if (!permit.contractor_id) {
+      reason = 'No contractor is linked to this permit';
+    } else if (permit.status !== 'closed') {
+      reason = 'Reviews can be left once the permit is closed';
+    } else if (review) {
+      reason = 'This permit has already been reviewed';
+    } else if (!reviewerRole) {
+      reason = 'Only municipal staff or the property owner can review';
+    }
+
+    return {
+      review,
+      canReview: !reason,
+      reviewerRole,
+      reason,
+    };
+  }
+
+  /**
+   * Record a review for the contractor on a closed permit and refresh the
+   * contractor's rating
+   * @param {Object} permit - Permit document
+   * @param {Object} user - Authenticated User document
+   * @param {Object} data - { ratings: { workmanship, inspection_pass_rate, timeliness }, comments }
+   * @returns {Promise<Object>} - Saved ContractorReview
+   */
+  async createReview(permit, user, data = {}) {
+    if (!permit.contractor_id) {
+      throw httpError(400, 'No contractor is linked to this permit');
+    }
+    if (permit.status !== 'closed') {
+      throw httpError(400, 'Reviews can be left once the permit is closed');
+    }
+
+    const reviewerRole = this.getReviewerRole(permit, user);
+    if (!reviewerRole) {
+      throw httpError(
+        403,
+        'Only municipal staff or the property owner can review',
+      );
+    }
+
+    const ratings = {};
+    for (const category of RATING_CATEGORIES) {
+      const value = Number(data.ratings?.[category]);
+      if (!Number.isInteger(value) || value < 1 || value > 5) {
+        throw httpError(
+          400,
+          `${category.replace(/_/g, ' ')} rating must be a whole number from 1 to 5`,
+        );
+      }
+      ratings[category] = value;
+    }
+
+    if (await ContractorReview.exists({ permit_id: permit._id })) {
+      throw httpError(409, 'This permit has already been reviewed');
+    }
+
+    const metrics = await this.getPermitInspectionCounts(permit._id);
+
+    const review = new ContractorReview({
+      contractor_id: permit.contractor_id,
+      permit_id: permit._id,
+      municipality_id: permit.municipalityId,
+      reviewer_id: user._id,
+      reviewer_name: user.fullName,
+      reviewer_role: reviewerRole,
+      ratings,
+      comments: data.comments,
+      inspection_snapshot: metrics,
+    });
+
+    try {
+      await review.save();
+    } catch (error) {
+      // Two reviewers submitting at once; the unique index keeps the first
+      if (error.code === 11000) {
+        throw httpError(409, 'This permit has already been reviewed');
+      }
+      throw error;
+    }
+
+    await this.recalculateRating(permit.contractor_id);
+
+    return review;
+  }
+
+  /**
+   * Recompute Contractor.average_rating and total_reviews from its reviews
+   * @param {string} contractorId
+   * @returns {Promise<Object>} - { average_rating, total_reviews }
+   */
+  async recalculateRating(contractorId) {
+    const [summary] = await ContractorReview.aggregate([
+      {
+        $match: {
+          contractor_id: new mongoose.Types.ObjectId(contractorId.toString()),
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: '$overall_rating' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const totals = {
+      average_rating: summary ? Math.round(summary.average * 10) / 10 : 0,
+      total_reviews: summary?.count || 0,
+    };
+
+    await Contractor.updateOne({ _id: contractorId }, { $set: totals });
+
+    return totals;
+  }
+
+  /**
+   * Reviews for a contractor, newest first
+   * @param {string} contractorId
+   * @param {Object} options - { municipalityId, limit }
+   * @returns {Promise<Array>}
+   */
+  async listReviews(contractorId, options = {}) {
+    const query = { contractor_id: contractorId };
+    if (options.municipalityId) {
+      query.municipality_id = options.municipalityId;
+    }
+
+    return ContractorReview.find(query)
+      .populate('permit_id', 'permitNumber propertyAddress type')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(options.limit, 10) || 20, 100));
+  }
+
+  /**
+   * Inspection counts for a single permit
+   * @param {string} permitId
+   * @returns {Promise<Object>} - { total_inspections, first_time_passes, reinspections }
+   */
+  async getPermitInspectionCounts(permitId) {
+    const inspections = await PermitInspection.find({
+      permitId,
+      status: 'completed',
+      result: { $in: DECIDED_RESULTS },
+      isActive: true,
+    }).select('result isReinspection');
+
+    const counts = this.summarizeInspections(inspections);
+
+    return {
+      total_inspections: counts.inspections,
+      first_time_passes: counts.firstTimePasses,
+      reinspections: counts.reinspections,
+    };
+  }
+
+  /**
+   * First-time pass rate and average reinspections for each contractor,
+   * from completed inspections on permits they hold
+   * @param {Array<string>} contractorIds
+   * @param {string} [municipalityId] - Limit to one municipality's permits
+   * @returns {Promise<Map>} - contractorId -> metrics
+   */
+  async getInspectionMetrics(contractorIds, municipalityId = null) {
+    const metrics = new Map();
+    if (!contractorIds.length) return metrics;
+
+    const permitQuery = {
+      contractor_id: { $in: contractorIds },
+      isActive: true,
+    };
+    if (municipalityId) {
+      permitQuery.municipalityId = municipalityId;
+    }
+
+    const permits = await Permit.find(permitQuery).select('contractor_id');
+    const contractorByPermit = new Map(
+      permits.map((permit) => [
+        permit._id.toString(),
+        permit.contractor_id.toString(),
+      ]),
+    );
+
+    const inspections = await PermitInspection.find({
+      permitId: { $in: permits.map((permit) => permit._id) },
+      status: 'completed',
+      result: { $in: DECIDED_RESULTS },
+      isActive: true,
+    }).select('permitId result isReinspection');
+
+    const byContractor = new Map();
+    for (const inspection of inspections) {
+      const contractorId = contractorByPermit.get(
+        inspection.permitId.toString(),
+      );
+      if (!byContractor.has(contractorId)) byContractor.set(contractorId, []);
+      byContractor.get(contractorId).push(inspection);
+    }
+
+    for (const contractorId of contractorIds) {
+      const key = contractorId.toString();
+      const counts = this.summarizeInspections(byContractor.get(key) || []);
+
+      metrics.set(key, {
+        permits_with_inspections: new Set(
+          (byContractor.get(key) || []).map((i) => i.permitId.toString()),
+        ).size,
+        total_inspections: counts.inspections,
+        first_time_pass_rate: counts.originals
+          ? Math.round((counts.firstTimePasses / counts.originals) * 1000) / 10
+          : null,
+        average_reinspections: counts.originals
+          ? Math.round((counts.reinspections / counts.originals) * 100) / 100
+          : null,
+      });
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Count originals, first-time passes and reinspections
+   * @param {Array} inspections - Completed inspections
+   * @returns {Object}
+   */
+  summarizeInspections(inspections) {
+    const originals = inspections.filter((i) => !i.isReinspection);
+
+    return {
+      inspections: inspections.length,
+      originals: originals.length,
+      firstTimePasses: originals.filter((i) =>
+        PASSING_RESULTS.includes(i.result),
+      ).length,
+      reinspections: inspections.length - originals.length,
+    };
+  }
+}
+
+module.exports = new ContractorReviewService();
@@ -0,0 +1,277 @@
+const Municipality = require('../models/Municipality');
+const PermitType = require('../models/PermitType');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+const notificationService = require('./notificationService');
+const { requireAppModule } = require('../utils/appModules');
+
+const {
+  CLEARED_REVIEW_STATUSES,
+  REVIEW_DECISIONS,
+  reviewStage,
+  currentReviewStage,
+  isReviewLocked,
+} = requireAppModule('review-routing');
+
+// Permit statuses in which department reviews can no longer change
+const FINAL_PERMIT_STATUSES = ['denied', 'expired', 'closed', 'cancelled'];
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function userName(user) {
+  return user.first_name && user.last_name
+    ? `${user.first_name} ${user.last_name}`
+    : user.fullName || user.email;
+}
+
+/**
+ * Department Review Routing Service
+ *
+ * Moves a permit through the department reviews configured on its permit
+ * type. Reviews sharing a reviewOrder form a stage and run in parallel; the
+ * next stage opens (and its departments are notified) once every required
+ * review before it is approved. When a department requests revisions the
+ * permit goes on hold for the applicant, and resubmitting restarts only the
+ * departments that asked for changes. Stage rules live in
+ * app/utils/review-routing.js so the review screens agree with the server.
+ */
+class DepartmentReviewRoutingService {
+  /**
+   * Department reviews for a new permit, in routing order
+   * @param {Object} permitType - PermitType document
+   * @returns {Object[]}
+   */
+  buildReviews(permitType) {
+    return (permitType?.departmentReviews || [])
+      .map((dept) => ({
+        department: dept.departmentName,
+        required: dept.isRequired,
+        reviewOrder: reviewStage(dept),
+        approved: false,
+        reviewedBy: null,
+        reviewedAt: null,
+        comments: [], // Array of PermitComment IDs
+        conditions: [],
+      }))
+      .sort((a, b) => a.reviewOrder - b.reviewOrder);
+  }
+
+  /**
+   * Open every unlocked review that hasn't been opened yet
+   * @param {Object} permit - Permit document (saved by the caller)
+   * @param {Object} user - User whose action opened the stage
+   * @param {number} [afterStage=0] - Only open stages after this one
+   * @returns {Object[]} The reviews that were opened
+   */
+  openStages(permit, user, afterStage = 0) {
+    const reviews = permit.departmentReviews || [];
+    const now = new Date();
+    const opened = [];
+
+    for (const review of reviews) {
+      if (
+        review.openedAt ||
+        review.status !== 'pending' ||
+        reviewStage(review) <= afterStage ||
+        isReviewLocked(reviews, review)
+      ) {
+        continue;
+      }
+
+      review.openedAt = now;
+      review.reviewHistory.push({
+        action: 'assigned',
+        performedBy: user?._id,
+        performedAt: now,
+        notes: `Review stage ${reviewStage(review)} opened`,
+      });
+      opened.push(review);
+    }
+
+    return opened;
+  }
+
+  /**
+   * Record a department's decision on its review
+   * @param {Object} permit - Permit document (saved by the caller)
+   * @param {string} departmentName
+   * @param {Object} user - Reviewer
+   * @param {Object} decision - { status, conditions, requestedRevisions, notes }
+   * @returns {{review: Object, stageBefore: number|null}}
+   */
+  recordDecision(permit, departmentName, user, decision = {}) {
+    const { status, conditions, requestedRevisions, notes } = decision;
+    const reviews = permit.departmentReviews || [];
+    const review = reviews.find((r) => r.department === departmentName);
+
+    if (!review) {
+      throw httpError(404, `No review found for department: ${departmentName}`);
+    }
+    if (!REVIEW_DECISIONS.includes(status)) {
+      throw httpError(
+        400,
+        `Review status must be one of: ${REVIEW_DECISIONS.join(', ')}`,
+      );
+    }
+    if (FINAL_PERMIT_STATUSES.includes(permit.status)) {
+      throw httpError(409, `Permit is ${permit.status} and cannot be reviewed`);
+    }
+
+    const stageBefore = currentReviewStage(reviews);
+    if (isReviewLocked(reviews, review)) {
+      throw httpError(
+        409,
+        `${departmentName} review is in stage ${reviewStage(review)} and opens once stage ${stageBefore} reviews are approved`,
+      );
+    }
+
+    const now = new Date();
+    review.status = status;
+    review.approved = CLEARED_REVIEW_STATUSES.includes(status);
+    review.reviewedBy = user._id;
+    review.reviewedAt = now;
+    review.requiresReReview = false;
+    if (!review.openedAt) review.openedAt = now;
+
+    if (conditions && conditions.length > 0) {
+      review.conditions = conditions;
+    }
+    if (requestedRevisions && requestedRevisions.length > 0) {
+      review.requestedRevisions = requestedRevisions;
+    }
+
+    review.reviewHistory.push({
+      action: status,
+      performedBy: user._id,
+      performedAt: now,
+      notes,
+    });
+
+    if (status === 'revisions_requested' && permit.status !== 'on_hold') {
+      permit.updateStatus(
+        'on_hold',
+        user._id,
+        userName(user),
+        `${departmentName} requested revisions`,
+      );
+    }
+
+    return { review, stageBefore };
+  }
+
+  /**
+   * Send the permit back to the departments that requested revisions.
+   * Approved reviews are kept; only the departments that asked for changes
+   * start over.
+   * @param {Object} permit - Permit document (saved by the caller)
+   * @param {Object} user - Applicant or staff member resubmitting
+   * @param {string} [notes] - What changed
+   * @returns {Object[]} The reviews that were restarted
+   */
+  resubmitRevisions(permit, user, notes) {
+    if (FINAL_PERMIT_STATUSES.includes(permit.status)) {
+      throw httpError(
+        409,
+        `Permit is ${permit.status} and cannot be resubmitted`,
+      );
+    }
+
+    const restarted = (permit.departmentReviews || []).filter(
+      (review) => review.status === 'revisions_requested',
+    );
+    if (restarted.length === 0) {
+      throw httpError(409, 'No department has requested revisions');
+    }
+
+    const now = new Date();
+    const reason = notes?.trim() || 'Applicant resubmitted revisions';
+
+    for (const review of restarted) {
+      review.status = 'pending';
+      review.approved = false;
+      review.requiresReReview = true;
+      review.reReviewReason = reason;
+      review.reReviewRequestedAt = now;
+      review.reReviewRequestedBy = user._id;
+      review.openedAt = now;
+      review.reviewHistory.push({
+        action: 're_review_requested',
+        performedBy: user._id,
+        performedAt: now,
+        notes: reason,
+      });
+    }
+
+    if (permit.status === 'on_hold') {
+      // The SLA monitor restarts the review clock from here
+      permit.sla.resubmittedAt = now;
+      permit.updateStatus(
+        'under_review',
+        user._id,
+        userName(user),
+        `Revisions resubmitted to ${restarted.map((r) => r.department).join(', ')}`,
+      );
+    }
+
+    return restarted;
+  }
+
+  /**
+   * Notify each department that its review is open
+   * (department_review_assignment template)
+   * @param {Object} permit - Permit document
+   * @param {Object[]} reviews - Reviews returned by openStages/resubmitRevisions
+   * @param {string} [applicantName]
+   */
+  async notifyOpened(permit, reviews, applicantName) {
+    if (!reviews || reviews.length === 0) return;
+
+    const [permitType, property, municipality] = await Promise.all([
+      permit.permitTypeId?.name
+        ? permit.permitTypeId
+        : PermitType.findById(permit.permitTypeId).select('name'),
+      permit.propertyId?.location
+        ? permit.propertyId
+        : PropertyTreeNode.findById(permit.propertyId).select(
+            'location.address',
+          ),
+      Municipality.findById(permit.municipalityId).select('slug'),
+    ]);
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:4200';
+    const permitId = permit._id.toString();
+
+    for (const review of reviews) {
+      try {
+        await notificationService.notifyDepartmentReviewers({
+          municipalityId: permit.municipalityId,
+          department: review.department,
+          notificationType: 'assignment',
+          notificationData: {
+            permitNumber: permit.permitNumber,
+            permitType: permitType?.name || permit.type,
+            department: review.department,
+            propertyAddress: property?.location?.address || 'N/A',
+            applicantName: applicantName || permit.applicant?.name,
+            permitId,
+            permitReviewUrl: `${clientUrl}/m/${municipality?.slug}/building-permits/review/${permitId}/${encodeURIComponent(review.department)}`,
+          },
+        });
+
+        console.log(
+          `📧 Department assignment notifications sent for ${review.department} on permit ${permit.permitNumber}`,
+        );
+      } catch (error) {
+        console.error(
+          `Failed to notify ${review.department} reviewers on permit ${permit.permitNumber}:`,
+          error,
+        );
+      }
+    }
+  }
+}
+
+module.exports = new DepartmentReviewRoutingService();
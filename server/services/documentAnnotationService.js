@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const DocumentAnnotation = require('../models/DocumentAnnotation');
+const PermitDocument = require('../models/PermitDocument');
+
+// Fields a reviewer can set when drawing or editing a markup
+const EDITABLE_FIELDS = [
+  'page',
+  'shape',
+  'coordinates',
+  'text',
+  'measurement',
+  'color',
+  'visibility',
+];
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function userName(user) {
+  return user.first_name && user.last_name
+    ? `${user.first_name} ${user.last_name}`
+    : user.fullName || user.email;
+}
+
+// Markups on a superseded version are read-only; the copy is edited instead
+function assertCurrent(annotation) {
+  if (annotation.supersededBy) {
+    throw httpError(
+      409,
+      'This markup was carried forward to a newer document version',
+    );
+  }
+}
+
+function pick(data, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+/**
+ * Document Annotation Service
+ *
+ * Plan review markup on permit documents: clouds, arrows, text callouts and
+ * measurements placed on a page of a specific PermitDocument version.
+ * Coordinates are fractions of the page so the viewer can overlay them at
+ * any size. Open markups carry forward when a new document version
+ * supersedes the sheet (see PermitDocument.createNewVersion).
+ */
+class DocumentAnnotationService {
+  /**
+   * Find the permit document a markup belongs to, by PermitDocument ID or by
+   * file (the latest active version filed with the permit)
+   * @param {Object} permit - Permit document
+   * @param {Object} ref - { documentId } or { fileId }
+   * @returns {Promise<Object|null>}
+   */
+  async findDocument(permit, { documentId, fileId } = {}) {
+    const id = documentId || fileId;
+    if (!id) throw httpError(400, 'A documentId or fileId is required');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw httpError(400, 'Invalid document ID');
+    }
+
+    const query = { permitId: permit._id, isActive: true };
+    if (documentId) {
+      query._id = documentId;
+    } else {
+      query.fileId = fileId;
+    }
+
+    return PermitDocument.findOne(query).sort({ version: -1 });
+  }
+
+  /**
+   * Markups on a permit, optionally limited to one document
+   * @param {Object} permit - Permit document
+   * @param {Object} filters - { documentId, fileId, status, includeInternal }
+   * @returns {Promise<Object>} { document, annotations }
+   */
+  async list(permit, filters = {}) {
+    const { documentId, fileId, status, includeInternal } = filters;
+    const query = { permitId: permit._id, isActive: true };
+
+    let document = null;
+    if (documentId || fileId) {
+      document = await this.findDocument(permit, { documentId, fileId });
+      // Files that were never filed with the permit have no markup
+      if (!document) return { document: null, annotations: [] };
+      query.permitDocumentId = document._id;
+    }
+
+    if (status) {
+      if (!['open', 'resolved'].includes(status)) {
+        throw httpError(400, 'Status must be open or resolved');
+      }
+      query.status = status;
+    }
+    if (!includeInternal) {
+      query.visibility = 'public';
+    }
+
+    const annotations = await DocumentAnnotation.find(query)
+      .sort({ page: 1, createdAt: 1 })
+      .lean();
+
+    return { document, annotations };
+  }
+
+  /**
+   * Place a markup on a document
+   * @param {Object} permit - Permit document
+   * @param {Object} user - Reviewer
+   * @param {Object} data - Markup fields plus documentId or fileId and department
+   * @returns {Promise<Object>}
+   */
+  async create(permit, user, data = {}) {
+    const document = await this.findDocument(permit, data);
+    if (!document) {
+      throw httpError(404, 'Document is not filed with this permit');
+    }
+
+    const department =
+      data.department ||
+      user.municipal_permissions?.find(
+        (perm) =>
+          perm.municipality_id?.toString() === permit.municipalityId.toString(),
+      )?.department ||
+      null;
+
+    const annotation = new DocumentAnnotation({
+      ...pick(data, EDITABLE_FIELDS),
+      municipalityId: permit.municipalityId,
+      permitId: permit._id,
+      permitDocumentId: document._id,
+      documentVersion: document.version,
+      fileId: document.fileId,
+      authorId: user._id,
+      authorName: userName(user),
+      department,
+    });
+
+    await annotation.save();
+    return annotation;
+  }
+
+  /**
+   * Move or reword an open markup (author only)
+   * @param {Object} annotation - DocumentAnnotation document
+   * @param {Object} user
+   * @param {Object} data - Markup fields to change
+   * @returns {Promise<Object>}
+   */
+  async update(annotation, user, data = {}) {
+    if (annotation.authorId.toString() !== user._id.toString()) {
+      throw httpError(403, 'Only the author can edit this markup');
+    }
+    if (annotation.status !== 'open') {
+      throw httpError(409, 'Reopen the markup before editing it');
+    }
+    assertCurrent(annotation);
+
+    annotation.set(pick(data, EDITABLE_FIELDS));
+    await annotation.save();
+    return annotation;
+  }
+
+  /**
+   * Mark a markup as addressed
+   * @param {Object} annotation - DocumentAnnotation document
+   * @param {Object} user
+   * @param {string} [note]
+   * @returns {Promise<Object>}
+   */
+  async resolve(annotation, user, note) {
+    if (annotation.status === 'resolved') {
+      throw httpError(409, 'Markup is already resolved');
+    }
+    assertCurrent(annotation);
+
+    annotation.status = 'resolved';
+    annotation.resolvedBy = user._id;
+    annotation.resolvedByName = userName(user);
+    annotation.resolvedAt = new Date();
+    annotation.resolutionNote = note?.trim() || undefined;
+
+    await annotation.save();
+    return annotation;
+  }
+
+  /**
+   * Reopen a resolved markup
+   * @param {Object} annotation - DocumentAnnotation document
+   * @returns {Promise<Object>}
+   */
+  async reopen(annotation) {
+    if (annotation.status !== 'resolved') {
+      throw httpError(409, 'Markup is already open');
+    }
+
+    annotation.status = 'open';
+    annotation.resolvedBy = undefined;
+    annotation.resolvedByName = undefined;
+    annotation.resolvedAt = undefined;
+    annotation.resolutionNote = undefined;
+
+    await annotation.save();
+    return annotation;
+  }
+
+  /**
+   * Soft delete a markup (author only)
+   * @param {Object} annotation - DocumentAnnotation document
+   * @param {Object} user
+   */
+  async remove(annotation, user) {
+    if (annotation.authorId.toString() !== user._id.toString()) {
+      throw httpError(403, 'Only the author can delete this markup');
+    }
+
+    annotation.isActive = false;
+    annotation.deletedAt = new Date();
+    annotation.deletedBy = user._id;
+    await annotation.save();
+  }
+}
+
+module.exports = new DocumentAnnotationService();
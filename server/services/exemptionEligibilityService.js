@@ -0,0 +1,877 @@
+const ExemptionApplication = require('../models/ExemptionApplication');
+const ExemptionType = require('../models/ExemptionType');
+const ExemptionsCreditsSettings = require('../models/ExemptionsCreditsSettings');
+const PropertyExemption = require('../models/PropertyExemption');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+const Municipality = require('../models/Municipality');
+const {
+  renderReport,
+  renderLetters,
+  municipalityHeader,
+} = require('../utils/reportRenderers');
+
+/**
+ * Elderly tiers in the order they are granted. Ages are the defaults when an
+ * exemption type has no age_requirements of its own; amounts come from
+ * ExemptionsCreditsSettings.elderlyExemptions.
+ */
+const ELDERLY_TIERS = [
+  { name: 'elderly_65_74', settingsKey: 'elderly6574', minAge: 65, maxAge: 74 },
+  { name: 'elderly_75_79', settingsKey: 'elderly7579', minAge: 75, maxAge: 79 },
+  { name: 'elderly_80_plus', settingsKey: 'elderly80plus', minAge: 80 },
+];
+
+// ExemptionsCreditsSettings.disabilityExemptions amount for each category
+const DISABILITY_SETTINGS_KEYS = {
+  disabled: 'physicalHandicapExemption',
+  blind: 'blindExemption',
+};
+
+const APPLICATION_CATEGORIES = ['elderly', 'disabled', 'blind'];
+
+const LETTER_FORMATS = ['pdf', 'csv'];
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function formatCurrency(value) {
+  return `$${Math.round(value || 0).toLocaleString('en-US')}`;
+}
+
+/**
+ * Age in whole years on a date
+ * @param {Date|string} dateOfBirth
+ * @param {Date} asOf
+ * @returns {number|null}
+ */
+function ageOn(dateOfBirth, asOf) {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  if (isNaN(birth.getTime())) return null;
+
+  let age = asOf.getUTCFullYear() - birth.getUTCFullYear();
+  const beforeBirthday =
+    asOf.getUTCMonth() < birth.getUTCMonth() ||
+    (asOf.getUTCMonth() === birth.getUTCMonth() &&
+      asOf.getUTCDate() < birth.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+/**
+ * Qualification is determined as of April 1 of the tax year (RSA 72:33)
+ * @param {number} taxYear
+ * @returns {Date}
+ */
+function qualificationDate(taxYear) {
+  return new Date(Date.UTC(taxYear, 3, 1));
+}
+
+function mailingAddressLines(owner = {}) {
+  if (owner.mailing_street) {
+    return [
+      owner.mailing_street,
+      [
+        owner.mailing_city,
+        [owner.mailing_state, owner.mailing_zipcode].filter(Boolean).join(' '),
+      ]
+        .filter(Boolean)
+        .join(', '),
+    ].filter(Boolean);
+  }
+  return owner.mailing_address ? [owner.mailing_address] : [];
+}
+
+/**
+ * Exemption Eligibility Service
+ *
+ * Evaluates elderly, disabled and blind exemption applications against the
+ * municipality's exemption types and limits, turns approved applications into
+ * PropertyExemptions, and finds exemptions due for re-qualification.
+ */
+class ExemptionEligibilityService {
+  /**
+   * Load everything an evaluation needs for a municipality
+   * @param {string} municipalityId
+   * @returns {Promise<Object>} - { settings, typesByCategory }
+   */
+  async loadConfiguration(municipalityId) {
+    const [settings, types] = await Promise.all([
+      ExemptionsCreditsSettings.findOne({ municipalityId }).lean(),
+      ExemptionType.find({
+        municipality_id: municipalityId,
+        category: { $in: APPLICATION_CATEGORIES },
+        is_active: true,
+      })
+        .sort({ sort_order: 1 })
+        .lean(),
+    ]);
+
+    const typesByCategory = {};
+    APPLICATION_CATEGORIES.forEach((category) => {
+      typesByCategory[category] = types.filter(
+        (type) => type.category === category,
+      );
+    });
+
+    return { settings: settings || {}, typesByCategory };
+  }
+
+  /**
+   * Age range of an elderly exemption type
+   * @param {Object} type - ExemptionType
+   * @returns {Object} - { minAge, maxAge }
+   */
+  getElderlyAgeRange(type) {
+    const tier = ELDERLY_TIERS.find((t) => t.name === type.name);
+    return {
+      minAge: type.age_requirements?.min_age ?? tier?.minAge ?? null,
+      maxAge: type.age_requirements?.max_age ?? tier?.maxAge ?? null,
+    };
+  }
+
+  /**
+   * Exemption amount for a type: the municipality's settings amount, falling
+   * back to the type's default value
+   */
+  getExemptionAmount(type, settings) {
+    let amount = 0;
+    if (type.category === 'elderly') {
+      const tier = ELDERLY_TIERS.find((t) => t.name === type.name);
+      amount = tier ? settings.elderlyExemptions?.[tier.settingsKey] : 0;
+    } else {
+      amount =
+        settings.disabilityExemptions?.[
+          DISABILITY_SETTINGS_KEYS[type.category]
+        ];
+    }
+    return amount || type.default_exemption_value || 0;
+  }
+
+  /**
+   * Income and asset limits that apply to an applicant. Elderly types fall back
+   * to ExemptionsCreditsSettings.elderlyLimits when the type has none set.
+   */
+  getLimits(type, settings, married) {
+    const fallback =
+      type.category === 'elderly' ? settings.elderlyLimits || {} : {};
+    const income = type.income_requirements || {};
+    const assets = type.asset_requirements || {};
+
+    const incomeLimit = married
+      ? income.married_income_limit || fallback.marriedIncomeLimit
+      : income.single_income_limit || fallback.singleIncomeLimit;
+    const assetLimit = married
+      ? assets.married_asset_limit || fallback.marriedAssetLimit
+      : assets.single_asset_limit || fallback.singleAssetLimit;
+
+    const hasIncomeLimit =
+      income.has_income_limit || (type.category === 'elderly' && !!incomeLimit);
+    const hasAssetLimit =
+      assets.has_asset_limit || (type.category === 'elderly' && !!assetLimit);
+
+    return {
+      incomeLimit: hasIncomeLimit && incomeLimit > 0 ? incomeLimit : null,
+      assetLimit: hasAssetLimit && assetLimit > 0 ? assetLimit : null,
+    };
+  }
+
+  /**
+   * Age the elderly exemption is granted on. A married applicant qualifies on
+   * the older of the applicant and spouse.
+   */
+  getQualifyingAge(application, asOf) {
+    const ages = [ageOn(application.applicant?.date_of_birth, asOf)];
+    if (application.marital_status === 'married') {
+      ages.push(ageOn(application.spouse?.date_of_birth, asOf));
+    }
+    const known = ages.filter((age) => age !== null);
+    return known.length > 0 ? Math.max(...known) : null;
+  }
+
+  /**
+   * Pick the elderly tier for an age
+   * @returns {Object|null} - ExemptionType
+   */
+  findElderlyTier(types, age) {
+    if (age === null) return null;
+    return (
+      types.find((type) => {
+        const { minAge, maxAge } = this.getElderlyAgeRange(type);
+        return (
+          minAge !== null && age >= minAge && (maxAge === null || age <= maxAge)
+        );
+      }) || null
+    );
+  }
+
+  /**
+   * Evaluate an application against the configured exemption types
+   * @param {Object} application - ExemptionApplication (or plain data)
+   * @param {Object} config - From loadConfiguration
+   * @returns {Object} - evaluation subdocument
+   */
+  evaluate(application, config) {
+    const { settings, typesByCategory } = config;
+    const category = application.exemption_category;
+    const types = typesByCategory[category] || [];
+    const asOf = qualificationDate(application.tax_year);
+    const married = application.marital_status === 'married';
+    const reasons = [];
+
+    let type = null;
+    let qualifyingAge = null;
+
+    if (types.length === 0) {
+      reasons.push(`No active ${category} exemption is configured`);
+    } else if (category === 'elderly') {
+      qualifyingAge = this.getQualifyingAge(application, asOf);
+      if (qualifyingAge === null) {
+        reasons.push('Date of birth is required');
+      } else {
+        type = this.findElderlyTier(types, qualifyingAge);
+        if (!type) {
+          const minAge = Math.min(
+            ...types.map((t) => this.getElderlyAgeRange(t).minAge ?? Infinity),
+          );
+          reasons.push(
+            `Applicant${married ? ' or spouse' : ''} must be at least ${minAge} on April 1, ${application.tax_year} (age ${qualifyingAge})`,
+          );
+        }
+      }
+    } else {
+      type = types[0];
+      if (
+        category === 'disabled' &&
+        !application.applicant?.receives_disability_benefits
+      ) {
+        reasons.push(
+          'Applicant must be eligible for Social Security disability benefits',
+        );
+      }
+      if (category === 'blind' && !application.applicant?.is_legally_blind) {
+        reasons.push('Applicant must be certified legally blind');
+      }
+    }
+
+    let limits = { incomeLimit: null, assetLimit: null };
+    if (type) {
+      limits = this.getLimits(type, settings, married);
+      const income = application.household_income;
+      const assets = application.total_assets;
+
+      if (limits.incomeLimit !== null) {
+        if (income === undefined || income === null) {
+          reasons.push('Household income is required');
+        } else if (income > limits.incomeLimit) {
+          reasons.push(
+            `Household income ${formatCurrency(income)} exceeds the ${married ? 'married' : 'single'} limit of ${formatCurrency(limits.incomeLimit)}`,
+          );
+        }
+      }
+      if (limits.assetLimit !== null) {
+        if (assets === undefined || assets === null) {
+          reasons.push('Total assets are required');
+        } else if (assets > limits.assetLimit) {
+          reasons.push(
+            `Assets ${formatCurrency(assets)} exceed the ${married ? 'married' : 'single'} limit of ${formatCurrency(limits.assetLimit)}`,
+          );
+        }
+      }
+    }
+
+    const eligible = !!type && reasons.length === 0;
+
+    return {
+      evaluated_at: new Date(),
+      eligible,
+      exemption_type_id: type?._id || null,
+      exemption_name: type?.display_name || null,
+      qualifying_age: qualifyingAge,
+      age_as_of: asOf,
+      exemption_value: eligible ? this.getExemptionAmount(type, settings) : 0,
+      income_limit: limits.incomeLimit,
+      asset_limit: limits.assetLimit,
+      reasons,
+    };
+  }
+
+  /**
+   * Validate and normalize application input
+   * @param {Object} data - Request body
+   * @returns {Object} - Application fields
+   */
+  normalizeApplication(data) {
+    if (!APPLICATION_CATEGORIES.includes(data.exemption_category)) {
+      throw httpError(
+        400,
+        `Exemption category must be one of: ${APPLICATION_CATEGORIES.join(', ')}`,
+      );
+    }
+
+    const taxYear = parseInt(data.tax_year);
+    if (!taxYear || taxYear < 1900 || taxYear > 2100) {
+      throw httpError(400, 'A valid tax year is required');
+    }
+
+    if (!data.applicant?.name) {
+      throw httpError(400, 'Applicant name is required');
+    }
+
+    const householdIncome = toNumber(data.household_income);
+    const totalAssets = toNumber(data.total_assets);
+    if (Number.isNaN(householdIncome) || householdIncome < 0) {
+      throw httpError(400, 'Household income must be a non-negative number');
+    }
+    if (Number.isNaN(totalAssets) || totalAssets < 0) {
+      throw httpError(400, 'Total assets must be a non-negative number');
+    }
+
+    const married = data.marital_status === 'married';
+
+    return {
+      exemption_category: data.exemption_category,
+      tax_year: taxYear,
+      card_number: parseInt(data.card_number) || 1,
+      filing_type:
+        data.filing_type === 'requalification' ? 'requalification' : 'initial',
+      previous_exemption_id: data.previous_exemption_id || undefined,
+      applicant: {
+        name: data.applicant.name,
+        date_of_birth: data.applicant.date_of_birth || undefined,
+        receives_disability_benefits: Boolean(
+          data.applicant.receives_disability_benefits,
+        ),
+        is_legally_blind: Boolean(data.applicant.is_legally_blind),
+      },
+      marital_status: married ? 'married' : 'single',
+      spouse: married
+        ? {
+            name: data.spouse?.name,
+            date_of_birth: data.spouse?.date_of_birth || undefined,
+          }
+        : undefined,
+      household_income: householdIncome ?? undefined,
+      total_assets: totalAssets ?? undefined,
+      documentation_provided: Boolean(data.documentation_provided),
+      notes: data.notes,
+    };
+  }
+
+  /**
+   * Evaluate application data without saving it
+   * @param {string} municipalityId
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} - evaluation
+   */
+  async preview(municipalityId, data) {
+    const fields = this.normalizeApplication(data);
+    const config = await this.loadConfiguration(municipalityId);
+    return this.evaluate(fields, config);
+  }
+
+  /**
+   * Record and evaluate an application
+   * @param {string} municipalityId
+   * @param {string} propertyId
+   * @param {Object} data - Request body
+   * @param {Object} user - Staff member taking the application
+   * @returns {Promise<Object>} - ExemptionApplication
+   */
+  async createApplication(municipalityId, propertyId, data, user) {
+    const fields = this.normalizeApplication(data);
+
+    const property = await PropertyTreeNode.findOne({
+      _id: propertyId,
+      municipality_id: municipalityId,
+    }).select('_id');
+    if (!property) {
+      throw httpError(404, 'Property not found');
+    }
+
+    const existing = await ExemptionApplication.findOne({
+      property_id: propertyId,
+      card_number: fields.card_number,
+      exemption_category: fields.exemption_category,
+      tax_year: fields.tax_year,
+      status: { $in: ['pending', 'approved'] },
+    });
+    if (existing) {
+      throw httpError(
+        409,
+        `An ${existing.status} ${fields.exemption_category} application already exists for ${fields.tax_year}`,
+      );
+    }
+
+    const config = await this.loadConfiguration(municipalityId);
+    const application = new ExemptionApplication({
+      ...fields,
+      municipality_id: municipalityId,
+      property_id: propertyId,
+      evaluation: this.evaluate(fields, config),
+      created_by: user._id,
+    });
+
+    await application.save();
+    return application;
+  }
+
+  /**
+   * Update a pending application and re-evaluate it
+   */
+  async updateApplication(application, data) {
+    if (application.status !== 'pending') {
+      throw httpError(
+        409,
+        `This application has already been ${application.status}`,
+      );
+    }
+
+    const current = application.toObject();
+    const fields = this.normalizeApplication({
+      ...current,
+      ...data,
+      applicant: { ...current.applicant, ...data.applicant },
+      spouse: { ...current.spouse, ...data.spouse },
+    });
+    application.set(fields);
+
+    const config = await this.loadConfiguration(application.municipality_id);
+    application.evaluation = this.evaluate(application, config);
+
+    await application.save();
+    return application;
+  }
+
+  /**
+   * Approve an eligible application and create its PropertyExemption. A
+   * re-qualified exemption is closed out at the end of the prior year so the
+   * new tier and amount take over.
+   * @param {Object} application - ExemptionApplication
+   * @param {Object} user
+   * @param {Object} options - { notes }
+   * @returns {Promise<Object>} - { application, exemption }
+   */
+  async approveApplication(application, user, options = {}) {
+    if (application.status !== 'pending') {
+      throw httpError(
+        409,
+        `This application has already been ${application.status}`,
+      );
+    }
+
+    // Re-evaluate so the approval reflects the current settings
+    const config = await this.loadConfiguration(application.municipality_id);
+    application.evaluation = this.evaluate(application, config);
+    if (!application.evaluation.eligible) {
+      await application.save();
+      throw httpError(
+        409,
+        `Application does not qualify: ${application.evaluation.reasons.join('; ')}`,
+      );
+    }
+
+    const type = await ExemptionType.findById(
+      application.evaluation.exemption_type_id,
+    );
+    const taxYear = application.tax_year;
+
+    const overlapping = await PropertyExemption.find({
+      property_id: application.property_id,
+      card_number: application.card_number,
+      exemption_type_id: {
+        $in: (config.typesByCategory[application.exemption_category] || []).map(
+          (t) => t._id,
+        ),
+      },
+      is_active: true,
+      start_year: { $lte: taxYear },
+      $or: [{ end_year: null }, { end_year: { $gte: taxYear } }],
+    });
+
+    for (const previous of overlapping) {
+      if (previous.start_year >= taxYear) {
+        throw httpError(
+          409,
+          `This property already has a ${application.exemption_category} exemption starting in ${previous.start_year}`,
+        );
+      }
+      previous.end_year = taxYear - 1;
+      await previous.save();
+    }
+
+    const interval = type.requalification_interval_years || 0;
+    const exemption = new PropertyExemption({
+      property_id: application.property_id,
+      municipality_id: application.municipality_id,
+      exemption_type_id: type._id,
+      owner_name: application.applicant.name,
+      card_number: application.card_number,
+      exemption_value: application.evaluation.exemption_value,
+      credit_value: 0,
+      start_year: taxYear,
+      end_year: interval > 0 ? taxYear + interval - 1 : null,
+      qualification_notes: [
+        `${application.filing_type === 'requalification' ? 'Re-qualified' : 'Qualified'} for ${taxYear}`,
+        application.evaluation.qualifying_age !== null
+          ? `age ${application.evaluation.qualifying_age} on April 1`
+          : null,
+        options.notes,
+      ]
+        .filter(Boolean)
+        .join('; '),
+      documentation_provided: application.documentation_provided,
+      approved_by: user._id,
+      approved_at: new Date(),
+      created_by: user._id,
+      is_active: true,
+    });
+    await exemption.save();
+
+    application.status = 'approved';
+    application.decision_notes = options.notes;
+    application.decided_by = user._id;
+    application.decided_at = new Date();
+    application.property_exemption_id = exemption._id;
+    await application.save();
+
+    console.log(
+      `✅ Approved ${type.display_name} of ${formatCurrency(exemption.exemption_value)} for ${taxYear} on property ${application.property_id}`,
+    );
+
+    return { application, exemption };
+  }
+
+  /**
+   * Deny an application. A denied re-filing lets the current exemption lapse
+   * after the prior year.
+   */
+  async denyApplication(application, user, options = {}) {
+    if (application.status !== 'pending') {
+      throw httpError(
+        409,
+        `This application has already been ${application.status}`,
+      );
+    }
+    if (!options.notes) {
+      throw httpError(400, 'A reason for the denial is required');
+    }
+
+    if (application.previous_exemption_id) {
+      const previous = await PropertyExemption.findById(
+        application.previous_exemption_id,
+      );
+      if (
+        previous &&
+        previous.start_year < application.tax_year &&
+        (!previous.end_year || previous.end_year >= application.tax_year)
+      ) {
+        previous.end_year = application.tax_year - 1;
+        await previous.save();
+      }
+    }
+
+    application.status = 'denied';
+    application.decision_notes = options.notes;
+    application.decided_by = user._id;
+    application.decided_at = new Date();
+    await application.save();
+
+    return application;
+  }
+
+  /**
+   * Find elderly, disabled and blind exemptions that must be re-qualified to
+   * continue into a tax year: approvals that lapse at the end of the prior
+   * year, ongoing exemptions due for periodic re-filing, and elderly
+   * exemptions whose owner moves into a different age tier.
+   * @param {string} municipalityId
+   * @param {number} taxYear - Year being re-qualified for
+   * @returns {Promise<Array>}
+   */
+  async getRequalificationList(municipalityId, taxYear) {
+    const priorYear = taxYear - 1;
+    const config = await this.loadConfiguration(municipalityId);
+    const types = Object.values(config.typesByCategory).flat();
+    const typesById = new Map(types.map((type) => [type._id.toString(), type]));
+
+    const exemptions = await PropertyExemption.find({
+      municipality_id: municipalityId,
+      exemption_type_id: { $in: types.map((type) => type._id) },
+      is_active: true,
+      start_year: { $lte: priorYear },
+      $or: [{ end_year: null }, { end_year: { $gte: priorYear } }],
+    }).lean();
+
+    const exemptionIds = exemptions.map((exemption) => exemption._id);
+    const propertyIds = [
+      ...new Set(exemptions.map((e) => e.property_id.toString())),
+    ];
+
+    const [approvals, filings, properties] = await Promise.all([
+      // The application each exemption was approved from (for birth dates)
+      ExemptionApplication.find({
+        property_exemption_id: { $in: exemptionIds },
+      })
+        .select('property_exemption_id applicant spouse marital_status')
+        .lean(),
+      // Applications already filed for the year
+      ExemptionApplication.find({
+        municipality_id: municipalityId,
+        property_id: { $in: propertyIds },
+        tax_year: taxYear,
+        status: { $ne: 'withdrawn' },
+      })
+        .select('property_id card_number exemption_category status')
+        .lean(),
+      PropertyTreeNode.find({ _id: { $in: propertyIds } })
+        .select('pid_raw pid_formatted account_number location owner owners')
+        .lean(),
+    ]);
+
+    const approvalByExemption = new Map(
+      approvals.map((a) => [a.property_exemption_id.toString(), a]),
+    );
+    const filingByKey = new Map(
+      filings.map((f) => [
+        `${f.property_id}:${f.card_number}:${f.exemption_category}`,
+        f,
+      ]),
+    );
+    const propertiesById = new Map(
+      properties.map((p) => [p._id.toString(), p]),
+    );
+
+    const list = [];
+    for (const exemption of exemptions) {
+      const type = typesById.get(exemption.exemption_type_id.toString());
+      const reasons = [];
+
+      if (exemption.end_year === priorYear) {
+        reasons.push('lapsing');
+      }
+
+      const interval = type.requalification_interval_years || 0;
+      if (
+        !exemption.end_year &&
+        interval > 0 &&
+        (taxYear - exemption.start_year) % interval === 0
+      ) {
+        reasons.push('refile_required');
+      }
+
+      const approval = approvalByExemption.get(exemption._id.toString());
+      let nextTier = null;
+      if (type.category === 'elderly' && approval) {
+        const age = this.getQualifyingAge(approval, qualificationDate(taxYear));
+        nextTier = this.findElderlyTier(config.typesByCategory.elderly, age);
+        if (nextTier && nextTier._id.toString() !== type._id.toString()) {
+          reasons.push('age_tier_change');
+        } else {
+          nextTier = null;
+        }
+      }
+
+      if (reasons.length === 0) continue;
+
+      const property = propertiesById.get(exemption.property_id.toString());
+      const owner = property?.owners?.primary || {};
+      const filing = filingByKey.get(
+        `${exemption.property_id}:${exemption.card_number}:${type.category}`,
+      );
+
+      list.push({
+        exemption_id: exemption._id,
+        property_id: exemption.property_id,
+        card_number: exemption.card_number,
+        pid: property?.pid_formatted || property?.pid_raw,
+        account_number: property?.account_number,
+        location: property?.location?.address,
+        owner_name:
+          exemption.owner_name ||
+          owner.primary_name ||
+          property?.owner?.primary_name,
+        mailing_address_lines: mailingAddressLines(
+          owner.mailing_street ? owner : property?.owner,
+        ),
+        exemption_category: type.category,
+        exemption_type_id: type._id,
+        exemption_name: type.display_name,
+        exemption_value: exemption.exemption_value,
+        start_year: exemption.start_year,
+        end_year: exemption.end_year,
+        reasons,
+        next_tier_name: nextTier?.display_name || null,
+        application_status: filing?.status || null,
+        application_id: filing?._id || null,
+        last_notice: exemption.last_requalification_notice || null,
+      });
+    }
+
+    return list.sort((a, b) =>
+      (a.pid || '').localeCompare(b.pid || '', undefined, { numeric: true }),
+    );
+  }
+
+  /**
+   * Produce the batch of re-qualification letters for a tax year
+   * @param {string} municipalityId
+   * @param {number} taxYear
+   * @param {Object} options
+   * @param {string} options.format - pdf (letters) | csv (mail merge list)
+   * @param {string[]} options.exemptionIds - Limit to these exemptions
+   * @param {boolean} options.includeFiled - Include owners who already filed
+   * @param {string} options.filingDeadline - Deadline text for the letter
+   * @param {Object} user - Staff member running the letters
+   * @returns {Promise<Object>} - { buffer, extension, mimeType, filename, count }
+   */
+  async generateRequalificationLetters(
+    municipalityId,
+    taxYear,
+    options = {},
+    user = null,
+  ) {
+    const format = options.format || 'pdf';
+    if (!LETTER_FORMATS.includes(format)) {
+      throw httpError(
+        400,
+        `Unsupported format "${format}". Use one of: ${LETTER_FORMATS.join(', ')}`,
+      );
+    }
+
+    let list = await this.getRequalificationList(municipalityId, taxYear);
+    if (options.exemptionIds?.length) {
+      const selected = new Set(options.exemptionIds.map(String));
+      list = list.filter((item) => selected.has(item.exemption_id.toString()));
+    }
+    if (!options.includeFiled) {
+      list = list.filter((item) => !item.application_status);
+    }
+    if (list.length === 0) {
+      throw httpError(404, 'No exemptions need re-qualification letters');
+    }
+
+    const municipality = await Municipality.findById(municipalityId).lean();
+    const header = municipalityHeader(municipality);
+    const deadline = options.filingDeadline || `April 15, ${taxYear}`;
+    const generatedAt = new Date();
+
+    let rendered;
+    if (format === 'pdf') {
+      rendered = await renderLetters({
+        title: `${taxYear} Exemption Re-qualification Letters`,
+        municipality: header,
+        generated_at: generatedAt,
+        letters: list.map((item) => ({
+          recipient: {
+            name: item.owner_name,
+            address_lines: item.mailing_address_lines,
+          },
+          subject: `${item.exemption_name} - ${taxYear} re-qualification required`,
+          reference: [
+            `Map/Lot: ${item.pid || ''}`,
+            item.location ? `Location: ${item.location}` : null,
+          ].filter(Boolean),
+          paragraphs: this.letterParagraphs(item, taxYear, deadline, header),
+        })),
+      });
+    } else {
+      rendered = await renderReport(
+        {
+          title: `${taxYear} Exemption Re-qualification Mailing List`,
+          municipality: header,
+          generated_at: generatedAt,
+          parameters: [{ label: 'Filing deadline', value: deadline }],
+          sections: [
+            {
+              columns: [
+                { key: 'pid', label: 'Map/Lot', type: 'text' },
+                { key: 'owner_name', label: 'Owner', type: 'text' },
+                {
+                  key: 'mailing_address',
+                  label: 'Mailing Address',
+                  type: 'text',
+                },
+                { key: 'location', label: 'Location', type: 'text' },
+                { key: 'exemption_name', label: 'Exemption', type: 'text' },
+                { key: 'exemption_value', label: 'Amount', type: 'currency' },
+                { key: 'reasons', label: 'Reason', type: 'text' },
+                { key: 'next_tier_name', label: 'New Tier', type: 'text' },
+              ],
+              rows: list.map((item) => ({
+                ...item,
+                mailing_address: item.mailing_address_lines.join(', '),
+                reasons: item.reasons.join(', '),
+              })),
+            },
+          ],
+        },
+        'csv',
+      );
+    }
+
+    if (user) {
+      await PropertyExemption.updateMany(
+        { _id: { $in: list.map((item) => item.exemption_id) } },
+        {
+          $set: {
+            last_requalification_notice: {
+              tax_year: taxYear,
+              sent_at: generatedAt,
+              sent_by: user._id,
+            },
+          },
+        },
+      );
+    }
+
+    console.log(
+      `📬 Generated ${list.length} exemption re-qualification letters for ${taxYear}`,
+    );
+
+    return {
+      ...rendered,
+      filename: `exemption-requalification-${taxYear}.${rendered.extension}`,
+      count: list.length,
+    };
+  }
+
+  letterParagraphs(item, taxYear, deadline, municipality) {
+    const paragraphs = [`Dear ${item.owner_name || 'Property Owner'},`];
+
+    if (item.reasons.includes('lapsing')) {
+      paragraphs.push(
+        `Your ${item.exemption_name} of ${formatCurrency(item.exemption_value)} was approved through the ${item.end_year} tax year. To continue receiving the exemption for ${taxYear}, you must re-qualify.`,
+      );
+    } else {
+      paragraphs.push(
+        `Your ${item.exemption_name} of ${formatCurrency(item.exemption_value)} must be re-qualified to continue for the ${taxYear} tax year.`,
+      );
+    }
+
+    if (item.next_tier_name) {
+      paragraphs.push(
+        `Based on the age on file, you may qualify for the ${item.next_tier_name} for ${taxYear}. The assessor will confirm the new amount when your application is reviewed.`,
+      );
+    }
+
+    paragraphs.push(
+      `Please file a Permanent Application for Property Tax Exemptions and Credits (Form PA-29) with the assessing office by ${deadline}, with proof of age, household income and assets for the prior calendar year.`,
+      'If you no longer own or occupy this property as your primary residence, please contact the assessing office so that our records can be updated.',
+      'Sincerely,',
+      `${municipality?.name || ''} Assessing Office`.trim(),
+    );
+
+    return paragraphs;
+  }
+}
+
+module.exports = new ExemptionEligibilityService();
@@ -0,0 +1,121 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const PermitType = require('../models/PermitType');
+const { requireAppModule } = require('../utils/appModules');
+
+const feeFormula = requireAppModule('fee-formula');
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sameId(a, b) {
+  return Boolean(a && b) && a.toString() === b.toString();
+}
+
+/**
+ * Fee Schedule Service
+ *
+ * Calculates permit fees with the shared evaluator in
+ * app/utils/fee-formula.js (the permit create form quotes with the same
+ * code) and checks that permit type formulas only reference fee schedules
+ * the municipality actually has.
+ */
+class FeeScheduleService {
+  /**
+   * Base fee for a new permit of the given type
+   * @param {Object} permitType - PermitType document
+   * @param {Object} permitData - { estimatedValue, squareFootage, customFields }
+   * @returns {Promise<number>} - Fee rounded to cents
+   */
+  async calculatePermitFee(permitType, permitData) {
+    const feeSchedule = permitType?.feeSchedule;
+    if (!feeSchedule) return 0;
+
+    // Only custom formulas read fee schedules
+    const schedules =
+      feeSchedule.calculationType === 'custom'
+        ? await FeeSchedule.getActiveSchedules(permitType.municipalityId)
+        : [];
+
+    try {
+      return feeFormula.calculatePermitFee(feeSchedule, permitData, {
+        schedules,
+      });
+    } catch (error) {
+      if (error.name !== 'FeeFormulaError') throw error;
+      throw httpError(
+        400,
+        `The ${permitType.name} fee could not be calculated: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Check a permit type's fee settings before saving: the formula parses
+   * and every schedule it uses exists and is active
+   * @param {string} municipalityId
+   * @param {Object} feeSchedule - PermitType.feeSchedule
+   * @throws {Error} - 400 describing the first problem found
+   */
+  async validatePermitTypeFees(municipalityId, feeSchedule) {
+    if (!feeSchedule) return;
+
+    const schedules = await FeeSchedule.getActiveSchedules(municipalityId);
+
+    if (
+      feeSchedule.linkedScheduleId &&
+      !schedules.some((s) => sameId(s._id, feeSchedule.linkedScheduleId))
+    ) {
+      throw httpError(400, 'Linked fee schedule not found or inactive');
+    }
+
+    if (feeSchedule.calculationType !== 'custom' || !feeSchedule.formula) {
+      return;
+    }
+
+    const result = feeFormula.validateFormula(feeSchedule.formula);
+    if (!result.valid) {
+      throw httpError(400, `Invalid fee formula: ${result.error}`);
+    }
+
+    if (result.usesLinkedSchedule && !feeSchedule.linkedScheduleId) {
+      throw httpError(
+        400,
+        'tiered() without a schedule code needs a linked fee schedule',
+      );
+    }
+
+    const codes = new Set(schedules.map((s) => s.code));
+    const missing = result.scheduleCodes.find(
+      (code) => !codes.has(code.toUpperCase()),
+    );
+    if (missing) {
+      throw httpError(400, `Fee schedule "${missing}" not found or inactive`);
+    }
+  }
+
+  /**
+   * Active permit types whose fees depend on a schedule, by link or code
+   * @param {Object} schedule - FeeSchedule document
+   * @returns {Promise<Array>} - PermitType documents
+   */
+  async getDependentPermitTypes(schedule) {
+    const permitTypes = await PermitType.find({
+      municipalityId: schedule.municipalityId,
+      isActive: true,
+    }).select('name feeSchedule');
+
+    return permitTypes.filter(({ feeSchedule }) => {
+      if (sameId(feeSchedule?.linkedScheduleId, schedule._id)) return true;
+      if (feeSchedule?.calculationType !== 'custom' || !feeSchedule.formula) {
+        return false;
+      }
+      const { scheduleCodes } = feeFormula.validateFormula(feeSchedule.formula);
+      return scheduleCodes.some((code) => code.toUpperCase() === schedule.code);
+    });
+  }
+}
+
+module.exports = new FeeScheduleService();
@@ -0,0 +1,248 @@
+const PermitInspection = require('../models/PermitInspection');
+const inspectionRouteService = require('./inspectionRouteService');
+
+// Inspections an inspector may still need to work in the field
+const FIELD_STATUSES = ['scheduled', 'in_progress', 'rescheduled'];
+
+// History actions that change an inspection's outcome
+const OUTCOME_ACTIONS = [
+  'status_updated',
+  'rescheduled',
+  'completed',
+  'cancelled',
+];
+
+// Field packets cover at most a week of inspections
+const MAX_PACKET_DAYS = 7;
+
+const VIOLATION_SEVERITIES = ['critical', 'major', 'minor'];
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function optionalDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Field Inspection Service
+ *
+ * Supports inspectors working without connectivity: packages a day's
+ * inspections with their permit type checklists for the tablet to cache, and
+ * decides whether results recorded offline can be applied when they are
+ * replayed, or conflict with changes made in the office meanwhile.
+ */
+class FieldInspectionService {
+  /**
+   * Checklist for an inspection type from the permit type's inspection settings
+   * @param {Object} permitType - PermitType (or populated permitTypeId)
+   * @param {string} inspectionType - e.g. 'framing'
+   * @returns {Array} - Checklist items in display order
+   */
+  getChecklist(permitType, inspectionType) {
+    const requirement =
+      permitType?.inspectionSettings?.requiredInspections?.find(
+        (entry) => entry.type === inspectionType,
+      );
+
+    return (requirement?.checklist || [])
+      .map((item, index) => ({
+        id: item.id || item._id?.toString() || `item-${index + 1}`,
+        question: item.question,
+        category: item.category || '',
+        responseType: item.responseType || 'pass_fail',
+        isRequired: Boolean(item.isRequired),
+        order: item.order ?? index,
+        codeReference: item.codeReference || '',
+        helpText: item.helpText || '',
+      }))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Everything an inspector needs to work a day (or several) offline: each
+   * open inspection with permit, property, notes, history and checklist
+   * @param {string} municipalityId
+   * @param {string} inspectorId
+   * @param {string} date - First day, YYYY-MM-DD
+   * @param {number} days - Number of days to include (1-7)
+   * @returns {Promise<Object>} - { generatedAt, from, through, inspections }
+   */
+  async getFieldPacket(municipalityId, inspectorId, date, days = 1) {
+    const from = inspectionRouteService.parseDay(date);
+    const dayCount = parseInt(days, 10) || 1;
+
+    if (dayCount < 1 || dayCount > MAX_PACKET_DAYS) {
+      throw httpError(400, `Days must be between 1 and ${MAX_PACKET_DAYS}`);
+    }
+
+    const through = new Date(from);
+    through.setDate(through.getDate() + dayCount);
+
+    const inspections = await PermitInspection.find({
+      municipalityId,
+      inspector: inspectorId,
+      scheduledDate: { $gte: from, $lt: through },
+      status: { $in: FIELD_STATUSES },
+      isActive: true,
+    })
+      .populate({
+        path: 'permitId',
+        select: 'permitNumber type propertyAddress applicant permitTypeId',
+        populate: {
+          path: 'permitTypeId',
+          select: 'name category inspectionSettings.requiredInspections',
+        },
+      })
+      .populate('inspector', 'first_name last_name email phone')
+      .populate('propertyId', 'location pid pid_formatted')
+      .populate('notes.createdBy', 'first_name last_name')
+      .populate('history.performedBy', 'first_name last_name')
+      .sort({ scheduledDate: 1, routeSequence: 1 });
+
+    return {
+      generatedAt: new Date(),
+      from,
+      through,
+      inspections: inspections.map((inspection) => {
+        const permitType = inspection.permitId?.permitTypeId;
+        const record = inspection.toObject();
+
+        // The checklist travels on its own; drop the settings blob
+        if (record.permitId?.permitTypeId) {
+          record.permitId.permitTypeId = {
+            _id: permitType._id,
+            name: permitType.name,
+            category: permitType.category,
+          };
+        }
+
+        return {
+          ...record,
+          checklist: this.getChecklist(permitType, inspection.type),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Whether a change the field app queued has already been applied, so a
+   * replay after a lost response does not record it twice
+   * @param {Object} inspection - PermitInspection document
+   * @param {string} kind - 'status', 'note' or 'photo'
+   * @param {string} clientId
+   * @returns {boolean}
+   */
+  wasApplied(inspection, kind, clientId) {
+    if (!clientId) return false;
+
+    if (kind === 'note') {
+      return (inspection.notes || []).some(
+        (note) => note.clientId === clientId,
+      );
+    }
+    if (kind === 'photo') {
+      return (inspection.photos || []).some(
+        (photo) => photo.clientId === clientId,
+      );
+    }
+    return (inspection.history || []).some(
+      (entry) => entry.details?.clientId === clientId,
+    );
+  }
+
+  /**
+   * The most recent outcome change made after the version the inspector
+   * started from. Notes and photos never conflict; they are only added.
+   * @param {Object} inspection - PermitInspection document
+   * @param {string|Date} baseUpdatedAt - updatedAt of the inspector's copy
+   * @returns {Object|null} - The conflicting history entry
+   */
+  findOutcomeConflict(inspection, baseUpdatedAt) {
+    const base = optionalDate(baseUpdatedAt);
+    if (!base) return null;
+
+    const changes = (inspection.history || []).filter(
+      (entry) =>
+        OUTCOME_ACTIONS.includes(entry.action) &&
+        new Date(entry.performedAt) > base,
+    );
+
+    return changes.length ? changes[changes.length - 1] : null;
+  }
+
+  /**
+   * Apply violations, conditions and checklist responses recorded with a
+   * status update
+   * @param {Object} inspection - PermitInspection document
+   * @param {Object} findings - { violations, conditions, checklistResults, recordedAt }
+   */
+  applyFindings(inspection, findings) {
+    const { violations, conditions, checklistResults } = findings;
+    const recordedAt = optionalDate(findings.recordedAt) || new Date();
+
+    if (violations !== undefined && !Array.isArray(violations)) {
+      throw httpError(400, 'violations must be an array');
+    }
+    if (conditions !== undefined && !Array.isArray(conditions)) {
+      throw httpError(400, 'conditions must be an array');
+    }
+    if (checklistResults !== undefined && !Array.isArray(checklistResults)) {
+      throw httpError(400, 'checklistResults must be an array');
+    }
+
+    for (const violation of violations || []) {
+      if (!violation?.description?.trim()) {
+        throw httpError(400, 'Each violation needs a description');
+      }
+      inspection.addViolation({
+        code: violation.code,
+        description: violation.description.trim(),
+        location: violation.location,
+        severity: VIOLATION_SEVERITIES.includes(violation.severity)
+          ? violation.severity
+          : 'major',
+        mustCorrectBy: optionalDate(violation.mustCorrectBy),
+      });
+    }
+
+    for (const condition of conditions || []) {
+      if (!condition?.description?.trim()) {
+        throw httpError(400, 'Each condition needs a description');
+      }
+      inspection.conditions.push({
+        description: condition.description.trim(),
+        dueDate: optionalDate(condition.dueDate),
+      });
+    }
+
+    // A later response to the same item replaces the earlier one
+    for (const entry of checklistResults || []) {
+      if (!entry?.itemId) {
+        throw httpError(400, 'Each checklist response needs an itemId');
+      }
+      const response = {
+        itemId: entry.itemId,
+        question: entry.question,
+        response: entry.response == null ? '' : String(entry.response),
+        notes: entry.notes,
+        recordedAt,
+      };
+      const existing = inspection.checklistResults.find(
+        (result) => result.itemId === entry.itemId,
+      );
+      if (existing) {
+        existing.set(response);
+      } else {
+        inspection.checklistResults.push(response);
+      }
+    }
+  }
+}
+
+module.exports = new FieldInspectionService();
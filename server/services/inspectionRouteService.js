@@ -0,0 +1,839 @@
+const mongoose = require('mongoose');
+const PermitInspection = require('../models/PermitInspection');
+const Municipality = require('../models/Municipality');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const {
+  renderReport,
+  municipalityHeader,
+} = require('../utils/reportRenderers');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Stored coordinates only give straight-line distance; roads are longer
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// Working day used when the municipality has no availability for the weekday
+const DEFAULT_DAY = { startTime: '08:00', endTime: '16:30', slotDuration: 60 };
+
+const ACTIVE_STATUSES = ['scheduled', 'in_progress'];
+
+const RUN_SHEET_FORMATS = ['pdf', 'html'];
+
+// Give up on 2-opt improvement after this many full passes
+const MAX_IMPROVEMENT_PASSES = 50;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function atMinutes(day, minutes) {
+  const date = new Date(day);
+  date.setMinutes(Math.round(minutes));
+  return date;
+}
+
+function formatClock(date) {
+  return new Date(date).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function formatInspectionType(type) {
+  return (type || '')
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function toCoordinates(point) {
+  const coordinates = point?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+  const [lng, lat] = coordinates.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) return null;
+  if (lng === 0 && lat === 0) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return [lng, lat];
+}
+
+/**
+ * Great-circle distance between two [longitude, latitude] pairs, in miles
+ */
+function haversineMiles(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to[1] - from[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[1])) *
+      Math.cos(toRadians(to[1])) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+function travelMiles(from, to) {
+  if (!from || !to) return 0;
+  return haversineMiles(from, to) * ROAD_DISTANCE_FACTOR;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Inspection Route Service
+ *
+ * Plans an inspector's day: orders their inspections by travel distance from
+ * a start point using the permits' stored coordinates, keeps each stop inside
+ * its time window, renders a printable run sheet and, when a day is
+ * re-sequenced, tells applicants their new arrival window.
+ */
+class InspectionRouteService {
+  /**
+   * Parse a YYYY-MM-DD day into local midnight
+   * @param {string} date
+   * @returns {Date}
+   */
+  parseDay(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      throw httpError(400, 'Date must be in YYYY-MM-DD format');
+    }
+    return new Date(`${date}T00:00:00`);
+  }
+
+  /**
+   * Working hours for a day from the municipality's inspection availability
+   * @param {Object} inspectionSettings - Municipality.inspectionSettings
+   * @param {Date} day
+   * @returns {Object} - { start, end, slotDuration, configured } in minutes
+   */
+  getDayWindow(inspectionSettings, day) {
+    const slots = (inspectionSettings?.availableTimeSlots || []).filter(
+      (slot) => slot.dayOfWeek === day.getDay(),
+    );
+
+    if (slots.length === 0) {
+      return {
+        start: minutesOf(DEFAULT_DAY.startTime),
+        end: minutesOf(DEFAULT_DAY.endTime),
+        slotDuration: DEFAULT_DAY.slotDuration,
+        configured: false,
+      };
+    }
+
+    return {
+      start: Math.min(...slots.map((slot) => minutesOf(slot.startTime))),
+      end: Math.max(...slots.map((slot) => minutesOf(slot.endTime))),
+      slotDuration: slots[0].slotDuration || DEFAULT_DAY.slotDuration,
+      configured: true,
+    };
+  }
+
+  /**
+   * Time window (minutes from midnight) an inspection has to start in.
+   * scheduledTimeSlot may be a range ("08:00-10:00") or "Morning" /
+   * "Afternoon"; slots booked from available-slots carry their start time on
+   * scheduledDate. Anything else may be visited at any time of the day.
+   * @param {Object} inspection
+   * @param {Object} dayWindow
+   * @param {number} arrivalWindowMinutes
+   * @returns {Object} - { start, end }
+   */
+  getTimeWindow(inspection, dayWindow, arrivalWindowMinutes) {
+    const slot = (inspection.scheduledTimeSlot || '').trim().toLowerCase();
+
+    const range = slot.match(
+      /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])\s*-\s*([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/,
+    );
+    if (range) {
+      return {
+        start: Number(range[1]) * 60 + Number(range[2]),
+        end: Number(range[3]) * 60 + Number(range[4]),
+      };
+    }
+    if (slot === 'morning' || slot === 'am') {
+      return { start: dayWindow.start, end: Math.max(dayWindow.start, 720) };
+    }
+    if (slot === 'afternoon' || slot === 'pm') {
+      return { start: Math.min(720, dayWindow.end), end: dayWindow.end };
+    }
+
+    const scheduled = new Date(inspection.scheduledDate);
+    const bookedMinutes = scheduled.getHours() * 60 + scheduled.getMinutes();
+    if (bookedMinutes > 0) {
+      return {
+        start: bookedMinutes,
+        end: bookedMinutes + arrivalWindowMinutes,
+      };
+    }
+
+    return { start: dayWindow.start, end: dayWindow.end };
+  }
+
+  /**
+   * Minutes an inspection takes on site, from the permit type's required
+   * inspection estimate or the day's slot length
+   */
+  getDurationMinutes(inspection, dayWindow) {
+    const requirement =
+      inspection.permitId?.permitTypeId?.inspectionSettings?.requiredInspections?.find(
+        (required) => required.type === inspection.type,
+      );
+    return requirement?.estimatedMinutes || dayWindow.slotDuration;
+  }
+
+  /**
+   * Load everything needed to plan an inspector's day
+   * @param {string} municipalityId
+   * @param {string} inspectorId
+   * @param {string} date - YYYY-MM-DD (server local time)
+   * @param {Object} options - { startCoordinates: [lng, lat] } to override the configured start
+   * @returns {Promise<Object>} - planning context with stops
+   */
+  async loadDay(municipalityId, inspectorId, date, options = {}) {
+    const day = this.parseDay(date);
+    if (!mongoose.Types.ObjectId.isValid(inspectorId)) {
+      throw httpError(400, 'Invalid inspector ID');
+    }
+
+    const municipality = await Municipality.findById(municipalityId).select(
+      'name displayName state contact_info inspectionSettings',
+    );
+    if (!municipality) {
+      throw httpError(404, 'Municipality not found');
+    }
+
+    const inspector = await User.findById(inspectorId).select(
+      'first_name last_name email',
+    );
+    if (!inspector) {
+      throw httpError(404, 'Inspector not found');
+    }
+
+    const endOfDay = new Date(day);
+    endOfDay.setDate(endOfDay.getDate() + 1);
+
+    const inspections = await PermitInspection.find({
+      municipalityId,
+      inspector: inspectorId,
+      scheduledDate: { $gte: day, $lt: endOfDay },
+      status: { $in: ACTIVE_STATUSES },
+      isActive: true,
+    }).populate({
+      path: 'permitId',
+      select:
+        'permitNumber propertyAddress location applicant submitted_by permitTypeId',
+      populate: {
+        path: 'permitTypeId',
+        select: 'name inspectionSettings.requiredInspections',
+      },
+    });
+
+    const settings = municipality.inspectionSettings || {};
+    const routing = settings.routing || {};
+    const dayWindow = this.getDayWindow(settings, day);
+    const arrivalWindowMinutes = routing.arrivalWindowMinutes || 60;
+    const inspectorSettings = (settings.inspectors || []).find(
+      (entry) => entry.userId?.toString() === inspectorId.toString(),
+    );
+
+    const startCoordinates =
+      toCoordinates({ coordinates: options.startCoordinates }) ||
+      toCoordinates(routing.startLocation);
+
+    const stops = inspections.map((inspection) => ({
+      inspection,
+      coordinates: toCoordinates(inspection.permitId?.location),
+      window: this.getTimeWindow(inspection, dayWindow, arrivalWindowMinutes),
+      durationMinutes: this.getDurationMinutes(inspection, dayWindow),
+    }));
+
+    return {
+      day,
+      date,
+      municipality,
+      inspector,
+      stops,
+      dayWindow,
+      speedMph: routing.averageSpeedMph || 25,
+      arrivalWindowMinutes,
+      maxPerDay: inspectorSettings?.maxPerDay || null,
+      start: {
+        label: options.startCoordinates
+          ? 'Custom start point'
+          : routing.startLabel || 'Start',
+        address: options.startCoordinates ? null : routing.startAddress,
+        coordinates: startCoordinates,
+      },
+    };
+  }
+
+  /**
+   * Drive a sequence of stops through the day: travel from the previous stop,
+   * wait if a window has not opened yet, and record how late anything runs
+   * @param {Array} stops - in visiting order
+   * @param {Object} context - from loadDay
+   * @returns {Object} - { legs, totals }
+   */
+  simulate(stops, context) {
+    let position = context.start.coordinates;
+    let clock = context.dayWindow.start;
+    const totals = { miles: 0, lateCount: 0, lateMinutes: 0, waitMinutes: 0 };
+
+    const legs = stops.map((stop, index) => {
+      const legMiles = stop.coordinates
+        ? travelMiles(position, stop.coordinates)
+        : 0;
+      if (stop.coordinates) position = stop.coordinates;
+
+      const travelMinutes = (legMiles / context.speedMph) * 60;
+      const reached = clock + travelMinutes;
+      const waitMinutes = Math.max(0, stop.window.start - reached);
+      const arrival = reached + waitMinutes;
+      const lateMinutes = Math.max(0, arrival - stop.window.end);
+      clock = arrival + stop.durationMinutes;
+
+      totals.miles += legMiles;
+      totals.waitMinutes += waitMinutes;
+      if (lateMinutes > 0) {
+        totals.lateCount++;
+        totals.lateMinutes += lateMinutes;
+      }
+
+      return {
+        stop,
+        sequence: index + 1,
+        legMiles,
+        travelMinutes,
+        waitMinutes,
+        arrival,
+        departure: clock,
+        lateMinutes,
+      };
+    });
+
+    totals.finish = clock;
+    totals.overrun = Math.max(0, clock - context.dayWindow.end);
+    return { legs, totals };
+  }
+
+  /**
+   * Fewer missed windows wins, then fewer minutes late, then fewer miles
+   */
+  isBetter(candidate, incumbent) {
+    const a = candidate.totals;
+    const b = incumbent.totals;
+    if (a.lateCount !== b.lateCount) return a.lateCount < b.lateCount;
+    if (Math.abs(a.lateMinutes - b.lateMinutes) > 0.5) {
+      return a.lateMinutes < b.lateMinutes;
+    }
+    return a.miles < b.miles - 0.01;
+  }
+
+  /**
+   * The day in its current order: the last optimized sequence if there is
+   * one, otherwise by booked time
+   */
+  currentOrder(stops) {
+    return [...stops].sort((a, b) => {
+      const sequenceA = a.inspection.routeSequence ?? Infinity;
+      const sequenceB = b.inspection.routeSequence ?? Infinity;
+      if (sequenceA !== sequenceB) return sequenceA - sequenceB;
+      return (
+        a.window.start - b.window.start ||
+        new Date(a.inspection.scheduledDate) -
+          new Date(b.inspection.scheduledDate)
+      );
+    });
+  }
+
+  /**
+   * Order the located stops greedily by earliest reachable arrival, then
+   * improve the order with 2-opt moves that do not break more time windows.
+   * Stops without coordinates are inserted afterwards.
+   * @param {Array} stops
+   * @param {Object} context
+   * @returns {Array} - stops in visiting order
+   */
+  optimizeOrder(stops, context) {
+    const located = stops.filter((stop) => stop.coordinates);
+    const unlocated = stops
+      .filter((stop) => !stop.coordinates)
+      .sort((a, b) => a.window.start - b.window.start);
+
+    const remaining = [...located];
+    let order = [];
+    let position = context.start.coordinates;
+    let clock = context.dayWindow.start;
+
+    while (remaining.length > 0) {
+      let bestIndex = 0;
+      let bestKey = null;
+
+      remaining.forEach((stop, index) => {
+        const miles = travelMiles(position, stop.coordinates);
+        const arrival = Math.max(
+          clock + (miles / context.speedMph) * 60,
+          stop.window.start,
+        );
+        const feasible = arrival <= stop.window.end;
+        // Reachable stops first (soonest arrival, then nearest); otherwise
+        // the stop whose window closes first
+        const key = feasible
+          ? [0, arrival, miles]
+          : [1, stop.window.end, miles];
+
+        if (
+          !bestKey ||
+          key[0] < bestKey[0] ||
+          (key[0] === bestKey[0] &&
+            (key[1] < bestKey[1] ||
+              (key[1] === bestKey[1] && key[2] < bestKey[2])))
+        ) {
+          bestIndex = index;
+          bestKey = key;
+        }
+      });
+
+      const [next] = remaining.splice(bestIndex, 1);
+      const miles = travelMiles(position, next.coordinates);
+      clock =
+        Math.max(clock + (miles / context.speedMph) * 60, next.window.start) +
+        next.durationMinutes;
+      position = next.coordinates;
+      order.push(next);
+    }
+
+    let best = this.simulate([...order, ...unlocated], context);
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+      let improved = false;
+
+      for (let i = 0; i < order.length - 1; i++) {
+        for (let k = i + 1; k < order.length; k++) {
+          const candidateOrder = [
+            ...order.slice(0, i),
+            ...order.slice(i, k + 1).reverse(),
+            ...order.slice(k + 1),
+          ];
+          const candidate = this.simulate(
+            [...candidateOrder, ...unlocated],
+            context,
+          );
+          if (this.isBetter(candidate, best)) {
+            order = candidateOrder;
+            best = candidate;
+            improved = true;
+          }
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    // Stops without coordinates cost no travel, so slot each one in where it
+    // breaks the fewest windows (preferring later in the day)
+    let planned = order;
+    for (const stop of unlocated) {
+      let bestOrder = [...planned, stop];
+      let bestResult = this.simulate(bestOrder, context);
+      for (let index = planned.length - 1; index >= 0; index--) {
+        const candidateOrder = [
+          ...planned.slice(0, index),
+          stop,
+          ...planned.slice(index),
+        ];
+        const candidate = this.simulate(candidateOrder, context);
+        if (this.isBetter(candidate, bestResult)) {
+          bestOrder = candidateOrder;
+          bestResult = candidate;
+        }
+      }
+      planned = bestOrder;
+    }
+
+    return planned;
+  }
+
+  /**
+   * Arrival window quoted to an applicant: the estimated arrival rounded down
+   * to the quarter hour, for the configured window length
+   */
+  arrivalWindowFor(leg, context) {
+    const start = Math.floor(leg.arrival / 15) * 15;
+    return {
+      start: atMinutes(context.day, start),
+      end: atMinutes(context.day, start + context.arrivalWindowMinutes),
+    };
+  }
+
+  describeLeg(leg, context) {
+    const { inspection } = leg.stop;
+    const permit = inspection.permitId;
+
+    return {
+      inspectionId: inspection._id,
+      sequence: leg.sequence,
+      permitId: permit?._id,
+      permitNumber: permit?.permitNumber,
+      type: inspection.type,
+      typeLabel: formatInspectionType(inspection.type),
+      status: inspection.status,
+      address: inspection.propertyAddress || permit?.propertyAddress,
+      applicantName: permit?.applicant?.name,
+      contactName: inspection.contactName,
+      contactPhone: inspection.contactPhone || permit?.applicant?.phone,
+      accessInstructions: inspection.accessInstructions,
+      coordinates: leg.stop.coordinates,
+      located: !!leg.stop.coordinates,
+      scheduledTimeSlot: inspection.scheduledTimeSlot,
+      timeWindow: {
+        start: atMinutes(context.day, leg.stop.window.start),
+        end: atMinutes(context.day, leg.stop.window.end),
+      },
+      durationMinutes: leg.stop.durationMinutes,
+      legMiles: round(leg.legMiles),
+      travelMinutes: Math.round(leg.travelMinutes),
+      waitMinutes: Math.round(leg.waitMinutes),
+      estimatedArrival: atMinutes(context.day, leg.arrival),
+      estimatedDeparture: atMinutes(context.day, leg.departure),
+      lateMinutes: Math.round(leg.lateMinutes),
+      arrivalWindow:
+        inspection.arrivalWindowStart && inspection.arrivalWindowEnd
+          ? {
+              start: inspection.arrivalWindowStart,
+              end: inspection.arrivalWindowEnd,
+              notifiedAt: inspection.arrivalWindowNotifiedAt,
+            }
+          : null,
+    };
+  }
+
+  describeTotals(totals, context) {
+    return {
+      miles: round(totals.miles),
+      lateCount: totals.lateCount,
+      lateMinutes: Math.round(totals.lateMinutes),
+      waitMinutes: Math.round(totals.waitMinutes),
+      estimatedFinish: atMinutes(context.day, totals.finish),
+      overrunMinutes: Math.round(totals.overrun),
+    };
+  }
+
+  /**
+   * An inspector's itinerary for a day in its current order, with the
+   * optimized order's totals for comparison
+   * @param {string} municipalityId
+   * @param {string} inspectorId
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} options - { startCoordinates }
+   * @returns {Promise<Object>}
+   */
+  async getItinerary(municipalityId, inspectorId, date, options = {}) {
+    const context = await this.loadDay(
+      municipalityId,
+      inspectorId,
+      date,
+      options,
+    );
+    return this.buildItinerary(context);
+  }
+
+  buildItinerary(context) {
+    const current = this.simulate(this.currentOrder(context.stops), context);
+    const optimizedOrder = this.optimizeOrder(context.stops, context);
+    const optimized = this.simulate(optimizedOrder, context);
+
+    const warnings = [];
+    if (!context.start.coordinates) {
+      warnings.push(
+        'No start point is configured; distances are measured from the first stop',
+      );
+    }
+    if (!context.dayWindow.configured) {
+      warnings.push(
+        'No inspection availability is configured for this weekday; assuming 8:00 AM to 4:30 PM',
+      );
+    }
+    const unlocatedCount = context.stops.filter(
+      (stop) => !stop.coordinates,
+    ).length;
+    if (unlocatedCount > 0) {
+      warnings.push(
+        `${unlocatedCount} stop(s) have no map location; travel to them is not estimated`,
+      );
+    }
+    if (context.maxPerDay && context.stops.length > context.maxPerDay) {
+      warnings.push(
+        `${context.stops.length} inspections exceed this inspector's limit of ${context.maxPerDay} per day`,
+      );
+    }
+
+    return {
+      date: context.date,
+      inspector: {
+        _id: context.inspector._id,
+        name: `${context.inspector.first_name} ${context.inspector.last_name}`,
+        email: context.inspector.email,
+      },
+      start: context.start,
+      dayWindow: {
+        start: atMinutes(context.day, context.dayWindow.start),
+        end: atMinutes(context.day, context.dayWindow.end),
+      },
+      averageSpeedMph: context.speedMph,
+      arrivalWindowMinutes: context.arrivalWindowMinutes,
+      stops: current.legs.map((leg) => this.describeLeg(leg, context)),
+      totals: this.describeTotals(current.totals, context),
+      optimized: {
+        order: optimized.legs.map((leg) => leg.stop.inspection._id),
+        totals: this.describeTotals(optimized.totals, context),
+        milesSaved: round(
+          Math.max(0, current.totals.miles - optimized.totals.miles),
+        ),
+        isCurrentOrder: optimized.legs.every(
+          (leg, index) => leg.stop === current.legs[index].stop,
+        ),
+      },
+      warnings,
+    };
+  }
+
+  /**
+   * Re-sequence an inspector's day in the optimized order, store each stop's
+   * estimated arrival and quoted window, and notify applicants whose window
+   * changed
+   * @param {string} municipalityId
+   * @param {string} inspectorId
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} user - User performing the optimization
+   * @param {Object} options - { notify = true, startCoordinates }
+   * @returns {Promise<Object>} - { itinerary, changed, notified }
+   */
+  async optimizeDay(municipalityId, inspectorId, date, user, options = {}) {
+    const { notify = true } = options;
+    const context = await this.loadDay(
+      municipalityId,
+      inspectorId,
+      date,
+      options,
+    );
+
+    if (context.stops.length === 0) {
+      throw httpError(400, 'No scheduled inspections for this day');
+    }
+
+    const planned = this.simulate(
+      this.optimizeOrder(context.stops, context),
+      context,
+    );
+
+    const changed = [];
+    for (const leg of planned.legs) {
+      const { inspection } = leg.stop;
+      const window = this.arrivalWindowFor(leg, context);
+      const windowChanged =
+        inspection.arrivalWindowStart?.getTime() !== window.start.getTime() ||
+        inspection.arrivalWindowEnd?.getTime() !== window.end.getTime();
+      const previousSequence = inspection.routeSequence;
+
+      inspection.routeSequence = leg.sequence;
+      inspection.estimatedArrival = atMinutes(context.day, leg.arrival);
+      inspection.arrivalWindowStart = window.start;
+      inspection.arrivalWindowEnd = window.end;
+      inspection.updatedBy = user._id;
+      inspection.history.push({
+        action: 'route_optimized',
+        performedBy: user._id,
+        performedAt: new Date(),
+        details: {
+          previousSequence,
+          sequence: leg.sequence,
+          arrivalWindowStart: window.start,
+          arrivalWindowEnd: window.end,
+        },
+      });
+      await inspection.save();
+
+      if (windowChanged) changed.push(leg);
+    }
+
+    let notified = 0;
+    if (notify) {
+      for (const leg of changed) {
+        if (await this.notifyArrivalWindow(leg.stop.inspection, context)) {
+          notified++;
+        }
+      }
+    }
+
+    console.log(
+      `🗺️ Optimized ${planned.legs.length} inspection(s) for ${context.inspector.first_name} ${context.inspector.last_name} on ${date}: ${round(planned.totals.miles)} mi, ${changed.length} window(s) changed, ${notified} applicant(s) notified`,
+    );
+
+    return {
+      itinerary: this.buildItinerary(context),
+      changed: changed.length,
+      notified,
+    };
+  }
+
+  /**
+   * Tell the permit's applicant their inspection's new arrival window
+   * @returns {Promise<boolean>} - whether a notification went out
+   */
+  async notifyArrivalWindow(inspection, context) {
+    const permit = inspection.permitId;
+    if (!permit?.submitted_by) {
+      console.warn(
+        `No submitted_by user found for permit ${permit?.permitNumber}, cannot send arrival window`,
+      );
+      return false;
+    }
+
+    const arrivalWindow = `${formatClock(inspection.arrivalWindowStart)} - ${formatClock(inspection.arrivalWindowEnd)}`;
+
+    try {
+      const result = await notificationService.sendInspectionNotification({
+        userId: permit.submitted_by.toString(),
+        municipalityId: context.municipality._id.toString(),
+        inspectionType: 'rescheduled',
+        inspectionData: {
+          permitNumber: permit.permitNumber,
+          applicantName: permit.applicant?.name || 'N/A',
+          inspectionType: formatInspectionType(inspection.type),
+          propertyAddress: inspection.propertyAddress || permit.propertyAddress,
+          inspectionDate: `${context.day.toLocaleDateString('en-US')} between ${arrivalWindow}`,
+          arrivalWindow,
+          inspectorName: `${context.inspector.first_name} ${context.inspector.last_name}`,
+          municipalityName:
+            context.municipality.displayName || context.municipality.name,
+          moduleName: 'building_permit', // For permission checking
+        },
+      });
+
+      if (!result?.success || result.skipped) return false;
+
+      inspection.arrivalWindowNotifiedAt = new Date();
+      await inspection.save();
+      return true;
+    } catch (error) {
+      console.error(
+        `Failed to send arrival window for permit ${permit.permitNumber}:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Printable run sheet for an inspector's day in its current order
+   * @param {string} municipalityId
+   * @param {string} inspectorId
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} format - pdf | html
+   * @param {Object} options - { startCoordinates }
+   * @returns {Promise<Object>} - { buffer, extension, mimeType, filename }
+   */
+  async renderRunSheet(municipalityId, inspectorId, date, format, options) {
+    if (!RUN_SHEET_FORMATS.includes(format)) {
+      throw httpError(
+        400,
+        `Format must be one of: ${RUN_SHEET_FORMATS.join(', ')}`,
+      );
+    }
+
+    const context = await this.loadDay(
+      municipalityId,
+      inspectorId,
+      date,
+      options,
+    );
+    const itinerary = this.buildItinerary(context);
+
+    const document = {
+      title: 'Inspection Run Sheet',
+      subtitle: `${itinerary.inspector.name} - ${date}`,
+      municipality: municipalityHeader(context.municipality),
+      generated_at: new Date(),
+      parameters: [
+        { label: 'Inspector', value: itinerary.inspector.name },
+        { label: 'Date', value: date },
+        {
+          label: 'Start',
+          value: itinerary.start.address || itinerary.start.label,
+        },
+        { label: 'Stops', value: itinerary.stops.length },
+        { label: 'Est. miles', value: itinerary.totals.miles },
+        {
+          label: 'Est. finish',
+          value: formatClock(itinerary.totals.estimatedFinish),
+        },
+      ],
+      sections: [
+        {
+          title: 'Stops',
+          columns: [
+            { key: 'sequence', label: '#', type: 'number' },
+            { key: 'arrival', label: 'Arrive', type: 'text' },
+            { key: 'window', label: 'Window', type: 'text' },
+            { key: 'permitNumber', label: 'Permit', type: 'text' },
+            { key: 'typeLabel', label: 'Inspection', type: 'text' },
+            { key: 'address', label: 'Address', type: 'text', width: 2 },
+            { key: 'contact', label: 'Contact', type: 'text', width: 2 },
+            { key: 'legMiles', label: 'Miles', type: 'number' },
+            { key: 'notes', label: 'Access / Notes', type: 'text', width: 2 },
+          ],
+          rows: itinerary.stops.map((stop) => ({
+            sequence: stop.sequence,
+            arrival: formatClock(stop.estimatedArrival),
+            window: `${formatClock(stop.timeWindow.start)} - ${formatClock(stop.timeWindow.end)}`,
+            permitNumber: stop.permitNumber,
+            typeLabel: stop.typeLabel,
+            address: stop.address,
+            contact: [stop.contactName || stop.applicantName, stop.contactPhone]
+              .filter(Boolean)
+              .join(' '),
+            legMiles: stop.legMiles,
+            notes: [
+              stop.accessInstructions,
+              stop.lateMinutes > 0 ? `${stop.lateMinutes} min late` : null,
+              stop.located ? null : 'No map location',
+            ]
+              .filter(Boolean)
+              .join('; '),
+          })),
+          totals: { legMiles: itinerary.totals.miles },
+        },
+      ],
+    };
+
+    if (itinerary.warnings.length > 0) {
+      document.sections.push({
+        title: 'Notes',
+        columns: [{ key: 'note', label: '', type: 'text' }],
+        rows: itinerary.warnings.map((note) => ({ note })),
+      });
+    }
+
+    const rendered = await renderReport(document, format, {
+      layout: 'landscape',
+    });
+    return {
+      ...rendered,
+      filename: `run-sheet-${date}.${rendered.extension}`,
+    };
+  }
+}
+
+module.exports = new InspectionRouteService();
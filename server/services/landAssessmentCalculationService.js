@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
-const LandAssessmentCalculator = require('../../app/utils/land-assessment-calculator');
+const { requireAppModule } = require('../utils/appModules');
+
+const LandAssessmentCalculator = requireAppModule('land-assessment-calculator');
 const LandAssessment = require('../models/LandAssessment');
 const Zone = require('../models/Zone');
 const LandLadder = require('../models/LandLadder');
@@ -0,0 +1,874 @@
+const mongoose = require('mongoose');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+const BuildingAssessment = require('../models/BuildingAssessment');
+const LandAssessment = require('../models/LandAssessment');
+const ParcelAssessment = require('../models/ParcelAssessment');
+const PropertyExemption = require('../models/PropertyExemption');
+const ExemptionType = require('../models/ExemptionType');
+const {
+  renderReport,
+  municipalityHeader,
+} = require('../utils/reportRenderers');
+
+/**
+ * MS-1 Report Service
+ *
+ * Builds the NH DRA MS-1 Summary Inventory of Valuation:
+ * - generateReportData() aggregates land, building, utility, exemption and
+ *   credit totals for an assessment year (shared by the JSON and export routes)
+ * - buildDocument() lays the data out in the state's numbered line items
+ * - exportReport() renders that layout as PDF, CSV or Excel
+ */
+
+const LINE_COLUMNS = [
+  { key: 'line', label: 'Line', type: 'text', width: 40 },
+  { key: 'description', label: 'Description', type: 'text', width: 260 },
+  { key: 'detail', label: 'Acres / Count', type: 'number', width: 90 },
+  { key: 'value', label: 'Valuation', type: 'currency', width: 110 },
+];
+
+const EXPORT_FORMATS = ['pdf', 'csv', 'excel'];
+
+function isResidential(propertyClass) {
+  return propertyClass === 'R' || propertyClass === 'RESIDENTIAL';
+}
+
+function isCommercialIndustrial(propertyClass) {
+  return ['C', 'COMMERCIAL', 'I', 'INDUSTRIAL'].includes(propertyClass);
+}
+
+function isManufactured(propertyClass) {
+  return propertyClass === 'M' || propertyClass === 'MANUFACTURED';
+}
+
+function activeExemptionMatch(municipalityId, assessmentYear) {
+  return {
+    municipality_id: municipalityId,
+    start_year: { $lte: assessmentYear },
+    $or: [
+      { end_year: { $exists: false } },
+      { end_year: null },
+      { end_year: { $gte: assessmentYear } },
+    ],
+  };
+}
+
+function propertyLookupStages() {
+  return [
+    {
+      $lookup: {
+        from: PropertyTreeNode.collection.name,
+        localField: 'property_id',
+        foreignField: '_id',
+        as: 'property',
+      },
+    },
+    {
+      $unwind: {
+        path: '$property',
+        preserveNullAndEmptyArrays: true,
+      },
+    },
+  ];
+}
+
+function exemptionTypeLookupStages() {
+  return [
+    {
+      $lookup: {
+        from: ExemptionType.collection.name,
+        localField: 'exemption_type_id',
+        foreignField: '_id',
+        as: 'exemption_type',
+      },
+    },
+    {
+      $unwind: {
+        path: '$exemption_type',
+        preserveNullAndEmptyArrays: true,
+      },
+    },
+  ];
+}
+
+// Land, building and utility groups key on class and exempt status
+const PROPERTY_GROUP_ID = {
+  propertyClass: '$property.property_class',
+  isExempt: { $eq: ['$property.tax_status', 'exempt'] },
+};
+
+class Ms1ReportService {
+  constructor() {
+    this.exportFormats = EXPORT_FORMATS;
+  }
+
+  /**
+   * Aggregate MS-1 report data for an assessment year
+   * @param {Object} municipality - Municipality document
+   * @param {number} assessmentYear - Assessment year
+   * @param {Object} options
+   * @param {string} options.preparedBy - Name of the preparer
+   * @returns {Promise<Object>} - Report data
+   */
+  async generateReportData(municipality, assessmentYear, options = {}) {
+    const municipalityObjectId = new mongoose.Types.ObjectId(
+      municipality._id.toString(),
+    );
+
+    const [
+      land,
+      buildings,
+      utilities,
+      exemptions,
+      veteransCredits,
+      currentUseParcels,
+      conservationParcels,
+    ] = await Promise.all([
+      this.aggregateLand(municipalityObjectId, assessmentYear),
+      this.aggregateBuildings(municipalityObjectId, assessmentYear),
+      this.aggregateUtilities(municipalityObjectId, assessmentYear),
+      this.aggregateExemptions(municipalityObjectId, assessmentYear),
+      this.aggregateVeteransCredits(municipalityObjectId, assessmentYear),
+      PropertyTreeNode.countDocuments({
+        municipality_id: municipalityObjectId,
+        'current_use.enrolled': true,
+      }),
+      PropertyTreeNode.countDocuments({
+        municipality_id: municipalityObjectId,
+        'conservation_restriction.exists': true,
+      }),
+    ]);
+
+    return {
+      assessmentYear,
+      assessor:
+        municipality.contact_info?.assessor_name ||
+        municipality.assessor_name ||
+        'Not Specified',
+      preparedBy: options.preparedBy || '',
+      preparedDate: new Date().toISOString().split('T')[0],
+      land,
+      buildings,
+      utilities,
+      exemptions,
+      veteransCredits,
+      currentUse: {
+        parcels: currentUseParcels,
+        acres: land.currentUse.acres,
+        totalAcres: land.total.acres,
+        removedAcres: 0, // Would need to track removals in change log
+        landUseChangeTax: 0, // Would need to track from tax collection
+      },
+      conservationRestriction: {
+        parcels: conservationParcels,
+        acres: land.conservationRestriction.acres,
+        assessedValue: land.conservationRestriction.value,
+      },
+      municipalAdoptions: {
+        deafDisabledExemption:
+          municipality.adopted_exemptions?.includes('deaf_disabled') || false,
+        elderlyExemption:
+          municipality.adopted_exemptions?.includes('elderly') || false,
+        commercialConstructionExemption:
+          municipality.adopted_exemptions?.includes(
+            'commercial_construction',
+          ) || false,
+        communityRevitalizationIncentive:
+          municipality.adopted_incentives?.includes(
+            'community_revitalization',
+          ) || false,
+      },
+      discretionaryEasements: {
+        adopted:
+          municipality.adopted_easements?.includes(
+            'discretionary_preservation',
+          ) || false,
+        count: 0,
+      },
+      farmStructures: {
+        adopted:
+          municipality.adopted_exemptions?.includes('farm_structures') || false,
+      },
+      pilotPayments: 0, // Would need to aggregate from tax collection
+    };
+  }
+
+  /**
+   * Land value only (lines 1A-1I)
+   */
+  async aggregateLand(municipalityId, assessmentYear) {
+    const landAggregation = await LandAssessment.aggregate([
+      {
+        $match: {
+          municipality_id: municipalityId,
+          effective_year: assessmentYear,
+        },
+      },
+      ...propertyLookupStages(),
+      {
+        $group: {
+          _id: PROPERTY_GROUP_ID,
+          totalAcres: { $sum: '$calculated_totals.totalAcreage' },
+          totalMarketValue: { $sum: '$market_value' },
+          totalTaxableValue: { $sum: '$taxable_value' },
+          totalCurrentUseCredit: { $sum: '$current_use_credit' },
+        },
+      },
+    ]);
+
+    const landData = {
+      currentUse: { acres: 0, value: 0 },
+      conservationRestriction: { acres: 0, value: 0 },
+      discretionaryEasements: { acres: 0, value: 0 },
+      discretionaryPreservation: { acres: 0, value: 0 },
+      farmStructures: { acres: 0, value: 0 },
+      residential: { acres: 0, value: 0 },
+      commercialIndustrial: { acres: 0, value: 0 },
+      taxableTotal: { acres: 0, value: 0 },
+      exempt: { acres: 0, value: 0 },
+      total: { acres: 0, value: 0 },
+    };
+
+    landAggregation.forEach((item) => {
+      const propertyClass = item._id?.propertyClass?.toUpperCase() || 'UNKNOWN';
+      const isExempt = item._id?.isExempt || false;
+      const acres = item.totalAcres || 0;
+      const marketValue = item.totalMarketValue || 0;
+      const taxableValue = item.totalTaxableValue || 0;
+      const currentUseCredit = item.totalCurrentUseCredit || 0;
+
+      // Current Use (RSA 79-A) - properties with current use credit
+      if (currentUseCredit > 0) {
+        landData.currentUse.acres += acres;
+        landData.currentUse.value += taxableValue;
+      }
+
+      // Exempt properties (1I)
+      if (isExempt) {
+        landData.exempt.acres += acres;
+        landData.exempt.value += marketValue;
+      } else {
+        // Taxable properties by class
+        if (isResidential(propertyClass)) {
+          landData.residential.acres += acres;
+          landData.residential.value += taxableValue;
+        } else if (isCommercialIndustrial(propertyClass)) {
+          landData.commercialIndustrial.acres += acres;
+          landData.commercialIndustrial.value += taxableValue;
+        }
+
+        // Other taxable classes count toward the total (not utilities)
+        if (propertyClass !== 'U') {
+          landData.taxableTotal.acres += acres;
+          landData.taxableTotal.value += taxableValue;
+        }
+      }
+
+      landData.total.acres += acres;
+      landData.total.value += marketValue;
+    });
+
+    return landData;
+  }
+
+  /**
+   * Buildings value only (lines 2A-2G)
+   */
+  async aggregateBuildings(municipalityId, assessmentYear) {
+    const buildingAggregation = await BuildingAssessment.aggregate([
+      {
+        $match: {
+          municipality_id: municipalityId,
+          effective_year: assessmentYear,
+        },
+      },
+      ...propertyLookupStages(),
+      {
+        $group: {
+          _id: PROPERTY_GROUP_ID,
+          totalValue: { $sum: '$assessed_value' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const buildingData = {
+      residential: 0,
+      manufacturedHousing: 0,
+      commercialIndustrial: 0,
+      taxableTotal: 0,
+      exempt: 0,
+      total: 0,
+    };
+
+    buildingAggregation.forEach((item) => {
+      const propertyClass = item._id?.propertyClass?.toUpperCase() || 'UNKNOWN';
+      const isExempt = item._id?.isExempt || false;
+      const value = item.totalValue || 0;
+
+      if (isExempt) {
+        buildingData.exempt += value;
+      } else {
+        if (isResidential(propertyClass)) {
+          buildingData.residential += value;
+        } else if (isCommercialIndustrial(propertyClass)) {
+          buildingData.commercialIndustrial += value;
+        } else if (isManufactured(propertyClass)) {
+          buildingData.manufacturedHousing += value;
+        }
+
+        // Other taxable classes count toward the total (not utilities)
+        if (propertyClass !== 'U') {
+          buildingData.taxableTotal += value;
+        }
+      }
+
+      buildingData.total += value;
+    });
+
+    return buildingData;
+  }
+
+  /**
+   * Utilities (line 3A), grouped by owner
+   */
+  async aggregateUtilities(municipalityId, assessmentYear) {
+    const utilitiesAggregation = await ParcelAssessment.aggregate([
+      {
+        $match: {
+          municipality_id: municipalityId,
+          effective_year: assessmentYear,
+        },
+      },
+      ...propertyLookupStages(),
+      {
+        $match: {
+          'property.property_class': 'U',
+        },
+      },
+      {
+        $group: {
+          _id: '$property.owner.primary_name',
+          totalValue: { $sum: '$parcel_totals.total_assessed_value' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return {
+      electricCompanies: utilitiesAggregation.map((item) => ({
+        name: item._id || 'Unknown Utility',
+        value: item.totalValue || 0,
+      })),
+      total: utilitiesAggregation.reduce(
+        (sum, item) => sum + (item.totalValue || 0),
+        0,
+      ),
+    };
+  }
+
+  /**
+   * Exemptions by category (lines 12-20)
+   */
+  async aggregateExemptions(municipalityId, assessmentYear) {
+    const exemptionsAggregation = await PropertyExemption.aggregate([
+      { $match: activeExemptionMatch(municipalityId, assessmentYear) },
+      ...exemptionTypeLookupStages(),
+      {
+        $group: {
+          _id: '$exemption_type.category',
+          count: { $sum: 1 },
+          totalValue: { $sum: '$exemption_value' },
+        },
+      },
+    ]);
+
+    const exemptionsData = {
+      blind: { count: 0, value: 0 },
+      elderly: { count: 0, value: 0 },
+      disabled: { count: 0, value: 0 },
+      woodHeating: { count: 0, value: 0 },
+      solarWind: { count: 0, value: 0 },
+      waterPollution: { count: 0, value: 0 },
+      airPollution: { count: 0, value: 0 },
+      total: 0,
+    };
+
+    exemptionsAggregation.forEach((item) => {
+      const category = item._id?.toLowerCase() || 'other';
+      const count = item.count || 0;
+      const value = item.totalValue || 0;
+
+      if (category === 'blind') {
+        exemptionsData.blind = { count, value };
+      } else if (category === 'elderly') {
+        exemptionsData.elderly = { count, value };
+      } else if (category === 'disabled') {
+        exemptionsData.disabled = { count, value };
+      } else if (category === 'solar') {
+        exemptionsData.solarWind.count += count;
+        exemptionsData.solarWind.value += value;
+      }
+
+      exemptionsData.total += value;
+    });
+
+    return exemptionsData;
+  }
+
+  /**
+   * Veterans' tax credits by subcategory
+   */
+  async aggregateVeteransCredits(municipalityId, assessmentYear) {
+    const veteransCreditsAggregation = await PropertyExemption.aggregate([
+      { $match: activeExemptionMatch(municipalityId, assessmentYear) },
+      ...exemptionTypeLookupStages(),
+      {
+        $match: {
+          'exemption_type.category': 'veteran',
+        },
+      },
+      {
+        $group: {
+          _id: '$exemption_type.subcategory',
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$credit_value' },
+        },
+      },
+    ]);
+
+    const veteransCreditsData = {
+      standard: { count: 0, amount: 0 },
+      serviceConnectedDisability: { count: 0, amount: 0 },
+      allVeterans: { count: 0, amount: 0 },
+      total: { count: 0, amount: 0 },
+    };
+
+    veteransCreditsAggregation.forEach((item) => {
+      const subcategory = item._id?.toLowerCase() || 'standard';
+      const count = item.count || 0;
+      const amount = item.totalAmount || 0;
+
+      if (
+        subcategory.includes('service') ||
+        subcategory.includes('disability')
+      ) {
+        veteransCreditsData.serviceConnectedDisability.count += count;
+        veteransCreditsData.serviceConnectedDisability.amount += amount;
+      } else if (subcategory.includes('all')) {
+        veteransCreditsData.allVeterans.count += count;
+        veteransCreditsData.allVeterans.amount += amount;
+      } else {
+        veteransCreditsData.standard.count += count;
+        veteransCreditsData.standard.amount += amount;
+      }
+
+      veteransCreditsData.total.count += count;
+      veteransCreditsData.total.amount += amount;
+    });
+
+    return veteransCreditsData;
+  }
+
+  /**
+   * Lay report data out in the MS-1 form's numbered line items.
+   * Totals are derived the same way as the on-screen form.
+   * @param {Object} data - Output of generateReportData()
+   * @returns {Array} - Report sections
+   */
+  buildSections(data) {
+    const { land, buildings, utilities, exemptions, veteransCredits } = data;
+
+    const valuationBeforeExemptions =
+      land.taxableTotal.value + buildings.taxableTotal + utilities.total;
+    const netValuation = valuationBeforeExemptions - exemptions.total;
+    const netWithoutUtilities = netValuation - utilities.total;
+
+    const line = (lineNumber, description, detail, value) => ({
+      line: lineNumber,
+      description,
+      detail,
+      value,
+    });
+
+    return [
+      {
+        title: 'Land Value Only',
+        columns: LINE_COLUMNS,
+        rows: [
+          line(
+            '1A',
+            'Current Use RSA 79-A',
+            land.currentUse.acres,
+            land.currentUse.value,
+          ),
+          line(
+            '1B',
+            'Conservation Restriction Assessment RSA 79-B',
+            land.conservationRestriction.acres,
+            land.conservationRestriction.value,
+          ),
+          line(
+            '1C',
+            'Discretionary Easements RSA 79-C',
+            land.discretionaryEasements.acres,
+            land.discretionaryEasements.value,
+          ),
+          line(
+            '1D',
+            'Discretionary Preservation Easements RSA 79-D',
+            land.discretionaryPreservation.acres,
+            land.discretionaryPreservation.value,
+          ),
+          line(
+            '1E',
+            'Taxation of Land Under Farm Structures RSA 79-F',
+            land.farmStructures.acres,
+            land.farmStructures.value,
+          ),
+          line(
+            '1F',
+            'Residential Land',
+            land.residential.acres,
+            land.residential.value,
+          ),
+          line(
+            '1G',
+            'Commercial/Industrial Land',
+            land.commercialIndustrial.acres,
+            land.commercialIndustrial.value,
+          ),
+          line(
+            '1H',
+            'Total of Taxable Land',
+            land.taxableTotal.acres,
+            land.taxableTotal.value,
+          ),
+          line(
+            '1I',
+            'Tax Exempt and Non-Taxable Land',
+            land.exempt.acres,
+            land.exempt.value,
+          ),
+        ],
+      },
+      {
+        title: 'Buildings Value Only',
+        columns: LINE_COLUMNS,
+        rows: [
+          line('2A', 'Residential', null, buildings.residential),
+          line(
+            '2B',
+            'Manufactured Housing RSA 674:31',
+            null,
+            buildings.manufacturedHousing,
+          ),
+          line(
+            '2C',
+            'Commercial/Industrial',
+            null,
+            buildings.commercialIndustrial,
+          ),
+          line('2D', 'Discretionary Preservation Easements RSA 79-D', null, 0),
+          line('2E', 'Taxation of Farm Structures RSA 79-F', null, 0),
+          line(
+            '2F',
+            'Total of Taxable Buildings',
+            null,
+            buildings.taxableTotal,
+          ),
+          line(
+            '2G',
+            'Tax Exempt and Non-Taxable Buildings',
+            null,
+            buildings.exempt,
+          ),
+        ],
+      },
+      {
+        title: 'Utilities & Timber',
+        columns: LINE_COLUMNS,
+        rows: [
+          line('3A', 'Utilities', null, utilities.total),
+          line('3B', 'Other Utilities', null, 0),
+          line('4', 'Mature Wood and Timber RSA 79:5', null, 0),
+          line(
+            '5',
+            'Valuation before Exemption',
+            null,
+            valuationBeforeExemptions,
+          ),
+        ],
+      },
+      {
+        title: 'Exemptions',
+        columns: LINE_COLUMNS,
+        rows: [
+          line('6', 'Certain Disabled Veterans RSA 72:36-a', 0, 0),
+          line('7', 'Improvements to Assist the Deaf RSA 72:38-b V', 0, 0),
+          line(
+            '8',
+            'Improvements to Assist Persons with Disabilities RSA 72:37-a',
+            0,
+            0,
+          ),
+          line(
+            '9',
+            'School Dining/Dormitory/Kitchen Exemption RSA 72:23-IV',
+            0,
+            0,
+          ),
+          line(
+            '10A',
+            'Non-Utility Water & Air Pollution Control Exemption RSA 72:12',
+            0,
+            0,
+          ),
+          line(
+            '10B',
+            'Utility Water & Air Pollution Control Exemption RSA 72:12-a',
+            0,
+            0,
+          ),
+          line(
+            '11',
+            'Modified Assessed Value of All Properties',
+            null,
+            valuationBeforeExemptions,
+          ),
+        ],
+      },
+      {
+        title: 'Optional Exemptions',
+        columns: LINE_COLUMNS,
+        rows: [
+          line(
+            '12',
+            'Blind Exemption RSA 72:37',
+            exemptions.blind.count,
+            exemptions.blind.value,
+          ),
+          line(
+            '13',
+            'Elderly Exemption RSA 72:39-a,b',
+            exemptions.elderly.count,
+            exemptions.elderly.value,
+          ),
+          line('14', 'Deaf Exemption RSA 72:38-b', 0, 0),
+          line(
+            '15',
+            'Disabled Exemption RSA 72:37-b',
+            exemptions.disabled.count,
+            exemptions.disabled.value,
+          ),
+          line(
+            '16',
+            'Wood Heating Energy Systems Exemption RSA 72:70',
+            exemptions.woodHeating.count,
+            exemptions.woodHeating.value,
+          ),
+          line(
+            '17',
+            'Solar Energy Systems Exemption RSA 72:62',
+            exemptions.solarWind.count,
+            exemptions.solarWind.value,
+          ),
+          line('18', 'Wind Powered Energy Systems Exemption RSA 72:66', 0, 0),
+          line(
+            '19',
+            'Additional School Dining/Dorm/Kitchen Exemptions RSA 72:23',
+            0,
+            0,
+          ),
+          line('19A', 'Electric Energy Storage Systems RSA 72:85', 0, 0),
+          line(
+            '19B',
+            'Renewable Generation Facilities & Electric Energy Systems',
+            0,
+            0,
+          ),
+          line(
+            '20',
+            'Total Dollar Amount of Exemptions',
+            null,
+            exemptions.total,
+          ),
+        ],
+      },
+      {
+        title: 'Net Valuation',
+        columns: LINE_COLUMNS,
+        rows: [
+          line('21A', 'Net Valuation', null, netValuation),
+          line('21B', 'Less TIF Retained Value', null, 0),
+          line(
+            '21C',
+            'Net Valuation Adjusted to Remove TIF Retained Value',
+            null,
+            netValuation,
+          ),
+          line(
+            '21D',
+            'Less Commercial/Industrial Construction Exemption',
+            null,
+            0,
+          ),
+          line(
+            '21E',
+            'Net Valuation Adjusted to Remove TIF Retained Value and Comm/Ind Construction',
+            null,
+            netValuation,
+          ),
+          line('22', 'Less Utilities', null, utilities.total),
+          line(
+            '23A',
+            'Net Valuation without Utilities',
+            null,
+            netWithoutUtilities,
+          ),
+          line(
+            '23B',
+            'Net Valuation without Utilities, Adjusted to Remove TIF Retained Value',
+            null,
+            netWithoutUtilities,
+          ),
+        ],
+      },
+      {
+        title: 'Utility Value Appraiser',
+        columns: [
+          { key: 'name', label: 'Company', type: 'text', width: 390 },
+          { key: 'value', label: 'Valuation', type: 'currency', width: 110 },
+        ],
+        rows: utilities.electricCompanies,
+        totals: { name: 'Total', value: utilities.total },
+      },
+      {
+        title: "Veteran's Tax Credits",
+        columns: [
+          { key: 'description', label: 'Credit', type: 'text', width: 300 },
+          {
+            key: 'count',
+            label: 'Number Qualified',
+            type: 'number',
+            width: 90,
+          },
+          { key: 'amount', label: 'Tax Credit', type: 'currency', width: 110 },
+        ],
+        rows: [
+          {
+            description: "Veterans' Tax Credit RSA 72:28",
+            ...veteransCredits.standard,
+          },
+          {
+            description:
+              'Surviving Spouse / Service-Connected Total Disability RSA 72:29-a, 72:35',
+            ...veteransCredits.serviceConnectedDisability,
+          },
+          {
+            description: "All Veterans' Tax Credit RSA 72:28-b",
+            ...veteransCredits.allVeterans,
+          },
+        ],
+        totals: {
+          description: 'Total',
+          count: veteransCredits.total.count,
+          amount: veteransCredits.total.amount,
+        },
+      },
+      {
+        title: 'Current Use & Conservation Restriction',
+        columns: [
+          {
+            key: 'description',
+            label: 'Description',
+            type: 'text',
+            width: 400,
+          },
+          { key: 'value', label: 'Total', type: 'number', width: 100 },
+        ],
+        rows: [
+          {
+            description: 'Parcels in Current Use',
+            value: data.currentUse.parcels,
+          },
+          { description: 'Acres in Current Use', value: data.currentUse.acres },
+          { description: 'Total Acres', value: data.currentUse.totalAcres },
+          {
+            description: 'Acres Removed from Current Use',
+            value: data.currentUse.removedAcres,
+          },
+          {
+            description: 'Parcels under Conservation Restriction',
+            value: data.conservationRestriction.parcels,
+          },
+          {
+            description: 'Acres under Conservation Restriction',
+            value: data.conservationRestriction.acres,
+          },
+        ],
+      },
+    ];
+  }
+
+  /**
+   * Build the renderable MS-1 document with the municipal header
+   * @param {Object} data - Output of generateReportData()
+   * @param {Object} municipality - Municipality document
+   * @returns {Object} - Report document for utils/reportRenderers
+   */
+  buildDocument(data, municipality) {
+    const contactInfo = municipality.contact_info || {};
+
+    return {
+      title: 'MS-1 Summary Inventory of Valuation',
+      subtitle: `Assessment Year ${data.assessmentYear}`,
+      municipality: municipalityHeader(municipality),
+      // Pin the timestamp to the preparation date so re-exports are identical
+      generated_at: new Date(`${data.preparedDate}T00:00:00Z`),
+      parameters: [
+        { label: 'County', value: municipality.county || '' },
+        { label: 'Assessor', value: data.assessor },
+        { label: 'Prepared By', value: data.preparedBy },
+        { label: 'Phone', value: contactInfo.phone || '' },
+        { label: 'Email', value: contactInfo.email || '' },
+      ].filter((param) => param.value),
+      sections: this.buildSections(data),
+    };
+  }
+
+  /**
+   * Render the MS-1 in an export format
+   * @param {Object} municipality - Municipality document
+   * @param {number} assessmentYear - Assessment year
+   * @param {string} format - pdf | csv | excel
+   * @param {Object} options
+   * @param {string} options.preparedBy - Name of the preparer
+   * @returns {Promise<Object>} - { buffer, extension, mimeType, filename }
+   */
+  async exportReport(municipality, assessmentYear, format, options = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported MS-1 export format: ${format}`);
+    }
+
+    const data = await this.generateReportData(
+      municipality,
+      assessmentYear,
+      options,
+    );
+    const document = this.buildDocument(data, municipality);
+    const rendered = await renderReport(document, format);
+
+    const safeName = (municipality.name || 'municipality').replace(
+      /[^a-zA-Z0-9-]+/g,
+      '-',
+    );
+
+    return {
+      ...rendered,
+      filename: `MS-1-${safeName}-${assessmentYear}.${rendered.extension}`,
+    };
+  }
+}
+
+module.exports = new Ms1ReportService();
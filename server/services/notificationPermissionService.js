@@ -170,6 +170,7 @@ async function canUserReceiveNotification(userId, notificationType, context = {}
     const featureMap = {
       inspection_notifications: 'email_notifications',
       permit_status_changes: 'email_notifications',
+      permit_sla_warnings: 'email_notifications',
       team_member_changes: 'email_notifications',
       sms_notifications: 'sms_notifications',
     };
@@ -290,14 +290,23 @@ class NotificationService {
   }
 
   /**
-   * Send license expiration warning
+   * Send license or insurance expiration warning, or the notice that
+   * municipality approvals were suspended because it expired
+   * @param {Object} licenseData - { credentialName, credentialTitle, licenseType, licenseNumber, expirationDate, renewalUrl, isExpired, isInsurance, municipalityNames }
    */
   async sendLicenseExpirationWarning({
     userId,
     daysUntilExpiration,
     licenseData,
   }) {
-    const smsMessage = `Your ${licenseData.licenseType} license expires in ${daysUntilExpiration} days. Renew soon to avoid service interruption.`;
+    const credentialName = licenseData.credentialName || 'license';
+    const credentialTitle = licenseData.credentialTitle || 'License';
+    const headline = licenseData.isExpired
+      ? `${credentialTitle} Expired - Permit Filing Suspended`
+      : `${credentialTitle} Expiration Warning - ${daysUntilExpiration} Days Remaining`;
+    const smsMessage = licenseData.isExpired
+      ? `Your ${credentialName} has expired and permit filing is suspended. Upload your renewal to be reinstated.`
+      : `Your ${credentialName} expires in ${daysUntilExpiration} days. Renew soon to avoid service interruption.`;
 
     return await this.sendNotification({
       userId,
@@ -307,8 +316,11 @@ class NotificationService {
       data: {
         daysUntilExpiration,
         ...licenseData,
+        credentialName,
+        credentialTitle,
+        headline,
       },
-      subject: `License Expiration Warning - ${daysUntilExpiration} Days Remaining`,
+      subject: headline,
       smsMessage,
     });
   }
@@ -341,6 +353,7 @@ class NotificationService {
     propertyAddress,
     applicantName,
     permitId,
+    permitReviewUrl,
   }) {
     const smsMessage = `New permit ${permitNumber} assigned for ${department} review.`;
 
@@ -356,6 +369,7 @@ class NotificationService {
         propertyAddress,
         applicantName,
         permitId,
+        permitReviewUrl,
       },
       subject: `New Permit Review Assignment - ${permitNumber}`,
       smsMessage,
@@ -431,6 +445,51 @@ class NotificationService {
     });
   }
 
+  /**
+   * Send permit review deadline (SLA) warning
+   */
+  async sendPermitSlaWarning({
+    userId,
+    municipalityId,
+    permitNumber,
+    permitId,
+    propertyAddress,
+    warningType,
+    daysFromDeadline,
+    expectedCompletionDate,
+  }) {
+    const headlines = {
+      approaching_deadline: `Review deadline in ${Math.abs(daysFromDeadline)} business day(s)`,
+      overdue: `Review overdue by ${daysFromDeadline} business day(s)`,
+      severely_overdue: `Review severely overdue by ${daysFromDeadline} business day(s)`,
+    };
+    const headline = headlines[warningType];
+    const smsMessage = `Permit ${permitNumber}: ${headline.toLowerCase()}.`;
+
+    return await this.sendNotification({
+      userId,
+      notificationType: 'permit_sla_warnings',
+      templateType: 'permit_sla_warning',
+      municipalityId,
+      data: {
+        permitNumber,
+        permitId,
+        propertyAddress,
+        warningType,
+        isApproaching: warningType === 'approaching_deadline',
+        headline,
+        daysFromDeadline,
+        expectedCompletionDate: expectedCompletionDate
+          ? new Date(expectedCompletionDate).toLocaleDateString('en-US', {
+              timeZone: 'UTC',
+            })
+          : null,
+      },
+      subject: `${headline} - ${permitNumber}`,
+      smsMessage,
+    });
+  }
+
   /**
    * Send notifications to all reviewers in a department
    */
@@ -0,0 +1,1117 @@
+const Permit = require('../models/Permit');
+const PermitFeeTransaction = require('../models/PermitFeeTransaction');
+const Municipality = require('../models/Municipality');
+const stripeService = require('./stripeService');
+const {
+  renderReport,
+  municipalityHeader,
+} = require('../utils/reportRenderers');
+
+const PAYMENT_METHOD_LABELS = {
+  card: 'Card (online)',
+  cash: 'Cash',
+  check: 'Check',
+  money_order: 'Money Order',
+  other: 'Other',
+};
+
+// Counter payment and refund methods (card payments only come through Stripe)
+const COUNTER_METHODS = ['cash', 'check', 'money_order', 'other'];
+
+const DRAWER_FORMATS = ['pdf', 'excel', 'csv'];
+
+// Payment status from its refundedAmount, for pipeline updates
+const REFUND_STATUS = {
+  $switch: {
+    branches: [
+      {
+        case: { $gte: ['$refundedAmount', { $subtract: ['$amount', 0.005] }] },
+        then: 'refunded',
+      },
+      { case: { $gt: ['$refundedAmount', 0] }, then: 'partially_refunded' },
+    ],
+    default: 'posted',
+  },
+};
+
+function roundCurrency(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function userName(user) {
+  return user?.fullName || user?.email || 'System';
+}
+
+/**
+ * Permit Fee Service
+ *
+ * Keeps a ledger of payments, refunds and adjustments against a permit's
+ * fees, issues Stripe refunds for card payments, renders receipts and builds
+ * the building department's daily cash drawer reconciliation.
+ */
+class PermitFeeService {
+  /**
+   * Load a permit's ledger transactions in date order
+   * @param {string} permitId
+   * @returns {Promise<Array>} - PermitFeeTransaction documents
+   */
+  async loadTransactions(permitId) {
+    return PermitFeeTransaction.find(
+      PermitFeeTransaction.ledgerFilter({ permitId }),
+    ).sort({
+      transactionDate: 1,
+      createdAt: 1,
+    });
+  }
+
+  /**
+   * Work out what has been charged, adjusted, paid and refunded per fee
+   * @param {Object} permit - Permit document
+   * @param {Array} transactions - The permit's ledger transactions
+   * @returns {Object} - { fees: [...], totals: { charges, adjustments, payments, refunds, balance } }
+   */
+  getFeeBalances(permit, transactions) {
+    const fees = (permit.fees || []).map((fee) => ({
+      feeId: fee._id.toString(),
+      type: fee.type,
+      description: fee.description,
+      amount: fee.amount,
+      adjustments: 0,
+      paid: 0,
+      refunded: 0,
+      outstanding: 0,
+      lastPayment: null,
+      lastRefund: null,
+    }));
+    const byId = new Map(fees.map((fee) => [fee.feeId, fee]));
+
+    const totals = { charges: 0, adjustments: 0, payments: 0, refunds: 0 };
+    fees.forEach((fee) => {
+      totals.charges += fee.amount;
+    });
+
+    for (const transaction of transactions) {
+      if (transaction.type === 'adjustment') {
+        totals.adjustments += transaction.amount;
+        const fee = byId.get(transaction.feeId?.toString());
+        if (fee) fee.adjustments += transaction.amount;
+        continue;
+      }
+
+      const isPayment = transaction.type === 'payment';
+      totals[isPayment ? 'payments' : 'refunds'] += transaction.amount;
+
+      for (const allocation of transaction.allocations || []) {
+        const fee = byId.get(allocation.feeId.toString());
+        if (!fee) continue;
+        if (isPayment) {
+          fee.paid += allocation.amount;
+          fee.lastPayment = transaction;
+        } else {
+          fee.refunded += allocation.amount;
+          fee.lastRefund = transaction;
+        }
+      }
+    }
+
+    fees.forEach((fee) => {
+      fee.adjustments = roundCurrency(fee.adjustments);
+      fee.paid = roundCurrency(fee.paid);
+      fee.refunded = roundCurrency(fee.refunded);
+      fee.outstanding = roundCurrency(
+        fee.amount + fee.adjustments - (fee.paid - fee.refunded),
+      );
+    });
+
+    Object.keys(totals).forEach((key) => {
+      totals[key] = roundCurrency(totals[key]);
+    });
+    totals.balance = roundCurrency(
+      totals.charges + totals.adjustments - totals.payments + totals.refunds,
+    );
+
+    return { fees, totals };
+  }
+
+  /**
+   * Mirror the ledger onto the legacy paid/refunded fields of Permit.fees
+   * @param {Object} permit - Permit document (saved by the caller)
+   * @param {Array} transactions - The permit's ledger transactions
+   */
+  syncFeeFlags(permit, transactions) {
+    const { fees } = this.getFeeBalances(permit, transactions);
+    const byId = new Map(fees.map((fee) => [fee.feeId, fee]));
+
+    for (const fee of permit.fees) {
+      const balance = byId.get(fee._id.toString());
+      fee.paid = balance.outstanding <= 0;
+      fee.paidAmount = roundCurrency(balance.paid - balance.refunded);
+      fee.paidDate = balance.lastPayment?.transactionDate;
+      fee.paymentMethod = balance.lastPayment?.paymentMethod;
+      fee.receiptNumber = balance.lastPayment?.receiptNumber;
+      fee.refunded = balance.refunded > 0;
+      fee.refundAmount = balance.refunded || undefined;
+      fee.refundDate = balance.lastRefund?.transactionDate;
+    }
+  }
+
+  /**
+   * Spread a payment over fees with an outstanding balance, in fee order
+   * @param {Array} fees - From getFeeBalances
+   * @param {number} amount
+   * @returns {Object} - { allocations: [{ feeId, amount }], unallocated }
+   */
+  allocatePayment(fees, amount) {
+    let remaining = roundCurrency(amount);
+    const allocations = [];
+
+    for (const fee of fees) {
+      if (remaining <= 0) break;
+      if (fee.outstanding <= 0) continue;
+      const applied = Math.min(fee.outstanding, remaining);
+      allocations.push({ feeId: fee.feeId, amount: roundCurrency(applied) });
+      remaining = roundCurrency(remaining - applied);
+    }
+
+    return { allocations, unallocated: remaining };
+  }
+
+  async saveWithFlags(permit, transaction) {
+    await transaction.save();
+    const transactions = await this.loadTransactions(permit._id);
+    this.syncFeeFlags(permit, transactions);
+    await permit.save();
+    return transactions;
+  }
+
+  /**
+   * Record a counter payment (cash, check, money order), full or partial
+   * @param {Object} permit - Permit document
+   * @param {Object} data - { amount, paymentMethod, referenceNumber, payerName, notes, transactionDate }
+   * @param {Object} user - Staff member receiving the payment
+   * @returns {Promise<Object>} - { transaction, ledger }
+   */
+  async recordPayment(permit, data, user) {
+    const amount = roundCurrency(Number(data.amount));
+    if (!(amount > 0)) {
+      throw httpError(400, 'Payment amount must be greater than zero');
+    }
+    if (!COUNTER_METHODS.includes(data.paymentMethod)) {
+      throw httpError(
+        400,
+        `Payment method must be one of: ${COUNTER_METHODS.join(', ')}`,
+      );
+    }
+    if (
+      ['check', 'money_order'].includes(data.paymentMethod) &&
+      !data.referenceNumber
+    ) {
+      throw httpError(400, 'A check or money order number is required');
+    }
+
+    const transactions = await this.loadTransactions(permit._id);
+    const { fees, totals } = this.getFeeBalances(permit, transactions);
+
+    if (amount > totals.balance) {
+      throw httpError(
+        400,
+        `Payment of $${amount.toFixed(2)} exceeds the balance due of $${totals.balance.toFixed(2)}`,
+      );
+    }
+
+    const { allocations } = this.allocatePayment(fees, amount);
+    const transactionDate = data.transactionDate
+      ? new Date(data.transactionDate)
+      : new Date();
+
+    const transaction = new PermitFeeTransaction({
+      municipalityId: permit.municipalityId,
+      permitId: permit._id,
+      permitNumber: permit.permitNumber,
+      type: 'payment',
+      amount,
+      transactionDate,
+      paymentMethod: data.paymentMethod,
+      referenceNumber: data.referenceNumber,
+      payerName: data.payerName || permit.applicant?.name,
+      allocations,
+      receiptNumber: await PermitFeeTransaction.generateReceiptNumber(
+        permit.municipalityId,
+        transactionDate,
+      ),
+      notes: data.notes,
+      recordedBy: user._id,
+      recordedByName: userName(user),
+    });
+
+    await this.saveWithFlags(permit, transaction);
+
+    console.log(
+      `💵 Recorded ${data.paymentMethod} payment ${transaction.receiptNumber} of $${amount} on permit ${permit.permitNumber}`,
+    );
+
+    return { transaction, ledger: await this.getLedger(permit) };
+  }
+
+  /**
+   * Record a succeeded Stripe payment intent. Safe to call more than once for
+   * the same intent (confirm-payment and the webhook may both report it).
+   * @param {Object} permit - Permit document
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {Object} user - Applicant who paid (null from the webhook)
+   * @returns {Promise<Object>} - { transaction, created }
+   */
+  async recordStripePayment(permit, paymentIntent, user = null) {
+    const existing = await PermitFeeTransaction.findOne({
+      type: 'payment',
+      stripePaymentIntentId: paymentIntent.id,
+    });
+    if (existing) {
+      return { transaction: existing, created: false };
+    }
+
+    if (paymentIntent.metadata?.permitId !== permit._id.toString()) {
+      throw httpError(400, 'Payment does not belong to this permit');
+    }
+
+    const metadata = paymentIntent.metadata || {};
+    const amount = metadata.permitFee
+      ? roundCurrency(Number(metadata.permitFee) / 100)
+      : roundCurrency(paymentIntent.amount / 100);
+
+    const transactions = await this.loadTransactions(permit._id);
+    const { fees } = this.getFeeBalances(permit, transactions);
+    // The card has already been charged, so anything beyond the balance due is
+    // left unallocated and shows as a credit on the ledger
+    const { allocations } = this.allocatePayment(fees, amount);
+    const transactionDate = new Date();
+
+    const transaction = new PermitFeeTransaction({
+      municipalityId: permit.municipalityId,
+      permitId: permit._id,
+      permitNumber: permit.permitNumber,
+      type: 'payment',
+      amount,
+      transactionDate,
+      paymentMethod: 'card',
+      referenceNumber: paymentIntent.id,
+      payerName: permit.applicant?.name || metadata.applicantEmail,
+      allocations,
+      stripePaymentIntentId: paymentIntent.id,
+      processingFees: roundCurrency(Number(metadata.processingFees || 0) / 100),
+      receiptNumber: await PermitFeeTransaction.generateReceiptNumber(
+        permit.municipalityId,
+        transactionDate,
+      ),
+      recordedBy: user?._id,
+      recordedByName: user ? userName(user) : 'Online payment',
+    });
+
+    try {
+      await this.saveWithFlags(permit, transaction);
+    } catch (error) {
+      if (error.code === 11000) {
+        const duplicate = await PermitFeeTransaction.findOne({
+          type: 'payment',
+          stripePaymentIntentId: paymentIntent.id,
+        });
+        if (duplicate) return { transaction: duplicate, created: false };
+      }
+      throw error;
+    }
+
+    console.log(
+      `💳 Recorded card payment ${transaction.receiptNumber} of $${amount} on permit ${permit.permitNumber}`,
+    );
+
+    return { transaction, created: true };
+  }
+
+  /**
+   * Refund all or part of a payment. Card payments are refunded through
+   * Stripe Connect; counter payments are refunded by cash or town check.
+   *
+   * The refund is reserved before any money moves: the payment's
+   * refundedAmount is raised by a conditional increment (so double submits and
+   * concurrent refunds cannot exceed the payment) and a pending refund
+   * transaction takes its receipt number. Stripe is called with an
+   * idempotency key from that transaction, which is posted once Stripe
+   * returns, or marked failed and released if Stripe rejects it.
+   * @param {Object} permit - Permit document
+   * @param {Object} payment - Payment transaction document
+   * @param {Object} data - { amount, reason, refundMethod, referenceNumber }
+   * @param {Object} user - Staff member issuing the refund
+   * @returns {Promise<Object>} - { transaction, ledger, warning }
+   */
+  async refundPayment(permit, payment, data, user) {
+    if (payment.type !== 'payment') {
+      throw httpError(400, 'Only payments can be refunded');
+    }
+
+    const amount = roundCurrency(
+      Number(data.amount ?? payment.refundableAmount),
+    );
+    if (!(amount > 0)) {
+      throw httpError(400, 'Refund amount must be greater than zero');
+    }
+    if (amount > payment.refundableAmount) {
+      throw httpError(
+        400,
+        `Refund of $${amount.toFixed(2)} exceeds the refundable amount of $${payment.refundableAmount.toFixed(2)}`,
+      );
+    }
+    if (!data.reason) {
+      throw httpError(400, 'A refund reason is required');
+    }
+
+    const isCard = payment.paymentMethod === 'card';
+    const refundMethod = isCard ? 'card' : data.refundMethod || 'check';
+    if (!isCard && !COUNTER_METHODS.includes(refundMethod)) {
+      throw httpError(
+        400,
+        `Refund method must be one of: ${COUNTER_METHODS.join(', ')}`,
+      );
+    }
+    if (isCard && !payment.stripePaymentIntentId) {
+      throw httpError(400, 'This card payment has no Stripe reference');
+    }
+
+    await this.reserveRefund(payment, amount);
+
+    let transaction;
+    try {
+      // Pending refunds count here so concurrent refunds reverse different fees
+      const previousRefunds = await PermitFeeTransaction.find({
+        type: 'refund',
+        paymentTransactionId: payment._id,
+        status: { $ne: 'failed' },
+      });
+
+      const transactionDate = new Date();
+      transaction = new PermitFeeTransaction({
+        municipalityId: permit.municipalityId,
+        permitId: permit._id,
+        permitNumber: permit.permitNumber,
+        type: 'refund',
+        status: isCard ? 'pending' : 'posted',
+        amount,
+        transactionDate,
+        paymentMethod: refundMethod,
+        referenceNumber: isCard ? undefined : data.referenceNumber,
+        payerName: payment.payerName,
+        allocations: payment.getRefundAllocations(amount, previousRefunds),
+        stripePaymentIntentId: payment.stripePaymentIntentId,
+        paymentTransactionId: payment._id,
+        receiptNumber: await PermitFeeTransaction.generateReceiptNumber(
+          permit.municipalityId,
+          transactionDate,
+        ),
+        reason: data.reason,
+        recordedBy: user._id,
+        recordedByName: userName(user),
+      });
+      await transaction.save();
+    } catch (error) {
+      await this.releaseRefund(payment, amount);
+      throw error;
+    }
+
+    let warning = null;
+    if (isCard) {
+      let stripeRefund;
+      try {
+        stripeRefund = await stripeService.refundPermitPayment(
+          payment.stripePaymentIntentId,
+          amount,
+          {
+            permitId: permit._id.toString(),
+            permitNumber: permit.permitNumber,
+            receiptNumber: payment.receiptNumber,
+            refundReceiptNumber: transaction.receiptNumber,
+            payment_type: 'building_permit',
+          },
+          { idempotencyKey: `permit-refund-${transaction._id}` },
+        );
+      } catch (error) {
+        transaction.status = 'failed';
+        transaction.failureReason = error.message;
+        await transaction.save();
+        await this.releaseRefund(payment, amount);
+        throw httpError(502, error.message);
+      }
+
+      if (stripeRefund.transferReversalError) {
+        warning = `The card was refunded, but the municipality's Stripe transfer could not be reversed (${stripeRefund.transferReversalError}). Reverse it from the Stripe dashboard.`;
+      }
+
+      transaction.status = 'posted';
+      transaction.referenceNumber = stripeRefund.refund.id;
+      transaction.stripeRefundId = stripeRefund.refund.id;
+      transaction.stripeTransferReversalId = stripeRefund.transferReversal?.id;
+      transaction.failureReason = warning || undefined;
+    }
+
+    await this.saveWithFlags(permit, transaction);
+
+    permit.addInternalNote(
+      user._id,
+      userName(user),
+      `Refunded $${amount.toFixed(2)} of payment ${payment.receiptNumber} (${data.reason})${warning ? ` - ${warning}` : ''}`,
+    );
+    await permit.save();
+
+    console.log(
+      `↩️ Refunded $${amount} of payment ${payment.receiptNumber} on permit ${permit.permitNumber}`,
+    );
+
+    return { transaction, ledger: await this.getLedger(permit), warning };
+  }
+
+  /**
+   * Hold part of a payment for a refund. The increment only applies while the
+   * payment still has that much left, so it fails for a second click or a
+   * concurrent refund of the same money.
+   * @param {Object} payment - Payment transaction document (updated in place)
+   * @param {number} amount - Refund amount
+   */
+  async reserveRefund(payment, amount) {
+    const updated = await PermitFeeTransaction.findOneAndUpdate(
+      {
+        _id: payment._id,
+        type: 'payment',
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] },
+            { $add: ['$amount', 0.005] },
+          ],
+        },
+      },
+      [
+        {
+          $set: {
+            refundedAmount: {
+              $round: [
+                { $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] },
+                2,
+              ],
+            },
+          },
+        },
+        { $set: { status: REFUND_STATUS } },
+      ],
+      { new: true },
+    );
+
+    if (!updated) {
+      throw httpError(
+        409,
+        'This payment has already been refunded or another refund is in progress; reload and try again',
+      );
+    }
+
+    payment.refundedAmount = updated.refundedAmount;
+    payment.status = updated.status;
+  }
+
+  /**
+   * Give back a refund hold when the refund is not issued
+   * @param {Object} payment - Payment transaction document (updated in place)
+   * @param {number} amount - Refund amount
+   */
+  async releaseRefund(payment, amount) {
+    const updated = await PermitFeeTransaction.findOneAndUpdate(
+      { _id: payment._id },
+      [
+        {
+          $set: {
+            refundedAmount: {
+              $max: [
+                0,
+                {
+                  $round: [
+                    {
+                      $subtract: [{ $ifNull: ['$refundedAmount', 0] }, amount],
+                    },
+                    2,
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        { $set: { status: REFUND_STATUS } },
+      ],
+      { new: true },
+    );
+
+    if (updated) {
+      payment.refundedAmount = updated.refundedAmount;
+      payment.status = updated.status;
+    }
+  }
+
+  /**
+   * Adjust a fee: a negative amount credits or waives it, a positive amount
+   * increases it
+   * @param {Object} permit - Permit document
+   * @param {Object} data - { feeId, amount, reason }
+   * @param {Object} user - Staff member making the adjustment
+   * @returns {Promise<Object>} - { transaction, ledger }
+   */
+  async recordAdjustment(permit, data, user) {
+    const amount = roundCurrency(Number(data.amount));
+    if (!amount) {
+      throw httpError(400, 'Adjustment amount must not be zero');
+    }
+    if (!data.reason) {
+      throw httpError(400, 'An adjustment reason is required');
+    }
+
+    const fee = data.feeId ? permit.fees.id(data.feeId) : null;
+    if (!fee) {
+      throw httpError(
+        400,
+        'Adjustments must be applied to one of the permit fees',
+      );
+    }
+
+    const transactions = await this.loadTransactions(permit._id);
+    const { fees } = this.getFeeBalances(permit, transactions);
+    const balance = fees.find((entry) => entry.feeId === fee._id.toString());
+    if (balance.outstanding + amount < 0) {
+      throw httpError(
+        400,
+        `A credit of $${Math.abs(amount).toFixed(2)} exceeds the $${balance.outstanding.toFixed(2)} still owed on this fee; refund the payment instead`,
+      );
+    }
+
+    const transaction = new PermitFeeTransaction({
+      municipalityId: permit.municipalityId,
+      permitId: permit._id,
+      permitNumber: permit.permitNumber,
+      type: 'adjustment',
+      amount,
+      feeId: fee._id,
+      reason: data.reason,
+      notes: data.notes,
+      recordedBy: user._id,
+      recordedByName: userName(user),
+    });
+
+    await this.saveWithFlags(permit, transaction);
+
+    return { transaction, ledger: await this.getLedger(permit) };
+  }
+
+  /**
+   * Add a new fee (charge) to a permit, e.g. a reinspection fee
+   * @param {Object} permit - Permit document
+   * @param {Object} data - { type, description, amount }
+   * @param {Object} user - Staff member adding the fee
+   * @returns {Promise<Object>} - { fee, ledger }
+   */
+  async addCharge(permit, data, user) {
+    const amount = roundCurrency(Number(data.amount));
+    if (!(amount > 0)) {
+      throw httpError(400, 'Fee amount must be greater than zero');
+    }
+
+    permit.fees.push({
+      type: data.type || 'other',
+      description: data.description,
+      amount,
+      addedDate: new Date(),
+      addedBy: user._id,
+    });
+    const fee = permit.fees[permit.fees.length - 1];
+
+    const transactions = await this.loadTransactions(permit._id);
+    this.syncFeeFlags(permit, transactions);
+    await permit.save();
+
+    return { fee, ledger: await this.getLedger(permit) };
+  }
+
+  /**
+   * Build a chronological ledger for a permit: its fees, payments, refunds
+   * and adjustments with a running balance
+   * @param {Object} permit - Permit document
+   * @returns {Promise<Object>} - { entries, fees, totals, transactions }
+   */
+  async getLedger(permit) {
+    const transactions = await this.loadTransactions(permit._id);
+    const { fees, totals } = this.getFeeBalances(permit, transactions);
+    const chargeDate = permit.applicationDate || permit.createdAt;
+
+    const entries = (permit.fees || []).map((fee) => ({
+      date: fee.addedDate || chargeDate,
+      type: 'charge',
+      description: fee.description || `${fee.type} fee`,
+      amount: fee.amount,
+      feeId: fee._id,
+    }));
+
+    const feeDescriptions = new Map(
+      entries.map((entry) => [entry.feeId.toString(), entry.description]),
+    );
+
+    for (const transaction of transactions) {
+      const method = PAYMENT_METHOD_LABELS[transaction.paymentMethod];
+      let description;
+      let amount;
+
+      if (transaction.type === 'payment') {
+        description = `Payment - ${method}${transaction.referenceNumber && transaction.paymentMethod !== 'card' ? ` #${transaction.referenceNumber}` : ''}`;
+        amount = -transaction.amount;
+      } else if (transaction.type === 'refund') {
+        description = `Refund - ${method}${transaction.reason ? ` (${transaction.reason})` : ''}`;
+        amount = transaction.amount;
+      } else {
+        const feeDescription = feeDescriptions.get(
+          transaction.feeId?.toString(),
+        );
+        description = `${transaction.amount < 0 ? 'Credit' : 'Adjustment'}${feeDescription ? ` - ${feeDescription}` : ''}${transaction.reason ? ` (${transaction.reason})` : ''}`;
+        amount = transaction.amount;
+      }
+
+      entries.push({
+        date: transaction.transactionDate,
+        type: transaction.type,
+        description,
+        amount,
+        receiptNumber: transaction.receiptNumber,
+        transactionId: transaction._id,
+      });
+    }
+
+    entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = 0;
+    return {
+      entries: entries.map((entry) => {
+        balance = roundCurrency(balance + entry.amount);
+        return { ...entry, balance };
+      }),
+      fees: fees.map((fee) => {
+        const summary = { ...fee };
+        delete summary.lastPayment;
+        delete summary.lastRefund;
+        return summary;
+      }),
+      totals,
+      transactions,
+    };
+  }
+
+  /**
+   * Render a payment or refund receipt as a PDF
+   * @param {Object} transaction - Payment or refund transaction document
+   * @returns {Promise<Object>} - { buffer, extension, mimeType, filename }
+   */
+  async renderReceipt(transaction) {
+    if (!['payment', 'refund'].includes(transaction.type)) {
+      throw httpError(400, 'Receipts are only issued for payments and refunds');
+    }
+
+    const [permit, municipality] = await Promise.all([
+      Permit.findById(transaction.permitId),
+      Municipality.findById(transaction.municipalityId),
+    ]);
+    if (!permit) {
+      throw httpError(404, 'Permit not found');
+    }
+
+    const { totals } = this.getFeeBalances(
+      permit,
+      await this.loadTransactions(permit._id),
+    );
+    const feeDescriptions = new Map(
+      permit.fees.map((fee) => [
+        fee._id.toString(),
+        fee.description || `${fee.type} fee`,
+      ]),
+    );
+
+    const isRefund = transaction.type === 'refund';
+    let originalReceipt = null;
+    if (isRefund && transaction.paymentTransactionId) {
+      const payment = await PermitFeeTransaction.findById(
+        transaction.paymentTransactionId,
+      ).select('receiptNumber');
+      originalReceipt = payment?.receiptNumber;
+    }
+
+    const parameters = [
+      { label: 'Receipt', value: transaction.receiptNumber },
+      {
+        label: 'Date',
+        value: transaction.transactionDate.toLocaleString('en-US'),
+      },
+      { label: 'Permit', value: permit.permitNumber },
+      { label: 'Property', value: permit.propertyAddress },
+      {
+        label: isRefund ? 'Refunded to' : 'Received from',
+        value: transaction.payerName,
+      },
+      {
+        label: 'Method',
+        value: PAYMENT_METHOD_LABELS[transaction.paymentMethod],
+      },
+      { label: 'Reference', value: transaction.referenceNumber },
+      {
+        label: isRefund ? 'Issued by' : 'Received by',
+        value: transaction.recordedByName,
+      },
+    ];
+    if (originalReceipt) {
+      parameters.push({ label: 'Original receipt', value: originalReceipt });
+    }
+    if (transaction.reason) {
+      parameters.push({ label: 'Reason', value: transaction.reason });
+    }
+
+    const sections = [
+      {
+        title: isRefund ? 'Refunded' : 'Applied To',
+        columns: [
+          { key: 'description', label: 'Fee', type: 'text', width: 3 },
+          { key: 'amount', label: 'Amount', type: 'currency' },
+        ],
+        rows: transaction.allocations.map((allocation) => ({
+          description:
+            feeDescriptions.get(allocation.feeId.toString()) || 'Permit fee',
+          amount: allocation.amount,
+        })),
+        totals: { description: 'Total', amount: transaction.amount },
+      },
+    ];
+
+    if (transaction.processingFees) {
+      sections[0].rows.push({
+        description: 'Card processing fees (non-refundable)',
+        amount: transaction.processingFees,
+      });
+      sections[0].totals.amount = roundCurrency(
+        transaction.amount + transaction.processingFees,
+      );
+    }
+
+    sections.push({
+      title: 'Permit Balance',
+      columns: [
+        { key: 'label', label: '', type: 'text', width: 3 },
+        { key: 'amount', label: 'Amount', type: 'currency' },
+      ],
+      rows: [
+        {
+          label: 'Total fees',
+          amount: roundCurrency(totals.charges + totals.adjustments),
+        },
+        {
+          label: 'Net paid',
+          amount: roundCurrency(totals.payments - totals.refunds),
+        },
+        { label: 'Balance due', amount: totals.balance },
+      ],
+    });
+
+    const document = {
+      title: isRefund ? 'Refund Receipt' : 'Payment Receipt',
+      subtitle: `${permit.permitNumber} - ${transaction.receiptNumber}`,
+      municipality: municipality ? municipalityHeader(municipality) : null,
+      generated_at: transaction.transactionDate,
+      parameters: parameters.filter((parameter) => parameter.value),
+      sections,
+    };
+
+    const rendered = await renderReport(document, 'pdf');
+    return {
+      ...rendered,
+      filename: `receipt-${transaction.receiptNumber}.${rendered.extension}`,
+    };
+  }
+
+  /**
+   * Daily cash drawer reconciliation for the building department: payments
+   * and refunds taken on a day, totals by method and by staff member, and the
+   * expected cash and check deposit compared to what was counted
+   * @param {string} municipalityId
+   * @param {string} date - YYYY-MM-DD (server local time)
+   * @param {Object} options - { recordedBy, countedCash, countedChecks }
+   * @returns {Promise<Object>}
+   */
+  async getCashDrawer(municipalityId, date, options = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      throw httpError(400, 'Date must be in YYYY-MM-DD format');
+    }
+
+    const start = new Date(`${date}T00:00:00`);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const query = PermitFeeTransaction.ledgerFilter({
+      municipalityId,
+      type: { $in: ['payment', 'refund'] },
+      transactionDate: { $gte: start, $lt: end },
+    });
+    if (options.recordedBy) {
+      query.recordedBy = options.recordedBy;
+    }
+
+    const transactions = await PermitFeeTransaction.find(query)
+      .sort({ transactionDate: 1 })
+      .lean();
+
+    const byMethod = {};
+    const byStaff = {};
+    for (const transaction of transactions) {
+      const method = transaction.paymentMethod || 'other';
+      const sign = transaction.type === 'payment' ? 1 : -1;
+
+      byMethod[method] = byMethod[method] || {
+        method,
+        label: PAYMENT_METHOD_LABELS[method],
+        payments: 0,
+        paymentCount: 0,
+        refunds: 0,
+        refundCount: 0,
+        net: 0,
+      };
+      const methodTotals = byMethod[method];
+      if (sign > 0) {
+        methodTotals.payments += transaction.amount;
+        methodTotals.paymentCount++;
+      } else {
+        methodTotals.refunds += transaction.amount;
+        methodTotals.refundCount++;
+      }
+      methodTotals.net += sign * transaction.amount;
+
+      const staffKey = transaction.recordedBy?.toString() || 'online';
+      byStaff[staffKey] = byStaff[staffKey] || {
+        recordedBy: transaction.recordedBy || null,
+        name: transaction.recordedByName || 'Online payment',
+        count: 0,
+        net: 0,
+      };
+      byStaff[staffKey].count++;
+      byStaff[staffKey].net += sign * transaction.amount;
+    }
+
+    Object.values(byMethod).forEach((totals) => {
+      totals.payments = roundCurrency(totals.payments);
+      totals.refunds = roundCurrency(totals.refunds);
+      totals.net = roundCurrency(totals.net);
+    });
+    Object.values(byStaff).forEach((totals) => {
+      totals.net = roundCurrency(totals.net);
+    });
+
+    // Cash refunds are paid out of the drawer; check refunds are town checks
+    // and do not touch the deposit
+    const expectedCash = roundCurrency(
+      (byMethod.cash?.payments || 0) -
+        transactions
+          .filter((t) => t.type === 'refund' && t.paymentMethod === 'cash')
+          .reduce((sum, t) => sum + t.amount, 0),
+    );
+    const depositChecks = transactions.filter(
+      (t) =>
+        t.type === 'payment' &&
+        ['check', 'money_order'].includes(t.paymentMethod),
+    );
+    const expectedChecks = roundCurrency(
+      depositChecks.reduce((sum, t) => sum + t.amount, 0),
+    );
+
+    const reconciliation = {
+      expectedCash,
+      expectedChecks,
+      expectedDeposit: roundCurrency(expectedCash + expectedChecks),
+      countedCash: null,
+      countedChecks: null,
+      cashOverShort: null,
+      checksOverShort: null,
+    };
+    if (options.countedCash !== undefined && options.countedCash !== '') {
+      reconciliation.countedCash = roundCurrency(Number(options.countedCash));
+      reconciliation.cashOverShort = roundCurrency(
+        reconciliation.countedCash - expectedCash,
+      );
+    }
+    if (options.countedChecks !== undefined && options.countedChecks !== '') {
+      reconciliation.countedChecks = roundCurrency(
+        Number(options.countedChecks),
+      );
+      reconciliation.checksOverShort = roundCurrency(
+        reconciliation.countedChecks - expectedChecks,
+      );
+    }
+
+    const totalPayments = roundCurrency(
+      Object.values(byMethod).reduce((sum, t) => sum + t.payments, 0),
+    );
+    const totalRefunds = roundCurrency(
+      Object.values(byMethod).reduce((sum, t) => sum + t.refunds, 0),
+    );
+
+    return {
+      date,
+      summary: {
+        transactionCount: transactions.length,
+        totalPayments,
+        totalRefunds,
+        net: roundCurrency(totalPayments - totalRefunds),
+      },
+      byMethod: Object.values(byMethod),
+      byStaff: Object.values(byStaff),
+      reconciliation,
+      checks: depositChecks.map((t) => ({
+        receiptNumber: t.receiptNumber,
+        permitNumber: t.permitNumber,
+        payerName: t.payerName,
+        referenceNumber: t.referenceNumber,
+        amount: t.amount,
+      })),
+      transactions: transactions.map((t) => ({
+        _id: t._id,
+        transactionDate: t.transactionDate,
+        type: t.type,
+        receiptNumber: t.receiptNumber,
+        permitId: t.permitId,
+        permitNumber: t.permitNumber,
+        payerName: t.payerName,
+        paymentMethod: t.paymentMethod,
+        referenceNumber: t.referenceNumber,
+        amount: t.type === 'payment' ? t.amount : -t.amount,
+        recordedByName: t.recordedByName,
+        reason: t.reason,
+      })),
+    };
+  }
+
+  /**
+   * Export the cash drawer reconciliation
+   * @param {string} municipalityId
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} format - pdf | excel | csv
+   * @param {Object} options - As for getCashDrawer
+   * @returns {Promise<Object>} - { buffer, extension, mimeType, filename }
+   */
+  async exportCashDrawer(municipalityId, date, format, options = {}) {
+    if (!DRAWER_FORMATS.includes(format)) {
+      throw httpError(
+        400,
+        `Unsupported format: ${format}. Use one of ${DRAWER_FORMATS.join(', ')}`,
+      );
+    }
+
+    const [drawer, municipality] = await Promise.all([
+      this.getCashDrawer(municipalityId, date, options),
+      Municipality.findById(municipalityId),
+    ]);
+    const { reconciliation } = drawer;
+
+    const reconciliationRows = [
+      { label: 'Expected cash', amount: reconciliation.expectedCash },
+      { label: 'Counted cash', amount: reconciliation.countedCash },
+      { label: 'Cash over/(short)', amount: reconciliation.cashOverShort },
+      { label: 'Expected checks', amount: reconciliation.expectedChecks },
+      { label: 'Counted checks', amount: reconciliation.countedChecks },
+      { label: 'Checks over/(short)', amount: reconciliation.checksOverShort },
+      { label: 'Expected deposit', amount: reconciliation.expectedDeposit },
+    ];
+
+    const document = {
+      title: 'Building Permit Cash Drawer',
+      subtitle: date,
+      municipality: municipality ? municipalityHeader(municipality) : null,
+      generated_at: new Date(),
+      parameters: [
+        { label: 'Date', value: date },
+        { label: 'Transactions', value: drawer.summary.transactionCount },
+        {
+          label: 'Payments',
+          value: `$${drawer.summary.totalPayments.toFixed(2)}`,
+        },
+        {
+          label: 'Refunds',
+          value: `$${drawer.summary.totalRefunds.toFixed(2)}`,
+        },
+        { label: 'Net', value: `$${drawer.summary.net.toFixed(2)}` },
+      ],
+      sections: [
+        {
+          title: 'Reconciliation',
+          columns: [
+            { key: 'label', label: '', type: 'text', width: 2 },
+            { key: 'amount', label: 'Amount', type: 'currency' },
+          ],
+          rows: reconciliationRows.filter((row) => row.amount !== null),
+        },
+        {
+          title: 'By Payment Method',
+          columns: [
+            { key: 'label', label: 'Method', type: 'text', width: 2 },
+            { key: 'paymentCount', label: 'Payments', type: 'number' },
+            { key: 'payments', label: 'Received', type: 'currency' },
+            { key: 'refundCount', label: 'Refunds', type: 'number' },
+            { key: 'refunds', label: 'Refunded', type: 'currency' },
+            { key: 'net', label: 'Net', type: 'currency' },
+          ],
+          rows: drawer.byMethod,
+          totals: {
+            label: 'Total',
+            payments: drawer.summary.totalPayments,
+            refunds: drawer.summary.totalRefunds,
+            net: drawer.summary.net,
+          },
+        },
+        {
+          title: 'Checks for Deposit',
+          columns: [
+            { key: 'referenceNumber', label: 'Check #', type: 'text' },
+            { key: 'payerName', label: 'Payer', type: 'text', width: 2 },
+            { key: 'permitNumber', label: 'Permit', type: 'text' },
+            { key: 'receiptNumber', label: 'Receipt', type: 'text' },
+            { key: 'amount', label: 'Amount', type: 'currency' },
+          ],
+          rows: drawer.checks,
+          totals: {
+            referenceNumber: 'Total',
+            amount: reconciliation.expectedChecks,
+          },
+        },
+        {
+          title: 'Transactions',
+          columns: [
+            { key: 'transactionDate', label: 'Time', type: 'date' },
+            { key: 'receiptNumber', label: 'Receipt', type: 'text' },
+            { key: 'permitNumber', label: 'Permit', type: 'text' },
+            { key: 'payerName', label: 'Payer', type: 'text', width: 2 },
+            { key: 'paymentMethod', label: 'Method', type: 'text' },
+            { key: 'recordedByName', label: 'Staff', type: 'text' },
+            { key: 'amount', label: 'Amount', type: 'currency' },
+          ],
+          rows: drawer.transactions,
+        },
+      ],
+    };
+
+    const rendered = await renderReport(document, format, {
+      layout: 'landscape',
+    });
+    return {
+      ...rendered,
+      filename: `cash-drawer-${date}.${rendered.extension}`,
+    };
+  }
+}
+
+module.exports = new PermitFeeService();
@@ -0,0 +1,1007 @@
+const Permit = require('../models/Permit');
+const PermitInspection = require('../models/PermitInspection');
+const PermitFeeTransaction = require('../models/PermitFeeTransaction');
+const Municipality = require('../models/Municipality');
+const {
+  municipalityHeader,
+  renderReport,
+} = require('../utils/reportRenderers');
+
+const EXPORT_FORMATS = ['pdf', 'excel', 'csv'];
+
+const MONTH_NAMES = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+
+// Applications waiting on the department
+const OPEN_STATUSES = ['submitted', 'under_review', 'on_hold'];
+
+const AGING_BUCKETS = [
+  { key: 'days0to7', label: '0-7 days', max: 7 },
+  { key: 'days8to30', label: '8-30 days', max: 30 },
+  { key: 'days31to60', label: '31-60 days', max: 60 },
+  { key: 'days61to90', label: '61-90 days', max: 90 },
+  { key: 'days90plus', label: '90+ days', max: Infinity },
+];
+
+// Census Bureau C-40 building size classes
+const C40_CLASSES = [
+  { key: 'one', label: '1 unit', min: 1, max: 1 },
+  { key: 'two', label: '2 units', min: 2, max: 2 },
+  { key: 'threeFour', label: '3-4 units', min: 3, max: 4 },
+  { key: 'fivePlus', label: '5+ units', min: 5, max: Infinity },
+];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function roundCurrency(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function roundDays(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function labelize(value) {
+  return String(value || 'other')
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function monthKey(date) {
+  return dateKey(date).slice(0, 7);
+}
+
+function monthLabel(key) {
+  const [year, month] = key.split('-');
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+}
+
+function average(values) {
+  if (!values.length) return null;
+  return roundDays(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+function ratio(part, whole) {
+  return whole ? part / whole : null;
+}
+
+function daysBetween(from, to) {
+  return (new Date(to) - new Date(from)) / DAY_MS;
+}
+
+function agingBucket(days) {
+  return AGING_BUCKETS.find((bucket) => days <= bucket.max).key;
+}
+
+function emptyAging(extra = {}) {
+  const row = { ...extra, total: 0, ages: [] };
+  AGING_BUCKETS.forEach((bucket) => (row[bucket.key] = 0));
+  return row;
+}
+
+function agingColumns(firstColumn) {
+  return [
+    firstColumn,
+    ...AGING_BUCKETS.map((bucket) => ({
+      key: bucket.key,
+      label: bucket.label,
+      type: 'number',
+    })),
+    { key: 'total', label: 'Total', type: 'number' },
+    { key: 'averageDays', label: 'Avg. Days', type: 'number' },
+  ];
+}
+
+function finishAging(rows) {
+  return rows.map(({ ages, ...row }) => ({
+    ...row,
+    averageDays: average(ages),
+  }));
+}
+
+function sumRows(rows, keys) {
+  const totals = {};
+  keys.forEach((key) => {
+    totals[key] = rows.reduce((sum, row) => sum + (row[key] || 0), 0);
+  });
+  return totals;
+}
+
+// The date a permit was issued; permits approved before issuanceDate was
+// tracked only have approvalDate
+function issuedDate(permit) {
+  return permit.issuanceDate || permit.approvalDate;
+}
+
+/**
+ * Permit Report Service
+ *
+ * Building department reports for monthly select board updates and the
+ * Census Bureau's C-40 survey of new residential construction. Each report
+ * builds a report document (see utils/reportRenderers.js) for a date range,
+ * so the dashboard and the CSV/Excel/PDF exports show the same numbers.
+ */
+class PermitReportService {
+  constructor() {
+    this.reports = {
+      'permits-issued': {
+        title: 'Permits Issued',
+        description: 'Permits issued by category and month',
+        build: this.buildPermitsIssued,
+      },
+      'construction-value': {
+        title: 'Construction Value',
+        description: 'Estimated construction value of issued permits',
+        build: this.buildConstructionValue,
+      },
+      'fees-collected': {
+        title: 'Fees Collected',
+        description: 'Permit fee payments and refunds',
+        build: this.buildFeesCollected,
+      },
+      'review-times': {
+        title: 'Department Review Times',
+        description: 'Average days to complete each department review',
+        build: this.buildReviewTimes,
+      },
+      'inspection-results': {
+        title: 'Inspection Pass Rates',
+        description: 'Inspection results by type and inspector',
+        build: this.buildInspectionResults,
+      },
+      'backlog-aging': {
+        title: 'Backlog Aging',
+        description: 'Open applications and department reviews by age',
+        build: this.buildBacklogAging,
+      },
+      'census-c40': {
+        title: 'New Residential Construction (Census C-40)',
+        description: 'New housing units authorized, by building size',
+        build: this.buildCensusC40,
+      },
+    };
+  }
+
+  /**
+   * Available reports for the dashboard
+   * @returns {Array} - [{ key, title, description }]
+   */
+  listReports() {
+    return Object.entries(this.reports).map(([key, report]) => ({
+      key,
+      title: report.title,
+      description: report.description,
+    }));
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date range (server local time). Defaults to the
+   * year to date.
+   * @param {string} startDate
+   * @param {string} endDate
+   * @returns {Object} - { start, end (exclusive), startDate, endDate, months }
+   */
+  parseRange(startDate, endDate) {
+    const today = new Date();
+    const from = startDate || `${today.getFullYear()}-01-01`;
+    const to = endDate || dateKey(today);
+
+    if (![from, to].every((date) => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      throw httpError(400, 'Dates must be in YYYY-MM-DD format');
+    }
+
+    const start = new Date(`${from}T00:00:00`);
+    const end = new Date(`${to}T00:00:00`);
+    if (isNaN(start) || isNaN(end)) {
+      throw httpError(400, 'Invalid date range');
+    }
+    if (end < start) {
+      throw httpError(400, 'End date must be on or after the start date');
+    }
+    end.setDate(end.getDate() + 1);
+
+    // Every month in the range, so months with no activity still appear
+    const months = [];
+    const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+    while (cursor < end) {
+      months.push(monthKey(cursor));
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    return { start, end, startDate: from, endDate: to, months };
+  }
+
+  /**
+   * Build a report for the dashboard
+   * @param {string} municipalityId
+   * @param {string} reportKey
+   * @param {Object} options - { startDate, endDate }
+   * @returns {Promise<Object>} - Report document
+   */
+  async getReport(municipalityId, reportKey, options = {}) {
+    const report = Object.hasOwn(this.reports, reportKey)
+      ? this.reports[reportKey]
+      : null;
+    if (!report) {
+      throw httpError(404, `Unknown report: ${reportKey}`);
+    }
+
+    const range = this.parseRange(options.startDate, options.endDate);
+    const { parameters = [], sections } = await report.build.call(
+      this,
+      municipalityId,
+      range,
+    );
+
+    return {
+      key: reportKey,
+      title: report.title,
+      subtitle: `${range.startDate} to ${range.endDate}`,
+      generated_at: new Date(),
+      parameters: [
+        { label: 'Period', value: `${range.startDate} to ${range.endDate}` },
+        ...parameters,
+      ],
+      sections,
+    };
+  }
+
+  /**
+   * Build a report and render it for download
+   * @param {string} municipalityId
+   * @param {string} reportKey
+   * @param {string} format - pdf | excel | csv
+   * @param {Object} options - { startDate, endDate }
+   * @returns {Promise<Object>} - { buffer, extension, mimeType, filename }
+   */
+  async exportReport(municipalityId, reportKey, format, options = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw httpError(
+        400,
+        `Unsupported format: ${format}. Use one of ${EXPORT_FORMATS.join(', ')}`,
+      );
+    }
+
+    const [document, municipality] = await Promise.all([
+      this.getReport(municipalityId, reportKey, options),
+      Municipality.findById(municipalityId),
+    ]);
+    document.municipality = municipality
+      ? municipalityHeader(municipality)
+      : null;
+
+    const rendered = await renderReport(document, format, {
+      layout: 'landscape',
+    });
+    return {
+      ...rendered,
+      filename: `${reportKey}-${options.startDate || 'ytd'}-${options.endDate || 'today'}.${rendered.extension}`,
+    };
+  }
+
+  /**
+   * Non-project permits issued in the range
+   */
+  async findIssuedPermits(municipalityId, range, select) {
+    const inRange = { $gte: range.start, $lt: range.end };
+    return Permit.find({
+      municipalityId,
+      isActive: true,
+      isProject: { $ne: true },
+      $or: [
+        { issuanceDate: inRange },
+        { issuanceDate: null, approvalDate: inRange },
+      ],
+    })
+      .select(`issuanceDate approvalDate ${select}`)
+      .lean();
+  }
+
+  async buildPermitsIssued(municipalityId, range) {
+    const permits = await this.findIssuedPermits(
+      municipalityId,
+      range,
+      'type subtype estimatedValue',
+    );
+
+    const categories = [...new Set(permits.map((p) => p.type || 'other'))];
+    categories.sort();
+
+    const byMonth = range.months.map((key) => {
+      const row = { month: monthLabel(key), total: 0 };
+      categories.forEach((category) => (row[category] = 0));
+      return row;
+    });
+    const byPermitType = {};
+
+    for (const permit of permits) {
+      const row = byMonth[range.months.indexOf(monthKey(issuedDate(permit)))];
+      const category = permit.type || 'other';
+      if (row) {
+        row[category]++;
+        row.total++;
+      }
+
+      const name = permit.subtype || labelize(category);
+      byPermitType[name] = byPermitType[name] || {
+        permitType: name,
+        category: labelize(category),
+        count: 0,
+        value: 0,
+      };
+      byPermitType[name].count++;
+      byPermitType[name].value += permit.estimatedValue || 0;
+    }
+
+    const typeRows = Object.values(byPermitType).sort(
+      (a, b) => b.count - a.count,
+    );
+
+    return {
+      parameters: [{ label: 'Permits issued', value: permits.length }],
+      sections: [
+        {
+          title: 'By Month',
+          columns: [
+            { key: 'month', label: 'Month', type: 'text' },
+            ...categories.map((category) => ({
+              key: category,
+              label: labelize(category),
+              type: 'number',
+            })),
+            { key: 'total', label: 'Total', type: 'number' },
+          ],
+          rows: byMonth,
+          totals: {
+            month: 'Total',
+            ...sumRows(byMonth, [...categories, 'total']),
+          },
+        },
+        {
+          title: 'By Permit Type',
+          columns: [
+            { key: 'permitType', label: 'Permit Type', type: 'text', width: 2 },
+            { key: 'category', label: 'Category', type: 'text' },
+            { key: 'count', label: 'Permits', type: 'number' },
+            { key: 'value', label: 'Construction Value', type: 'currency' },
+          ],
+          rows: typeRows,
+          totals: {
+            permitType: 'Total',
+            ...sumRows(typeRows, ['count', 'value']),
+          },
+        },
+      ],
+    };
+  }
+
+  async buildConstructionValue(municipalityId, range) {
+    const permits = await this.findIssuedPermits(
+      municipalityId,
+      range,
+      'type estimatedValue squareFootage',
+    );
+
+    const byCategory = {};
+    const byMonth = range.months.map((key) => ({
+      month: monthLabel(key),
+      count: 0,
+      value: 0,
+    }));
+
+    for (const permit of permits) {
+      const value = permit.estimatedValue || 0;
+      const category = permit.type || 'other';
+
+      byCategory[category] = byCategory[category] || {
+        category: labelize(category),
+        count: 0,
+        value: 0,
+        squareFootage: 0,
+      };
+      byCategory[category].count++;
+      byCategory[category].value += value;
+      byCategory[category].squareFootage += permit.squareFootage || 0;
+
+      const row = byMonth[range.months.indexOf(monthKey(issuedDate(permit)))];
+      if (row) {
+        row.count++;
+        row.value += value;
+      }
+    }
+
+    const categoryRows = Object.values(byCategory)
+      .map((row) => ({
+        ...row,
+        value: roundCurrency(row.value),
+        averageValue: roundCurrency(row.value / row.count),
+      }))
+      .sort((a, b) => b.value - a.value);
+    const totalValue = roundCurrency(
+      permits.reduce((sum, p) => sum + (p.estimatedValue || 0), 0),
+    );
+
+    return {
+      parameters: [
+        { label: 'Permits issued', value: permits.length },
+        {
+          label: 'Total construction value',
+          value: `$${totalValue.toLocaleString('en-US')}`,
+        },
+      ],
+      sections: [
+        {
+          title: 'By Category',
+          columns: [
+            { key: 'category', label: 'Category', type: 'text', width: 2 },
+            { key: 'count', label: 'Permits', type: 'number' },
+            { key: 'value', label: 'Total Value', type: 'currency' },
+            { key: 'averageValue', label: 'Average Value', type: 'currency' },
+            { key: 'squareFootage', label: 'Square Feet', type: 'number' },
+          ],
+          rows: categoryRows,
+          totals: {
+            category: 'Total',
+            ...sumRows(categoryRows, ['count', 'value', 'squareFootage']),
+          },
+        },
+        {
+          title: 'By Month',
+          columns: [
+            { key: 'month', label: 'Month', type: 'text' },
+            { key: 'count', label: 'Permits', type: 'number' },
+            { key: 'value', label: 'Total Value', type: 'currency' },
+          ],
+          rows: byMonth,
+          totals: { month: 'Total', ...sumRows(byMonth, ['count', 'value']) },
+        },
+      ],
+    };
+  }
+
+  async buildFeesCollected(municipalityId, range) {
+    const transactions = await PermitFeeTransaction.find(
+      PermitFeeTransaction.ledgerFilter({
+        municipalityId,
+        type: { $in: ['payment', 'refund'] },
+        transactionDate: { $gte: range.start, $lt: range.end },
+      }),
+    )
+      .select('permitId type amount transactionDate')
+      .lean();
+
+    const permits = await Permit.find({
+      _id: { $in: [...new Set(transactions.map((t) => t.permitId))] },
+    })
+      .select('type')
+      .lean();
+    const categoryOf = new Map(
+      permits.map((permit) => [permit._id.toString(), permit.type]),
+    );
+
+    const empty = () => ({ payments: 0, refunds: 0, net: 0, count: 0 });
+    const byMonth = range.months.map((key) => ({
+      month: monthLabel(key),
+      ...empty(),
+    }));
+    const byCategory = {};
+
+    for (const transaction of transactions) {
+      const category = categoryOf.get(transaction.permitId?.toString());
+      const key = category || 'other';
+      byCategory[key] = byCategory[key] || {
+        category: labelize(key),
+        ...empty(),
+      };
+
+      const rows = [
+        byMonth[range.months.indexOf(monthKey(transaction.transactionDate))],
+        byCategory[key],
+      ];
+      for (const row of rows.filter(Boolean)) {
+        if (transaction.type === 'payment') {
+          row.payments += transaction.amount;
+          row.count++;
+        } else {
+          row.refunds += transaction.amount;
+        }
+        row.net = row.payments - row.refunds;
+      }
+    }
+
+    const finish = (row) => ({
+      ...row,
+      payments: roundCurrency(row.payments),
+      refunds: roundCurrency(row.refunds),
+      net: roundCurrency(row.net),
+    });
+    const monthRows = byMonth.map(finish);
+    const categoryRows = Object.values(byCategory)
+      .map(finish)
+      .sort((a, b) => b.net - a.net);
+    const totals = sumRows(monthRows, ['count', 'payments', 'refunds', 'net']);
+
+    const columns = (first) => [
+      first,
+      { key: 'count', label: 'Payments', type: 'number' },
+      { key: 'payments', label: 'Received', type: 'currency' },
+      { key: 'refunds', label: 'Refunded', type: 'currency' },
+      { key: 'net', label: 'Net Collected', type: 'currency' },
+    ];
+
+    return {
+      parameters: [
+        {
+          label: 'Net collected',
+          value: `$${roundCurrency(totals.net).toFixed(2)}`,
+        },
+      ],
+      sections: [
+        {
+          title: 'By Month',
+          columns: columns({ key: 'month', label: 'Month', type: 'text' }),
+          rows: monthRows,
+          totals: { month: 'Total', ...totals },
+        },
+        {
+          title: 'By Permit Category',
+          columns: columns({
+            key: 'category',
+            label: 'Category',
+            type: 'text',
+            width: 2,
+          }),
+          rows: categoryRows,
+          totals: { category: 'Total', ...totals },
+        },
+      ],
+    };
+  }
+
+  async buildReviewTimes(municipalityId, range) {
+    const permits = await Permit.find({
+      municipalityId,
+      isActive: true,
+      'departmentReviews.reviewedAt': { $gte: range.start, $lt: range.end },
+    })
+      .select('applicationDate departmentReviews')
+      .lean();
+
+    const byDepartment = {};
+    for (const permit of permits) {
+      for (const review of permit.departmentReviews || []) {
+        if (
+          !review.reviewedAt ||
+          review.reviewedAt < range.start ||
+          review.reviewedAt >= range.end
+        ) {
+          continue;
+        }
+
+        const stats = (byDepartment[review.department] = byDepartment[
+          review.department
+        ] || {
+          department: labelize(review.department),
+          completed: 0,
+          approved: 0,
+          revisions: 0,
+          rejected: 0,
+          turnaround: [],
+          inReview: [],
+        });
+
+        stats.completed++;
+        if (['approved', 'conditionally_approved'].includes(review.status)) {
+          stats.approved++;
+        } else if (review.status === 'revisions_requested') {
+          stats.revisions++;
+        } else if (review.status === 'rejected') {
+          stats.rejected++;
+        }
+
+        // Turnaround runs from when the department had the application
+        const received =
+          review.assignedAt || permit.applicationDate || review.reviewStartedAt;
+        if (received) {
+          stats.turnaround.push(
+            Math.max(0, daysBetween(received, review.reviewedAt)),
+          );
+        }
+        if (review.reviewStartedAt) {
+          stats.inReview.push(
+            Math.max(0, daysBetween(review.reviewStartedAt, review.reviewedAt)),
+          );
+        }
+      }
+    }
+
+    const rows = Object.values(byDepartment)
+      .map(({ turnaround, inReview, ...row }) => ({
+        ...row,
+        averageDays: average(turnaround),
+        averageReviewDays: average(inReview),
+        longestDays: turnaround.length
+          ? roundDays(Math.max(...turnaround))
+          : null,
+      }))
+      .sort((a, b) => a.department.localeCompare(b.department));
+
+    return {
+      parameters: [
+        {
+          label: 'Reviews completed',
+          value: rows.reduce((sum, row) => sum + row.completed, 0),
+        },
+      ],
+      sections: [
+        {
+          title: 'By Department',
+          columns: [
+            { key: 'department', label: 'Department', type: 'text', width: 2 },
+            { key: 'completed', label: 'Completed', type: 'number' },
+            { key: 'approved', label: 'Approved', type: 'number' },
+            { key: 'revisions', label: 'Revisions', type: 'number' },
+            { key: 'rejected', label: 'Rejected', type: 'number' },
+            { key: 'averageDays', label: 'Avg. Days', type: 'number' },
+            {
+              key: 'averageReviewDays',
+              label: 'Avg. Days in Review',
+              type: 'number',
+            },
+            { key: 'longestDays', label: 'Longest', type: 'number' },
+          ],
+          rows,
+        },
+      ],
+    };
+  }
+
+  async buildInspectionResults(municipalityId, range) {
+    const inspections = await PermitInspection.find({
+      municipalityId,
+      isActive: true,
+      status: 'completed',
+      result: { $nin: ['pending', 'cancelled'] },
+      completedDate: { $gte: range.start, $lt: range.end },
+    })
+      .select('type result inspectorName isReinspection')
+      .lean();
+
+    const tally = (groups, key, label, inspection) => {
+      const row = (groups[key] = groups[key] || {
+        ...label,
+        inspections: 0,
+        passed: 0,
+        failed: 0,
+        other: 0,
+        firstInspections: 0,
+        firstPassed: 0,
+      });
+      row.inspections++;
+      if (inspection.result === 'passed') row.passed++;
+      else if (inspection.result === 'failed') row.failed++;
+      else row.other++;
+      if (!inspection.isReinspection) {
+        row.firstInspections++;
+        if (inspection.result === 'passed') row.firstPassed++;
+      }
+    };
+
+    const byType = {};
+    const byInspector = {};
+    const overall = {};
+    for (const inspection of inspections) {
+      tally(
+        byType,
+        inspection.type,
+        { type: labelize(inspection.type) },
+        inspection,
+      );
+      tally(
+        byInspector,
+        inspection.inspectorName || 'Unassigned',
+        { inspector: inspection.inspectorName || 'Unassigned' },
+        inspection,
+      );
+      tally(overall, 'all', {}, inspection);
+    }
+
+    const finish = (groups) =>
+      Object.values(groups)
+        .map(({ firstInspections, firstPassed, ...row }) => ({
+          ...row,
+          passRate: ratio(row.passed, row.inspections),
+          firstTimePassRate: ratio(firstPassed, firstInspections),
+        }))
+        .sort((a, b) => b.inspections - a.inspections);
+
+    const columns = (first) => [
+      first,
+      { key: 'inspections', label: 'Inspections', type: 'number' },
+      { key: 'passed', label: 'Passed', type: 'number' },
+      { key: 'failed', label: 'Failed', type: 'number' },
+      { key: 'other', label: 'Partial/Conditional', type: 'number' },
+      { key: 'passRate', label: 'Pass Rate', type: 'percent' },
+      {
+        key: 'firstTimePassRate',
+        label: 'First-Time Pass Rate',
+        type: 'percent',
+      },
+    ];
+    const [all] = finish(overall);
+
+    return {
+      parameters: [
+        { label: 'Inspections', value: inspections.length },
+        {
+          label: 'Pass rate',
+          value: all ? `${(all.passRate * 100).toFixed(1)}%` : 'n/a',
+        },
+      ],
+      sections: [
+        {
+          title: 'By Inspection Type',
+          columns: columns({
+            key: 'type',
+            label: 'Inspection',
+            type: 'text',
+            width: 2,
+          }),
+          rows: finish(byType),
+          totals: all ? { ...all, type: 'Total' } : undefined,
+        },
+        {
+          title: 'By Inspector',
+          columns: columns({
+            key: 'inspector',
+            label: 'Inspector',
+            type: 'text',
+            width: 2,
+          }),
+          rows: finish(byInspector),
+        },
+      ],
+    };
+  }
+
+  async buildBacklogAging(municipalityId, range) {
+    const permits = await Permit.find({
+      municipalityId,
+      isActive: true,
+      isProject: { $ne: true },
+      status: { $in: OPEN_STATUSES },
+      applicationDate: { $gte: range.start, $lt: range.end },
+    })
+      .select(
+        'permitNumber status subtype type propertyAddress applicationDate departmentReviews',
+      )
+      .lean();
+
+    const now = new Date();
+    const byStatus = {};
+    const byDepartment = {};
+    const oldest = [];
+
+    for (const permit of permits) {
+      const age = daysBetween(permit.applicationDate, now);
+      const bucket = agingBucket(age);
+
+      const statusRow = (byStatus[permit.status] =
+        byStatus[permit.status] ||
+        emptyAging({ status: labelize(permit.status) }));
+      statusRow[bucket]++;
+      statusRow.total++;
+      statusRow.ages.push(age);
+
+      const waitingOn = [];
+      for (const review of permit.departmentReviews || []) {
+        if (!['pending', 'in_review'].includes(review.status)) continue;
+        waitingOn.push(labelize(review.department));
+
+        const reviewAge = daysBetween(
+          review.assignedAt || permit.applicationDate,
+          now,
+        );
+        const departmentRow = (byDepartment[review.department] =
+          byDepartment[review.department] ||
+          emptyAging({ department: labelize(review.department) }));
+        departmentRow[agingBucket(reviewAge)]++;
+        departmentRow.total++;
+        departmentRow.ages.push(reviewAge);
+      }
+
+      oldest.push({
+        permitNumber: permit.permitNumber,
+        permitType: permit.subtype || labelize(permit.type),
+        propertyAddress: permit.propertyAddress,
+        status: labelize(permit.status),
+        applicationDate: permit.applicationDate,
+        daysOpen: Math.floor(age),
+        waitingOn: waitingOn.join(', '),
+      });
+    }
+
+    oldest.sort((a, b) => b.daysOpen - a.daysOpen);
+    const statusRows = finishAging(Object.values(byStatus));
+    const bucketKeys = [...AGING_BUCKETS.map((b) => b.key), 'total'];
+
+    return {
+      parameters: [
+        { label: 'Open applications', value: permits.length },
+        {
+          label: 'Average days open',
+          value: average(oldest.map((p) => p.daysOpen)) ?? 'n/a',
+        },
+      ],
+      sections: [
+        {
+          title: 'Open Applications by Status',
+          columns: agingColumns({
+            key: 'status',
+            label: 'Status',
+            type: 'text',
+          }),
+          rows: statusRows,
+          totals: { status: 'Total', ...sumRows(statusRows, bucketKeys) },
+        },
+        {
+          title: 'Pending Department Reviews',
+          columns: agingColumns({
+            key: 'department',
+            label: 'Department',
+            type: 'text',
+          }),
+          rows: finishAging(Object.values(byDepartment)).sort((a, b) =>
+            a.department.localeCompare(b.department),
+          ),
+        },
+        {
+          title: 'Oldest Open Applications',
+          columns: [
+            { key: 'permitNumber', label: 'Permit', type: 'text' },
+            { key: 'permitType', label: 'Type', type: 'text' },
+            {
+              key: 'propertyAddress',
+              label: 'Property',
+              type: 'text',
+              width: 2,
+            },
+            { key: 'status', label: 'Status', type: 'text' },
+            { key: 'applicationDate', label: 'Applied', type: 'date' },
+            { key: 'daysOpen', label: 'Days Open', type: 'number' },
+            { key: 'waitingOn', label: 'Waiting On', type: 'text', width: 2 },
+          ],
+          rows: oldest.slice(0, 25),
+        },
+      ],
+    };
+  }
+
+  async buildCensusC40(municipalityId, range) {
+    const permits = (
+      await this.findIssuedPermits(
+        municipalityId,
+        range,
+        'permitNumber propertyAddress subtype estimatedValue housingUnits',
+      )
+    ).filter((permit) => permit.housingUnits > 0);
+
+    const classOf = (units) =>
+      C40_CLASSES.find((c) => units >= c.min && units <= c.max);
+    const empty = (extra) => ({ ...extra, buildings: 0, units: 0, value: 0 });
+
+    const summary = C40_CLASSES.map((c) => empty({ sizeClass: c.label }));
+    const byMonth = {};
+
+    for (const permit of permits) {
+      const sizeClass = classOf(permit.housingUnits);
+      const month = monthKey(issuedDate(permit));
+      const key = `${month}|${sizeClass.key}`;
+      byMonth[key] =
+        byMonth[key] ||
+        empty({
+          month: monthLabel(month),
+          sizeClass: sizeClass.label,
+        });
+
+      for (const row of [
+        summary[C40_CLASSES.indexOf(sizeClass)],
+        byMonth[key],
+      ]) {
+        row.buildings++;
+        row.units += permit.housingUnits;
+        row.value += permit.estimatedValue || 0;
+      }
+    }
+
+    const monthRows = Object.keys(byMonth)
+      .sort()
+      .map((key) => byMonth[key]);
+    const totals = sumRows(summary, ['buildings', 'units', 'value']);
+    const classColumns = [
+      { key: 'buildings', label: 'Buildings', type: 'number' },
+      { key: 'units', label: 'Housing Units', type: 'number' },
+      { key: 'value', label: 'Valuation', type: 'currency' },
+    ];
+
+    return {
+      parameters: [
+        { label: 'New buildings', value: totals.buildings },
+        { label: 'New housing units', value: totals.units },
+      ],
+      sections: [
+        {
+          title: 'Summary by Building Size',
+          columns: [
+            { key: 'sizeClass', label: 'Building Size', type: 'text' },
+            ...classColumns,
+          ],
+          rows: summary,
+          totals: { sizeClass: 'Total', ...totals },
+        },
+        {
+          title: 'By Month',
+          columns: [
+            { key: 'month', label: 'Month', type: 'text' },
+            { key: 'sizeClass', label: 'Building Size', type: 'text' },
+            ...classColumns,
+          ],
+          rows: monthRows,
+        },
+        {
+          title: 'Permits',
+          columns: [
+            { key: 'permitNumber', label: 'Permit', type: 'text' },
+            { key: 'issued', label: 'Issued', type: 'date' },
+            {
+              key: 'propertyAddress',
+              label: 'Property',
+              type: 'text',
+              width: 2,
+            },
+            { key: 'permitType', label: 'Type', type: 'text' },
+            { key: 'housingUnits', label: 'Units', type: 'number' },
+            { key: 'estimatedValue', label: 'Valuation', type: 'currency' },
+          ],
+          rows: permits
+            .map((permit) => ({
+              permitNumber: permit.permitNumber,
+              issued: issuedDate(permit),
+              propertyAddress: permit.propertyAddress,
+              permitType: permit.subtype,
+              housingUnits: permit.housingUnits,
+              estimatedValue: permit.estimatedValue,
+            }))
+            .sort((a, b) => a.issued - b.issued),
+        },
+      ],
+    };
+  }
+}
+
+module.exports = new PermitReportService();
@@ -0,0 +1,352 @@
+const cron = require('node-cron');
+const Permit = require('../models/Permit');
+const Municipality = require('../models/Municipality');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const {
+  toDateKey,
+  addBusinessDays,
+  businessDaysBetween,
+} = require('../utils/businessDays');
+const { requireAppModule } = require('../utils/appModules');
+
+const { isReviewLocked } = requireAppModule('review-routing');
+
+// Permits whose review clock is running
+const OPEN_STATUSES = ['submitted', 'under_review'];
+const CLOSED_REVIEW_STATUSES = [
+  'approved',
+  'conditionally_approved',
+  'rejected',
+];
+
+/**
+ * Permit SLA Monitor
+ *
+ * Scheduled job that keeps Permit.sla up to date for permits under review:
+ * - expectedCompletionDate = submission + targetReviewDays business days,
+ *   skipping weekends and the municipality's holidays, recalculated on every
+ *   run so holiday and target changes apply to permits already under review
+ * - sla.submittedAt records the submission the deadline was counted from;
+ *   when the permit is resubmitted the warnings already sent are cleared
+ * - isOverdue / daysOverdue recalculated on every run
+ * - approaching_deadline, overdue and severely_overdue warnings are sent once
+ *   per permit, deduped through sla.warningsSent
+ */
+class PermitSlaService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+    this.schedule = process.env.PERMIT_SLA_CRON || '0 * * * *';
+  }
+
+  /**
+   * Start the scheduled job (no-op if already started)
+   */
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.schedule)) {
+      console.error(`❌ Invalid PERMIT_SLA_CRON schedule: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(
+      this.schedule,
+      () =>
+        this.run().catch((error) => {
+          console.error('❌ Permit SLA monitor failed:', error);
+        }),
+      { name: 'permit-sla-monitor', noOverlap: true },
+    );
+    console.log(`⏱️  Permit SLA monitor scheduled (${this.schedule})`);
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Check every open permit across all municipalities
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Promise<Object>} - Run summary
+   */
+  async run(now = new Date()) {
+    const summary = { permitsChecked: 0, overdue: 0, warningsSent: 0 };
+    if (this.running) return { ...summary, skipped: true };
+
+    this.running = true;
+    try {
+      const municipalityIds = await Permit.distinct('municipalityId', {
+        status: { $in: OPEN_STATUSES },
+        isActive: true,
+      });
+
+      for (const municipalityId of municipalityIds) {
+        const municipality = await Municipality.findById(municipalityId);
+        if (!municipality) continue;
+
+        try {
+          const result = await this.checkMunicipality(municipality, now);
+          summary.permitsChecked += result.permitsChecked;
+          summary.overdue += result.overdue;
+          summary.warningsSent += result.warningsSent;
+        } catch (error) {
+          console.error(
+            `❌ Permit SLA check failed for ${municipality.name}:`,
+            error,
+          );
+        }
+      }
+
+      if (summary.warningsSent > 0) {
+        console.log(
+          `⏱️  Permit SLA monitor: ${summary.permitsChecked} checked, ${summary.overdue} overdue, ${summary.warningsSent} warnings sent`,
+        );
+      }
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Check the open permits of one municipality
+   * @param {Object} municipality - Municipality document
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - { permitsChecked, overdue, warningsSent }
+   */
+  async checkMunicipality(municipality, now) {
+    const permitSettings = municipality.settings?.buildingPermits || {};
+    const context = {
+      municipality,
+      calendar: {
+        holidays: municipality.settings?.holidays || [],
+        timeZone: municipality.settings?.timezone || 'America/New_York',
+      },
+      approachingDays: permitSettings.slaApproachingDeadlineDays ?? 3,
+      severelyOverdueDays: permitSettings.slaSeverelyOverdueDays ?? 10,
+    };
+
+    const permits = await Permit.find({
+      municipalityId: municipality._id,
+      status: { $in: OPEN_STATUSES },
+      isActive: true,
+    }).select(
+      'municipalityId permitNumber propertyAddress applicationDate statusHistory sla assignedReviewer assignedInspector departmentReviews',
+    );
+
+    const result = { permitsChecked: 0, overdue: 0, warningsSent: 0 };
+    for (const permit of permits) {
+      const { isOverdue, sent } = await this.checkPermit(permit, context, now);
+      result.permitsChecked++;
+      if (isOverdue) result.overdue++;
+      if (sent) result.warningsSent++;
+    }
+    return result;
+  }
+
+  /**
+   * Recalculate a permit's SLA fields and send any warning that is due
+   * @param {Object} permit - Permit document
+   * @param {Object} context - { municipality, calendar, approachingDays, severelyOverdueDays }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - { isOverdue, sent }
+   */
+  async checkPermit(permit, context, now) {
+    const sla = permit.sla || {};
+
+    const submittedAt = new Date(this.getSubmittedAt(permit));
+    const expectedCompletionDate = addBusinessDays(
+      submittedAt,
+      sla.targetReviewDays ?? 30,
+      context.calendar,
+    );
+    // Warnings sent for an earlier submission don't count against this one
+    const resubmitted =
+      !!sla.submittedAt &&
+      new Date(sla.submittedAt).getTime() !== submittedAt.getTime();
+    const warningsSent = resubmitted ? [] : sla.warningsSent || [];
+
+    // Positive = business days past the deadline, negative = days remaining
+    const daysFromDeadline = -businessDaysBetween(
+      toDateKey(now, context.calendar.timeZone),
+      toDateKey(expectedCompletionDate, 'UTC'),
+      context.calendar,
+    );
+    const isOverdue = daysFromDeadline > 0;
+    const daysOverdue = Math.max(0, daysFromDeadline);
+
+    await Permit.updateOne(
+      { _id: permit._id },
+      {
+        $set: {
+          'sla.submittedAt': submittedAt,
+          'sla.expectedCompletionDate': expectedCompletionDate,
+          'sla.isOverdue': isOverdue,
+          'sla.daysOverdue': daysOverdue,
+          ...(resubmitted && { 'sla.warningsSent': warningsSent }),
+        },
+      },
+    );
+
+    const warningType = this.getWarningType(daysFromDeadline, context);
+    if (!warningType) return { isOverdue, sent: false };
+
+    const alreadySent = warningsSent.some(
+      (warning) => warning.warningType === warningType,
+    );
+    if (alreadySent) return { isOverdue, sent: false };
+
+    const sent = await this.sendWarning(permit, context.municipality, {
+      warningType,
+      daysFromDeadline,
+      expectedCompletionDate,
+      now,
+    });
+    return { isOverdue, sent };
+  }
+
+  /**
+   * Warning level for a distance from the deadline (most severe wins)
+   * @param {number} daysFromDeadline - Business days past the deadline
+   * @param {Object} thresholds - { approachingDays, severelyOverdueDays }
+   * @returns {string|null}
+   */
+  getWarningType(daysFromDeadline, { approachingDays, severelyOverdueDays }) {
+    if (daysFromDeadline >= severelyOverdueDays) return 'severely_overdue';
+    if (daysFromDeadline > 0) return 'overdue';
+    if (-daysFromDeadline <= approachingDays) return 'approaching_deadline';
+    return null;
+  }
+
+  /**
+   * When the review clock started: the last submission or resubmission of
+   * revisions after a hold, else the application date
+   */
+  getSubmittedAt(permit) {
+    const submissions = (permit.statusHistory || [])
+      .filter((entry) => entry.status === 'submitted' && entry.timestamp)
+      .map((entry) => entry.timestamp);
+    if (permit.sla?.resubmittedAt) {
+      submissions.push(permit.sla.resubmittedAt);
+    }
+    if (submissions.length === 0) {
+      return permit.applicationDate || new Date();
+    }
+    return new Date(
+      Math.max(...submissions.map((timestamp) => new Date(timestamp))),
+    );
+  }
+
+  /**
+   * Users responsible for the open reviews on a permit.
+   * Unassigned department reviews go to everyone in that department;
+   * the assigned inspector is the fallback when nobody else is responsible.
+   * @param {Object} permit - Permit document
+   * @returns {Promise<Array<string>>} - User IDs
+   */
+  async getRecipients(permit) {
+    const userIds = new Set();
+    const unassignedDepartments = [];
+
+    if (permit.assignedReviewer)
+      userIds.add(permit.assignedReviewer.toString());
+
+    for (const review of permit.departmentReviews || []) {
+      if (
+        !review.required ||
+        CLOSED_REVIEW_STATUSES.includes(review.status) ||
+        isReviewLocked(permit.departmentReviews, review)
+      ) {
+        continue;
+      }
+      if (review.assignedTo) {
+        userIds.add(review.assignedTo.toString());
+      } else {
+        unassignedDepartments.push(review.department);
+      }
+    }
+
+    if (unassignedDepartments.length > 0) {
+      const departmentUsers = await User.find({
+        is_active: true,
+        municipal_permissions: {
+          $elemMatch: {
+            municipality_id: permit.municipalityId,
+            department: { $in: unassignedDepartments },
+          },
+        },
+      }).select('_id');
+      departmentUsers.forEach((user) => userIds.add(user._id.toString()));
+    }
+
+    if (userIds.size === 0 && permit.assignedInspector) {
+      userIds.add(permit.assignedInspector.toString());
+    }
+
+    return Array.from(userIds);
+  }
+
+  /**
+   * Record and deliver a warning.
+   * The warning is claimed in warningsSent before sending so concurrent runs
+   * cannot send it twice; the claim is released if nobody could be notified.
+   * @returns {Promise<boolean>} - Whether the warning was delivered
+   */
+  async sendWarning(
+    permit,
+    municipality,
+    { warningType, daysFromDeadline, expectedCompletionDate, now },
+  ) {
+    const recipients = await this.getRecipients(permit);
+    if (recipients.length === 0) {
+      console.warn(
+        `⚠️  No reviewers to notify for ${warningType} on permit ${permit.permitNumber}`,
+      );
+      return false;
+    }
+
+    const warning = { sentAt: now, warningType, daysFromDeadline };
+    const claim = await Permit.updateOne(
+      { _id: permit._id, 'sla.warningsSent.warningType': { $ne: warningType } },
+      { $push: { 'sla.warningsSent': warning } },
+    );
+    if (claim.modifiedCount === 0) return false;
+
+    const results = await Promise.allSettled(
+      recipients.map((userId) =>
+        notificationService.sendPermitSlaWarning({
+          userId,
+          municipalityId: municipality._id,
+          permitNumber: permit.permitNumber,
+          permitId: permit._id.toString(),
+          propertyAddress: permit.propertyAddress,
+          warningType,
+          daysFromDeadline,
+          expectedCompletionDate,
+        }),
+      ),
+    );
+
+    const delivered = results.some((result) => result.status === 'fulfilled');
+    if (!delivered) {
+      await Permit.updateOne(
+        { _id: permit._id },
+        { $pull: { 'sla.warningsSent': { warningType, sentAt: now } } },
+      );
+      console.error(
+        `❌ Failed to send ${warningType} warning for permit ${permit.permitNumber}`,
+      );
+    }
+    return delivered;
+  }
+}
+
+module.exports = new PermitSlaService();
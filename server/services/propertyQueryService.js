@@ -0,0 +1,530 @@
+const mongoose = require('mongoose');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+const PropertyExemption = require('../models/PropertyExemption');
+const SalesHistory = require('../models/SalesHistory');
+const BuildingCode = require('../models/BuildingCode');
+const ExemptionType = require('../models/ExemptionType');
+const PIDFormat = require('../models/PIDFormat');
+const { renderReport } = require('../utils/reportRenderers');
+
+const { ObjectId } = mongoose.Types;
+
+const SQFT_PER_ACRE = 43560;
+const MAX_RESULTS = 1000;
+
+/**
+ * Filter grammar for property queries.
+ *
+ * Each filter reads one field from a source:
+ * - property:   the PropertyTreeNode itself
+ * - building:   current-year building assessment (card 1)
+ * - assessment: current-year property assessment
+ * - land:       current-year land assessment
+ * - sales:      sales history (one sale has to satisfy every sale filter)
+ * - exemptions: active exemptions for the current year
+ *
+ * Filter types:
+ * - count:   exact number, or "N+" for at least N (bedrooms "6+")
+ * - range:   numeric { min, max } keys, both optional
+ * - dates:   date { min, max } keys, both optional
+ * - values:  one value or an array of values (matches any of them)
+ * - ids:     like values, but ObjectIds
+ * - flag:    "yes" / "no"
+ * - boolean: true limits the source to matching documents
+ */
+const FILTER_DEFINITIONS = {
+  bedrooms: { source: 'building', field: 'bedrooms', type: 'count' },
+  bathrooms: { source: 'building', field: 'full_baths', type: 'count' },
+  buildingSize: {
+    source: 'building',
+    field: 'effective_area',
+    type: 'range',
+    min: 'buildingSizeMin',
+    max: 'buildingSizeMax',
+  },
+  buildingHeight: {
+    source: 'building',
+    field: 'story_height',
+    type: 'range',
+    min: 'buildingHeightMin',
+    max: 'buildingHeightMax',
+  },
+  yearBuilt: {
+    source: 'building',
+    field: 'year_built',
+    type: 'range',
+    min: 'yearBuiltMin',
+    max: 'yearBuiltMax',
+  },
+  buildingCode: { source: 'building', field: 'base_type', type: 'ids' },
+  assessment: {
+    source: 'assessment',
+    field: 'total_value',
+    type: 'range',
+    min: 'assessmentMin',
+    max: 'assessmentMax',
+  },
+  landArea: {
+    source: 'land',
+    field: 'acreage',
+    type: 'range',
+    min: 'landAreaMin',
+    max: 'landAreaMax',
+    // Entered in square feet, stored in acres
+    scale: 1 / SQFT_PER_ACRE,
+  },
+  currentUse: { source: 'land', field: 'current_use_credit', type: 'flag' },
+  zone: { source: 'property', field: 'location.zone', type: 'values' },
+  neighborhood: {
+    source: 'property',
+    field: 'location.neighborhood',
+    type: 'values',
+  },
+  propertyClass: {
+    source: 'property',
+    field: 'property_class',
+    type: 'values',
+  },
+  saleDate: {
+    source: 'sales',
+    field: 'sale_date',
+    type: 'dates',
+    min: 'saleDateFrom',
+    max: 'saleDateTo',
+  },
+  salePrice: {
+    source: 'sales',
+    field: 'sale_price',
+    type: 'range',
+    min: 'salePriceMin',
+    max: 'salePriceMax',
+  },
+  validSalesOnly: {
+    source: 'sales',
+    field: 'is_valid_sale',
+    type: 'boolean',
+  },
+  exemptionType: {
+    source: 'exemptions',
+    field: 'exemption_type_id',
+    type: 'ids',
+  },
+};
+
+// Joined collections, keyed by filter source
+const SOURCES = {
+  building: { from: 'building_assessments', as: 'building_assessments' },
+  assessment: { from: 'property_assessments', as: 'property_assessments' },
+  land: { from: 'land_assessments', as: 'land_assessments' },
+  sales: { from: SalesHistory.collection.name, as: 'query_sales' },
+  exemptions: {
+    from: PropertyExemption.collection.name,
+    as: 'query_exemptions',
+  },
+};
+
+const CSV_COLUMNS = [
+  { key: 'pid', label: 'PID' },
+  { key: 'account_number', label: 'Account' },
+  { key: 'streetAddress', label: 'Location' },
+  { key: 'ownerName', label: 'Owner' },
+  { key: 'ownerMailingAddress', label: 'Mailing Address' },
+  { key: 'propertyClass', label: 'Class' },
+  { key: 'zone', label: 'Zone' },
+  { key: 'neighborhood', label: 'Neighborhood' },
+  { key: 'totalValue', label: 'Assessed Value', type: 'currency' },
+];
+
+function isBlank(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function queryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).filter((v) => !isBlank(v));
+}
+
+function toNumber(value, key) {
+  const number = parseFloat(value);
+  if (isNaN(number)) {
+    throw queryError(`${key} must be a number`);
+  }
+  return number;
+}
+
+function toDate(value, key) {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw queryError(`${key} must be a date`);
+  }
+  return date;
+}
+
+function toObjectId(value, key) {
+  if (!ObjectId.isValid(value)) {
+    throw queryError(`${key} contains an invalid id`);
+  }
+  return new ObjectId(value);
+}
+
+/**
+ * Property Query Service
+ *
+ * Builds and runs the property query aggregation used by the assessing
+ * property query modal, saved queries and the CSV export.
+ */
+class PropertyQueryService {
+  /**
+   * Condition on a single field for one filter, or null when the filter is
+   * not set. Field paths are relative to the source document.
+   * @param {string} key - Filter name from FILTER_DEFINITIONS
+   * @param {Object} definition - Filter definition
+   * @param {Object} filters - All filter values
+   * @returns {Object|null} - Mongo condition for the field
+   */
+  buildCondition(key, definition, filters) {
+    switch (definition.type) {
+      case 'count': {
+        const value = filters[key];
+        if (isBlank(value)) return null;
+        const text = String(value).trim();
+        return text.endsWith('+')
+          ? { $gte: toNumber(text.slice(0, -1), key) }
+          : toNumber(text, key);
+      }
+      case 'range':
+      case 'dates': {
+        const convert =
+          definition.type === 'dates'
+            ? toDate
+            : (value, name) => toNumber(value, name) * (definition.scale || 1);
+        const condition = {};
+        if (!isBlank(filters[definition.min])) {
+          condition.$gte = convert(filters[definition.min], definition.min);
+        }
+        if (!isBlank(filters[definition.max])) {
+          let max = convert(filters[definition.max], definition.max);
+          // A plain "to" date (YYYY-MM-DD) includes the whole day
+          if (
+            definition.type === 'dates' &&
+            /^\d{4}-\d{2}-\d{2}$/.test(filters[definition.max])
+          ) {
+            max = new Date(max.getTime() + 24 * 60 * 60 * 1000 - 1);
+          }
+          condition.$lte = max;
+        }
+        return Object.keys(condition).length > 0 ? condition : null;
+      }
+      case 'values': {
+        const values = toList(filters[key]).map(String);
+        if (values.length === 0) return null;
+        return values.length === 1 ? values[0] : { $in: values };
+      }
+      case 'ids': {
+        const ids = toList(filters[key]).map((id) => toObjectId(id, key));
+        if (ids.length === 0) return null;
+        return ids.length === 1 ? ids[0] : { $in: ids };
+      }
+      case 'flag': {
+        const value = filters[key];
+        if (isBlank(value)) return null;
+        if (value === 'yes') return { $gt: 0 };
+        if (value === 'no') return { $not: { $gt: 0 } };
+        throw queryError(`${key} must be "yes" or "no"`);
+      }
+      case 'boolean':
+        return filters[key] === true || filters[key] === 'true' ? true : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build the aggregation pipeline for a set of filters
+   * @param {string} municipalityId - Municipality ID
+   * @param {Object} filters - Filter values keyed as in FILTER_DEFINITIONS
+   *   (range filters use their min/max keys); matchMode "any" ORs the
+   *   filters together instead of requiring all of them
+   * @param {Object} options - { year, limit }
+   * @returns {Array} - Aggregation pipeline for PropertyTreeNode
+   */
+  buildPipeline(municipalityId, filters = {}, options = {}) {
+    const year = options.year || new Date().getFullYear();
+    const limit = options.limit || MAX_RESULTS;
+
+    // Conditions grouped by source
+    const conditions = {};
+    Object.entries(FILTER_DEFINITIONS).forEach(([key, definition]) => {
+      const condition = this.buildCondition(key, definition, filters);
+      if (condition === null) return;
+      conditions[definition.source] = conditions[definition.source] || {};
+      conditions[definition.source][definition.field] = condition;
+    });
+
+    const pipeline = [
+      { $match: { municipality_id: new ObjectId(municipalityId) } },
+    ];
+    const matches = [];
+
+    Object.entries(conditions).forEach(([source, fields]) => {
+      if (source === 'property') {
+        Object.entries(fields).forEach(([field, condition]) => {
+          matches.push({ [field]: condition });
+        });
+        return;
+      }
+
+      const { from, as } = SOURCES[source];
+
+      if (source === 'sales' || source === 'exemptions') {
+        // Filter inside the lookup so a single sale/exemption has to satisfy
+        // every condition, then require at least one match
+        const sourceMatch =
+          source === 'exemptions'
+            ? {
+                is_active: true,
+                start_year: { $lte: year },
+                $or: [{ end_year: null }, { end_year: { $gte: year } }],
+                ...fields,
+              }
+            : fields;
+
+        pipeline.push({
+          $lookup: {
+            from,
+            let: { propertyId: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$property_id', '$$propertyId'] } } },
+              { $match: sourceMatch },
+              { $limit: 1 },
+            ],
+            as,
+          },
+        });
+        matches.push({ [`${as}.0`]: { $exists: true } });
+        return;
+      }
+
+      pipeline.push({
+        $lookup: {
+          from,
+          let: { propertyId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$property_id', '$$propertyId'] },
+                    { $eq: ['$effective_year', year] },
+                  ],
+                },
+              },
+            },
+          ],
+          as,
+        },
+      });
+      Object.entries(fields).forEach(([field, condition]) => {
+        matches.push({ [`${as}.0.${field}`]: condition });
+      });
+    });
+
+    if (matches.length > 0) {
+      pipeline.push({
+        $match:
+          filters.matchMode === 'any' ? { $or: matches } : { $and: matches },
+      });
+    }
+
+    pipeline.push(
+      { $limit: limit },
+      {
+        $project: {
+          id: { $toString: '$_id' }, // Map MongoDB _id to string id (required for frontend routing)
+          property_id: '$_id', // Map MongoDB _id to property_id for frontend
+          pid_raw: 1,
+          pid_formatted: 1,
+          account_number: 1,
+          location: 1,
+          owner: 1,
+          property_class: 1,
+          property_type: 1,
+          assessed_value: 1,
+          tax_status: 1,
+          last_updated: 1,
+        },
+      },
+    );
+
+    return pipeline;
+  }
+
+  /**
+   * Run a query and format the results like the regular property list
+   * @param {string} municipalityId - Municipality ID
+   * @param {Object} filters - Filter values
+   * @param {Object} options - { year, limit }
+   * @returns {Promise<Array>} - Formatted properties
+   */
+  async run(municipalityId, filters = {}, options = {}) {
+    if (!ObjectId.isValid(municipalityId)) {
+      throw queryError('Invalid municipality ID');
+    }
+
+    const pipeline = this.buildPipeline(municipalityId, filters, options);
+    const properties = await PropertyTreeNode.aggregate(pipeline);
+
+    console.log(`🔎 Property query found ${properties.length} properties`);
+
+    const pidFormat = await PIDFormat.findOne({
+      municipality_id: new ObjectId(municipalityId),
+    });
+
+    return properties.map((property) =>
+      this.formatProperty(property, pidFormat),
+    );
+  }
+
+  /**
+   * Add formatted PID and legacy fields to a query result
+   * @param {Object} property - Aggregation result
+   * @param {Object|null} pidFormat - Municipality PIDFormat document
+   * @returns {Object} - Formatted property
+   */
+  formatProperty(property, pidFormat) {
+    let pid_formatted = property.pid_formatted;
+    let mapNumber = 'Unknown';
+    let lotSubDisplay = 'Unknown';
+
+    if (property.pid_raw) {
+      try {
+        if (pidFormat) {
+          pid_formatted = pidFormat.formatPID(property.pid_raw);
+          const segments = pidFormat.getSegments(property.pid_raw);
+          mapNumber = segments.map || 'Unknown';
+
+          if (segments.sublot && parseInt(segments.sublot) > 0) {
+            lotSubDisplay = `${segments.lot}-${segments.sublot}`;
+          } else {
+            lotSubDisplay = segments.lot || 'Unknown';
+          }
+        } else {
+          // Default format: 6-6-6 with hyphens
+          const map = property.pid_raw.substr(0, 6);
+          const lot = property.pid_raw.substr(6, 6);
+          const sublot = property.pid_raw.substr(12, 6);
+
+          mapNumber = map;
+
+          if (parseInt(sublot) > 0) {
+            pid_formatted = `${map}-${lot}-${sublot}`;
+            lotSubDisplay = `${lot}-${sublot}`;
+          } else {
+            pid_formatted = `${map}-${lot}`;
+            lotSubDisplay = lot;
+          }
+        }
+      } catch (error) {
+        console.warn('Error formatting PID:', error.message);
+        pid_formatted = property.pid_raw;
+        mapNumber = 'Unknown';
+        lotSubDisplay = 'Unknown';
+      }
+    }
+
+    return {
+      ...property,
+      // Update PID formatting
+      pid_formatted: pid_formatted,
+      pid: pid_formatted, // Legacy field
+      mapNumber: mapNumber,
+      lotSubDisplay: lotSubDisplay,
+
+      // Add legacy fields for backward compatibility
+      streetNumber: property.location?.street_number,
+      streetName: property.location?.street,
+      streetAddress: property.location?.address,
+      neighborhood: property.location?.neighborhood,
+      zone: property.location?.zone,
+      ownerName: property.owner?.primary_name,
+      ownerMailingAddress: property.owner?.mailing_address,
+      propertyClass: property.property_class,
+      propertyType: property.property_type,
+      taxStatus: property.tax_status,
+      totalValue: property.assessed_value || 0,
+      taxYear: new Date().getFullYear(),
+    };
+  }
+
+  /**
+   * Render query results as CSV
+   * @param {Array} properties - Output of run()
+   * @param {string} title - Query name for the file heading
+   * @returns {Promise<Object>} - { buffer, extension, mimeType }
+   */
+  async toCsv(properties, title = 'Property Query') {
+    return renderReport(
+      {
+        title,
+        sections: [{ columns: CSV_COLUMNS, rows: properties }],
+      },
+      'csv',
+    );
+  }
+
+  /**
+   * Values available for the categorical filters
+   * @param {string} municipalityId - Municipality ID
+   * @returns {Promise<Object>} - { zones, neighborhoods, propertyClasses, buildingCodes, exemptionTypes }
+   */
+  async getFilterOptions(municipalityId) {
+    const municipalityObjectId = new ObjectId(municipalityId);
+    const distinct = async (field) => {
+      const values = await PropertyTreeNode.distinct(field, {
+        municipality_id: municipalityObjectId,
+        [field]: { $nin: [null, ''] },
+      });
+      return values.sort();
+    };
+
+    const [zones, neighborhoods, propertyClasses, buildingCodes, exemptions] =
+      await Promise.all([
+        distinct('location.zone'),
+        distinct('location.neighborhood'),
+        distinct('property_class'),
+        BuildingCode.findByMunicipality(municipalityId).select(
+          'code description',
+        ),
+        ExemptionType.find({
+          municipality_id: municipalityObjectId,
+          is_active: true,
+        })
+          .select('display_name category')
+          .sort({ sort_order: 1, display_name: 1 }),
+      ]);
+
+    return {
+      zones,
+      neighborhoods,
+      propertyClasses,
+      buildingCodes: buildingCodes.map((code) => ({
+        id: code._id.toString(),
+        code: code.code,
+        description: code.description,
+      })),
+      exemptionTypes: exemptions.map((type) => ({
+        id: type._id.toString(),
+        name: type.display_name,
+        category: type.category,
+      })),
+    };
+  }
+}
+
+module.exports = new PropertyQueryService();
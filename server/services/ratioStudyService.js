@@ -0,0 +1,502 @@
+const Revaluation = require('../models/Revaluation');
+const SalesHistory = require('../models/SalesHistory');
+const ParcelAssessment = require('../models/ParcelAssessment');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+const LandAssessment = require('../models/LandAssessment');
+const BuildingAssessment = require('../models/BuildingAssessment');
+const Municipality = require('../models/Municipality');
+const revaluationCalculationService = require('./revaluationCalculationService');
+const { ratioStatistics, trimOutliers, round } = require('../utils/statistics');
+const {
+  renderReport,
+  municipalityHeader,
+} = require('../utils/reportRenderers');
+
+const EXPORT_FORMATS = ['pdf', 'excel', 'csv'];
+
+// IQR multiplier for outlier trimming (IAAO Standard on Ratio Studies, Appendix B)
+const DEFAULT_TRIM_FACTOR = 1.5;
+
+const UNASSIGNED = 'Unassigned';
+
+// Each stratum groups the qualified sales by one property characteristic
+const STRATA = [
+  { key: 'neighborhood', label: 'Neighborhood' },
+  { key: 'property_class', label: 'Property Class' },
+  { key: 'building_quality', label: 'Building Quality' },
+];
+
+const STATISTIC_COLUMNS = [
+  { key: 'count', label: 'Sales', type: 'number' },
+  { key: 'median_ratio', label: 'Median', type: 'percent' },
+  { key: 'median_ci', label: 'Median 95% CI' },
+  { key: 'mean_ratio', label: 'Mean', type: 'percent' },
+  { key: 'weighted_mean_ratio', label: 'Wtd Mean', type: 'percent' },
+  { key: 'cod', label: 'COD', type: 'number' },
+  { key: 'prd', label: 'PRD', type: 'number' },
+  { key: 'prb', label: 'PRB', type: 'number' },
+];
+
+const SALE_COLUMNS = [
+  { key: 'pid', label: 'PID' },
+  { key: 'location', label: 'Location', width: 2 },
+  { key: 'sale_date', label: 'Sale Date', type: 'date' },
+  { key: 'sale_price', label: 'Sale Price', type: 'currency' },
+  { key: 'adjusted_price', label: 'Adj. Price', type: 'currency' },
+  { key: 'assessed_value', label: 'Assessed', type: 'currency' },
+  { key: 'ratio', label: 'A/S Ratio', type: 'percent' },
+  { key: 'neighborhood', label: 'Nbhd' },
+  { key: 'property_class', label: 'Class' },
+  { key: 'building_quality', label: 'Quality' },
+  { key: 'status', label: 'Status' },
+];
+
+function latestByProperty(records) {
+  const latest = {};
+  records.forEach((record) => {
+    const propertyId = record.property_id.toString();
+    if (!latest[propertyId]) latest[propertyId] = record;
+  });
+  return latest;
+}
+
+function valueOr(value, fallback) {
+  return value === null || value === undefined || isNaN(value)
+    ? fallback
+    : value;
+}
+
+function formatPercent(ratio) {
+  return ratio === null || ratio === undefined
+    ? ''
+    : `${(ratio * 100).toFixed(1)}%`;
+}
+
+function formatInterval(interval, format = formatPercent) {
+  if (!interval) return '';
+  return `${format(interval.lower)} - ${format(interval.upper)}`;
+}
+
+class RatioStudyService {
+  /**
+   * Normalize ratio study options from query string values
+   * @param {Object} query - Request query
+   * @returns {Object} - Options for run()
+   */
+  parseOptions(query = {}) {
+    const options = {};
+
+    if (query.year) options.year = parseInt(query.year, 10);
+    if (query.sale_date_from) options.sale_date_from = query.sale_date_from;
+    if (query.sale_date_to) options.sale_date_to = query.sale_date_to;
+    if (query.min_sale_price) {
+      options.min_sale_price = parseFloat(query.min_sale_price);
+    }
+    if (query.trim_factor !== undefined && query.trim_factor !== '') {
+      options.trim_factor = parseFloat(query.trim_factor);
+    }
+    if (query.qualified_codes) {
+      options.qualified_codes = String(query.qualified_codes)
+        .split(',')
+        .map((code) => parseInt(code, 10))
+        .filter((code) => !isNaN(code));
+    }
+    if (query.apply_time_trend !== undefined) {
+      options.apply_time_trend = query.apply_time_trend !== 'false';
+    }
+
+    return options;
+  }
+
+  /**
+   * A sale qualifies when it has no quality code, its code is flagged as
+   * qualified, or its code number is listed in qualifiedCodes
+   * @param {Object} sale - SalesHistory with sale_quality_code_id populated
+   * @param {number[]} qualifiedCodes - Additional code numbers to accept
+   * @returns {boolean}
+   */
+  isQualifiedSale(sale, qualifiedCodes = []) {
+    const qualityCode = sale.sale_quality_code_id;
+    if (!qualityCode) return true;
+    return (
+      qualityCode.isQualified === true ||
+      qualifiedCodes.includes(qualityCode.code)
+    );
+  }
+
+  /**
+   * Stratification values and assessed value for each sold property
+   * @param {Array} propertyIds
+   * @param {number} year - Assessment year to compare against
+   * @returns {Promise<Object>} - { [propertyId]: { pid, location, assessed_value, neighborhood, property_class, building_quality } }
+   */
+  async loadPropertyCharacteristics(propertyIds, year) {
+    const [properties, parcels, landRecords, buildingRecords] =
+      await Promise.all([
+        PropertyTreeNode.find({ _id: { $in: propertyIds } })
+          .select('pid_formatted pid_raw location property_class')
+          .lean(),
+        ParcelAssessment.find({
+          property_id: { $in: propertyIds },
+          effective_year: { $lte: year },
+        })
+          .select(
+            'property_id effective_year parcel_totals.total_assessed_value',
+          )
+          .sort({ effective_year: -1 })
+          .lean(),
+        LandAssessment.find({
+          property_id: { $in: propertyIds },
+          effective_year: { $lte: year },
+        })
+          .select('property_id effective_year neighborhood')
+          .populate('neighborhood', 'code description')
+          .sort({ effective_year: -1 })
+          .lean(),
+        BuildingAssessment.find({
+          property_id: { $in: propertyIds },
+          card_number: 1,
+          effective_year: { $lte: year },
+        })
+          .select('property_id effective_year quality_grade')
+          .populate('quality_grade', 'code displayText')
+          .sort({ effective_year: -1 })
+          .lean(),
+      ]);
+
+    const parcelByProperty = latestByProperty(parcels);
+    const landByProperty = latestByProperty(landRecords);
+    const buildingByProperty = latestByProperty(buildingRecords);
+
+    const characteristics = {};
+    properties.forEach((property) => {
+      const propertyId = property._id.toString();
+      const parcel = parcelByProperty[propertyId];
+      const neighborhood = landByProperty[propertyId]?.neighborhood;
+      const quality = buildingByProperty[propertyId]?.quality_grade;
+
+      characteristics[propertyId] = {
+        pid: property.pid_formatted || property.pid_raw,
+        location: property.location?.address || '',
+        assessed_value: parcel
+          ? parcel.parcel_totals?.total_assessed_value || 0
+          : null,
+        neighborhood:
+          neighborhood?.code || property.location?.neighborhood || UNASSIGNED,
+        property_class: property.property_class || UNASSIGNED,
+        building_quality:
+          quality?.displayText || quality?.code || 'No Building',
+      };
+    });
+
+    return characteristics;
+  }
+
+  /**
+   * Ratio statistics rounded for display
+   * @param {Array} sales - Study sales with assessed_value and adjusted_price
+   * @returns {Object}
+   */
+  summarize(sales) {
+    const stats = ratioStatistics(
+      sales.map((sale) => ({
+        assessed: sale.assessed_value,
+        price: sale.adjusted_price,
+      })),
+    );
+    const roundInterval = (interval, places) =>
+      interval && {
+        lower: round(interval.lower, places),
+        upper: round(interval.upper, places),
+      };
+
+    return {
+      count: stats.count,
+      median_ratio: round(stats.median_ratio, 4),
+      mean_ratio: round(stats.mean_ratio, 4),
+      weighted_mean_ratio: round(stats.weighted_mean_ratio, 4),
+      cod: round(stats.cod, 2),
+      prd: round(stats.prd, 3),
+      prb: round(stats.prb, 4),
+      median_ci: roundInterval(stats.median_ci, 4),
+      mean_ci: roundInterval(stats.mean_ci, 4),
+      prb_ci: roundInterval(stats.prb_ci, 4),
+    };
+  }
+
+  /**
+   * Statistics for each value of a stratification key
+   * @param {Array} sales - Study sales remaining after trimming
+   * @param {string} key - neighborhood | property_class | building_quality
+   * @returns {Array} - [{ value, ...statistics }] sorted by value
+   */
+  stratify(sales, key) {
+    const groups = new Map();
+    sales.forEach((sale) => {
+      const value = sale[key];
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(sale);
+    });
+
+    return [...groups.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([value, groupSales]) => ({
+        value,
+        ...this.summarize(groupSales),
+      }));
+  }
+
+  /**
+   * Run a sales ratio study for a revaluation: valid, qualified sales in the
+   * revaluation's sales window compared against the latest parcel assessment
+   * on or before its effective year. Outliers are trimmed from the whole
+   * sample before the overall and stratified statistics are computed.
+   * @param {string} revaluationId - Revaluation ID
+   * @param {Object} options
+   * @param {number} options.year - Assessment year (default: revaluation effective year)
+   * @param {string} options.sale_date_from - Default: revaluation sales_date_from
+   * @param {string} options.sale_date_to - Default: revaluation sales_date_to
+   * @param {number} options.min_sale_price - Ignore nominal sales below this price
+   * @param {number[]} options.qualified_codes - Extra sale quality code numbers to accept
+   * @param {number} options.trim_factor - IQR multiplier; 0 disables trimming
+   * @param {boolean} options.apply_time_trend - Time-adjust sale prices (default true)
+   * @returns {Promise<Object|null>} - Study, or null if the revaluation doesn't exist
+   */
+  async run(revaluationId, options = {}) {
+    const revaluation = await Revaluation.findById(revaluationId).lean();
+    if (!revaluation) return null;
+
+    const year = options.year || revaluation.effective_year;
+    const saleDateFrom = options.sale_date_from || revaluation.sales_date_from;
+    const saleDateTo = options.sale_date_to || revaluation.sales_date_to;
+    const trimFactor = valueOr(options.trim_factor, DEFAULT_TRIM_FACTOR);
+    const applyTimeTrend = options.apply_time_trend !== false;
+    const qualifiedCodes = options.qualified_codes || [];
+    const timeTrend = revaluation.global_settings?.time_trend || [];
+
+    const match = {
+      municipality_id: revaluation.municipality_id,
+      is_valid_sale: true,
+      sale_price: { $gt: options.min_sale_price || 0 },
+    };
+    if (saleDateFrom || saleDateTo) {
+      match.sale_date = {};
+      if (saleDateFrom) match.sale_date.$gte = new Date(saleDateFrom);
+      if (saleDateTo) match.sale_date.$lte = new Date(saleDateTo);
+    }
+
+    const validSales = await SalesHistory.find(match)
+      .populate('sale_quality_code_id', 'code displayText isQualified')
+      .sort({ sale_date: 1 })
+      .lean();
+    const qualifiedSales = validSales.filter((sale) =>
+      this.isQualifiedSale(sale, qualifiedCodes),
+    );
+
+    const propertyIds = [
+      ...new Set(qualifiedSales.map((sale) => sale.property_id.toString())),
+    ];
+    const characteristics = await this.loadPropertyCharacteristics(
+      propertyIds,
+      year,
+    );
+
+    let unassessedCount = 0;
+    const studySales = [];
+    qualifiedSales.forEach((sale) => {
+      const property = characteristics[sale.property_id.toString()];
+      if (!property || property.assessed_value === null) {
+        unassessedCount++;
+        return;
+      }
+
+      const timeFactor = applyTimeTrend
+        ? revaluationCalculationService.getTimeTrendFactor(
+            sale.sale_date,
+            timeTrend,
+          )
+        : 1;
+      const adjustedPrice = sale.sale_price * timeFactor;
+
+      studySales.push({
+        sale_id: sale._id,
+        property_id: sale.property_id,
+        ...property,
+        sale_date: sale.sale_date,
+        sale_price: sale.sale_price,
+        time_factor: timeFactor,
+        adjusted_price: round(adjustedPrice),
+        ratio: round(property.assessed_value / adjustedPrice, 4),
+        quality_code: sale.sale_quality_code_id?.code ?? null,
+      });
+    });
+
+    const { kept, trimmed, lower, upper } = trimOutliers(
+      studySales,
+      (sale) => sale.ratio,
+      trimFactor,
+    );
+    const trimmedIds = new Set(trimmed.map((sale) => sale.sale_id.toString()));
+    studySales.forEach((sale) => {
+      sale.trimmed = trimmedIds.has(sale.sale_id.toString());
+    });
+
+    const strata = {};
+    STRATA.forEach(({ key }) => {
+      strata[key] = this.stratify(kept, key);
+    });
+
+    return {
+      revaluation_id: revaluation._id,
+      municipality_id: revaluation.municipality_id,
+      parameters: {
+        year,
+        sale_date_from: saleDateFrom || null,
+        sale_date_to: saleDateTo || null,
+        min_sale_price: options.min_sale_price || 0,
+        qualified_codes: qualifiedCodes,
+        trim_factor: trimFactor,
+        apply_time_trend: applyTimeTrend,
+      },
+      counts: {
+        valid_sales: validSales.length,
+        qualified_sales: qualifiedSales.length,
+        unassessed_sales: unassessedCount,
+        trimmed_sales: trimmed.length,
+        study_sales: kept.length,
+      },
+      trim_bounds: { lower: round(lower, 4), upper: round(upper, 4) },
+      overall: this.summarize(kept),
+      strata,
+      sales: studySales,
+    };
+  }
+
+  /**
+   * Build the renderable ratio study document
+   * @param {Object} study - Output of run()
+   * @param {Object} municipality - Municipality document
+   * @returns {Object} - Report document for utils/reportRenderers
+   */
+  buildDocument(study, municipality) {
+    const { parameters, counts, overall } = study;
+    const statisticRow = (label, stats) => ({
+      label,
+      ...stats,
+      median_ci: formatInterval(stats.median_ci),
+    });
+
+    const sections = [
+      {
+        title: 'Overall',
+        columns: [{ key: 'label', label: 'Sample' }, ...STATISTIC_COLUMNS],
+        rows: [statisticRow('All qualified sales', overall)],
+      },
+      {
+        title: 'Confidence Intervals (95%)',
+        columns: [
+          { key: 'measure', label: 'Measure', width: 2 },
+          { key: 'value', label: 'Value' },
+          { key: 'interval', label: '95% Interval', width: 2 },
+        ],
+        rows: [
+          {
+            measure: 'Median ratio',
+            value: formatPercent(overall.median_ratio),
+            interval: formatInterval(overall.median_ci),
+          },
+          {
+            measure: 'Mean ratio',
+            value: formatPercent(overall.mean_ratio),
+            interval: formatInterval(overall.mean_ci),
+          },
+          {
+            measure: 'PRB',
+            value: overall.prb ?? '',
+            interval: formatInterval(overall.prb_ci, String),
+          },
+        ],
+      },
+      ...STRATA.map(({ key, label }) => ({
+        title: `By ${label}`,
+        columns: [{ key: 'label', label }, ...STATISTIC_COLUMNS],
+        rows: study.strata[key].map((stratum) =>
+          statisticRow(stratum.value, stratum),
+        ),
+      })),
+      {
+        title: 'Sales',
+        columns: SALE_COLUMNS,
+        rows: study.sales.map((sale) => ({
+          ...sale,
+          status: sale.trimmed ? 'Trimmed' : 'Included',
+        })),
+      },
+    ];
+
+    return {
+      title: 'Sales Ratio Study',
+      subtitle: `Assessment Year ${parameters.year}`,
+      municipality: municipalityHeader(municipality),
+      generated_at: new Date(),
+      parameters: [
+        { label: 'Sales From', value: parameters.sale_date_from },
+        { label: 'Sales To', value: parameters.sale_date_to },
+        {
+          label: 'Time Trend',
+          value: parameters.apply_time_trend ? 'Applied' : 'Not applied',
+        },
+        {
+          label: 'Outlier Trim',
+          value: parameters.trim_factor
+            ? `${parameters.trim_factor} x IQR`
+            : 'None',
+        },
+        { label: 'Valid Sales', value: counts.valid_sales },
+        { label: 'Qualified Sales', value: counts.qualified_sales },
+        { label: 'Trimmed Sales', value: counts.trimmed_sales },
+        { label: 'Study Sales', value: counts.study_sales },
+      ]
+        .filter((param) => param.value !== null && param.value !== undefined)
+        .map((param) => ({
+          ...param,
+          value:
+            param.value instanceof Date
+              ? param.value.toISOString().split('T')[0]
+              : param.value,
+        })),
+      sections,
+    };
+  }
+
+  /**
+   * Run and render a ratio study in an export format
+   * @param {string} revaluationId - Revaluation ID
+   * @param {string} format - pdf | excel | csv
+   * @param {Object} options - See run()
+   * @returns {Promise<Object|null>} - { buffer, extension, mimeType, filename }, or null if the revaluation doesn't exist
+   */
+  async exportStudy(revaluationId, format, options = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      const error = new Error(
+        `Unsupported ratio study export format: ${format}`,
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const study = await this.run(revaluationId, options);
+    if (!study) return null;
+
+    const municipality = await Municipality.findById(study.municipality_id);
+    const document = this.buildDocument(study, municipality || {});
+    const rendered = await renderReport(document, format);
+
+    return {
+      ...rendered,
+      filename: `Ratio-Study-${study.parameters.year}.${rendered.extension}`,
+    };
+  }
+}
+
+module.exports = new RatioStudyService();
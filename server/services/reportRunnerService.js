@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const ReportExecution = require('../models/ReportExecution');
+const storageService = require('./storageService');
+const assessingReportRunners = require('./assessingReportRunners');
+const {
+  renderReport,
+  municipalityHeader,
+} = require('../utils/reportRenderers');
+
+/**
+ * Report Runner Service
+ *
+ * Pluggable execution engine for AssessingReport definitions:
+ * - Runners are registered by AssessingReport.name or component_name
+ * - Parameters are validated against the report's declared parameter schema
+ * - Every format in output_formats is rendered and stored as an artifact
+ *   under the execution ID, which clients poll for status
+ */
+class ReportRunnerService {
+  constructor() {
+    this.runners = new Map();
+
+    for (const [name, runner] of Object.entries(assessingReportRunners)) {
+      this.register(name, runner);
+    }
+  }
+
+  /**
+   * Register a runner
+   * @param {string} key - AssessingReport.name or component_name
+   * @param {Function} runner - async ({ municipalityId, parameters, maxRecords, report, user }) => { subtitle, sections, record_count }
+   */
+  register(key, runner) {
+    this.runners.set(key, runner);
+  }
+
+  /**
+   * Find the runner for a report (name first, then component_name)
+   * @param {Object} report - AssessingReport document
+   * @returns {Function|null}
+   */
+  getRunner(report) {
+    return (
+      this.runners.get(report.name) ||
+      this.runners.get(report.component_name) ||
+      null
+    );
+  }
+
+  /**
+   * Validate and coerce parameters against the report's parameter schema.
+   * Unknown parameters are dropped; missing ones fall back to default_value.
+   * @param {Object} report - AssessingReport document
+   * @param {Object} input - Raw parameters from the request
+   * @param {string} municipalityId - Municipality the report is run for
+   * @returns {Object} - { values, errors }
+   */
+  validateParameters(report, input = {}, municipalityId) {
+    const values = {};
+    const errors = [];
+
+    for (const param of report.parameters || []) {
+      let value = input[param.name];
+      const label = param.display_name || param.name;
+
+      if (value === undefined || value === null || value === '') {
+        if (param.type === 'municipality') {
+          value = municipalityId;
+        } else if (
+          param.default_value !== undefined &&
+          param.default_value !== null
+        ) {
+          value = param.default_value;
+        } else {
+          if (param.required) errors.push(`${label} is required`);
+          continue;
+        }
+      }
+
+      const optionValues = (param.options || []).map((o) => o.value);
+      const rules = param.validation || {};
+
+      switch (param.type) {
+        case 'number':
+        case 'year': {
+          const number = Number(value);
+          if (!Number.isFinite(number)) {
+            errors.push(`${label} must be a number`);
+            continue;
+          }
+          if (
+            param.type === 'year' &&
+            (!Number.isInteger(number) || number < 1900 || number > 2100)
+          ) {
+            errors.push(`${label} must be a valid year`);
+            continue;
+          }
+          value = number;
+          break;
+        }
+        case 'boolean':
+          if (value === true || value === 'true') value = true;
+          else if (value === false || value === 'false') value = false;
+          else {
+            errors.push(`${label} must be true or false`);
+            continue;
+          }
+          break;
+        case 'date': {
+          const date = new Date(value);
+          if (isNaN(date)) {
+            errors.push(`${label} must be a valid date`);
+            continue;
+          }
+          value = date.toISOString();
+          break;
+        }
+        case 'select':
+          value = String(value);
+          if (optionValues.length && !optionValues.includes(value)) {
+            errors.push(`${label} must be one of: ${optionValues.join(', ')}`);
+            continue;
+          }
+          break;
+        case 'multiselect': {
+          value = (Array.isArray(value) ? value : [value]).map(String);
+          const invalid = optionValues.length
+            ? value.filter((v) => !optionValues.includes(v))
+            : [];
+          if (invalid.length) {
+            errors.push(`${label} has invalid values: ${invalid.join(', ')}`);
+            continue;
+          }
+          break;
+        }
+        case 'municipality':
+          if (String(value) !== String(municipalityId)) {
+            errors.push(`${label} must be the current municipality`);
+            continue;
+          }
+          value = String(value);
+          break;
+        default:
+          value = String(value);
+      }
+
+      if (typeof value === 'number') {
+        if (
+          rules.min !== undefined &&
+          rules.min !== null &&
+          value < rules.min
+        ) {
+          errors.push(
+            rules.message || `${label} must be at least ${rules.min}`,
+          );
+          continue;
+        }
+        if (
+          rules.max !== undefined &&
+          rules.max !== null &&
+          value > rules.max
+        ) {
+          errors.push(rules.message || `${label} must be at most ${rules.max}`);
+          continue;
+        }
+      }
+      if (
+        rules.pattern &&
+        typeof value === 'string' &&
+        !new RegExp(rules.pattern).test(value)
+      ) {
+        errors.push(rules.message || `${label} has an invalid format`);
+        continue;
+      }
+
+      values[param.name] = value;
+    }
+
+    return { values, errors };
+  }
+
+  /**
+   * Stable hash of the validated parameters (used for result caching)
+   */
+  hashParameters(values) {
+    const sorted = Object.keys(values)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = values[key];
+        return acc;
+      }, {});
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(sorted))
+      .digest('hex');
+  }
+
+  /**
+   * Create an execution record and start it in the background.
+   * Returns a cached execution instead when the report's cache window allows.
+   * @param {Object} options
+   * @param {Object} options.report - AssessingReport document
+   * @param {Object} options.municipality - Municipality document
+   * @param {Object} options.parameters - Validated parameter values
+   * @param {Object} options.user - Requesting user
+   * @returns {Promise<Object>} - { execution, cached }
+   */
+  async startExecution({ report, municipality, parameters, user }) {
+    const parametersHash = this.hashParameters(parameters);
+
+    const cached = await ReportExecution.findCached(
+      report._id,
+      municipality._id,
+      parametersHash,
+      report.execution_settings?.cache_duration_minutes,
+    );
+    if (cached) {
+      return { execution: cached, cached: true };
+    }
+
+    const execution = await ReportExecution.create({
+      execution_id: ReportExecution.generateExecutionId(),
+      report_id: report._id,
+      report_name: report.name,
+      municipality_id: municipality._id,
+      parameters,
+      parameters_hash: parametersHash,
+      output_formats: report.output_formats,
+      status: 'queued',
+      executed_by: user._id,
+    });
+
+    // Run outside the request cycle; clients poll the execution for status
+    this.runExecution(execution, report, municipality, user).catch((error) => {
+      console.error(
+        `Report execution ${execution.execution_id} crashed:`,
+        error,
+      );
+    });
+
+    return { execution, cached: false };
+  }
+
+  /**
+   * Run an execution: call the runner, render each output format and store artifacts
+   */
+  async runExecution(execution, report, municipality, user) {
+    const runner = this.getRunner(report);
+    const startedAt = Date.now();
+
+    execution.status = 'running';
+    execution.started_at = new Date(startedAt);
+    await execution.save();
+
+    try {
+      const timeoutMs =
+        (report.execution_settings?.timeout_minutes || 10) * 60 * 1000;
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error('Report execution timed out')),
+          timeoutMs,
+        );
+      });
+
+      const result = await Promise.race([
+        runner({
+          municipalityId: municipality._id.toString(),
+          parameters: execution.parameters,
+          maxRecords: report.execution_settings?.max_records || 10000,
+          report,
+          user,
+        }),
+        timeout,
+      ]).finally(() => clearTimeout(timer));
+
+      const document = this.buildDocument(
+        report,
+        municipality,
+        execution,
+        result,
+      );
+
+      const artifacts = [];
+      for (const format of execution.output_formats) {
+        const { buffer, extension, mimeType } = await renderReport(
+          document,
+          format,
+        );
+        const filename = `${report.component_name}-${execution.execution_id}.${extension}`;
+        const storagePath = storageService.generateOrganizedPath(filename, {
+          state: municipality.state,
+          municipality: municipality.name,
+          department: 'assessing',
+          folder: `reports/${execution.execution_id}`,
+        });
+
+        await storageService.uploadFile(buffer, storagePath, {
+          contentType: mimeType,
+          visibility: 'private',
+        });
+
+        artifacts.push({
+          format,
+          filename,
+          mime_type: mimeType,
+          size: buffer.length,
+          storage_path: storagePath,
+        });
+      }
+
+      const executionTime = Date.now() - startedAt;
+      execution.artifacts = artifacts;
+      execution.record_count = result.record_count || 0;
+      execution.status = 'completed';
+      execution.completed_at = new Date();
+      execution.execution_time_ms = executionTime;
+      await execution.save();
+
+      await report.recordExecution(user._id, executionTime);
+    } catch (error) {
+      console.error(
+        `Report execution ${execution.execution_id} failed:`,
+        error,
+      );
+      execution.status = 'failed';
+      execution.error = error.message;
+      execution.completed_at = new Date();
+      execution.execution_time_ms = Date.now() - startedAt;
+      await execution.save();
+    }
+  }
+
+  /**
+   * Wrap runner output with report/municipality header information
+   */
+  buildDocument(report, municipality, execution, result) {
+    const parameterLabels = new Map(
+      (report.parameters || []).map((p) => [p.name, p.display_name]),
+    );
+
+    return {
+      title: report.display_name,
+      subtitle: result.subtitle,
+      municipality: municipalityHeader(municipality),
+      generated_at: new Date(),
+      execution_id: execution.execution_id,
+      parameters: Object.entries(execution.parameters || {})
+        .filter(([name]) => parameterLabels.has(name))
+        .map(([name, value]) => ({
+          label: parameterLabels.get(name),
+          value: Array.isArray(value) ? value.join(', ') : String(value),
+        })),
+      sections: result.sections || [],
+    };
+  }
+
+  /**
+   * Load an artifact's contents from storage
+   * @param {Object} artifact - ReportExecution artifact
+   * @returns {Promise<Buffer>}
+   */
+  async downloadArtifact(artifact) {
+    return storageService.downloadFile(artifact.storage_path);
+  }
+}
+
+module.exports = new ReportRunnerService();
@@ -0,0 +1,412 @@
+const Revaluation = require('../models/Revaluation');
+const RevaluationAnalysisSheet = require('../models/RevaluationAnalysisSheet');
+const RevaluationSaleAdjustment = require('../models/RevaluationSaleAdjustment');
+const BuildingAssessment = require('../models/BuildingAssessment');
+const LandAssessment = require('../models/LandAssessment');
+const PropertyWaterfront = require('../models/PropertyWaterfront');
+const BuildingAssessmentCalculator = require('../utils/building-assessment-calculator');
+const { mean, median, round } = require('../utils/statistics');
+
+// Defaults match the analysis sheet components in the revaluation UI
+const DEFAULT_DEPRECIATION_RATE = 1.25;
+const DEFAULT_SITE_ACREAGE = 2.0;
+const DEFAULT_BUILDABLE_SITE_VALUE = 290000;
+const DEFAULT_EXCESS_ACREAGE_VALUE = 10000;
+const DEFAULT_EXCESS_FOOT_FRONTAGE = 160;
+
+// Same cap the building calculator applies to total depreciation
+const MAX_TOTAL_DEPRECIATION = 0.95;
+
+const calculator = new BuildingAssessmentCalculator();
+
+function valueOr(value, fallback) {
+  return value === null || value === undefined ? fallback : value;
+}
+
+function perUnit(value, units) {
+  return units > 0 ? value / units : null;
+}
+
+/**
+ * Indicated rate for one sale, by sheet type. Each calculator gets the
+ * prepared sale (time-adjusted price, land and depreciated building
+ * contributions) and the sheet settings, and returns null when the sale
+ * can't indicate a rate (e.g. no acreage).
+ */
+const RATE_CALCULATORS = {
+  // Price per acre of sales with acreage above the sheet's minimum
+  excess_acreage: (sale, settings) => {
+    const minAcreage = settings.min_acreage || 0;
+    if (!(sale.acreage > minAcreage)) return null;
+    return perUnit(sale.adjusted_price, sale.acreage);
+  },
+
+  // Price per acre of vacant land sales
+  vacant_land: (sale) => perUnit(sale.adjusted_price, sale.acreage),
+
+  // Land residual (price less depreciated buildings) per acre
+  developed_land: (sale) =>
+    perUnit(
+      sale.adjusted_price - sale.depreciated_building_value,
+      sale.acreage,
+    ),
+
+  // Building residual per square foot, before depreciation
+  building_rate: (sale, settings) => {
+    const siteAcreage = settings.site_acreage || DEFAULT_SITE_ACREAGE;
+    const factors = sale.factors;
+    const siteValue =
+      (settings.buildable_site_value || DEFAULT_BUILDABLE_SITE_VALUE) *
+      factors.neighborhood *
+      factors.site *
+      factors.driveway *
+      factors.road *
+      factors.condition;
+    const excessAcreageValue =
+      Math.max(0, (sale.acreage || 0) - siteAcreage) *
+      (settings.excess_acreage_value || DEFAULT_EXCESS_ACREAGE_VALUE);
+    const excessFrontageValue =
+      (sale.excess_frontage || 0) *
+      (settings.excess_foot_frontage || DEFAULT_EXCESS_FOOT_FRONTAGE);
+
+    const residual =
+      sale.adjusted_price -
+      siteValue -
+      (sale.features_value || 0) -
+      excessAcreageValue -
+      excessFrontageValue;
+
+    const remaining = 1 - sale.primary_depreciation;
+    if (!(sale.building_sf > 0) || remaining <= 0) return null;
+    return residual / factors.grade / remaining / sale.building_sf;
+  },
+
+  // What's left of the price after land, waterfront and buildings
+  view_base_rate: (sale) =>
+    sale.adjusted_price -
+    sale.land_value -
+    sale.waterfront_value -
+    sale.depreciated_building_value,
+
+  // Residual after land, view and buildings, per foot of water frontage
+  waterfront_base_rate: (sale) =>
+    perUnit(
+      sale.adjusted_price -
+        sale.land_value -
+        sale.view_value -
+        sale.depreciated_building_value,
+      sale.water_frontage,
+    ),
+
+  // Residual after all land (incl. view/waterfront) and buildings
+  amenity_rate: (sale) =>
+    sale.adjusted_price - sale.land_total - sale.depreciated_building_value,
+};
+
+/**
+ * Revaluation Calculation Service
+ *
+ * Recalculates analysis sheet results from the sales on each sheet:
+ * 1. Time-trend the sale price using global_settings.time_trend
+ *    (or the sale's time adjustment override)
+ * 2. Derive building age from global_settings.base_year
+ * 3. Apply normal depreciation plus the building's other depreciation
+ * 4. Compute each sale's indicated rate for the sheet type, then the
+ *    average/median rate and sales count
+ */
+class RevaluationCalculationService {
+  /**
+   * Time trend factor for a sale date
+   * @param {Date|string} saleDate
+   * @param {Array} timeTrend - [{ from_date, to_date, adjustment_factor }]
+   * @returns {number} - Factor of the period containing the date, or 1
+   */
+  getTimeTrendFactor(saleDate, timeTrend = []) {
+    const date = new Date(saleDate);
+    if (isNaN(date)) return 1;
+
+    const period = timeTrend.find(
+      (trend) =>
+        new Date(trend.from_date) <= date && date <= new Date(trend.to_date),
+    );
+    return period ? valueOr(period.adjustment_factor, 1) : 1;
+  }
+
+  /**
+   * Latest assessment on or before the revaluation year for each property
+   * (and card, for buildings), plus water frontage
+   * @param {Array} propertyIds
+   * @param {number} year - Revaluation effective year
+   * @returns {Promise<Object>} - { buildings, land, waterFrontage } keyed by property ID
+   */
+  async loadPropertyData(propertyIds, year) {
+    const [buildingRecords, landRecords, waterfronts] = await Promise.all([
+      BuildingAssessment.find({
+        property_id: { $in: propertyIds },
+        effective_year: { $lte: year },
+      })
+        .select(
+          'property_id card_number effective_year year_built effective_area replacement_cost_new depreciation',
+        )
+        .sort({ effective_year: -1 })
+        .lean(),
+      LandAssessment.find({
+        property_id: { $in: propertyIds },
+        effective_year: { $lte: year },
+      })
+        .select('property_id effective_year calculated_totals')
+        .sort({ effective_year: -1 })
+        .lean(),
+      PropertyWaterfront.find({ propertyId: { $in: propertyIds } })
+        .select('propertyId frontage')
+        .lean(),
+    ]);
+
+    const buildings = {};
+    const seenCards = new Set();
+    buildingRecords.forEach((building) => {
+      const propertyId = building.property_id.toString();
+      const cardKey = `${propertyId}:${building.card_number || 1}`;
+      if (seenCards.has(cardKey)) return;
+      seenCards.add(cardKey);
+      (buildings[propertyId] = buildings[propertyId] || []).push(building);
+    });
+
+    const land = {};
+    landRecords.forEach((record) => {
+      const propertyId = record.property_id.toString();
+      if (!land[propertyId]) land[propertyId] = record;
+    });
+
+    const waterFrontage = {};
+    waterfronts.forEach((waterfront) => {
+      const propertyId = waterfront.propertyId.toString();
+      waterFrontage[propertyId] =
+        (waterFrontage[propertyId] || 0) + (waterfront.frontage || 0);
+    });
+
+    return { buildings, land, waterFrontage };
+  }
+
+  /**
+   * Combine a sale, its sheet adjustments and property data
+   * @param {Object} adjustment - RevaluationSaleAdjustment with sale_id populated
+   * @param {Object} propertyData - Output of loadPropertyData
+   * @param {Array} timeTrend - global_settings.time_trend
+   * @returns {Object} - Sale ready for calculateSheet
+   */
+  prepareSale(adjustment, propertyData, timeTrend) {
+    const sale = adjustment.sale_id;
+    const overrides = adjustment.adjustments || {};
+    const propertyId = sale.property_id?.toString();
+    const totals = propertyData.land[propertyId]?.calculated_totals || {};
+    const buildings = (propertyData.buildings[propertyId] || []).sort(
+      (a, b) => (a.card_number || 1) - (b.card_number || 1),
+    );
+
+    const timeFactor = valueOr(
+      overrides.time_adjustment_factor_override,
+      this.getTimeTrendFactor(sale.sale_date, timeTrend),
+    );
+
+    return {
+      adjustment_id: adjustment._id,
+      sale_id: sale._id,
+      property_id: sale.property_id,
+      sale_date: sale.sale_date,
+      sale_price: sale.sale_price,
+      time_factor: timeFactor,
+      adjusted_price: valueOr(
+        overrides.adjusted_sale_price,
+        round((sale.sale_price || 0) * timeFactor),
+      ),
+      acreage: valueOr(overrides.acreage_override, totals.totalAcreage || 0),
+      frontage: totals.totalFrontage || 0,
+      water_frontage: propertyData.waterFrontage[propertyId] || 0,
+      land_value: totals.landDetailsMarketValue || 0,
+      view_value: totals.viewMarketValue || 0,
+      waterfront_value: totals.waterfrontMarketValue || 0,
+      land_total: totals.totalMarketValue || 0,
+      building_sf: valueOr(
+        overrides.building_sf_override,
+        buildings.reduce((sum, b) => sum + (b.effective_area || 0), 0),
+      ),
+      age_override: overrides.age_override,
+      buildings,
+      factors: {
+        neighborhood: valueOr(overrides.neighborhood_factor_override, 1),
+        site: valueOr(overrides.site_factor_override, 1),
+        driveway: valueOr(overrides.driveway_factor_override, 1),
+        road: valueOr(overrides.road_factor_override, 1),
+        grade: valueOr(overrides.grade_factor_override, 1) || 1,
+        condition: valueOr(overrides.condition_factor_override, 1),
+      },
+    };
+  }
+
+  /**
+   * Age and depreciation for each building card of a sale
+   * @param {Object} sale - Output of prepareSale
+   * @param {number} baseYear - global_settings.base_year
+   * @param {number} depreciationRate - Sheet's base depreciation rate
+   * @returns {Array} - [{ card_number, age, depreciation, depreciated_value }]
+   */
+  depreciateBuildings(sale, baseYear, depreciationRate) {
+    return sale.buildings.map((building) => {
+      const age = valueOr(
+        sale.age_override,
+        building.year_built ? Math.max(0, baseYear - building.year_built) : 0,
+      );
+
+      // Age-based normal depreciation; the stored normal percentage is
+      // ignored because it was figured from a different year
+      const normal = calculator.calculateNormalDepreciation(
+        {
+          depreciation: {
+            normal: { description: building.depreciation?.normal?.description },
+          },
+        },
+        age,
+        depreciationRate,
+      );
+      const other = ['physical', 'functional', 'economic'].reduce(
+        (sum, type) =>
+          sum +
+          calculator.getDepreciationPercentage(building.depreciation?.[type]),
+        0,
+      );
+      const depreciation = Math.min(normal + other, MAX_TOTAL_DEPRECIATION);
+
+      return {
+        card_number: building.card_number || 1,
+        age,
+        depreciation,
+        depreciated_value:
+          (building.replacement_cost_new || 0) * (1 - depreciation),
+      };
+    });
+  }
+
+  /**
+   * Calculate one sheet
+   * @param {Object} sheet - RevaluationAnalysisSheet
+   * @param {Array} sales - Sales from prepareSale
+   * @param {Object} globalSettings - Revaluation global_settings
+   * @returns {Object} - { sales, average_rate, median_rate, total_sales_count }
+   */
+  calculateSheet(sheet, sales, globalSettings = {}) {
+    const settings = sheet.sheet_settings || {};
+    const baseYear = globalSettings.base_year || new Date().getFullYear();
+    const depreciationRate =
+      settings.depreciation_rate || DEFAULT_DEPRECIATION_RATE;
+    const calculateRate = RATE_CALCULATORS[sheet.sheet_type];
+
+    const rows = sales.map((sale) => {
+      const buildings = this.depreciateBuildings(
+        sale,
+        baseYear,
+        depreciationRate,
+      );
+      const row = {
+        ...sale,
+        buildings,
+        age: buildings[0]?.age ?? null,
+        primary_depreciation: buildings[0]?.depreciation || 0,
+        depreciated_building_value: buildings.reduce(
+          (sum, building) => sum + building.depreciated_value,
+          0,
+        ),
+      };
+      row.indicated_rate = calculateRate
+        ? round(calculateRate(row, settings))
+        : null;
+      return row;
+    });
+
+    const rates = rows.map((row) => row.indicated_rate);
+
+    return {
+      sales: rows,
+      average_rate: round(mean(rates)) ?? 0,
+      median_rate: round(median(rates)) ?? 0,
+      total_sales_count: rows.length,
+    };
+  }
+
+  /**
+   * Recalculate every sheet of a revaluation and save the results
+   * @param {string|ObjectId} revaluationId
+   * @param {ObjectId} userId - User running the recalculation
+   * @returns {Promise<Object|null>} - { revaluation, sheets, sales }, or null
+   *   if the revaluation doesn't exist; sales holds each sheet's
+   *   per-sale calculations keyed by sheet ID
+   */
+  async recalculateAll(revaluationId, userId) {
+    const revaluation = await Revaluation.findById(revaluationId).lean();
+    if (!revaluation) return null;
+
+    const globalSettings = revaluation.global_settings || {};
+
+    const [sheets, adjustments] = await Promise.all([
+      RevaluationAnalysisSheet.find({ revaluation_id: revaluation._id }).sort({
+        display_order: 1,
+        createdAt: 1,
+      }),
+      RevaluationSaleAdjustment.find({
+        revaluation_id: revaluation._id,
+        is_included: true,
+      })
+        .populate('sale_id')
+        .lean(),
+    ]);
+
+    const usable = adjustments.filter((adjustment) => adjustment.sale_id);
+    const propertyIds = [
+      ...new Set(
+        usable
+          .map((adjustment) => adjustment.sale_id.property_id?.toString())
+          .filter(Boolean),
+      ),
+    ];
+    const propertyData = await this.loadPropertyData(
+      propertyIds,
+      revaluation.effective_year,
+    );
+
+    const salesBySheet = {};
+    for (const sheet of sheets) {
+      const sales = usable
+        .filter(
+          (adjustment) =>
+            adjustment.analysis_sheet_id.toString() === sheet._id.toString(),
+        )
+        .map((adjustment) =>
+          this.prepareSale(
+            adjustment,
+            propertyData,
+            globalSettings.time_trend || [],
+          ),
+        );
+
+      const result = this.calculateSheet(sheet, sales, globalSettings);
+
+      sheet.results.average_rate = result.average_rate;
+      sheet.results.median_rate = result.median_rate;
+      sheet.results.total_sales_count = result.total_sales_count;
+      sheet.incrementCalculationVersion();
+      if (sheet.status === 'draft') sheet.status = 'calculated';
+      sheet.updated_by = userId;
+      await sheet.save();
+
+      salesBySheet[sheet._id.toString()] = result.sales;
+    }
+
+    console.log(
+      `📊 Recalculated ${sheets.length} analysis sheets for revaluation ${revaluation._id}`,
+    );
+
+    return { revaluation, sheets, sales: salesBySheet };
+  }
+}
+
+module.exports = new RevaluationCalculationService();
@@ -0,0 +1,764 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Revaluation = require('../models/Revaluation');
+const RevaluationAnalysisSheet = require('../models/RevaluationAnalysisSheet');
+const RevaluationShadowAssessment = require('../models/RevaluationShadowAssessment');
+const ParcelAssessment = require('../models/ParcelAssessment');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+const LandAssessment = require('../models/LandAssessment');
+const BuildingAssessment = require('../models/BuildingAssessment');
+const BuildingCode = require('../models/BuildingCode');
+const TaxRate = require('../models/TaxRate');
+const AssessmentAuditHistory = require('../models/AssessmentAuditHistory');
+const { roundToNearestHundred } = require('../utils/assessment');
+const { round } = require('../utils/statistics');
+
+/**
+ * Parcel value component each sheet type's approved rate revalues. The
+ * factor applied is approved rate / rate currently in use: the building
+ * code's rate for building sheets, sheet_settings.current_rate otherwise.
+ */
+const SHEET_COMPONENTS = {
+  vacant_land: 'land',
+  developed_land: 'land',
+  excess_acreage: 'land',
+  view_base_rate: 'view',
+  waterfront_base_rate: 'waterfront',
+  building_rate: 'building',
+  amenity_rate: 'improvements',
+};
+
+const UNASSIGNED = 'Unassigned';
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function percentChange(previous, next) {
+  return previous > 0 ? round(((next - previous) / previous) * 100) : 0;
+}
+
+// Scale a value, leaving it untouched (and unrounded) when nothing changes
+function scale(value, factor, roundResult = true) {
+  if (!value || factor === 1) return value || 0;
+  return roundResult
+    ? roundToNearestHundred(value * factor)
+    : Math.round(value * factor);
+}
+
+function latestByProperty(records) {
+  const latest = {};
+  records.forEach((record) => {
+    const propertyId = record.property_id.toString();
+    if (!latest[propertyId]) latest[propertyId] = record;
+  });
+  return latest;
+}
+
+class RevaluationShadowService {
+  /**
+   * Turn approved analysis sheets into revaluation rules
+   * @param {Object} revaluation - Revaluation document
+   * @returns {Promise<Object>} - { rules, skipped } in sheet display order
+   */
+  async resolveRules(revaluation) {
+    const [sheets, buildingCodes] = await Promise.all([
+      RevaluationAnalysisSheet.find({
+        revaluation_id: revaluation._id,
+        status: 'approved',
+      })
+        .sort({ display_order: 1, createdAt: 1 })
+        .lean(),
+      BuildingCode.find({ municipalityId: revaluation.municipality_id })
+        .select('code rate')
+        .lean(),
+    ]);
+
+    const rules = [];
+    const skipped = [];
+
+    sheets.forEach((sheet) => {
+      const approvedRate = sheet.results?.approved_rate;
+      const settings = sheet.sheet_settings || {};
+      const component = SHEET_COMPONENTS[sheet.sheet_type];
+      const rule = {
+        sheet_id: sheet._id,
+        sheet_name: sheet.sheet_name,
+        sheet_type: sheet.sheet_type,
+        component,
+      };
+
+      if (!(approvedRate > 0)) {
+        skipped.push({ ...rule, reason: 'No approved rate' });
+        return;
+      }
+
+      if (component === 'building') {
+        const codes = settings.building_code_id
+          ? buildingCodes.filter(
+              (code) => code._id.toString() === settings.building_code_id,
+            )
+          : buildingCodes;
+
+        rule.factors_by_code = {};
+        codes.forEach((code) => {
+          if (code.rate > 0) {
+            rule.factors_by_code[code._id.toString()] =
+              approvedRate / code.rate;
+          }
+        });
+
+        if (Object.keys(rule.factors_by_code).length === 0) {
+          skipped.push({ ...rule, reason: 'No current building code rate' });
+          return;
+        }
+      } else {
+        if (!(settings.current_rate > 0)) {
+          skipped.push({
+            ...rule,
+            reason: 'Sheet has no current_rate to compare against',
+          });
+          return;
+        }
+        rule.factor = approvedRate / settings.current_rate;
+        rule.land_use_code = settings.land_use_code || null;
+      }
+
+      rules.push(rule);
+    });
+
+    return { rules, skipped };
+  }
+
+  /**
+   * Rule for a land-side component: a sheet scoped to one of the parcel's
+   * land use codes wins over an unscoped sheet; ties go to display order
+   */
+  pickRule(rules, component, landUseCodes) {
+    const candidates = rules.filter((rule) => rule.component === component);
+    return (
+      candidates.find(
+        (rule) => rule.land_use_code && landUseCodes.has(rule.land_use_code),
+      ) ||
+      candidates.find((rule) => !rule.land_use_code) ||
+      null
+    );
+  }
+
+  /**
+   * Project one parcel's values under the revaluation rules
+   * @param {Object} parcel - Current ParcelAssessment (lean)
+   * @param {Object} land - Latest LandAssessment (lean) or undefined
+   * @param {Object} cardCodes - { [card_number]: building code ID }
+   * @param {Array} rules - Output of resolveRules()
+   * @returns {Object} - { projected, projected_cards, applied_sheets, notes }
+   */
+  projectParcel(parcel, land, cardCodes, rules) {
+    const totals = parcel.parcel_totals || {};
+    const allocation = parcel.land_allocation || {};
+    const landUseCodes = new Set(
+      (land?.land_use_details || [])
+        .map((detail) => detail.land_use_code)
+        .filter(Boolean),
+    );
+    const hasCurrentUse =
+      land?.calculated_totals?.hasCurrentUseLand ||
+      land?.calculated_totals?.totalCurrentUseCredit > 0;
+
+    const applied = new Map();
+    const notes = [];
+    const factorFor = (rule, factor) => {
+      if (rule && factor !== 1) {
+        applied.set(rule.sheet_id.toString(), {
+          sheet_id: rule.sheet_id,
+          sheet_name: rule.sheet_name,
+          component: rule.component,
+          factor: round(factor, 4),
+        });
+      }
+      return factor;
+    };
+
+    // Land: base land, view and waterfront are revalued separately
+    const viewValue = allocation.total_view_value || 0;
+    const waterfrontValue = allocation.total_waterfront_value || 0;
+    const currentLand = totals.total_land_value || 0;
+    const baseLand = Math.max(0, currentLand - viewValue - waterfrontValue);
+
+    let landRule = this.pickRule(rules, 'land', landUseCodes);
+    if (landRule && hasCurrentUse) {
+      notes.push('Current use land is assessed at state rates; not revalued');
+      landRule = null;
+    }
+    const viewRule = this.pickRule(rules, 'view', landUseCodes);
+    const waterfrontRule = this.pickRule(rules, 'waterfront', landUseCodes);
+    const improvementsRule = this.pickRule(rules, 'improvements', landUseCodes);
+
+    const revalue = (value, rule) =>
+      rule && value ? value * factorFor(rule, rule.factor) : value;
+    const projectedLand =
+      revalue(baseLand, landRule) +
+      revalue(viewValue, viewRule) +
+      revalue(waterfrontValue, waterfrontRule);
+    const landRatio = currentLand > 0 ? projectedLand / currentLand : 1;
+    const improvementsFactor =
+      improvementsRule && totals.total_improvements_value
+        ? factorFor(improvementsRule, improvementsRule.factor)
+        : 1;
+
+    const cards = parcel.card_assessments?.length
+      ? parcel.card_assessments
+      : [
+          {
+            card_number: 1,
+            land_value: currentLand,
+            building_value: totals.total_building_value || 0,
+            improvements_value: totals.total_improvements_value || 0,
+          },
+        ];
+
+    const projectedCards = cards.map((card) => {
+      const code = cardCodes[card.card_number];
+      const buildingRule =
+        code &&
+        rules.find(
+          (rule) => rule.component === 'building' && rule.factors_by_code[code],
+        );
+      const buildingFactor =
+        buildingRule && card.building_value
+          ? factorFor(buildingRule, buildingRule.factors_by_code[code])
+          : 1;
+
+      const landValue = scale(card.land_value, landRatio, !hasCurrentUse);
+      const buildingValue = scale(card.building_value, buildingFactor);
+      const improvementsValue = scale(
+        card.improvements_value,
+        improvementsFactor,
+      );
+
+      return {
+        card_number: card.card_number,
+        land_value: landValue,
+        building_value: buildingValue,
+        improvements_value: improvementsValue,
+        card_total: landValue + buildingValue + improvementsValue,
+      };
+    });
+
+    const sum = (key) =>
+      projectedCards.reduce((total, card) => total + (card[key] || 0), 0);
+
+    return {
+      projected: {
+        land_value: sum('land_value'),
+        building_value: sum('building_value'),
+        improvements_value: sum('improvements_value'),
+        total_value: sum('card_total'),
+      },
+      projected_cards: projectedCards,
+      applied_sheets: [...applied.values()],
+      notes,
+    };
+  }
+
+  /**
+   * Apply the revaluation's approved sheet rates to every parcel as a shadow
+   * assessment year, replacing any earlier preview
+   * @param {string} revaluationId - Revaluation ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object|null>} - Preview summary, or null if the revaluation doesn't exist
+   */
+  async generatePreview(revaluationId, user) {
+    const revaluation = await Revaluation.findById(revaluationId);
+    if (!revaluation) return null;
+
+    if (revaluation.committed_at) {
+      throw httpError(409, 'This revaluation has already been committed');
+    }
+
+    const { rules, skipped } = await this.resolveRules(revaluation);
+    if (rules.length === 0) {
+      throw httpError(400, 'No approved sheet rates to apply');
+    }
+
+    const municipalityId = revaluation.municipality_id;
+    const year = revaluation.effective_year;
+    const sessionId = `reval-${year}-${crypto.randomBytes(6).toString('hex')}`;
+
+    console.log(
+      `🔮 Generating revaluation preview ${sessionId} with ${rules.length} approved sheets`,
+    );
+
+    const parcels = await ParcelAssessment.aggregate([
+      {
+        $match: {
+          municipality_id: new mongoose.Types.ObjectId(municipalityId),
+          effective_year: { $lte: year },
+        },
+      },
+      { $sort: { effective_year: -1 } },
+      { $group: { _id: '$property_id', parcel: { $first: '$$ROOT' } } },
+    ]);
+    const propertyIds = parcels.map((group) => group._id);
+
+    const [properties, landRecords, buildingRecords] = await Promise.all([
+      PropertyTreeNode.find({ _id: { $in: propertyIds } })
+        .select('pid_formatted pid_raw location property_class')
+        .lean(),
+      LandAssessment.find({
+        municipality_id: municipalityId,
+        effective_year: { $lte: year },
+      })
+        .select(
+          'property_id effective_year neighborhood land_use_details.land_use_code calculated_totals',
+        )
+        .populate('neighborhood', 'code')
+        .sort({ effective_year: -1 })
+        .lean(),
+      BuildingAssessment.find({
+        municipality_id: municipalityId,
+        effective_year: { $lte: year },
+      })
+        .select('property_id card_number effective_year base_type')
+        .sort({ effective_year: -1 })
+        .lean(),
+    ]);
+
+    const propertiesById = new Map(
+      properties.map((property) => [property._id.toString(), property]),
+    );
+    const landByProperty = latestByProperty(landRecords);
+    const cardCodesByProperty = {};
+    buildingRecords.forEach((building) => {
+      const codes = (cardCodesByProperty[building.property_id.toString()] =
+        cardCodesByProperty[building.property_id.toString()] || {});
+      const cardNumber = building.card_number || 1;
+      if (!(cardNumber in codes)) {
+        codes[cardNumber] = building.base_type?.toString() || null;
+      }
+    });
+
+    let currentTotal = 0;
+    let projectedTotal = 0;
+    const rows = parcels.map(({ _id: propertyId, parcel }) => {
+      const id = propertyId.toString();
+      const property = propertiesById.get(id) || {};
+      const land = landByProperty[id];
+      const projection = this.projectParcel(
+        parcel,
+        land,
+        cardCodesByProperty[id] || {},
+        rules,
+      );
+
+      const current = {
+        land_value: parcel.parcel_totals?.total_land_value || 0,
+        building_value: parcel.parcel_totals?.total_building_value || 0,
+        improvements_value: parcel.parcel_totals?.total_improvements_value || 0,
+        total_value: parcel.parcel_totals?.total_assessed_value || 0,
+      };
+      currentTotal += current.total_value;
+      projectedTotal += projection.projected.total_value;
+
+      return {
+        revaluation_id: revaluation._id,
+        municipality_id: municipalityId,
+        property_id: propertyId,
+        effective_year: year,
+        session_id: sessionId,
+        pid: property.pid_formatted || property.pid_raw,
+        location: property.location?.address || '',
+        neighborhood:
+          land?.neighborhood?.code ||
+          property.location?.neighborhood ||
+          UNASSIGNED,
+        property_class: property.property_class || UNASSIGNED,
+        current_parcel_assessment_id: parcel._id,
+        current_effective_year: parcel.effective_year,
+        current,
+        ...projection,
+        change_amount: projection.projected.total_value - current.total_value,
+        change_percentage: percentChange(
+          current.total_value,
+          projection.projected.total_value,
+        ),
+      };
+    });
+
+    await RevaluationShadowAssessment.deleteMany({
+      revaluation_id: revaluation._id,
+    });
+    if (rows.length > 0) {
+      await RevaluationShadowAssessment.insertMany(rows);
+    }
+
+    revaluation.shadow_preview = {
+      session_id: sessionId,
+      generated_at: new Date(),
+      generated_by: user._id,
+      parcel_count: rows.length,
+      current_total: currentTotal,
+      projected_total: projectedTotal,
+    };
+    revaluation.updated_by = user._id;
+    await revaluation.save();
+
+    console.log(
+      `✅ Revaluation preview ${sessionId}: ${rows.length} parcels, $${currentTotal.toLocaleString()} → $${projectedTotal.toLocaleString()}`,
+    );
+
+    return {
+      shadow_preview: revaluation.shadow_preview,
+      applied_rules: rules.map(({ factors_by_code, ...rule }) => ({
+        ...rule,
+        factor: rule.factor !== undefined ? round(rule.factor, 4) : undefined,
+        building_codes: factors_by_code
+          ? Object.keys(factors_by_code).length
+          : undefined,
+      })),
+      skipped_sheets: skipped,
+    };
+  }
+
+  /**
+   * Whether approved sheets changed after the preview was generated
+   * @param {Object} revaluation - Revaluation document
+   * @returns {Promise<boolean>}
+   */
+  async isPreviewStale(revaluation) {
+    const generatedAt = revaluation.shadow_preview?.generated_at;
+    if (!generatedAt) return true;
+
+    const changed = await RevaluationAnalysisSheet.exists({
+      revaluation_id: revaluation._id,
+      updatedAt: { $gt: generatedAt },
+    });
+    return !!changed;
+  }
+
+  /**
+   * Revenue-neutral tax rate for the projected values: the current rate's
+   * levy spread over the projected total. Exemptions are not deducted, so
+   * this is an estimate of the direction and size of the change.
+   * @param {Object} revaluation - Revaluation document
+   * @param {number} currentTotal - Current total assessed value
+   * @param {number} projectedTotal - Projected total assessed value
+   * @returns {Promise<Object>}
+   */
+  async estimateTaxImpact(revaluation, currentTotal, projectedTotal) {
+    const taxRate = await TaxRate.findOne({
+      municipality_id: revaluation.municipality_id,
+      tax_year: { $lte: revaluation.effective_year },
+    })
+      .sort({ tax_year: -1 })
+      .lean();
+
+    if (!taxRate) {
+      return {
+        tax_year: null,
+        current_rate: null,
+        projected_rate: null,
+        rate_change: null,
+        levy: null,
+      };
+    }
+
+    const currentRate = taxRate.rate_per_thousand;
+    const levy = (currentTotal * currentRate) / 1000;
+    const projectedRate =
+      projectedTotal > 0 ? (levy * 1000) / projectedTotal : null;
+
+    return {
+      tax_year: taxRate.tax_year,
+      current_rate: currentRate,
+      projected_rate: round(projectedRate, 2),
+      rate_change:
+        projectedRate === null ? null : round(projectedRate - currentRate, 2),
+      levy: round(levy),
+    };
+  }
+
+  /**
+   * Preview summary, per-neighborhood deltas, tax impact and a page of parcels
+   * @param {string} revaluationId - Revaluation ID
+   * @param {Object} options
+   * @param {string} options.neighborhood - Only parcels in this neighborhood
+   * @param {string} options.sort - change_percentage (default), change_amount or pid
+   * @param {number} options.page - 1-based page
+   * @param {number} options.limit - Parcels per page (max 500)
+   * @returns {Promise<Object|null>} - null if the revaluation doesn't exist
+   */
+  async getPreview(revaluationId, options = {}) {
+    const revaluation = await Revaluation.findById(revaluationId).lean();
+    if (!revaluation) return null;
+
+    const preview = revaluation.shadow_preview;
+    if (!preview?.session_id) {
+      return { shadow_preview: null };
+    }
+
+    const [neighborhoodGroups, taxImpact, stale] = await Promise.all([
+      RevaluationShadowAssessment.aggregate([
+        { $match: { revaluation_id: revaluation._id } },
+        {
+          $group: {
+            _id: '$neighborhood',
+            parcel_count: { $sum: 1 },
+            current_total: { $sum: '$current.total_value' },
+            projected_total: { $sum: '$projected.total_value' },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      this.estimateTaxImpact(
+        revaluation,
+        preview.current_total,
+        preview.projected_total,
+      ),
+      this.isPreviewStale(revaluation),
+    ]);
+
+    const taxFor = (value, rate) =>
+      rate === null ? null : round((value * rate) / 1000);
+
+    const neighborhoods = neighborhoodGroups.map((group) => {
+      const currentTax = taxFor(group.current_total, taxImpact.current_rate);
+      const projectedTax = taxFor(
+        group.projected_total,
+        taxImpact.projected_rate,
+      );
+      return {
+        neighborhood: group._id,
+        parcel_count: group.parcel_count,
+        current_total: group.current_total,
+        projected_total: group.projected_total,
+        change_amount: group.projected_total - group.current_total,
+        change_percentage: percentChange(
+          group.current_total,
+          group.projected_total,
+        ),
+        current_tax: currentTax,
+        projected_tax: projectedTax,
+        tax_change:
+          currentTax === null || projectedTax === null
+            ? null
+            : round(projectedTax - currentTax),
+      };
+    });
+
+    const sorts = {
+      change_percentage: { change_percentage: -1, pid: 1 },
+      change_amount: { change_amount: -1, pid: 1 },
+      pid: { pid: 1 },
+    };
+    const filter = { revaluation_id: revaluation._id };
+    if (options.neighborhood) filter.neighborhood = options.neighborhood;
+    const limit = Math.min(parseInt(options.limit, 10) || 100, 500);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+
+    const [parcels, parcelCount] = await Promise.all([
+      RevaluationShadowAssessment.find(filter)
+        .select('-projected_cards')
+        .sort(sorts[options.sort] || sorts.change_percentage)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RevaluationShadowAssessment.countDocuments(filter),
+    ]);
+
+    return {
+      shadow_preview: {
+        ...preview,
+        change_amount: preview.projected_total - preview.current_total,
+        change_percentage: percentChange(
+          preview.current_total,
+          preview.projected_total,
+        ),
+        is_stale: stale,
+      },
+      revaluation_status: revaluation.status,
+      committed_at: revaluation.committed_at || null,
+      tax_impact: taxImpact,
+      neighborhoods,
+      parcels: parcels.map((parcel) => ({
+        ...parcel,
+        current_tax: taxFor(parcel.current.total_value, taxImpact.current_rate),
+        projected_tax: taxFor(
+          parcel.projected.total_value,
+          taxImpact.projected_rate,
+        ),
+      })),
+      pagination: {
+        page,
+        limit,
+        total: parcelCount,
+        pages: Math.ceil(parcelCount / limit),
+      },
+    };
+  }
+
+  /**
+   * Write the previewed values to ParcelAssessment for the revaluation year.
+   * Every parcel gets an AssessmentAuditHistory entry tagged with the
+   * preview's session_id so the batch can be reviewed (or reversed) as one.
+   * @param {string} revaluationId - Revaluation ID
+   * @param {Object} user - Requesting user
+   * @param {Object} requestInfo - { ip_address, user_agent }
+   * @returns {Promise<Object|null>} - { session_id, committed, failed }, or null if the revaluation doesn't exist
+   */
+  async commit(revaluationId, user, requestInfo = {}) {
+    const revaluation = await Revaluation.findById(revaluationId);
+    if (!revaluation) return null;
+
+    if (revaluation.committed_at) {
+      throw httpError(409, 'This revaluation has already been committed');
+    }
+    if (revaluation.status !== 'approved') {
+      throw httpError(
+        409,
+        'The revaluation must be approved before its values can be committed',
+      );
+    }
+    if (!revaluation.shadow_preview?.session_id) {
+      throw httpError(409, 'Generate a preview before committing');
+    }
+    if (await this.isPreviewStale(revaluation)) {
+      throw httpError(
+        409,
+        'Analysis sheets changed since the preview was generated; regenerate the preview before committing',
+      );
+    }
+
+    const sessionId = revaluation.shadow_preview.session_id;
+    const year = revaluation.effective_year;
+    const userName = user.name || user.email;
+    const rows = await RevaluationShadowAssessment.find({
+      revaluation_id: revaluation._id,
+      session_id: sessionId,
+    }).lean();
+
+    console.log(
+      `📝 Committing revaluation ${sessionId}: ${rows.length} parcels for ${year}`,
+    );
+
+    const results = { session_id: sessionId, committed: 0, failed: [] };
+
+    for (const row of rows) {
+      try {
+        const existing = await ParcelAssessment.findOne({
+          property_id: row.property_id,
+          effective_year: year,
+        });
+        const previousData = existing
+          ? existing.toObject()
+          : await ParcelAssessment.findById(
+              row.current_parcel_assessment_id,
+            ).lean();
+
+        const buildingIds = new Map(
+          (previousData?.card_assessments || []).map((card) => [
+            card.card_number,
+            card.building_assessment_id,
+          ]),
+        );
+        const parcelTotals = {
+          total_assessed_value: row.projected.total_value,
+          total_land_value: row.projected.land_value,
+          total_building_value: row.projected.building_value,
+          total_improvements_value: row.projected.improvements_value,
+        };
+        const cardAssessments = row.projected_cards.map((card) => ({
+          ...card,
+          building_assessment_id: buildingIds.get(card.card_number),
+          last_updated: new Date(),
+        }));
+        const fields = {
+          parcel_totals: parcelTotals,
+          card_assessments: cardAssessments,
+          last_calculated: new Date(),
+          calculation_trigger: 'revaluation',
+          calculated_by: user._id,
+          previous_total: row.current.total_value,
+          change_amount: row.change_amount,
+          change_percentage: row.change_percentage,
+          total_cards_count: cardAssessments.length,
+        };
+
+        let parcel;
+        if (existing) {
+          existing.set(fields);
+          parcel = await existing.save();
+        } else {
+          parcel = await ParcelAssessment.create({
+            property_id: row.property_id,
+            municipality_id: row.municipality_id,
+            effective_year: year,
+            land_allocation: previousData?.land_allocation,
+            ...fields,
+          });
+        }
+
+        await AssessmentAuditHistory.createAuditEntry(
+          parcel,
+          previousData,
+          user._id,
+          existing ? 'update' : 'create',
+          'revaluation',
+          {
+            user_name: userName,
+            session_id: sessionId,
+            ip_address: requestInfo.ip_address,
+            user_agent: requestInfo.user_agent,
+            notes: `${year} revaluation commit`,
+          },
+        );
+
+        await PropertyTreeNode.findByIdAndUpdate(row.property_id, {
+          assessed_value: parcelTotals.total_assessed_value,
+          assessment_summary: {
+            total_value: parcelTotals.total_assessed_value,
+            land_value: parcelTotals.total_land_value,
+            building_value: parcelTotals.total_building_value,
+            improvements_value: parcelTotals.total_improvements_value,
+            last_updated: new Date(),
+            assessment_year: year,
+          },
+          last_updated: new Date(),
+        });
+
+        await RevaluationShadowAssessment.updateOne(
+          { _id: row._id },
+          { committed_at: new Date() },
+        );
+        results.committed++;
+      } catch (error) {
+        console.error(
+          `Failed to commit revaluation for property ${row.property_id}:`,
+          error,
+        );
+        results.failed.push({
+          property_id: row.property_id,
+          pid: row.pid,
+          error: error.message,
+        });
+      }
+    }
+
+    revaluation.status = 'completed';
+    revaluation.committed_session_id = sessionId;
+    revaluation.committed_by = user._id;
+    revaluation.committed_at = new Date();
+    revaluation.updated_by = user._id;
+    await revaluation.save();
+
+    console.log(
+      `✅ Revaluation ${sessionId} committed: ${results.committed} parcels, ${results.failed.length} failed`,
+    );
+
+    return results;
+  }
+}
+
+module.exports = new RevaluationShadowService();
@@ -1191,6 +1191,89 @@ function calculatePermitPayment(permitFee) {
   };
 }
 
+/**
+ * Refund part or all of a building permit payment
+ * Permit payments are destination charges, so the refund comes from the platform
+ * account and the same amount is pulled back from the municipality's transfer.
+ * Processing fees are not refunded.
+ *
+ * Both calls carry idempotency keys derived from the caller's key, so a retry
+ * of the same refund never moves money twice. If the refund goes through but
+ * the transfer reversal fails, the refund is still returned with the reversal
+ * error so the caller can record it; only a failed refund throws.
+ * @param {string} paymentIntentId - Payment intent of the original payment
+ * @param {number} amount - Amount to refund in dollars
+ * @param {Object} metadata - Stripe metadata for the refund and reversal
+ * @param {Object} options
+ * @param {string} options.idempotencyKey - Unique per refund, e.g. the refund transaction id
+ * @returns {Promise<Object>} - { refund, transferReversal, transferReversalError }
+ */
+async function refundPermitPayment(
+  paymentIntentId,
+  amount,
+  metadata = {},
+  { idempotencyKey } = {},
+) {
+  ensureStripeInitialized();
+  const amountCents = Math.round(amount * 100);
+
+  let paymentIntent;
+  let refund;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ['latest_charge'],
+    });
+
+    console.log('🔵 Refunding permit payment:', {
+      paymentIntentId,
+      amountCents,
+    });
+
+    refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: amountCents,
+        metadata,
+      },
+      idempotencyKey ? { idempotencyKey: `${idempotencyKey}-refund` } : {},
+    );
+  } catch (error) {
+    console.error('❌ Error refunding permit payment:', error);
+    throw new Error(`Failed to refund permit payment: ${error.message}`);
+  }
+
+  let transferReversal = null;
+  let transferReversalError = null;
+  const transferId = paymentIntent.latest_charge?.transfer;
+  if (transferId) {
+    try {
+      transferReversal = await stripe.transfers.createReversal(
+        transferId,
+        {
+          amount: amountCents,
+          metadata,
+        },
+        idempotencyKey ? { idempotencyKey: `${idempotencyKey}-reversal` } : {},
+      );
+    } catch (error) {
+      // The applicant has been refunded; the municipality's transfer still
+      // has to be reversed by hand
+      console.error(
+        `❌ Permit refund ${refund.id} succeeded but reversing transfer ${transferId} failed:`,
+        error,
+      );
+      transferReversalError = error.message;
+    }
+  }
+
+  console.log('🟢 Permit payment refunded:', {
+    refundId: refund.id,
+    transferReversalId: transferReversal?.id,
+  });
+
+  return { refund, transferReversal, transferReversalError };
+}
+
 /**
  * Get charges for a Connected Account within a date range
  */
@@ -1282,6 +1365,7 @@ module.exports = {
   refreshAccountLink,
   calculatePlatformFees,
   calculatePermitPayment,
+  refundPermitPayment,
   getChargesForAccount,
   createLoginLink,
 };
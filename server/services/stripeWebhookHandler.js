@@ -1,6 +1,8 @@
 const { stripe } = require('./stripeService');
 const Municipality = require('../models/Municipality');
 const Contractor = require('../models/Contractor');
+const Permit = require('../models/Permit');
+const permitFeeService = require('./permitFeeService');
 
 /**
  * Stripe Webhook Handler Service
@@ -137,7 +139,9 @@ async function findEntitiesByProduct(productId) {
       }
     }
 
-    console.log(`✅ Found ${entities.length} entities using product ${productId}`);
+    console.log(
+      `✅ Found ${entities.length} entities using product ${productId}`,
+    );
     return entities;
   } catch (error) {
     console.error('❌ Error finding entities by product:', error);
@@ -163,9 +167,8 @@ async function handleSubscriptionChange(subscription) {
     const { entity, entityType, moduleName } = result;
 
     // Get product with features
-    const { product_id, tier, features } = await getProductWithFeatures(
-      subscription,
-    );
+    const { product_id, tier, features } =
+      await getProductWithFeatures(subscription);
 
     // Prepare subscription data
     const subscriptionData = {
@@ -391,6 +394,37 @@ async function handleCustomerUpdated(customer) {
   }
 }
 
+/**
+ * Handle payment_intent.succeeded for building permit payments
+ * Records the payment on the permit fee ledger in case the applicant's browser
+ * never reached confirm-payment. Recording is idempotent per payment intent.
+ * @param {Object} paymentIntent - Stripe payment intent
+ */
+async function handlePermitPaymentSucceeded(paymentIntent) {
+  try {
+    const permitId = paymentIntent.metadata?.permitId;
+    const permit = permitId ? await Permit.findById(permitId) : null;
+    if (!permit) {
+      console.warn('⚠️ Permit payment for unknown permit:', paymentIntent.id);
+      return;
+    }
+
+    const { transaction, created } = await permitFeeService.recordStripePayment(
+      permit,
+      paymentIntent,
+    );
+
+    if (created) {
+      console.log(
+        `✅ Permit payment ${paymentIntent.id} recorded as receipt ${transaction.receiptNumber}`,
+      );
+    }
+  } catch (error) {
+    console.error('❌ Error recording permit payment from webhook:', error);
+    throw error;
+  }
+}
+
 /**
  * Main webhook event handler
  * @param {Object} event - Stripe webhook event
@@ -439,6 +473,9 @@ async function handleEvent(event) {
 
       case 'payment_intent.succeeded':
         console.log('✅ Payment intent succeeded:', event.data.object.id);
+        if (event.data.object.metadata?.payment_type === 'building_permit') {
+          await handlePermitPaymentSucceeded(event.data.object);
+        }
         break;
 
       case 'payment_intent.payment_failed':
@@ -465,4 +502,5 @@ module.exports = {
   handleSubscriptionResumed,
   handleProductUpdated,
   handleCustomerUpdated,
+  handlePermitPaymentSucceeded,
 };
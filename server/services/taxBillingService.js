@@ -0,0 +1,628 @@
+const mongoose = require('mongoose');
+const TaxBill = require('../models/TaxBill');
+const TaxRate = require('../models/TaxRate');
+const Payment = require('../models/Payment');
+const ParcelAssessment = require('../models/ParcelAssessment');
+const PropertyExemption = require('../models/PropertyExemption');
+const PropertyTreeNode = require('../models/PropertyTreeNode');
+
+const { roundCurrency } = TaxBill;
+
+// Attempts at numbering bills before giving up on bill number collisions
+const BILL_NUMBER_ATTEMPTS = 3;
+// Attempts at writing a bill balance that another request changed meanwhile
+const BALANCE_UPDATE_ATTEMPTS = 3;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Whether a duplicate key error on insert came from the bill number index
+ * rather than the one-bill-per-parcel-per-warrant index
+ * @param {Object} details - Raw write error ({ code, keyValue, errmsg })
+ * @returns {boolean}
+ */
+function isBillNumberCollision(details) {
+  if (details.keyValue) return 'bill_number' in details.keyValue;
+  return /bill_number/.test(details.errmsg || '');
+}
+
+/**
+ * Tax Billing Service
+ *
+ * Generates property tax bills from ParcelAssessment totals, PropertyExemption
+ * credits and the municipal TaxRate for a year, and posts payments/refunds
+ * against them.
+ */
+class TaxBillingService {
+  /**
+   * Calculate the tax for a parcel
+   * @param {Object} params
+   * @param {number} params.assessedValue - Total assessed value
+   * @param {number} params.exemptionTotal - Exemptions (reduce taxable value)
+   * @param {number} params.creditTotal - Credits (reduce tax)
+   * @param {number} params.rate - Rate per $1,000
+   * @returns {Object} - { taxableValue, grossTax, netTax }
+   */
+  calculateTax({ assessedValue, exemptionTotal = 0, creditTotal = 0, rate }) {
+    const taxableValue = Math.max(0, (assessedValue || 0) - exemptionTotal);
+    const grossTax = roundCurrency((taxableValue * rate) / 1000);
+    const netTax = Math.max(0, roundCurrency(grossTax - creditTotal));
+
+    return { taxableValue, grossTax, netTax };
+  }
+
+  /**
+   * Split the net tax into installments; the last installment absorbs rounding
+   * @param {number} netTax - Net tax due
+   * @param {Array} schedule - [{ installment_number, due_date, percentage }]
+   * @returns {Array} - Installment subdocuments
+   */
+  splitInstallments(netTax, schedule) {
+    let allocated = 0;
+
+    return schedule.map((entry, index) => {
+      const isLast = index === schedule.length - 1;
+      const amount = isLast
+        ? roundCurrency(netTax - allocated)
+        : roundCurrency((netTax * entry.percentage) / 100);
+      allocated = roundCurrency(allocated + amount);
+
+      return {
+        installment_number: entry.installment_number,
+        due_date: entry.due_date,
+        amount,
+        amount_paid: 0,
+        status: amount > 0 ? 'open' : 'paid',
+      };
+    });
+  }
+
+  /**
+   * Load the latest ParcelAssessment on or before the tax year for each property
+   * @param {ObjectId} municipalityId - Municipality ID
+   * @param {number} year - Tax year
+   * @param {Array} propertyIds - Property IDs to include
+   * @returns {Map} - property_id string -> ParcelAssessment
+   */
+  async loadParcelAssessments(municipalityId, year, propertyIds) {
+    const parcels = await ParcelAssessment.find({
+      municipality_id: municipalityId,
+      property_id: { $in: propertyIds },
+      effective_year: { $lte: year },
+    })
+      .sort({ effective_year: -1 })
+      .lean();
+
+    const byProperty = new Map();
+    for (const parcel of parcels) {
+      const key = parcel.property_id.toString();
+      if (!byProperty.has(key)) {
+        byProperty.set(key, parcel);
+      }
+    }
+    return byProperty;
+  }
+
+  /**
+   * Sum active exemptions and credits per property for the tax year
+   * @param {ObjectId} municipalityId - Municipality ID
+   * @param {number} year - Tax year
+   * @returns {Map} - property_id string -> { exemption_total, credit_total }
+   */
+  async loadExemptionTotals(municipalityId, year) {
+    const totals = await PropertyExemption.aggregate([
+      {
+        $match: {
+          municipality_id: municipalityId,
+          is_active: true,
+          start_year: { $lte: year },
+          $or: [{ end_year: { $gte: year } }, { end_year: null }],
+        },
+      },
+      {
+        $group: {
+          _id: '$property_id',
+          exemption_total: { $sum: '$exemption_value' },
+          credit_total: { $sum: '$credit_value' },
+        },
+      },
+    ]);
+
+    return new Map(
+      totals.map((total) => [
+        total._id.toString(),
+        {
+          exemption_total: total.exemption_total || 0,
+          credit_total: total.credit_total || 0,
+        },
+      ]),
+    );
+  }
+
+  /**
+   * Build the bill fields for one property
+   * @returns {Object} - Fields shared by new and recalculated bills
+   */
+  buildBillFields(property, parcel, exemptions, taxRate) {
+    const totals = parcel?.parcel_totals || {};
+    const assessedValue = totals.total_assessed_value || 0;
+    const { taxableValue, grossTax, netTax } = this.calculateTax({
+      assessedValue,
+      exemptionTotal: exemptions.exemption_total,
+      creditTotal: exemptions.credit_total,
+      rate: taxRate.rate_per_thousand,
+    });
+
+    const owner = property.owners?.primary || {};
+
+    return {
+      pid: property.pid_formatted || property.pid_raw,
+      account_number: property.account_number,
+      property_address: property.location?.address,
+      owner_name: owner.primary_name || property.owner?.primary_name,
+      mailing_address: owner.mailing_address || property.owner?.mailing_address,
+      assessment: {
+        effective_year: parcel?.effective_year,
+        land_value: totals.total_land_value || 0,
+        building_value: totals.total_building_value || 0,
+        improvements_value: totals.total_improvements_value || 0,
+        total_assessed_value: assessedValue,
+      },
+      exemption_total: exemptions.exemption_total,
+      credit_total: exemptions.credit_total,
+      taxable_value: taxableValue,
+      tax_rate: taxRate.rate_per_thousand,
+      gross_tax: grossTax,
+      net_tax: netTax,
+      installments: this.splitInstallments(
+        netTax,
+        taxRate.getInstallmentSchedule(),
+      ),
+    };
+  }
+
+  /**
+   * Generate tax bills for a municipality and tax year.
+   * Idempotent per warrant: parcels that already have a bill for the warrant are
+   * skipped, or recalculated in place when `recalculate` is set and no payments
+   * have been posted against them.
+   * @param {string} municipalityId - Municipality ID
+   * @param {number} year - Tax year
+   * @param {Object} options
+   * @param {string} options.warrantNumber - Warrant to bill under (defaults to the TaxRate warrant)
+   * @param {Array} options.propertyIds - Limit generation to these properties
+   * @param {boolean} options.recalculate - Recalculate unpaid existing bills
+   * @param {string} options.userId - User generating the bills
+   * @returns {Object} - Generation summary
+   */
+  async generateBills(municipalityId, year, options = {}) {
+    const municipalityObjectId = new mongoose.Types.ObjectId(municipalityId);
+    const taxRate = await TaxRate.getForYear(municipalityObjectId, year);
+
+    if (!taxRate) {
+      throw new Error(`No tax rate has been set for ${year}`);
+    }
+
+    const warrantNumber = options.warrantNumber || taxRate.warrant_number;
+
+    const propertyQuery = {
+      municipality_id: municipalityObjectId,
+      tax_status: { $ne: 'exempt' },
+    };
+    if (options.propertyIds?.length) {
+      propertyQuery._id = {
+        $in: options.propertyIds.map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
+
+    const properties = await PropertyTreeNode.find(propertyQuery)
+      .select('pid_raw pid_formatted account_number location owner owners')
+      .lean();
+    const propertyIds = properties.map((property) => property._id);
+
+    const [parcels, exemptionTotals, existingBills] = await Promise.all([
+      this.loadParcelAssessments(municipalityObjectId, year, propertyIds),
+      this.loadExemptionTotals(municipalityObjectId, year),
+      TaxBill.find({
+        municipality_id: municipalityObjectId,
+        tax_year: year,
+        warrant_number: warrantNumber,
+        property_id: { $in: propertyIds },
+      }),
+    ]);
+
+    const existingByProperty = new Map(
+      existingBills.map((bill) => [bill.property_id.toString(), bill]),
+    );
+
+    const summary = {
+      tax_year: year,
+      warrant_number: warrantNumber,
+      tax_rate: taxRate.rate_per_thousand,
+      created: 0,
+      recalculated: 0,
+      skipped: 0,
+      missing_assessment: [],
+      total_net_tax: 0,
+    };
+
+    const newBills = [];
+
+    for (const property of properties) {
+      const key = property._id.toString();
+      const parcel = parcels.get(key);
+
+      if (!parcel) {
+        summary.missing_assessment.push(
+          property.pid_formatted || property.pid_raw,
+        );
+        continue;
+      }
+
+      const exemptions = exemptionTotals.get(key) || {
+        exemption_total: 0,
+        credit_total: 0,
+      };
+      const fields = this.buildBillFields(
+        property,
+        parcel,
+        exemptions,
+        taxRate,
+      );
+      const existing = existingByProperty.get(key);
+
+      if (existing) {
+        const canRecalculate =
+          options.recalculate &&
+          existing.status !== 'void' &&
+          existing.amount_paid === 0;
+
+        if (canRecalculate) {
+          existing.set(fields);
+          existing.recalculateBalance();
+          existing.updated_by = options.userId;
+          await existing.save();
+          summary.recalculated++;
+          summary.total_net_tax += existing.net_tax;
+        } else {
+          summary.skipped++;
+        }
+        continue;
+      }
+
+      const bill = new TaxBill({
+        municipality_id: municipalityObjectId,
+        property_id: property._id,
+        tax_year: year,
+        warrant_number: warrantNumber,
+        ...fields,
+        generated_by: options.userId,
+      });
+      bill.recalculateBalance();
+      newBills.push(bill);
+      summary.total_net_tax += bill.net_tax;
+    }
+
+    if (newBills.length > 0) {
+      const { created, skipped } = await this.insertNewBills(
+        municipalityObjectId,
+        year,
+        newBills,
+      );
+      summary.created = created;
+      summary.skipped += skipped;
+    }
+
+    summary.total_net_tax = roundCurrency(summary.total_net_tax);
+
+    if (taxRate.status === 'draft') {
+      taxRate.status = 'set';
+      taxRate.updated_by = options.userId;
+      await taxRate.save();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Number and insert new bills. A bill whose parcel was billed for the warrant
+   * by a concurrent run is skipped; a bill number collision (a number issued
+   * outside the counter) is retried with freshly reserved numbers.
+   * @param {ObjectId} municipalityId - Municipality ID
+   * @param {number} year - Tax year
+   * @param {Array} bills - Unsaved TaxBill documents
+   * @returns {Object} - { created, skipped }
+   */
+  async insertNewBills(municipalityId, year, bills) {
+    let pending = bills;
+    let created = 0;
+    let skipped = 0;
+
+    for (
+      let attempt = 0;
+      pending.length > 0 && attempt < BILL_NUMBER_ATTEMPTS;
+      attempt++
+    ) {
+      const first = await TaxBill.reserveBillSequences(
+        municipalityId,
+        year,
+        pending.length,
+      );
+      pending.forEach((bill, index) => {
+        bill.bill_number = TaxBill.formatBillNumber(year, first + index);
+      });
+
+      // ordered: false so one failed row doesn't stop the rest of the run
+      try {
+        await TaxBill.insertMany(pending, { ordered: false });
+        created += pending.length;
+        pending = [];
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+
+        const retry = [];
+        for (const writeError of error.writeErrors) {
+          // Mongoose copies the driver's WriteError into { err, index }
+          const details = writeError.err || writeError;
+          if (details.code !== 11000) throw error;
+          if (isBillNumberCollision(details)) {
+            retry.push(pending[writeError.index]);
+          } else {
+            skipped++;
+          }
+        }
+        created += pending.length - error.writeErrors.length;
+        pending = retry;
+      }
+    }
+
+    if (pending.length > 0) {
+      throw new Error(
+        `Could not assign unique bill numbers to ${pending.length} bill(s); try generating again`,
+      );
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Write a bill's installments and balance as changed in memory. The write
+   * only applies while amount_paid is still what was read and the guard still
+   * matches, so a concurrent payment or refund is never overwritten.
+   * @param {Object} bill - TaxBill document with the change applied
+   * @param {number} paidBefore - bill.amount_paid before the change
+   * @param {string} userId - User making the change
+   * @param {Object} guard - Extra filter conditions
+   * @returns {Promise<Object|null>} - The updated bill, null if nothing matched
+   */
+  async saveBillBalance(bill, paidBefore, userId, guard = {}) {
+    return TaxBill.findOneAndUpdate(
+      { _id: bill._id, amount_paid: paidBefore, ...guard },
+      {
+        $set: {
+          installments: bill.installments.map((installment) =>
+            installment.toObject(),
+          ),
+          amount_paid: bill.amount_paid,
+          balance_due: bill.balance_due,
+          status: bill.status,
+          updated_by: userId,
+        },
+      },
+      { new: true },
+    );
+  }
+
+  /**
+   * Post a payment against a bill and apply it to the open installments.
+   * The balance check and the update are one conditional write, so two
+   * concurrent payments cannot both be applied against the same balance.
+   * @param {Object} bill - TaxBill document
+   * @param {Object} paymentData - Payment fields (amount, payment_method, ...)
+   * @param {string} userId - User receiving the payment
+   * @returns {Object} - { payment, bill }
+   * @throws {Error} - statusCode 409 when the bill no longer has that much due
+   */
+  async postPayment(bill, paymentData, userId) {
+    const amount = roundCurrency(paymentData.amount);
+
+    const payment = new Payment({
+      municipality_id: bill.municipality_id,
+      tax_bill_id: bill._id,
+      property_id: bill.property_id,
+      tax_year: bill.tax_year,
+      amount,
+      payment_date: paymentData.payment_date || new Date(),
+      payment_method: paymentData.payment_method,
+      reference_number: paymentData.reference_number,
+      payer_name: paymentData.payer_name || bill.owner_name,
+      notes: paymentData.notes,
+      received_by: userId,
+    });
+    await payment.validate();
+
+    let current = bill;
+    for (let attempt = 0; attempt < BALANCE_UPDATE_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        current = await TaxBill.findById(bill._id);
+      }
+      if (!current || current.status === 'void') {
+        throw httpError(409, 'Payments cannot be posted to a void bill');
+      }
+      if (amount > current.balance_due) {
+        throw httpError(
+          409,
+          `Payment exceeds the balance due of $${current.balance_due.toFixed(2)}`,
+        );
+      }
+
+      const paidBefore = current.amount_paid;
+      const { allocations } = current.applyPayment(amount);
+
+      const updated = await this.saveBillBalance(current, paidBefore, userId, {
+        status: { $ne: 'void' },
+        $expr: { $lte: [amount, { $add: ['$balance_due', 0.005] }] },
+      });
+
+      if (updated) {
+        payment.allocations = allocations;
+        await payment.save();
+        return { payment, bill: updated };
+      }
+    }
+
+    throw httpError(
+      409,
+      'This bill was changed by another payment or refund; reload it and try again',
+    );
+  }
+
+  /**
+   * Refund all or part of a payment and reopen the affected installments.
+   * The refundable amount check and the refund are one conditional write on
+   * the payment, so the same money cannot be refunded twice.
+   * @param {Object} payment - Payment document
+   * @param {number} amount - Refund amount
+   * @param {string} reason - Refund reason
+   * @param {string} userId - User issuing the refund
+   * @returns {Object} - { payment, bill }
+   * @throws {Error} - statusCode 409 when the payment changed since it was read
+   */
+  async refundPayment(payment, amount, reason, userId) {
+    const refundAmount = roundCurrency(amount);
+    const refundedBefore = payment.refunded_amount || 0;
+    const reversals = payment.getRefundAllocations(refundAmount);
+
+    // Keep allocations net of refunds so later refunds reverse the right installments
+    const allocations = payment.allocations
+      .map((allocation) => {
+        const reversal = reversals.find(
+          (r) => r.installment_number === allocation.installment_number,
+        );
+        return {
+          installment_number: allocation.installment_number,
+          amount: roundCurrency(allocation.amount - (reversal?.amount || 0)),
+        };
+      })
+      .filter((allocation) => allocation.amount > 0);
+    const refundedAfter = roundCurrency(refundedBefore + refundAmount);
+
+    const updatedPayment = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        $expr: {
+          $and: [
+            { $eq: [{ $ifNull: ['$refunded_amount', 0] }, refundedBefore] },
+            {
+              $lte: [
+                { $add: [{ $ifNull: ['$refunded_amount', 0] }, refundAmount] },
+                { $add: ['$amount', 0.005] },
+              ],
+            },
+          ],
+        },
+      },
+      {
+        $set: {
+          refunded_amount: refundedAfter,
+          allocations,
+          status:
+            refundedAfter >= payment.amount ? 'refunded' : 'partially_refunded',
+        },
+        $push: {
+          refunds: {
+            amount: refundAmount,
+            reason,
+            refunded_by: userId,
+          },
+        },
+      },
+      { new: true },
+    );
+
+    if (!updatedPayment) {
+      throw httpError(
+        409,
+        'This payment was changed by another refund; reload it and try again',
+      );
+    }
+
+    // The refund is recorded, so the bill update retries until it applies
+    let bill = null;
+    for (let attempt = 0; attempt < BALANCE_UPDATE_ATTEMPTS; attempt++) {
+      const current = await TaxBill.findById(payment.tax_bill_id);
+      if (!current) break;
+
+      const paidBefore = current.amount_paid;
+      current.reverseAllocations(reversals);
+      bill = await this.saveBillBalance(current, paidBefore, userId);
+      if (bill) break;
+    }
+
+    if (!bill && (await TaxBill.exists({ _id: payment.tax_bill_id }))) {
+      console.error(
+        `❌ Refund of $${refundAmount} on payment ${payment._id} was recorded but bill ${payment.tax_bill_id} could not be updated`,
+      );
+      throw new Error(
+        'The refund was recorded but the bill balance could not be updated',
+      );
+    }
+
+    return { payment: updatedPayment, bill };
+  }
+
+  /**
+   * Build a chronological ledger for a bill: the charge, payments and refunds
+   * with a running balance
+   * @param {Object} bill - TaxBill document
+   * @returns {Array} - Ledger entries
+   */
+  async getBillLedger(bill) {
+    const payments = await Payment.find({ tax_bill_id: bill._id })
+      .sort({ payment_date: 1 })
+      .lean();
+
+    const entries = [
+      {
+        date: bill.generated_at,
+        type: 'charge',
+        description: `${bill.tax_year} property tax (warrant ${bill.warrant_number})`,
+        amount: bill.net_tax,
+      },
+    ];
+
+    for (const payment of payments) {
+      entries.push({
+        date: payment.payment_date,
+        type: 'payment',
+        description: `Payment - ${payment.payment_method}${payment.reference_number ? ` #${payment.reference_number}` : ''}`,
+        amount: -payment.amount,
+        payment_id: payment._id,
+      });
+
+      for (const refund of payment.refunds || []) {
+        entries.push({
+          date: refund.refunded_at,
+          type: 'refund',
+          description: `Refund${refund.reason ? ` - ${refund.reason}` : ''}`,
+          amount: refund.amount,
+          payment_id: payment._id,
+        });
+      }
+    }
+
+    entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = 0;
+    return entries.map((entry) => {
+      balance = roundCurrency(balance + entry.amount);
+      return { ...entry, balance };
+    });
+  }
+}
+
+module.exports = new TaxBillingService();
@@ -201,9 +201,12 @@ class TemplateService {
       inspection_failed: 'Inspection Failed - {{permitNumber}}',
       inspection_cancelled: 'Inspection Cancelled - {{permitNumber}}',
       inspection_rescheduled: 'Inspection Rescheduled - {{permitNumber}}',
+      permit_sla_warning: '{{headline}} - {{permitNumber}}',
       license_expiration: 'License Expiration Warning',
       team_member_added: 'New Team Member Added',
       team_member_removed: 'Team Member Removed',
+      password_reset: 'Reset Your Password',
+      email_verification: 'Verify Your Email Address',
     };
 
     return subjects[templateType] || 'Notification';
@@ -254,6 +257,7 @@ class TemplateService {
       inspection_reminder: 'Inspection tomorrow at {{inspectionTime}}.',
       inspection_passed: 'Inspection passed for permit {{permitNumber}}!',
       inspection_failed: 'Inspection failed. Check email for corrections.',
+      permit_sla_warning: 'Permit {{permitNumber}}: {{headline}}.',
       license_expiration:
         'Your license expires in {{daysUntilExpiration}} days. Renew soon.',
     };
@@ -335,6 +339,11 @@ class TemplateService {
         expirationDate: new Date(
           now.getTime() + 180 * 24 * 60 * 60 * 1000,
         ).toLocaleDateString(),
+        warningType: 'overdue',
+        isApproaching: false,
+        headline: 'Review overdue by 2 business day(s)',
+        daysFromDeadline: 2,
+        expectedCompletionDate: now.toLocaleDateString(),
       };
     }
 
@@ -361,6 +370,9 @@ class TemplateService {
     if (templateType.startsWith('license_')) {
       return {
         daysUntilExpiration: 30,
+        headline: 'License Expiration Warning - 30 Days Remaining',
+        credentialName: 'license',
+        credentialTitle: 'License',
         licenseType: 'General Contractor',
         licenseNumber: 'GC-12345',
         expirationDate: new Date(
@@ -381,6 +393,20 @@ class TemplateService {
       };
     }
 
+    if (
+      templateType === 'password_reset' ||
+      templateType === 'email_verification'
+    ) {
+      return {
+        firstName: 'John',
+        email: 'john@example.com',
+        resetUrl: 'https://avitar.com/reset-password?token=sample',
+        verificationUrl: 'https://avitar.com/verify-email?token=sample',
+        expiresInMinutes: 60,
+        expiresInHours: 24,
+      };
+    }
+
     return commonData;
   }
 
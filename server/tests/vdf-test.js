@@ -0,0 +1,203 @@
+// Round trips between the VDF reader/writer and drawings saved by the
+// desktop CAMA sketcher (config/Examples).
+//
+// Run with: npm run test:server
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseVDFGeometry } = require('../utils/parseVDFGeometry');
+const {
+  parseVDFFile,
+  parseVDFFilename,
+  formatVDFFilename,
+  convertToPropertySketch,
+} = require('../utils/vdfParser');
+const { writeVDF } = require('../utils/vdfWriter');
+const { exportSketch } = require('../utils/sketchExport');
+
+const EXAMPLES_DIR = path.join(__dirname, '../../config/Examples');
+
+// Areas as the desktop sketcher lists them, in drawing order
+const FIXTURES = {
+  '00000400000300000601-rotated.vdf': [
+    ['FFF/BMU', 418],
+    ['TQF/FFF/BMU', 1160],
+    ['DEK', 567.5],
+    ['TQF/FFF/BMU', 312],
+    ['GAR', 576],
+    ['ENT', 35],
+    ['PAT', 169],
+  ],
+  '00000400000300000701.vdf': [
+    ['GAR', 576],
+    ['FFF', 161],
+    ['CTH/FFF/BMU', 216],
+    ['DEK', 548],
+    ['HSF/FFF/BMU', 266],
+    ['CTH/FFF/BMU', 56],
+    ['ENT', 32],
+    ['CTH/FFF/BMF', 256],
+    ['UFF/FFF/BMF', 360],
+    ['UFF/FFF/BMU', 224],
+    ['CTH/FFF/PRS', 286],
+    ['CTH/FFF/BMU', 322],
+    ['PAT', 96],
+  ],
+  '00000400000300000801.vdf': [
+    ['FFF/BMU', 418],
+    ['TQF/FFF/BMU', 1160],
+    ['DEK', 570.79],
+    ['TQF/FFF/BMU', 312],
+    ['GAR', 576],
+    ['ENT', 35],
+    ['PAT', 169],
+  ],
+  '00000400000300001001.vdf': [
+    ['CTH/EPF', 165],
+    ['FFF/BMU', 437],
+    ['TQF/FFF/BMU', 920],
+    ['ENT', 28],
+    ['CTH/FFF/BMU', 204],
+    ['FFF/BMU', 18],
+    ['GAR', 576],
+    ['ENT', 21],
+    ['PAT', 161],
+    ['CTH/FFF/BMU', 138],
+    ['PAT', 84],
+  ],
+};
+
+function readFixture(filename) {
+  return fs.readFileSync(path.join(EXAMPLES_DIR, filename));
+}
+
+function summarize(shapes) {
+  return shapes.map((shape) => [
+    shape.codes.join('/'),
+    Math.round(shape.area * 100) / 100,
+  ]);
+}
+
+// Areas of a parsed drawing in the shape writeVDF takes
+function toAreas({ shapes, dimensions, labels }) {
+  return shapes.map((shape) => {
+    const label = labels.find((l) => l.areaId === shape.areaId);
+    return {
+      codes: shape.codes,
+      points: shape.points,
+      dimensions: dimensions
+        .filter((d) => d.areaId === shape.areaId && !d.hidden)
+        .map(({ x, y, angle, text }) => ({ x, y, angle, text })),
+      label: label ? { x: label.x, y: label.y } : null,
+    };
+  });
+}
+
+// Rectangles come back from the sketch editor starting at another corner
+function sortPoints(points) {
+  return points
+    .map(({ x, y }) => ({ x: Math.round(x * 100), y: Math.round(y * 100) }))
+    .sort((a, b) => a.x - b.x || a.y - b.y)
+    .map(({ x, y }) => ({ x: x / 100, y: y / 100 }));
+}
+
+function assertPointsClose(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((point, i) => {
+    assert.ok(
+      Math.abs(point.x - expected[i].x) <= tolerance &&
+        Math.abs(point.y - expected[i].y) <= tolerance,
+      `point ${i}: (${point.x}, ${point.y}) != (${expected[i].x}, ${expected[i].y})`,
+    );
+  });
+}
+
+describe('VDF | desktop sketches', () => {
+  for (const [filename, expected] of Object.entries(FIXTURES)) {
+    describe(filename, () => {
+      const desktop = parseVDFGeometry(readFixture(filename));
+
+      test('reads every area with its codes and square footage', () => {
+        assert.deepEqual(summarize(desktop.shapes), expected);
+        desktop.shapes.forEach((shape) => {
+          const label = desktop.labels.find((l) => l.areaId === shape.areaId);
+          assert.deepEqual(label?.lines, shape.codes);
+        });
+      });
+
+      test('rewrites the areas so the reader gets them back unchanged', () => {
+        const rewritten = parseVDFGeometry(writeVDF(toAreas(desktop)));
+
+        assert.deepEqual(summarize(rewritten.shapes), expected);
+        rewritten.shapes.forEach((shape, i) => {
+          assert.ok(shape.closed);
+          assertPointsClose(shape.points, desktop.shapes[i].points, 1e-9);
+        });
+        assert.deepEqual(
+          rewritten.labels.map((label) => label.lines),
+          desktop.shapes.map((shape) => shape.codes),
+        );
+        assert.deepEqual(
+          rewritten.dimensions.map((d) => d.text),
+          toAreas(desktop).flatMap((area) =>
+            area.dimensions.map((d) => d.text),
+          ),
+        );
+      });
+
+      test('exports an imported sketch back to the same areas', async () => {
+        const vdfData = await parseVDFFile(readFixture(filename));
+        const sketch = convertToPropertySketch(vdfData, { cardNumber: 1 });
+        const { buffer, extension } = exportSketch(sketch, 'vdf');
+        const exported = parseVDFGeometry(buffer);
+
+        assert.equal(extension, 'vdf');
+        assert.deepEqual(summarize(exported.shapes), expected);
+
+        // Same corners, moved to the export origin
+        const offset = (shapes) => {
+          const points = shapes.flatMap((shape) => shape.points);
+          return {
+            x: Math.min(...points.map((p) => p.x)),
+            y: Math.min(...points.map((p) => p.y)),
+          };
+        };
+        const from = offset(desktop.shapes);
+        const to = offset(exported.shapes);
+        exported.shapes.forEach((shape, i) => {
+          assertPointsClose(
+            sortPoints(
+              shape.points.map((p) => ({ x: p.x - to.x, y: p.y - to.y })),
+            ),
+            sortPoints(
+              desktop.shapes[i].points.map((p) => ({
+                x: p.x - from.x,
+                y: p.y - from.y,
+              })),
+            ),
+            0.01,
+          );
+        });
+      });
+    });
+  }
+
+  test('keeps the desktop file name for the card', () => {
+    const filename = formatVDFFilename('000004000003000007', 1);
+    assert.equal(filename, '00000400000300000701.vdf');
+    assert.deepEqual(parseVDFFilename(filename), {
+      pid: '000004000003000007',
+      cardNumber: 1,
+    });
+  });
+
+  test('writes an empty drawing the reader accepts', () => {
+    const { shapes, dimensions, labels } = parseVDFGeometry(writeVDF([]));
+    assert.deepEqual(shapes, []);
+    assert.deepEqual(dimensions, []);
+    assert.deepEqual(labels, []);
+  });
+});
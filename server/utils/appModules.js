@@ -0,0 +1,78 @@
+// Shared calculation modules live in app/utils so the Ember app and the API
+// run the same code. They are ES modules, which Node only loads through
+// require() from version 20; on older supported versions (engines >= 18) a
+// plain require() fails with "Unexpected token 'export'".
+//
+// requireAppModule compiles one of them as CommonJS instead: the `export`
+// keywords on top-level declarations are dropped and the declared names
+// become module.exports. Only dependency-free modules written that way are
+// supported (no import statements, no export lists).
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const APP_UTILS_DIR = path.join(__dirname, '../../app/utils');
+
+// export function|class|const|let|var NAME, export async function NAME
+const NAMED_EXPORT =
+  /^export\s+((?:async\s+)?function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+// export default NAME;
+const DEFAULT_EXPORT = /^export\s+default\s+([A-Za-z_$][\w$]*)\s*;?\s*$/m;
+
+const cache = new Map();
+
+function toCommonJS(source, filename) {
+  if (/^\s*import\s/m.test(source) || /^\s*export\s*\{/m.test(source)) {
+    throw new Error(
+      `${filename} uses import statements or export lists, which requireAppModule does not support`,
+    );
+  }
+
+  const names = [];
+  let converted = source.replace(NAMED_EXPORT, (match, keyword, name) => {
+    names.push(name);
+    return `${keyword} ${name}`;
+  });
+
+  // Modules with a default export already assign module.exports themselves
+  // (see land-assessment-calculator.js)
+  const defaultExport = converted.match(DEFAULT_EXPORT);
+  if (defaultExport) {
+    converted = converted.replace(DEFAULT_EXPORT, '');
+  }
+
+  if (names.length > 0) {
+    converted += `\nmodule.exports = { ${names.join(', ')} };\n`;
+  } else if (defaultExport && !/module\.exports\s*=/.test(converted)) {
+    converted += `\nmodule.exports = ${defaultExport[1]};\n`;
+  }
+
+  return converted;
+}
+
+/**
+ * Load a shared module from app/utils as CommonJS
+ * @param {string} name - File name without extension, e.g. 'fee-formula'
+ * @returns {*} - The module's exports
+ */
+function requireAppModule(name) {
+  if (cache.has(name)) {
+    return cache.get(name);
+  }
+
+  const filename = path.join(APP_UTILS_DIR, `${name}.js`);
+  const source = fs.readFileSync(filename, 'utf8');
+
+  const compiled = new Module(filename, module);
+  compiled.filename = filename;
+  compiled.paths = Module._nodeModulePaths(APP_UTILS_DIR);
+  compiled._compile(toCommonJS(source, filename), filename);
+
+  cache.set(name, compiled.exports);
+  return compiled.exports;
+}
+
+module.exports = {
+  requireAppModule,
+};
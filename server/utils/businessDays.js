@@ -0,0 +1,124 @@
+/**
+ * Business day calculations
+ * Counts weekdays in a municipality's timezone, skipping municipal holidays
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date|string} date - Date to convert
+ * @param {string} timeZone - IANA timezone (defaults to UTC)
+ * @returns {string} - Date key
+ */
+function toDateKey(date, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(date));
+}
+
+/**
+ * Normalize holidays to a set of date keys.
+ * Holidays are calendar dates, so Date values are read in UTC.
+ * @param {Array<Date|string|Object>} holidays - Dates, date strings or { date } entries
+ * @returns {Set<string>}
+ */
+function toHolidaySet(holidays = []) {
+  const keys = new Set();
+  for (const holiday of holidays) {
+    const value = holiday?.date ?? holiday;
+    if (!value) continue;
+    keys.add(
+      typeof value === 'string' ? value.slice(0, 10) : toDateKey(value, 'UTC'),
+    );
+  }
+  return keys;
+}
+
+function keyOf(value, timeZone) {
+  return typeof value === 'string'
+    ? value.slice(0, 10)
+    : toDateKey(value, timeZone);
+}
+
+function shiftKey(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function isBusinessDayKey(key, holidaySet) {
+  const dayOfWeek = new Date(`${key}T00:00:00Z`).getUTCDay();
+  return dayOfWeek !== 0 && dayOfWeek !== 6 && !holidaySet.has(key);
+}
+
+/**
+ * Check whether a date is a business day
+ * @param {Date|string} date - Date or date key to check
+ * @param {Object} options - { holidays, timeZone }
+ * @returns {boolean}
+ */
+function isBusinessDay(date, { holidays = [], timeZone } = {}) {
+  return isBusinessDayKey(keyOf(date, timeZone), toHolidaySet(holidays));
+}
+
+/**
+ * Add business days to a date
+ * @param {Date|string} start - Start date or date key (not itself counted)
+ * @param {number} days - Business days to add
+ * @param {Object} options - { holidays, timeZone }
+ * @returns {Date} - Resulting calendar day (midnight UTC)
+ */
+function addBusinessDays(start, days, { holidays = [], timeZone } = {}) {
+  const holidaySet = toHolidaySet(holidays);
+  let key = keyOf(start, timeZone);
+  let remaining = Math.max(0, Math.floor(days));
+
+  while (remaining > 0) {
+    key = shiftKey(key, 1);
+    if (isBusinessDayKey(key, holidaySet)) remaining--;
+  }
+
+  return new Date(`${key}T00:00:00Z`);
+}
+
+/**
+ * Signed number of business days from one date to another.
+ * Counts business days after `from` up to and including `to`;
+ * negative when `to` is before `from`.
+ * Date keys (YYYY-MM-DD) are used as-is; Date values are read in the timezone.
+ * @param {Date|string} from - Start date or date key
+ * @param {Date|string} to - End date or date key
+ * @param {Object} options - { holidays, timeZone }
+ * @returns {number}
+ */
+function businessDaysBetween(from, to, { holidays = [], timeZone } = {}) {
+  const holidaySet = toHolidaySet(holidays);
+  const fromKey = keyOf(from, timeZone);
+  const toKey = keyOf(to, timeZone);
+
+  if (fromKey === toKey) return 0;
+
+  const direction = toKey > fromKey ? 1 : -1;
+  let key = fromKey;
+  let count = 0;
+
+  while (key !== toKey) {
+    key = shiftKey(key, direction);
+    const counted = direction > 0 ? key : shiftKey(key, 1);
+    if (isBusinessDayKey(counted, holidaySet)) count++;
+  }
+
+  return count * direction;
+}
+
+module.exports = {
+  toDateKey,
+  toHolidaySet,
+  isBusinessDay,
+  addBusinessDays,
+  businessDaysBetween,
+};
@@ -0,0 +1,296 @@
+const { ObjectId } = require('mongodb');
+const { MODULES } = require('../config/modules');
+
+// Collections clients may watch, the module that grants access to them, the
+// field holding the owning municipality, and fields external users
+// (contractors and citizens) must never receive.
+const OWNER_PII_FIELDS = ['owner', 'owners'];
+
+const CHANGE_STREAM_COLLECTIONS = {
+  property_tree_nodes: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipality_id',
+    redact: OWNER_PII_FIELDS,
+  },
+  parcel_assessments: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipality_id',
+  },
+  land_assessments: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipality_id',
+  },
+  building_assessments: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipality_id',
+  },
+  propertyviews: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipalityId',
+  },
+  propertysketches: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipality_id',
+  },
+  owners: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipality_id',
+    redact: [
+      'first_name',
+      'last_name',
+      'middle_initial',
+      'business_name',
+      'phone',
+      'email',
+      'address',
+      'mailing_address',
+      'notes',
+    ],
+  },
+  sales_history: {
+    module: MODULES.ASSESSING,
+    municipalityField: 'municipality_id',
+    redact: ['buyer_name', 'buyer_id', 'seller_name', 'seller_id'],
+  },
+  permits: {
+    module: MODULES.BUILDING_PERMITS,
+    municipalityField: 'municipalityId',
+    redact: ['applicant.email', 'applicant.phone', 'applicant.address'],
+  },
+  permit_inspections: {
+    module: MODULES.BUILDING_PERMITS,
+    municipalityField: 'municipalityId',
+  },
+  tax_bills: {
+    module: MODULES.TAX_COLLECTION,
+    municipalityField: 'municipality_id',
+  },
+};
+
+// Names the client has historically requested
+const COLLECTION_ALIASES = {
+  properties: 'property_tree_nodes',
+  assessments: 'parcel_assessments',
+  views: 'propertyviews',
+  sketches: 'propertysketches',
+};
+
+const DEFAULT_COLLECTIONS = [
+  'property_tree_nodes',
+  'parcel_assessments',
+  'propertyviews',
+  'propertysketches',
+];
+
+function isAvitarStaff(user) {
+  return ['avitar_staff', 'avitar_admin'].includes(user?.global_role);
+}
+
+/**
+ * Resolve requested collection names (or aliases) to watchable collections
+ * @param {string[]} requested - Names from the query string; empty for defaults
+ * @returns {{ collections: string[], unknown: string[] }}
+ */
+function resolveCollections(requested = []) {
+  const names = requested.length > 0 ? requested : DEFAULT_COLLECTIONS;
+  const collections = [];
+  const unknown = [];
+
+  names.forEach((name) => {
+    const collection = COLLECTION_ALIASES[name] || name;
+    if (!CHANGE_STREAM_COLLECTIONS[collection]) {
+      unknown.push(name);
+    } else if (!collections.includes(collection)) {
+      collections.push(collection);
+    }
+  });
+
+  return { collections, unknown };
+}
+
+/**
+ * Work out which municipalities a user may see each collection for
+ * @param {Object} user - Authenticated user document
+ * @param {string[]} collections - Resolved collection names
+ * @param {string|null} municipalityId - Optional single municipality to watch
+ * @returns {Object} - collection name → array of municipality id strings, or
+ *   null for unrestricted (Avitar staff watching every municipality).
+ *   Collections the user cannot see in any municipality are omitted.
+ */
+function buildScope(user, collections, municipalityId = null) {
+  const scope = {};
+
+  if (isAvitarStaff(user)) {
+    collections.forEach((collection) => {
+      scope[collection] = municipalityId ? [municipalityId.toString()] : null;
+    });
+    return scope;
+  }
+
+  const permissions = (user.municipal_permissions || []).filter(
+    (permission) =>
+      (!municipalityId ||
+        permission.municipality_id.toString() === municipalityId.toString()) &&
+      user.hasAccessToMunicipality(permission.municipality_id),
+  );
+
+  collections.forEach((collection) => {
+    const { module } = CHANGE_STREAM_COLLECTIONS[collection];
+    const municipalityIds = permissions
+      .filter((permission) =>
+        user.hasModulePermission(permission.municipality_id, module, 'read'),
+      )
+      .map((permission) => permission.municipality_id.toString());
+
+    if (municipalityIds.length > 0) {
+      scope[collection] = municipalityIds;
+    }
+  });
+
+  return scope;
+}
+
+/**
+ * Whether field-level redaction applies to the user in a municipality
+ * @param {Object} user
+ * @param {string} municipalityId
+ * @returns {boolean}
+ */
+function isExternalViewer(user, municipalityId) {
+  if (isAvitarStaff(user)) return false;
+  if (['contractor', 'citizen'].includes(user.global_role)) return true;
+
+  const permission = municipalityId
+    ? user.getMunicipalityPermission(municipalityId)
+    : null;
+  return permission?.role === 'contractor';
+}
+
+/**
+ * Change stream $match stage limited to the scope's collections and
+ * municipalities. Deletes only carry the municipality when pre-images are
+ * enabled, so they match on either the post- or pre-change document.
+ * @param {string} dbName
+ * @param {Object} scope - From buildScope
+ * @returns {Object}
+ */
+function buildScopeMatch(dbName, scope) {
+  const clauses = Object.entries(scope).map(([collection, municipalityIds]) => {
+    if (municipalityIds === null) {
+      return { 'ns.coll': collection };
+    }
+
+    const { municipalityField } = CHANGE_STREAM_COLLECTIONS[collection];
+    const ids = municipalityIds.map((id) => new ObjectId(id));
+    return {
+      'ns.coll': collection,
+      $or: [
+        { [`fullDocument.${municipalityField}`]: { $in: ids } },
+        { [`fullDocumentBeforeChange.${municipalityField}`]: { $in: ids } },
+      ],
+    };
+  });
+
+  return {
+    $match: {
+      'ns.db': dbName,
+      operationType: { $in: ['insert', 'update', 'delete', 'replace'] },
+      $or: clauses,
+    },
+  };
+}
+
+function getChangeMunicipalityId(change, municipalityField) {
+  const value =
+    change.fullDocument?.[municipalityField] ??
+    change.fullDocumentBeforeChange?.[municipalityField];
+  return value ? value.toString() : null;
+}
+
+/**
+ * Check a change event against a connection's scope. Used for every event
+ * sent, including injected ones that never pass through the pipeline.
+ * @param {Object} scope - From buildScope
+ * @param {Object} change - Change stream event
+ * @returns {boolean}
+ */
+function isChangeInScope(scope, change) {
+  const collection = change.ns?.coll;
+  if (!Object.prototype.hasOwnProperty.call(scope, collection)) return false;
+
+  const municipalityIds = scope[collection];
+  if (municipalityIds === null) return true;
+
+  const { municipalityField } = CHANGE_STREAM_COLLECTIONS[collection];
+  const municipalityId = getChangeMunicipalityId(change, municipalityField);
+  return !!municipalityId && municipalityIds.includes(municipalityId);
+}
+
+function removePath(document, path) {
+  if (!document) return;
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => node?.[part], document);
+  if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
+
+function isRedactedKey(key, fields) {
+  return fields.some((field) => key === field || key.startsWith(`${field}.`));
+}
+
+/**
+ * Strip fields the user may not see from a change event. Returns a copy; the
+ * original event is shared between connections.
+ * @param {Object} user
+ * @param {Object} change - Client change event
+ * @returns {Object}
+ */
+function redactChange(user, change) {
+  const policy = CHANGE_STREAM_COLLECTIONS[change.ns?.coll];
+  if (!policy?.redact?.length) return change;
+
+  const municipalityId = getChangeMunicipalityId(
+    change,
+    policy.municipalityField,
+  );
+  if (!isExternalViewer(user, municipalityId)) return change;
+
+  const redacted = JSON.parse(JSON.stringify(change));
+  policy.redact.forEach((field) => {
+    removePath(redacted.fullDocument, field);
+    removePath(redacted.fullDocumentBeforeChange, field);
+  });
+
+  const description = redacted.updateDescription;
+  if (description) {
+    if (description.updatedFields) {
+      Object.keys(description.updatedFields)
+        .filter((key) => isRedactedKey(key, policy.redact))
+        .forEach((key) => delete description.updatedFields[key]);
+    }
+    if (description.removedFields) {
+      description.removedFields = description.removedFields.filter(
+        (key) => !isRedactedKey(key, policy.redact),
+      );
+    }
+    if (description.truncatedArrays) {
+      description.truncatedArrays = description.truncatedArrays.filter(
+        (entry) => !isRedactedKey(entry.field, policy.redact),
+      );
+    }
+  }
+
+  return redacted;
+}
+
+module.exports = {
+  CHANGE_STREAM_COLLECTIONS,
+  isAvitarStaff,
+  resolveCollections,
+  buildScope,
+  buildScopeMatch,
+  isChangeInScope,
+  redactChange,
+};
@@ -0,0 +1,348 @@
+// VectorDraw (VDF) sketch reader
+//
+// Building sketches from the desktop CAMA product are VectorDraw drawings
+// (the header says "VectroDrawFormat"). Table entries and drawing entities
+// are stored as object records:
+//
+//   int32   color (GEOM 8, DIMS 9, area label 5, block 3)
+//   ff ff, 2x2 matrix as 4 doubles (identity), 00
+//   str     name, str name again, str handle (hex, unique per drawing)
+//   10 zero bytes, ff ff, 8 zero bytes
+//   str     layer - GEOM, DIMS, DIMSHIDDEN, AREA, or "0" for table entries
+//   int32   xdata count, each entry:
+//           int32 0x10, int32 length + name, int32 1000, int16 length + value
+//   body    depends on the layer (see the read*Body functions)
+//
+// Strings are 1-byte length prefixed Latin-1, numbers are little endian and
+// coordinates are feet with y pointing up.
+//
+// A building area is a closed polyline on layer GEOM tagged with AREAS
+// ("CTH,FFF,BMU") and AREA_ID xdata. Its wall lengths are text on layer DIMS
+// and its label is an insert of a block holding one text line per code.
+
+const VDF_MAGIC = 'VectroDrawFormat';
+
+const LAYERS = {
+  geometry: 'GEOM',
+  dimensions: 'DIMS',
+  hiddenDimensions: 'DIMSHIDDEN',
+  labels: 'AREA',
+  tables: '0',
+};
+
+const COLORS = {
+  geometry: 8,
+  dimension: 9,
+  label: 5,
+  block: 3,
+  blockText: 9,
+};
+
+const XDATA_AREAS = 'AREAS';
+const XDATA_AREA_ID = 'AREA_ID';
+const XDATA_ENTRY_TYPE = 0x10;
+const XDATA_STRING_CODE = 1000;
+
+// Everything in a record after the color: ff ff and the identity matrix
+const RECORD_SIGNATURE = Buffer.concat([
+  Buffer.from([0xff, 0xff]),
+  Buffer.from(new Float64Array([1, 0, 0, 1]).buffer),
+]);
+
+/**
+ * Sequential little-endian reader over a buffer
+ */
+class VDFCursor {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new RangeError(
+        `VDF record runs past the end of the file at ${this.offset}`,
+      );
+    }
+  }
+
+  skip(length) {
+    this.ensure(length);
+    this.offset += length;
+  }
+
+  byte() {
+    this.ensure(1);
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  int16() {
+    this.ensure(2);
+    const value = this.buffer.readInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  int32() {
+    this.ensure(4);
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  double() {
+    this.ensure(8);
+    const value = this.buffer.readDoubleLE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  string() {
+    return this.chars(this.byte());
+  }
+
+  chars(length) {
+    this.ensure(length);
+    const value = this.buffer.toString(
+      'latin1',
+      this.offset,
+      this.offset + length,
+    );
+    this.offset += length;
+    return value;
+  }
+}
+
+/**
+ * Find every object record in a drawing
+ * @param {Buffer} buffer - VDF file contents
+ * @returns {number[]} - Record start offsets in file order
+ */
+function findRecordOffsets(buffer) {
+  const offsets = [];
+  let index = buffer.indexOf(RECORD_SIGNATURE, 4);
+
+  while (index !== -1) {
+    offsets.push(index - 4);
+    index = buffer.indexOf(RECORD_SIGNATURE, index + RECORD_SIGNATURE.length);
+  }
+
+  return offsets;
+}
+
+/**
+ * Read an object record header
+ * @param {Buffer} buffer - VDF file contents
+ * @param {number} offset - Record start
+ * @returns {Object} - { offset, color, name, handle, layer, xdata, bodyOffset }
+ */
+function readRecord(buffer, offset) {
+  const cursor = new VDFCursor(buffer, offset);
+  const color = cursor.int32();
+  cursor.skip(RECORD_SIGNATURE.length + 1);
+
+  const name = cursor.string();
+  cursor.string(); // Same name again
+  const handle = cursor.string();
+  cursor.skip(20);
+  const layer = cursor.string();
+
+  const xdata = {};
+  const xdataCount = cursor.int32();
+  for (let i = 0; i < xdataCount; i++) {
+    cursor.int32(); // Entry type
+    const key = cursor.chars(cursor.int32());
+    cursor.int32(); // Value type
+    xdata[key] = cursor.chars(cursor.int16());
+  }
+
+  return {
+    offset,
+    color,
+    name,
+    handle,
+    layer,
+    xdata,
+    bodyOffset: cursor.offset,
+  };
+}
+
+/**
+ * Polyline body: int32 0, closed flag, thickness, linetype scale, int16
+ * point count, then 32 bytes per point (x, y and two unused doubles)
+ */
+function readPolylineBody(buffer, offset) {
+  const cursor = new VDFCursor(buffer, offset);
+  cursor.int32();
+  const closed = cursor.byte() === 1;
+  cursor.skip(16);
+
+  const count = cursor.int16();
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const x = cursor.double();
+    const y = cursor.double();
+    cursor.skip(16);
+    points.push({ x, y });
+  }
+
+  return { closed, points };
+}
+
+/**
+ * Text body (wall lengths and label block lines): insertion point, z,
+ * height, rotation in radians, then the text
+ */
+function readTextBody(buffer, offset) {
+  const cursor = new VDFCursor(buffer, offset);
+  const x = cursor.double();
+  const y = cursor.double();
+  cursor.double();
+  const height = cursor.double();
+  const angle = cursor.double();
+  const text = cursor.string();
+
+  return { x, y, height, angle, text };
+}
+
+/**
+ * Block insert body (area labels): block name, then the insertion point
+ */
+function readInsertBody(buffer, offset) {
+  const cursor = new VDFCursor(buffer, offset);
+  const block = cursor.string();
+  const x = cursor.double();
+  const y = cursor.double();
+
+  return { block, x, y };
+}
+
+/**
+ * Block definition body: block name, 33 zero bytes, int32 entity count;
+ * that many records follow with the block's entities
+ */
+function readBlockBody(buffer, offset) {
+  const cursor = new VDFCursor(buffer, offset);
+  const name = cursor.string();
+  cursor.skip(33);
+
+  return { name, count: cursor.int32() };
+}
+
+/**
+ * Shoelace area of a closed polygon
+ * @param {Object[]} points - [{ x, y }]
+ * @returns {number} - Unsigned area in the points' units squared
+ */
+function polygonArea(points) {
+  let sum = 0;
+  points.forEach((point, i) => {
+    const next = points[(i + 1) % points.length];
+    sum += point.x * next.y - next.x * point.y;
+  });
+  return Math.abs(sum) / 2;
+}
+
+function splitCodes(value) {
+  return (value || '')
+    .split(',')
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse the building areas out of a VDF sketch
+ * @param {Buffer} buffer - VDF file contents
+ * @returns {Object} - { shapes, dimensions, labels }
+ *   shapes:     [{ handle, areaId, codes, closed, points, area }] in feet
+ *   dimensions: [{ handle, areaId, x, y, text, angle, hidden }]
+ *   labels:     [{ handle, areaId, block, x, y, lines }]
+ */
+function parseVDFGeometry(buffer) {
+  if (!Buffer.isBuffer(buffer) || !buffer.subarray(0, 64).includes(VDF_MAGIC)) {
+    throw new Error('Not a VectorDraw (VDF) file');
+  }
+
+  const records = findRecordOffsets(buffer).map((offset) =>
+    readRecord(buffer, offset),
+  );
+
+  const shapes = [];
+  const dimensions = [];
+  const labels = [];
+  const blocks = new Map();
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    const areaId = record.xdata[XDATA_AREA_ID] || null;
+
+    switch (record.layer) {
+      case LAYERS.geometry: {
+        const { closed, points } = readPolylineBody(buffer, record.bodyOffset);
+        if (points.length < 3) break;
+
+        shapes.push({
+          handle: record.handle,
+          areaId,
+          codes: splitCodes(record.xdata[XDATA_AREAS] ?? record.name),
+          closed,
+          points,
+          area: polygonArea(points),
+        });
+        break;
+      }
+      case LAYERS.dimensions:
+      case LAYERS.hiddenDimensions: {
+        const text = readTextBody(buffer, record.bodyOffset);
+        dimensions.push({
+          handle: record.handle,
+          areaId,
+          x: text.x,
+          y: text.y,
+          text: text.text,
+          angle: text.angle,
+          hidden: record.layer === LAYERS.hiddenDimensions,
+        });
+        break;
+      }
+      case LAYERS.labels:
+        // Block text lines are read with their block; inserts carry an AREA_ID
+        if (areaId) {
+          const insert = readInsertBody(buffer, record.bodyOffset);
+          labels.push({ handle: record.handle, areaId, ...insert, lines: [] });
+        }
+        break;
+      case LAYERS.tables:
+        if (record.color === COLORS.block) {
+          const block = readBlockBody(buffer, record.bodyOffset);
+          const lines = records
+            .slice(i + 1, i + 1 + block.count)
+            .filter((child) => child.layer === LAYERS.labels)
+            .map((child) => readTextBody(buffer, child.bodyOffset).text);
+          blocks.set(block.name, lines);
+        }
+        break;
+    }
+  }
+
+  labels.forEach((label) => {
+    label.lines = blocks.get(label.block) || [];
+  });
+
+  return { shapes, dimensions, labels };
+}
+
+module.exports = {
+  VDF_MAGIC,
+  LAYERS,
+  COLORS,
+  RECORD_SIGNATURE,
+  XDATA_AREAS,
+  XDATA_AREA_ID,
+  XDATA_ENTRY_TYPE,
+  XDATA_STRING_CODE,
+  parseVDFGeometry,
+  findRecordOffsets,
+  readRecord,
+  polygonArea,
+};
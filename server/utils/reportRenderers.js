@@ -0,0 +1,770 @@
+// Report output renderers
+//
+// Every renderer takes the same report document and returns a Buffer:
+// {
+//   title: 'Assessment Roll',
+//   subtitle: 'Tax Year 2025',
+//   municipality: { name, address_lines: [] },
+//   generated_at: Date,
+//   parameters: [{ label, value }],
+//   sections: [
+//     {
+//       title: 'Residential',
+//       columns: [{ key, label, type: 'text'|'number'|'currency'|'percent'|'date', width }],
+//       rows: [{ [key]: value }],
+//       totals: { [key]: value }, // optional
+//     },
+//   ],
+// }
+
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+
+const FORMATS = {
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  excel: {
+    extension: 'xlsx',
+    mimeType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  html: { extension: 'html', mimeType: 'text/html' },
+  json: { extension: 'json', mimeType: 'application/json' },
+};
+
+/**
+ * Format a cell value for display
+ * @param {*} value - Raw value
+ * @param {string} type - Column type
+ * @returns {string} - Display string
+ */
+function formatValue(value, type) {
+  if (value === null || value === undefined || value === '') return '';
+
+  switch (type) {
+    case 'currency':
+      return `$${Number(value).toLocaleString('en-US', {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 2,
+      })}`;
+    case 'number':
+      return Number(value).toLocaleString('en-US', {
+        maximumFractionDigits: 2,
+      });
+    case 'percent':
+      return `${(Number(value) * 100).toFixed(2)}%`;
+    case 'date': {
+      const date = new Date(value);
+      return isNaN(date) ? String(value) : date.toISOString().split('T')[0];
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Raw (unformatted) value for spreadsheet/CSV cells so numbers stay numeric
+ */
+function rawValue(value, type) {
+  if (value === null || value === undefined) return '';
+  if (type === 'date') return formatValue(value, type);
+  return value;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeCsv(value) {
+  const str = String(value ?? '');
+  if (/[",\n\r]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+function totalsRow(section) {
+  if (!section.totals) return null;
+  return section.columns.map((column, index) => {
+    if (section.totals[column.key] !== undefined) {
+      return section.totals[column.key];
+    }
+    return index === 0 ? 'Total' : '';
+  });
+}
+
+/**
+ * Build the report header block from a Municipality document
+ * @param {Object} municipality - Municipality document
+ * @returns {Object} - { name, address_lines }
+ */
+function municipalityHeader(municipality) {
+  const address = municipality.contact_info?.address;
+
+  return {
+    name: municipality.displayName || municipality.name,
+    address_lines: address
+      ? [
+          address.street,
+          `${address.city}, ${municipality.state} ${address.zipCode}`,
+        ]
+      : [],
+  };
+}
+
+/**
+ * Render report as JSON
+ */
+function renderJson(report) {
+  return Buffer.from(JSON.stringify(report, null, 2), 'utf8');
+}
+
+/**
+ * Render report as CSV (sections separated by a blank line)
+ */
+function renderCsv(report) {
+  const lines = [];
+
+  report.sections.forEach((section, index) => {
+    if (index > 0) lines.push('');
+    if (section.title) lines.push(escapeCsv(section.title));
+
+    lines.push(section.columns.map((c) => escapeCsv(c.label)).join(','));
+    for (const row of section.rows) {
+      lines.push(
+        section.columns
+          .map((c) => escapeCsv(rawValue(row[c.key], c.type)))
+          .join(','),
+      );
+    }
+
+    const totals = totalsRow(section);
+    if (totals) lines.push(totals.map(escapeCsv).join(','));
+  });
+
+  return Buffer.from(lines.join('\r\n'), 'utf8');
+}
+
+/**
+ * Render report as an Excel workbook (one sheet per section)
+ */
+function renderExcel(report) {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+
+  report.sections.forEach((section, index) => {
+    const rows = [
+      section.columns.map((c) => c.label),
+      ...section.rows.map((row) =>
+        section.columns.map((c) => rawValue(row[c.key], c.type)),
+      ),
+    ];
+    const totals = totalsRow(section);
+    if (totals) rows.push(totals);
+
+    const worksheet = XLSX.utils.aoa_to_sheet(rows);
+    worksheet['!cols'] = section.columns.map((c) => ({
+      wch: Math.max(10, c.label.length + 2),
+    }));
+
+    // Sheet names are limited to 31 chars and must be unique
+    let name = (section.title || `Sheet ${index + 1}`)
+      .replace(/[\\/?*[\]:]/g, '')
+      .substring(0, 31);
+    while (usedNames.has(name)) {
+      name = `${name.substring(0, 28)} ${index + 1}`;
+    }
+    usedNames.add(name);
+
+    XLSX.utils.book_append_sheet(workbook, worksheet, name);
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Render report as a standalone HTML document
+ */
+function renderHtml(report) {
+  const parts = [];
+
+  parts.push('<!DOCTYPE html>');
+  parts.push('<html><head><meta charset="utf-8">');
+  parts.push(`<title>${escapeHtml(report.title)}</title>`);
+  parts.push(
+    '<style>body{font-family:Helvetica,Arial,sans-serif;font-size:12px;margin:24px;}' +
+      'h1{font-size:18px;margin:0;}h2{font-size:14px;margin:24px 0 8px;}' +
+      'table{border-collapse:collapse;width:100%;}' +
+      'th,td{border:1px solid #ccc;padding:4px 6px;text-align:left;}' +
+      'th{background:#f0f0f0;}td.num{text-align:right;}' +
+      'tr.totals td{font-weight:bold;background:#fafafa;}' +
+      '.meta{color:#555;margin:4px 0;}</style>',
+  );
+  parts.push('</head><body>');
+
+  if (report.municipality?.name) {
+    parts.push(
+      `<div class="meta">${escapeHtml(report.municipality.name)}</div>`,
+    );
+  }
+  parts.push(`<h1>${escapeHtml(report.title)}</h1>`);
+  if (report.subtitle) {
+    parts.push(`<div class="meta">${escapeHtml(report.subtitle)}</div>`);
+  }
+  for (const param of report.parameters || []) {
+    parts.push(
+      `<div class="meta">${escapeHtml(param.label)}: ${escapeHtml(param.value)}</div>`,
+    );
+  }
+
+  for (const section of report.sections) {
+    if (section.title) parts.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    parts.push('<table><thead><tr>');
+    for (const column of section.columns) {
+      parts.push(`<th>${escapeHtml(column.label)}</th>`);
+    }
+    parts.push('</tr></thead><tbody>');
+
+    for (const row of section.rows) {
+      parts.push('<tr>');
+      for (const column of section.columns) {
+        const cls = column.type && column.type !== 'text' ? ' class="num"' : '';
+        parts.push(
+          `<td${cls}>${escapeHtml(formatValue(row[column.key], column.type))}</td>`,
+        );
+      }
+      parts.push('</tr>');
+    }
+
+    if (section.totals) {
+      parts.push('<tr class="totals">');
+      section.columns.forEach((column, index) => {
+        const value = section.totals[column.key];
+        const display =
+          value !== undefined
+            ? formatValue(value, column.type)
+            : index === 0
+              ? 'Total'
+              : '';
+        parts.push(`<td>${escapeHtml(display)}</td>`);
+      });
+      parts.push('</tr>');
+    }
+
+    parts.push('</tbody></table>');
+  }
+
+  parts.push(
+    `<div class="meta">Generated ${escapeHtml(formatValue(report.generated_at, 'date'))}</div>`,
+  );
+  parts.push('</body></html>');
+
+  return Buffer.from(parts.join('\n'), 'utf8');
+}
+
+/**
+ * Render report as a PDF using PDFKit (no headless browser).
+ * CreationDate is pinned to generated_at so the same data always yields the same file.
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(report, options = {}) {
+  return new Promise((resolve, reject) => {
+    const generatedAt = new Date(report.generated_at || Date.now());
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      layout: options.layout || 'portrait',
+      margin: 40,
+      bufferPages: true,
+      info: {
+        Title: report.title,
+        Author: report.municipality?.name || 'Avitar',
+        CreationDate: generatedAt,
+        ModDate: generatedAt,
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const usableWidth =
+      doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom - 20;
+
+    // Header
+    if (report.municipality?.name) {
+      doc.font('Helvetica-Bold').fontSize(12).text(report.municipality.name);
+      doc.font('Helvetica').fontSize(9);
+      for (const line of report.municipality.address_lines || []) {
+        doc.text(line);
+      }
+      doc.moveDown(0.5);
+    }
+    doc.font('Helvetica-Bold').fontSize(16).text(report.title);
+    if (report.subtitle) {
+      doc.font('Helvetica').fontSize(10).text(report.subtitle);
+    }
+    doc.font('Helvetica').fontSize(9);
+    for (const param of report.parameters || []) {
+      doc.text(`${param.label}: ${param.value}`);
+    }
+    doc.moveDown();
+
+    const drawRow = (cells, widths, { bold = false, fill = null } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      const heights = cells.map((cell, i) =>
+        doc.heightOfString(cell.text, { width: widths[i] - 6 }),
+      );
+      const rowHeight = Math.max(...heights, 10) + 6;
+
+      if (doc.y + rowHeight > bottom()) {
+        doc.addPage();
+      }
+
+      const y = doc.y;
+      let x = left;
+      if (fill) {
+        doc.save().rect(left, y, usableWidth, rowHeight).fill(fill).restore();
+      }
+      cells.forEach((cell, i) => {
+        doc.fillColor('#000000').text(cell.text, x + 3, y + 3, {
+          width: widths[i] - 6,
+          align: cell.align || 'left',
+        });
+        x += widths[i];
+      });
+      doc
+        .moveTo(left, y + rowHeight)
+        .lineTo(left + usableWidth, y + rowHeight)
+        .lineWidth(0.5)
+        .strokeColor('#cccccc')
+        .stroke();
+      doc.x = left;
+      doc.y = y + rowHeight;
+    };
+
+    for (const section of report.sections) {
+      if (doc.y + 60 > bottom()) doc.addPage();
+
+      if (section.title) {
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(11)
+          .fillColor('#000000')
+          .text(section.title, left, doc.y);
+        doc.moveDown(0.3);
+      }
+
+      const totalWeight = section.columns.reduce(
+        (sum, c) => sum + (c.width || 1),
+        0,
+      );
+      const widths = section.columns.map(
+        (c) => ((c.width || 1) / totalWeight) * usableWidth,
+      );
+      const align = (c) => (c.type && c.type !== 'text' ? 'right' : 'left');
+
+      drawRow(
+        section.columns.map((c) => ({ text: c.label, align: align(c) })),
+        widths,
+        { bold: true, fill: '#eeeeee' },
+      );
+
+      for (const row of section.rows) {
+        drawRow(
+          section.columns.map((c) => ({
+            text: formatValue(row[c.key], c.type),
+            align: align(c),
+          })),
+          widths,
+        );
+      }
+
+      if (section.totals) {
+        drawRow(
+          section.columns.map((c, index) => {
+            const value = section.totals[c.key];
+            return {
+              text:
+                value !== undefined
+                  ? formatValue(value, c.type)
+                  : index === 0
+                    ? 'Total'
+                    : '',
+              align: align(c),
+            };
+          }),
+          widths,
+          { bold: true },
+        );
+      }
+
+      doc.moveDown();
+    }
+
+    // Footer with page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Drop the bottom margin while writing the footer so PDFKit doesn't add a page
+      const marginBottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor('#555555')
+        .text(
+          `Generated ${formatValue(generatedAt, 'date')} - Page ${i + 1} of ${range.count}`,
+          left,
+          doc.page.height - marginBottom - 10,
+          { width: usableWidth, align: 'center', lineBreak: false },
+        );
+      doc.page.margins.bottom = marginBottom;
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Render a batch of letters as one PDF, one letter per page:
+ * {
+ *   title, municipality: { name, address_lines }, generated_at,
+ *   letters: [{ recipient: { name, address_lines }, subject, reference: [], paragraphs: [] }],
+ * }
+ * @returns {Promise<Object>} - { buffer, extension, mimeType }
+ */
+function renderLetters(batch) {
+  return new Promise((resolve, reject) => {
+    const generatedAt = new Date(batch.generated_at || Date.now());
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 72,
+      autoFirstPage: false,
+      info: {
+        Title: batch.title,
+        Author: batch.municipality?.name || 'Avitar',
+        CreationDate: generatedAt,
+        ModDate: generatedAt,
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () =>
+      resolve({ buffer: Buffer.concat(chunks), ...FORMATS.pdf }),
+    );
+    doc.on('error', reject);
+
+    for (const letter of batch.letters) {
+      doc.addPage();
+
+      // Letterhead
+      if (batch.municipality?.name) {
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(12)
+          .text(batch.municipality.name, { align: 'center' });
+        doc.font('Helvetica').fontSize(9);
+        for (const line of batch.municipality.address_lines || []) {
+          doc.text(line, { align: 'center' });
+        }
+      }
+      doc.moveDown(2);
+
+      doc.font('Helvetica').fontSize(10);
+      doc.text(
+        generatedAt.toLocaleDateString('en-US', {
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric',
+        }),
+      );
+      doc.moveDown();
+
+      // Recipient block, positioned for a window envelope
+      doc.text(letter.recipient?.name || '');
+      for (const line of letter.recipient?.address_lines || []) {
+        doc.text(line);
+      }
+      doc.moveDown(2);
+
+      if (letter.subject) {
+        doc.font('Helvetica-Bold').text(`RE: ${letter.subject}`);
+        doc.font('Helvetica');
+      }
+      for (const line of letter.reference || []) {
+        doc.text(line);
+      }
+      doc.moveDown();
+
+      for (const paragraph of letter.paragraphs || []) {
+        doc.text(paragraph, { align: 'left' });
+        doc.moveDown();
+      }
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Render a certificate (e.g. Certificate of Occupancy) as a one-page PDF on
+ * the municipality's letterhead:
+ * {
+ *   title, number, issued_at, expires_at,
+ *   municipality: { name, address_lines, header_text, primary_color, logo },
+ *   statement, fields: [{ label, value }], conditions: [], notes,
+ *   signature: { name, title }, watermark, // e.g. 'REVOKED'
+ * }
+ * logo is an optional PNG/JPEG Buffer.
+ * @returns {Promise<Object>} - { buffer, extension, mimeType }
+ */
+function renderCertificate(certificate) {
+  return new Promise((resolve, reject) => {
+    const issuedAt = new Date(certificate.issued_at || Date.now());
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 60,
+      info: {
+        Title: `${certificate.title} ${certificate.number}`,
+        Author: certificate.municipality?.name || 'Avitar',
+        CreationDate: issuedAt,
+        ModDate: issuedAt,
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () =>
+      resolve({ buffer: Buffer.concat(chunks), ...FORMATS.pdf }),
+    );
+    doc.on('error', reject);
+
+    const municipality = certificate.municipality || {};
+    const color = municipality.primary_color || '#1f4788';
+    const left = doc.page.margins.left;
+    const usableWidth =
+      doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Double border in the municipality's colour
+    doc
+      .save()
+      .lineWidth(3)
+      .strokeColor(color)
+      .rect(24, 24, doc.page.width - 48, doc.page.height - 48)
+      .stroke()
+      .lineWidth(0.75)
+      .rect(32, 32, doc.page.width - 64, doc.page.height - 64)
+      .stroke()
+      .restore();
+
+    if (certificate.watermark) {
+      doc
+        .save()
+        .rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] })
+        .font('Helvetica-Bold')
+        .fontSize(96)
+        .fillColor('#cc0000')
+        .fillOpacity(0.15)
+        .text(certificate.watermark, 0, doc.page.height / 2 - 48, {
+          width: doc.page.width,
+          align: 'center',
+          lineBreak: false,
+        })
+        .restore();
+    }
+
+    // Letterhead
+    doc.y = 56;
+    if (municipality.logo) {
+      try {
+        doc.image(municipality.logo, doc.page.width / 2 - 30, doc.y, {
+          fit: [60, 60],
+          align: 'center',
+        });
+        doc.y += 66;
+      } catch {
+        // Unsupported image data; the letterhead works without it
+      }
+    }
+    if (municipality.name) {
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(14)
+        .fillColor(color)
+        .text(municipality.name, left, doc.y, {
+          width: usableWidth,
+          align: 'center',
+        });
+    }
+    doc.font('Helvetica').fontSize(9).fillColor('#333333');
+    if (municipality.header_text) {
+      doc.text(municipality.header_text, {
+        width: usableWidth,
+        align: 'center',
+      });
+    }
+    for (const line of municipality.address_lines || []) {
+      doc.text(line, { width: usableWidth, align: 'center' });
+    }
+    doc.moveDown(1.5);
+
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(22)
+      .fillColor(color)
+      .text(certificate.title.toUpperCase(), {
+        width: usableWidth,
+        align: 'center',
+      });
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor('#000000')
+      .text(`No. ${certificate.number}`, {
+        width: usableWidth,
+        align: 'center',
+      });
+    doc.moveDown(1.5);
+
+    if (certificate.statement) {
+      doc.fontSize(10).text(certificate.statement, {
+        width: usableWidth,
+        align: 'justify',
+      });
+      doc.moveDown();
+    }
+
+    // Certified details
+    const labelWidth = 150;
+    for (const field of certificate.fields || []) {
+      if (
+        field.value === undefined ||
+        field.value === null ||
+        field.value === ''
+      ) {
+        continue;
+      }
+      const y = doc.y;
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .text(`${field.label}:`, left, y, { width: labelWidth });
+      doc.font('Helvetica').text(String(field.value), left + labelWidth, y, {
+        width: usableWidth - labelWidth,
+      });
+      doc.x = left;
+      doc.moveDown(0.3);
+    }
+
+    if (certificate.conditions?.length) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10).text('Conditions', left);
+      doc.font('Helvetica');
+      certificate.conditions.forEach((condition, index) => {
+        doc.text(`${index + 1}. ${condition}`, { width: usableWidth });
+      });
+    }
+
+    if (certificate.notes) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10).text('Notes', left);
+      doc.font('Helvetica').text(certificate.notes, { width: usableWidth });
+    }
+
+    // Signature block
+    const signatureY = Math.max(doc.y + 40, doc.page.height - 170);
+    const signatureWidth = 220;
+    doc
+      .moveTo(left, signatureY)
+      .lineTo(left + signatureWidth, signatureY)
+      .lineWidth(0.75)
+      .strokeColor('#000000')
+      .stroke();
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .text(certificate.signature?.name || '', left, signatureY + 4, {
+        width: signatureWidth,
+      })
+      .text(certificate.signature?.title || 'Building Official', {
+        width: signatureWidth,
+      });
+
+    const rightX = left + usableWidth - signatureWidth;
+    doc.text(
+      `Issued: ${formatValue(issuedAt, 'date')}`,
+      rightX,
+      signatureY + 4,
+      { width: signatureWidth, align: 'right' },
+    );
+    if (certificate.expires_at) {
+      doc
+        .font('Helvetica-Bold')
+        .text(`Expires: ${formatValue(certificate.expires_at, 'date')}`, {
+          width: signatureWidth,
+          align: 'right',
+        });
+    }
+
+    doc
+      .font('Helvetica')
+      .fontSize(7)
+      .fillColor('#555555')
+      .text(
+        'This certificate must be kept on the premises and is subject to revocation if issued in error or on the basis of incorrect information.',
+        left,
+        doc.page.height - 90,
+        { width: usableWidth, align: 'center' },
+      );
+
+    doc.end();
+  });
+}
+
+const RENDERERS = {
+  pdf: renderPdf,
+  excel: renderExcel,
+  csv: renderCsv,
+  html: renderHtml,
+  json: renderJson,
+};
+
+/**
+ * Render a report document in the requested format
+ * @param {Object} report - Report document
+ * @param {string} format - pdf | excel | csv | html | json
+ * @param {Object} options - Renderer options (e.g. { layout: 'landscape' } for PDF)
+ * @returns {Promise<Object>} - { buffer, extension, mimeType }
+ */
+async function renderReport(report, format, options = {}) {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(`Unsupported report format: ${format}`);
+  }
+
+  const buffer = await renderer(report, options);
+  return { buffer, ...FORMATS[format] };
+}
+
+module.exports = {
+  FORMATS,
+  formatValue,
+  municipalityHeader,
+  renderReport,
+  renderPdf,
+  renderLetters,
+  renderCertificate,
+  renderExcel,
+  renderCsv,
+  renderHtml,
+  renderJson,
+};
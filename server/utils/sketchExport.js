@@ -0,0 +1,691 @@
+// Property sketch exporters
+//
+// Sketch shapes are stored in canvas pixels with y pointing down
+// (10 pixels = 1 foot, see PropertySketch shapeSchema):
+//   rectangle: { x, y, width, height }
+//   circle:    { cx, cy, radius }
+//   polygon:   { points: [{ x, y, bulge? }] } - bulge is DXF-style tan(angle/4),
+//              positive = clockwise on screen
+//   arc:       { cx, cy, radius, startAngle, endAngle } - d3 pie wedge,
+//              angles in radians clockwise from 12 o'clock
+//
+// Every exporter takes the sketch document and returns a Buffer.
+
+const { writeVDF } = require('./vdfWriter');
+
+const PIXELS_PER_FOOT = 10;
+
+const FORMATS = {
+  svg: { extension: 'svg', mimeType: 'image/svg+xml' },
+  dxf: { extension: 'dxf', mimeType: 'application/dxf' },
+  vdf: { extension: 'vdf', mimeType: 'application/octet-stream' },
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Sub-area codes for a shape (handles legacy string descriptions)
+ * @param {Object} shape - Sketch shape
+ * @returns {string[]} - e.g. ['FFF', 'BMU']
+ */
+function getShapeCodes(shape) {
+  return (shape.descriptions || [])
+    .map((desc) => (typeof desc === 'string' ? desc : desc?.label))
+    .filter(Boolean);
+}
+
+/**
+ * Arc geometry for a bulged polygon edge
+ * @param {Object} start - { x, y }
+ * @param {Object} end - { x, y }
+ * @param {number} bulge - tan(includedAngle / 4)
+ * @returns {Object} - { radius, sagitta, chordLength, largeArcFlag, sweepFlag, apex }
+ */
+function arcFromBulge(start, end, bulge) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const chordLength = Math.sqrt(dx * dx + dy * dy);
+  const includedAngle = 4 * Math.atan(Math.abs(bulge));
+  const radius = Math.abs(chordLength / (2 * Math.sin(includedAngle / 2)));
+  const sagitta = (chordLength / 2) * Math.abs(bulge);
+
+  // Apex sits on the perpendicular bisector, on the side the arc bulges to
+  const direction = bulge > 0 ? -1 : 1;
+  const apex = {
+    x: (start.x + end.x) / 2 + (-dy / chordLength) * sagitta * direction,
+    y: (start.y + end.y) / 2 + (dx / chordLength) * sagitta * direction,
+  };
+
+  return {
+    radius,
+    sagitta,
+    chordLength,
+    largeArcFlag: includedAngle > Math.PI ? 1 : 0,
+    sweepFlag: bulge > 0 ? 1 : 0,
+    apex,
+  };
+}
+
+function hasBulge(point) {
+  return point.bulge && Math.abs(point.bulge) > 0.0001;
+}
+
+function rectangleToPoints(coords) {
+  return [
+    { x: coords.x, y: coords.y },
+    { x: coords.x + coords.width, y: coords.y },
+    { x: coords.x + coords.width, y: coords.y + coords.height },
+    { x: coords.x, y: coords.y + coords.height },
+  ];
+}
+
+// Point on a d3 pie wedge edge (angle clockwise from 12 o'clock)
+function wedgePoint(coords, angle) {
+  return {
+    x: coords.cx + coords.radius * Math.sin(angle),
+    y: coords.cy - coords.radius * Math.cos(angle),
+  };
+}
+
+/**
+ * Where to place a shape's area and code labels
+ * @param {Object} shape - Sketch shape
+ * @returns {Object|null} - { x, y } in pixels
+ */
+function getLabelPoint(shape) {
+  const coords = shape.coordinates || {};
+
+  switch (shape.type) {
+    case 'rectangle':
+      return {
+        x: coords.x + coords.width / 2,
+        y: coords.y + coords.height / 2,
+      };
+    case 'circle':
+    case 'arc':
+      return { x: coords.cx, y: coords.cy };
+    case 'polygon': {
+      const points = coords.points || [];
+      if (points.length === 0) return null;
+
+      // Area-weighted centroid, falling back to the vertex average
+      let area = 0;
+      let cx = 0;
+      let cy = 0;
+      points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        const cross = point.x * next.y - next.x * point.y;
+        area += cross;
+        cx += (point.x + next.x) * cross;
+        cy += (point.y + next.y) * cross;
+      });
+
+      if (Math.abs(area) < 0.0001) {
+        return {
+          x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+          y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+        };
+      }
+      return { x: cx / (3 * area), y: cy / (3 * area) };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pixel bounding box of all shapes (bulged edges include their apex)
+ * @param {Object[]} shapes - Sketch shapes
+ * @returns {Object|null} - { minX, minY, maxX, maxY }
+ */
+function getSketchBounds(shapes) {
+  const xs = [];
+  const ys = [];
+  const include = (x, y) => {
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      xs.push(x);
+      ys.push(y);
+    }
+  };
+
+  shapes.forEach((shape) => {
+    const coords = shape.coordinates || {};
+    switch (shape.type) {
+      case 'rectangle':
+        rectangleToPoints(coords).forEach((p) => include(p.x, p.y));
+        break;
+      case 'circle':
+      case 'arc':
+        include(coords.cx - coords.radius, coords.cy - coords.radius);
+        include(coords.cx + coords.radius, coords.cy + coords.radius);
+        break;
+      case 'polygon': {
+        const points = coords.points || [];
+        points.forEach((point, i) => {
+          include(point.x, point.y);
+          if (hasBulge(point)) {
+            const next = points[(i + 1) % points.length];
+            const { apex } = arcFromBulge(point, next, point.bulge);
+            include(apex.x, apex.y);
+          }
+        });
+        break;
+      }
+    }
+  });
+
+  if (xs.length === 0) return null;
+
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+}
+
+// === SVG ===
+
+function polygonPath(points) {
+  let path = `M ${round(points[0].x)},${round(points[0].y)}`;
+  points.forEach((point, i) => {
+    const next = points[(i + 1) % points.length];
+    if (hasBulge(point)) {
+      const arc = arcFromBulge(point, next, point.bulge);
+      path += ` A ${round(arc.radius)},${round(arc.radius)} 0 ${arc.largeArcFlag} ${arc.sweepFlag} ${round(next.x)},${round(next.y)}`;
+    } else if (i < points.length - 1) {
+      path += ` L ${round(next.x)},${round(next.y)}`;
+    }
+  });
+  return `${path} Z`;
+}
+
+function shapeToSvg(shape) {
+  const coords = shape.coordinates || {};
+  const style = 'fill="white" stroke="#007bff" stroke-width="2"';
+
+  switch (shape.type) {
+    case 'rectangle':
+      return `<rect x="${round(coords.x)}" y="${round(coords.y)}" width="${round(coords.width)}" height="${round(coords.height)}" ${style}/>`;
+    case 'circle':
+      return `<circle cx="${round(coords.cx)}" cy="${round(coords.cy)}" r="${round(coords.radius)}" ${style}/>`;
+    case 'polygon':
+      if (!coords.points || coords.points.length < 2) return '';
+      return `<path d="${polygonPath(coords.points)}" ${style}/>`;
+    case 'arc': {
+      const start = wedgePoint(coords, coords.startAngle);
+      const end = wedgePoint(coords, coords.endAngle);
+      const largeArc =
+        Math.abs(coords.endAngle - coords.startAngle) > Math.PI ? 1 : 0;
+      const sweep = coords.endAngle >= coords.startAngle ? 1 : 0;
+      return `<path d="M ${round(coords.cx)},${round(coords.cy)} L ${round(start.x)},${round(start.y)} A ${round(coords.radius)},${round(coords.radius)} 0 ${largeArc} ${sweep} ${round(end.x)},${round(end.y)} Z" ${style}/>`;
+    }
+    default:
+      return '';
+  }
+}
+
+// Wall lengths in feet at the midpoint of each straight edge
+function edgeDimensionsToSvg(shape) {
+  let points;
+  if (shape.type === 'rectangle') {
+    points = rectangleToPoints(shape.coordinates);
+  } else if (shape.type === 'polygon') {
+    points = shape.coordinates.points || [];
+  } else {
+    return [];
+  }
+
+  return points
+    .map((point, i) => {
+      if (hasBulge(point)) return '';
+      const next = points[(i + 1) % points.length];
+      const length =
+        Math.sqrt((next.x - point.x) ** 2 + (next.y - point.y) ** 2) /
+        PIXELS_PER_FOOT;
+      if (length < 0.5) return '';
+
+      const midX = round((point.x + next.x) / 2);
+      const midY = round((point.y + next.y) / 2);
+      return `<text class="dimension" x="${midX}" y="${midY}">${round(length, 1)}'</text>`;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Render a sketch as a standalone SVG (for record cards)
+ * @param {Object} sketch - PropertySketch document or plain object
+ * @param {Object} options - { title } overrides the sketch name
+ * @returns {Buffer}
+ */
+function renderSketchSvg(sketch, options = {}) {
+  const shapes = sketch.shapes || [];
+  const padding = 40;
+  const titleHeight = 40;
+  const bounds = getSketchBounds(shapes) || {
+    minX: 0,
+    minY: 0,
+    maxX: 200,
+    maxY: 200,
+  };
+
+  const viewX = round(bounds.minX - padding);
+  const viewY = round(bounds.minY - padding - titleHeight);
+  const width = round(bounds.maxX - bounds.minX + padding * 2);
+  const height = round(bounds.maxY - bounds.minY + padding * 2 + titleHeight);
+
+  const title = options.title || sketch.name || 'Building Sketch';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewX} ${viewY} ${width} ${height}">`,
+    `<title>${escapeXml(title)}</title>`,
+    '<style>',
+    'text { font-family: Arial, Helvetica, sans-serif; text-anchor: middle; dominant-baseline: middle; paint-order: stroke; stroke: white; }',
+    '.area { font-size: 14px; font-weight: bold; fill: #007bff; stroke-width: 2px; }',
+    '.codes { font-size: 11px; font-weight: 600; fill: #333; stroke-width: 1.5px; }',
+    '.dimension { font-size: 10px; fill: #666; stroke-width: 1.5px; }',
+    '.heading { font-size: 14px; font-weight: bold; fill: #333; text-anchor: start; stroke: none; }',
+    '</style>',
+    `<text class="heading" x="${round(viewX + padding / 2)}" y="${round(viewY + titleHeight / 2)}">${escapeXml(
+      `${title} - ${Math.round(sketch.total_area || 0)} sf (${Math.round(
+        sketch.total_effective_area || 0,
+      )} sf effective)`,
+    )}</text>`,
+  ];
+
+  shapes.forEach((shape) => {
+    const codes = getShapeCodes(shape);
+    const labelPoint = getLabelPoint(shape);
+
+    lines.push(`<g class="shape" data-codes="${escapeXml(codes.join(','))}">`);
+    lines.push(shapeToSvg(shape));
+    lines.push(...edgeDimensionsToSvg(shape));
+
+    if (labelPoint) {
+      const x = round(labelPoint.x);
+      const y = round(labelPoint.y);
+      lines.push(
+        `<text class="area" x="${x}" y="${round(y - 2.5)}">${Math.round(shape.area || 0)} sf</text>`,
+      );
+      if (codes.length > 0) {
+        lines.push(
+          `<text class="codes" x="${x}" y="${round(y + 10)}">${escapeXml(codes.join(', '))}</text>`,
+        );
+      }
+    }
+    lines.push('</g>');
+  });
+
+  lines.push('</svg>');
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+// === DXF ===
+//
+// AutoCAD R12 ASCII (AC1009) so older CAD packages can open it. Units are
+// feet with y pointing up; shapes are closed POLYLINEs on layer SKETCH,
+// area and sub-area code labels are TEXT on layer LABELS.
+
+function toFeet(point) {
+  return {
+    x: round(point.x / PIXELS_PER_FOOT, 4),
+    y: round(-point.y / PIXELS_PER_FOOT, 4),
+  };
+}
+
+function dxfPair(code, value) {
+  return `${code}\n${value}`;
+}
+
+function dxfPolyline(vertices, layer) {
+  const parts = [
+    dxfPair(0, 'POLYLINE'),
+    dxfPair(8, layer),
+    dxfPair(66, 1),
+    dxfPair(10, 0),
+    dxfPair(20, 0),
+    dxfPair(30, 0),
+    dxfPair(70, 1), // Closed
+  ];
+
+  vertices.forEach((vertex) => {
+    const { x, y } = toFeet(vertex);
+    parts.push(
+      dxfPair(0, 'VERTEX'),
+      dxfPair(8, layer),
+      dxfPair(10, x),
+      dxfPair(20, y),
+      dxfPair(30, 0),
+    );
+    if (vertex.bulge) {
+      // Flipping y turns clockwise into counter-clockwise, so the sign flips
+      parts.push(dxfPair(42, round(-vertex.bulge, 6)));
+    }
+  });
+
+  parts.push(dxfPair(0, 'SEQEND'), dxfPair(8, layer));
+  return parts;
+}
+
+function dxfText(point, height, text, layer) {
+  const { x, y } = toFeet(point);
+  return [
+    dxfPair(0, 'TEXT'),
+    dxfPair(8, layer),
+    dxfPair(10, x),
+    dxfPair(20, y),
+    dxfPair(30, 0),
+    dxfPair(40, height),
+    dxfPair(1, text),
+    dxfPair(72, 1), // Center
+    dxfPair(11, x),
+    dxfPair(21, y),
+    dxfPair(31, 0),
+  ];
+}
+
+function shapeToDxf(shape) {
+  const coords = shape.coordinates || {};
+
+  switch (shape.type) {
+    case 'rectangle':
+      return dxfPolyline(rectangleToPoints(coords), 'SKETCH');
+    case 'polygon':
+      if (!coords.points || coords.points.length < 2) return [];
+      return dxfPolyline(coords.points, 'SKETCH');
+    case 'circle': {
+      const center = toFeet({ x: coords.cx, y: coords.cy });
+      return [
+        dxfPair(0, 'CIRCLE'),
+        dxfPair(8, 'SKETCH'),
+        dxfPair(10, center.x),
+        dxfPair(20, center.y),
+        dxfPair(30, 0),
+        dxfPair(40, round(coords.radius / PIXELS_PER_FOOT, 4)),
+      ];
+    }
+    case 'arc': {
+      // Pie wedge: center -> start -> (arc) -> end -> back to center
+      const sweep = coords.endAngle - coords.startAngle;
+      const start = wedgePoint(coords, coords.startAngle);
+      const end = wedgePoint(coords, coords.endAngle);
+      return dxfPolyline(
+        [
+          { x: coords.cx, y: coords.cy },
+          { ...start, bulge: Math.tan(sweep / 4) },
+          end,
+        ],
+        'SKETCH',
+      );
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Render a sketch as an AutoCAD R12 DXF drawing in feet (for engineers)
+ * @param {Object} sketch - PropertySketch document or plain object
+ * @returns {Buffer}
+ */
+function renderSketchDxf(sketch) {
+  const shapes = sketch.shapes || [];
+  const parts = [
+    dxfPair(0, 'SECTION'),
+    dxfPair(2, 'HEADER'),
+    dxfPair(9, '$ACADVER'),
+    dxfPair(1, 'AC1009'),
+    dxfPair(9, '$INSUNITS'),
+    dxfPair(70, 2), // Feet
+    dxfPair(0, 'ENDSEC'),
+    dxfPair(0, 'SECTION'),
+    dxfPair(2, 'TABLES'),
+    dxfPair(0, 'TABLE'),
+    dxfPair(2, 'LAYER'),
+    dxfPair(70, 2),
+  ];
+
+  [
+    ['SKETCH', 5],
+    ['LABELS', 7],
+  ].forEach(([name, color]) => {
+    parts.push(
+      dxfPair(0, 'LAYER'),
+      dxfPair(2, name),
+      dxfPair(70, 0),
+      dxfPair(62, color),
+      dxfPair(6, 'CONTINUOUS'),
+    );
+  });
+
+  parts.push(
+    dxfPair(0, 'ENDTAB'),
+    dxfPair(0, 'ENDSEC'),
+    dxfPair(0, 'SECTION'),
+    dxfPair(2, 'ENTITIES'),
+  );
+
+  shapes.forEach((shape) => {
+    parts.push(...shapeToDxf(shape));
+
+    const labelPoint = getLabelPoint(shape);
+    if (!labelPoint) return;
+
+    parts.push(
+      ...dxfText(
+        { x: labelPoint.x, y: labelPoint.y - 2.5 },
+        1.2,
+        `${Math.round(shape.area || 0)} sf`,
+        'LABELS',
+      ),
+    );
+
+    const codes = getShapeCodes(shape);
+    if (codes.length > 0) {
+      parts.push(
+        ...dxfText(
+          { x: labelPoint.x, y: labelPoint.y + 15 },
+          0.9,
+          codes.join(', '),
+          'LABELS',
+        ),
+      );
+    }
+  });
+
+  parts.push(dxfPair(0, 'ENDSEC'), dxfPair(0, 'EOF'));
+  return Buffer.from(`${parts.join('\n')}\n`, 'utf8');
+}
+
+// === VDF ===
+//
+// VectorDraw drawing for the desktop CAMA product (see vdfWriter). Units are
+// feet with y pointing up, shifted so the sketch starts at VDF_ORIGIN like
+// desktop drawings do. VDF areas are straight-sided polylines, so arcs and
+// circles are flattened into vertices; wall lengths are written for the
+// straight edges only.
+
+const VDF_ORIGIN = 100;
+const VDF_ARC_STEP = Math.PI / 12;
+
+// Vertices strictly between start and end along a bulged edge
+function bulgeToPoints(start, end, bulge) {
+  const { radius, sagitta, apex } = arcFromBulge(start, end, bulge);
+  const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  // The center is one radius from the apex, through the chord midpoint
+  const center = {
+    x: apex.x + ((mid.x - apex.x) / sagitta) * radius,
+    y: apex.y + ((mid.y - apex.y) / sagitta) * radius,
+  };
+
+  const angleOf = (point) => Math.atan2(point.y - center.y, point.x - center.x);
+  const fullTurn = 2 * Math.PI;
+  const positive = (angle) => ((angle % fullTurn) + fullTurn) % fullTurn;
+  const startAngle = angleOf(start);
+  const sweep = 4 * Math.atan(Math.abs(bulge));
+  // Go the way round that passes the apex
+  const direction =
+    positive(angleOf(apex) - startAngle) < positive(angleOf(end) - startAngle)
+      ? 1
+      : -1;
+
+  const steps = Math.max(2, Math.ceil(sweep / VDF_ARC_STEP));
+  const points = [];
+  for (let i = 1; i < steps; i++) {
+    const angle = startAngle + (direction * sweep * i) / steps;
+    points.push({
+      x: center.x + radius * Math.cos(angle),
+      y: center.y + radius * Math.sin(angle),
+    });
+  }
+  return points;
+}
+
+/**
+ * Outline of a shape as straight-sided vertices
+ * @param {Object} shape - Sketch shape
+ * @returns {Object[]} - [{ x, y, straight }] in pixels; straight is true
+ *   when the edge to the next vertex is a wall rather than part of an arc
+ */
+function getShapeOutline(shape) {
+  const coords = shape.coordinates || {};
+
+  switch (shape.type) {
+    case 'rectangle':
+      return rectangleToPoints(coords).map((p) => ({ ...p, straight: true }));
+    case 'polygon': {
+      const points = coords.points || [];
+      return points.flatMap((point, i) => {
+        const vertex = { x: point.x, y: point.y, straight: !hasBulge(point) };
+        if (vertex.straight) return [vertex];
+
+        const next = points[(i + 1) % points.length];
+        return [
+          vertex,
+          ...bulgeToPoints(point, next, point.bulge).map((p) => ({
+            ...p,
+            straight: false,
+          })),
+        ];
+      });
+    }
+    case 'circle': {
+      const steps = Math.round((2 * Math.PI) / VDF_ARC_STEP);
+      return Array.from({ length: steps }, (_, i) => ({
+        ...wedgePoint(coords, (2 * Math.PI * i) / steps),
+        straight: false,
+      }));
+    }
+    case 'arc': {
+      const sweep = coords.endAngle - coords.startAngle;
+      const steps = Math.max(2, Math.ceil(Math.abs(sweep) / VDF_ARC_STEP));
+      const arcPoints = Array.from({ length: steps + 1 }, (_, i) => ({
+        ...wedgePoint(coords, coords.startAngle + (sweep * i) / steps),
+        straight: i === steps,
+      }));
+      return [{ x: coords.cx, y: coords.cy, straight: true }, ...arcPoints];
+    }
+    default:
+      return [];
+  }
+}
+
+// Wall length text sits on the edge midpoint, turned to read left to right
+function vdfDimension(start, end) {
+  const length = Math.sqrt((end.x - start.x) ** 2 + (end.y - start.y) ** 2);
+  if (length < 0.5) return null;
+
+  let angle = Math.atan2(end.y - start.y, end.x - start.x);
+  if (angle >= Math.PI / 2 - 0.0001) angle -= Math.PI;
+  if (angle < -Math.PI / 2 - 0.0001) angle += Math.PI;
+
+  return {
+    x: (start.x + end.x) / 2,
+    y: (start.y + end.y) / 2,
+    angle,
+    text: String(round(length, 1)),
+  };
+}
+
+/**
+ * Render a sketch as a VectorDraw drawing (for the desktop CAMA product)
+ * @param {Object} sketch - PropertySketch document or plain object
+ * @param {Object} options - { date } stamps the drawing's area ids
+ * @returns {Buffer}
+ */
+function renderSketchVdf(sketch, options = {}) {
+  const shapes = sketch.shapes || [];
+  const bounds = getSketchBounds(shapes);
+  if (!bounds) return writeVDF([], options);
+
+  const toVdf = (point) => ({
+    x: round((point.x - bounds.minX) / PIXELS_PER_FOOT + VDF_ORIGIN, 4),
+    y: round((bounds.maxY - point.y) / PIXELS_PER_FOOT + VDF_ORIGIN, 4),
+  });
+
+  const areas = shapes.map((shape) => {
+    const outline = getShapeOutline(shape);
+    const points = outline.map(toVdf);
+    const labelPoint = getLabelPoint(shape);
+
+    return {
+      codes: getShapeCodes(shape).map((code) => code.toUpperCase()),
+      points,
+      dimensions: outline
+        .map((vertex, i) =>
+          vertex.straight
+            ? vdfDimension(points[i], points[(i + 1) % points.length])
+            : null,
+        )
+        .filter(Boolean),
+      label: labelPoint ? toVdf(labelPoint) : null,
+    };
+  });
+
+  return writeVDF(areas, options);
+}
+
+const RENDERERS = {
+  svg: renderSketchSvg,
+  dxf: renderSketchDxf,
+  vdf: renderSketchVdf,
+};
+
+/**
+ * Export a sketch in the requested format
+ * @param {Object} sketch - PropertySketch document or plain object
+ * @param {string} format - svg | dxf | vdf
+ * @param {Object} options - Renderer options
+ * @returns {Object} - { buffer, extension, mimeType }
+ */
+function exportSketch(sketch, format, options = {}) {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(`Unsupported sketch export format: ${format}`);
+  }
+
+  return { buffer: renderer(sketch, options), ...FORMATS[format] };
+}
+
+module.exports = {
+  FORMATS,
+  PIXELS_PER_FOOT,
+  exportSketch,
+  renderSketchSvg,
+  renderSketchDxf,
+  renderSketchVdf,
+  getSketchBounds,
+  getShapeCodes,
+};
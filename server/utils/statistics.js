@@ -0,0 +1,259 @@
+// Descriptive statistics shared by revaluation analysis, ratio studies and
+// assessing reports.
+// Every function ignores null, undefined and non-finite values.
+
+function finite(values) {
+  return values.filter(
+    (value) => value !== null && value !== undefined && Number.isFinite(value),
+  );
+}
+
+/**
+ * Arithmetic mean
+ * @param {number[]} values
+ * @returns {number|null} - null when there are no values
+ */
+function mean(values) {
+  const clean = finite(values);
+  if (clean.length === 0) return null;
+  return clean.reduce((sum, value) => sum + value, 0) / clean.length;
+}
+
+/**
+ * Median (average of the two middle values for an even count)
+ * @param {number[]} values
+ * @returns {number|null} - null when there are no values
+ */
+function median(values) {
+  const sorted = finite(values).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Round to a number of decimal places
+ * @param {number|null} value
+ * @param {number} places
+ * @returns {number|null}
+ */
+function round(value, places = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Quantile with linear interpolation between closest ranks
+ * @param {number[]} values
+ * @param {number} q - 0 to 1
+ * @returns {number|null}
+ */
+function quantile(values, q) {
+  const sorted = finite(values).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Sample standard deviation
+ * @param {number[]} values
+ * @returns {number|null} - null with fewer than two values
+ */
+function standardDeviation(values) {
+  const clean = finite(values);
+  if (clean.length < 2) return null;
+  const average = mean(clean);
+  const squares = clean.reduce((sum, value) => sum + (value - average) ** 2, 0);
+  return Math.sqrt(squares / (clean.length - 1));
+}
+
+// Two-tailed 95% t values for 1-30 degrees of freedom
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201,
+  2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074,
+  2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+function tValue95(degreesOfFreedom) {
+  if (degreesOfFreedom < 1) return null;
+  if (degreesOfFreedom <= 30) return T_95[degreesOfFreedom - 1];
+  if (degreesOfFreedom <= 40) return 2.021;
+  if (degreesOfFreedom <= 60) return 2.0;
+  if (degreesOfFreedom <= 120) return 1.98;
+  return 1.96;
+}
+
+/**
+ * 95% confidence interval for the mean (t distribution)
+ * @param {number[]} values
+ * @returns {{lower: number, upper: number}|null}
+ */
+function meanConfidenceInterval(values) {
+  const clean = finite(values);
+  const deviation = standardDeviation(clean);
+  if (deviation === null) return null;
+  const margin =
+    (tValue95(clean.length - 1) * deviation) / Math.sqrt(clean.length);
+  const average = mean(clean);
+  return { lower: average - margin, upper: average + margin };
+}
+
+/**
+ * 95% confidence interval for the median using order statistics
+ * (IAAO Standard on Ratio Studies, Appendix B)
+ * @param {number[]} values
+ * @returns {{lower: number, upper: number}|null}
+ */
+function medianConfidenceInterval(values) {
+  const sorted = finite(values).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n < 2) return null;
+
+  const j = Math.ceil((1.96 * Math.sqrt(n)) / 2);
+  const lowerRank = n % 2 === 0 ? n / 2 - j : (n + 1) / 2 - j;
+  const upperRank = n % 2 === 0 ? n / 2 + 1 + j : (n + 1) / 2 + j;
+
+  return {
+    lower: sorted[Math.max(1, lowerRank) - 1],
+    upper: sorted[Math.min(n, upperRank) - 1],
+  };
+}
+
+/**
+ * Split values into those inside and outside the interquartile fences
+ * Q1 - factor * IQR and Q3 + factor * IQR
+ * @param {Array} items
+ * @param {Function} getValue - Value to trim on for each item
+ * @param {number} factor - IQR multiplier (IAAO suggests 1.5 to 3); 0 keeps everything
+ * @returns {{ kept: Array, trimmed: Array, lower: number|null, upper: number|null }}
+ */
+function trimOutliers(items, getValue, factor = 1.5) {
+  const values = items.map(getValue);
+  if (!factor || items.length < 4) {
+    return { kept: items, trimmed: [], lower: null, upper: null };
+  }
+
+  const q1 = quantile(values, 0.25);
+  const q3 = quantile(values, 0.75);
+  const iqr = q3 - q1;
+  const lower = q1 - factor * iqr;
+  const upper = q3 + factor * iqr;
+
+  const kept = [];
+  const trimmed = [];
+  items.forEach((item, index) => {
+    const value = values[index];
+    (value >= lower && value <= upper ? kept : trimmed).push(item);
+  });
+
+  return { kept, trimmed, lower, upper };
+}
+
+/**
+ * Sales ratio study statistics (IAAO Standard on Ratio Studies)
+ * @param {Array<{assessed: number, price: number}>} sales - Assessed value and
+ *   (time-adjusted) sale price for each sale; sales without a positive price
+ *   are ignored
+ * @returns {Object} - count, median/mean/weighted mean ratio, COD, PRD, PRB
+ *   and 95% confidence intervals; measures that need more sales are null
+ */
+function ratioStatistics(sales) {
+  const usable = sales.filter(
+    (sale) => sale.price > 0 && Number.isFinite(sale.assessed),
+  );
+  const ratios = usable.map((sale) => sale.assessed / sale.price);
+  const count = ratios.length;
+
+  if (count === 0) {
+    return {
+      count: 0,
+      median_ratio: null,
+      mean_ratio: null,
+      weighted_mean_ratio: null,
+      cod: null,
+      prd: null,
+      prb: null,
+      median_ci: null,
+      mean_ci: null,
+      prb_ci: null,
+    };
+  }
+
+  const medianRatio = median(ratios);
+  const meanRatio = mean(ratios);
+  const totalAssessed = usable.reduce((sum, sale) => sum + sale.assessed, 0);
+  const totalPrice = usable.reduce((sum, sale) => sum + sale.price, 0);
+  const weightedMeanRatio = totalAssessed / totalPrice;
+
+  // Coefficient of dispersion: average absolute deviation from the median
+  const cod =
+    medianRatio > 0
+      ? (100 * mean(ratios.map((ratio) => Math.abs(ratio - medianRatio)))) /
+        medianRatio
+      : null;
+
+  // Price-related differential: mean over weighted mean
+  const prd = weightedMeanRatio > 0 ? meanRatio / weightedMeanRatio : null;
+
+  // Price-related bias: regress percentage difference from the median on
+  // log2 of a value proxy halfway between sale price and indicated value
+  let prb = null;
+  let prbCi = null;
+  if (count >= 3 && medianRatio > 0) {
+    const points = usable.map((sale, index) => ({
+      x: Math.log2(0.5 * (sale.price + sale.assessed / medianRatio)),
+      y: (ratios[index] - medianRatio) / medianRatio,
+    }));
+    const meanX = mean(points.map((point) => point.x));
+    const meanY = mean(points.map((point) => point.y));
+    const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+
+    if (sxx > 0) {
+      const sxy = points.reduce(
+        (sum, point) => sum + (point.x - meanX) * (point.y - meanY),
+        0,
+      );
+      prb = sxy / sxx;
+
+      const residuals = points.reduce(
+        (sum, point) =>
+          sum + (point.y - (meanY + prb * (point.x - meanX))) ** 2,
+        0,
+      );
+      const standardError = Math.sqrt(residuals / (count - 2) / sxx);
+      const margin = tValue95(count - 2) * standardError;
+      prbCi = { lower: prb - margin, upper: prb + margin };
+    }
+  }
+
+  return {
+    count,
+    median_ratio: medianRatio,
+    mean_ratio: meanRatio,
+    weighted_mean_ratio: weightedMeanRatio,
+    cod,
+    prd,
+    prb,
+    median_ci: medianConfidenceInterval(ratios),
+    mean_ci: meanConfidenceInterval(ratios),
+    prb_ci: prbCi,
+  };
+}
+
+module.exports = {
+  mean,
+  median,
+  round,
+  quantile,
+  standardDeviation,
+  meanConfidenceInterval,
+  medianConfidenceInterval,
+  trimOutliers,
+  ratioStatistics,
+};
@@ -0,0 +1,170 @@
+/**
+ * Time-based one-time passwords (RFC 6238)
+ * Compatible with Google Authenticator, Microsoft Authenticator, 1Password, etc.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret
+ * @param {number} size - Secret size in bytes (20 = 160 bits, the RFC 4226 recommendation)
+ * @returns {string} - Base32 secret
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * Time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number}
+ */
+function timeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter / time step
+ * @returns {string} - Zero-padded code
+ */
+function generateCode(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function generateToken(secret, timestamp = Date.now()) {
+  return generateCode(secret, timeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {Object} options - { window: steps of drift allowed, timestamp }
+ * @returns {number|null} - Matched time step, or null when invalid
+ */
+function verifyToken(
+  secret,
+  token,
+  { window = 1, timestamp = Date.now() } = {},
+) {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== DIGITS) return null;
+
+  const currentStep = timeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// provisioning URI for authenticator apps
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} options.issuer - Shown in the authenticator app
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer = 'Avitar' }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  buildOtpauthUri,
+};
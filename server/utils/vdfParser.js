@@ -0,0 +1,253 @@
+// VDF sketch import
+//
+// Turns VectorDraw drawings from the desktop CAMA product (parsed by
+// parseVDFGeometry) into PropertySketch data. Drawings are in feet with y
+// up; sketches are canvas pixels with y down (see sketchExport), so areas
+// are flipped and moved to start CANVAS_MARGIN pixels from the top left.
+
+const { parseVDFGeometry } = require('./parseVDFGeometry');
+const { PIXELS_PER_FOOT } = require('./sketchExport');
+
+const CANVAS_MARGIN = 100;
+
+// Sub-area codes created on first import when a town has not set them up
+const DEFAULT_DESCRIPTION_CODES = {
+  FFF: { description: 'Full Floor Finished', points: 100, livingSpace: true },
+  HSF: { description: 'Half Story Finished', points: 50, livingSpace: true },
+  TQF: {
+    description: 'Three Quarter Finished',
+    points: 75,
+    livingSpace: true,
+  },
+  BMF: { description: 'Basement Finished', points: 50, livingSpace: true },
+  BMU: { description: 'Basement Unfinished', points: 15, livingSpace: false },
+  ATF: { description: 'Attic Finished', points: 50, livingSpace: true },
+  ATU: { description: 'Attic Unfinished', points: 10, livingSpace: false },
+  GAR: { description: 'Garage', points: 20, livingSpace: false },
+  CTH: { description: 'Cathedral Ceiling', points: 100, livingSpace: true },
+  EPF: {
+    description: 'Enclosed Porch Finished',
+    points: 50,
+    livingSpace: true,
+  },
+  ENT: { description: 'Entry', points: 10, livingSpace: false },
+  DEK: { description: 'Deck', points: 5, livingSpace: false },
+  DEC: { description: 'Deck', points: 5, livingSpace: false },
+  PAT: { description: 'Patio', points: 5, livingSpace: false },
+  POR: { description: 'Porch', points: 10, livingSpace: false },
+  BAL: { description: 'Balcony', points: 5, livingSpace: false },
+};
+const UNKNOWN_CODE_POINTS = 50;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Sketch descriptions hold codes of up to 3 characters
+function isSketchCode(code) {
+  return /^[A-Z0-9]{1,3}$/.test(code);
+}
+
+/**
+ * Split a VDF filename into PID and card number
+ * @param {string} filename - e.g. "00000400000300000701.vdf"
+ * @returns {Object} - { pid: '000004000003000007', cardNumber: 1 }
+ */
+function parseVDFFilename(filename) {
+  const base = String(filename)
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.vdf$/i, '');
+  const match = base.match(/^(\d{18})(\d{2})$/);
+
+  if (!match) {
+    throw new Error(
+      `Unrecognized VDF filename "${filename}": expected an 18-digit PID followed by a 2-digit card number`,
+    );
+  }
+
+  return { pid: match[1], cardNumber: parseInt(match[2], 10) || 1 };
+}
+
+/**
+ * Build the desktop filename for a sketch so it can be imported again
+ * @param {string} pid - 18-digit raw PID
+ * @param {number} cardNumber - Card number
+ * @returns {string|null} - e.g. "00000400000300000701.vdf", null if the PID
+ *   is not 18 digits
+ */
+function formatVDFFilename(pid, cardNumber) {
+  if (!/^\d{18}$/.test(String(pid || ''))) return null;
+  return `${pid}${String(cardNumber || 1).padStart(2, '0')}.vdf`;
+}
+
+/**
+ * Parse a VDF file for import
+ * @param {Buffer} buffer - VDF file contents
+ * @returns {Promise<Object>} - { hasData, shapes, labels, descriptionCodes }
+ */
+async function parseVDFFile(buffer) {
+  const { shapes, labels } = parseVDFGeometry(buffer);
+  const areas = shapes.filter((shape) => shape.area > 0);
+
+  const descriptionCodes = new Set();
+  areas.forEach((shape) => {
+    shape.codes.filter(isSketchCode).forEach((code) => {
+      descriptionCodes.add(code);
+    });
+  });
+
+  return {
+    hasData: areas.length > 0,
+    shapes: areas,
+    labels,
+    descriptionCodes: Array.from(descriptionCodes),
+  };
+}
+
+// Axis-aligned 4-point outlines become rectangles, like the sketch editor draws
+function toSketchCoordinates(points) {
+  const xs = [...new Set(points.map((point) => point.x))];
+  const ys = [...new Set(points.map((point) => point.y))];
+  const axisAligned = points.every((point, i) => {
+    const next = points[(i + 1) % points.length];
+    return point.x === next.x || point.y === next.y;
+  });
+
+  if (
+    points.length === 4 &&
+    xs.length === 2 &&
+    ys.length === 2 &&
+    axisAligned
+  ) {
+    return {
+      type: 'rectangle',
+      coordinates: {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.abs(xs[1] - xs[0]),
+        height: Math.abs(ys[1] - ys[0]),
+      },
+    };
+  }
+
+  return { type: 'polygon', coordinates: { points } };
+}
+
+/**
+ * Convert a parsed VDF file into PropertySketch data
+ * @param {Object} vdfData - Result of parseVDFFile
+ * @param {Object} options
+ * @param {ObjectId} options.propertyId
+ * @param {ObjectId} options.municipalityId
+ * @param {number} options.cardNumber
+ * @param {ObjectId} options.userId
+ * @param {number} options.assessmentYear
+ * @param {Object[]} options.factors - SketchSubAreaFactor records for the codes
+ * @returns {Object} - Data for PropertySketch.create
+ */
+function convertToPropertySketch(
+  vdfData,
+  {
+    propertyId,
+    municipalityId,
+    cardNumber,
+    userId,
+    assessmentYear,
+    factors = [],
+  },
+) {
+  const rates = new Map(
+    factors.map((factor) => [
+      factor.displayText.toUpperCase(),
+      factor.points / 100,
+    ]),
+  );
+
+  const allPoints = vdfData.shapes.flatMap((shape) => shape.points);
+  const minX = Math.min(...allPoints.map((point) => point.x));
+  const maxY = Math.max(...allPoints.map((point) => point.y));
+  const toPixels = (point) => ({
+    x: round((point.x - minX) * PIXELS_PER_FOOT + CANVAS_MARGIN),
+    y: round((maxY - point.y) * PIXELS_PER_FOOT + CANVAS_MARGIN),
+  });
+
+  const shapes = vdfData.shapes.map((shape) => {
+    const area = round(shape.area);
+
+    return {
+      ...toSketchCoordinates(shape.points.map(toPixels)),
+      area,
+      // Same effective area rule as the sketch editor; unknown codes count fully
+      descriptions: shape.codes.filter(isSketchCode).map((code) => ({
+        label: code,
+        effective_area: Math.round(area * (rates.get(code) ?? 1)),
+      })),
+    };
+  });
+
+  return {
+    property_id: propertyId,
+    municipality_id: municipalityId,
+    card_number: cardNumber,
+    assessment_year: assessmentYear,
+    name: `Building Sketch - Card ${cardNumber}`,
+    description: 'Imported from VDF',
+    shapes,
+    created_by: userId,
+  };
+}
+
+/**
+ * Make sure every imported code has a SketchSubAreaFactor
+ * @param {string[]} codes - Sub-area codes found in the files
+ * @param {ObjectId} municipalityId
+ * @param {Model} SketchSubAreaFactor
+ * @returns {Promise<Map>} - displayText -> factor record
+ */
+async function ensureDescriptionCodes(
+  codes,
+  municipalityId,
+  SketchSubAreaFactor,
+) {
+  const existing = await SketchSubAreaFactor.find({
+    municipalityId,
+    displayText: { $in: codes },
+  });
+  const known = new Set(existing.map((factor) => factor.displayText));
+
+  for (const code of codes.filter((c) => !known.has(c))) {
+    const defaults = DEFAULT_DESCRIPTION_CODES[code] || {
+      description: code,
+      points: UNKNOWN_CODE_POINTS,
+      livingSpace: false,
+    };
+
+    try {
+      await SketchSubAreaFactor.create({
+        ...defaults,
+        displayText: code,
+        municipalityId,
+      });
+      console.log(`➕ Created sketch sub-area code ${code}`);
+    } catch (error) {
+      // Another import created it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const factors = await SketchSubAreaFactor.find({
+    municipalityId,
+    displayText: { $in: codes },
+  });
+  return new Map(factors.map((factor) => [factor.displayText, factor]));
+}
+
+module.exports = {
+  parseVDFFile,
+  parseVDFFilename,
+  formatVDFFilename,
+  convertToPropertySketch,
+  ensureDescriptionCodes,
+};
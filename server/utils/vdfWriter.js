@@ -0,0 +1,370 @@
+// VectorDraw (VDF) sketch writer
+//
+// Writes building areas in the record layout parseVDFGeometry reads, so
+// towns still running the desktop CAMA product can open exported sketches.
+//
+// The file is built on server/templates/sketches/blank.vdf: a desktop
+// drawing with its areas removed, keeping the header, the STANDARD text and
+// dimension styles, the layers, the built-in VDDIM blocks, the model layout
+// and the linetype tables. Each area adds, like the desktop product does:
+//   - a label block with one text line per sub-area code
+//   - a closed GEOM polyline tagged with AREAS and AREA_ID xdata
+//   - a DIMS text per wall length
+//   - an AREA insert of the label block at the label point
+//
+// Offsets below are positions in blank.vdf.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  COLORS,
+  LAYERS,
+  RECORD_SIGNATURE,
+  XDATA_AREAS,
+  XDATA_AREA_ID,
+  XDATA_ENTRY_TYPE,
+  XDATA_STRING_CODE,
+} = require('./parseVDFGeometry');
+
+const TEMPLATE_PATH = path.join(__dirname, '../templates/sketches/blank.vdf');
+
+// Header: highest handle in use (high byte, low byte)
+const HANDLE_SEED_OFFSET = 0x6f;
+// Header: view center x, y and view height (doubles)
+const VIEW_CENTER_OFFSET = 0x8d;
+const VIEW_HEIGHT_OFFSET = 0xa5;
+// Header: view window min x, min y, max x, max y (doubles)
+const VIEW_WINDOW_OFFSET = 0x13d;
+const VIEW_ASPECT_RATIO = 1.5625;
+// Table section: int32 block count, two built-in blocks in the template
+const BLOCK_COUNT_OFFSET = 0x47a;
+const TEMPLATE_BLOCK_COUNT = 2;
+const TEMPLATE_LAST_HANDLE = 8;
+// Label blocks go after the built-in blocks, before the model layout
+const LABEL_BLOCKS_OFFSET = 0x655;
+// int32 entity count; the entities follow it, then the linetype tables
+const ENTITY_COUNT_OFFSET = 0xf9e;
+
+const DIMENSION_TEXT_HEIGHT = 2;
+const LABEL_SCALE = 2;
+const LABEL_LINE_SPACING = 1.1;
+const TEXT_STYLE = 'STANDARD';
+const TEXT_ALIGN_CENTER = 6;
+const BLOCK_TEXT_FLAGS = 100;
+
+let template = null;
+
+function loadTemplate() {
+  if (!template) {
+    template = fs.readFileSync(TEMPLATE_PATH);
+  }
+  return template;
+}
+
+/**
+ * Little-endian byte builder for records
+ */
+class VDFBuilder {
+  constructor() {
+    this.chunks = [];
+  }
+
+  bytes(buffer) {
+    this.chunks.push(buffer);
+    return this;
+  }
+
+  zeros(length) {
+    return this.bytes(Buffer.alloc(length));
+  }
+
+  byte(value) {
+    return this.bytes(Buffer.from([value]));
+  }
+
+  int16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeInt16LE(value);
+    return this.bytes(buffer);
+  }
+
+  int32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32LE(value);
+    return this.bytes(buffer);
+  }
+
+  double(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value);
+    return this.bytes(buffer);
+  }
+
+  string(value) {
+    const text = Buffer.from(String(value), 'latin1');
+    if (text.length > 255) {
+      throw new Error(`VDF string too long: ${value}`);
+    }
+    return this.byte(text.length).bytes(text);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Hands out record handles and area ids for one drawing
+ */
+class VDFIds {
+  constructor(date = new Date()) {
+    this.lastHandle = TEMPLATE_LAST_HANDLE;
+    this.areaCounter = 0;
+
+    // Desktop area ids are a date, a time stamp and a 4-digit counter
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const time = Math.floor((date.getTime() % 86400000) / 10);
+    this.areaPrefix = `${day}${String(time).padStart(7, '0')}`;
+  }
+
+  handle() {
+    this.lastHandle += 1;
+    return this.lastHandle.toString(16).toUpperCase();
+  }
+
+  // The area takes an odd number and its label block the next even one
+  area() {
+    const id = this.areaCounter + 1;
+    this.areaCounter += 2;
+    return {
+      areaId: `${this.areaPrefix}${String(id).padStart(4, '0')}`,
+      blockName: `${this.areaPrefix}${String(id + 1).padStart(4, '0')}`,
+    };
+  }
+}
+
+function writeRecord(builder, { color, name = '', handle, layer, xdata = [] }) {
+  builder
+    .int32(color)
+    .bytes(RECORD_SIGNATURE)
+    .byte(0)
+    .string(name)
+    .string(name)
+    .string(handle)
+    .zeros(10)
+    .bytes(Buffer.from([0xff, 0xff]))
+    .zeros(8)
+    .string(layer)
+    .int32(xdata.length);
+
+  xdata.forEach(([key, value]) => {
+    const text = Buffer.from(String(value), 'latin1');
+    builder
+      .int32(XDATA_ENTRY_TYPE)
+      .int32(key.length)
+      .bytes(Buffer.from(key, 'latin1'))
+      .int32(XDATA_STRING_CODE)
+      .int16(text.length)
+      .bytes(text);
+  });
+
+  return builder;
+}
+
+function writeText(builder, { x, y, height, angle = 0, text, flags = 0 }) {
+  return builder
+    .double(x)
+    .double(y)
+    .double(0)
+    .double(height)
+    .double(angle)
+    .string(text)
+    .string(TEXT_STYLE)
+    .int16(TEXT_ALIGN_CENTER)
+    .int16(flags)
+    .int16(0)
+    .double(1)
+    .zeros(24);
+}
+
+function writeLabelBlock(builder, ids, blockName, codes) {
+  writeRecord(builder, {
+    color: COLORS.block,
+    handle: ids.handle(),
+    layer: LAYERS.tables,
+  })
+    .string(blockName)
+    .zeros(33)
+    .int32(codes.length);
+
+  // Lines are centered on the insertion point, first code on top
+  codes.forEach((code, i) => {
+    writeRecord(builder, {
+      color: COLORS.blockText,
+      handle: ids.handle(),
+      layer: LAYERS.labels,
+    });
+    writeText(builder, {
+      x: 0,
+      y: ((codes.length - 1) / 2 - i) * LABEL_LINE_SPACING,
+      height: 1,
+      text: code,
+      flags: BLOCK_TEXT_FLAGS,
+    });
+  });
+}
+
+// Returns the number of entity records written
+function writeArea(builder, ids, area, areaId, blockName) {
+  const codes = area.codes.join(',');
+  const dimensions = area.dimensions || [];
+
+  writeRecord(builder, {
+    color: COLORS.geometry,
+    name: codes,
+    handle: ids.handle(),
+    layer: LAYERS.geometry,
+    xdata: [
+      [XDATA_AREAS, codes],
+      [XDATA_AREA_ID, areaId],
+    ],
+  })
+    .int32(0)
+    .byte(1) // Closed
+    .double(0)
+    .double(1)
+    .int16(area.points.length);
+
+  area.points.forEach((point) => {
+    builder.double(point.x).double(point.y).zeros(16);
+  });
+  builder.zeros(14);
+
+  dimensions.forEach((dimension) => {
+    writeRecord(builder, {
+      color: COLORS.dimension,
+      handle: ids.handle(),
+      layer: LAYERS.dimensions,
+      xdata: [[XDATA_AREA_ID, areaId]],
+    });
+    writeText(builder, { ...dimension, height: DIMENSION_TEXT_HEIGHT });
+  });
+
+  if (area.label) {
+    writeRecord(builder, {
+      color: COLORS.label,
+      handle: ids.handle(),
+      layer: LAYERS.labels,
+      xdata: [[XDATA_AREA_ID, areaId]],
+    })
+      .string(blockName)
+      .double(area.label.x)
+      .double(area.label.y)
+      .double(0)
+      .double(0) // Rotation
+      .double(LABEL_SCALE)
+      .double(LABEL_SCALE)
+      .double(1)
+      .zeros(24);
+  }
+
+  return 1 + dimensions.length + (area.label ? 1 : 0);
+}
+
+// Fit the opening view around the areas the way the desktop product does
+function writeView(header, areas) {
+  const xs = areas.flatMap((area) => area.points.map((point) => point.x));
+  const ys = areas.flatMap((area) => area.points.map((point) => point.y));
+  if (xs.length === 0) return;
+
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const height =
+    Math.max(maxY - minY, (maxX - minX) / VIEW_ASPECT_RATIO, 1) * 1.2;
+  const width = height * VIEW_ASPECT_RATIO;
+
+  header.writeDoubleLE(centerX, VIEW_CENTER_OFFSET);
+  header.writeDoubleLE(centerY, VIEW_CENTER_OFFSET + 8);
+  header.writeDoubleLE(height, VIEW_HEIGHT_OFFSET);
+  [
+    centerX - width / 2,
+    centerY - height / 2,
+    centerX + width / 2,
+    centerY + height / 2,
+  ].forEach((value, i) => {
+    header.writeDoubleLE(value, VIEW_WINDOW_OFFSET + i * 8);
+  });
+}
+
+/**
+ * Write building areas as a VDF drawing
+ * @param {Object[]} areas - [{ codes, points, dimensions, label }] in feet, y up
+ *   codes:      sub-area codes, e.g. ['FFF', 'BMU']
+ *   points:     closed outline [{ x, y }]
+ *   dimensions: wall length text [{ x, y, angle, text }]
+ *   label:      label block insertion point { x, y }
+ * @param {Object} options - { date } stamps the generated area ids
+ * @returns {Buffer}
+ */
+function writeVDF(areas, options = {}) {
+  const blank = loadTemplate();
+  const ids = new VDFIds(options.date);
+  const blocks = new VDFBuilder();
+  const entities = new VDFBuilder();
+
+  const written = areas.filter(
+    (area) => area.points && area.points.length >= 3,
+  );
+  let blockCount = TEMPLATE_BLOCK_COUNT;
+  let entityCount = 0;
+
+  written.forEach((area) => {
+    const { areaId, blockName } = ids.area();
+    const hasLabel = area.label && area.codes.length > 0;
+
+    if (hasLabel) {
+      writeLabelBlock(blocks, ids, blockName, area.codes);
+      blockCount += 1;
+    }
+    entityCount += writeArea(
+      entities,
+      ids,
+      { ...area, label: hasLabel ? area.label : null },
+      areaId,
+      blockName,
+    );
+  });
+
+  const header = Buffer.from(blank.subarray(0, LABEL_BLOCKS_OFFSET));
+  header.writeInt32LE(blockCount, BLOCK_COUNT_OFFSET);
+  header.writeUInt8((ids.lastHandle >> 8) & 0xff, HANDLE_SEED_OFFSET);
+  header.writeUInt8(ids.lastHandle & 0xff, HANDLE_SEED_OFFSET + 1);
+  writeView(header, written);
+
+  // The desktop product writes the last block text 4 bytes short, the
+  // model layout record that follows starts in its zero padding
+  let labelBlocks = blocks.toBuffer();
+  if (labelBlocks.length > 0) {
+    labelBlocks = labelBlocks.subarray(0, labelBlocks.length - 4);
+  }
+
+  const count = Buffer.alloc(4);
+  count.writeInt32LE(entityCount);
+
+  return Buffer.concat([
+    header,
+    labelBlocks,
+    blank.subarray(LABEL_BLOCKS_OFFSET, ENTITY_COUNT_OFFSET),
+    count,
+    entities.toBuffer(),
+    blank.subarray(ENTITY_COUNT_OFFSET + 4),
+  ]);
+}
+
+module.exports = {
+  writeVDF,
+};
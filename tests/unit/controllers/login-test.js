@@ -0,0 +1,83 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'avitar-suite/tests/helpers';
+import Service from '@ember/service';
+
+module('Unit | Controller | login', function (hooks) {
+  setupTest(hooks);
+
+  function stubLoginResponse(owner, response) {
+    owner.register(
+      'service:api',
+      class extends Service {
+        async postUnauth() {
+          return response;
+        }
+      },
+    );
+  }
+
+  const submitEvent = { preventDefault() {} };
+
+  test('it moves to the verification step when two-factor is enabled', async function (assert) {
+    stubLoginResponse(this.owner, {
+      success: true,
+      two_factor_required: true,
+      challenge_token: 'challenge-123',
+    });
+    let controller = this.owner.lookup('controller:login');
+    controller.loginEmail = 'admin@example.com';
+    controller.loginPassword = 'password123';
+
+    await controller.handleLogin(submitEvent);
+
+    assert.strictEqual(controller.twoFactorStep, 'verify');
+    assert.strictEqual(controller.challengeToken, 'challenge-123');
+    assert.strictEqual(controller.errorMessage, '');
+  });
+
+  test('it moves to enrollment when the municipality requires two-factor', async function (assert) {
+    stubLoginResponse(this.owner, {
+      success: true,
+      two_factor_setup_required: true,
+      setup_token: 'setup-123',
+    });
+    let controller = this.owner.lookup('controller:login');
+    controller.loginEmail = 'admin@example.com';
+    controller.loginPassword = 'password123';
+
+    await controller.handleLogin(submitEvent);
+
+    assert.strictEqual(controller.twoFactorStep, 'setup');
+    assert.strictEqual(controller.setupToken, 'setup-123');
+  });
+
+  test('it requires a code before verifying', async function (assert) {
+    let controller = this.owner.lookup('controller:login');
+    controller.twoFactorStep = 'verify';
+    controller.challengeToken = 'challenge-123';
+
+    await controller.handleTwoFactor(submitEvent);
+    assert.ok(controller.errorMessage.includes('authenticator app'));
+
+    controller.toggleRecoveryCode();
+    await controller.handleTwoFactor(submitEvent);
+    assert.ok(controller.errorMessage.includes('recovery code'));
+  });
+
+  test('cancelTwoFactor returns to the password form', function (assert) {
+    let controller = this.owner.lookup('controller:login');
+    controller.twoFactorStep = 'verify';
+    controller.challengeToken = 'challenge-123';
+    controller.twoFactorCode = '123456';
+    controller.useRecoveryCode = true;
+    controller.loginPassword = 'password123';
+
+    controller.cancelTwoFactor();
+
+    assert.strictEqual(controller.twoFactorStep, null);
+    assert.strictEqual(controller.challengeToken, null);
+    assert.strictEqual(controller.twoFactorCode, '');
+    assert.false(controller.useRecoveryCode);
+    assert.strictEqual(controller.loginPassword, '');
+  });
+});
@@ -0,0 +1,46 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'avitar-suite/tests/helpers';
+
+module('Unit | Controller | reset-password', function (hooks) {
+  setupTest(hooks);
+
+  test('it requires a token', function (assert) {
+    let controller = this.owner.lookup('controller:reset-password');
+    controller.password = 'new-password';
+    controller.confirmPassword = 'new-password';
+
+    assert.ok(controller.validate().includes('token'));
+  });
+
+  test('it validates password length and confirmation', function (assert) {
+    let controller = this.owner.lookup('controller:reset-password');
+    controller.token = 'abc123';
+
+    controller.password = 'short';
+    controller.confirmPassword = 'short';
+    assert.strictEqual(
+      controller.validate(),
+      'Password must be at least 8 characters long',
+    );
+
+    controller.password = 'new-password';
+    controller.confirmPassword = 'other-password';
+    assert.strictEqual(controller.validate(), 'Passwords do not match');
+
+    controller.confirmPassword = 'new-password';
+    assert.strictEqual(controller.validate(), null);
+  });
+
+  test('reset clears the form', function (assert) {
+    let controller = this.owner.lookup('controller:reset-password');
+    controller.token = 'abc123';
+    controller.password = 'new-password';
+    controller.isComplete = true;
+
+    controller.reset();
+
+    assert.strictEqual(controller.token, null);
+    assert.strictEqual(controller.password, '');
+    assert.false(controller.isComplete);
+  });
+});
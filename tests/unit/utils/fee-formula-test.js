@@ -0,0 +1,176 @@
+import { module, test } from 'qunit';
+import {
+  calculatePermitFee,
+  calculateTieredFee,
+  evaluateFormula,
+  validateFormula,
+} from 'avitar-suite/utils/fee-formula';
+
+const BUILDING = {
+  _id: 'schedule-1',
+  code: 'BLDG',
+  method: 'marginal',
+  minimumFee: 50,
+  tiers: [
+    { upTo: 100000, rate: 10, per: 1000 },
+    { upTo: null, rate: 8, per: 1000 },
+  ],
+};
+
+const SIGNS = {
+  _id: 'schedule-2',
+  code: 'SIGN',
+  method: 'bracket',
+  tiers: [
+    { upTo: null, flatFee: 100 },
+    { upTo: 32, flatFee: 25 },
+  ],
+};
+
+module('Unit | Utility | fee-formula', function () {
+  test('it evaluates arithmetic, comparisons and functions', function (assert) {
+    const context = {
+      variables: { estimatedValue: '200000', squareFootage: 1200 },
+    };
+
+    assert.strictEqual(evaluateFormula('1 + 2 * 3', context), 7);
+    assert.strictEqual(evaluateFormula('(1 + 2) * 3', context), 9);
+    assert.strictEqual(
+      evaluateFormula('max(75, squareFootage * 0.05)', context),
+      75,
+    );
+    assert.strictEqual(evaluateFormula('round(10 / 3, 2)', context), 3.33);
+    assert.strictEqual(
+      evaluateFormula('estimatedValue > 100000 ? 500 : 250', context),
+      500,
+    );
+    assert.strictEqual(
+      evaluateFormula('if(squareFootage >= 1000 && 1, 2, 3)', context),
+      2,
+    );
+  });
+
+  test('it reads custom field values', function (assert) {
+    const context = {
+      customFields: { units: '4', occupancy: 'commercial', 'fire-alarm': true },
+    };
+
+    assert.strictEqual(
+      evaluateFormula('customFields.units * 25', context),
+      100,
+    );
+    assert.strictEqual(
+      evaluateFormula('customFields["fire-alarm"] ? 40 : 0', context),
+      40,
+    );
+    assert.strictEqual(
+      evaluateFormula(
+        'customFields.occupancy == "commercial" ? 300 : 150',
+        context,
+      ),
+      300,
+    );
+    assert.strictEqual(evaluateFormula('customFields.missing + 1', context), 1);
+    assert.strictEqual(
+      evaluateFormula('customFields.constructor + 1', context),
+      1,
+      'only own field values are visible',
+    );
+  });
+
+  test('it only allows known variables and functions', function (assert) {
+    for (const formula of [
+      'constructor',
+      'process.exit()',
+      'estimatedValue.toString()',
+      'this',
+      'globalThis["x"]',
+      'alert(1)',
+    ]) {
+      assert.false(validateFormula(formula).valid, formula);
+    }
+
+    assert.throws(
+      () => evaluateFormula('10 / (estimatedValue - estimatedValue)'),
+      /Division by zero/,
+    );
+    assert.throws(() => evaluateFormula('"text"'), /Expected a number/);
+  });
+
+  test('it reports schedule references', function (assert) {
+    assert.deepEqual(validateFormula('tiered(estimatedValue, "BLDG") + 5'), {
+      valid: true,
+      error: null,
+      scheduleCodes: ['BLDG'],
+      usesLinkedSchedule: false,
+    });
+    assert.true(validateFormula('tiered(estimatedValue)').usesLinkedSchedule);
+    assert.false(validateFormula('tiered(estimatedValue, code)').valid);
+  });
+
+  test('it calculates tiered fees', function (assert) {
+    assert.strictEqual(calculateTieredFee(BUILDING, 250000), 2200);
+    assert.strictEqual(calculateTieredFee(BUILDING, 1000), 50, 'minimum fee');
+    assert.strictEqual(calculateTieredFee(SIGNS, 32), 25);
+    assert.strictEqual(calculateTieredFee(SIGNS, 33), 100);
+  });
+
+  test('it calculates permit fees for each calculation type', function (assert) {
+    const permit = {
+      estimatedValue: '250000',
+      squareFootage: '2000',
+      customFields: { signArea: '20' },
+    };
+    const options = { schedules: [BUILDING, SIGNS] };
+
+    assert.strictEqual(
+      calculatePermitFee({ calculationType: 'flat', baseAmount: 75 }, permit),
+      75,
+    );
+    assert.strictEqual(
+      calculatePermitFee(
+        { calculationType: 'per_sqft', baseAmount: 50, perSqftRate: 0.25 },
+        permit,
+      ),
+      550,
+    );
+    assert.strictEqual(
+      calculatePermitFee(
+        { calculationType: 'percentage', baseAmount: 10, percentageRate: 1 },
+        permit,
+      ),
+      2510,
+    );
+    assert.strictEqual(
+      calculatePermitFee(
+        {
+          calculationType: 'custom',
+          baseAmount: 25,
+          formula:
+            'baseAmount + tiered(estimatedValue) + tiered(customFields.signArea, "sign")',
+          linkedScheduleId: 'schedule-1',
+        },
+        permit,
+        options,
+      ),
+      2250,
+    );
+    assert.strictEqual(
+      calculatePermitFee(
+        { calculationType: 'custom', formula: '10 / 3' },
+        permit,
+        options,
+      ),
+      3.33,
+    );
+    assert.throws(
+      () =>
+        calculatePermitFee(
+          { calculationType: 'custom', formula: 'tiered(estimatedValue)' },
+          permit,
+          options,
+        ),
+      /No fee schedule is linked/,
+    );
+  });
+});
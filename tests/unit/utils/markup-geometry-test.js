@@ -0,0 +1,81 @@
+import { module, test } from 'qunit';
+import {
+  cloudPath,
+  coordinatesFromDrag,
+  markupDrawing,
+  relativePoint,
+} from 'avitar-suite/utils/markup-geometry';
+
+module('Unit | Utility | markup-geometry', function () {
+  test('it converts pointer positions to page fractions', function (assert) {
+    const rect = { left: 100, top: 50, width: 400, height: 200 };
+
+    assert.deepEqual(relativePoint(300, 150, rect), { x: 0.5, y: 0.5 });
+    assert.deepEqual(relativePoint(0, 400, rect), { x: 0, y: 1 });
+    assert.deepEqual(relativePoint(10, 10, { width: 0, height: 0 }), {
+      x: 0,
+      y: 0,
+    });
+  });
+
+  test('it builds coordinates for each shape from a drag', function (assert) {
+    const start = { x: 0.6, y: 0.4 };
+    const end = { x: 0.2, y: 0.1 };
+
+    assert.deepEqual(coordinatesFromDrag('cloud', start, end), {
+      x: 0.2,
+      y: 0.1,
+      width: 0.4,
+      height: 0.3,
+    });
+    assert.deepEqual(coordinatesFromDrag('arrow', start, end), {
+      points: [start, end],
+    });
+    assert.deepEqual(coordinatesFromDrag('text', start, start), {
+      x: 0.6,
+      y: 0.4,
+    });
+    assert.strictEqual(
+      coordinatesFromDrag('cloud', start, start),
+      null,
+      'a click does not draw a cloud',
+    );
+    assert.strictEqual(coordinatesFromDrag('measurement', start, start), null);
+  });
+
+  test('it draws clouds as closed scalloped paths', function (assert) {
+    const path = cloudPath(0.03, 0.015);
+
+    assert.true(path.startsWith('M0,0 A'));
+    assert.true(path.endsWith(' Z'));
+    // Two scallops across the top and bottom, one down each side
+    assert.strictEqual(path.match(/A/g).length, 6);
+  });
+
+  test('it positions markup drawings as percentages', function (assert) {
+    const arrow = markupDrawing({
+      shape: 'measurement',
+      coordinates: {
+        points: [
+          { x: 0.1, y: 0.2 },
+          { x: 0.5, y: 0.2 },
+        ],
+      },
+      measurement: { value: 12.5, unit: 'ft' },
+    });
+
+    assert.strictEqual(arrow.x1, '10%');
+    assert.strictEqual(arrow.x2, '50%');
+    assert.strictEqual(arrow.labelX, '30%');
+    assert.strictEqual(arrow.label, '12.5 ft');
+
+    const cloud = markupDrawing({
+      shape: 'cloud',
+      coordinates: { x: 0.25, y: 0.5, width: 0.2, height: 0.1 },
+    });
+
+    assert.strictEqual(cloud.x, '25%');
+    assert.strictEqual(cloud.width, '20%');
+    assert.strictEqual(cloud.viewBox, '0 0 200 100');
+  });
+});
@@ -0,0 +1,55 @@
+import { module, test } from 'qunit';
+import {
+  currentReviewStage,
+  isReviewLocked,
+  reviewStage,
+} from 'avitar-suite/utils/review-routing';
+
+function review(department, reviewOrder, status = 'pending', required = true) {
+  return { department, reviewOrder, status, required };
+}
+
+module('Unit | Utility | review-routing', function () {
+  test('it treats reviews without an order as stage 1', function (assert) {
+    assert.strictEqual(reviewStage({}), 1);
+    assert.strictEqual(reviewStage({ reviewOrder: 0 }), 1);
+    assert.strictEqual(reviewStage({ reviewOrder: '3' }), 3);
+  });
+
+  test('it runs reviews in the same stage in parallel', function (assert) {
+    const reviews = [
+      review('building', 1),
+      review('zoning', 1),
+      review('fire', 2),
+    ];
+
+    assert.strictEqual(currentReviewStage(reviews), 1);
+    assert.false(isReviewLocked(reviews, reviews[0]));
+    assert.false(isReviewLocked(reviews, reviews[1]));
+    assert.true(isReviewLocked(reviews, reviews[2]));
+  });
+
+  test('it opens the next stage once required reviews are approved', function (assert) {
+    const reviews = [
+      review('building', 1, 'approved'),
+      review('zoning', 1, 'revisions_requested'),
+      review('health', 1, 'pending', false),
+      review('fire', 2),
+    ];
+
+    assert.true(
+      isReviewLocked(reviews, reviews[3]),
+      'revisions hold the stage',
+    );
+
+    reviews[1].status = 'conditionally_approved';
+    assert.strictEqual(currentReviewStage(reviews), 2);
+    assert.false(
+      isReviewLocked(reviews, reviews[3]),
+      'optional reviews do not hold the stage',
+    );
+
+    reviews[3].status = 'approved';
+    assert.strictEqual(currentReviewStage(reviews), null);
+  });
+});
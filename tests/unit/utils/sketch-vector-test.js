@@ -0,0 +1,43 @@
+import { module, test } from 'qunit';
+import {
+  parseVectorInput,
+  traceVector,
+} from 'avitar-suite/utils/sketch-vector';
+
+module('Unit | Utility | sketch-vector', function () {
+  test('it traces a closed rectangle', function (assert) {
+    const { moves, errors } = parseVectorInput('U20 R35 D20 L35');
+    assert.deepEqual(errors, []);
+
+    const { points, closed } = traceVector(moves, { x: 0, y: 0 }, 10);
+    assert.true(closed);
+    assert.deepEqual(points, [
+      { x: 0, y: 0 },
+      { x: 0, y: -200 },
+      { x: 350, y: -200 },
+      { x: 350, y: 0 },
+    ]);
+  });
+
+  test('it accepts diagonals, decimals and commas', function (assert) {
+    const { moves, errors } = parseVectorInput('r10, u10r5 d10 l15.5 R0.5');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(moves[1], { token: 'U10R5', dx: 5, dy: -10 });
+
+    const { closed } = traceVector(moves, { x: 0, y: 0 }, 10);
+    assert.true(closed);
+  });
+
+  test('it reports invalid moves', function (assert) {
+    const { moves, errors } = parseVectorInput('X3 U5U5 R0 D4');
+    assert.strictEqual(moves.length, 1);
+    assert.strictEqual(errors.length, 3);
+  });
+
+  test('it reports the gap when the outline is open', function (assert) {
+    const { moves } = parseVectorInput('R30 U40');
+    const { closed, gap } = traceVector(moves, { x: 0, y: 0 }, 10);
+    assert.false(closed);
+    assert.strictEqual(gap, 50);
+  });
+});